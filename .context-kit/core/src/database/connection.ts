@@ -21,7 +21,7 @@ import {
   RunResult,
   QueryResult
 } from './types.js';
-import { MIGRATIONS } from './schema.js';
+import { MIGRATIONS, LOG_SEARCH_REBUILD_SQL } from './schema.js';
 import { StatementManager, CommonStatements } from './statements.js';
 
 /**
@@ -483,6 +483,8 @@ export class DatabaseConnection {
 
     try {
       this.db.exec('VACUUM');
+      // VACUUM may renumber log_entries rowids, which key the full-text index
+      this.db.exec(LOG_SEARCH_REBUILD_SQL);
       this.db.exec('ANALYZE');
       if (this.config.verbose) {
         console.log(`[DatabaseConnection:${this.connectionId}] Database optimized`);
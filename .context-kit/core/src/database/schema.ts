@@ -6,7 +6,7 @@
 import { Migration } from './types.js';
 
 // Current schema version
-export const CURRENT_SCHEMA_VERSION = 1;
+export const CURRENT_SCHEMA_VERSION = 10;
 
 // Main schema SQL
 export const SCHEMA_SQL = `
@@ -307,6 +307,34 @@ ORDER BY activity_timestamp DESC;
 // MIGRATION DEFINITIONS
 // ============================================================================
 
+/**
+ * SQL expression flattening a log entry's metadata JSON into `key value`
+ * pairs for the full-text index. Nested keys keep their path
+ * (`request.method GET`) and array elements are indexed under the array key,
+ * so `meta.key:value` can be matched as the phrase "key value".
+ */
+function logSearchMetaSql(column: string): string {
+  return `(
+    SELECT group_concat(
+      CASE WHEN typeof(key) = 'integer' THEN substr(path, 3) ELSE substr(fullkey, 3) END || ' ' || value, ' '
+    )
+    FROM json_tree(CASE WHEN json_valid(${column}) THEN ${column} ELSE '{}' END)
+    WHERE type NOT IN ('object', 'array')
+  )`;
+}
+
+/**
+ * Repopulate log_entries_fts from log_entries. The index is keyed by the
+ * implicit rowid of log_entries, which VACUUM may renumber, so this also runs
+ * after VACUUM.
+ */
+export const LOG_SEARCH_REBUILD_SQL = `
+  DELETE FROM log_entries_fts;
+  INSERT INTO log_entries_fts (rowid, message, service, level, meta)
+  SELECT rowid, message, service, level, ${logSearchMetaSql('metadata')}
+  FROM log_entries;
+`;
+
 export const MIGRATIONS: Migration[] = [
   {
     version: 1,
@@ -327,6 +355,381 @@ export const MIGRATIONS: Migration[] = [
       DROP TABLE IF EXISTS relations;
       DROP TABLE IF EXISTS entities;
     `
+  },
+  {
+    version: 2,
+    name: 'Add span columns to log entries',
+    sql: `
+      ALTER TABLE log_entries ADD COLUMN span_id TEXT;
+      ALTER TABLE log_entries ADD COLUMN parent_span_id TEXT;
+      CREATE INDEX IF NOT EXISTS idx_logs_trace_span ON log_entries(trace_id, span_id);
+    `,
+    rollback: `
+      DROP INDEX IF EXISTS idx_logs_trace_span;
+      ALTER TABLE log_entries DROP COLUMN parent_span_id;
+      ALTER TABLE log_entries DROP COLUMN span_id;
+    `
+  },
+  {
+    version: 3,
+    name: 'Add sample rate to log entries',
+    sql: `
+      ALTER TABLE log_entries ADD COLUMN sample_rate REAL NOT NULL DEFAULT 1;
+    `,
+    rollback: `
+      ALTER TABLE log_entries DROP COLUMN sample_rate;
+    `
+  },
+  {
+    version: 4,
+    name: 'Add log archive segments',
+    sql: `
+      CREATE TABLE IF NOT EXISTS log_archive_segments (
+        id TEXT PRIMARY KEY,
+        path TEXT NOT NULL,
+        first_timestamp INTEGER NOT NULL,
+        last_timestamp INTEGER NOT NULL,
+        entry_count INTEGER NOT NULL,
+        bytes INTEGER NOT NULL,
+        expires_at INTEGER NOT NULL,
+        created_at INTEGER DEFAULT (unixepoch())
+      );
+      CREATE INDEX IF NOT EXISTS idx_log_archive_range ON log_archive_segments(first_timestamp, last_timestamp);
+      CREATE INDEX IF NOT EXISTS idx_log_archive_expires ON log_archive_segments(expires_at);
+      ALTER TABLE log_entries ADD COLUMN restored_at INTEGER;
+    `,
+    rollback: `
+      ALTER TABLE log_entries DROP COLUMN restored_at;
+      DROP INDEX IF EXISTS idx_log_archive_expires;
+      DROP INDEX IF EXISTS idx_log_archive_range;
+      DROP TABLE IF EXISTS log_archive_segments;
+    `
+  },
+  {
+    version: 5,
+    name: 'Add full-text log search index',
+    sql: `
+      CREATE VIRTUAL TABLE IF NOT EXISTS log_entries_fts USING fts5(
+        message, service, level, meta,
+        tokenize = 'unicode61 remove_diacritics 2'
+      );
+
+      CREATE TRIGGER IF NOT EXISTS trg_log_entries_fts_insert
+      AFTER INSERT ON log_entries
+      BEGIN
+        INSERT INTO log_entries_fts (rowid, message, service, level, meta)
+        VALUES (NEW.rowid, NEW.message, NEW.service, NEW.level, ${logSearchMetaSql('NEW.metadata')});
+      END;
+
+      CREATE TRIGGER IF NOT EXISTS trg_log_entries_fts_delete
+      AFTER DELETE ON log_entries
+      BEGIN
+        DELETE FROM log_entries_fts WHERE rowid = OLD.rowid;
+      END;
+
+      CREATE TRIGGER IF NOT EXISTS trg_log_entries_fts_update
+      AFTER UPDATE OF message, service, level, metadata ON log_entries
+      BEGIN
+        DELETE FROM log_entries_fts WHERE rowid = OLD.rowid;
+        INSERT INTO log_entries_fts (rowid, message, service, level, meta)
+        VALUES (NEW.rowid, NEW.message, NEW.service, NEW.level, ${logSearchMetaSql('NEW.metadata')});
+      END;
+
+      ${LOG_SEARCH_REBUILD_SQL}
+    `,
+    rollback: `
+      DROP TRIGGER IF EXISTS trg_log_entries_fts_update;
+      DROP TRIGGER IF EXISTS trg_log_entries_fts_delete;
+      DROP TRIGGER IF EXISTS trg_log_entries_fts_insert;
+      DROP TABLE IF EXISTS log_entries_fts;
+    `
+  },
+  {
+    version: 6,
+    name: 'Add log message templates',
+    sql: `
+      CREATE TABLE IF NOT EXISTS log_templates (
+        id TEXT PRIMARY KEY,
+        template TEXT NOT NULL,
+        token_count INTEGER NOT NULL,
+        created_at INTEGER DEFAULT (unixepoch()),
+        updated_at INTEGER DEFAULT (unixepoch())
+      );
+      ALTER TABLE log_entries ADD COLUMN template_id TEXT;
+      CREATE INDEX IF NOT EXISTS idx_logs_template_timestamp ON log_entries(template_id, timestamp);
+    `,
+    rollback: `
+      DROP INDEX IF EXISTS idx_logs_template_timestamp;
+      ALTER TABLE log_entries DROP COLUMN template_id;
+      DROP TABLE IF EXISTS log_templates;
+    `
+  },
+  {
+    version: 7,
+    name: 'Add log alert state and events',
+    sql: `
+      CREATE TABLE IF NOT EXISTS alert_state (
+        rule_id TEXT PRIMARY KEY,
+        status TEXT NOT NULL CHECK (status IN ('ok', 'firing')),
+        value REAL,
+        message TEXT,
+        fired_at INTEGER,
+        resolved_at INTEGER,
+        last_notified_at INTEGER,
+        last_evaluated_at INTEGER,
+        occurrences INTEGER NOT NULL DEFAULT 0
+      );
+      CREATE TABLE IF NOT EXISTS alert_events (
+        id TEXT PRIMARY KEY,
+        rule_id TEXT NOT NULL,
+        severity TEXT NOT NULL,
+        status TEXT NOT NULL CHECK (status IN ('firing', 'resolved')),
+        message TEXT NOT NULL,
+        value REAL,
+        created_at INTEGER NOT NULL,
+        suppressed INTEGER NOT NULL DEFAULT 0,
+        delivered INTEGER NOT NULL DEFAULT 0,
+        delivery_error TEXT
+      );
+      CREATE INDEX IF NOT EXISTS idx_alert_events_created ON alert_events(created_at);
+      CREATE INDEX IF NOT EXISTS idx_alert_events_rule ON alert_events(rule_id, created_at);
+    `,
+    rollback: `
+      DROP INDEX IF EXISTS idx_alert_events_rule;
+      DROP INDEX IF EXISTS idx_alert_events_created;
+      DROP TABLE IF EXISTS alert_events;
+      DROP TABLE IF EXISTS alert_state;
+    `
+  },
+  {
+    version: 8,
+    name: 'Add metric rollups',
+    sql: `
+      CREATE TABLE IF NOT EXISTS metric_rollups (
+        name TEXT NOT NULL,
+        type TEXT NOT NULL CHECK (type IN ('counter', 'gauge', 'histogram')),
+        labels TEXT NOT NULL DEFAULT '{}',
+        resolution INTEGER NOT NULL,
+        bucket INTEGER NOT NULL,
+        count INTEGER NOT NULL DEFAULT 0,
+        sum REAL NOT NULL DEFAULT 0,
+        min REAL,
+        max REAL,
+        last REAL,
+        histogram JSON,
+        PRIMARY KEY (name, resolution, bucket, labels)
+      );
+      CREATE INDEX IF NOT EXISTS idx_metric_rollups_bucket ON metric_rollups(resolution, bucket);
+    `,
+    rollback: `
+      DROP INDEX IF EXISTS idx_metric_rollups_bucket;
+      DROP TABLE IF EXISTS metric_rollups;
+    `
+  },
+  {
+    version: 9,
+    name: 'Add entity and relation type registry',
+    sql: `
+      CREATE TABLE IF NOT EXISTS entity_types (
+        name TEXT PRIMARY KEY,
+        description TEXT NOT NULL DEFAULT '',
+        required_properties JSON NOT NULL DEFAULT '[]',
+        optional_properties JSON,
+        schema JSON,
+        created_at INTEGER DEFAULT (unixepoch()),
+        updated_at INTEGER DEFAULT (unixepoch()),
+        CHECK (length(name) > 0)
+      );
+      CREATE TABLE IF NOT EXISTS relation_types (
+        name TEXT PRIMARY KEY,
+        description TEXT NOT NULL DEFAULT '',
+        valid_source_types JSON NOT NULL DEFAULT '[]',
+        valid_target_types JSON NOT NULL DEFAULT '[]',
+        bidirectional INTEGER NOT NULL DEFAULT 0,
+        properties_schema JSON,
+        created_at INTEGER DEFAULT (unixepoch()),
+        updated_at INTEGER DEFAULT (unixepoch()),
+        CHECK (length(name) > 0)
+      );
+    `,
+    rollback: `
+      DROP TABLE IF EXISTS relation_types;
+      DROP TABLE IF EXISTS entity_types;
+    `
+  },
+  {
+    version: 10,
+    name: 'Add append-only entity observations',
+    sql: `
+      CREATE TABLE IF NOT EXISTS observations (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        entity_id TEXT NOT NULL,
+        version INTEGER NOT NULL,
+        key TEXT NOT NULL,
+        value TEXT,
+        observation_type TEXT NOT NULL CHECK (observation_type IN ('create', 'update', 'delete')),
+        created_at INTEGER NOT NULL DEFAULT (CAST((julianday('now') - 2440587.5) * 86400000 AS INTEGER))
+      );
+      CREATE INDEX IF NOT EXISTS idx_observations_entity ON observations(entity_id, id);
+      CREATE INDEX IF NOT EXISTS idx_observations_created_at ON observations(created_at);
+
+      CREATE TRIGGER IF NOT EXISTS trg_observations_append_only_update
+      BEFORE UPDATE ON observations
+      BEGIN
+        SELECT RAISE(ABORT, 'observations are append-only');
+      END;
+
+      CREATE TRIGGER IF NOT EXISTS trg_observations_append_only_delete
+      BEFORE DELETE ON observations
+      BEGIN
+        SELECT RAISE(ABORT, 'observations are append-only');
+      END;
+
+      CREATE TRIGGER IF NOT EXISTS trg_observations_entity_insert
+      AFTER INSERT ON entities
+      FOR EACH ROW
+      BEGIN
+        INSERT INTO observations (entity_id, version, key, value, observation_type)
+        SELECT NEW.id, NEW.version, 'type', json_quote(NEW.type), 'create'
+        UNION ALL
+        SELECT NEW.id, NEW.version, 'name', json_quote(NEW.name), 'create'
+        UNION ALL
+        SELECT NEW.id, NEW.version, 'data.' || key, NEW.data -> fullkey, 'create'
+        FROM json_each(CASE WHEN json_type(NEW.data) = 'object' THEN NEW.data ELSE '{}' END);
+      END;
+
+      CREATE TRIGGER IF NOT EXISTS trg_observations_entity_update
+      AFTER UPDATE OF type, name, data ON entities
+      FOR EACH ROW
+      WHEN NEW.type IS NOT OLD.type OR NEW.name IS NOT OLD.name OR NEW.data IS NOT OLD.data
+      BEGIN
+        INSERT INTO observations (entity_id, version, key, value, observation_type)
+        SELECT NEW.id, CASE WHEN NEW.version = OLD.version THEN OLD.version + 1 ELSE NEW.version END, key, value, 'update'
+        FROM (
+          SELECT 'type' AS key, json_quote(NEW.type) AS value WHERE NEW.type IS NOT OLD.type
+          UNION ALL
+          SELECT 'name', json_quote(NEW.name) WHERE NEW.name IS NOT OLD.name
+          UNION ALL
+          SELECT 'data.' || n.key, n.value FROM (
+            SELECT key, NEW.data -> fullkey AS value
+            FROM json_each(CASE WHEN json_type(NEW.data) = 'object' THEN NEW.data ELSE '{}' END)
+          ) n
+          LEFT JOIN (
+            SELECT key, OLD.data -> fullkey AS value
+            FROM json_each(CASE WHEN json_type(OLD.data) = 'object' THEN OLD.data ELSE '{}' END)
+          ) o ON o.key = n.key
+          WHERE o.value IS NOT n.value
+          UNION ALL
+          SELECT 'data.' || o.key, NULL FROM (
+            SELECT key
+            FROM json_each(CASE WHEN json_type(OLD.data) = 'object' THEN OLD.data ELSE '{}' END)
+          ) o
+          WHERE o.key NOT IN (
+            SELECT key
+            FROM json_each(CASE WHEN json_type(NEW.data) = 'object' THEN NEW.data ELSE '{}' END)
+          )
+        );
+      END;
+
+      CREATE TRIGGER IF NOT EXISTS trg_observations_entity_delete
+      AFTER DELETE ON entities
+      FOR EACH ROW
+      BEGIN
+        INSERT INTO observations (entity_id, version, key, value, observation_type)
+        VALUES (OLD.id, OLD.version, 'entity', NULL, 'delete');
+      END;
+
+      CREATE TRIGGER IF NOT EXISTS trg_observations_relation_insert
+      AFTER INSERT ON relations
+      FOR EACH ROW
+      BEGIN
+        INSERT INTO observations (entity_id, version, key, value, observation_type)
+        VALUES (
+          NEW.from_id,
+          COALESCE((SELECT version FROM entities WHERE id = NEW.from_id), 1),
+          'relations.' || NEW.id,
+          json_object('type', NEW.type, 'to_id', NEW.to_id, 'properties', json(CASE WHEN json_valid(NEW.properties) THEN NEW.properties ELSE '{}' END)),
+          'update'
+        );
+      END;
+
+      CREATE TRIGGER IF NOT EXISTS trg_observations_relation_update
+      AFTER UPDATE OF from_id, to_id, type, properties ON relations
+      FOR EACH ROW
+      BEGIN
+        INSERT INTO observations (entity_id, version, key, value, observation_type)
+        SELECT OLD.from_id, COALESCE((SELECT version FROM entities WHERE id = OLD.from_id), 1), 'relations.' || OLD.id, NULL, 'update'
+        WHERE NEW.from_id IS NOT OLD.from_id OR NEW.id IS NOT OLD.id;
+        INSERT INTO observations (entity_id, version, key, value, observation_type)
+        VALUES (
+          NEW.from_id,
+          COALESCE((SELECT version FROM entities WHERE id = NEW.from_id), 1),
+          'relations.' || NEW.id,
+          json_object('type', NEW.type, 'to_id', NEW.to_id, 'properties', json(CASE WHEN json_valid(NEW.properties) THEN NEW.properties ELSE '{}' END)),
+          'update'
+        );
+      END;
+
+      CREATE TRIGGER IF NOT EXISTS trg_observations_relation_delete
+      AFTER DELETE ON relations
+      FOR EACH ROW
+      BEGIN
+        INSERT INTO observations (entity_id, version, key, value, observation_type)
+        VALUES (
+          OLD.from_id,
+          COALESCE((SELECT version FROM entities WHERE id = OLD.from_id), (SELECT MAX(version) FROM observations WHERE entity_id = OLD.from_id), 1),
+          'relations.' || OLD.id,
+          NULL,
+          'update'
+        );
+      END;
+
+      -- Entities and relations that already exist start with one observation, stamped
+      -- with their last update (seconds are scaled to the milliseconds used here)
+      WITH stamped AS (
+        SELECT id, type, name, data, version,
+          CASE WHEN updated_at < 100000000000 THEN updated_at * 1000 ELSE updated_at END AS observed_at
+        FROM entities
+      )
+      INSERT INTO observations (entity_id, version, key, value, observation_type, created_at)
+      SELECT entity_id, version, key, value, 'create', observed_at FROM (
+        SELECT id AS entity_id, version, 'type' AS key, json_quote(type) AS value, observed_at, 0 AS position FROM stamped
+        UNION ALL
+        SELECT id, version, 'name', json_quote(name), observed_at, 1 FROM stamped
+        UNION ALL
+        SELECT s.id, s.version, 'data.' || j.key, s.data -> j.fullkey, s.observed_at, 2
+        FROM stamped s, json_each(CASE WHEN json_type(s.data) = 'object' THEN s.data ELSE '{}' END) j
+      )
+      ORDER BY entity_id, position;
+
+      WITH stamped AS (
+        SELECT r.id, r.from_id, r.to_id, r.type, r.properties, e.version,
+          MAX(
+            CASE WHEN r.created_at < 100000000000 THEN r.created_at * 1000 ELSE r.created_at END,
+            CASE WHEN e.updated_at < 100000000000 THEN e.updated_at * 1000 ELSE e.updated_at END
+          ) AS observed_at
+        FROM relations r JOIN entities e ON e.id = r.from_id
+      )
+      INSERT INTO observations (entity_id, version, key, value, observation_type, created_at)
+      SELECT from_id, version, 'relations.' || id,
+        json_object('type', type, 'to_id', to_id, 'properties', json(CASE WHEN json_valid(properties) THEN properties ELSE '{}' END)),
+        'update', observed_at
+      FROM stamped
+      ORDER BY from_id, id;
+    `,
+    rollback: `
+      DROP TRIGGER IF EXISTS trg_observations_relation_delete;
+      DROP TRIGGER IF EXISTS trg_observations_relation_update;
+      DROP TRIGGER IF EXISTS trg_observations_relation_insert;
+      DROP TRIGGER IF EXISTS trg_observations_entity_delete;
+      DROP TRIGGER IF EXISTS trg_observations_entity_update;
+      DROP TRIGGER IF EXISTS trg_observations_entity_insert;
+      DROP TRIGGER IF EXISTS trg_observations_append_only_delete;
+      DROP TRIGGER IF EXISTS trg_observations_append_only_update;
+      DROP INDEX IF EXISTS idx_observations_created_at;
+      DROP INDEX IF EXISTS idx_observations_entity;
+      DROP TABLE IF EXISTS observations;
+    `
   }
 ];
 
@@ -404,11 +807,120 @@ export function getTableSchema(tableName: string): string {
         session_id TEXT,
         trace_id TEXT,
         created_at INTEGER DEFAULT (unixepoch()),
+        span_id TEXT,
+        parent_span_id TEXT,
+        sample_rate REAL NOT NULL DEFAULT 1,
+        restored_at INTEGER,
+        template_id TEXT,
         CHECK (length(id) > 0),
         CHECK (timestamp > 0),
         CHECK (length(service) > 0),
         CHECK (length(message) > 0)
       );
+    `,
+    log_entries_fts: `
+      CREATE VIRTUAL TABLE log_entries_fts USING fts5(
+        message, service, level, meta,
+        tokenize = 'unicode61 remove_diacritics 2'
+      );
+    `,
+    log_templates: `
+      CREATE TABLE log_templates (
+        id TEXT PRIMARY KEY,
+        template TEXT NOT NULL,
+        token_count INTEGER NOT NULL,
+        created_at INTEGER DEFAULT (unixepoch()),
+        updated_at INTEGER DEFAULT (unixepoch())
+      );
+    `,
+    alert_state: `
+      CREATE TABLE alert_state (
+        rule_id TEXT PRIMARY KEY,
+        status TEXT NOT NULL CHECK (status IN ('ok', 'firing')),
+        value REAL,
+        message TEXT,
+        fired_at INTEGER,
+        resolved_at INTEGER,
+        last_notified_at INTEGER,
+        last_evaluated_at INTEGER,
+        occurrences INTEGER NOT NULL DEFAULT 0
+      );
+    `,
+    alert_events: `
+      CREATE TABLE alert_events (
+        id TEXT PRIMARY KEY,
+        rule_id TEXT NOT NULL,
+        severity TEXT NOT NULL,
+        status TEXT NOT NULL CHECK (status IN ('firing', 'resolved')),
+        message TEXT NOT NULL,
+        value REAL,
+        created_at INTEGER NOT NULL,
+        suppressed INTEGER NOT NULL DEFAULT 0,
+        delivered INTEGER NOT NULL DEFAULT 0,
+        delivery_error TEXT
+      );
+    `,
+    metric_rollups: `
+      CREATE TABLE metric_rollups (
+        name TEXT NOT NULL,
+        type TEXT NOT NULL CHECK (type IN ('counter', 'gauge', 'histogram')),
+        labels TEXT NOT NULL DEFAULT '{}',
+        resolution INTEGER NOT NULL,
+        bucket INTEGER NOT NULL,
+        count INTEGER NOT NULL DEFAULT 0,
+        sum REAL NOT NULL DEFAULT 0,
+        min REAL,
+        max REAL,
+        last REAL,
+        histogram JSON,
+        PRIMARY KEY (name, resolution, bucket, labels)
+      );
+    `,
+    entity_types: `
+      CREATE TABLE entity_types (
+        name TEXT PRIMARY KEY,
+        description TEXT NOT NULL DEFAULT '',
+        required_properties JSON NOT NULL DEFAULT '[]',
+        optional_properties JSON,
+        schema JSON,
+        created_at INTEGER DEFAULT (unixepoch()),
+        updated_at INTEGER DEFAULT (unixepoch())
+      );
+    `,
+    relation_types: `
+      CREATE TABLE relation_types (
+        name TEXT PRIMARY KEY,
+        description TEXT NOT NULL DEFAULT '',
+        valid_source_types JSON NOT NULL DEFAULT '[]',
+        valid_target_types JSON NOT NULL DEFAULT '[]',
+        bidirectional INTEGER NOT NULL DEFAULT 0,
+        properties_schema JSON,
+        created_at INTEGER DEFAULT (unixepoch()),
+        updated_at INTEGER DEFAULT (unixepoch())
+      );
+    `,
+    observations: `
+      CREATE TABLE observations (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        entity_id TEXT NOT NULL,
+        version INTEGER NOT NULL,
+        key TEXT NOT NULL,
+        value TEXT,
+        observation_type TEXT NOT NULL CHECK (observation_type IN ('create', 'update', 'delete')),
+        created_at INTEGER NOT NULL DEFAULT (CAST((julianday('now') - 2440587.5) * 86400000 AS INTEGER))
+      );
+    `,
+    log_archive_segments: `
+      CREATE TABLE log_archive_segments (
+        id TEXT PRIMARY KEY,
+        path TEXT NOT NULL,
+        first_timestamp INTEGER NOT NULL,
+        last_timestamp INTEGER NOT NULL,
+        entry_count INTEGER NOT NULL,
+        bytes INTEGER NOT NULL,
+        expires_at INTEGER NOT NULL,
+        created_at INTEGER DEFAULT (unixepoch())
+      );
     `
   };
 
@@ -426,7 +938,7 @@ export function validateSchemaVersion(version: number): boolean {
  * Get all table names in the schema
  */
 export function getTableNames(): string[] {
-  return ['entities', 'relations', 'search_index', 'log_entries', 'schema_migrations'];
+  return ['entities', 'relations', 'search_index', 'log_entries', 'log_entries_fts', 'log_templates', 'log_archive_segments', 'alert_state', 'alert_events', 'metric_rollups', 'entity_types', 'relation_types', 'observations', 'schema_migrations'];
 }
 
 /**
@@ -466,7 +978,24 @@ export function getTableIndexes(tableName: string): string[] {
       'idx_logs_timestamp_level',
       'idx_logs_process_id',
       'idx_logs_session_id',
-      'idx_logs_trace_id'
+      'idx_logs_trace_id',
+      'idx_logs_trace_span',
+      'idx_logs_template_timestamp'
+    ],
+    log_archive_segments: [
+      'idx_log_archive_range',
+      'idx_log_archive_expires'
+    ],
+    alert_events: [
+      'idx_alert_events_created',
+      'idx_alert_events_rule'
+    ],
+    metric_rollups: [
+      'idx_metric_rollups_bucket'
+    ],
+    observations: [
+      'idx_observations_entity',
+      'idx_observations_created_at'
     ]
   };
 
@@ -385,23 +385,25 @@ export class CommonStatements {
     return this.stmtManager.get('createLogEntry', `
       INSERT INTO log_entries (
         id, timestamp, level, service, message, metadata,
-        process_id, session_id, trace_id, created_at
-      ) VALUES (?, ?, ?, ?, ?, json(?), ?, ?, ?, unixepoch())
+        process_id, session_id, trace_id, span_id, parent_span_id, created_at
+      ) VALUES (?, ?, ?, ?, ?, json(?), ?, ?, ?, ?, ?, unixepoch())
     `);
   }
 
   insertLogEntry(): Database.Statement {
+    // Clients may resend an entry (with the same ID) when a response is lost
     return this.stmtManager.get('insertLogEntry', `
-      INSERT INTO log_entries (
-        id, timestamp, level, service, message, metadata, process_id, session_id, trace_id
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      INSERT OR IGNORE INTO log_entries (
+        id, timestamp, level, service, message, metadata, process_id, session_id, trace_id,
+        span_id, parent_span_id, sample_rate, template_id
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `);
   }
 
   getLogEntries(): Database.Statement {
     return this.stmtManager.get('getLogEntries', `
       SELECT id, timestamp, level, service, message, metadata,
-             process_id, session_id, trace_id, created_at
+             process_id, session_id, trace_id, span_id, parent_span_id, created_at
       FROM log_entries
       WHERE timestamp >= ? AND timestamp <= ?
       ORDER BY timestamp DESC
@@ -412,7 +414,7 @@ export class CommonStatements {
   getLogEntriesByLevel(): Database.Statement {
     return this.stmtManager.get('getLogEntriesByLevel', `
       SELECT id, timestamp, level, service, message, metadata,
-             process_id, session_id, trace_id, created_at
+             process_id, session_id, trace_id, span_id, parent_span_id, created_at
       FROM log_entries
       WHERE level = ? AND timestamp >= ? AND timestamp <= ?
       ORDER BY timestamp DESC
@@ -423,7 +425,7 @@ export class CommonStatements {
   getLogEntriesByService(): Database.Statement {
     return this.stmtManager.get('getLogEntriesByService', `
       SELECT id, timestamp, level, service, message, metadata,
-             process_id, session_id, trace_id, created_at
+             process_id, session_id, trace_id, span_id, parent_span_id, created_at
       FROM log_entries
       WHERE service = ? AND timestamp >= ? AND timestamp <= ?
       ORDER BY timestamp DESC
@@ -98,6 +98,10 @@ export interface LogEntry {
   process_id?: string;
   session_id?: string;
   trace_id?: string;
+  span_id?: string;
+  parent_span_id?: string;
+  sample_rate?: number;
+  restored_at?: number;
   created_at: number;
 }
 
@@ -112,6 +116,8 @@ export interface CreateLogEntryInput {
   process_id?: string;
   session_id?: string;
   trace_id?: string;
+  span_id?: string;
+  parent_span_id?: string;
 }
 
 // Database statistics
@@ -33,12 +33,32 @@ export {
 
 // Knowledge Graph exports
 export {
-  KnowledgeGraph
+  KnowledgeGraph,
+  SchemaValidationError,
+  HistoryQueryError,
+  GraphAlgorithmError
 } from './knowledge-graph/index.js';
 
 // Logging exports
 export {
-  LoggingService
+  LoggingService,
+  TransportManager,
+  LogSearchSyntaxError,
+  LogQuerySyntaxError,
+  LogImportError,
+  MetricQueryError,
+  LOG_EXPORT_FORMATS,
+  LOG_EXPORT_MEDIA
+} from './logging/index.js';
+export type {
+  LogTailFilter,
+  LogTailEvent,
+  LogTailSubscription,
+  StructuredLogQueryResult,
+  LogExportFormat,
+  LogImportResult,
+  MetricQuery,
+  MetricQueryResult
 } from './logging/index.js';
 
 // Configuration exports (JavaScript modules)
@@ -0,0 +1,597 @@
+/**
+ * Graph Algorithms
+ * Paths, strongly connected components, centrality, connected components and
+ * communities, computed on an in-memory adjacency snapshot of the graph that
+ * each call loads with two queries
+ */
+
+import type { DatabaseConnection } from '../database/connection.js';
+import type {
+  GraphAlgorithmOptions,
+  GraphNode,
+  GraphPathOptions,
+  GraphPath,
+  StronglyConnectedComponent,
+  CentralityOptions,
+  RankedNode,
+  GraphGroupingOptions
+} from '../types/knowledge-graph.js';
+
+type Direction = 'outgoing' | 'incoming' | 'both';
+
+const DIRECTIONS: Direction[] = ['outgoing', 'incoming', 'both'];
+
+/**
+ * Raised for algorithm calls that cannot run, such as an unknown entity or an
+ * out of range option
+ */
+export class GraphAlgorithmError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'GraphAlgorithmError';
+  }
+}
+
+interface Edge {
+  /** Index of the entity on the other end */
+  node: number;
+  relationId: string;
+}
+
+interface RelationRow {
+  id: string;
+  from_id: string;
+  to_id: string;
+}
+
+/**
+ * Entities and relations as adjacency lists over entity indexes. Entities are
+ * ordered by ID; relations to entities outside the snapshot are dropped
+ */
+class AdjacencySnapshot {
+  readonly nodes: GraphNode[];
+  readonly outgoing: Edge[][];
+  readonly incoming: Edge[][];
+  private index = new Map<string, number>();
+
+  constructor(nodes: GraphNode[], relations: RelationRow[]) {
+    this.nodes = nodes;
+    this.outgoing = nodes.map(() => []);
+    this.incoming = nodes.map(() => []);
+    nodes.forEach((node, index) => this.index.set(node.id, index));
+
+    for (const relation of relations) {
+      const from = this.index.get(relation.from_id);
+      const to = this.index.get(relation.to_id);
+      if (from !== undefined && to !== undefined) {
+        this.outgoing[from].push({ node: to, relationId: relation.id });
+        this.incoming[to].push({ node: from, relationId: relation.id });
+      }
+    }
+  }
+
+  indexOf(id: string): number {
+    const index = this.index.get(id);
+    if (index === undefined) {
+      throw new GraphAlgorithmError(`Entity ${id} does not exist or is excluded by the entity type filter`);
+    }
+    return index;
+  }
+
+  edges(node: number, direction: Direction): Edge[] {
+    if (direction === 'outgoing') {
+      return this.outgoing[node];
+    }
+    if (direction === 'incoming') {
+      return this.incoming[node];
+    }
+    return this.outgoing[node].concat(this.incoming[node]);
+  }
+
+  path(nodes: number[], relationIds: string[]): GraphPath {
+    return { nodes: nodes.map(node => this.nodes[node]), relationIds: [...relationIds] };
+  }
+}
+
+function validateDirection(direction: Direction | undefined): Direction {
+  if (direction === undefined) {
+    return 'outgoing';
+  }
+  if (!DIRECTIONS.includes(direction)) {
+    throw new GraphAlgorithmError(`Unknown direction "${direction}"; use ${DIRECTIONS.join(', ')}`);
+  }
+  return direction;
+}
+
+function positiveInteger(name: string, value: number | undefined, fallback: number): number {
+  if (value === undefined) {
+    return fallback;
+  }
+  if (!Number.isInteger(value) || value < 1) {
+    throw new GraphAlgorithmError(`${name} must be a positive integer, not ${value}`);
+  }
+  return value;
+}
+
+function reverse(direction: Direction): Direction {
+  return direction === 'outgoing' ? 'incoming' : direction === 'incoming' ? 'outgoing' : 'both';
+}
+
+/**
+ * Breadth-first distances from an entity, -1 where it cannot be reached
+ */
+function distancesFrom(graph: AdjacencySnapshot, start: number, direction: Direction): Int32Array {
+  const distance = new Int32Array(graph.nodes.length).fill(-1);
+  distance[start] = 0;
+  const queue = [start];
+  for (let head = 0; head < queue.length; head++) {
+    const node = queue[head];
+    for (const edge of graph.edges(node, direction)) {
+      if (distance[edge.node] === -1) {
+        distance[edge.node] = distance[node] + 1;
+        queue.push(edge.node);
+      }
+    }
+  }
+  return distance;
+}
+
+/**
+ * Seeded pseudo-random numbers in [0, 1) (mulberry32), so that randomized
+ * algorithms give the same result for the same graph
+ */
+function seededRandom(seed: number): () => number {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Groups of entity indexes by label, largest first, each ordered by ID
+ */
+function groupByLabel(graph: AdjacencySnapshot, labels: Int32Array, minSize: number): GraphNode[][] {
+  const groups = new Map<number, number[]>();
+  labels.forEach((label, node) => {
+    const group = groups.get(label);
+    if (group) {
+      group.push(node);
+    } else {
+      groups.set(label, [node]);
+    }
+  });
+
+  return [...groups.values()]
+    .filter(group => group.length >= minSize)
+    .sort((a, b) => b.length - a.length || a[0] - b[0])
+    .map(group => group.map(node => graph.nodes[node]));
+}
+
+export class GraphAlgorithms {
+  private db: DatabaseConnection;
+
+  constructor(db: DatabaseConnection) {
+    this.db = db;
+  }
+
+  /**
+   * A path with the fewest relations between two entities, or null when the
+   * end cannot be reached
+   */
+  shortestPath(fromId: string, toId: string, options: GraphPathOptions = {}): GraphPath | null {
+    const direction = validateDirection(options.direction);
+    const graph = this.load(options);
+    const from = graph.indexOf(fromId);
+    const to = graph.indexOf(toId);
+
+    const parent = new Int32Array(graph.nodes.length).fill(-1);
+    const via: string[] = [];
+    parent[from] = from;
+    const queue = [from];
+    for (let head = 0; head < queue.length && parent[to] === -1; head++) {
+      const node = queue[head];
+      for (const edge of graph.edges(node, direction)) {
+        if (parent[edge.node] === -1) {
+          parent[edge.node] = node;
+          via[edge.node] = edge.relationId;
+          queue.push(edge.node);
+        }
+      }
+    }
+    if (parent[to] === -1) {
+      return null;
+    }
+
+    const nodes = [to];
+    const relationIds: string[] = [];
+    for (let node = to; node !== from; node = parent[node]) {
+      nodes.unshift(parent[node]);
+      relationIds.unshift(via[node]);
+    }
+    return graph.path(nodes, relationIds);
+  }
+
+  /**
+   * Simple paths (no entity twice) between two entities of at most maxDepth
+   * relations, shortest first, up to limit paths
+   */
+  paths(fromId: string, toId: string, options: GraphPathOptions = {}): GraphPath[] {
+    const direction = validateDirection(options.direction);
+    const maxDepth = positiveInteger('maxDepth', options.maxDepth, 6);
+    const limit = positiveInteger('limit', options.limit, 100);
+    const graph = this.load(options);
+    const from = graph.indexOf(fromId);
+    const to = graph.indexOf(toId);
+    if (from === to) {
+      return [graph.path([from], [])];
+    }
+
+    // Distances to the end prune branches that cannot arrive in time
+    const remaining = distancesFrom(graph, to, reverse(direction));
+    const paths: GraphPath[] = [];
+    const nodes = [from];
+    const relationIds: string[] = [];
+    const onPath = new Uint8Array(graph.nodes.length);
+    onPath[from] = 1;
+
+    // Depth-first search for paths of exactly `length` relations, for each
+    // length in turn so that shorter paths fill the limit first
+    const visit = (node: number, length: number): void => {
+      for (const edge of graph.edges(node, direction)) {
+        if (paths.length >= limit) {
+          return;
+        }
+        const distance = remaining[edge.node];
+        if (onPath[edge.node] || distance === -1 || relationIds.length + 1 + distance > length) {
+          continue;
+        }
+        nodes.push(edge.node);
+        relationIds.push(edge.relationId);
+        if (edge.node === to) {
+          if (relationIds.length === length) {
+            paths.push(graph.path(nodes, relationIds));
+          }
+        } else {
+          onPath[edge.node] = 1;
+          visit(edge.node, length);
+          onPath[edge.node] = 0;
+        }
+        nodes.pop();
+        relationIds.pop();
+      }
+    };
+
+    if (remaining[from] !== -1) {
+      for (let length = remaining[from]; length <= maxDepth && paths.length < limit; length++) {
+        visit(from, length);
+      }
+    }
+    return paths;
+  }
+
+  /**
+   * Strongly connected components with more than one entity, largest first,
+   * found with Tarjan's algorithm over relation direction. Each is a set of
+   * entities on cycles, such as circular dependencies
+   */
+  stronglyConnectedComponents(options: GraphAlgorithmOptions = {}): StronglyConnectedComponent[] {
+    const graph = this.load(options);
+    const count = graph.nodes.length;
+    const index = new Int32Array(count).fill(-1);
+    const low = new Int32Array(count);
+    const onStack = new Uint8Array(count);
+    const stack: number[] = [];
+    const components: number[][] = [];
+    let counter = 0;
+
+    const open = (node: number): void => {
+      index[node] = low[node] = counter++;
+      stack.push(node);
+      onStack[node] = 1;
+    };
+
+    // Iterative depth-first search; each frame is an entity and its next edge
+    for (let root = 0; root < count; root++) {
+      if (index[root] !== -1) {
+        continue;
+      }
+      open(root);
+      const frames: Array<[number, number]> = [[root, 0]];
+
+      while (frames.length > 0) {
+        const frame = frames[frames.length - 1];
+        const node = frame[0];
+        const edges = graph.outgoing[node];
+
+        if (frame[1] < edges.length) {
+          const next = edges[frame[1]++].node;
+          if (index[next] === -1) {
+            open(next);
+            frames.push([next, 0]);
+          } else if (onStack[next]) {
+            low[node] = Math.min(low[node], index[next]);
+          }
+          continue;
+        }
+
+        frames.pop();
+        if (frames.length > 0) {
+          const parent = frames[frames.length - 1][0];
+          low[parent] = Math.min(low[parent], low[node]);
+        }
+        if (low[node] === index[node]) {
+          const component: number[] = [];
+          let member: number;
+          do {
+            member = stack.pop()!;
+            onStack[member] = 0;
+            component.push(member);
+          } while (member !== node);
+          if (component.length > 1) {
+            components.push(component.sort((a, b) => a - b));
+          }
+        }
+      }
+    }
+
+    return components
+      .sort((a, b) => b.length - a.length || a[0] - b[0])
+      .map(component => ({
+        nodes: component.map(node => graph.nodes[node]),
+        cycle: this.cycleThrough(graph, component).map(node => graph.nodes[node])
+      }));
+  }
+
+  /**
+   * Entities ranked by PageRank (how much of the graph depends on them,
+   * following relation direction) or betweenness (how many shortest paths
+   * run through them), highest first
+   */
+  centrality(options: CentralityOptions = {}): RankedNode[] {
+    const algorithm = options.algorithm || 'pagerank';
+    if (algorithm !== 'pagerank' && algorithm !== 'betweenness') {
+      throw new GraphAlgorithmError(`Unknown centrality algorithm "${algorithm}"; use pagerank or betweenness`);
+    }
+    const limit = positiveInteger('limit', options.limit, 20);
+    const damping = options.damping ?? 0.85;
+    if (!(damping > 0 && damping < 1)) {
+      throw new GraphAlgorithmError(`damping must be between 0 and 1, not ${damping}`);
+    }
+    const iterations = positiveInteger('iterations', options.iterations, 100);
+    const graph = this.load(options);
+    const samples = Math.min(positiveInteger('samples', options.samples, graph.nodes.length || 1), graph.nodes.length);
+
+    const scores = algorithm === 'pagerank'
+      ? this.pageRank(graph, damping, iterations)
+      : this.betweenness(graph, samples);
+
+    return graph.nodes
+      .map((node, index) => ({ ...node, score: scores[index] }))
+      .sort((a, b) => b.score - a.score || (a.id < b.id ? -1 : 1))
+      .slice(0, limit);
+  }
+
+  /**
+   * Weakly connected components: groups of entities linked by relations in
+   * either direction, largest first
+   */
+  connectedComponents(options: GraphGroupingOptions = {}): GraphNode[][] {
+    const minSize = positiveInteger('minSize', options.minSize, 1);
+    const graph = this.load(options);
+    const labels = new Int32Array(graph.nodes.length).fill(-1);
+
+    for (let root = 0; root < graph.nodes.length; root++) {
+      if (labels[root] !== -1) {
+        continue;
+      }
+      labels[root] = root;
+      const queue = [root];
+      for (let head = 0; head < queue.length; head++) {
+        for (const edge of graph.edges(queue[head], 'both')) {
+          if (labels[edge.node] === -1) {
+            labels[edge.node] = root;
+            queue.push(edge.node);
+          }
+        }
+      }
+    }
+
+    return groupByLabel(graph, labels, minSize);
+  }
+
+  /**
+   * Communities found by label propagation, ignoring relation direction: each
+   * entity repeatedly takes the label most common among its neighbours until
+   * no label changes. Ties keep the current label, else are broken at random;
+   * the visiting order is shuffled each round. The random numbers are seeded,
+   * so results are repeatable
+   */
+  communities(options: GraphGroupingOptions = {}): GraphNode[][] {
+    const minSize = positiveInteger('minSize', options.minSize, 1);
+    const iterations = positiveInteger('iterations', options.iterations, 20);
+    const graph = this.load(options);
+    const count = graph.nodes.length;
+    const labels = Int32Array.from({ length: count }, (_, node) => node);
+    const neighbours = graph.nodes.map((_, node) => graph.edges(node, 'both').map(edge => edge.node));
+    const random = seededRandom(count);
+    const order = Array.from({ length: count }, (_, node) => node);
+
+    for (let round = 0; round < iterations; round++) {
+      for (let position = count - 1; position > 0; position--) {
+        const swap = Math.floor(random() * (position + 1));
+        [order[position], order[swap]] = [order[swap], order[position]];
+      }
+
+      let changed = false;
+      for (const node of order) {
+        if (neighbours[node].length === 0) {
+          continue;
+        }
+        const counts = new Map<number, number>();
+        for (const neighbour of neighbours[node]) {
+          counts.set(labels[neighbour], (counts.get(labels[neighbour]) || 0) + 1);
+        }
+
+        const current = labels[node];
+        let most = 0;
+        counts.forEach(labelCount => {
+          most = Math.max(most, labelCount);
+        });
+        if (counts.get(current) === most) {
+          continue;
+        }
+        const candidates = [...counts].filter(([, labelCount]) => labelCount === most).map(([label]) => label);
+        labels[node] = candidates[Math.floor(random() * candidates.length)];
+        changed = true;
+      }
+      if (!changed) {
+        break;
+      }
+    }
+
+    return groupByLabel(graph, labels, minSize);
+  }
+
+  /**
+   * Scores summing to 1; entities without outgoing relations share their rank
+   * with every entity
+   */
+  private pageRank(graph: AdjacencySnapshot, damping: number, iterations: number): Float64Array {
+    const count = graph.nodes.length;
+    let rank = new Float64Array(count).fill(1 / count);
+
+    for (let round = 0; round < iterations; round++) {
+      const next = new Float64Array(count);
+      let dangling = 0;
+      for (let node = 0; node < count; node++) {
+        const edges = graph.outgoing[node];
+        if (edges.length === 0) {
+          dangling += rank[node];
+          continue;
+        }
+        const share = rank[node] / edges.length;
+        for (const edge of edges) {
+          next[edge.node] += share;
+        }
+      }
+
+      const base = (1 - damping + damping * dangling) / count;
+      let delta = 0;
+      for (let node = 0; node < count; node++) {
+        next[node] = base + damping * next[node];
+        delta += Math.abs(next[node] - rank[node]);
+      }
+      rank = next;
+      if (delta < 1e-9) {
+        break;
+      }
+    }
+    return rank;
+  }
+
+  /**
+   * Brandes' betweenness over relation direction, from `samples` evenly spaced
+   * source entities, scaled up to estimate the full score
+   */
+  private betweenness(graph: AdjacencySnapshot, samples: number): Float64Array {
+    const count = graph.nodes.length;
+    const scores = new Float64Array(count);
+    const paths = new Float64Array(count);
+    const distance = new Int32Array(count).fill(-1);
+    const dependency = new Float64Array(count);
+
+    for (let sample = 0; sample < samples; sample++) {
+      const source = Math.floor(sample * count / samples);
+      paths[source] = 1;
+      distance[source] = 0;
+      const order = [source];
+      for (let head = 0; head < order.length; head++) {
+        const node = order[head];
+        for (const edge of graph.outgoing[node]) {
+          if (distance[edge.node] === -1) {
+            distance[edge.node] = distance[node] + 1;
+            order.push(edge.node);
+          }
+          if (distance[edge.node] === distance[node] + 1) {
+            paths[edge.node] += paths[node];
+          }
+        }
+      }
+
+      // Predecessors on shortest paths are the incoming neighbours one step closer
+      for (let position = order.length - 1; position >= 0; position--) {
+        const node = order[position];
+        for (const edge of graph.incoming[node]) {
+          if (distance[edge.node] === distance[node] - 1) {
+            dependency[edge.node] += paths[edge.node] / paths[node] * (1 + dependency[node]);
+          }
+        }
+        if (node !== source) {
+          scores[node] += dependency[node];
+        }
+      }
+
+      for (const node of order) {
+        paths[node] = 0;
+        distance[node] = -1;
+        dependency[node] = 0;
+      }
+    }
+
+    if (samples < count) {
+      const scale = count / samples;
+      scores.forEach((score, node) => {
+        scores[node] = score * scale;
+      });
+    }
+    return scores;
+  }
+
+  /**
+   * A shortest cycle through the first entity of a strongly connected
+   * component, staying inside the component
+   */
+  private cycleThrough(graph: AdjacencySnapshot, component: number[]): number[] {
+    const start = component[0];
+    const members = new Set(component);
+    const parent = new Map<number, number>([[start, start]]);
+    const queue = [start];
+
+    for (let head = 0; head < queue.length; head++) {
+      const node = queue[head];
+      for (const edge of graph.outgoing[node]) {
+        if (edge.node === start) {
+          const cycle = [node];
+          while (cycle[0] !== start) {
+            cycle.unshift(parent.get(cycle[0])!);
+          }
+          return cycle;
+        }
+        if (members.has(edge.node) && !parent.has(edge.node)) {
+          parent.set(edge.node, node);
+          queue.push(edge.node);
+        }
+      }
+    }
+    return [start];
+  }
+
+  private load(options: GraphAlgorithmOptions): AdjacencySnapshot {
+    const entityFilter = options.entityTypes?.length ? ' WHERE type IN (SELECT value FROM json_each(?))' : '';
+    const relationFilter = options.relationTypes?.length ? ' WHERE type IN (SELECT value FROM json_each(?))' : '';
+
+    const nodes: GraphNode[] = this.db.query(
+      `SELECT id, type, name FROM entities${entityFilter} ORDER BY id`,
+      entityFilter ? [JSON.stringify(options.entityTypes)] : []
+    );
+    const relations: RelationRow[] = this.db.query(
+      `SELECT id, from_id, to_id FROM relations${relationFilter} ORDER BY id`,
+      relationFilter ? [JSON.stringify(options.relationTypes)] : []
+    );
+    return new AdjacencySnapshot(nodes, relations);
+  }
+}
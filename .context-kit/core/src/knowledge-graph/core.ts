@@ -13,11 +13,34 @@ import type {
   KnowledgeGraphStats,
   GraphTraversalOptions,
   EntityFilter,
-  RelationFilter
+  RelationFilter,
+  SourceIndexOptions,
+  SourceIndexResult,
+  EntityTypeDefinition,
+  RelationTypeDefinition,
+  GraphSchema,
+  SchemaValidationMode,
+  EntityRevision,
+  EntityHistoryOptions,
+  EntityDiff,
+  GraphSnapshot,
+  GraphAlgorithmOptions,
+  GraphNode,
+  GraphPathOptions,
+  GraphPath,
+  StronglyConnectedComponent,
+  CentralityOptions,
+  RankedNode,
+  GraphGroupingOptions
 } from '../types/knowledge-graph.js';
 import type { SearchOptions, SearchResult } from '../types/search.js';
 import { UnifiedSearchEngine } from '../search/engine.js';
 import { SearchIndexer } from '../search/indexer.js';
+import { SourceIndexer } from './source-indexer.js';
+import { TypeRegistry, SchemaValidationError } from './type-registry.js';
+import { EntityHistory } from './history.js';
+import { GraphTraversal, type TraversalResult } from './traversal.js';
+import { GraphAlgorithms } from './algorithms.js';
 import { IdGenerator } from '../utils/id-generator.js';
 import { knowledgeGraphLogger as logger, timeOperation } from '../utils/logger.js';
 
@@ -29,12 +52,7 @@ function ensureError(error: unknown): Error {
   return new Error(String(error));
 }
 
-export interface TraversalResult {
-  entities: Entity[];
-  relations: Relation[];
-  depth: number;
-  traversalPath: string[];
-}
+const SCHEMA_VALIDATION_MODES: SchemaValidationMode[] = ['off', 'warn', 'strict'];
 
 export interface GraphAnalytics {
   entityCount: number;
@@ -51,6 +69,10 @@ export class KnowledgeGraph {
   private db: DatabaseConnection;
   private searchEngine: UnifiedSearchEngine;
   private indexer: SearchIndexer;
+  private types: TypeRegistry;
+  private history: EntityHistory;
+  private traversal: GraphTraversal;
+  private algorithms: GraphAlgorithms;
   private config: Required<KnowledgeGraphConfig>;
 
   constructor(
@@ -58,6 +80,11 @@ export class KnowledgeGraph {
     config: KnowledgeGraphConfig = {}
   ) {
     this.db = db;
+
+    if (config.schemaValidation && !SCHEMA_VALIDATION_MODES.includes(config.schemaValidation)) {
+      logger.warn('Unknown schema validation mode, using warn', { schemaValidation: config.schemaValidation });
+    }
+
     this.config = {
       databasePath: config.databasePath || '',
       projectRoot: config.projectRoot || process.cwd(),
@@ -77,7 +104,8 @@ export class KnowledgeGraph {
       enableIndexing: config.enableIndexing ?? true,
       autoOptimize: config.autoOptimize ?? true,
       traversalMaxDepth: config.traversalMaxDepth || 10,
-      analyticsEnabled: config.analyticsEnabled ?? true
+      analyticsEnabled: config.analyticsEnabled ?? true,
+      schemaValidation: SCHEMA_VALIDATION_MODES.includes(config.schemaValidation) ? config.schemaValidation : 'warn'
     };
 
     this.searchEngine = new UnifiedSearchEngine(db, {
@@ -88,6 +116,13 @@ export class KnowledgeGraph {
 
     this.indexer = new SearchIndexer(db);
 
+    this.types = new TypeRegistry(db);
+    this.registerConfiguredTypes();
+
+    this.history = new EntityHistory(db);
+    this.traversal = new GraphTraversal(db);
+    this.algorithms = new GraphAlgorithms(db);
+
     logger.info('KnowledgeGraph initialized', { config: this.config });
   }
 
@@ -112,6 +147,8 @@ export class KnowledgeGraph {
         version: 1
       };
 
+      this.checkEntity(entity);
+
       // Insert entity
       const stmt = this.db.statements.insertEntity();
       stmt.run(
@@ -190,6 +227,8 @@ export class KnowledgeGraph {
         version: existingEntity.version + 1
       };
 
+      this.checkEntity(updatedEntity);
+
       // Update entity
       const stmt = this.db.statements.updateEntity();
       stmt.run(
@@ -326,6 +365,13 @@ export class KnowledgeGraph {
         throw new Error(`To entity not found: ${toEntityId}`);
       }
 
+      if (this.config.schemaValidation !== 'off') {
+        this.enforceSchema(
+          `Relation ${fromEntity.name} -${data.type}-> ${toEntity.name}`,
+          this.types.validateRelation(data.type, fromEntity.type, toEntity.type, data.properties || {})
+        );
+      }
+
       const relation: Relation = {
         id: IdGenerator.generateRelationId(),
         type: data.type,
@@ -479,6 +525,134 @@ export class KnowledgeGraph {
     }
   }
 
+  // ============================================================================
+  // TYPE REGISTRY
+  // ============================================================================
+
+  /**
+   * Register (or replace) an entity type that entities are validated against
+   */
+  registerEntityType(definition: EntityTypeDefinition): EntityTypeDefinition {
+    const registered = this.types.registerEntityType(definition);
+    logger.info('Entity type registered', { type: registered.name });
+    return registered;
+  }
+
+  /**
+   * Register (or replace) a relation type that relations are validated against
+   */
+  registerRelationType(definition: RelationTypeDefinition): RelationTypeDefinition {
+    const registered = this.types.registerRelationType(definition);
+    logger.info('Relation type registered', { type: registered.name });
+    return registered;
+  }
+
+  /**
+   * Remove an entity type definition; existing entities are left as they are
+   */
+  removeEntityType(name: string): boolean {
+    return this.types.removeEntityType(name);
+  }
+
+  /**
+   * Remove a relation type definition; existing relations are left as they are
+   */
+  removeRelationType(name: string): boolean {
+    return this.types.removeRelationType(name);
+  }
+
+  /**
+   * Registered types, plus the types in use without a definition and the
+   * registered type each one most likely duplicates
+   */
+  getSchema(): GraphSchema {
+    return {
+      mode: this.config.schemaValidation,
+      entityTypes: this.types.listEntityTypes(),
+      relationTypes: this.types.listRelationTypes(),
+      unregistered: this.types.findUnregistered()
+    };
+  }
+
+  private registerConfiguredTypes(): void {
+    for (const definition of this.config.entityTypes) {
+      try {
+        this.types.registerEntityType(definition);
+      } catch (error) {
+        logger.warn('Skipping invalid entity type from config', { type: definition?.name, error: ensureError(error).message });
+      }
+    }
+    for (const definition of this.config.relationTypes) {
+      try {
+        this.types.registerRelationType(definition);
+      } catch (error) {
+        logger.warn('Skipping invalid relation type from config', { type: definition?.name, error: ensureError(error).message });
+      }
+    }
+  }
+
+  private checkEntity(entity: Entity): void {
+    if (this.config.schemaValidation !== 'off') {
+      this.enforceSchema(`${entity.type} '${entity.name}'`, this.types.validateEntity(entity.type, entity.data));
+    }
+  }
+
+  /**
+   * Strict mode rejects violations; warn mode logs them and lets the write through
+   */
+  private enforceSchema(subject: string, violations: string[]): void {
+    if (violations.length === 0) {
+      return;
+    }
+    if (this.config.schemaValidation === 'strict') {
+      throw new SchemaValidationError(`${subject} does not match its type: ${violations.join('; ')}`, violations);
+    }
+    logger.warn('Schema validation failed', { subject, violations });
+  }
+
+  // ============================================================================
+  // HISTORY
+  // ============================================================================
+
+  /**
+   * Revisions of an entity, oldest first, including changes to its outgoing
+   * relations. Every write is recorded, including SQL run outside this class
+   */
+  getEntityHistory(id: string, options: EntityHistoryOptions = {}): EntityRevision[] {
+    return this.history.getHistory(id, options);
+  }
+
+  /**
+   * Properties and relations that differ between two versions of an entity,
+   * or null when the entity has no history
+   */
+  diffEntityVersions(id: string, fromVersion: number, toVersion: number): EntityDiff | null {
+    return this.history.diff(id, fromVersion, toVersion);
+  }
+
+  /**
+   * The entities and relations that existed at a timestamp (milliseconds)
+   */
+  getGraphAsOf(timestamp: number): GraphSnapshot {
+    return this.history.snapshotAt(timestamp);
+  }
+
+  // ============================================================================
+  // SOURCE INDEXING
+  // ============================================================================
+
+  /**
+   * Index a TypeScript/React project into Module, Component, Page, Route and
+   * Hook entities. Files whose hash is unchanged since the last run are skipped
+   */
+  async indexSource(options: SourceIndexOptions = {}): Promise<SourceIndexResult> {
+    const indexer = new SourceIndexer(this, this.db, {
+      ...options,
+      root: options.root || this.config.projectRoot
+    });
+    return indexer.run();
+  }
+
   // ============================================================================
   // SEARCH OPERATIONS
   // ============================================================================
@@ -514,7 +688,8 @@ export class KnowledgeGraph {
   // ============================================================================
 
   /**
-   * Traverse the graph from a starting entity
+   * Traverse the graph breadth-first from an entity, one query per level, and
+   * return the reached entities with the shortest path to each
    */
   async traverseGraph(
     startEntityId: string,
@@ -523,104 +698,70 @@ export class KnowledgeGraph {
     const timer = timeOperation('graph_traversal', logger);
 
     try {
-      const maxDepth = options.maxDepth || this.config.traversalMaxDepth;
-      const relationTypes = options.relationTypes;
-      const direction = options.direction || 'both';
-
-      const visited = new Set<string>();
-      const entities: Entity[] = [];
-      const relations: Relation[] = [];
-      const traversalPath: string[] = [];
-
-      await this.traverseRecursive(
-        startEntityId,
-        0,
-        maxDepth,
-        direction,
-        relationTypes,
-        visited,
-        entities,
-        relations,
-        traversalPath
-      );
-
-      const result: TraversalResult = {
-        entities,
-        relations,
-        depth: Math.max(...traversalPath.map(p => p.split('->').length - 1), 0),
-        traversalPath
-      };
+      const result = this.traversal.traverse(startEntityId, options, this.config.traversalMaxDepth);
 
       timer.finish({
         success: true,
-        entityCount: entities.length,
-        relationCount: relations.length,
+        entityCount: result.entities.length,
+        relationCount: result.relations.length,
         maxDepth: result.depth
       });
 
       return result;
     } catch (error) {
-      timer.finish({ success: false, error: error.message });
-      logger.error('Graph traversal failed', error, { startEntityId, options });
-      throw error;
+      const err = ensureError(error);
+      timer.finish({ success: false, error: err.message });
+      logger.error('Graph traversal failed', err, { startEntityId, options });
+      throw err;
     }
   }
 
+  // ============================================================================
+  // GRAPH ALGORITHMS
+  // ============================================================================
+
   /**
-   * Recursive traversal helper
+   * A path with the fewest relations between two entities, or null when there
+   * is none
    */
-  private async traverseRecursive(
-    entityId: string,
-    currentDepth: number,
-    maxDepth: number,
-    direction: 'incoming' | 'outgoing' | 'both',
-    relationTypes: string[] | undefined,
-    visited: Set<string>,
-    entities: Entity[],
-    relations: Relation[],
-    traversalPath: string[]
-  ): Promise<void> {
-    if (currentDepth >= maxDepth || visited.has(entityId)) {
-      return;
-    }
-
-    visited.add(entityId);
-
-    // Get the entity
-    const entity = await this.getEntity(entityId);
-    if (entity) {
-      entities.push(entity);
-      traversalPath.push(entityId);
-    }
+  findShortestPath(fromId: string, toId: string, options: GraphPathOptions = {}): GraphPath | null {
+    return this.algorithms.shortestPath(fromId, toId, options);
+  }
 
-    // Get relations
-    const entityRelations = await this.getEntityRelations(entityId, direction);
+  /**
+   * Simple paths between two entities, shortest first
+   */
+  findPaths(fromId: string, toId: string, options: GraphPathOptions = {}): GraphPath[] {
+    return this.algorithms.paths(fromId, toId, options);
+  }
 
-    for (const relation of entityRelations) {
-      // Filter by relation types if specified
-      if (relationTypes && !relationTypes.includes(relation.type)) {
-        continue;
-      }
+  /**
+   * Groups of entities that reach each other through relations, each with a
+   * cycle through them; used for circular dependency detection
+   */
+  findStronglyConnectedComponents(options: GraphAlgorithmOptions = {}): StronglyConnectedComponent[] {
+    return this.algorithms.stronglyConnectedComponents(options);
+  }
 
-      relations.push(relation);
+  /**
+   * Most central entities by PageRank or betweenness
+   */
+  getCentrality(options: CentralityOptions = {}): RankedNode[] {
+    return this.algorithms.centrality(options);
+  }
 
-      // Continue traversal to connected entities
-      const nextEntityId = relation.from_id === entityId
-        ? relation.to_id
-        : relation.from_id;
+  /**
+   * Groups of entities linked by relations in either direction
+   */
+  getConnectedComponents(options: GraphGroupingOptions = {}): GraphNode[][] {
+    return this.algorithms.connectedComponents(options);
+  }
 
-      await this.traverseRecursive(
-        nextEntityId,
-        currentDepth + 1,
-        maxDepth,
-        direction,
-        relationTypes,
-        visited,
-        entities,
-        relations,
-        traversalPath
-      );
-    }
+  /**
+   * Densely linked groups of entities found by label propagation
+   */
+  detectCommunities(options: GraphGroupingOptions = {}): GraphNode[][] {
+    return this.algorithms.communities(options);
   }
 
   // ============================================================================
@@ -710,21 +851,10 @@ export class KnowledgeGraph {
       // Calculate average connections
       const averageConnections = entityCount > 0 ? (relationCount * 2) / entityCount : 0;
 
-      // Detect cycles (simplified - just check for bidirectional relations)
-      const cyclicResults = this.db.query(`
-        SELECT
-          r1.from_id as entity1,
-          r1.to_id as entity2
-        FROM relations r1
-        JOIN relations r2 ON (
-          r1.from_id = r2.to_id AND
-          r1.to_id = r2.from_id AND
-          r1.id < r2.id
-        )
-        LIMIT 50
-      `);
-
-      const cyclicPaths = cyclicResults.map((row: any) => [row.entity1, row.entity2]);
+      // One cycle per strongly connected component, largest first
+      const cyclicPaths = this.algorithms.stronglyConnectedComponents()
+        .slice(0, 50)
+        .map(component => component.cycle.map(node => node.id));
 
       const analytics: GraphAnalytics = {
         entityCount,
@@ -0,0 +1,303 @@
+/**
+ * Entity History
+ * Reads the append-only observations table, which SQLite triggers fill on every
+ * entity and relation write, to give an entity's revisions, the differences
+ * between two of its versions, and the whole graph as it was at a past time
+ */
+
+import type { DatabaseConnection } from '../database/connection.js';
+import type {
+  Entity,
+  Relation,
+  Observation,
+  PropertyChange,
+  EntityRevision,
+  EntityHistoryOptions,
+  EntityDiff,
+  GraphSnapshot
+} from '../types/knowledge-graph.js';
+
+/** Observation keys of an entity's data properties and outgoing relations */
+const DATA_PREFIX = 'data.';
+const RELATION_PREFIX = 'relations.';
+
+/**
+ * Raised for history queries that cannot be answered, such as versions the
+ * entity never had
+ */
+export class HistoryQueryError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'HistoryQueryError';
+  }
+}
+
+type ObservationRow = Required<Pick<Observation, 'id' | 'entity_id' | 'key' | 'value' | 'version' | 'created_at'>> & {
+  observation_type: 'create' | 'update' | 'delete';
+};
+
+interface ObservedValue {
+  /** JSON serialized value */
+  value: string;
+  /** When the value was first observed */
+  since: number;
+}
+
+/**
+ * One lifetime of an entity (from its create to its delete) rebuilt from
+ * observations
+ */
+interface ReplayedEntity {
+  exists: boolean;
+  values: Map<string, ObservedValue>;
+  createdAt: number;
+  updatedAt: number;
+  version: number;
+}
+
+const OBSERVATION_COLUMNS = 'id, entity_id, key, value, version, observation_type, created_at';
+
+/**
+ * Apply one observation to the replayed entities. Returns the entity's state,
+ * or undefined when the row does not apply: a write to an entity that does not
+ * exist at that point, which happens for relations stamped before the entity
+ * they were backfilled with
+ */
+function applyObservation(states: Map<string, ReplayedEntity>, row: ObservationRow): ReplayedEntity | undefined {
+  let state = states.get(row.entity_id);
+
+  if (row.observation_type === 'delete') {
+    if (state) {
+      state.exists = false;
+      state.values = new Map();
+      state.version = row.version;
+      state.updatedAt = row.created_at;
+    }
+    return state;
+  }
+
+  if (!state || !state.exists) {
+    if (row.observation_type !== 'create') {
+      return undefined;
+    }
+    state = { exists: true, values: new Map(), createdAt: row.created_at, updatedAt: row.created_at, version: row.version };
+    states.set(row.entity_id, state);
+  }
+
+  if (row.value === null) {
+    state.values.delete(row.key);
+  } else if (state.values.get(row.key)?.value !== row.value) {
+    state.values.set(row.key, { value: row.value, since: row.created_at });
+  }
+  state.version = row.version;
+  if (!row.key.startsWith(RELATION_PREFIX)) {
+    state.updatedAt = row.created_at;
+  }
+  return state;
+}
+
+function parseValue(value: string | undefined): any {
+  return value === undefined ? undefined : JSON.parse(value);
+}
+
+function toEntity(id: string, state: ReplayedEntity): Entity {
+  const data: Record<string, any> = {};
+  for (const [key, observed] of state.values) {
+    if (key.startsWith(DATA_PREFIX)) {
+      data[key.slice(DATA_PREFIX.length)] = JSON.parse(observed.value);
+    }
+  }
+
+  return {
+    id,
+    type: parseValue(state.values.get('type')?.value),
+    name: parseValue(state.values.get('name')?.value),
+    data,
+    created_at: state.createdAt,
+    updated_at: state.updatedAt,
+    version: state.version
+  };
+}
+
+function toRelations(fromId: string, state: ReplayedEntity): Relation[] {
+  const relations: Relation[] = [];
+  for (const [key, observed] of state.values) {
+    if (key.startsWith(RELATION_PREFIX)) {
+      const { type, to_id, properties } = JSON.parse(observed.value);
+      relations.push({
+        id: key.slice(RELATION_PREFIX.length),
+        from_id: fromId,
+        to_id,
+        type,
+        properties,
+        created_at: observed.since
+      });
+    }
+  }
+  return relations;
+}
+
+/**
+ * Changes from one set of observed values to another, in the order the keys
+ * were first observed
+ */
+function compareValues(before: Map<string, ObservedValue>, after: Map<string, ObservedValue>): PropertyChange[] {
+  const changes: PropertyChange[] = [];
+  for (const [key, previous] of before) {
+    const next = after.get(key);
+    if (!next) {
+      changes.push({ key, change: 'removed', before: JSON.parse(previous.value) });
+    } else if (next.value !== previous.value) {
+      changes.push({ key, change: 'changed', before: JSON.parse(previous.value), after: JSON.parse(next.value) });
+    }
+  }
+  for (const [key, next] of after) {
+    if (!before.has(key)) {
+      changes.push({ key, change: 'added', after: JSON.parse(next.value) });
+    }
+  }
+  return changes;
+}
+
+export class EntityHistory {
+  private db: DatabaseConnection;
+
+  constructor(db: DatabaseConnection) {
+    this.db = db;
+  }
+
+  /**
+   * Revisions of an entity, oldest first. Writes from one statement share a
+   * timestamp and are grouped into one revision; relation changes are
+   * revisions of the relation's source entity
+   */
+  getHistory(entityId: string, options: EntityHistoryOptions = {}): EntityRevision[] {
+    const rows = this.observationsOf(entityId);
+
+    const states = new Map<string, ReplayedEntity>();
+    const revisions: EntityRevision[] = [];
+    let revision: EntityRevision | undefined;
+
+    for (const row of rows) {
+      const previous = states.get(entityId)?.exists ? states.get(entityId)!.values.get(row.key) : undefined;
+      const state = applyObservation(states, row);
+      if (!state) {
+        continue;
+      }
+
+      if (!revision || revision.timestamp !== row.created_at ||
+          revision.version !== row.version || revision.observation_type !== row.observation_type) {
+        revision = { version: row.version, observation_type: row.observation_type, timestamp: row.created_at, changes: [] };
+        revisions.push(revision);
+      }
+
+      if (row.observation_type === 'delete') {
+        continue;
+      }
+      const next = state.values.get(row.key);
+      if (previous?.value === next?.value) {
+        continue;
+      }
+      revision.changes.push({
+        key: row.key,
+        change: !previous ? 'added' : !next ? 'removed' : 'changed',
+        ...(previous && { before: JSON.parse(previous.value) }),
+        ...(next && { after: JSON.parse(next.value) })
+      });
+    }
+
+    const selected = revisions.filter(r =>
+      (r.changes.length > 0 || r.observation_type !== 'update') &&
+      (options.since === undefined || r.timestamp >= options.since) &&
+      (options.until === undefined || r.timestamp <= options.until)
+    );
+    return options.limit !== undefined ? selected.slice(-options.limit) : selected;
+  }
+
+  /**
+   * Differences between two versions of an entity's current lifetime (since
+   * it was last created). A version's state includes every write made while
+   * the entity was at that version, relation changes among them. Returns null
+   * for entities with no history
+   */
+  diff(entityId: string, fromVersion: number, toVersion: number): EntityDiff | null {
+    const rows = this.observationsOf(entityId);
+    if (rows.length === 0) {
+      return null;
+    }
+
+    // Start of the current lifetime: the first create after the last delete
+    let start = 0;
+    rows.forEach((row, index) => {
+      if (row.observation_type === 'delete') {
+        start = index + 1;
+      }
+    });
+    const lifetime = rows.slice(start);
+    if (lifetime.length === 0) {
+      throw new HistoryQueryError(`Entity ${entityId} was deleted; its versions are no longer current`);
+    }
+
+    // Writes that change nothing still bump the version without an observation
+    const first = lifetime[0].version;
+    const current = this.db.queryOne('SELECT version FROM entities WHERE id = ?', [entityId]);
+    const last = Math.max(lifetime[lifetime.length - 1].version, current?.version ?? 0);
+    for (const version of [fromVersion, toVersion]) {
+      if (!Number.isInteger(version) || version < first || version > last) {
+        throw new HistoryQueryError(`Entity ${entityId} has versions ${first} to ${last}, not ${version}`);
+      }
+    }
+
+    const stateAt = (version: number): Map<string, ObservedValue> => {
+      const states = new Map<string, ReplayedEntity>();
+      for (const row of lifetime) {
+        if (row.version > version) {
+          break;
+        }
+        applyObservation(states, row);
+      }
+      return states.get(entityId)?.values ?? new Map();
+    };
+
+    return {
+      entityId,
+      fromVersion,
+      toVersion,
+      changes: compareValues(stateAt(fromVersion), stateAt(toVersion))
+    };
+  }
+
+  /**
+   * Entities and relations as they were at `asOf` (milliseconds). Relations are
+   * kept only when both of their entities existed then
+   */
+  snapshotAt(asOf: number): GraphSnapshot {
+    const states = new Map<string, ReplayedEntity>();
+    const rows: ObservationRow[] = this.db.query(
+      `SELECT ${OBSERVATION_COLUMNS} FROM observations WHERE created_at <= ? ORDER BY id`,
+      [asOf]
+    );
+    for (const row of rows) {
+      applyObservation(states, row);
+    }
+
+    const entities: Entity[] = [];
+    const relations: Relation[] = [];
+    for (const [id, state] of states) {
+      if (state.exists) {
+        entities.push(toEntity(id, state));
+        relations.push(...toRelations(id, state));
+      }
+    }
+
+    return {
+      asOf,
+      entities,
+      relations: relations.filter(relation => states.get(relation.to_id)?.exists)
+    };
+  }
+
+  private observationsOf(entityId: string): ObservationRow[] {
+    return this.db.query(`SELECT ${OBSERVATION_COLUMNS} FROM observations WHERE entity_id = ? ORDER BY id`, [entityId]);
+  }
+}
@@ -4,6 +4,11 @@
  */
 
 export { KnowledgeGraph } from './core.js';
+export { SourceIndexer, SOURCE_INDEXER } from './source-indexer.js';
+export { TypeRegistry, SchemaValidationError } from './type-registry.js';
+export { EntityHistory, HistoryQueryError } from './history.js';
+export { GraphTraversal } from './traversal.js';
+export { GraphAlgorithms, GraphAlgorithmError } from './algorithms.js';
 
 // Export key types
 export type {
@@ -15,11 +20,32 @@ export type {
   KnowledgeGraphStats,
   GraphTraversalOptions,
   EntityFilter,
-  RelationFilter
+  RelationFilter,
+  SourceIndexOptions,
+  SourceIndexResult,
+  EntityTypeDefinition,
+  RelationTypeDefinition,
+  SchemaValidationMode,
+  GraphSchema,
+  EntityRevision,
+  EntityHistoryOptions,
+  EntityDiff,
+  GraphSnapshot,
+  GraphAlgorithmOptions,
+  GraphNode,
+  GraphPathOptions,
+  GraphPath,
+  StronglyConnectedComponent,
+  CentralityOptions,
+  RankedNode,
+  GraphGroupingOptions
 } from '../types/knowledge-graph.js';
 
 // Export additional interfaces
 export type {
-  TraversalResult,
   GraphAnalytics
-} from './core.js';
\ No newline at end of file
+} from './core.js';
+export type {
+  TraversalResult,
+  TraversalPath
+} from './traversal.js';
\ No newline at end of file
@@ -0,0 +1,1014 @@
+/**
+ * Source Indexer
+ * Populates the knowledge graph from a TypeScript/React project: every file
+ * becomes a Module, and its components, pages, hooks and routes become
+ * entities linked by IMPORTS, RENDERS, ROUTES_TO and USES relations
+ */
+
+import { createHash } from 'crypto';
+import { readdirSync, readFileSync, existsSync } from 'fs';
+import { basename, dirname, extname, join, relative, resolve, sep } from 'path';
+import * as ts from 'typescript';
+import type { DatabaseConnection } from '../database/connection.js';
+import type {
+  SourceIndexOptions,
+  SourceIndexResult,
+  SourceLocation
+} from '../types/knowledge-graph.js';
+import type { KnowledgeGraph } from './core.js';
+import { knowledgeGraphLogger as logger, timeOperation } from '../utils/logger.js';
+
+/** Value of `indexed_by` on the entities and relations the indexer owns */
+export const SOURCE_INDEXER = 'source-indexer';
+
+const DEFAULT_EXTENSIONS = ['.ts', '.tsx', '.js', '.jsx'];
+const DEFAULT_EXCLUDE = ['**/*.d.ts', '**/*.test.*', '**/*.spec.*', '**/*.stories.*'];
+
+const HOOK_NAME = /^use[A-Z0-9]/;
+const COMPONENT_NAME = /^[A-Z]/;
+
+/** A module export: a local name, or a re-export of another module's export */
+type ExportTarget = string | { from: string; name: string };
+
+type IndexedType = 'Module' | 'Component' | 'Page' | 'Hook' | 'Route';
+
+interface IndexedEntity {
+  id: string;
+  type: string;
+  data: Record<string, any>;
+}
+
+interface Declaration {
+  key: string;
+  type: IndexedType;
+  name: string;
+  data: Record<string, any>;
+}
+
+/** What an imported identifier refers to */
+interface Binding {
+  /** Project file the import resolves to */
+  file?: string;
+  /** Export name, or '*' for a namespace import */
+  name: string;
+}
+
+interface Reference {
+  /** Key of the entity the relation starts from */
+  from: string;
+  type: 'IMPORTS' | 'RENDERS' | 'ROUTES_TO' | 'USES';
+  /** Identifier that names the target, or the target file for IMPORTS */
+  target: string;
+  /** Member accessed through a namespace import (`<Icons.Star />`) */
+  member?: string;
+  line: number;
+}
+
+interface FileFacts {
+  file: string;
+  declarations: Declaration[];
+  references: Reference[];
+  bindings: Map<string, Binding>;
+  /** Names of the components and hooks declared in the file */
+  locals: Set<string>;
+}
+
+interface AliasRule {
+  prefix: string;
+  suffix: string;
+  wildcard: boolean;
+  targets: string[];
+}
+
+interface FunctionCandidate {
+  name: string;
+  node: ts.Node;
+}
+
+/**
+ * Convert a glob (`**`, `*`, `?`) into an anchored regular expression
+ */
+function globToRegExp(glob: string): RegExp {
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      source += glob[i + 2] === '/' ? '(?:.*/)?' : '.*';
+      i += glob[i + 2] === '/' ? 2 : 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+function hasModifier(node: ts.Node, kind: ts.SyntaxKind): boolean {
+  return ts.canHaveModifiers(node) && !!ts.getModifiers(node)?.some(modifier => modifier.kind === kind);
+}
+
+function scriptKind(file: string): ts.ScriptKind {
+  switch (extname(file)) {
+    case '.tsx': return ts.ScriptKind.TSX;
+    case '.jsx': return ts.ScriptKind.JSX;
+    case '.js': return ts.ScriptKind.JS;
+    default: return ts.ScriptKind.TS;
+  }
+}
+
+/**
+ * The function or class behind an initializer, looking through wrappers
+ * such as `memo(...)`, `forwardRef(...)` and type assertions
+ */
+function unwrapFunction(node: ts.Expression): ts.Node | undefined {
+  let current: ts.Expression = node;
+  for (;;) {
+    if (ts.isArrowFunction(current) || ts.isFunctionExpression(current) || ts.isClassExpression(current)) {
+      return current;
+    }
+    if (ts.isParenthesizedExpression(current) || ts.isAsExpression(current) || ts.isSatisfiesExpression(current)) {
+      current = current.expression;
+    } else if (ts.isCallExpression(current) && current.arguments.length > 0) {
+      current = current.arguments[0];
+    } else {
+      return undefined;
+    }
+  }
+}
+
+function containsJsx(node: ts.Node): boolean {
+  if (ts.isJsxElement(node) || ts.isJsxSelfClosingElement(node) || ts.isJsxFragment(node)) {
+    return true;
+  }
+  return !!ts.forEachChild(node, child => containsJsx(child) || undefined);
+}
+
+/**
+ * Prop names destructured from a component's first parameter
+ */
+function propNames(node: ts.Node): string[] | undefined {
+  if (!ts.isFunctionLike(node) || node.parameters.length === 0) {
+    return undefined;
+  }
+  const pattern = node.parameters[0].name;
+  if (!ts.isObjectBindingPattern(pattern)) {
+    return undefined;
+  }
+  return pattern.elements
+    .filter(element => !element.dotDotDotToken)
+    .map(element => (element.propertyName ?? element.name))
+    .filter((name): name is ts.Identifier => ts.isIdentifier(name))
+    .map(name => name.text);
+}
+
+/**
+ * The identifier (and namespace member) a JSX tag refers to, if it is a component
+ */
+function jsxTag(tagName: ts.JsxTagNameExpression): { name: string; member?: string } | undefined {
+  if (ts.isIdentifier(tagName)) {
+    return COMPONENT_NAME.test(tagName.text) ? { name: tagName.text } : undefined;
+  }
+  if (ts.isPropertyAccessExpression(tagName) && ts.isIdentifier(tagName.expression)) {
+    return { name: tagName.expression.text, member: tagName.name.text };
+  }
+  return undefined;
+}
+
+/**
+ * The outermost component element inside an expression (e.g. `element={<Home />}`)
+ */
+function outermostJsxTag(node: ts.Node): { name: string; member?: string } | undefined {
+  if (ts.isJsxElement(node)) {
+    return jsxTag(node.openingElement.tagName) ?? outermostJsxTag(node.openingElement) ?? firstChildTag(node);
+  }
+  if (ts.isJsxSelfClosingElement(node)) {
+    return jsxTag(node.tagName);
+  }
+  return firstChildTag(node);
+}
+
+function firstChildTag(node: ts.Node): { name: string; member?: string } | undefined {
+  return ts.forEachChild(node, child => outermostJsxTag(child));
+}
+
+function joinRoutePath(prefix: string | undefined, path: string): string {
+  if (path.startsWith('/')) {
+    return path;
+  }
+  const base = prefix && prefix !== '/' ? prefix.replace(/\/$/, '') : '';
+  return `${base}/${path}`;
+}
+
+/**
+ * Walks a project's sources and mirrors them into the knowledge graph.
+ *
+ * Entities are identified by an `index_key` (the file path, or `file#name`)
+ * stored in their data together with the hash of the file they came from.
+ * Only new or changed files are parsed; their entities are created, updated
+ * or deleted in place so entity IDs stay stable across runs. Relations are
+ * rebuilt for changed files and for the files importing them.
+ */
+export class SourceIndexer {
+  private kg: KnowledgeGraph;
+  private db: DatabaseConnection;
+  private root: string;
+  private include: string[];
+  private exclude: RegExp[];
+  private extensions: string[];
+  private pagesDir: string;
+  private force: boolean;
+  private aliases: AliasRule[] = [];
+  private baseUrl?: string;
+  private files = new Set<string>();
+  private indexed = new Map<string, IndexedEntity>();
+
+  constructor(kg: KnowledgeGraph, db: DatabaseConnection, options: SourceIndexOptions = {}) {
+    this.kg = kg;
+    this.db = db;
+    this.root = resolve(options.root || process.cwd());
+    this.include = options.include?.length ? options.include : ['src'];
+    this.exclude = [...DEFAULT_EXCLUDE, ...(options.exclude || [])].map(globToRegExp);
+    this.extensions = options.extensions?.length ? options.extensions : DEFAULT_EXTENSIONS;
+    this.pagesDir = options.pagesDir || 'pages';
+    this.force = options.force ?? false;
+    this.loadAliases(resolve(this.root, options.tsconfig || 'tsconfig.json'));
+  }
+
+  /**
+   * Index the project, returning what changed
+   */
+  async run(): Promise<SourceIndexResult> {
+    const timer = timeOperation('source_index', logger);
+    const started = Date.now();
+    const result: SourceIndexResult = {
+      files: 0,
+      indexed: 0,
+      unchanged: 0,
+      removed: 0,
+      failed: [],
+      entities: { created: 0, updated: 0, deleted: 0 },
+      relations: { created: 0, deleted: 0 },
+      duration: 0
+    };
+
+    try {
+      this.loadIndexed();
+      const files = this.collectFiles();
+      this.files = new Set(files);
+      result.files = files.length;
+
+      const facts = new Map<string, FileFacts>();
+      for (const file of files) {
+        const text = this.read(file, result);
+        if (text === undefined) {
+          continue;
+        }
+        const hash = createHash('sha256').update(text).digest('hex');
+        if (!this.force && this.indexed.get(file)?.data.content_hash === hash) {
+          result.unchanged++;
+          continue;
+        }
+        facts.set(file, this.parse(file, text, hash));
+      }
+      result.indexed = facts.size;
+
+      const removed = [...this.indexed.values()]
+        .filter(entry => entry.type === 'Module' && !this.files.has(entry.data.file_path))
+        .map(entry => entry.data.file_path as string);
+      result.removed = removed.length;
+
+      for (const file of removed) {
+        await this.removeEntities(file, new Set(), result);
+      }
+      for (const fileFacts of facts.values()) {
+        await this.writeEntities(fileFacts, result);
+      }
+
+      for (const file of this.filesToLink(new Set(facts.keys()), removed)) {
+        const fileFacts = facts.get(file) ?? this.reparse(file, result);
+        if (fileFacts) {
+          await this.link(fileFacts, result);
+        }
+      }
+
+      result.duration = Date.now() - started;
+      timer.finish({ success: true, files: result.files, indexed: result.indexed });
+      logger.info('Source index complete', { root: this.root, ...result });
+
+      return result;
+    } catch (error) {
+      const err = error instanceof Error ? error : new Error(String(error));
+      timer.finish({ success: false, error: err.message });
+      logger.error('Source indexing failed', err, { root: this.root });
+      throw err;
+    }
+  }
+
+  // ============================================================================
+  // DISCOVERY
+  // ============================================================================
+
+  private loadIndexed(): void {
+    const rows = this.db.query(
+      `SELECT id, type, data FROM entities WHERE json_extract(data, '$.indexed_by') = ?`,
+      [SOURCE_INDEXER]
+    );
+
+    this.indexed.clear();
+    for (const row of rows) {
+      const data = JSON.parse(row.data || '{}');
+      if (data.index_key) {
+        this.indexed.set(data.index_key, { id: row.id, type: row.type, data });
+      }
+    }
+  }
+
+  private collectFiles(): string[] {
+    const files: string[] = [];
+
+    const walk = (dir: string): void => {
+      let entries;
+      try {
+        entries = readdirSync(dir, { withFileTypes: true });
+      } catch {
+        return;
+      }
+
+      for (const entry of entries) {
+        if (entry.name.startsWith('.') || entry.name === 'node_modules') {
+          continue;
+        }
+        const path = join(dir, entry.name);
+        if (entry.isDirectory()) {
+          walk(path);
+        } else if (entry.isFile() && this.extensions.includes(extname(entry.name))) {
+          const file = this.toProjectPath(path);
+          if (!this.exclude.some(pattern => pattern.test(file))) {
+            files.push(file);
+          }
+        }
+      }
+    };
+
+    for (const dir of this.include) {
+      walk(resolve(this.root, dir));
+    }
+    return [...new Set(files)].sort();
+  }
+
+  private read(file: string, result: SourceIndexResult): string | undefined {
+    try {
+      return readFileSync(resolve(this.root, file), 'utf8');
+    } catch (error) {
+      result.failed.push(file);
+      logger.warn('Failed to read source file', {
+        file,
+        error: error instanceof Error ? error.message : String(error)
+      });
+      return undefined;
+    }
+  }
+
+  private reparse(file: string, result: SourceIndexResult): FileFacts | undefined {
+    const text = this.read(file, result);
+    return text === undefined ? undefined : this.parse(file, text, this.indexed.get(file)?.data.content_hash);
+  }
+
+  /**
+   * Files whose relations need rebuilding: the changed ones, plus every file
+   * importing a changed or removed file (directly or through re-exports)
+   */
+  private filesToLink(changed: Set<string>, removed: string[]): Set<string> {
+    const affected = new Set([...changed, ...removed]);
+    const modules = [...this.indexed.values()].filter(entry => entry.type === 'Module');
+
+    // Barrel files pass changes through to their importers
+    let grew = true;
+    while (grew) {
+      grew = false;
+      for (const module of modules) {
+        const file = module.data.file_path;
+        if (!affected.has(file) && this.reexportSources(module.data).some(source => affected.has(source))) {
+          affected.add(file);
+          grew = true;
+        }
+      }
+    }
+
+    const link = new Set(changed);
+    for (const module of modules) {
+      if ((module.data.imports || []).some((file: string) => affected.has(file))) {
+        link.add(module.data.file_path);
+      }
+    }
+    return link;
+  }
+
+  private reexportSources(data: Record<string, any>): string[] {
+    const sources: string[] = [...(data.reexports || [])];
+    for (const target of Object.values<ExportTarget>(data.exports || {})) {
+      if (typeof target === 'object') {
+        sources.push(target.from);
+      }
+    }
+    return sources;
+  }
+
+  // ============================================================================
+  // MODULE RESOLUTION
+  // ============================================================================
+
+  private loadAliases(tsconfigPath: string): void {
+    if (!existsSync(tsconfigPath)) {
+      return;
+    }
+
+    const { config, error } = ts.readConfigFile(tsconfigPath, ts.sys.readFile);
+    if (error) {
+      logger.warn('Failed to read tsconfig for path aliases', {
+        tsconfig: tsconfigPath,
+        error: ts.flattenDiagnosticMessageText(error.messageText, '\n')
+      });
+      return;
+    }
+
+    const { options } = ts.parseJsonConfigFileContent(config, ts.sys, dirname(tsconfigPath));
+    const base = options.baseUrl || (options as any).pathsBasePath || dirname(tsconfigPath);
+    this.baseUrl = options.baseUrl;
+
+    for (const [pattern, targets] of Object.entries(options.paths || {})) {
+      const star = pattern.indexOf('*');
+      this.aliases.push({
+        prefix: star === -1 ? pattern : pattern.slice(0, star),
+        suffix: star === -1 ? '' : pattern.slice(star + 1),
+        wildcard: star !== -1,
+        targets: targets.map(target => resolve(base, target))
+      });
+    }
+  }
+
+  /**
+   * Resolve an import specifier to an indexed project file
+   */
+  private resolveModule(fromFile: string, specifier: string): string | undefined {
+    const bases: string[] = [];
+
+    if (specifier.startsWith('.')) {
+      bases.push(resolve(this.root, dirname(fromFile), specifier));
+    } else {
+      for (const alias of this.aliases) {
+        if (alias.wildcard
+          ? specifier.startsWith(alias.prefix) && specifier.endsWith(alias.suffix)
+          : specifier === alias.prefix) {
+          const matched = alias.wildcard
+            ? specifier.slice(alias.prefix.length, specifier.length - alias.suffix.length)
+            : '';
+          bases.push(...alias.targets.map(target => target.replace('*', matched)));
+        }
+      }
+      if (this.baseUrl) {
+        bases.push(resolve(this.baseUrl, specifier));
+      }
+    }
+
+    for (const base of bases) {
+      // ESM-style `./foo.js` specifiers name the compiled file of `./foo.ts`
+      const stripped = /\.(m?js|jsx)$/.test(base) ? base.replace(/\.(m?js|jsx)$/, '') : undefined;
+      const candidates = [
+        base,
+        ...this.extensions.map(ext => base + ext),
+        ...(stripped ? this.extensions.map(ext => stripped + ext) : []),
+        ...this.extensions.map(ext => join(base, `index${ext}`))
+      ];
+      for (const candidate of candidates) {
+        const file = this.toProjectPath(candidate);
+        if (this.files.has(file)) {
+          return file;
+        }
+      }
+    }
+    return undefined;
+  }
+
+  private toProjectPath(path: string): string {
+    return relative(this.root, path).split(sep).join('/');
+  }
+
+  // ============================================================================
+  // PARSING
+  // ============================================================================
+
+  private parse(file: string, text: string, hash: string): FileFacts {
+    const source = ts.createSourceFile(file, text, ts.ScriptTarget.Latest, true, scriptKind(file));
+    const facts: FileFacts = {
+      file,
+      declarations: [],
+      references: [],
+      bindings: new Map(),
+      locals: new Set()
+    };
+
+    const exportTable: Record<string, ExportTarget> = {};
+    const reexports: string[] = [];
+    const imports = new Set<string>();
+    const dependencies = new Set<string>();
+    const candidates: FunctionCandidate[] = [];
+    const stem = basename(file, extname(file));
+    const defaultName = stem === 'index' ? basename(dirname(file)) : stem;
+
+    const lineOf = (node: ts.Node): number =>
+      source.getLineAndCharacterOfPosition(node.getStart(source)).line + 1;
+
+    const locate = (node: ts.Node): SourceLocation => {
+      const start = source.getLineAndCharacterOfPosition(node.getStart(source));
+      const end = source.getLineAndCharacterOfPosition(node.getEnd());
+      return {
+        file,
+        line: start.line + 1,
+        column: start.character + 1,
+        end_line: end.line + 1,
+        end_column: end.character + 1
+      };
+    };
+
+    const importModule = (specifier: string, node: ts.Node): string | undefined => {
+      const target = this.resolveModule(file, specifier);
+      if (target) {
+        if (target !== file && !imports.has(target)) {
+          facts.references.push({ from: file, type: 'IMPORTS', target, line: lineOf(node) });
+        }
+        imports.add(target);
+      } else if (!specifier.startsWith('.')) {
+        const parts = specifier.split('/');
+        dependencies.add(specifier.startsWith('@') ? parts.slice(0, 2).join('/') : parts[0]);
+      }
+      return target;
+    };
+
+    for (const statement of source.statements) {
+      if (ts.isImportDeclaration(statement) && ts.isStringLiteral(statement.moduleSpecifier)) {
+        const clause = statement.importClause;
+        if (clause?.isTypeOnly) {
+          continue;
+        }
+        const target = importModule(statement.moduleSpecifier.text, statement);
+        if (clause?.name) {
+          facts.bindings.set(clause.name.text, { file: target, name: 'default' });
+        }
+        const named = clause?.namedBindings;
+        if (named && ts.isNamespaceImport(named)) {
+          facts.bindings.set(named.name.text, { file: target, name: '*' });
+        } else if (named && ts.isNamedImports(named)) {
+          for (const element of named.elements) {
+            if (!element.isTypeOnly) {
+              facts.bindings.set(element.name.text, {
+                file: target,
+                name: (element.propertyName ?? element.name).text
+              });
+            }
+          }
+        }
+      } else if (ts.isExportDeclaration(statement)) {
+        if (statement.isTypeOnly) {
+          continue;
+        }
+        const clause = statement.exportClause;
+        if (statement.moduleSpecifier && ts.isStringLiteral(statement.moduleSpecifier)) {
+          const target = importModule(statement.moduleSpecifier.text, statement);
+          if (!target) {
+            continue;
+          }
+          if (!clause) {
+            reexports.push(target);
+          } else if (ts.isNamedExports(clause)) {
+            for (const element of clause.elements) {
+              if (!element.isTypeOnly) {
+                exportTable[element.name.text] = { from: target, name: (element.propertyName ?? element.name).text };
+              }
+            }
+          }
+        } else if (clause && ts.isNamedExports(clause)) {
+          for (const element of clause.elements) {
+            if (!element.isTypeOnly) {
+              exportTable[element.name.text] = (element.propertyName ?? element.name).text;
+            }
+          }
+        }
+      } else if (ts.isExportAssignment(statement) && !statement.isExportEquals) {
+        if (ts.isIdentifier(statement.expression)) {
+          exportTable.default = statement.expression.text;
+        } else {
+          const node = unwrapFunction(statement.expression);
+          if (node) {
+            exportTable.default = defaultName;
+            candidates.push({ name: defaultName, node });
+          }
+        }
+      } else if (ts.isFunctionDeclaration(statement) || ts.isClassDeclaration(statement)) {
+        const isDefault = hasModifier(statement, ts.SyntaxKind.DefaultKeyword);
+        const name = statement.name?.text ?? (isDefault ? defaultName : undefined);
+        if (!name) {
+          continue;
+        }
+        if (hasModifier(statement, ts.SyntaxKind.ExportKeyword)) {
+          exportTable[isDefault ? 'default' : name] = name;
+        }
+        candidates.push({ name, node: statement });
+      } else if (ts.isVariableStatement(statement)) {
+        const exported = hasModifier(statement, ts.SyntaxKind.ExportKeyword);
+        for (const declaration of statement.declarationList.declarations) {
+          if (!ts.isIdentifier(declaration.name)) {
+            continue;
+          }
+          const name = declaration.name.text;
+          if (exported) {
+            exportTable[name] = name;
+          }
+          const node = declaration.initializer && unwrapFunction(declaration.initializer);
+          if (node) {
+            candidates.push({ name, node: declaration });
+          }
+        }
+      }
+    }
+
+    const exportedNames = new Set(Object.values(exportTable).filter((target): target is string => typeof target === 'string'));
+    const inPagesDir = file.split('/').slice(0, -1).includes(this.pagesDir);
+    const entityTypes = new Set<IndexedType>();
+
+    for (const candidate of candidates) {
+      const { name, node } = candidate;
+      let type: IndexedType | undefined;
+      if (HOOK_NAME.test(name)) {
+        type = 'Hook';
+      } else if (COMPONENT_NAME.test(name) && containsJsx(node)) {
+        type = inPagesDir && exportedNames.has(name) ? 'Page' : 'Component';
+      }
+      if (!type || facts.locals.has(name)) {
+        continue;
+      }
+
+      const key = `${file}#${name}`;
+      const fn = ts.isVariableDeclaration(node) && node.initializer ? unwrapFunction(node.initializer) : node;
+      facts.locals.add(name);
+      entityTypes.add(type);
+      facts.declarations.push({
+        key,
+        type,
+        name,
+        data: {
+          indexed_by: SOURCE_INDEXER,
+          index_key: key,
+          file_path: file,
+          content_hash: hash,
+          source_location: locate(node),
+          exported: exportedNames.has(name),
+          default_export: exportTable.default === name,
+          props: type === 'Hook' ? undefined : propNames(fn)
+        }
+      });
+      this.collectReferences(node, key, facts, lineOf);
+    }
+
+    this.collectRoutes(source, facts, hash, locate, lineOf);
+    if (facts.declarations.some(declaration => declaration.type === 'Route')) {
+      entityTypes.add('Route');
+    }
+
+    facts.declarations.unshift({
+      key: file,
+      type: 'Module',
+      name: file,
+      data: {
+        indexed_by: SOURCE_INDEXER,
+        index_key: file,
+        file_path: file,
+        content_hash: hash,
+        source_location: { file, line: 1, column: 1 },
+        category: entityTypes.has('Page') ? 'page'
+          : entityTypes.has('Component') ? 'component'
+          : entityTypes.has('Hook') ? 'hook'
+          : file.split('/').includes('content') ? 'content'
+          : 'module',
+        exports: exportTable,
+        reexports,
+        imports: [...imports],
+        dependencies: [...dependencies].sort()
+      }
+    });
+
+    return facts;
+  }
+
+  /**
+   * Record the components a declaration renders and the hooks and modules it uses
+   */
+  private collectReferences(
+    root: ts.Node,
+    from: string,
+    facts: FileFacts,
+    lineOf: (node: ts.Node) => number
+  ): void {
+    const visit = (node: ts.Node): void => {
+      if (ts.isTypeNode(node) || ts.isJsxClosingElement(node)) {
+        return;
+      }
+
+      if (ts.isJsxOpeningElement(node) || ts.isJsxSelfClosingElement(node)) {
+        const tag = jsxTag(node.tagName);
+        if (tag) {
+          facts.references.push({ from, type: 'RENDERS', target: tag.name, member: tag.member, line: lineOf(node) });
+        }
+        node.attributes.forEachChild(visit);
+        node.typeArguments?.forEach(visit);
+        return;
+      }
+
+      if (ts.isPropertyAccessExpression(node) && ts.isIdentifier(node.expression)
+        && facts.bindings.get(node.expression.text)?.name === '*') {
+        facts.references.push({
+          from,
+          type: 'USES',
+          target: node.expression.text,
+          member: node.name.text,
+          line: lineOf(node)
+        });
+        return;
+      }
+
+      if (ts.isIdentifier(node) && !this.isDeclarationName(node)
+        && (facts.bindings.has(node.text)
+          || (HOOK_NAME.test(node.text) && ts.isCallExpression(node.parent) && node.parent.expression === node))) {
+        facts.references.push({ from, type: 'USES', target: node.text, line: lineOf(node) });
+      }
+
+      ts.forEachChild(node, visit);
+    };
+
+    ts.forEachChild(root, visit);
+  }
+
+  private isDeclarationName(node: ts.Identifier): boolean {
+    const parent = node.parent;
+    return (ts.isPropertyAccessExpression(parent) && parent.name === node)
+      || (ts.isPropertyAssignment(parent) && parent.name === node)
+      || (ts.isBindingElement(parent) && parent.propertyName === node)
+      || ((ts.isVariableDeclaration(parent) || ts.isParameter(parent) || ts.isFunctionDeclaration(parent)
+        || ts.isBindingElement(parent)) && parent.name === node);
+  }
+
+  /**
+   * Find react-router routes declared as `<Route path element />` elements or
+   * as `{ path, element | Component, children }` objects, joining nested paths
+   */
+  private collectRoutes(
+    source: ts.SourceFile,
+    facts: FileFacts,
+    hash: string,
+    locate: (node: ts.Node) => SourceLocation,
+    lineOf: (node: ts.Node) => number
+  ): void {
+    const addRoute = (path: string, node: ts.Node, target?: { name: string; member?: string }): void => {
+      const key = `${facts.file}#route:${path}`;
+      if (!facts.declarations.some(declaration => declaration.key === key)) {
+        facts.declarations.push({
+          key,
+          type: 'Route',
+          name: path,
+          data: {
+            indexed_by: SOURCE_INDEXER,
+            index_key: key,
+            file_path: facts.file,
+            content_hash: hash,
+            source_location: locate(node),
+            path
+          }
+        });
+      }
+      if (target) {
+        facts.references.push({ from: key, type: 'ROUTES_TO', target: target.name, member: target.member, line: lineOf(node) });
+      }
+    };
+
+    const visit = (node: ts.Node, prefix: string | undefined): void => {
+      const opening = ts.isJsxElement(node) ? node.openingElement : ts.isJsxSelfClosingElement(node) ? node : undefined;
+      if (opening && ts.isIdentifier(opening.tagName) && opening.tagName.text === 'Route') {
+        let path: string | undefined;
+        let target: { name: string; member?: string } | undefined;
+        let index = false;
+
+        for (const attribute of opening.attributes.properties) {
+          if (!ts.isJsxAttribute(attribute) || !ts.isIdentifier(attribute.name)) {
+            continue;
+          }
+          const value = attribute.initializer;
+          const expression = value && ts.isJsxExpression(value) ? value.expression : undefined;
+          switch (attribute.name.text) {
+            case 'path':
+              if (value && ts.isStringLiteral(value)) {
+                path = value.text;
+              } else if (expression && ts.isStringLiteralLike(expression)) {
+                path = expression.text;
+              }
+              break;
+            case 'index':
+              index = !value || expression?.kind === ts.SyntaxKind.TrueKeyword;
+              break;
+            case 'element':
+              target = expression && outermostJsxTag(expression);
+              break;
+            case 'component':
+            case 'Component':
+              if (expression && ts.isIdentifier(expression)) {
+                target = { name: expression.text };
+              }
+              break;
+          }
+        }
+
+        const fullPath = path !== undefined ? joinRoutePath(prefix, path) : index ? (prefix || '/') : undefined;
+        if (fullPath !== undefined) {
+          addRoute(fullPath, node, target);
+        }
+        if (ts.isJsxElement(node)) {
+          node.children.forEach(child => visit(child, fullPath ?? prefix));
+        }
+        return;
+      }
+
+      if (ts.isObjectLiteralExpression(node)) {
+        const properties = new Map<string, ts.Expression>();
+        for (const property of node.properties) {
+          if (ts.isPropertyAssignment(property) && (ts.isIdentifier(property.name) || ts.isStringLiteral(property.name))) {
+            properties.set(property.name.text, property.initializer);
+          } else if (ts.isShorthandPropertyAssignment(property)) {
+            properties.set(property.name.text, property.name);
+          }
+        }
+
+        const path = properties.get('path');
+        const element = properties.get('element');
+        const component = properties.get('Component') ?? properties.get('component');
+        const children = properties.get('children');
+        const index = properties.get('index')?.kind === ts.SyntaxKind.TrueKeyword;
+        if (((path && ts.isStringLiteralLike(path)) || index) && (element || component || children)) {
+          const fullPath = path && ts.isStringLiteralLike(path) ? joinRoutePath(prefix, path.text) : (prefix || '/');
+          const target = element
+            ? outermostJsxTag(element)
+            : component && ts.isIdentifier(component) ? { name: component.text } : undefined;
+          addRoute(fullPath, node, target);
+          if (children && ts.isArrayLiteralExpression(children)) {
+            children.elements.forEach(child => visit(child, fullPath));
+          }
+          return;
+        }
+      }
+
+      ts.forEachChild(node, child => visit(child, prefix));
+    };
+
+    visit(source, undefined);
+  }
+
+  // ============================================================================
+  // WRITING
+  // ============================================================================
+
+  private async writeEntities(facts: FileFacts, result: SourceIndexResult): Promise<void> {
+    await this.removeEntities(facts.file, new Set(facts.declarations.map(declaration => declaration.key)), result);
+
+    for (const declaration of facts.declarations) {
+      const existing = this.indexed.get(declaration.key);
+      if (existing) {
+        await this.kg.updateEntity(existing.id, {
+          type: declaration.type,
+          name: declaration.name,
+          data: declaration.data
+        });
+        this.indexed.set(declaration.key, { id: existing.id, type: declaration.type, data: declaration.data });
+        result.entities.updated++;
+      } else {
+        const entity = await this.kg.createEntity({
+          type: declaration.type,
+          name: declaration.name,
+          data: declaration.data
+        });
+        this.indexed.set(declaration.key, { id: entity.id, type: entity.type, data: declaration.data });
+        result.entities.created++;
+      }
+    }
+  }
+
+  /**
+   * Delete a file's indexed entities (and, with them, their relations) except those in `keep`
+   */
+  private async removeEntities(file: string, keep: Set<string>, result: SourceIndexResult): Promise<void> {
+    for (const [key, entry] of [...this.indexed]) {
+      if (entry.data.file_path === file && !keep.has(key)) {
+        await this.kg.deleteEntity(entry.id);
+        this.indexed.delete(key);
+        result.entities.deleted++;
+      }
+    }
+  }
+
+  /**
+   * Bring a file's outgoing relations in line with its references
+   */
+  private async link(facts: FileFacts, result: SourceIndexResult): Promise<void> {
+    const wanted = new Map<string, { from: string; to: string; type: string; line: number }>();
+
+    for (const reference of facts.references) {
+      const from = this.indexed.get(reference.from)?.id;
+      const targetKey = reference.type === 'IMPORTS' ? reference.target : this.resolveTarget(facts, reference);
+      const to = targetKey ? this.indexed.get(targetKey)?.id : undefined;
+      const signature = `${from}|${reference.type}|${to}`;
+      if (from && to && from !== to && !wanted.has(signature)) {
+        wanted.set(signature, { from, to, type: reference.type, line: reference.line });
+      }
+    }
+
+    const existing = this.db.query(
+      `SELECT id, from_id, to_id, type FROM relations
+       WHERE json_extract(properties, '$.indexed_by') = ? AND json_extract(properties, '$.file') = ?`,
+      [SOURCE_INDEXER, facts.file]
+    );
+
+    for (const row of existing) {
+      const signature = `${row.from_id}|${row.type}|${row.to_id}`;
+      if (wanted.has(signature)) {
+        wanted.delete(signature);
+      } else {
+        await this.kg.deleteRelation(row.id);
+        result.relations.deleted++;
+      }
+    }
+
+    for (const relation of wanted.values()) {
+      await this.kg.createRelation({
+        from_id: relation.from,
+        to_id: relation.to,
+        type: relation.type,
+        properties: { indexed_by: SOURCE_INDEXER, file: facts.file, line: relation.line }
+      });
+      result.relations.created++;
+    }
+  }
+
+  /**
+   * Index key of the entity a reference points at. Components are the
+   * targets of RENDERS and ROUTES_TO; USES points at a hook, or at the module
+   * when a non-component export (content, utilities) is used
+   */
+  private resolveTarget(facts: FileFacts, reference: Reference): string | undefined {
+    let key: string | undefined;
+    let module: string | undefined;
+
+    if (facts.locals.has(reference.target)) {
+      key = `${facts.file}#${reference.target}`;
+    } else {
+      const binding = facts.bindings.get(reference.target);
+      if (!binding?.file) {
+        return undefined;
+      }
+      const name = binding.name === '*' ? reference.member : binding.name;
+      key = name ? this.resolveExport(binding.file, name, new Set()) : undefined;
+      module = binding.file;
+    }
+
+    const type = key ? this.indexed.get(key)?.type : undefined;
+    if (reference.type === 'USES') {
+      return type === 'Hook' ? key : type ? undefined : module;
+    }
+    return type === 'Component' || type === 'Page' ? key : undefined;
+  }
+
+  private resolveExport(file: string, name: string, seen: Set<string>): string | undefined {
+    if (seen.has(file)) {
+      return undefined;
+    }
+    seen.add(file);
+
+    const data = this.indexed.get(file)?.data;
+    const target: ExportTarget | undefined = data?.exports?.[name];
+    if (typeof target === 'string') {
+      const key = `${file}#${target}`;
+      return this.indexed.has(key) ? key : undefined;
+    }
+    if (target) {
+      return this.resolveExport(target.from, target.name, seen);
+    }
+    if (name !== 'default') {
+      for (const source of data?.reexports || []) {
+        const key = this.resolveExport(source, name, seen);
+        if (key) {
+          return key;
+        }
+      }
+    }
+    return undefined;
+  }
+}
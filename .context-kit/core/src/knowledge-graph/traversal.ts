@@ -0,0 +1,260 @@
+/**
+ * Graph Traversal
+ * Breadth-first traversal that expands a whole frontier with one SQL query per
+ * level, honouring stop conditions on entity type, relation type, entity
+ * properties and depth
+ */
+
+import type { DatabaseConnection } from '../database/connection.js';
+import type {
+  Entity,
+  Relation,
+  GraphTraversalOptions,
+  TraversalStopCondition
+} from '../types/knowledge-graph.js';
+
+/**
+ * How the traversal reached an entity
+ */
+export interface TraversalPath {
+  /** Entity IDs from the start entity to the reached entity */
+  entityIds: string[];
+  /** IDs of the relations followed, one fewer than entityIds */
+  relationIds: string[];
+}
+
+export interface TraversalResult {
+  /** Reached entities in breadth-first order, starting with the start entity */
+  entities: Entity[];
+  /** Relations followed between reached entities */
+  relations: Relation[];
+  /** Deepest level reached */
+  depth: number;
+  /** Shortest path to each entity, in the same order as entities */
+  paths: TraversalPath[];
+}
+
+interface ReachedEntity {
+  entity: Entity;
+  depth: number;
+  parent?: { entityId: string; relationId: string };
+}
+
+interface ExpandedRelation {
+  relation: Relation;
+  /** Frontier entity the relation was followed from */
+  sourceId: string;
+  /** Entity on the other end */
+  nextId: string;
+}
+
+const STOP_CONDITION_TYPES: TraversalStopCondition['type'][] = ['entity_type', 'relation_type', 'property', 'depth'];
+
+function matchesName(value: string | string[], name: string): boolean {
+  return Array.isArray(value) ? value.includes(name) : value === name;
+}
+
+function matchesEntity(condition: TraversalStopCondition, entity: Entity): boolean {
+  if (condition.type === 'entity_type') {
+    return matchesName(condition.value, entity.type);
+  }
+  return Object.entries(condition.value as Record<string, any>).every(([key, expected]) =>
+    JSON.stringify(entity.data[key]) === JSON.stringify(expected)
+  );
+}
+
+function validateStopCondition(condition: TraversalStopCondition): void {
+  if (!STOP_CONDITION_TYPES.includes(condition.type)) {
+    throw new Error(`Unknown traversal stop condition: ${condition.type}`);
+  }
+  const valid = condition.type === 'depth'
+    ? Number.isInteger(condition.value) && condition.value >= 0
+    : condition.type === 'property'
+      ? typeof condition.value === 'object' && condition.value !== null && !Array.isArray(condition.value)
+      : typeof condition.value === 'string' || (Array.isArray(condition.value) && condition.value.every(v => typeof v === 'string'));
+  if (!valid) {
+    throw new Error(`Invalid value for ${condition.type} stop condition: ${JSON.stringify(condition.value)}`);
+  }
+}
+
+export class GraphTraversal {
+  private db: DatabaseConnection;
+
+  constructor(db: DatabaseConnection) {
+    this.db = db;
+  }
+
+  /**
+   * Traverse from an entity. Stop conditions never apply to the start entity.
+   * A matching entity (entity_type, property) or relation (relation_type) ends
+   * that branch: with inclusive (the default) the entity, or the relation and
+   * the entity it leads to, is kept but not expanded; otherwise it is left out.
+   * A depth condition caps the depth, at or (not inclusive) before its value
+   */
+  traverse(startEntityId: string, options: GraphTraversalOptions = {}, defaultMaxDepth = 10): TraversalResult {
+    const stopConditions = options.stopConditions || [];
+    stopConditions.forEach(validateStopCondition);
+
+    const entityStops = stopConditions.filter(c => c.type === 'entity_type' || c.type === 'property');
+    const relationStops = stopConditions.filter(c => c.type === 'relation_type');
+    const maxDepth = stopConditions
+      .filter(c => c.type === 'depth')
+      .reduce((depth, c) => Math.min(depth, c.inclusive === false ? c.value - 1 : c.value), options.maxDepth ?? defaultMaxDepth);
+
+    const includeEntityData = options.includeEntityData ?? true;
+    const includeRelationData = options.includeRelationData ?? true;
+    // Property conditions need entity data even when it is not returned
+    const loadData = includeEntityData || entityStops.some(c => c.type === 'property');
+
+    const [start] = this.loadEntities([startEntityId], loadData);
+    if (!start) {
+      return { entities: [], relations: [], depth: 0, paths: [] };
+    }
+
+    const reached = new Map<string, ReachedEntity>([[start.id, { entity: start, depth: 0 }]]);
+    const excluded = new Set<string>();
+    const relations = new Map<string, Relation>();
+    let frontier = [start.id];
+    let depth = 0;
+
+    while (frontier.length > 0 && depth < maxDepth) {
+      depth++;
+
+      // Entities first reached at this depth; expand is false when every
+      // relation leading to the entity is an inclusive relation_type stop
+      const candidates = new Map<string, { parent: ReachedEntity['parent']; expand: boolean }>();
+      const followed: ExpandedRelation[] = [];
+
+      for (const expanded of this.expand(frontier, options.direction || 'both', options.relationTypes, includeRelationData)) {
+        const stop = relationStops.find(c => matchesName(c.value, expanded.relation.type));
+        if ((stop && stop.inclusive === false) || excluded.has(expanded.nextId)) {
+          continue;
+        }
+
+        followed.push(expanded);
+        if (reached.has(expanded.nextId)) {
+          continue;
+        }
+        const candidate = candidates.get(expanded.nextId);
+        if (!candidate) {
+          candidates.set(expanded.nextId, {
+            parent: { entityId: expanded.sourceId, relationId: expanded.relation.id },
+            expand: !stop
+          });
+        } else if (!stop) {
+          candidate.expand = true;
+        }
+      }
+
+      const loaded = new Map(this.loadEntities([...candidates.keys()], loadData).map(entity => [entity.id, entity]));
+      const nextFrontier: string[] = [];
+      for (const [id, candidate] of candidates) {
+        const entity = loaded.get(id);
+        if (!entity) {
+          continue;
+        }
+        const stop = entityStops.find(c => matchesEntity(c, entity));
+        if (stop && stop.inclusive === false) {
+          excluded.add(id);
+          continue;
+        }
+        reached.set(id, { entity, depth, parent: candidate.parent });
+        if (!stop && candidate.expand) {
+          nextFrontier.push(id);
+        }
+      }
+
+      for (const { relation, nextId } of followed) {
+        if (reached.has(nextId)) {
+          relations.set(relation.id, relation);
+        }
+      }
+      frontier = nextFrontier;
+    }
+
+    const entities: Entity[] = [];
+    const paths: TraversalPath[] = [];
+    let deepest = 0;
+    for (const [id, { entity, depth: level }] of reached) {
+      entities.push(includeEntityData ? entity : { ...entity, data: {} });
+      paths.push(this.pathTo(id, reached));
+      deepest = Math.max(deepest, level);
+    }
+
+    return { entities, relations: [...relations.values()], depth: deepest, paths };
+  }
+
+  private pathTo(entityId: string, reached: Map<string, ReachedEntity>): TraversalPath {
+    const entityIds = [entityId];
+    const relationIds: string[] = [];
+    for (let parent = reached.get(entityId)?.parent; parent; parent = reached.get(parent.entityId)?.parent) {
+      entityIds.unshift(parent.entityId);
+      relationIds.unshift(parent.relationId);
+    }
+    return { entityIds, relationIds };
+  }
+
+  /**
+   * Relations of every frontier entity in one query, each paired with the
+   * entity it leads to
+   */
+  private expand(
+    frontier: string[],
+    direction: 'incoming' | 'outgoing' | 'both',
+    relationTypes: string[] | undefined,
+    includeRelationData: boolean
+  ): ExpandedRelation[] {
+    const columns = `id, from_id, to_id, type, ${includeRelationData ? 'properties' : 'NULL AS properties'}, created_at`;
+    const typeFilter = relationTypes?.length ? ' AND type IN (SELECT value FROM json_each(?))' : '';
+    const ids = JSON.stringify(frontier);
+    const queries: string[] = [];
+    const params: string[] = [];
+
+    if (direction !== 'incoming') {
+      queries.push(`SELECT ${columns}, from_id AS source_id, to_id AS next_id FROM relations
+        WHERE from_id IN (SELECT value FROM json_each(?))${typeFilter}`);
+      params.push(ids, ...(typeFilter ? [JSON.stringify(relationTypes)] : []));
+    }
+    if (direction !== 'outgoing') {
+      queries.push(`SELECT ${columns}, to_id AS source_id, from_id AS next_id FROM relations
+        WHERE to_id IN (SELECT value FROM json_each(?))${typeFilter}`);
+      params.push(ids, ...(typeFilter ? [JSON.stringify(relationTypes)] : []));
+    }
+
+    const rows = this.db.query(`${queries.join(' UNION ALL ')} ORDER BY created_at, id`, params);
+    return rows.map((row: any) => ({
+      relation: {
+        id: row.id,
+        type: row.type,
+        from_id: row.from_id,
+        to_id: row.to_id,
+        fromEntityId: row.from_id,
+        toEntityId: row.to_id,
+        ...(includeRelationData && { properties: JSON.parse(row.properties || '{}') }),
+        created_at: row.created_at
+      },
+      sourceId: row.source_id,
+      nextId: row.next_id
+    }));
+  }
+
+  private loadEntities(ids: string[], withData: boolean): Entity[] {
+    if (ids.length === 0) {
+      return [];
+    }
+    const rows = this.db.query(
+      `SELECT id, type, name, ${withData ? 'data' : 'NULL AS data'}, created_at, updated_at, version
+       FROM entities WHERE id IN (SELECT value FROM json_each(?))`,
+      [JSON.stringify(ids)]
+    );
+    return rows.map((row: any) => ({
+      id: row.id,
+      type: row.type,
+      name: row.name,
+      data: JSON.parse(row.data || '{}'),
+      created_at: row.created_at,
+      updated_at: row.updated_at,
+      version: row.version
+    }));
+  }
+}
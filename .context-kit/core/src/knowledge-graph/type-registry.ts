@@ -0,0 +1,513 @@
+/**
+ * Type Registry
+ * Entity and relation type definitions persisted in SQLite, and validation of
+ * entities and relations against them
+ */
+
+import type { DatabaseConnection } from '../database/connection.js';
+import type {
+  EntityTypeDefinition,
+  RelationTypeDefinition,
+  TypeUsage
+} from '../types/knowledge-graph.js';
+
+/**
+ * Raised for entities or relations that break their type definition (in
+ * strict mode) and for invalid type definitions
+ */
+export class SchemaValidationError extends Error {
+  /** Each rule that was broken */
+  readonly violations: string[];
+
+  constructor(message: string, violations: string[] = []) {
+    super(message);
+    this.name = 'SchemaValidationError';
+    this.violations = violations;
+  }
+}
+
+/**
+ * Lowercased with separators removed, so `UIComponent`, `ui_component` and
+ * `ui-component` compare equal
+ */
+function normalizeTypeName(name: string): string {
+  return name.toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function editDistance(a: string, b: string): number {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * The registered name that `name` most likely meant: same normalized name, or
+ * one edit away for names long enough that a single typo is distinctive
+ */
+function findSimilar(name: string, candidates: Iterable<string>): string | undefined {
+  const normalized = normalizeTypeName(name);
+  let closest: string | undefined;
+  for (const candidate of candidates) {
+    if (candidate === name) {
+      continue;
+    }
+    const other = normalizeTypeName(candidate);
+    if (other === normalized) {
+      return candidate;
+    }
+    if (!closest && normalized.length >= 5 && editDistance(normalized, other) === 1) {
+      closest = candidate;
+    }
+  }
+  return closest;
+}
+
+function describe(value: unknown): string {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value: unknown, type: string): boolean {
+  switch (type) {
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'object': return typeof value === 'object' && value !== null && !Array.isArray(value);
+    case 'array': return Array.isArray(value);
+    case 'null': return value === null;
+    default: return typeof value === type;
+  }
+}
+
+/**
+ * Check a value against the commonly used subset of JSON Schema: type, enum,
+ * const, properties, required, additionalProperties, items, anyOf and the
+ * length, size and range keywords. Other keywords are ignored.
+ */
+function checkSchema(schema: Record<string, any>, value: unknown, path: string, violations: string[]): void {
+  if (!schema || typeof schema !== 'object') {
+    return;
+  }
+
+  if (schema.type !== undefined) {
+    const types: string[] = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      violations.push(`${path} must be ${types.join(' or ')}, got ${describe(value)}`);
+      return;
+    }
+  }
+
+  if (Array.isArray(schema.enum) && !schema.enum.some((option: unknown) => JSON.stringify(option) === JSON.stringify(value))) {
+    violations.push(`${path} must be one of ${schema.enum.map((option: unknown) => JSON.stringify(option)).join(', ')}`);
+  }
+  if ('const' in schema && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+    violations.push(`${path} must equal ${JSON.stringify(schema.const)}`);
+  }
+
+  if (Array.isArray(schema.anyOf)) {
+    const matched = schema.anyOf.some((option: Record<string, any>) => {
+      const attempt: string[] = [];
+      checkSchema(option, value, path, attempt);
+      return attempt.length === 0;
+    });
+    if (!matched) {
+      violations.push(`${path} does not match any allowed schema`);
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (typeof schema.minLength === 'number' && value.length < schema.minLength) {
+      violations.push(`${path} must be at least ${schema.minLength} characters`);
+    }
+    if (typeof schema.maxLength === 'number' && value.length > schema.maxLength) {
+      violations.push(`${path} must be at most ${schema.maxLength} characters`);
+    }
+    if (typeof schema.pattern === 'string' && !new RegExp(schema.pattern).test(value)) {
+      violations.push(`${path} must match /${schema.pattern}/`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (typeof schema.minimum === 'number' && value < schema.minimum) {
+      violations.push(`${path} must be >= ${schema.minimum}`);
+    }
+    if (typeof schema.maximum === 'number' && value > schema.maximum) {
+      violations.push(`${path} must be <= ${schema.maximum}`);
+    }
+    if (typeof schema.exclusiveMinimum === 'number' && value <= schema.exclusiveMinimum) {
+      violations.push(`${path} must be > ${schema.exclusiveMinimum}`);
+    }
+    if (typeof schema.exclusiveMaximum === 'number' && value >= schema.exclusiveMaximum) {
+      violations.push(`${path} must be < ${schema.exclusiveMaximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (typeof schema.minItems === 'number' && value.length < schema.minItems) {
+      violations.push(`${path} must have at least ${schema.minItems} items`);
+    }
+    if (typeof schema.maxItems === 'number' && value.length > schema.maxItems) {
+      violations.push(`${path} must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items && typeof schema.items === 'object') {
+      value.forEach((item, index) => checkSchema(schema.items, item, `${path}[${index}]`, violations));
+    }
+  }
+
+  if (matchesType(value, 'object')) {
+    const object = value as Record<string, unknown>;
+    const properties: Record<string, any> = schema.properties || {};
+    for (const key of Array.isArray(schema.required) ? schema.required : []) {
+      if (object[key] === undefined) {
+        violations.push(`${path}.${key} is required`);
+      }
+    }
+    for (const [key, item] of Object.entries(object)) {
+      if (item === undefined) {
+        continue;
+      }
+      if (properties[key]) {
+        checkSchema(properties[key], item, `${path}.${key}`, violations);
+      } else if (schema.additionalProperties === false) {
+        violations.push(`${path}.${key} is not an allowed property`);
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        checkSchema(schema.additionalProperties, item, `${path}.${key}`, violations);
+      }
+    }
+  }
+}
+
+function parseJson<T>(value: string | null | undefined, fallback: T): T {
+  if (!value) {
+    return fallback;
+  }
+  try {
+    return JSON.parse(value);
+  } catch {
+    return fallback;
+  }
+}
+
+function isStringList(value: unknown): value is string[] {
+  return Array.isArray(value) && value.every(item => typeof item === 'string');
+}
+
+/**
+ * Registered entity and relation types.
+ *
+ * Validation only applies once at least one type of that kind is registered,
+ * so an empty registry accepts everything. Definitions are cached in memory
+ * and reloaded after every change made through the registry.
+ */
+export class TypeRegistry {
+  private db: DatabaseConnection;
+  private entityTypes?: Map<string, EntityTypeDefinition>;
+  private relationTypes?: Map<string, RelationTypeDefinition>;
+
+  constructor(db: DatabaseConnection) {
+    this.db = db;
+  }
+
+  // ============================================================================
+  // DEFINITIONS
+  // ============================================================================
+
+  listEntityTypes(): EntityTypeDefinition[] {
+    return [...this.loadEntityTypes().values()];
+  }
+
+  listRelationTypes(): RelationTypeDefinition[] {
+    return [...this.loadRelationTypes().values()];
+  }
+
+  getEntityType(name: string): EntityTypeDefinition | undefined {
+    return this.loadEntityTypes().get(name);
+  }
+
+  getRelationType(name: string): RelationTypeDefinition | undefined {
+    return this.loadRelationTypes().get(name);
+  }
+
+  /**
+   * Add or replace an entity type. A name that differs from a registered one
+   * only by case or separators is rejected, since that is how duplicates start
+   */
+  registerEntityType(definition: EntityTypeDefinition): EntityTypeDefinition {
+    const problems: string[] = [];
+    if (!definition || typeof definition.name !== 'string' || !definition.name.trim()) {
+      throw new SchemaValidationError('Entity type name must be a non-empty string');
+    }
+    if (definition.requiredProperties !== undefined && !isStringList(definition.requiredProperties)) {
+      problems.push('requiredProperties must be an array of strings');
+    }
+    if (definition.optionalProperties !== undefined && !isStringList(definition.optionalProperties)) {
+      problems.push('optionalProperties must be an array of strings');
+    }
+    if (definition.schema !== undefined && (typeof definition.schema !== 'object' || definition.schema === null)) {
+      problems.push('schema must be a JSON Schema object');
+    }
+    this.rejectDuplicate('Entity', definition.name, this.loadEntityTypes().keys(), problems);
+
+    const stored: EntityTypeDefinition = {
+      name: definition.name.trim(),
+      description: definition.description || '',
+      requiredProperties: definition.requiredProperties || [],
+      optionalProperties: definition.optionalProperties,
+      schema: definition.schema
+    };
+
+    this.db.execute(
+      `INSERT INTO entity_types (name, description, required_properties, optional_properties, schema, updated_at)
+       VALUES (?, ?, ?, ?, ?, unixepoch())
+       ON CONFLICT(name) DO UPDATE SET
+         description = excluded.description,
+         required_properties = excluded.required_properties,
+         optional_properties = excluded.optional_properties,
+         schema = excluded.schema,
+         updated_at = excluded.updated_at`,
+      [
+        stored.name,
+        stored.description,
+        JSON.stringify(stored.requiredProperties),
+        stored.optionalProperties ? JSON.stringify(stored.optionalProperties) : null,
+        stored.schema ? JSON.stringify(stored.schema) : null
+      ]
+    );
+    this.entityTypes = undefined;
+
+    return stored;
+  }
+
+  /**
+   * Add or replace a relation type; empty source/target lists allow any entity type
+   */
+  registerRelationType(definition: RelationTypeDefinition): RelationTypeDefinition {
+    const problems: string[] = [];
+    if (!definition || typeof definition.name !== 'string' || !definition.name.trim()) {
+      throw new SchemaValidationError('Relation type name must be a non-empty string');
+    }
+    if (definition.validSourceTypes !== undefined && !isStringList(definition.validSourceTypes)) {
+      problems.push('validSourceTypes must be an array of strings');
+    }
+    if (definition.validTargetTypes !== undefined && !isStringList(definition.validTargetTypes)) {
+      problems.push('validTargetTypes must be an array of strings');
+    }
+    if (definition.propertiesSchema !== undefined
+      && (typeof definition.propertiesSchema !== 'object' || definition.propertiesSchema === null)) {
+      problems.push('propertiesSchema must be a JSON Schema object');
+    }
+    this.rejectDuplicate('Relation', definition.name, this.loadRelationTypes().keys(), problems);
+
+    const stored: RelationTypeDefinition = {
+      name: definition.name.trim(),
+      description: definition.description || '',
+      validSourceTypes: definition.validSourceTypes || [],
+      validTargetTypes: definition.validTargetTypes || [],
+      bidirectional: definition.bidirectional ?? false,
+      propertiesSchema: definition.propertiesSchema
+    };
+
+    this.db.execute(
+      `INSERT INTO relation_types (name, description, valid_source_types, valid_target_types, bidirectional, properties_schema, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, unixepoch())
+       ON CONFLICT(name) DO UPDATE SET
+         description = excluded.description,
+         valid_source_types = excluded.valid_source_types,
+         valid_target_types = excluded.valid_target_types,
+         bidirectional = excluded.bidirectional,
+         properties_schema = excluded.properties_schema,
+         updated_at = excluded.updated_at`,
+      [
+        stored.name,
+        stored.description,
+        JSON.stringify(stored.validSourceTypes),
+        JSON.stringify(stored.validTargetTypes),
+        stored.bidirectional ? 1 : 0,
+        stored.propertiesSchema ? JSON.stringify(stored.propertiesSchema) : null
+      ]
+    );
+    this.relationTypes = undefined;
+
+    return stored;
+  }
+
+  removeEntityType(name: string): boolean {
+    const result = this.db.execute('DELETE FROM entity_types WHERE name = ?', [name]);
+    this.entityTypes = undefined;
+    return result.changes > 0;
+  }
+
+  removeRelationType(name: string): boolean {
+    const result = this.db.execute('DELETE FROM relation_types WHERE name = ?', [name]);
+    this.relationTypes = undefined;
+    return result.changes > 0;
+  }
+
+  /**
+   * Entity and relation types in use that have no definition, most used first
+   */
+  findUnregistered(): { entityTypes: TypeUsage[]; relationTypes: TypeUsage[] } {
+    const entityTypes = this.loadEntityTypes();
+    const relationTypes = this.loadRelationTypes();
+
+    const usage = (table: string, registered: Map<string, unknown>): TypeUsage[] =>
+      this.db.query(`SELECT type, COUNT(*) AS count FROM ${table} GROUP BY type ORDER BY count DESC, type`)
+        .filter((row: any) => !registered.has(row.type))
+        .map((row: any) => {
+          const similarTo = findSimilar(row.type, registered.keys());
+          return similarTo ? { name: row.type, count: row.count, similarTo } : { name: row.type, count: row.count };
+        });
+
+    return {
+      entityTypes: usage('entities', entityTypes),
+      relationTypes: usage('relations', relationTypes)
+    };
+  }
+
+  // ============================================================================
+  // VALIDATION
+  // ============================================================================
+
+  /**
+   * Rules an entity's type and data break; empty when it is valid
+   */
+  validateEntity(type: string, data: Record<string, any>): string[] {
+    const types = this.loadEntityTypes();
+    if (types.size === 0) {
+      return [];
+    }
+
+    const definition = types.get(type);
+    if (!definition) {
+      return [this.unknownType('entity', type, types.keys())];
+    }
+
+    const violations: string[] = [];
+    for (const property of definition.requiredProperties) {
+      if (data[property] === undefined || data[property] === null) {
+        violations.push(`${type} requires data.${property}`);
+      }
+    }
+    if (definition.optionalProperties) {
+      const allowed = new Set([...definition.requiredProperties, ...definition.optionalProperties]);
+      for (const property of Object.keys(data)) {
+        if (!allowed.has(property) && data[property] !== undefined) {
+          violations.push(`${type} does not define data.${property}`);
+        }
+      }
+    }
+    if (definition.schema) {
+      checkSchema(definition.schema, data, 'data', violations);
+    }
+    return violations;
+  }
+
+  /**
+   * Rules a relation's type, endpoints and properties break; empty when it is valid.
+   * Bidirectional types also accept their endpoints the other way round
+   */
+  validateRelation(
+    type: string,
+    fromType: string,
+    toType: string,
+    properties: Record<string, any>
+  ): string[] {
+    const types = this.loadRelationTypes();
+    if (types.size === 0) {
+      return [];
+    }
+
+    const definition = types.get(type);
+    if (!definition) {
+      return [this.unknownType('relation', type, types.keys())];
+    }
+
+    const violations: string[] = [];
+    const allows = (valid: string[], entityType: string): boolean =>
+      valid.length === 0 || valid.includes(entityType);
+    const forward = allows(definition.validSourceTypes, fromType) && allows(definition.validTargetTypes, toType);
+    const reverse = definition.bidirectional
+      && allows(definition.validSourceTypes, toType) && allows(definition.validTargetTypes, fromType);
+
+    if (!forward && !reverse) {
+      if (!allows(definition.validSourceTypes, fromType)) {
+        violations.push(`${type} cannot start from ${fromType}; expected ${definition.validSourceTypes.join(', ')}`);
+      }
+      if (!allows(definition.validTargetTypes, toType)) {
+        violations.push(`${type} cannot point to ${toType}; expected ${definition.validTargetTypes.join(', ')}`);
+      }
+    }
+    if (definition.propertiesSchema) {
+      checkSchema(definition.propertiesSchema, properties, 'properties', violations);
+    }
+    return violations;
+  }
+
+  // ============================================================================
+  // HELPERS
+  // ============================================================================
+
+  private unknownType(kind: string, type: string, registered: Iterable<string>): string {
+    const similar = findSimilar(type, registered);
+    return similar
+      ? `Unknown ${kind} type '${type}'; did you mean '${similar}'?`
+      : `Unknown ${kind} type '${type}'`;
+  }
+
+  private rejectDuplicate(kind: string, name: string, registered: Iterable<string>, problems: string[]): void {
+    const normalized = normalizeTypeName(name);
+    for (const existing of registered) {
+      if (existing !== name.trim() && normalizeTypeName(existing) === normalized) {
+        problems.push(`'${name}' duplicates registered type '${existing}'; register under that name instead`);
+        break;
+      }
+    }
+    if (problems.length > 0) {
+      throw new SchemaValidationError(`Invalid ${kind.toLowerCase()} type '${name}': ${problems.join('; ')}`, problems);
+    }
+  }
+
+  private loadEntityTypes(): Map<string, EntityTypeDefinition> {
+    if (!this.entityTypes) {
+      this.entityTypes = new Map();
+      for (const row of this.db.query('SELECT * FROM entity_types ORDER BY name')) {
+        this.entityTypes.set(row.name, {
+          name: row.name,
+          description: row.description,
+          requiredProperties: parseJson(row.required_properties, []),
+          optionalProperties: parseJson(row.optional_properties, undefined),
+          schema: parseJson(row.schema, undefined)
+        });
+      }
+    }
+    return this.entityTypes;
+  }
+
+  private loadRelationTypes(): Map<string, RelationTypeDefinition> {
+    if (!this.relationTypes) {
+      this.relationTypes = new Map();
+      for (const row of this.db.query('SELECT * FROM relation_types ORDER BY name')) {
+        this.relationTypes.set(row.name, {
+          name: row.name,
+          description: row.description,
+          validSourceTypes: parseJson(row.valid_source_types, []),
+          validTargetTypes: parseJson(row.valid_target_types, []),
+          bidirectional: row.bidirectional === 1,
+          propertiesSchema: parseJson(row.properties_schema, undefined)
+        });
+      }
+    }
+    return this.relationTypes;
+  }
+}
@@ -0,0 +1,569 @@
+/**
+ * Log Alerting
+ * Threshold, absence and pattern rules over ingested logs, with alert state in
+ * SQLite and delivery to webhooks, NDJSON files or the console
+ */
+
+import { promises as fs } from 'fs';
+import { dirname } from 'path';
+import type { DatabaseConnection } from '../database/connection.js';
+import type {
+  LogEntry,
+  AlertingConfig,
+  AlertRule,
+  AlertNotification,
+  ThresholdAlertRule,
+  PatternAlertRule
+} from '../types/logging.js';
+import { postJson } from './transports.js';
+import { IdGenerator } from '../utils/id-generator.js';
+import { loggingLogger as logger } from '../utils/logger.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const DEFAULT_COOLDOWN = 5 * 60 * 1000;
+const EVENT_RETENTION = 30 * DAY;
+const SUPPORTED_NOTIFICATIONS: AlertNotification['type'][] = ['webhook', 'file', 'console'];
+
+export interface AlertState {
+  ruleId: string;
+  name: string;
+  type: AlertRule['type'];
+  severity: AlertRule['severity'];
+  status: 'ok' | 'firing';
+  /** Last evaluated value (rate, count or silent ms) */
+  value: number | null;
+  message: string | null;
+  firedAt: number | null;
+  resolvedAt: number | null;
+  lastNotifiedAt: number | null;
+  lastEvaluatedAt: number | null;
+  /** Evaluations that found the alert still firing, deduplicated into one notification */
+  occurrences: number;
+}
+
+export interface AlertEvent {
+  id: string;
+  ruleId: string;
+  severity: AlertRule['severity'];
+  status: 'firing' | 'resolved';
+  message: string;
+  value: number | null;
+  createdAt: number;
+  /** Not sent because the rule was within its cooldown */
+  suppressed: boolean;
+  delivered: boolean;
+  deliveryError: string | null;
+}
+
+export interface AlertQuery {
+  /** Only rules in this state */
+  status?: 'ok' | 'firing';
+  /** Most recent events returned (default 50) */
+  limit?: number;
+}
+
+export interface AlertReport {
+  enabled: boolean;
+  /** Current state of every rule */
+  rules: AlertState[];
+  /** Firing rules */
+  active: AlertState[];
+  /** Most recent fire and resolve events */
+  events: AlertEvent[];
+}
+
+interface CompiledRule {
+  rule: AlertRule;
+  regex: RegExp | null;
+  levels: string[] | null;
+}
+
+/**
+ * Compile a regular expression written `/pattern/flags` or bare
+ */
+export function toRegExp(value: string): RegExp {
+  const literal = value.match(/^\/(.*)\/([a-z]*)$/);
+  return literal ? new RegExp(literal[1], literal[2]) : new RegExp(value);
+}
+
+function compare(value: number, operator: ThresholdAlertRule['operator'], threshold: number): boolean {
+  switch (operator) {
+    case '>=': return value >= threshold;
+    case '<': return value < threshold;
+    case '<=': return value <= threshold;
+    default: return value > threshold;
+  }
+}
+
+/**
+ * Evaluates alert rules and delivers notifications.
+ *
+ * Every incoming entry is observed (before sampling), which fires pattern
+ * rules immediately and tracks when services were last heard from. Threshold
+ * and absence rules are evaluated on a timer, and shortly after an error is
+ * observed. A firing rule notifies once; further breaches only count
+ * occurrences until it resolves. After a notification the rule stays quiet
+ * for its cooldown, so a flapping rule doesn't notify on every transition.
+ */
+export class AlertManager {
+  private rules: CompiledRule[] = [];
+  private states = new Map<string, AlertState>();
+  private matches = new Map<string, number[]>();
+  private lastSeen = new Map<string, number>();
+  private timer: NodeJS.Timeout | null = null;
+  private pending: NodeJS.Timeout | null = null;
+  private running: Promise<AlertState[]> | null = null;
+  private evaluationInterval: number;
+
+  constructor(
+    private db: DatabaseConnection,
+    private config: AlertingConfig,
+    private serviceName = 'log-service'
+  ) {
+    this.evaluationInterval = config.evaluationInterval ?? 30000;
+
+    for (const rule of config.rules || []) {
+      const compiled = this.compileRule(rule);
+      if (compiled) {
+        this.rules.push(compiled);
+      }
+    }
+
+    for (const notification of this.allNotifications()) {
+      if (!SUPPORTED_NOTIFICATIONS.includes(notification.type)) {
+        logger.warn('Unsupported alert notification type, it will be skipped', { type: notification.type });
+      }
+    }
+  }
+
+  /**
+   * Load stored state and start the evaluation timer
+   */
+  start(): void {
+    this.loadState();
+
+    // Absence windows start now, so a restart doesn't alert on services that just haven't logged yet
+    const now = Date.now();
+    for (const { rule } of this.rules) {
+      if (rule.type === 'absence') {
+        this.lastSeen.set(rule.id, now);
+      }
+    }
+
+    if (!this.timer && this.rules.length > 0) {
+      this.timer = setInterval(() => {
+        this.evaluate().catch(() => {});
+      }, this.evaluationInterval);
+      this.timer.unref?.();
+    }
+  }
+
+  stop(): void {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    if (this.pending) {
+      clearTimeout(this.pending);
+      this.pending = null;
+    }
+  }
+
+  /**
+   * Observe an incoming entry
+   */
+  observe(entry: LogEntry): void {
+    const now = Date.now();
+    const level = entry.level.toLowerCase();
+
+    for (const { rule, regex, levels } of this.rules) {
+      if (rule.type === 'absence') {
+        if (entry.service === rule.service && (!regex || regex.test(entry.message))) {
+          this.lastSeen.set(rule.id, now);
+        }
+      } else if (rule.type === 'pattern') {
+        if ((rule.service && entry.service !== rule.service) || (levels && !levels.includes(level)) || !regex!.test(entry.message)) {
+          continue;
+        }
+
+        const matches = this.recentMatches(rule, now);
+        matches.push(now);
+        const state = this.states.get(rule.id);
+        if (state?.status === 'firing') {
+          state.occurrences++;
+        } else if (matches.length >= (rule.threshold ?? 1)) {
+          this.transition(rule, true, matches.length, `${matches.length} log(s) matched ${rule.pattern}: ${entry.message}`)
+            .catch(() => {});
+        }
+      }
+    }
+
+    if ((level === 'error' || level === 'fatal') && this.rules.some(({ rule }) => rule.type === 'threshold')) {
+      this.scheduleEvaluation();
+    }
+  }
+
+  /**
+   * Evaluate every rule now. Concurrent calls share one evaluation.
+   */
+  evaluate(): Promise<AlertState[]> {
+    if (!this.running) {
+      this.running = this.evaluateRules().finally(() => {
+        this.running = null;
+      });
+    }
+    return this.running;
+  }
+
+  /**
+   * Get rule states and recent events
+   */
+  async getAlerts(query: AlertQuery = {}): Promise<AlertReport> {
+    const rules = this.rules.map(({ rule }) => this.stateFor(rule));
+    const events = this.db.query(
+      'SELECT * FROM alert_events ORDER BY created_at DESC LIMIT ?',
+      [query.limit ?? 50]
+    ).map((row: any) => ({
+      id: row.id,
+      ruleId: row.rule_id,
+      severity: row.severity,
+      status: row.status,
+      message: row.message,
+      value: row.value,
+      createdAt: row.created_at,
+      suppressed: row.suppressed === 1,
+      delivered: row.delivered === 1,
+      deliveryError: row.delivery_error
+    }));
+
+    return {
+      enabled: true,
+      rules: query.status ? rules.filter(state => state.status === query.status) : rules,
+      active: rules.filter(state => state.status === 'firing'),
+      events
+    };
+  }
+
+  private async evaluateRules(): Promise<AlertState[]> {
+    const now = Date.now();
+
+    for (const { rule } of this.rules) {
+      try {
+        switch (rule.type) {
+          case 'threshold': {
+            const value = this.measure(rule, now);
+            const evaluable = rule.metric !== 'error_rate' || value.logs >= (rule.minLogs ?? 10);
+            const breached = evaluable && compare(value.value, rule.operator, rule.threshold);
+            const unit = rule.metric === 'error_rate' ? '%' : '';
+            await this.transition(
+              rule,
+              breached,
+              value.value,
+              `${rule.metric} ${value.value.toFixed(rule.metric === 'error_rate' ? 1 : 0)}${unit} ${rule.operator || '>'} ${rule.threshold}${unit}` +
+                ` over ${Math.round(rule.window / 1000)}s${rule.service ? ` for ${rule.service}` : ''}`
+            );
+            break;
+          }
+
+          case 'absence': {
+            const silent = now - (this.lastSeen.get(rule.id) ?? now);
+            await this.transition(
+              rule,
+              silent > rule.window,
+              silent,
+              `No ${rule.pattern ? `logs matching ${rule.pattern} ` : 'logs '}from ${rule.service} for ${Math.round(silent / 1000)}s`
+            );
+            break;
+          }
+
+          case 'pattern': {
+            const count = this.recentMatches(rule, now).length;
+            if (count < (rule.threshold ?? 1)) {
+              await this.transition(rule, false, count, `${count} log(s) matched ${rule.pattern}`);
+            }
+            break;
+          }
+        }
+      } catch (error) {
+        logger.error('Failed to evaluate alert rule', error, { ruleId: rule.id });
+      }
+    }
+
+    try {
+      this.db.execute('DELETE FROM alert_events WHERE created_at < ?', [now - EVENT_RETENTION]);
+    } catch (error) {
+      logger.warn('Failed to prune alert events', { error: error.message });
+    }
+
+    return this.rules.map(({ rule }) => this.stateFor(rule));
+  }
+
+  /**
+   * Estimated (sampling-extrapolated) counts over a threshold rule's window
+   */
+  private measure(rule: ThresholdAlertRule, now: number): { value: number; logs: number } {
+    const params: any[] = [now - rule.window];
+    let serviceFilter = '';
+    if (rule.service) {
+      serviceFilter = ' AND service = ?';
+      params.push(rule.service);
+    }
+
+    const row = this.db.queryOne(`
+      SELECT
+        COALESCE(SUM(1.0 / sample_rate), 0) as logs,
+        COALESCE(SUM(CASE WHEN level IN ('error', 'fatal') THEN 1.0 / sample_rate ELSE 0 END), 0) as errors
+      FROM log_entries
+      WHERE timestamp >= ?${serviceFilter}
+    `, params);
+
+    const logs = row?.logs || 0;
+    const errors = row?.errors || 0;
+    switch (rule.metric) {
+      case 'error_rate': return { value: logs > 0 ? (errors / logs) * 100 : 0, logs };
+      case 'error_count': return { value: errors, logs };
+      default: return { value: logs, logs };
+    }
+  }
+
+  private recentMatches(rule: PatternAlertRule, now: number): number[] {
+    const cutoff = now - (rule.window ?? 60000);
+    const matches = (this.matches.get(rule.id) || []).filter(timestamp => timestamp > cutoff);
+    this.matches.set(rule.id, matches);
+    return matches;
+  }
+
+  /**
+   * Apply an evaluation result: fire, resolve, or update a firing alert
+   */
+  private async transition(rule: AlertRule, breached: boolean, value: number, message: string): Promise<void> {
+    const now = Date.now();
+    const state = this.stateFor(rule);
+    state.value = value;
+    state.lastEvaluatedAt = now;
+
+    if (breached && state.status === 'firing') {
+      state.occurrences++;
+      this.saveState(state);
+      return;
+    }
+
+    if (!breached && state.status !== 'firing') {
+      return;
+    }
+
+    const cooldown = rule.cooldown ?? DEFAULT_COOLDOWN;
+    let notify: boolean;
+    if (breached) {
+      state.status = 'firing';
+      state.firedAt = now;
+      state.occurrences = 1;
+      state.message = message;
+      notify = !state.lastNotifiedAt || now - state.lastNotifiedAt >= cooldown;
+    } else {
+      // Only resolutions of notified alerts are sent
+      notify = rule.notifyOnResolve !== false && !!state.lastNotifiedAt && state.lastNotifiedAt >= state.firedAt!;
+      state.status = 'ok';
+      state.resolvedAt = now;
+      state.message = message;
+    }
+
+    if (notify) {
+      state.lastNotifiedAt = now;
+    }
+    this.saveState(state);
+
+    const event: AlertEvent = {
+      id: IdGenerator.generateWithPrefix('alert', 12),
+      ruleId: rule.id,
+      severity: rule.severity,
+      status: breached ? 'firing' : 'resolved',
+      message,
+      value,
+      createdAt: now,
+      suppressed: !notify,
+      delivered: false,
+      deliveryError: null
+    };
+    this.db.execute(`
+      INSERT INTO alert_events (id, rule_id, severity, status, message, value, created_at, suppressed)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `, [event.id, event.ruleId, event.severity, event.status, event.message, event.value, event.createdAt, event.suppressed ? 1 : 0]);
+
+    logger.info(`Alert ${event.status}`, { ruleId: rule.id, severity: rule.severity, message, suppressed: event.suppressed });
+
+    if (notify) {
+      await this.deliver(rule, event);
+    }
+  }
+
+  /**
+   * Send an event to the rule's notifications (or the defaults, or the console)
+   */
+  private async deliver(rule: AlertRule, event: AlertEvent): Promise<void> {
+    const notifications = rule.notifications || this.config.notifications || [{ type: 'console', target: 'log' }];
+    const payload = {
+      ...event,
+      name: rule.name || rule.id,
+      type: rule.type,
+      source: this.serviceName,
+      timestamp: new Date(event.createdAt).toISOString()
+    };
+
+    const errors: string[] = [];
+    for (const notification of notifications) {
+      try {
+        switch (notification.type) {
+          case 'webhook':
+            await postJson(notification.target, payload, notification.options?.headers, notification.options?.timeout ?? 5000);
+            break;
+          case 'file':
+            await fs.mkdir(dirname(notification.target), { recursive: true });
+            await fs.appendFile(notification.target, JSON.stringify(payload) + '\n');
+            break;
+          case 'console':
+            logger.warn(`[ALERT ${event.severity.toUpperCase()}] ${payload.name}: ${event.message}`, { alert: payload });
+            break;
+          default:
+            continue;
+        }
+      } catch (error) {
+        errors.push(`${notification.type} ${notification.target}: ${error.message}`);
+      }
+    }
+
+    if (errors.length > 0) {
+      logger.error('Failed to deliver alert', undefined, { ruleId: rule.id, errors });
+    }
+
+    try {
+      this.db.execute(
+        'UPDATE alert_events SET delivered = ?, delivery_error = ? WHERE id = ?',
+        [errors.length < notifications.length ? 1 : 0, errors.length > 0 ? errors.join('; ') : null, event.id]
+      );
+    } catch (error) {
+      logger.warn('Failed to record alert delivery', { eventId: event.id, error: error.message });
+    }
+  }
+
+  private scheduleEvaluation(): void {
+    if (this.pending) {
+      return;
+    }
+    // Give the error's batch time to flush before counting
+    this.pending = setTimeout(() => {
+      this.pending = null;
+      this.evaluate().catch(() => {});
+    }, 1000);
+    this.pending.unref?.();
+  }
+
+  private stateFor(rule: AlertRule): AlertState {
+    let state = this.states.get(rule.id);
+    if (!state) {
+      state = {
+        ruleId: rule.id,
+        name: rule.name || rule.id,
+        type: rule.type,
+        severity: rule.severity,
+        status: 'ok',
+        value: null,
+        message: null,
+        firedAt: null,
+        resolvedAt: null,
+        lastNotifiedAt: null,
+        lastEvaluatedAt: null,
+        occurrences: 0
+      };
+      this.states.set(rule.id, state);
+    }
+    return state;
+  }
+
+  private loadState(): void {
+    try {
+      for (const row of this.db.query('SELECT * FROM alert_state')) {
+        const compiled = this.rules.find(({ rule }) => rule.id === row.rule_id);
+        if (!compiled) {
+          continue;
+        }
+        Object.assign(this.stateFor(compiled.rule), {
+          status: row.status,
+          value: row.value,
+          message: row.message,
+          firedAt: row.fired_at,
+          resolvedAt: row.resolved_at,
+          lastNotifiedAt: row.last_notified_at,
+          lastEvaluatedAt: row.last_evaluated_at,
+          occurrences: row.occurrences
+        });
+      }
+    } catch (error) {
+      logger.warn('Failed to load alert state', { error: error.message });
+    }
+  }
+
+  private saveState(state: AlertState): void {
+    this.db.execute(`
+      INSERT INTO alert_state (
+        rule_id, status, value, message, fired_at, resolved_at, last_notified_at, last_evaluated_at, occurrences
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(rule_id) DO UPDATE SET
+        status = excluded.status,
+        value = excluded.value,
+        message = excluded.message,
+        fired_at = excluded.fired_at,
+        resolved_at = excluded.resolved_at,
+        last_notified_at = excluded.last_notified_at,
+        last_evaluated_at = excluded.last_evaluated_at,
+        occurrences = excluded.occurrences
+    `, [
+      state.ruleId,
+      state.status,
+      state.value,
+      state.message,
+      state.firedAt,
+      state.resolvedAt,
+      state.lastNotifiedAt,
+      state.lastEvaluatedAt,
+      state.occurrences
+    ]);
+  }
+
+  private compileRule(rule: AlertRule): CompiledRule | null {
+    if (rule.enabled === false) {
+      return null;
+    }
+    if (!rule.id || this.rules.some(compiled => compiled.rule.id === rule.id)) {
+      logger.warn('Skipping alert rule without a unique id', { ruleId: rule.id });
+      return null;
+    }
+
+    try {
+      const pattern = rule.type === 'pattern' || rule.type === 'absence' ? rule.pattern : undefined;
+      if (rule.type === 'pattern' && !pattern) {
+        throw new Error('pattern rules need a pattern');
+      }
+      if ((rule.type === 'threshold' || rule.type === 'absence') && !(rule.window > 0)) {
+        throw new Error(`${rule.type} rules need a positive window`);
+      }
+
+      const level = rule.type === 'pattern' ? rule.level : undefined;
+      return {
+        rule,
+        regex: pattern ? toRegExp(pattern) : null,
+        levels: level ? (Array.isArray(level) ? level : [level]).map(l => l.toLowerCase()) : null
+      };
+    } catch (error) {
+      logger.warn('Skipping invalid alert rule', { ruleId: rule.id, error: error.message });
+      return null;
+    }
+  }
+
+  private allNotifications(): AlertNotification[] {
+    return [
+      ...(this.config.notifications || []),
+      ...this.rules.flatMap(({ rule }) => rule.notifications || [])
+    ];
+  }
+}
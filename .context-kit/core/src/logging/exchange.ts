@@ -0,0 +1,790 @@
+/**
+ * Log Export and Import
+ * Streams stored entries out as NDJSON, CSV, OTLP-JSON or a HAR bundle, and
+ * reads the same formats back in under fresh IDs
+ */
+
+import { StringDecoder } from 'string_decoder';
+import type { DatabaseConnection } from '../database/connection.js';
+import type { LogEntry, LogLevel } from '../types/logging.js';
+import { formatJson, toOtlpRequest } from './transports.js';
+import { IdGenerator } from '../utils/id-generator.js';
+import { loggingLogger as logger } from '../utils/logger.js';
+
+export type LogExportFormat = 'ndjson' | 'csv' | 'otlp' | 'har';
+
+export const LOG_EXPORT_FORMATS: LogExportFormat[] = ['ndjson', 'csv', 'otlp', 'har'];
+
+/** Content-Type and file extension per format */
+export const LOG_EXPORT_MEDIA: Record<LogExportFormat, { contentType: string; extension: string }> = {
+  ndjson: { contentType: 'application/x-ndjson', extension: 'ndjson' },
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  otlp: { contentType: 'application/json', extension: 'otlp.json' },
+  har: { contentType: 'application/json', extension: 'har' }
+};
+
+export interface LogExportOptions {
+  format: LogExportFormat;
+  /** Most entries to export (default: all that match) */
+  limit?: number;
+}
+
+export interface LogImportOptions {
+  /** Input format; detected from the content when omitted */
+  format?: LogExportFormat;
+  /** Service for records that don't name one (default 'imported') */
+  service?: string;
+}
+
+export interface LogImportResult {
+  /** Recorded on every imported entry as metadata.import.id */
+  importId: string;
+  format: LogExportFormat;
+  imported: number;
+  skipped: number;
+  /** Why records were skipped; the first MAX_REPORTED_ERRORS only */
+  errors: Array<{ record: number; error: string }>;
+}
+
+/** Where clause (` AND ...` terms) and parameters selecting the entries to export */
+export interface LogExportScope {
+  sql: string;
+  params: any[];
+}
+
+/**
+ * The input as a whole can't be imported: unknown format, a malformed
+ * OTLP or HAR document, or a CSV file without a usable header
+ */
+export class LogImportError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'LogImportError';
+  }
+}
+
+type ImportInput = string | Buffer | AsyncIterable<string | Buffer>;
+
+const EXPORT_BATCH = 1000;
+const IMPORT_BATCH = 500;
+const MAX_REPORTED_ERRORS = 100;
+/** OTLP and HAR documents are parsed whole, so their size is capped */
+const MAX_DOCUMENT_SIZE = 64 * 1024 * 1024;
+
+const CSV_COLUMNS = [
+  'id', 'timestamp', 'time', 'level', 'service', 'message',
+  'trace_id', 'span_id', 'parent_span_id', 'sample_rate', 'metadata'
+];
+
+const LEVELS = new Set(['trace', 'debug', 'info', 'warn', 'error', 'fatal']);
+const LEVEL_ALIASES: Record<string, string> = { warning: 'warn', err: 'error', critical: 'fatal' };
+
+/**
+ * Moves log_entries rows to and from files. Exports read in (timestamp,
+ * rowid) order a batch at a time, so memory stays flat however much
+ * matches. Imports never reuse the IDs they are given: each entry is stored
+ * under a new ID, with the original kept in metadata.import.
+ */
+export class LogExchange {
+  constructor(
+    private db: DatabaseConnection,
+    private toEntry: (row: any) => LogEntry,
+    /** Called on each imported entry before it is stored, e.g. to assign its template */
+    private prepare: (entry: LogEntry) => void = () => {}
+  ) {}
+
+  /**
+   * Export the entries in scope, oldest first, as chunks of the document
+   */
+  async *export(scope: LogExportScope, options: LogExportOptions): AsyncGenerator<string> {
+    const limit = options.limit ?? Infinity;
+
+    switch (options.format) {
+      case 'ndjson':
+        for await (const entries of this.batches(scope, limit)) {
+          yield entries.map(entry => formatJson(entry) + '\n').join('');
+        }
+        break;
+
+      case 'csv':
+        yield CSV_COLUMNS.join(',') + '\r\n';
+        for await (const entries of this.batches(scope, limit)) {
+          yield entries.map(entry => toCsvRow(entry) + '\r\n').join('');
+        }
+        break;
+
+      case 'otlp': {
+        yield '{"resourceLogs":[';
+        let first = true;
+        for await (const entries of this.batches(scope, limit)) {
+          const resources = toOtlpRequest(entries).resourceLogs.map((resource: any) => JSON.stringify(resource));
+          yield (first ? '' : ',') + resources.join(',');
+          first = false;
+        }
+        yield ']}\n';
+        break;
+      }
+
+      case 'har': {
+        // Network entries become HAR requests; every entry in scope is kept in _logs
+        yield '{"log":{"version":"1.2","creator":{"name":"tkr-context-kit","version":"1.0"},"pages":[],"entries":[';
+        const network = {
+          sql: `${scope.sql} AND json_extract(metadata, '$.source') = 'network'`,
+          params: scope.params
+        };
+        let first = true;
+        for await (const entries of this.batches(network, limit)) {
+          const requests = entries.map(toHarEntry).filter(Boolean).map(request => JSON.stringify(request));
+          if (requests.length > 0) {
+            yield (first ? '' : ',') + requests.join(',');
+            first = false;
+          }
+        }
+
+        yield '],"_logs":[';
+        first = true;
+        for await (const entries of this.batches(scope, limit)) {
+          yield (first ? '' : ',') + entries.map(formatJson).join(',');
+          first = false;
+        }
+        yield ']}}\n';
+        break;
+      }
+
+      default:
+        throw new Error(`Unknown log export format: ${options.format}`);
+    }
+  }
+
+  /**
+   * Import entries from an export in any of the supported formats.
+   * NDJSON and CSV are read as they arrive; OTLP and HAR documents are
+   * parsed whole. Records that can't be read are skipped and reported.
+   *
+   * @throws LogImportError when the input as a whole can't be read
+   */
+  async import(input: ImportInput, options: LogImportOptions = {}): Promise<LogImportResult> {
+    const result: LogImportResult = {
+      importId: IdGenerator.generateWithPrefix('imp'),
+      format: options.format || 'ndjson',
+      imported: 0,
+      skipped: 0,
+      errors: []
+    };
+    const service = options.service || 'imported';
+
+    let pending: LogEntry[] = [];
+    let recordNumber = 0;
+
+    const add = async (record: any) => {
+      recordNumber++;
+      try {
+        pending.push(toImportedEntry(record, result.importId, service));
+      } catch (error) {
+        result.skipped++;
+        if (result.errors.length < MAX_REPORTED_ERRORS) {
+          result.errors.push({ record: recordNumber, error: error.message });
+        }
+        return;
+      }
+
+      if (pending.length >= IMPORT_BATCH) {
+        await this.store(pending);
+        result.imported += pending.length;
+        pending = [];
+      }
+    };
+
+    const chunks = textChunks(input);
+    let text = '';
+    let done = false;
+
+    // Enough of the input to pick a format: its first line
+    while (!done && !text.includes('\n')) {
+      const next = await chunks.next();
+      done = next.done === true;
+      text += next.done ? '' : next.value;
+    }
+
+    result.format = options.format || detectFormat(text);
+
+    if (result.format === 'ndjson') {
+      let lineStart = 0;
+      if (done) {
+        text += '\n';
+      }
+      for (;;) {
+        let newline: number;
+        while ((newline = text.indexOf('\n', lineStart)) !== -1) {
+          const line = text.slice(lineStart, newline).trim();
+          lineStart = newline + 1;
+          if (line) {
+            await add(parseJsonLine(line));
+          }
+        }
+        text = text.slice(lineStart);
+        lineStart = 0;
+
+        if (done) {
+          break;
+        }
+        const next = await chunks.next();
+        done = next.done === true;
+        text += next.done ? '\n' : next.value;
+      }
+    } else if (result.format === 'csv') {
+      const reader = new CsvReader();
+      let header: string[] | null = null;
+
+      const addRows = async (rows: string[][]) => {
+        for (const row of rows) {
+          if (!header) {
+            header = row.map(name => name.trim().toLowerCase());
+            if (!header.includes('message')) {
+              throw new LogImportError('CSV header has no "message" column');
+            }
+            continue;
+          }
+          await add(Object.fromEntries(header.map((name, index) => [name, row[index] ?? ''])));
+        }
+      };
+
+      await addRows(reader.push(text));
+      for await (const chunk of chunks) {
+        await addRows(reader.push(chunk));
+      }
+      await addRows(reader.end());
+    } else {
+      for await (const chunk of chunks) {
+        text += chunk;
+        if (text.length > MAX_DOCUMENT_SIZE) {
+          throw new LogImportError(`${result.format.toUpperCase()} document is larger than ${MAX_DOCUMENT_SIZE} bytes`);
+        }
+      }
+
+      let document: any;
+      try {
+        document = JSON.parse(text);
+      } catch (error) {
+        throw new LogImportError(`Invalid ${result.format.toUpperCase()} document: ${error.message}`);
+      }
+
+      const records = result.format === 'otlp' ? fromOtlpDocument(document) : fromHarDocument(document, service);
+      for (const record of records) {
+        await add(record);
+      }
+    }
+
+    if (pending.length > 0) {
+      await this.store(pending);
+      result.imported += pending.length;
+    }
+
+    logger.info('Imported logs', { ...result, errors: result.errors.length });
+    return result;
+  }
+
+  /**
+   * Read the entries in scope a batch at a time, keyed on (timestamp, rowid)
+   */
+  private async *batches(scope: LogExportScope, limit: number): AsyncGenerator<LogEntry[]> {
+    let last: { timestamp: number; cursor: number } | null = null;
+    let remaining = limit;
+
+    while (remaining > 0) {
+      const after = last ? ' AND (timestamp > ? OR (timestamp = ? AND rowid > ?))' : '';
+      const rows = this.db.query(`
+        SELECT rowid AS export_cursor, * FROM log_entries
+        WHERE 1=1${after}${scope.sql}
+        ORDER BY timestamp, rowid
+        LIMIT ?
+      `, [
+        ...(last ? [last.timestamp, last.timestamp, last.cursor] : []),
+        ...scope.params,
+        Math.min(EXPORT_BATCH, remaining)
+      ]);
+
+      if (rows.length === 0) {
+        return;
+      }
+
+      const row = rows[rows.length - 1];
+      last = { timestamp: row.timestamp, cursor: row.export_cursor };
+      remaining -= rows.length;
+
+      yield rows.map(row => this.toEntry(row));
+
+      if (rows.length < EXPORT_BATCH) {
+        return;
+      }
+    }
+  }
+
+  private async store(entries: LogEntry[]): Promise<void> {
+    for (const entry of entries) {
+      this.prepare(entry);
+    }
+
+    await this.db.transaction(() => {
+      const stmt = this.db.statements.insertLogEntry();
+
+      for (const entry of entries) {
+        stmt.run(
+          entry.id,
+          entry.timestamp,
+          entry.level,
+          entry.service,
+          entry.message,
+          JSON.stringify(entry.metadata || {}),
+          null,
+          null,
+          entry.trace?.traceId || null,
+          entry.trace?.spanId || null,
+          entry.trace?.parentSpanId || null,
+          entry.sampleRate ?? 1,
+          entry.templateId || null
+        );
+      }
+    });
+  }
+}
+
+// ============================================================================
+// EXPORT FORMATS
+// ============================================================================
+
+function csvField(value: unknown): string {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsvRow(entry: LogEntry): string {
+  return [
+    entry.id,
+    entry.timestamp,
+    new Date(entry.timestamp).toISOString(),
+    entry.level.toLowerCase(),
+    entry.service,
+    entry.message,
+    entry.trace?.traceId,
+    entry.trace?.spanId,
+    entry.trace?.parentSpanId,
+    entry.sampleRate ?? 1,
+    JSON.stringify(entry.metadata || {})
+  ].map(csvField).join(',');
+}
+
+function toHarHeaders(headers: Record<string, any> | undefined): Array<{ name: string; value: string }> {
+  return Object.entries(headers || {}).map(([name, value]) => ({ name, value: String(value) }));
+}
+
+/**
+ * A HAR 1.2 entry for a browser network log (metadata.request from the
+ * logging client), or null for any other entry
+ */
+function toHarEntry(entry: LogEntry): Record<string, any> | null {
+  const request = entry.metadata?.request;
+  if (!request || typeof request.url !== 'string') {
+    return null;
+  }
+
+  const time = Number(request.duration) || 0;
+  const responseHeaders = toHarHeaders(request.responseHeaders);
+  const size = typeof request.responseSize === 'number' ? request.responseSize : -1;
+  let queryString: Array<{ name: string; value: string }> = [];
+  try {
+    queryString = Array.from(new URL(request.url).searchParams, ([name, value]) => ({ name, value }));
+  } catch {
+    // Relative or malformed URL: no query string breakdown
+  }
+
+  return {
+    startedDateTime: new Date(entry.timestamp - time).toISOString(),
+    time,
+    request: {
+      method: request.method || 'GET',
+      url: request.url,
+      httpVersion: 'HTTP/1.1',
+      cookies: [],
+      headers: toHarHeaders(request.requestHeaders),
+      queryString,
+      headersSize: -1,
+      bodySize: -1
+    },
+    response: {
+      status: request.status || 0,
+      statusText: request.statusText || '',
+      httpVersion: 'HTTP/1.1',
+      cookies: [],
+      headers: responseHeaders,
+      content: {
+        size,
+        mimeType: responseHeaders.find(header => header.name.toLowerCase() === 'content-type')?.value || ''
+      },
+      redirectURL: '',
+      headersSize: -1,
+      bodySize: size,
+      ...(request.error && { _error: request.error })
+    },
+    cache: {},
+    timings: { send: 0, wait: time, receive: 0 },
+    _logId: entry.id,
+    ...(entry.trace?.traceId && { _traceId: entry.trace.traceId, _spanId: entry.trace.spanId })
+  };
+}
+
+// ============================================================================
+// IMPORT FORMATS
+// ============================================================================
+
+async function* textChunks(input: ImportInput): AsyncGenerator<string> {
+  if (typeof input === 'string') {
+    yield input;
+    return;
+  }
+  if (Buffer.isBuffer(input)) {
+    yield input.toString('utf8');
+    return;
+  }
+
+  const decoder = new StringDecoder('utf8');
+  for await (const chunk of input) {
+    const text = typeof chunk === 'string' ? chunk : decoder.write(chunk);
+    if (text) {
+      yield text;
+    }
+  }
+  const rest = decoder.end();
+  if (rest) {
+    yield rest;
+  }
+}
+
+/**
+ * Pick a format from the start of the input: a first line that is a whole
+ * JSON object is NDJSON (unless it is itself an OTLP or HAR document), a
+ * partial one starts a pretty-printed document, anything else is CSV
+ */
+function detectFormat(start: string): LogExportFormat {
+  const text = start.replace(/^\uFEFF/, '').trimStart();
+  if (!text.startsWith('{')) {
+    if (!text) {
+      return 'ndjson';
+    }
+    return 'csv';
+  }
+
+  const newline = text.indexOf('\n');
+  const firstLine = newline === -1 ? text : text.slice(0, newline);
+  try {
+    const record = JSON.parse(firstLine);
+    if (record.resourceLogs) {
+      return 'otlp';
+    }
+    if (record.log) {
+      return 'har';
+    }
+    return 'ndjson';
+  } catch {
+    // A document spread over several lines; it has to be OTLP or HAR
+    if (/"resourceLogs"\s*:/.test(text)) {
+      return 'otlp';
+    }
+    if (/"log"\s*:/.test(text)) {
+      return 'har';
+    }
+    throw new LogImportError('Could not detect the log format; pass one of ndjson, csv, otlp or har');
+  }
+}
+
+function parseJsonLine(line: string): any {
+  try {
+    return JSON.parse(line);
+  } catch (error) {
+    // Reported against the record by toImportedEntry
+    return { invalid: `Invalid JSON: ${error.message}` };
+  }
+}
+
+const OTLP_LEVELS: Array<[number, string]> = [[21, 'fatal'], [17, 'error'], [13, 'warn'], [9, 'info'], [5, 'debug'], [1, 'trace']];
+
+function fromOtlpValue(value: any): any {
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+  if ('stringValue' in value) {
+    // Objects are exported as JSON strings (see toOtlpRequest); read them back as objects
+    const text = value.stringValue;
+    if (/^[[{]/.test(text)) {
+      try {
+        return JSON.parse(text);
+      } catch {
+        return text;
+      }
+    }
+    return text;
+  }
+  if ('boolValue' in value) {
+    return value.boolValue;
+  }
+  if ('intValue' in value) {
+    return Number(value.intValue);
+  }
+  if ('doubleValue' in value) {
+    return value.doubleValue;
+  }
+  if ('arrayValue' in value) {
+    return (value.arrayValue?.values || []).map(fromOtlpValue);
+  }
+  if ('kvlistValue' in value) {
+    return fromOtlpAttributes(value.kvlistValue?.values);
+  }
+  if ('bytesValue' in value) {
+    return value.bytesValue;
+  }
+  return undefined;
+}
+
+function fromOtlpAttributes(attributes: any[] | undefined): Record<string, any> {
+  const result: Record<string, any> = {};
+  for (const attribute of attributes || []) {
+    if (attribute?.key) {
+      result[attribute.key] = fromOtlpValue(attribute.value);
+    }
+  }
+  return result;
+}
+
+/**
+ * Records from an OTLP-JSON ExportLogsServiceRequest
+ */
+function fromOtlpDocument(document: any): any[] {
+  if (!Array.isArray(document?.resourceLogs)) {
+    throw new LogImportError('OTLP document has no resourceLogs array');
+  }
+
+  const records: any[] = [];
+  for (const resourceLogs of document.resourceLogs) {
+    const resource = fromOtlpAttributes(resourceLogs?.resource?.attributes);
+
+    for (const scopeLogs of resourceLogs?.scopeLogs || []) {
+      for (const logRecord of scopeLogs?.logRecords || []) {
+        const { 'log.record.uid': id, 'log.source': source, ...metadata } = fromOtlpAttributes(logRecord.attributes);
+        const body = fromOtlpValue(logRecord.body);
+        const nanos = logRecord.timeUnixNano && logRecord.timeUnixNano !== '0'
+          ? logRecord.timeUnixNano
+          : logRecord.observedTimeUnixNano;
+        const severity = Number(logRecord.severityNumber) || 0;
+
+        records.push({
+          id,
+          timestamp: nanos !== undefined ? Math.floor(Number(nanos) / 1e6) : undefined,
+          level: logRecord.severityText || OTLP_LEVELS.find(([min]) => severity >= min)?.[1],
+          service: resource['service.name'],
+          source,
+          message: typeof body === 'string' ? body : JSON.stringify(body),
+          metadata,
+          trace: logRecord.traceId ? { traceId: logRecord.traceId, spanId: logRecord.spanId || undefined } : undefined
+        });
+      }
+    }
+  }
+  return records;
+}
+
+function fromHarHeaders(headers: any[] | undefined): Record<string, string> {
+  return Object.fromEntries((headers || []).map(header => [header.name, header.value]));
+}
+
+/**
+ * Records from a HAR file: the full entries of one of our bundles, or one
+ * network log per request of a HAR saved from browser dev tools
+ */
+function fromHarDocument(document: any, service: string): any[] {
+  const log = document?.log;
+  if (!log || typeof log !== 'object') {
+    throw new LogImportError('HAR document has no log object');
+  }
+  if (Array.isArray(log._logs)) {
+    return log._logs;
+  }
+
+  return (log.entries || []).map((harEntry: any) => {
+    const request = harEntry?.request || {};
+    const response = harEntry?.response || {};
+    const time = Math.max(0, Number(harEntry?.time) || 0);
+    const status = Number(response.status) || 0;
+    const error = response._error || (status === 0 ? 'No response' : undefined);
+    const outcome = error ? `failed: ${error}` : `${status}`;
+
+    return {
+      timestamp: Date.parse(harEntry?.startedDateTime) + time,
+      level: error || status >= 500 ? 'error' : status >= 400 ? 'warn' : 'info',
+      service,
+      message: `${request.method || 'GET'} ${request.url} ${outcome} (${Math.round(time)}ms)`,
+      metadata: {
+        source: 'network',
+        request: {
+          type: 'har',
+          method: request.method || 'GET',
+          url: request.url,
+          duration: time,
+          status,
+          statusText: response.statusText || '',
+          requestHeaders: fromHarHeaders(request.headers),
+          responseHeaders: fromHarHeaders(response.headers),
+          responseSize: response.content?.size ?? response.bodySize,
+          ...(error && { error })
+        }
+      },
+      trace: harEntry?._traceId ? { traceId: harEntry._traceId, spanId: harEntry._spanId } : undefined
+    };
+  });
+}
+
+function toTimestamp(value: unknown): number {
+  if (typeof value === 'number') {
+    return value;
+  }
+  if (typeof value === 'string' && value.trim()) {
+    return /^\d+(\.\d+)?$/.test(value.trim()) ? Number(value) : Date.parse(value);
+  }
+  return NaN;
+}
+
+/**
+ * Validate an imported record and build the entry to store under a new ID.
+ * Field names from our NDJSON, CSV and OTLP/HAR readers are all accepted.
+ */
+function toImportedEntry(record: any, importId: string, defaultService: string): LogEntry {
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    throw new Error('Record is not an object');
+  }
+  if (record.invalid) {
+    throw new Error(record.invalid);
+  }
+
+  const message = record.message ?? record.msg;
+  if (typeof message !== 'string' || !message) {
+    throw new Error('Missing message');
+  }
+
+  const rawLevel = String(record.level ?? 'info').toLowerCase();
+  const level = LEVEL_ALIASES[rawLevel] || rawLevel;
+  if (!LEVELS.has(level)) {
+    throw new Error(`Unknown level "${record.level}"`);
+  }
+
+  const timestamp = toTimestamp(record.timestamp ?? record.time);
+  if (!Number.isFinite(timestamp) || timestamp <= 0) {
+    throw new Error('Missing or invalid timestamp');
+  }
+
+  let metadata = record.metadata ?? {};
+  if (typeof metadata === 'string') {
+    try {
+      metadata = metadata ? JSON.parse(metadata) : {};
+    } catch {
+      throw new Error('Metadata is not valid JSON');
+    }
+  }
+  if (!metadata || typeof metadata !== 'object' || Array.isArray(metadata)) {
+    throw new Error('Metadata is not an object');
+  }
+
+  const trace = record.trace && typeof record.trace === 'object' ? record.trace : {};
+  const traceId = trace.traceId || record.trace_id || record.traceId || undefined;
+  const sampleRate = Number(record.sampleRate ?? record.sample_rate);
+  const originalId = record.id ? String(record.id) : undefined;
+
+  return {
+    id: IdGenerator.generateLogId(),
+    timestamp: Math.floor(timestamp),
+    level: level as LogLevel,
+    message,
+    service: String(record.service || defaultService),
+    source: record.source,
+    metadata: { ...metadata, import: { id: importId, ...(originalId && { originalId }) } },
+    trace: traceId ? {
+      traceId: String(traceId),
+      spanId: trace.spanId || record.span_id || record.spanId || undefined,
+      parentSpanId: trace.parentSpanId || record.parent_span_id || record.parentSpanId || undefined
+    } : undefined,
+    sampleRate: sampleRate > 0 && sampleRate <= 1 ? sampleRate : 1
+  };
+}
+
+/**
+ * Incremental RFC 4180 reader: quoted fields may hold commas, doubled
+ * quotes and line breaks, and may be split across chunks
+ */
+class CsvReader {
+  private field = '';
+  private row: string[] = [];
+  private quoted = false;
+  private closedQuote = false;
+  private started = false;
+
+  push(text: string): string[][] {
+    const rows: string[][] = [];
+
+    for (let index = 0; index < text.length; index++) {
+      const char = text[index];
+
+      if (!this.started) {
+        this.started = true;
+        if (char === '\uFEFF') {
+          continue;
+        }
+      }
+
+      if (this.quoted) {
+        if (char === '"') {
+          this.quoted = false;
+          this.closedQuote = true;
+        } else {
+          this.field += char;
+        }
+        continue;
+      }
+
+      const closedQuote = this.closedQuote;
+      this.closedQuote = false;
+
+      if (char === '"') {
+        if (closedQuote) {
+          this.field += '"';
+          this.quoted = true;
+        } else if (this.field === '') {
+          this.quoted = true;
+        } else {
+          this.field += char;
+        }
+      } else if (char === ',') {
+        this.row.push(this.field);
+        this.field = '';
+      } else if (char === '\n') {
+        this.endRow(rows);
+      } else if (char !== '\r') {
+        this.field += char;
+      }
+    }
+
+    return rows;
+  }
+
+  end(): string[][] {
+    const rows: string[][] = [];
+    this.endRow(rows);
+    return rows;
+  }
+
+  private endRow(rows: string[][]): void {
+    this.row.push(this.field);
+    if (this.row.length > 1 || this.row[0] !== '') {
+      rows.push(this.row);
+    }
+    this.row = [];
+    this.field = '';
+  }
+}
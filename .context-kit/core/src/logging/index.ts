@@ -4,6 +4,28 @@
  */
 
 export { LoggingService } from './service.js';
+export {
+  TransportManager,
+  TransportError,
+  SqliteTransport,
+  RotatingFileTransport,
+  ConsoleTransport,
+  HttpTransport,
+  OtlpStdoutTransport,
+  createTransport,
+  formatJson,
+  formatPretty,
+  toOtlpRequest
+} from './transports.js';
+export { LogSampler } from './sampling.js';
+export { compileSearchQuery, LogSearchSyntaxError } from './search.js';
+export { parseLogQuery, compileLogQuery, LogQuerySyntaxError } from './query.js';
+export { LogTemplateMiner, TEMPLATE_WILDCARD } from './templates.js';
+export { LogRetentionManager } from './retention.js';
+export { AlertManager } from './alerts.js';
+export { LogTail } from './tail.js';
+export { MetricsRegistry, MetricQueryError } from './metrics.js';
+export { LogExchange, LogImportError, LOG_EXPORT_FORMATS, LOG_EXPORT_MEDIA } from './exchange.js';
 
 // Export key types
 export type {
@@ -11,12 +33,68 @@ export type {
   LogLevel,
   LogFilter,
   LogQuery,
+  LogSearchHit,
   LogStats,
-  LogServiceConfig
+  LogServiceConfig,
+  TransportConfig,
+  TransportErrorHandling,
+  RetryConfig,
+  SamplingConfig,
+  SamplingRule,
+  AdaptiveSamplingConfig,
+  RetentionConfig,
+  TemplateMiningConfig,
+  ArchiveConfig,
+  CleanupConfig,
+  AlertingConfig,
+  AlertRule,
+  ThresholdAlertRule,
+  AbsenceAlertRule,
+  PatternAlertRule,
+  MetricsConfig,
+  MetricRule,
+  MetricType
 } from '../types/logging.js';
 
 // Export additional interfaces
 export type {
   LogBatch,
-  LogAnalytics
-} from './service.js';
\ No newline at end of file
+  LogAnalytics,
+  ErrorTrendBucket,
+  StructuredLogQueryOptions,
+  StructuredLogQueryResult,
+  LogPatternQuery,
+  LogPattern,
+  LogPatternReport
+} from './service.js';
+export type { LogTemplate } from './templates.js';
+export type { ParsedLogQuery, CompiledLogQuery, LogQueryNode, LogQueryOperator } from './query.js';
+export type { SamplingStats } from './sampling.js';
+export type { LogTailFilter, LogTailEvent, LogTailSubscription } from './tail.js';
+export type { AlertState, AlertEvent, AlertQuery, AlertReport } from './alerts.js';
+export type {
+  MetricQuery,
+  MetricQueryResult,
+  MetricSeries,
+  MetricPoint,
+  MetricInfo
+} from './metrics.js';
+export type {
+  LogExportFormat,
+  LogExportOptions,
+  LogExportScope,
+  LogImportOptions,
+  LogImportResult
+} from './exchange.js';
+export type {
+  CleanupOptions,
+  CleanupRunResult,
+  CleanupStats,
+  ArchiveRestoreQuery,
+  ArchiveRestoreResult
+} from './retention.js';
+export type {
+  LogTransport,
+  TransportStats,
+  TransportDependencies
+} from './transports.js';
\ No newline at end of file
@@ -0,0 +1,802 @@
+/**
+ * Log Metrics
+ * Counters, gauges and histograms, recorded explicitly or derived from
+ * ingested logs, rolled up into per-minute and per-hour buckets in SQLite
+ */
+
+import type { DatabaseConnection } from '../database/connection.js';
+import type { LogEntry, MetricsConfig, MetricRule, MetricType } from '../types/logging.js';
+import { toRegExp } from './alerts.js';
+import { loggingLogger as logger, onOperationTimed } from '../utils/logger.js';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+const RESOLUTIONS = [MINUTE, HOUR];
+const DEFAULT_BUCKETS = [5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000];
+/** Points a query returns when no step is given */
+const DEFAULT_POINTS = 120;
+const MAX_POINTS = 10000;
+const METRIC_NAME = /^[a-zA-Z_:][a-zA-Z0-9_:]*$/;
+const LABEL_NAME = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
+
+/** Always derived: entries ingested, counted before sampling */
+const LOG_ENTRIES_RULE: MetricRule = {
+  name: 'log_entries_total',
+  type: 'counter',
+  help: 'Log entries ingested, before sampling',
+  labels: { service: 'service', level: 'level' }
+};
+
+export interface MetricQuery {
+  name: string;
+  /** Range start in ms (default: an hour before end) */
+  start?: number;
+  /** Range end in ms (default: now) */
+  end?: number;
+  /** Width of each point in ms, rounded up to the rollup resolution (default: about 120 points) */
+  step?: number;
+  /** Labels to keep; series that differ only in other labels are combined (default: none) */
+  groupBy?: string[];
+  /** Only series with these label values */
+  labels?: Record<string, string>;
+}
+
+export interface MetricPoint {
+  /** Start of the step */
+  timestamp: number;
+  /** Counters: increase over the step. Gauges: last value (summed over series). Histograms: mean */
+  value: number;
+  /** Counters only: increase per second */
+  rate?: number;
+  /** Recorded values */
+  count: number;
+  sum: number;
+  min: number | null;
+  max: number | null;
+  /** Histograms only: percentiles estimated from the buckets */
+  p50?: number;
+  p90?: number;
+  p99?: number;
+}
+
+export interface MetricSeries {
+  /** Values of the groupBy labels */
+  labels: Record<string, string>;
+  /** Steps with data, oldest first */
+  points: MetricPoint[];
+}
+
+export interface MetricQueryResult {
+  name: string;
+  type: MetricType;
+  /** Rollup the points were built from, in ms */
+  resolution: number;
+  step: number;
+  start: number;
+  end: number;
+  series: MetricSeries[];
+}
+
+export interface MetricInfo {
+  name: string;
+  type: MetricType;
+  help: string | null;
+  /** Label combinations stored in the last day */
+  series: number;
+}
+
+/**
+ * A metric query that can't be answered as asked: unknown metric, an empty
+ * range or too many points
+ */
+export class MetricQueryError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'MetricQueryError';
+  }
+}
+
+interface Definition {
+  name: string;
+  type: MetricType;
+  help: string | null;
+  /** Histogram bucket upper bounds */
+  bounds: number[] | null;
+}
+
+interface Accumulator {
+  count: number;
+  sum: number;
+  min: number | null;
+  max: number | null;
+  last: number | null;
+  /** Histograms: values per bucket, the last past every bound */
+  counts: number[] | null;
+}
+
+interface SeriesState {
+  labels: Record<string, string>;
+  /** Since the registry started, for the Prometheus exposition */
+  total: Accumulator;
+}
+
+interface PendingBucket {
+  definition: Definition;
+  labelsKey: string;
+  bucket: number;
+  acc: Accumulator;
+}
+
+interface CompiledRule {
+  rule: MetricRule;
+  definition: Definition;
+  regex: RegExp | null;
+  services: string[] | null;
+  levels: string[] | null;
+}
+
+function emptyAccumulator(bounds: number[] | null): Accumulator {
+  return { count: 0, sum: 0, min: null, max: null, last: null, counts: bounds ? new Array(bounds.length + 1).fill(0) : null };
+}
+
+function addValue(acc: Accumulator, value: number, bounds: number[] | null): void {
+  acc.count++;
+  acc.sum += value;
+  acc.min = acc.min === null ? value : Math.min(acc.min, value);
+  acc.max = acc.max === null ? value : Math.max(acc.max, value);
+  acc.last = value;
+  if (acc.counts && bounds) {
+    const index = bounds.findIndex(bound => value <= bound);
+    acc.counts[index === -1 ? bounds.length : index]++;
+  }
+}
+
+/**
+ * Fold `from` into `into`; `from` is the later of the two
+ */
+function mergeAccumulator(into: Accumulator, from: Accumulator): void {
+  into.count += from.count;
+  into.sum += from.sum;
+  into.min = into.min === null ? from.min : from.min === null ? into.min : Math.min(into.min, from.min);
+  into.max = into.max === null ? from.max : from.max === null ? into.max : Math.max(into.max, from.max);
+  into.last = from.last ?? into.last;
+  if (from.counts) {
+    // Bounds changed between runs: the later buckets win
+    into.counts = into.counts && into.counts.length === from.counts.length
+      ? into.counts.map((count, index) => count + from.counts![index])
+      : [...from.counts];
+  }
+}
+
+/**
+ * Estimate a percentile from histogram buckets by interpolating within the
+ * bucket it falls in, clamped to the recorded min and max
+ */
+function estimatePercentile(acc: Accumulator, bounds: number[], percentile: number): number | undefined {
+  if (!acc.counts || acc.count === 0) {
+    return undefined;
+  }
+
+  const rank = percentile / 100 * acc.counts.reduce((total, count) => total + count, 0);
+  let cumulative = 0;
+  for (let index = 0; index < acc.counts.length; index++) {
+    const count = acc.counts[index];
+    if (count > 0 && cumulative + count >= rank) {
+      const lower = index === 0 ? (acc.min ?? 0) : bounds[index - 1];
+      const upper = index < bounds.length ? bounds[index] : (acc.max ?? bounds[bounds.length - 1]);
+      const estimate = lower + (upper - lower) * ((rank - cumulative) / count);
+      return Math.min(Math.max(estimate, acc.min ?? estimate), acc.max ?? estimate);
+    }
+    cumulative += count;
+  }
+  return acc.max ?? undefined;
+}
+
+function labelsKey(labels: Record<string, string>): string {
+  return JSON.stringify(Object.fromEntries(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b))));
+}
+
+function isField(field: string): boolean {
+  return ['service', 'level', 'message'].includes(field) || /^(meta|metadata)\.[^.]+(\.[^.]+)*$/.test(field);
+}
+
+function fieldValue(entry: LogEntry, field: string): unknown {
+  switch (field) {
+    case 'service': return entry.service;
+    case 'level': return entry.level.toLowerCase();
+    case 'message': return entry.message;
+  }
+
+  let value: any = entry.metadata;
+  for (const key of field.slice(field.indexOf('.') + 1).split('.')) {
+    if (value === null || typeof value !== 'object') {
+      return undefined;
+    }
+    value = value[key];
+  }
+  return value;
+}
+
+function escapeLabelValue(value: string): string {
+  return value.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels: Record<string, string>, extra?: [string, string]): string {
+  const pairs = Object.entries(labels);
+  if (extra) {
+    pairs.push(extra);
+  }
+  return pairs.length > 0
+    ? `{${pairs.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`
+    : '';
+}
+
+function formatNumber(value: number): string {
+  if (Number.isNaN(value)) {
+    return 'NaN';
+  }
+  if (!Number.isFinite(value)) {
+    return value > 0 ? '+Inf' : '-Inf';
+  }
+  return String(value);
+}
+
+/**
+ * Records metrics and rolls them up.
+ *
+ * Values are accumulated in memory per minute and written on a timer into
+ * metric_rollups, merged into one row per metric, label set and bucket for
+ * both the minute and the hour resolution. Queries read the rollups (hour
+ * buckets once minute ones have expired); the Prometheus exposition reports
+ * totals since the registry started, as client libraries do.
+ */
+export class MetricsRegistry {
+  private definitions = new Map<string, Definition>();
+  private series = new Map<string, Map<string, SeriesState>>();
+  private pending = new Map<string, PendingBucket>();
+  private rules: CompiledRule[] = [];
+  private warned = new Set<string>();
+  private timer: NodeJS.Timeout | null = null;
+  private flushing: Promise<void> | null = null;
+  private unsubscribeTimings: (() => void) | null = null;
+  private lastPrune = 0;
+  private flushInterval: number;
+  private minuteRetention: number;
+  private hourRetention: number;
+  private defaultBuckets: number[];
+  private maxSeries: number;
+
+  constructor(
+    private db: DatabaseConnection,
+    private config: MetricsConfig = {}
+  ) {
+    this.flushInterval = config.flushInterval ?? 10000;
+    this.minuteRetention = config.minuteRetention ?? DAY;
+    this.hourRetention = config.hourRetention ?? 30 * DAY;
+    this.defaultBuckets = this.validBuckets(config.buckets, 'default') || DEFAULT_BUCKETS;
+    this.maxSeries = config.maxSeries ?? 1000;
+
+    for (const rule of [LOG_ENTRIES_RULE, ...(config.rules || [])]) {
+      const compiled = this.compileRule(rule);
+      if (compiled) {
+        this.rules.push(compiled);
+      }
+    }
+
+    if (config.timeOperations !== false) {
+      this.define('operation_duration_ms', 'histogram', { help: 'Duration of timed core operations in milliseconds' });
+    }
+  }
+
+  /**
+   * Start the flush timer and record timed operations
+   */
+  start(): void {
+    if (!this.timer) {
+      this.timer = setInterval(() => {
+        this.flush().catch(() => {});
+      }, this.flushInterval);
+      this.timer.unref?.();
+    }
+
+    if (this.config.timeOperations !== false && !this.unsubscribeTimings) {
+      this.unsubscribeTimings = onOperationTimed((operation, duration, meta) => {
+        const labels: Record<string, string> = { operation };
+        if (typeof meta?.success === 'boolean') {
+          labels.success = String(meta.success);
+        }
+        this.histogram('operation_duration_ms', duration, labels);
+      });
+    }
+  }
+
+  /**
+   * Stop the timer and write what is buffered
+   */
+  async stop(): Promise<void> {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    this.unsubscribeTimings?.();
+    this.unsubscribeTimings = null;
+    await this.flush();
+  }
+
+  /**
+   * Declare a metric's type, help text and (for histograms) bucket bounds.
+   * Metrics are also declared by their first recorded value.
+   * @returns Whether the metric can be recorded under this type
+   */
+  define(name: string, type: MetricType, options: { help?: string; buckets?: number[] } = {}): boolean {
+    const existing = this.definitions.get(name);
+    if (existing) {
+      if (existing.type !== type) {
+        this.warnOnce(`type:${name}`, 'Metric already recorded with another type, values will be skipped', {
+          name, type, existingType: existing.type
+        });
+        return false;
+      }
+      existing.help = existing.help ?? options.help ?? null;
+      return true;
+    }
+
+    if (!METRIC_NAME.test(name)) {
+      this.warnOnce(`name:${name}`, 'Invalid metric name, values will be skipped', { name });
+      return false;
+    }
+
+    this.definitions.set(name, {
+      name,
+      type,
+      help: options.help ?? null,
+      bounds: type === 'histogram' ? (this.validBuckets(options.buckets, name) || this.defaultBuckets) : null
+    });
+    return true;
+  }
+
+  /**
+   * Add to a counter
+   */
+  counter(name: string, value = 1, labels: Record<string, string> = {}): void {
+    if (value < 0) {
+      this.warnOnce(`negative:${name}`, 'Counters only increase, negative values are skipped', { name });
+      return;
+    }
+    this.record('counter', name, value, labels, Date.now());
+  }
+
+  /**
+   * Set a gauge
+   */
+  gauge(name: string, value: number, labels: Record<string, string> = {}): void {
+    this.record('gauge', name, value, labels, Date.now());
+  }
+
+  /**
+   * Record a value in a histogram
+   */
+  histogram(name: string, value: number, labels: Record<string, string> = {}): void {
+    this.record('histogram', name, value, labels, Date.now());
+  }
+
+  /**
+   * Apply the derivation rules to an incoming entry
+   */
+  observe(entry: LogEntry): void {
+    const level = entry.level.toLowerCase();
+
+    for (const { rule, regex, services, levels } of this.rules) {
+      if ((services && !services.includes(entry.service))
+        || (levels && !levels.includes(level))
+        || (regex && !regex.test(entry.message))) {
+        continue;
+      }
+
+      let value = 1;
+      if (rule.value) {
+        const raw = fieldValue(entry, rule.value);
+        value = typeof raw === 'number' ? raw : typeof raw === 'string' && raw.trim() ? Number(raw) : NaN;
+        if (!Number.isFinite(value)) {
+          continue;
+        }
+      }
+
+      const labels: Record<string, string> = {};
+      for (const [label, field] of Object.entries(rule.labels || {})) {
+        const labelValue = fieldValue(entry, field);
+        if (labelValue !== undefined && labelValue !== null && labelValue !== '') {
+          labels[label] = typeof labelValue === 'object' ? JSON.stringify(labelValue) : String(labelValue);
+        }
+      }
+
+      this.record(rule.type, rule.name, value, labels, entry.timestamp || Date.now());
+    }
+  }
+
+  /**
+   * Write buffered buckets to metric_rollups. Concurrent calls share one write.
+   */
+  flush(): Promise<void> {
+    if (!this.flushing) {
+      this.flushing = this.writePending().finally(() => {
+        this.flushing = null;
+      });
+    }
+    return this.flushing;
+  }
+
+  /**
+   * Query a metric over a range, one point per step
+   *
+   * @throws MetricQueryError for unknown metrics and unanswerable ranges
+   */
+  async query(query: MetricQuery): Promise<MetricQueryResult> {
+    await this.flush();
+
+    const type = this.definitions.get(query.name)?.type
+      ?? this.db.queryOne('SELECT type FROM metric_rollups WHERE name = ? LIMIT 1', [query.name])?.type;
+    if (!type) {
+      throw new MetricQueryError(`Unknown metric "${query.name}"`);
+    }
+
+    const now = Date.now();
+    const end = query.end ?? now;
+    const start = query.start ?? end - HOUR;
+    if (!(start < end)) {
+      throw new MetricQueryError('Range start must be before its end');
+    }
+
+    const wanted = query.step ?? (end - start) / DEFAULT_POINTS;
+    const resolution = wanted >= HOUR || start < now - this.minuteRetention ? HOUR : MINUTE;
+    const step = Math.max(resolution, Math.ceil(wanted / resolution) * resolution);
+    const first = Math.floor(start / step) * step;
+    if ((end - first) / step > MAX_POINTS) {
+      throw new MetricQueryError(`Range has more than ${MAX_POINTS} steps; use a larger step`);
+    }
+
+    for (const label of [...(query.groupBy || []), ...Object.keys(query.labels || {})]) {
+      if (!LABEL_NAME.test(label)) {
+        throw new MetricQueryError(`Invalid label name "${label}"`);
+      }
+    }
+
+    let sql = `
+      SELECT labels, bucket, count, sum, min, max, last, histogram
+      FROM metric_rollups
+      WHERE name = ? AND resolution = ? AND bucket >= ? AND bucket < ?
+    `;
+    const params: any[] = [query.name, resolution, first, end];
+    for (const [label, value] of Object.entries(query.labels || {})) {
+      sql += ' AND json_extract(labels, ?) = ?';
+      params.push(`$.${label}`, String(value));
+    }
+    sql += ' ORDER BY bucket';
+
+    // Steps by group, and for gauges the latest value of each series in the step
+    const groups = new Map<string, { labels: Record<string, string>; steps: Map<number, Accumulator> }>();
+    const gaugeLasts = new Map<string, Map<string, { bucket: number; last: number }>>();
+    let bounds: number[] | null = null;
+
+    for (const row of this.db.query(sql, params)) {
+      const labels = JSON.parse(row.labels || '{}');
+      const groupLabels = Object.fromEntries((query.groupBy || []).map(label => [label, labels[label] ?? '']));
+      const groupKey = labelsKey(groupLabels);
+      const stepStart = Math.floor(row.bucket / step) * step;
+
+      let histogram: { bounds: number[]; counts: number[] } | null = null;
+      if (row.histogram) {
+        histogram = JSON.parse(row.histogram);
+        bounds = histogram!.bounds;
+      }
+
+      const group = groups.get(groupKey) || { labels: groupLabels, steps: new Map<number, Accumulator>() };
+      groups.set(groupKey, group);
+      const acc = group.steps.get(stepStart) || emptyAccumulator(null);
+      group.steps.set(stepStart, acc);
+      mergeAccumulator(acc, {
+        count: row.count,
+        sum: row.sum,
+        min: row.min,
+        max: row.max,
+        last: row.last,
+        counts: histogram?.counts || null
+      });
+
+      if (type === 'gauge' && row.last !== null) {
+        const key = `${groupKey}\u0000${stepStart}`;
+        const lasts = gaugeLasts.get(key) || new Map<string, { bucket: number; last: number }>();
+        gaugeLasts.set(key, lasts);
+        const current = lasts.get(row.labels);
+        if (!current || current.bucket <= row.bucket) {
+          lasts.set(row.labels, { bucket: row.bucket, last: row.last });
+        }
+      }
+    }
+
+    const series: MetricSeries[] = [];
+    for (const [groupKey, group] of groups) {
+      const points: MetricPoint[] = [];
+      for (const [timestamp, acc] of [...group.steps].sort(([a], [b]) => a - b)) {
+        const point: MetricPoint = { timestamp, value: 0, count: acc.count, sum: acc.sum, min: acc.min, max: acc.max };
+
+        if (type === 'counter') {
+          point.value = acc.sum;
+          point.rate = acc.sum / (step / 1000);
+        } else if (type === 'gauge') {
+          const lasts = gaugeLasts.get(`${groupKey}\u0000${timestamp}`);
+          point.value = lasts ? [...lasts.values()].reduce((total, { last }) => total + last, 0) : 0;
+        } else {
+          point.value = acc.count > 0 ? acc.sum / acc.count : 0;
+          if (bounds) {
+            point.p50 = estimatePercentile(acc, bounds, 50);
+            point.p90 = estimatePercentile(acc, bounds, 90);
+            point.p99 = estimatePercentile(acc, bounds, 99);
+          }
+        }
+        points.push(point);
+      }
+      series.push({ labels: group.labels, points });
+    }
+
+    return { name: query.name, type, resolution, step, start: first, end, series };
+  }
+
+  /**
+   * Metrics defined in this process or stored in the last day
+   */
+  list(): MetricInfo[] {
+    const metrics = new Map<string, MetricInfo>();
+
+    const rows = this.db.query(`
+      SELECT name, type, COUNT(DISTINCT labels) AS series
+      FROM metric_rollups
+      WHERE resolution = ? AND bucket >= ?
+      GROUP BY name, type
+    `, [HOUR, Date.now() - DAY]);
+    for (const row of rows) {
+      metrics.set(row.name, { name: row.name, type: row.type, help: null, series: row.series });
+    }
+
+    for (const definition of this.definitions.values()) {
+      const stored = metrics.get(definition.name);
+      metrics.set(definition.name, {
+        name: definition.name,
+        type: definition.type,
+        help: definition.help,
+        series: Math.max(stored?.series ?? 0, this.series.get(definition.name)?.size ?? 0)
+      });
+    }
+
+    return [...metrics.values()].sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Prometheus text exposition (version 0.0.4) of the totals since start:
+   * counter totals, last gauge values and cumulative histogram buckets
+   */
+  exposition(): string {
+    const lines: string[] = [];
+
+    for (const definition of [...this.definitions.values()].sort((a, b) => a.name.localeCompare(b.name))) {
+      const seriesStates = this.series.get(definition.name);
+      if (!seriesStates || seriesStates.size === 0) {
+        continue;
+      }
+
+      const { name, type } = definition;
+      if (definition.help) {
+        lines.push(`# HELP ${name} ${definition.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`);
+      }
+      lines.push(`# TYPE ${name} ${type}`);
+
+      for (const { labels, total } of seriesStates.values()) {
+        if (type === 'counter') {
+          lines.push(`${name}${formatLabels(labels)} ${formatNumber(total.sum)}`);
+        } else if (type === 'gauge') {
+          lines.push(`${name}${formatLabels(labels)} ${formatNumber(total.last ?? 0)}`);
+        } else {
+          let cumulative = 0;
+          definition.bounds!.forEach((bound, index) => {
+            cumulative += total.counts![index];
+            lines.push(`${name}_bucket${formatLabels(labels, ['le', formatNumber(bound)])} ${cumulative}`);
+          });
+          lines.push(`${name}_bucket${formatLabels(labels, ['le', '+Inf'])} ${total.count}`);
+          lines.push(`${name}_sum${formatLabels(labels)} ${formatNumber(total.sum)}`);
+          lines.push(`${name}_count${formatLabels(labels)} ${total.count}`);
+        }
+      }
+    }
+
+    return lines.length > 0 ? lines.join('\n') + '\n' : '';
+  }
+
+  private record(type: MetricType, name: string, value: number, labels: Record<string, string>, timestamp: number): void {
+    if (!Number.isFinite(value) || !this.define(name, type)) {
+      return;
+    }
+    const definition = this.definitions.get(name)!;
+
+    for (const label of Object.keys(labels)) {
+      if (!LABEL_NAME.test(label) || label === 'le') {
+        this.warnOnce(`label:${name}:${label}`, 'Invalid metric label name, values will be skipped', { name, label });
+        return;
+      }
+    }
+
+    const key = labelsKey(labels);
+    const seriesStates = this.series.get(name) || new Map<string, SeriesState>();
+    this.series.set(name, seriesStates);
+
+    let state = seriesStates.get(key);
+    if (!state) {
+      if (seriesStates.size >= this.maxSeries) {
+        this.warnOnce(`series:${name}`, 'Metric has too many label combinations, new ones are dropped', {
+          name, maxSeries: this.maxSeries
+        });
+        return;
+      }
+      state = { labels: { ...labels }, total: emptyAccumulator(definition.bounds) };
+      seriesStates.set(key, state);
+    }
+    addValue(state.total, value, definition.bounds);
+
+    const bucket = Math.floor(timestamp / MINUTE) * MINUTE;
+    const pendingKey = `${name}\u0000${key}\u0000${bucket}`;
+    let pending = this.pending.get(pendingKey);
+    if (!pending) {
+      pending = { definition, labelsKey: key, bucket, acc: emptyAccumulator(definition.bounds) };
+      this.pending.set(pendingKey, pending);
+    }
+    addValue(pending.acc, value, definition.bounds);
+  }
+
+  private async writePending(): Promise<void> {
+    const now = Date.now();
+    const prune = now - this.lastPrune >= MINUTE;
+    if (this.pending.size === 0 && !prune) {
+      return;
+    }
+
+    const batch = this.pending;
+    this.pending = new Map();
+
+    // One row per metric, labels, resolution and bucket
+    const rows = new Map<string, PendingBucket & { resolution: number }>();
+    for (const item of batch.values()) {
+      for (const resolution of RESOLUTIONS) {
+        const bucket = Math.floor(item.bucket / resolution) * resolution;
+        const key = `${item.definition.name}\u0000${resolution}\u0000${bucket}\u0000${item.labelsKey}`;
+        const row = rows.get(key);
+        if (row) {
+          mergeAccumulator(row.acc, item.acc);
+        } else {
+          const acc = emptyAccumulator(null);
+          mergeAccumulator(acc, item.acc);
+          rows.set(key, { ...item, bucket, resolution, acc });
+        }
+      }
+    }
+
+    try {
+      await this.db.transaction(() => {
+        for (const row of rows.values()) {
+          const { name, type, bounds } = row.definition;
+          const stored = this.db.queryOne(`
+            SELECT count, sum, min, max, last, histogram FROM metric_rollups
+            WHERE name = ? AND resolution = ? AND bucket = ? AND labels = ?
+          `, [name, row.resolution, row.bucket, row.labelsKey]);
+
+          const acc = emptyAccumulator(null);
+          if (stored) {
+            mergeAccumulator(acc, { ...stored, counts: stored.histogram ? JSON.parse(stored.histogram).counts : null });
+          }
+          mergeAccumulator(acc, row.acc);
+
+          this.db.execute(`
+            INSERT OR REPLACE INTO metric_rollups (
+              name, type, labels, resolution, bucket, count, sum, min, max, last, histogram
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+          `, [
+            name, type, row.labelsKey, row.resolution, row.bucket,
+            acc.count, acc.sum, acc.min, acc.max, acc.last,
+            acc.counts ? JSON.stringify({ bounds, counts: acc.counts }) : null
+          ]);
+        }
+
+        if (prune) {
+          this.db.execute('DELETE FROM metric_rollups WHERE resolution = ? AND bucket < ?', [MINUTE, now - this.minuteRetention]);
+          this.db.execute('DELETE FROM metric_rollups WHERE resolution = ? AND bucket < ?', [HOUR, now - this.hourRetention]);
+        }
+      });
+      if (prune) {
+        this.lastPrune = now;
+      }
+    } catch (error) {
+      // Keep the values for the next flush
+      for (const [key, item] of batch) {
+        const current = this.pending.get(key);
+        if (current) {
+          mergeAccumulator(item.acc, current.acc);
+        }
+        this.pending.set(key, item);
+      }
+      logger.warn('Failed to write metric rollups', { rows: rows.size, error: error.message });
+    }
+  }
+
+  private compileRule(rule: MetricRule): CompiledRule | null {
+    const skip = (reason: string) => {
+      logger.warn('Invalid metric rule, it will be skipped', { name: rule?.name, reason });
+      return null;
+    };
+
+    if (!rule || typeof rule.name !== 'string' || !METRIC_NAME.test(rule.name)) {
+      return skip('name must match [a-zA-Z_:][a-zA-Z0-9_:]*');
+    }
+    if (!['counter', 'gauge', 'histogram'].includes(rule.type)) {
+      return skip(`unknown type "${rule.type}"`);
+    }
+    if (rule.type !== 'counter' && !rule.value) {
+      return skip('gauges and histograms need a value field');
+    }
+    if (rule.value && !isField(rule.value)) {
+      return skip(`unknown value field "${rule.value}"`);
+    }
+    for (const [label, field] of Object.entries(rule.labels || {})) {
+      if (!LABEL_NAME.test(label) || label === 'le') {
+        return skip(`invalid label name "${label}"`);
+      }
+      if (!isField(field)) {
+        return skip(`unknown field "${field}" for label "${label}"`);
+      }
+    }
+    if (this.rules.some(compiled => compiled.rule.name === rule.name)) {
+      return skip('another rule has this name');
+    }
+
+    let regex: RegExp | null = null;
+    if (rule.pattern) {
+      try {
+        regex = toRegExp(rule.pattern);
+      } catch (error) {
+        return skip(`invalid pattern: ${error.message}`);
+      }
+    }
+
+    if (!this.define(rule.name, rule.type, { help: rule.help, buckets: rule.buckets })) {
+      return null;
+    }
+
+    const list = (value: string | string[] | undefined) => value === undefined ? null : (Array.isArray(value) ? value : [value]);
+    return {
+      rule,
+      definition: this.definitions.get(rule.name)!,
+      regex,
+      services: list(rule.service),
+      levels: list(rule.level)?.map(level => level.toLowerCase()) ?? null
+    };
+  }
+
+  private validBuckets(buckets: number[] | undefined, name: string): number[] | null {
+    if (buckets === undefined) {
+      return null;
+    }
+
+    const sorted = Array.isArray(buckets) && buckets.every(bound => Number.isFinite(bound))
+      && buckets.every((bound, index) => index === 0 || bound > buckets[index - 1]);
+    if (!sorted || buckets.length === 0) {
+      logger.warn('Histogram buckets must be increasing finite numbers, using the defaults', { name, buckets });
+      return null;
+    }
+    return buckets;
+  }
+
+  private warnOnce(key: string, message: string, meta: Record<string, any>): void {
+    if (!this.warned.has(key)) {
+      this.warned.add(key);
+      logger.warn(message, meta);
+    }
+  }
+}
@@ -0,0 +1,752 @@
+/**
+ * Structured Log Queries
+ * Parses the log query language (field filters plus an aggregation pipeline)
+ * and compiles it to parameterized SQL over log_entries
+ */
+
+import type { LogLevel, LogAggregation } from '../types/logging.js';
+import { compileSearchQuery, LogSearchSyntaxError } from './search.js';
+
+export class LogQuerySyntaxError extends Error {
+  constructor(
+    message: string,
+    public readonly position: number,
+    public readonly query: string
+  ) {
+    super(`${message} at position ${position}`);
+    this.name = 'LogQuerySyntaxError';
+  }
+}
+
+export type LogQueryOperator = ':' | '=' | '!=' | '>' | '>=' | '<' | '<=';
+
+export type LogQueryNode =
+  | { type: 'compare'; field: string; operator: LogQueryOperator; value: string; quoted: boolean; position: number }
+  | { type: 'text'; text: string; quoted: boolean; position: number }
+  | { type: 'and'; children: LogQueryNode[]; position: number }
+  | { type: 'or'; children: LogQueryNode[]; position: number }
+  | { type: 'not'; child: LogQueryNode; position: number };
+
+export interface ParsedLogQuery {
+  /** Filter expression, or null to match every entry */
+  filter: LogQueryNode | null;
+  /** Aggregations of the `| ...` stage; empty when entries are returned */
+  aggregations: LogAggregation[];
+  /** Group-by fields of the aggregation stage */
+  groupBy: string[];
+  /** Time bucket of the aggregation stage, e.g. '5m' */
+  timeBucket?: string;
+  sort?: { key: string; direction: 'asc' | 'desc'; position: number };
+  limit?: number;
+}
+
+export interface CompiledLogQuery {
+  kind: 'entries' | 'aggregate';
+  sql: string;
+  params: any[];
+  /**
+   * Output names of the aggregate columns, by SQL alias (`g0` → 'service',
+   * `a0` → 'p95(meta.duration)'); empty for entry queries
+   */
+  columns: Array<{ alias: string; name: string }>;
+}
+
+export interface CompileLogQueryOptions {
+  /** Only entries at or after this time (Unix ms) */
+  since?: number;
+  /** Row limit when the query has no `| limit` stage */
+  defaultLimit?: number;
+  /** Upper bound for any limit (default 10000) */
+  maxLimit?: number;
+}
+
+const LEVELS: LogLevel[] = ['trace', 'debug', 'info', 'warn', 'error', 'fatal'];
+
+// Query fields and the log_entries columns they read
+const COLUMNS: Record<string, string> = {
+  level: 'level',
+  service: 'service',
+  message: 'message',
+  timestamp: 'timestamp',
+  trace: 'trace_id',
+  traceId: 'trace_id',
+  span: 'span_id',
+  session: 'session_id',
+  template: 'template_id'
+};
+const TIME_FIELDS = ['since', 'until'];
+const META_PATH = /^meta((\.[\w-]+)+)$/;
+const COMPARISON = /^([A-Za-z][\w.-]*?)(>=|<=|!=|=|>|<|:)(.*)$/;
+const DURATION = /^(\d+)(ms|s|m|h|d)$/;
+const DURATION_MS: Record<string, number> = { ms: 1, s: 1000, m: 60000, h: 3600000, d: 86400000 };
+const AGGREGATE = /^(count|sum|avg|min|max|p(\d{1,2}(\.\d+)?))$/;
+
+interface Token {
+  kind: 'word' | 'phrase' | 'lparen' | 'rparen' | 'pipe' | 'comma';
+  text: string;
+  position: number;
+}
+
+function tokenize(query: string): Token[] {
+  const tokens: Token[] = [];
+  let i = 0;
+
+  while (i < query.length) {
+    const char = query[i];
+
+    if (/\s/.test(char)) {
+      i++;
+    } else if ('()|,'.includes(char)) {
+      const kind = char === '(' ? 'lparen' : char === ')' ? 'rparen' : char === '|' ? 'pipe' : 'comma';
+      tokens.push({ kind, text: char, position: i });
+      i++;
+    } else if (char === '"') {
+      const start = i;
+      let text = '';
+      i++;
+      while (i < query.length && query[i] !== '"') {
+        // \" and \\ escape inside phrases
+        if (query[i] === '\\' && i + 1 < query.length) {
+          i++;
+        }
+        text += query[i++];
+      }
+      if (i >= query.length) {
+        throw new LogQuerySyntaxError('Unterminated string', start, query);
+      }
+      i++;
+      tokens.push({ kind: 'phrase', text, position: start });
+    } else {
+      const start = i;
+      while (i < query.length && !/[\s()|,"]/.test(query[i])) {
+        i++;
+      }
+      tokens.push({ kind: 'word', text: query.slice(start, i), position: start });
+    }
+  }
+
+  return tokens;
+}
+
+export function parseDuration(text: string): number | null {
+  const match = text.match(DURATION);
+  return match ? parseInt(match[1]) * DURATION_MS[match[2]] : null;
+}
+
+function isField(name: string): boolean {
+  return name in COLUMNS || TIME_FIELDS.includes(name) || META_PATH.test(name);
+}
+
+/**
+ * Recursive descent parser. Filter precedence, loosest first: OR, AND
+ * (explicit or implied by adjacent terms), NOT. Pipeline stages follow `|`.
+ */
+class Parser {
+  private index = 0;
+
+  constructor(private tokens: Token[], private query: string) {}
+
+  parse(): ParsedLogQuery {
+    const result: ParsedLogQuery = { filter: null, aggregations: [], groupBy: [] };
+
+    if (this.peek() && this.peek()!.kind !== 'pipe') {
+      result.filter = this.parseOr();
+    }
+
+    while (this.peek()) {
+      const pipe = this.next('|');
+      if (pipe.kind !== 'pipe') {
+        throw this.error(`Unexpected '${pipe.text}'`, pipe);
+      }
+      this.parseStage(result);
+    }
+
+    return result;
+  }
+
+  private parseOr(): LogQueryNode {
+    const position = this.position();
+    const children = [this.parseAnd()];
+    while (this.isKeyword(this.peek(), 'OR')) {
+      this.index++;
+      children.push(this.parseAnd());
+    }
+    return children.length === 1 ? children[0] : { type: 'or', children, position };
+  }
+
+  private parseAnd(): LogQueryNode {
+    const position = this.position();
+    const children = [this.parseUnary()];
+    for (let next = this.peek(); next && !this.endsAnd(next); next = this.peek()) {
+      if (this.isKeyword(next, 'AND')) {
+        this.index++;
+      }
+      children.push(this.parseUnary());
+    }
+    return children.length === 1 ? children[0] : { type: 'and', children, position };
+  }
+
+  private parseUnary(): LogQueryNode {
+    const token = this.peek();
+    if (this.isKeyword(token, 'NOT')) {
+      this.index++;
+      return { type: 'not', child: this.parseUnary(), position: token!.position };
+    }
+    return this.parsePrimary();
+  }
+
+  private parsePrimary(): LogQueryNode {
+    const token = this.next('a filter');
+
+    if (token.kind === 'lparen') {
+      const node = this.parseOr();
+      const close = this.peek();
+      if (close?.kind !== 'rparen') {
+        throw new LogQuerySyntaxError("Expected ')'", close ? close.position : this.query.length, this.query);
+      }
+      this.index++;
+      return node;
+    }
+
+    if (token.kind === 'phrase') {
+      return { type: 'text', text: token.text, quoted: true, position: token.position };
+    }
+
+    if (token.kind !== 'word' || ['AND', 'OR'].includes(token.text)) {
+      throw this.error(`Unexpected '${token.text}'`, token);
+    }
+
+    const call = this.peek();
+    if (call?.kind === 'lparen' && call.position === token.position + token.text.length && AGGREGATE.test(token.text.toLowerCase())) {
+      throw this.error(`Aggregations go in a pipeline stage: '| ${token.text}(...)'`, token);
+    }
+
+    const comparison = token.text.match(COMPARISON);
+    if (!comparison) {
+      return { type: 'text', text: token.text, quoted: false, position: token.position };
+    }
+
+    const [, field, operator, inlineValue] = comparison;
+    if (!isField(field)) {
+      throw this.error(`Unknown field '${field}'`, token);
+    }
+
+    let value = inlineValue;
+    let quoted = false;
+    if (value === '') {
+      // `message:"HMR update"` lexes as the field followed by a phrase
+      const phrase = this.peek();
+      if (phrase?.kind !== 'phrase' || phrase.position !== token.position + token.text.length) {
+        throw this.error(`Expected a value after '${field}${operator}'`, token);
+      }
+      this.index++;
+      value = phrase.text;
+      quoted = true;
+    }
+
+    return { type: 'compare', field, operator: operator as LogQueryOperator, value, quoted, position: token.position };
+  }
+
+  private parseStage(result: ParsedLogQuery): void {
+    const stage = this.next('a pipeline stage');
+    const name = stage.kind === 'word' ? stage.text.toLowerCase() : '';
+
+    if (name === 'limit') {
+      const value = this.next('a limit');
+      if (value.kind !== 'word' || !/^\d+$/.test(value.text)) {
+        throw this.error('Expected a number after limit', value);
+      }
+      result.limit = parseInt(value.text);
+      return;
+    }
+
+    if (name === 'sort') {
+      const key = this.parseSortKey();
+      const direction = this.peek();
+      if (direction?.kind === 'word' && /^(asc|desc)$/i.test(direction.text)) {
+        this.index++;
+        key.direction = direction.text.toLowerCase() as 'asc' | 'desc';
+      }
+      result.sort = key;
+      return;
+    }
+
+    if (!AGGREGATE.test(name)) {
+      throw this.error(`Unknown pipeline stage '${stage.text}'`, stage);
+    }
+    if (result.aggregations.length > 0) {
+      throw this.error('Only one aggregation stage is supported', stage);
+    }
+
+    result.aggregations.push(this.parseAggregation(stage));
+    while (this.peek()?.kind === 'comma') {
+      this.index++;
+      result.aggregations.push(this.parseAggregation(this.next('an aggregation')));
+    }
+
+    const by = this.peek();
+    if (by?.kind === 'word' && by.text.toLowerCase() === 'by') {
+      this.index++;
+      this.parseGroup(result);
+      while (this.peek()?.kind === 'comma') {
+        this.index++;
+        this.parseGroup(result);
+      }
+    }
+
+    for (const aggregation of result.aggregations) {
+      aggregation.groupBy = result.groupBy;
+      aggregation.timeBucket = result.timeBucket;
+    }
+  }
+
+  private parseGroup(result: ParsedLogQuery): void {
+    const group = this.next('a group field or time bucket');
+    if (group.kind !== 'word') {
+      throw this.error(`Unexpected '${group.text}'`, group);
+    }
+
+    if (parseDuration(group.text) !== null) {
+      if (result.timeBucket) {
+        throw this.error('Only one time bucket is supported', group);
+      }
+      result.timeBucket = group.text;
+    } else if (group.text in COLUMNS || META_PATH.test(group.text)) {
+      result.groupBy.push(group.text);
+    } else {
+      throw this.error(`Cannot group by '${group.text}'`, group);
+    }
+  }
+
+  private parseAggregation(token: Token): LogAggregation {
+    const match = token.kind === 'word' ? token.text.toLowerCase().match(AGGREGATE) : null;
+    if (!match) {
+      throw this.error(`Unknown aggregation '${token.text}'`, token);
+    }
+
+    if (match[1] === 'count') {
+      return { type: 'count', field: '*' };
+    }
+
+    if (this.peek()?.kind !== 'lparen') {
+      throw this.error(`Expected '(' after ${token.text}`, token);
+    }
+    this.index++;
+    const field = this.next('a metadata field');
+    if (field.kind !== 'word' || !META_PATH.test(field.text)) {
+      throw this.error(`${token.text}() needs a numeric metadata field such as meta.duration`, field);
+    }
+    const close = this.next("')'");
+    if (close.kind !== 'rparen') {
+      throw this.error("Expected ')'", close);
+    }
+
+    if (match[2]) {
+      const percentile = parseFloat(match[2]);
+      if (percentile <= 0) {
+        throw this.error('Percentile must be between 0 and 100', token);
+      }
+      return { type: 'percentile', field: field.text, percentile };
+    }
+    return { type: match[1] as LogAggregation['type'], field: field.text };
+  }
+
+  private parseSortKey(): NonNullable<ParsedLogQuery['sort']> {
+    const token = this.next('a sort field');
+    if (token.kind !== 'word') {
+      throw this.error(`Unexpected '${token.text}'`, token);
+    }
+
+    let key = token.text;
+    let direction: 'asc' | 'desc' = 'asc';
+    if (key.startsWith('-')) {
+      key = key.slice(1);
+      direction = 'desc';
+    }
+
+    // avg(meta.duration) is tokenized as a word and a parenthesized field
+    if (this.peek()?.kind === 'lparen') {
+      const field = this.tokens[this.index + 1];
+      const close = this.tokens[this.index + 2];
+      if (field?.kind !== 'word' || close?.kind !== 'rparen') {
+        throw this.error("Expected 'aggregation(field)'", token);
+      }
+      key = `${key.toLowerCase()}(${field.text})`;
+      this.index += 3;
+    }
+
+    return { key, direction, position: token.position };
+  }
+
+  private isKeyword(token: Token | undefined, keyword: string): boolean {
+    return token?.kind === 'word' && token.text === keyword;
+  }
+
+  private endsAnd(token: Token): boolean {
+    return token.kind === 'rparen' || token.kind === 'pipe' || this.isKeyword(token, 'OR');
+  }
+
+  private peek(): Token | undefined {
+    return this.tokens[this.index];
+  }
+
+  private next(expected: string): Token {
+    const token = this.tokens[this.index++];
+    if (!token) {
+      throw new LogQuerySyntaxError(`Expected ${expected}`, this.query.length, this.query);
+    }
+    return token;
+  }
+
+  private position(): number {
+    return this.peek()?.position ?? this.query.length;
+  }
+
+  private error(message: string, token: Token): LogQuerySyntaxError {
+    return new LogQuerySyntaxError(message, token.position, this.query);
+  }
+}
+
+/**
+ * Parse a log query.
+ *
+ * Filters:
+ * - `timeout`, `conn*`, `"connection reset"` match the full-text index
+ *   (whole tokens, as in log search); a lone `*` matches every entry
+ * - `field:value` matches a field: service, level, message, trace, span,
+ *   session, template or `meta.<path>`. On message it matches a substring;
+ *   `*` in a value is a wildcard and `meta.key:*` tests that a key exists.
+ * - `=`, `!=`, `>`, `>=`, `<`, `<=` compare; levels compare by severity
+ *   (`level>=warn`) and numeric metadata numerically (`meta.status>=500`)
+ * - `since:15m`, `until:2026-01-31T12:00` and `timestamp` comparisons
+ *   restrict time (durations are relative to now; dates are ISO or Unix ms)
+ * - `AND` (or juxtaposition), `OR`, `NOT` and parentheses combine filters
+ *
+ * Pipeline stages:
+ * - `| count, avg(meta.duration), p95(meta.duration) by service, meta.route, 5m`
+ *   aggregates by fields and/or one time bucket; `sum`, `min`, `max` and
+ *   any `pNN` percentile (nearest rank) are also available
+ * - `| sort -count` or `| sort timestamp asc`
+ * - `| limit 20`
+ *
+ * @throws LogQuerySyntaxError with the offending position
+ */
+export function parseLogQuery(query: string): ParsedLogQuery {
+  const tokens = tokenize(query);
+  if (tokens.length === 0) {
+    throw new LogQuerySyntaxError('Empty query', 0, query);
+  }
+  return new Parser(tokens, query).parse();
+}
+
+/**
+ * Compile a log query to a parameterized SELECT over log_entries. Entry
+ * queries select whole rows; aggregate queries select one row per group.
+ *
+ * @throws LogQuerySyntaxError with the offending position
+ */
+export function compileLogQuery(query: string, options: CompileLogQueryOptions = {}): CompiledLogQuery {
+  return new Compiler(query, parseLogQuery(query), options).compile();
+}
+
+function metaPath(field: string): string {
+  return '$' + field.slice('meta'.length).split('.').slice(1).map(key => `."${key}"`).join('');
+}
+
+function likePattern(value: string, contains: boolean): string {
+  const escaped = value.replace(/[\\%_]/g, match => `\\${match}`).replace(/\*/g, '%');
+  return contains ? `%${escaped}%` : escaped;
+}
+
+class Compiler {
+  private params: any[] = [];
+
+  constructor(
+    private query: string,
+    private parsed: ParsedLogQuery,
+    private options: CompileLogQueryOptions
+  ) {}
+
+  compile(): CompiledLogQuery {
+    const conditions: string[] = [];
+    if (this.parsed.filter) {
+      conditions.push(this.compileNode(this.parsed.filter));
+    }
+    if (this.options.since !== undefined) {
+      conditions.push('timestamp >= ?');
+      this.params.push(this.options.since);
+    }
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const maxLimit = this.options.maxLimit ?? 10000;
+    const limit = Math.min(this.parsed.limit ?? this.options.defaultLimit ?? 100, maxLimit);
+
+    if (this.parsed.aggregations.length === 0) {
+      const order = this.entryOrder();
+      this.params.push(limit);
+      return { kind: 'entries', sql: `SELECT * FROM log_entries ${where} ORDER BY ${order} LIMIT ?`, params: this.params, columns: [] };
+    }
+
+    return this.compileAggregate(where, limit);
+  }
+
+  private compileAggregate(where: string, limit: number): CompiledLogQuery {
+    const { aggregations, groupBy, timeBucket } = this.parsed;
+    const columns: CompiledLogQuery['columns'] = [];
+
+    // matched: one row per entry with its group keys and aggregated values
+    const whereParams = this.params;
+    this.params = [];
+    const matched: string[] = [];
+    const groups: string[] = [];
+
+    groupBy.forEach((field, i) => {
+      matched.push(`${this.valueExpression(field)} AS g${i}`);
+      groups.push(`g${i}`);
+      columns.push({ alias: `g${i}`, name: field });
+    });
+    if (timeBucket) {
+      matched.push('CAST(timestamp / ? AS INTEGER) * ? AS bucket');
+      const size = parseDuration(timeBucket)!;
+      this.params.push(size, size);
+      groups.push('bucket');
+      columns.push({ alias: 'bucket', name: 'bucket' });
+    }
+
+    const valueIndex = new Map<string, number>();
+    for (const aggregation of aggregations) {
+      if (aggregation.field !== '*' && !valueIndex.has(aggregation.field)) {
+        const i = valueIndex.size;
+        valueIndex.set(aggregation.field, i);
+        const path = metaPath(aggregation.field);
+        matched.push(`CASE WHEN json_type(metadata, ?) IN ('integer', 'real') THEN json_extract(metadata, ?) END AS v${i}`);
+        this.params.push(path, path);
+      }
+    }
+    matched.push('sample_rate');
+    const matchedParams = this.params;
+
+    // ranked: positions of each value within its group, for percentiles
+    const partition = groups.length > 0 ? `PARTITION BY ${groups.join(', ')}` : '';
+    const rankedValues = new Set(
+      aggregations.filter(aggregation => aggregation.type === 'percentile').map(aggregation => valueIndex.get(aggregation.field)!)
+    );
+    const ranked = [...rankedValues].flatMap(v => [
+      `ROW_NUMBER() OVER (${partition} ORDER BY v${v} IS NULL, v${v}) AS r${v}`,
+      `COUNT(v${v}) OVER (${partition}) AS n${v}`
+    ]);
+
+    const selected = [...groups];
+    const selectParams: any[] = [];
+    aggregations.forEach((aggregation, i) => {
+      const v = valueIndex.get(aggregation.field);
+      switch (aggregation.type) {
+        case 'count':
+          selected.push(`COUNT(*) AS a${i}`, `ROUND(SUM(1.0 / sample_rate)) AS e${i}`);
+          columns.push({ alias: `a${i}`, name: 'count' }, { alias: `e${i}`, name: 'estimatedCount' });
+          return;
+        case 'percentile':
+          // Nearest rank: the smallest value at or above the percentile's rank
+          selected.push(`MIN(CASE WHEN r${v} >= n${v} * ? THEN v${v} END) AS a${i}`);
+          selectParams.push(aggregation.percentile! / 100);
+          break;
+        default:
+          selected.push(`${aggregation.type.toUpperCase()}(v${v}) AS a${i}`);
+      }
+      columns.push({ alias: `a${i}`, name: aggregationName(aggregation) });
+    });
+
+    let sql = `WITH matched AS (SELECT ${matched.join(', ')} FROM log_entries ${where})`;
+    const source = ranked.length > 0 ? 'ranked' : 'matched';
+    if (ranked.length > 0) {
+      sql += `, ranked AS (SELECT *, ${ranked.join(', ')} FROM matched)`;
+    }
+    sql += ` SELECT ${selected.join(', ')} FROM ${source}`;
+    if (groups.length > 0) {
+      sql += ` GROUP BY ${groups.join(', ')}`;
+    }
+    sql += ` ORDER BY ${this.aggregateOrder(columns)} LIMIT ?`;
+
+    return {
+      kind: 'aggregate',
+      sql,
+      params: [...matchedParams, ...whereParams, ...selectParams, limit],
+      columns
+    };
+  }
+
+  private entryOrder(): string {
+    const sort = this.parsed.sort;
+    if (!sort) {
+      return 'timestamp DESC';
+    }
+    if (!(sort.key in COLUMNS) && !META_PATH.test(sort.key)) {
+      throw new LogQuerySyntaxError(`Cannot sort entries by '${sort.key}'`, sort.position, this.query);
+    }
+    return `${this.valueExpression(sort.key)} ${sort.direction.toUpperCase()}`;
+  }
+
+  private aggregateOrder(columns: CompiledLogQuery['columns']): string {
+    const sort = this.parsed.sort;
+    if (sort) {
+      const column = columns.find(candidate => candidate.name === sort.key);
+      if (!column) {
+        throw new LogQuerySyntaxError(
+          `Cannot sort by '${sort.key}'; sort by a group field, bucket or aggregation`,
+          sort.position,
+          this.query
+        );
+      }
+      return `${column.alias} ${sort.direction.toUpperCase()}`;
+    }
+    return this.parsed.timeBucket ? 'bucket ASC, a0 DESC' : 'a0 DESC';
+  }
+
+  private compileNode(node: LogQueryNode): string {
+    switch (node.type) {
+      case 'and':
+        return `(${node.children.map(child => this.compileNode(child)).join(' AND ')})`;
+      case 'or':
+        return `(${node.children.map(child => this.compileNode(child)).join(' OR ')})`;
+      case 'not':
+        // Entries missing a compared field count as not matching it
+        return `NOT IFNULL(${this.compileNode(node.child)}, 0)`;
+      case 'text':
+        return this.compileText(node);
+      case 'compare':
+        return this.compileComparison(node);
+    }
+  }
+
+  private compileText(node: Extract<LogQueryNode, { type: 'text' }>): string {
+    if (!node.quoted && node.text === '*') {
+      return '1';
+    }
+
+    let match: string;
+    try {
+      match = compileSearchQuery(node.quoted ? `"${node.text.replace(/"/g, '')}"` : node.text);
+    } catch (error) {
+      if (error instanceof LogSearchSyntaxError) {
+        throw new LogQuerySyntaxError(error.message.replace(/ at position \d+$/, ''), node.position + error.position, this.query);
+      }
+      throw error;
+    }
+    this.params.push(match);
+    return 'rowid IN (SELECT rowid FROM log_entries_fts WHERE log_entries_fts MATCH ?)';
+  }
+
+  private compileComparison(node: Extract<LogQueryNode, { type: 'compare' }>): string {
+    const { field, operator, value, position } = node;
+    const sqlOperator = operator === ':' ? '=' : operator;
+    const ordering = ['>', '>=', '<', '<='].includes(operator);
+
+    if (TIME_FIELDS.includes(field)) {
+      if (operator !== ':') {
+        throw new LogQuerySyntaxError(`Use '${field}:<duration or date>'`, position, this.query);
+      }
+      const duration = parseDuration(value);
+      this.params.push(duration !== null ? Date.now() - duration : this.parseTime(value, position));
+      return field === 'since' ? 'timestamp >= ?' : 'timestamp <= ?';
+    }
+
+    if (field === 'timestamp') {
+      this.params.push(this.parseTime(value, position));
+      return `timestamp ${sqlOperator} ?`;
+    }
+
+    if (field === 'level') {
+      const level = value.toLowerCase() as LogLevel;
+      const rank = LEVELS.indexOf(level);
+      if (rank === -1) {
+        throw new LogQuerySyntaxError(`Unknown level '${value}'; expected one of ${LEVELS.join(', ')}`, position, this.query);
+      }
+      if (!ordering) {
+        this.params.push(level);
+        return `level ${sqlOperator} ?`;
+      }
+      const levels = LEVELS.filter((_, i) =>
+        operator === '>' ? i > rank : operator === '>=' ? i >= rank : operator === '<' ? i < rank : i <= rank
+      );
+      if (levels.length === 0) {
+        return '0';
+      }
+      this.params.push(...levels);
+      return `level IN (${levels.map(() => '?').join(', ')})`;
+    }
+
+    if (META_PATH.test(field)) {
+      return this.compileMetaComparison(node);
+    }
+
+    const column = COLUMNS[field];
+    if (ordering) {
+      throw new LogQuerySyntaxError(`Operator '${operator}' is not supported for ${field}`, position, this.query);
+    }
+    if (operator === ':' && (field === 'message' || value.includes('*'))) {
+      this.params.push(likePattern(value, field === 'message'));
+      return `${column} LIKE ? ESCAPE '\\'`;
+    }
+    this.params.push(value);
+    return `${column} ${sqlOperator} ?`;
+  }
+
+  private compileMetaComparison(node: Extract<LogQueryNode, { type: 'compare' }>): string {
+    const { operator, value, quoted } = node;
+    const path = metaPath(node.field);
+    const numeric = !quoted && value !== '' && !isNaN(Number(value));
+
+    if (operator === ':' && value === '*' && !quoted) {
+      this.params.push(path);
+      return 'json_type(metadata, ?) IS NOT NULL';
+    }
+
+    if (['>', '>=', '<', '<='].includes(operator)) {
+      if (numeric) {
+        this.params.push(path, path, Number(value));
+        return `(json_type(metadata, ?) IN ('integer', 'real', 'text') AND CAST(json_extract(metadata, ?) AS REAL) ${operator} ?)`;
+      }
+      this.params.push(path, value);
+      return `json_extract(metadata, ?) ${operator} ?`;
+    }
+
+    let equal: string;
+    if (operator === ':' && value.includes('*') && !quoted) {
+      this.params.push(path, likePattern(value, false));
+      equal = `json_extract(metadata, ?) LIKE ? ESCAPE '\\'`;
+    } else if (!quoted && ['true', 'false', 'null'].includes(value)) {
+      this.params.push(path, value);
+      equal = 'json_type(metadata, ?) = ?';
+    } else if (numeric) {
+      // Numbers stored as JSON strings ("500") match too
+      this.params.push(path, Number(value), value);
+      equal = 'json_extract(metadata, ?) IN (?, ?)';
+    } else {
+      this.params.push(path, value);
+      equal = 'json_extract(metadata, ?) = ?';
+    }
+
+    return operator === '!=' ? `NOT IFNULL(${equal}, 0)` : equal;
+  }
+
+  private valueExpression(field: string): string {
+    if (META_PATH.test(field)) {
+      this.params.push(metaPath(field));
+      return 'json_extract(metadata, ?)';
+    }
+    return COLUMNS[field];
+  }
+
+  private parseTime(value: string, position: number): number {
+    const time = /^\d+$/.test(value) ? parseInt(value) : Date.parse(value);
+    if (isNaN(time)) {
+      throw new LogQuerySyntaxError(`Invalid time '${value}'`, position, this.query);
+    }
+    return time;
+  }
+}
+
+function aggregationName(aggregation: LogAggregation): string {
+  const type = aggregation.type === 'percentile' ? `p${aggregation.percentile}` : aggregation.type;
+  return `${type}(${aggregation.field})`;
+}
@@ -0,0 +1,641 @@
+/**
+ * Log Retention
+ * Tiered retention for log_entries: per-level and per-service retention
+ * periods, gzip NDJSON archive segments for rows leaving SQLite, re-import of
+ * archived rows, and a scheduled cleanup job
+ */
+
+import { promises as fs } from 'fs';
+import { join } from 'path';
+import { promisify } from 'util';
+import { gzip, gunzip } from 'zlib';
+import type { DatabaseConnection } from '../database/connection.js';
+import type { LogLevel, RetentionConfig } from '../types/logging.js';
+import { IdGenerator } from '../utils/id-generator.js';
+import { CronSchedule } from '../utils/schedule.js';
+import { loggingLogger as logger } from '../utils/logger.js';
+
+const gzipAsync = promisify(gzip);
+const gunzipAsync = promisify(gunzip);
+
+const DAY = 24 * 60 * 60 * 1000;
+const DEFAULT_BATCH_SIZE = 5000;
+const DEFAULT_TIMEOUT = 60000;
+const DEFAULT_RESTORE_HOLD_DAYS = 1;
+const SCHEDULER_TICK = 60 * 1000;
+const DELETE_CHUNK = 500;
+
+export interface RetentionManagerOptions {
+  /** Directory for archive segments when `archive.options.directory` is unset */
+  defaultArchiveDirectory: string;
+  /** Cap on stored rows (count_based policy); the oldest rows beyond it leave SQLite */
+  maxEntries?: number;
+}
+
+export interface CleanupOptions {
+  /** Count what would be archived and deleted without changing anything */
+  dryRun?: boolean;
+  /** Override the default retention period (days) for this run */
+  defaultPeriod?: number;
+}
+
+export interface CleanupRunResult {
+  startedAt: number;
+  finishedAt: number;
+  durationMs: number;
+  dryRun: boolean;
+  /** Rows removed from log_entries, archived ones included */
+  deleted: number;
+  /** Rows written to archive segments before removal */
+  archived: number;
+  segmentsWritten: number;
+  segmentsPruned: number;
+  /** The run stopped at `cleanup.timeout`; the rest is left for the next run */
+  timedOut: boolean;
+  error: string | null;
+}
+
+export interface CleanupStats {
+  schedule: string | null;
+  nextRun: number | null;
+  running: boolean;
+  lastRun: CleanupRunResult | null;
+  totals: {
+    runs: number;
+    deleted: number;
+    archived: number;
+    segmentsPruned: number;
+  };
+  retention: {
+    defaultPeriod: number;
+    byLevel: Record<string, number>;
+    byService: Record<string, number>;
+    archiveAfterDays: number | null;
+    maxEntries: number | null;
+  };
+  archive: {
+    enabled: boolean;
+    directory: string | null;
+    segments: number;
+    entries: number;
+    bytes: number;
+    oldestEntry: number | null;
+    newestEntry: number | null;
+  };
+}
+
+export interface ArchiveRestoreQuery {
+  /** Earliest entry timestamp (ms) */
+  from?: number;
+  /** Latest entry timestamp (ms) */
+  to?: number;
+  service?: string;
+  level?: LogLevel;
+  /** Restore a single segment */
+  segmentId?: string;
+}
+
+export interface ArchiveRestoreResult {
+  segments: number;
+  restored: number;
+  /** Entries already present in log_entries */
+  skipped: number;
+  /** Segments whose file no longer exists */
+  missing: number;
+}
+
+interface ArchiveSegment {
+  id: string;
+  path: string;
+  firstTimestamp: number;
+  lastTimestamp: number;
+  entryCount: number;
+  bytes: number;
+  expiresAt: number;
+}
+
+/**
+ * Bind only the named parameters a statement uses
+ */
+function bind(sql: string, params: Record<string, any>): any[] {
+  const used: Record<string, any> = {};
+  for (const [key, value] of Object.entries(params)) {
+    if (new RegExp(`@${key}\\b`).test(sql)) {
+      used[key] = value;
+    }
+  }
+  return [used];
+}
+
+/**
+ * Archive record for a log_entries row: its columns, with metadata parsed
+ */
+function toArchiveRecord(row: any): Record<string, any> {
+  let metadata: any = {};
+  try {
+    metadata = JSON.parse(row.metadata || '{}');
+  } catch {
+    metadata = { raw: row.metadata };
+  }
+
+  return {
+    id: row.id,
+    timestamp: row.timestamp,
+    level: row.level,
+    service: row.service,
+    message: row.message,
+    metadata,
+    process_id: row.process_id,
+    session_id: row.session_id,
+    trace_id: row.trace_id,
+    span_id: row.span_id,
+    parent_span_id: row.parent_span_id,
+    sample_rate: row.sample_rate,
+    template_id: row.template_id,
+    created_at: row.created_at
+  };
+}
+
+/**
+ * Decides when rows leave log_entries and where they go.
+ *
+ * A row's retention period is the longest of its service and level periods,
+ * or `defaultPeriod` when neither is configured. Without archiving, rows are
+ * deleted once past it. With archiving, rows stay in SQLite for at most
+ * `archiveAfterDays` and are then moved to gzip NDJSON segments, which are
+ * removed once every row in them is past its retention period. Rows whose
+ * retention is not longer than `archiveAfterDays` are deleted without being
+ * archived.
+ *
+ * Restored rows are held in SQLite for `archive.options.restoreHoldDays`
+ * (default 1) and then dropped without being archived again.
+ */
+export class LogRetentionManager {
+  private byLevel: Record<string, number> = {};
+  private byService: Record<string, number>;
+  private archiveEnabled: boolean;
+  private archiveDirectory: string | null;
+  private restoreHold: number;
+  private batchSize: number;
+  private timeout: number;
+  private schedule: CronSchedule | null = null;
+
+  private timer: NodeJS.Timeout | null = null;
+  private lastScheduledMinute = -1;
+  private running: Promise<CleanupRunResult> | null = null;
+  private lastRun: CleanupRunResult | null = null;
+  private totals = { runs: 0, deleted: 0, archived: 0, segmentsPruned: 0 };
+
+  constructor(
+    private db: DatabaseConnection,
+    private config: RetentionConfig,
+    private options: RetentionManagerOptions
+  ) {
+    // Levels are stored lowercase; 'ERROR' and 'error' are the same level
+    for (const [level, days] of Object.entries(config.byLevel || {})) {
+      const key = level.toLowerCase();
+      this.byLevel[key] = Math.max(this.byLevel[key] ?? 0, days);
+    }
+    this.byService = { ...config.byService };
+
+    const archive = config.archive;
+    this.archiveEnabled = !!archive?.enabled;
+    if (archive?.enabled && archive.storageType !== 'file') {
+      logger.warn('Unsupported log archive storage type, archiving disabled', { storageType: archive.storageType });
+      this.archiveEnabled = false;
+    }
+    if (this.archiveEnabled && archive.compression && archive.compression !== 'gzip') {
+      logger.warn('Unsupported log archive compression, using gzip', { compression: archive.compression });
+    }
+    this.archiveDirectory = this.archiveEnabled
+      ? archive.options?.directory || options.defaultArchiveDirectory
+      : null;
+    this.restoreHold = (archive?.options?.restoreHoldDays ?? DEFAULT_RESTORE_HOLD_DAYS) * DAY;
+
+    this.batchSize = config.cleanup?.batchSize || DEFAULT_BATCH_SIZE;
+    this.timeout = config.cleanup?.timeout || DEFAULT_TIMEOUT;
+
+    if (config.cleanup?.schedule) {
+      try {
+        this.schedule = new CronSchedule(config.cleanup.schedule);
+      } catch (error) {
+        logger.warn('Invalid log cleanup schedule, scheduled cleanup disabled', { error: error.message });
+      }
+    }
+  }
+
+  /**
+   * Start the cleanup schedule (and the startup run, if configured)
+   */
+  start(): void {
+    if (this.schedule && !this.timer) {
+      this.timer = setInterval(() => this.tick(), SCHEDULER_TICK);
+      this.timer.unref();
+    }
+
+    if (this.config.cleanup?.onStartup) {
+      setImmediate(() => {
+        this.run().catch(() => { /* recorded in lastRun */ });
+      });
+    }
+  }
+
+  /**
+   * Stop the cleanup schedule
+   */
+  stop(): void {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Run cleanup now. Concurrent calls share the run in progress.
+   */
+  run(options: CleanupOptions = {}): Promise<CleanupRunResult> {
+    if (!this.running) {
+      this.running = this.execute(options).finally(() => {
+        this.running = null;
+      });
+    }
+    return this.running;
+  }
+
+  /**
+   * Re-import archived entries into log_entries
+   */
+  async restore(query: ArchiveRestoreQuery = {}): Promise<ArchiveRestoreResult> {
+    let sql = 'SELECT id, path FROM log_archive_segments WHERE 1=1';
+    const params: any[] = [];
+
+    if (query.segmentId) {
+      sql += ' AND id = ?';
+      params.push(query.segmentId);
+    }
+    if (query.from) {
+      sql += ' AND last_timestamp >= ?';
+      params.push(query.from);
+    }
+    if (query.to) {
+      sql += ' AND first_timestamp <= ?';
+      params.push(query.to);
+    }
+    sql += ' ORDER BY first_timestamp';
+
+    const result: ArchiveRestoreResult = { segments: 0, restored: 0, skipped: 0, missing: 0 };
+    const restoredAt = Date.now();
+    const level = query.level?.toLowerCase();
+
+    for (const segment of this.db.query(sql, params)) {
+      let data: Buffer;
+      try {
+        data = await fs.readFile(segment.path);
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+        result.missing++;
+        logger.warn('Log archive segment missing', { segment: segment.id, path: segment.path });
+        continue;
+      }
+
+      const records = (await gunzipAsync(data)).toString('utf8')
+        .split('\n')
+        .filter(line => line.trim())
+        .map(line => JSON.parse(line))
+        .filter(record =>
+          (!query.from || record.timestamp >= query.from) &&
+          (!query.to || record.timestamp <= query.to) &&
+          (!query.service || record.service === query.service) &&
+          (!level || record.level === level)
+        );
+
+      await this.db.transaction(() => {
+        const stmt = this.db.database.prepare(`
+          INSERT OR IGNORE INTO log_entries (
+            id, timestamp, level, service, message, metadata, process_id, session_id, trace_id,
+            span_id, parent_span_id, sample_rate, template_id, created_at, restored_at
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `);
+
+        for (const record of records) {
+          const { changes } = stmt.run(
+            record.id,
+            record.timestamp,
+            record.level,
+            record.service,
+            record.message,
+            JSON.stringify(record.metadata || {}),
+            record.process_id ?? null,
+            record.session_id ?? null,
+            record.trace_id ?? null,
+            record.span_id ?? null,
+            record.parent_span_id ?? null,
+            record.sample_rate ?? 1,
+            record.template_id ?? null,
+            record.created_at ?? null,
+            restoredAt
+          );
+          if (changes > 0) {
+            result.restored++;
+          } else {
+            result.skipped++;
+          }
+        }
+      });
+
+      result.segments++;
+    }
+
+    logger.info('Archived logs restored', { ...result });
+    return result;
+  }
+
+  /**
+   * Get cleanup schedule, run and archive statistics
+   */
+  getStats(): CleanupStats {
+    const archive = this.db.queryOne(`
+      SELECT
+        COUNT(*) as segments,
+        COALESCE(SUM(entry_count), 0) as entries,
+        COALESCE(SUM(bytes), 0) as bytes,
+        MIN(first_timestamp) as oldest,
+        MAX(last_timestamp) as newest
+      FROM log_archive_segments
+    `);
+
+    return {
+      schedule: this.schedule ? this.schedule.expression : null,
+      nextRun: this.schedule && this.timer ? this.schedule.next() : null,
+      running: this.running !== null,
+      lastRun: this.lastRun,
+      totals: { ...this.totals },
+      retention: {
+        defaultPeriod: this.config.defaultPeriod,
+        byLevel: { ...this.byLevel },
+        byService: { ...this.byService },
+        archiveAfterDays: this.archiveEnabled ? this.config.archive!.archiveAfterDays : null,
+        maxEntries: this.options.maxEntries ?? null
+      },
+      archive: {
+        enabled: this.archiveEnabled,
+        directory: this.archiveDirectory,
+        segments: archive?.segments || 0,
+        entries: archive?.entries || 0,
+        bytes: archive?.bytes || 0,
+        oldestEntry: archive?.oldest ?? null,
+        newestEntry: archive?.newest ?? null
+      }
+    };
+  }
+
+  private tick(): void {
+    const now = new Date();
+    const minute = Math.floor(now.getTime() / SCHEDULER_TICK);
+
+    if (this.schedule!.matches(now) && minute !== this.lastScheduledMinute) {
+      this.lastScheduledMinute = minute;
+      this.run().catch(() => { /* recorded in lastRun */ });
+    }
+  }
+
+  private async execute(options: CleanupOptions): Promise<CleanupRunResult> {
+    const startedAt = Date.now();
+    const deadline = startedAt + this.timeout;
+    const result: CleanupRunResult = {
+      startedAt,
+      finishedAt: 0,
+      durationMs: 0,
+      dryRun: !!options.dryRun,
+      deleted: 0,
+      archived: 0,
+      segmentsWritten: 0,
+      segmentsPruned: 0,
+      timedOut: false,
+      error: null
+    };
+
+    try {
+      const params: Record<string, any> = {
+        now: startedAt,
+        day: DAY,
+        restoredBefore: startedAt - this.restoreHold
+      };
+      const retention = this.retentionSql(options.defaultPeriod ?? this.config.defaultPeriod, params);
+
+      let hot = retention;
+      if (this.archiveEnabled) {
+        params.archiveAfterDays = this.config.archive!.archiveAfterDays;
+        hot = `MIN(${retention}, @archiveAfterDays)`;
+      }
+
+      const expired = `timestamp < @now - (${hot}) * @day AND (restored_at IS NULL OR restored_at < @restoredBefore)`;
+      // Still within its retention period, so worth keeping in the archive
+      const archivable = this.archiveEnabled
+        ? `restored_at IS NULL AND timestamp + (${retention}) * @day > @now`
+        : '0';
+
+      if (options.dryRun) {
+        const countSql = `
+          SELECT COUNT(*) as deleted, COALESCE(SUM(CASE WHEN ${archivable} THEN 1 ELSE 0 END), 0) as archived
+          FROM log_entries
+          WHERE ${expired}
+        `;
+        const counts = this.db.queryOne(countSql, bind(countSql, params));
+        result.deleted = counts.deleted;
+        result.archived = counts.archived;
+
+        if (this.options.maxEntries) {
+          const total = this.db.queryOne('SELECT COUNT(*) as count FROM log_entries').count;
+          result.deleted += Math.max(0, total - counts.deleted - this.options.maxEntries);
+        }
+        result.segmentsPruned = this.db.queryOne(
+          'SELECT COUNT(*) as count FROM log_archive_segments WHERE expires_at < ?',
+          [startedAt]
+        ).count;
+      } else {
+        const selectExpired = `
+          SELECT *, (${retention}) as retention_days, CASE WHEN ${archivable} THEN 1 ELSE 0 END as archivable
+          FROM log_entries
+          WHERE ${expired}
+          ORDER BY timestamp
+          LIMIT @limit
+        `;
+        let complete = await this.drain(selectExpired, params, deadline, Infinity, result);
+
+        if (complete && this.options.maxEntries) {
+          const excess = this.db.queryOne('SELECT COUNT(*) as count FROM log_entries').count - this.options.maxEntries;
+          if (excess > 0) {
+            const selectOldest = `
+              SELECT *, (${retention}) as retention_days, CASE WHEN ${archivable} THEN 1 ELSE 0 END as archivable
+              FROM log_entries
+              ORDER BY timestamp
+              LIMIT @limit
+            `;
+            complete = await this.drain(selectOldest, params, deadline, excess, result);
+          }
+        }
+
+        result.timedOut = !complete;
+        if (complete) {
+          result.segmentsPruned = await this.pruneSegments(startedAt);
+        }
+      }
+    } catch (error) {
+      result.error = error instanceof Error ? error.message : String(error);
+      logger.error('Log cleanup failed', error);
+    }
+
+    result.finishedAt = Date.now();
+    result.durationMs = result.finishedAt - startedAt;
+    this.lastRun = result;
+
+    if (!result.dryRun) {
+      this.totals.runs++;
+      this.totals.deleted += result.deleted;
+      this.totals.archived += result.archived;
+      this.totals.segmentsPruned += result.segmentsPruned;
+      logger.info('Log cleanup completed', { ...result });
+    }
+
+    if (result.error) {
+      throw new Error(result.error);
+    }
+    return result;
+  }
+
+  /**
+   * SQL for a row's retention period in days: the longest of its service and
+   * level periods, else the default
+   */
+  private retentionSql(defaultPeriod: number, params: Record<string, any>): string {
+    const cases = (column: string, periods: Record<string, number>, prefix: string): string => {
+      const entries = Object.entries(periods).filter(([, days]) => Number.isFinite(days));
+      if (entries.length === 0) {
+        return 'NULL';
+      }
+
+      const whens = entries.map(([value, days], i) => {
+        params[`${prefix}Key${i}`] = value;
+        params[`${prefix}Days${i}`] = days;
+        return `WHEN @${prefix}Key${i} THEN @${prefix}Days${i}`;
+      });
+      return `(CASE ${column} ${whens.join(' ')} END)`;
+    };
+
+    const service = cases('service', this.byService, 'service');
+    const level = cases('level', this.byLevel, 'level');
+    params.defaultPeriod = defaultPeriod;
+
+    // Two-argument MAX is NULL when either side is, hence the fallbacks
+    return `COALESCE(MAX(${service}, ${level}), ${service}, ${level}, @defaultPeriod)`;
+  }
+
+  /**
+   * Remove selected rows batch by batch, archiving the archivable ones first
+   * @returns Whether everything was processed before the deadline
+   */
+  private async drain(
+    selectSql: string,
+    params: Record<string, any>,
+    deadline: number,
+    maxRows: number,
+    result: CleanupRunResult
+  ): Promise<boolean> {
+    let remaining = maxRows;
+
+    while (remaining > 0) {
+      if (Date.now() > deadline) {
+        return false;
+      }
+
+      const limit = Math.min(this.batchSize, remaining);
+      const rows = this.db.query(selectSql, bind(selectSql, { ...params, limit }));
+      if (rows.length === 0) {
+        return true;
+      }
+
+      const toArchive = rows.filter((row: any) => row.archivable);
+      const segment = toArchive.length > 0 ? await this.writeSegment(toArchive) : null;
+
+      await this.db.transaction(() => {
+        if (segment) {
+          this.db.execute(`
+            INSERT INTO log_archive_segments (
+              id, path, first_timestamp, last_timestamp, entry_count, bytes, expires_at
+            ) VALUES (?, ?, ?, ?, ?, ?, ?)
+          `, [
+            segment.id,
+            segment.path,
+            segment.firstTimestamp,
+            segment.lastTimestamp,
+            segment.entryCount,
+            segment.bytes,
+            segment.expiresAt
+          ]);
+        }
+
+        for (let i = 0; i < rows.length; i += DELETE_CHUNK) {
+          const ids = rows.slice(i, i + DELETE_CHUNK).map((row: any) => row.id);
+          this.db.execute(`DELETE FROM log_entries WHERE id IN (${ids.map(() => '?').join(',')})`, ids);
+        }
+      });
+
+      result.deleted += rows.length;
+      result.archived += toArchive.length;
+      if (segment) {
+        result.segmentsWritten++;
+      }
+
+      remaining -= rows.length;
+      if (rows.length < limit) {
+        return true;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Write rows (in timestamp order) to a new gzip NDJSON segment
+   */
+  private async writeSegment(rows: any[]): Promise<ArchiveSegment> {
+    const id = IdGenerator.generateWithPrefix('seg', 12);
+    const firstTimestamp = rows[0].timestamp;
+    const lastTimestamp = rows[rows.length - 1].timestamp;
+    const path = join(this.archiveDirectory!, `logs-${firstTimestamp}-${lastTimestamp}-${id}.ndjson.gz`);
+
+    const data = await gzipAsync(rows.map(row => JSON.stringify(toArchiveRecord(row))).join('\n') + '\n');
+
+    await fs.mkdir(this.archiveDirectory!, { recursive: true });
+    // Write then rename, so a segment file is never half-written
+    await fs.writeFile(`${path}.tmp`, data);
+    await fs.rename(`${path}.tmp`, path);
+
+    return {
+      id,
+      path,
+      firstTimestamp,
+      lastTimestamp,
+      entryCount: rows.length,
+      bytes: data.length,
+      expiresAt: Math.max(...rows.map(row => row.timestamp + row.retention_days * DAY))
+    };
+  }
+
+  /**
+   * Delete archive segments whose rows are all past their retention period
+   */
+  private async pruneSegments(now: number): Promise<number> {
+    const segments = this.db.query('SELECT id, path FROM log_archive_segments WHERE expires_at < ?', [now]);
+
+    for (const segment of segments) {
+      await fs.rm(segment.path, { force: true });
+      this.db.execute('DELETE FROM log_archive_segments WHERE id = ?', [segment.id]);
+    }
+
+    return segments.length;
+  }
+}
@@ -0,0 +1,265 @@
+/**
+ * Log Sampling
+ * Rule-based sampling by service, level and message, with an adaptive factor
+ * that lowers rates while ingest velocity is above target
+ */
+
+import type {
+  LogEntry,
+  SamplingConfig,
+  SamplingRule,
+  AdaptiveSamplingConfig
+} from '../types/logging.js';
+import { loggingLogger as logger } from '../utils/logger.js';
+
+export interface SamplingStats {
+  strategy: 'random' | 'deterministic' | 'adaptive';
+  /** Adaptive multiplier applied to rule rates (1 when not adaptive) */
+  factor: number;
+  /** Incoming entries per second over the last adjustment interval */
+  velocity: number;
+  kept: number;
+  dropped: number;
+  byRule: Record<string, { kept: number; dropped: number }>;
+}
+
+type ConditionField = 'service' | 'level' | 'message' | 'source';
+
+interface Clause {
+  field: ConditionField;
+  negate: boolean;
+  test: (value: string) => boolean;
+}
+
+interface CompiledRule {
+  condition: string;
+  rate: number;
+  priority: number;
+  clauses: Clause[];
+}
+
+const ALWAYS_KEPT_LEVELS = ['error', 'fatal'];
+const CLAUSE_PATTERN = /^(service|level|message|source)\s*(!=|!~|=|~)\s*(.+)$/;
+
+/**
+ * Compile a rule condition.
+ *
+ * Conditions are `*` (every entry) or clauses joined by `&&`, each
+ * `<field> <op> <value>` with field service, level, message or source:
+ * - `=` / `!=` exact match against one or more comma-separated values
+ * - `~` / `!~` regular expression match, written `/pattern/flags` or bare
+ *
+ * e.g. `service = vite-dev && level = debug,trace`, `message ~ /HMR update/i`
+ */
+function compileCondition(condition: string): Clause[] {
+  const trimmed = condition.trim();
+  if (trimmed === '*' || trimmed === '') {
+    return [];
+  }
+
+  return trimmed.split('&&').map(part => {
+    const match = part.trim().match(CLAUSE_PATTERN);
+    if (!match) {
+      throw new Error(`Invalid sampling condition clause '${part.trim()}'`);
+    }
+
+    const [, field, op, rawValue] = match;
+    const value = unquote(rawValue.trim());
+
+    if (op === '~' || op === '!~') {
+      const regex = toRegExp(value);
+      return { field: field as ConditionField, negate: op === '!~', test: (input: string) => regex.test(input) };
+    }
+
+    const values = value.split(',').map(v => field === 'level' ? v.trim().toLowerCase() : v.trim());
+    return {
+      field: field as ConditionField,
+      negate: op === '!=',
+      test: (input: string) => values.includes(field === 'level' ? input.toLowerCase() : input)
+    };
+  });
+}
+
+function unquote(value: string): string {
+  const quoted = value.match(/^(['"])(.*)\1$/);
+  return quoted ? quoted[2] : value;
+}
+
+function toRegExp(value: string): RegExp {
+  const literal = value.match(/^\/(.*)\/([a-z]*)$/);
+  return literal ? new RegExp(literal[1], literal[2]) : new RegExp(value);
+}
+
+/**
+ * FNV-1a hash mapped to [0, 1), so deterministic decisions are stable per key
+ */
+function hashUnit(key: string): number {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < key.length; i++) {
+    hash ^= key.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0) / 0x100000000;
+}
+
+/**
+ * Decides which entries are stored and at what rate.
+ *
+ * The highest-priority matching rule sets the base rate, otherwise
+ * `defaultRate`. Errors and fatals are kept unless a rule with a level
+ * clause selects them. With
+ * the 'adaptive' strategy (or an `adaptive` block) the rate is multiplied by a
+ * factor that tracks `targetRate / incoming velocity`, bounded by
+ * `minRate`..`maxRate`. The 'deterministic' strategy samples by trace ID (or
+ * entry ID), so a trace is kept or dropped as a whole.
+ */
+export class LogSampler {
+  private rules: CompiledRule[] = [];
+  private defaultRate: number;
+  private strategy: SamplingStats['strategy'];
+  private adaptive: Required<AdaptiveSamplingConfig> | null;
+
+  private factor = 1;
+  private velocity = 0;
+  private windowStart = Date.now();
+  private windowCount = 0;
+  private kept = 0;
+  private dropped = 0;
+  private byRule: SamplingStats['byRule'] = {};
+
+  constructor(config: SamplingConfig) {
+    this.defaultRate = clampRate(config.defaultRate ?? 1);
+    this.strategy = config.strategy || (config.adaptive ? 'adaptive' : 'random');
+    this.adaptive = this.strategy === 'adaptive'
+      ? {
+          targetRate: config.adaptive?.targetRate ?? 100,
+          adjustmentInterval: config.adaptive?.adjustmentInterval ?? 5000,
+          minRate: config.adaptive?.minRate ?? 0.01,
+          maxRate: config.adaptive?.maxRate ?? 1,
+          adjustmentFactor: config.adaptive?.adjustmentFactor ?? 0.5
+        }
+      : null;
+    if (this.adaptive) {
+      this.factor = this.adaptive.maxRate;
+    }
+
+    for (const rule of config.rules || []) {
+      const compiled = this.compileRule(rule);
+      if (compiled) {
+        this.rules.push(compiled);
+      }
+    }
+    // Stable sort: equal priorities keep their configured order
+    this.rules.sort((a, b) => b.priority - a.priority);
+  }
+
+  /**
+   * Decide whether to store an entry
+   * @returns 0 to drop the entry, otherwise the rate it was kept at (0-1]
+   */
+  sample(entry: LogEntry): number {
+    this.recordArrival();
+
+    // Errors and fatals are only sampled by rules that select them by level
+    const alwaysKept = ALWAYS_KEPT_LEVELS.includes(entry.level.toLowerCase());
+    const rule = this.rules.find(candidate =>
+      (!alwaysKept || candidate.clauses.some(clause => clause.field === 'level')) && this.matches(candidate, entry)
+    );
+
+    let rate: number;
+    if (rule) {
+      rate = rule.rate * this.factor;
+    } else if (alwaysKept) {
+      rate = 1;
+    } else {
+      rate = this.defaultRate * this.factor;
+    }
+
+    const key = rule ? rule.condition : '(default)';
+    const ruleStats = this.byRule[key] || (this.byRule[key] = { kept: 0, dropped: 0 });
+
+    if (rate <= 0 || this.draw(entry) >= rate) {
+      this.dropped++;
+      ruleStats.dropped++;
+      return 0;
+    }
+
+    this.kept++;
+    ruleStats.kept++;
+    return Math.min(1, rate);
+  }
+
+  /**
+   * Get sampling statistics
+   */
+  getStats(): SamplingStats {
+    return {
+      strategy: this.strategy,
+      factor: this.factor,
+      velocity: this.velocity,
+      kept: this.kept,
+      dropped: this.dropped,
+      byRule: { ...this.byRule }
+    };
+  }
+
+  private compileRule(rule: SamplingRule): CompiledRule | null {
+    try {
+      return {
+        condition: rule.condition,
+        rate: clampRate(rule.rate),
+        priority: rule.priority ?? 0,
+        clauses: compileCondition(rule.condition)
+      };
+    } catch (error) {
+      logger.warn('Skipping invalid sampling rule', { condition: rule.condition, error: error.message });
+      return null;
+    }
+  }
+
+  private matches(rule: CompiledRule, entry: LogEntry): boolean {
+    return rule.clauses.every(clause => {
+      const raw = clause.field === 'source' && typeof entry.source === 'object'
+        ? entry.source?.file
+        : entry[clause.field];
+      const result = clause.test(String(raw ?? ''));
+      return clause.negate ? !result : result;
+    });
+  }
+
+  private draw(entry: LogEntry): number {
+    if (this.strategy === 'deterministic') {
+      return hashUnit(entry.trace?.traceId || entry.id);
+    }
+    return Math.random();
+  }
+
+  /**
+   * Count an incoming entry and, once per adjustment interval, move the
+   * adaptive factor toward targetRate / velocity
+   */
+  private recordArrival(): void {
+    this.windowCount++;
+
+    const now = Date.now();
+    const interval = this.adaptive ? this.adaptive.adjustmentInterval : 5000;
+    const elapsed = now - this.windowStart;
+    if (elapsed < interval) {
+      return;
+    }
+
+    this.velocity = this.windowCount / (elapsed / 1000);
+    this.windowStart = now;
+    this.windowCount = 0;
+
+    if (this.adaptive) {
+      const { targetRate, minRate, maxRate, adjustmentFactor } = this.adaptive;
+      const target = Math.max(minRate, Math.min(maxRate, this.velocity > 0 ? targetRate / this.velocity : maxRate));
+      this.factor += (target - this.factor) * adjustmentFactor;
+    }
+  }
+}
+
+function clampRate(rate: number): number {
+  return Math.max(0, Math.min(1, Number.isFinite(rate) ? rate : 1));
+}
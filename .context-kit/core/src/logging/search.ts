@@ -0,0 +1,254 @@
+/**
+ * Log Search Queries
+ * Compiles the log search syntax into an FTS5 MATCH expression over
+ * log_entries_fts (columns message, service, level, meta)
+ */
+
+export class LogSearchSyntaxError extends Error {
+  constructor(
+    message: string,
+    public readonly position: number,
+    public readonly query: string
+  ) {
+    super(`${message} at position ${position}`);
+    this.name = 'LogSearchSyntaxError';
+  }
+}
+
+type SearchNode =
+  | { type: 'term'; text: string; prefix: boolean; column?: SearchColumn; metaKey?: string; position: number }
+  | { type: 'and'; children: SearchNode[]; position: number }
+  | { type: 'or'; children: SearchNode[]; position: number }
+  | { type: 'not'; child: SearchNode; position: number };
+
+type SearchColumn = 'message' | 'service' | 'level' | 'meta';
+
+interface Token {
+  kind: 'word' | 'phrase' | 'lparen' | 'rparen' | 'and' | 'or' | 'not';
+  text: string;
+  prefix: boolean;
+  position: number;
+}
+
+const FIELD_PATTERN = /^(message|service|level|meta\.[^:]*):(.*)$/;
+
+function tokenize(query: string): Token[] {
+  const tokens: Token[] = [];
+  let i = 0;
+
+  while (i < query.length) {
+    const char = query[i];
+
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === '(' || char === ')') {
+      tokens.push({ kind: char === '(' ? 'lparen' : 'rparen', text: char, prefix: false, position: i });
+      i++;
+    } else if (char === '"') {
+      const start = i;
+      const end = query.indexOf('"', i + 1);
+      if (end === -1) {
+        throw new LogSearchSyntaxError('Unterminated phrase', start, query);
+      }
+      const prefix = query[end + 1] === '*';
+      tokens.push({ kind: 'phrase', text: query.slice(start + 1, end), prefix, position: start });
+      i = end + (prefix ? 2 : 1);
+    } else {
+      const start = i;
+      while (i < query.length && !/[\s()"]/.test(query[i])) {
+        i++;
+      }
+      const text = query.slice(start, i);
+      const kind = text === 'AND' ? 'and' : text === 'OR' ? 'or' : text === 'NOT' ? 'not' : 'word';
+      const prefix = kind === 'word' && text.length > 1 && text.endsWith('*') && !text.endsWith(':*');
+      tokens.push({ kind, text: prefix ? text.slice(0, -1) : text, prefix, position: start });
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Recursive descent parser. Precedence, loosest first: OR, AND (explicit or
+ * implied by adjacent terms), NOT.
+ */
+class Parser {
+  private index = 0;
+
+  constructor(private tokens: Token[], private query: string) {}
+
+  parse(): SearchNode {
+    const node = this.parseOr();
+    const extra = this.peek();
+    if (extra) {
+      throw new LogSearchSyntaxError(`Unexpected '${extra.text}'`, extra.position, this.query);
+    }
+    return node;
+  }
+
+  private parseOr(): SearchNode {
+    const position = this.position();
+    const children = [this.parseAnd()];
+    while (this.peek()?.kind === 'or') {
+      this.index++;
+      children.push(this.parseAnd());
+    }
+    return children.length === 1 ? children[0] : { type: 'or', children, position };
+  }
+
+  private parseAnd(): SearchNode {
+    const position = this.position();
+    const children = [this.parseUnary()];
+    for (let next = this.peek(); next && next.kind !== 'or' && next.kind !== 'rparen'; next = this.peek()) {
+      if (next.kind === 'and') {
+        this.index++;
+      }
+      children.push(this.parseUnary());
+    }
+    return children.length === 1 ? children[0] : { type: 'and', children, position };
+  }
+
+  private parseUnary(): SearchNode {
+    const token = this.peek();
+    if (token?.kind === 'not') {
+      this.index++;
+      return { type: 'not', child: this.parseUnary(), position: token.position };
+    }
+    return this.parsePrimary();
+  }
+
+  private parsePrimary(): SearchNode {
+    const token = this.next('a search term');
+
+    if (token.kind === 'lparen') {
+      const node = this.parseOr();
+      const close = this.peek();
+      if (close?.kind !== 'rparen') {
+        throw new LogSearchSyntaxError("Expected ')'", close ? close.position : this.query.length, this.query);
+      }
+      this.index++;
+      return node;
+    }
+
+    if (token.kind === 'phrase') {
+      return { type: 'term', text: token.text, prefix: token.prefix, position: token.position };
+    }
+
+    if (token.kind !== 'word') {
+      throw new LogSearchSyntaxError(`Unexpected '${token.text}'`, token.position, this.query);
+    }
+
+    const field = token.text.match(FIELD_PATTERN);
+    if (!field) {
+      return { type: 'term', text: token.text, prefix: token.prefix, position: token.position };
+    }
+
+    const [, name, inlineValue] = field;
+    const metaKey = name.startsWith('meta.') ? name.slice(5) : undefined;
+    if (metaKey === '') {
+      throw new LogSearchSyntaxError("Expected a metadata key after 'meta.'", token.position, this.query);
+    }
+
+    let text = inlineValue;
+    let prefix = token.prefix;
+    if (text === '') {
+      // `service:"my api"` lexes as the field followed by a phrase
+      const value = this.peek();
+      if (value?.kind !== 'phrase' || value.position !== token.position + token.text.length) {
+        throw new LogSearchSyntaxError(`Expected a value after '${name}:'`, token.position, this.query);
+      }
+      this.index++;
+      text = value.text;
+      prefix = value.prefix;
+    }
+
+    return {
+      type: 'term',
+      text,
+      prefix,
+      column: metaKey !== undefined ? 'meta' : name as SearchColumn,
+      metaKey,
+      position: token.position
+    };
+  }
+
+  private peek(): Token | undefined {
+    return this.tokens[this.index];
+  }
+
+  private next(expected: string): Token {
+    const token = this.tokens[this.index++];
+    if (!token) {
+      throw new LogSearchSyntaxError(`Expected ${expected}`, this.query.length, this.query);
+    }
+    return token;
+  }
+
+  private position(): number {
+    return this.peek()?.position ?? this.query.length;
+  }
+}
+
+function quote(text: string): string {
+  return `"${text.replace(/"/g, '""')}"`;
+}
+
+function compileNode(node: SearchNode, query: string): string {
+  switch (node.type) {
+    case 'term': {
+      const phrase = quote(node.metaKey ? `${node.metaKey} ${node.text}` : node.text) + (node.prefix ? ' *' : '');
+      return node.column ? `${node.column} : ${phrase}` : phrase;
+    }
+
+    case 'or':
+      return `(${node.children.map(child => {
+        if (child.type === 'not') {
+          throw new LogSearchSyntaxError('NOT cannot be an alternative of OR', child.position, query);
+        }
+        return compileNode(child, query);
+      }).join(' OR ')})`;
+
+    case 'and': {
+      // FTS5 NOT is binary: `a NOT b` keeps a's matches that lack b
+      const included = node.children.filter(child => child.type !== 'not');
+      const excluded = node.children.filter(child => child.type === 'not') as Array<Extract<SearchNode, { type: 'not' }>>;
+      if (included.length === 0) {
+        throw new LogSearchSyntaxError('NOT needs a term to exclude from', node.position, query);
+      }
+      let sql = `(${included.map(child => compileNode(child, query)).join(' AND ')})`;
+      for (const child of excluded) {
+        if (child.child.type === 'not') {
+          throw new LogSearchSyntaxError('Double NOT', child.position, query);
+        }
+        sql += ` NOT ${compileNode(child.child, query)}`;
+      }
+      return sql;
+    }
+
+    case 'not':
+      throw new LogSearchSyntaxError('NOT needs a term to exclude from', node.position, query);
+  }
+}
+
+/**
+ * Compile a search query into an FTS5 MATCH expression.
+ *
+ * Syntax:
+ * - `timeout` bare terms; `conn*` prefix terms
+ * - `"connection reset"` phrases (`"connection res"*` for a prefix phrase)
+ * - `AND` (or juxtaposition), `OR`, `NOT`, and parentheses for grouping
+ * - `message:`, `service:`, `level:` scope a term or phrase to that field
+ * - `meta.key:value` matches a metadata value under that key path,
+ *   e.g. `meta.request.method:POST`
+ *
+ * Terms are matched as whole tokens, case and diacritic insensitive.
+ *
+ * @throws LogSearchSyntaxError with the offending position
+ */
+export function compileSearchQuery(query: string): string {
+  const tokens = tokenize(query);
+  if (tokens.length === 0) {
+    throw new LogSearchSyntaxError('Empty search query', 0, query);
+  }
+  return compileNode(new Parser(tokens, query).parse(), query);
+}
@@ -3,18 +3,47 @@
  * Centralized log management with structured storage, filtering, and analytics
  */
 
+import { dirname, join } from 'path';
 import type { DatabaseConnection } from '../database/connection.js';
 import type {
   LogEntry,
   LogLevel,
   LogFilter,
   LogQuery,
+  LogSearchHit,
   LogStats,
-  LogServiceConfig
+  LogServiceConfig,
+  TransportConfig
 } from '../types/logging.js';
+import { TransportManager, type TransportStats } from './transports.js';
+import { LogSampler, type SamplingStats } from './sampling.js';
+import { compileSearchQuery, LogSearchSyntaxError } from './search.js';
+import { compileLogQuery, LogQuerySyntaxError } from './query.js';
+import { LogTemplateMiner } from './templates.js';
+import { LogTail, type LogTailFilter, type LogTailEvent, type LogTailSubscription } from './tail.js';
+import { AlertManager, type AlertQuery, type AlertReport, type AlertState } from './alerts.js';
+import {
+  MetricsRegistry,
+  MetricQueryError,
+  type MetricQuery,
+  type MetricQueryResult,
+  type MetricInfo
+} from './metrics.js';
+import { LogExchange, LogImportError, type LogExportOptions, type LogImportOptions, type LogImportResult } from './exchange.js';
+import {
+  LogRetentionManager,
+  type CleanupOptions,
+  type CleanupRunResult,
+  type CleanupStats,
+  type ArchiveRestoreQuery,
+  type ArchiveRestoreResult
+} from './retention.js';
 import { IdGenerator } from '../utils/id-generator.js';
+import { extractTraceInfo } from '../utils/trace-context.js';
 import { loggingLogger as logger, timeOperation } from '../utils/logger.js';
 
+const DAY = 24 * 60 * 60 * 1000;
+
 export interface LogBatch {
   entries: LogEntry[];
   timestamp: number;
@@ -35,6 +64,89 @@ export interface LogAnalytics {
     logVelocity: number; // logs per minute
     serviceHealth: Record<string, 'healthy' | 'degraded' | 'error'>;
   };
+  /** Counts extrapolated from each row's sample rate (equal to the stored counts when nothing was sampled) */
+  estimated: {
+    totalLogs: number;
+    logsByLevel: Record<string, number>;
+    logsByService: Record<string, number>;
+  };
+}
+
+export interface ErrorTrendBucket {
+  /** Bucket start (ms) */
+  start: number;
+  /** Stored rows */
+  logs: number;
+  errors: number;
+  /** Extrapolated from sample rates */
+  estimatedLogs: number;
+  estimatedErrors: number;
+  /** Percentage of estimated logs that are errors or fatals */
+  errorRate: number;
+}
+
+export interface StructuredLogQueryOptions {
+  /** Only entries from this far back, in ms */
+  timeWindow?: number;
+  /** Rows returned when the query has no `| limit` stage (default 100) */
+  limit?: number;
+}
+
+export interface StructuredLogQueryResult {
+  query: string;
+  kind: 'entries' | 'aggregate';
+  /** Matching entries, for queries without an aggregation stage */
+  entries?: LogEntry[];
+  /** Column names of aggregate rows: group fields, `bucket`, then aggregations */
+  columns?: string[];
+  rows?: Array<Record<string, string | number | null>>;
+}
+
+export interface LogPatternQuery {
+  /** How far back to look, in ms (default 24 hours) */
+  timeWindow?: number;
+  /** Trend bucket width, in ms (default timeWindow / 24) */
+  bucketSize?: number;
+  service?: string;
+  level?: LogLevel;
+  /** Number of patterns returned (default 20) */
+  limit?: number;
+}
+
+export interface LogPattern {
+  templateId: string;
+  /** Message template, variable tokens shown as `<*>` */
+  template: string;
+  /** Stored rows */
+  count: number;
+  /** Extrapolated from sample rates */
+  estimatedCount: number;
+  /** Percentage of the window's estimated volume */
+  share: number;
+  /** Percentage covered by this and every larger pattern */
+  cumulativeShare: number;
+  errors: number;
+  services: string[];
+  firstSeen: number;
+  lastSeen: number;
+  example: string;
+  /** Estimated count per bucket, aligned with LogPatternReport.buckets */
+  trend: number[];
+}
+
+export interface LogPatternReport {
+  start: number;
+  end: number;
+  bucketSize: number;
+  /** Bucket start times (ms) */
+  buckets: number[];
+  /** Estimated entries with a template in the window */
+  estimatedTotal: number;
+  templateCount: number;
+  /** Fewest templates that account for 90% of estimated volume */
+  templatesFor90Percent: number;
+  /** Patterns by estimated count, largest first */
+  patterns: LogPattern[];
 }
 
 export class LoggingService {
@@ -42,6 +154,14 @@ export class LoggingService {
   private config: Required<LogServiceConfig>;
   private batchedLogs: LogEntry[] = [];
   private batchTimer: NodeJS.Timeout | null = null;
+  private transports: TransportManager;
+  private sampler: LogSampler | null;
+  private retention: LogRetentionManager;
+  private templates: LogTemplateMiner | null;
+  private alerts: AlertManager | null;
+  private tail: LogTail;
+  private exchange: LogExchange;
+  private metrics: MetricsRegistry | null;
 
   constructor(
     db: DatabaseConnection,
@@ -56,14 +176,19 @@ export class LoggingService {
       filters: config.filters || {},
       buffering: config.buffering || { enabled: false, maxSize: 1000, flushInterval: 5000, onOverflow: 'drop_oldest' },
       sampling: config.sampling || { enabled: false, defaultRate: 1.0 },
-      retention: config.retention || { defaultPeriod: 30 },
+      retention: config.retention || {
+        defaultPeriod: config.retentionDays || (config.maxLogAge ? config.maxLogAge / DAY : 30)
+      },
+      templates: config.templates || {},
+      alerting: config.alerting || { enabled: false, rules: [] },
+      metrics: config.metrics || {},
       performance: config.performance || { async: true },
       databasePath: config.databasePath || '',
       retentionDays: config.retentionDays || 30,
       batchSize: config.batchSize || 100,
       batchInterval: config.batchInterval || 5000,
       flushInterval: config.flushInterval || 5000,
-      maxLogAge: config.maxLogAge || 30 * 24 * 60 * 60 * 1000, // 30 days
+      maxLogAge: config.maxLogAge || 30 * DAY,
       enableAnalytics: config.enableAnalytics ?? true,
       retentionPolicy: config.retentionPolicy || 'time_based',
       maxLogEntries: config.maxLogEntries || 1000000,
@@ -74,6 +199,40 @@ export class LoggingService {
       services: config.services || []
     };
 
+    this.transports = new TransportManager(this.resolveTransportConfigs(), {
+      db,
+      formatting: this.config.formatting,
+      serviceName: this.config.serviceName
+    });
+
+    this.sampler = this.config.sampling.enabled ? new LogSampler(this.config.sampling) : null;
+
+    this.retention = new LogRetentionManager(db, this.config.retention, {
+      defaultArchiveDirectory: join(this.config.databasePath ? dirname(this.config.databasePath) : process.cwd(), 'log-archive'),
+      maxEntries: this.config.retentionPolicy === 'count_based' ? this.config.maxLogEntries : undefined
+    });
+    this.retention.start();
+
+    this.templates = this.config.templates.enabled !== false ? new LogTemplateMiner(this.config.templates) : null;
+    this.loadTemplates();
+
+    const alerting = this.config.alerting;
+    this.alerts = alerting.enabled !== false && alerting.rules.length > 0
+      ? new AlertManager(db, alerting, this.config.serviceName)
+      : null;
+    this.alerts?.start();
+
+    this.metrics = this.config.metrics.enabled !== false ? new MetricsRegistry(db, this.config.metrics) : null;
+    this.metrics?.start();
+
+    this.tail = new LogTail(db, row => this.rowToEntry(row));
+
+    this.exchange = new LogExchange(db, row => this.rowToEntry(row), entry => {
+      if (this.templates) {
+        entry.templateId = this.templates.match(entry.message).id;
+      }
+    });
+
     this.startBatchProcessor();
     logger.info('LoggingService initialized', { config: this.config });
   }
@@ -101,9 +260,14 @@ export class LoggingService {
         service: service || this.config.serviceName,
         source: source || 'unknown',
         metadata: metadata || {},
-        indexed_content: this.createIndexedContent(message, metadata || {})
+        trace: extractTraceInfo(metadata)
       };
 
+      // Sampled out: the ID is still returned, the entry is not stored
+      if (!this.admit(entry)) {
+        return entry.id;
+      }
+
       // Add to batch
       this.batchedLogs.push(entry);
 
@@ -129,20 +293,24 @@ export class LoggingService {
 
     try {
       const ids: string[] = [];
+      let hasErrors = false;
 
       for (const entry of batch.entries) {
         const fullEntry: LogEntry = {
           ...entry,
           id: entry.id || IdGenerator.generateLogId(),
-          indexed_content: this.createIndexedContent(entry.message, entry.metadata || {})
+          trace: entry.trace || extractTraceInfo(entry.metadata)
         };
 
-        this.batchedLogs.push(fullEntry);
         ids.push(fullEntry.id);
+        if (this.admit(fullEntry)) {
+          this.batchedLogs.push(fullEntry);
+          hasErrors = hasErrors || fullEntry.level === 'error' || fullEntry.level === 'fatal';
+        }
       }
 
-      // Flush if batch is large enough
-      if (this.batchedLogs.length >= this.config.batchSize) {
+      // Flush immediately for errors and fatal logs, as log() does, or if batch is large enough
+      if (hasErrors || this.batchedLogs.length >= this.config.batchSize) {
         await this.flushBatch();
       }
 
@@ -191,86 +359,82 @@ export class LoggingService {
     offset = 0
   ): Promise<LogEntry[]> {
     try {
-      let sql = 'SELECT * FROM log_entries WHERE 1=1';
-      const params: any[] = [];
-
-      // Apply filters
-      if (filter.level) {
-        if (Array.isArray(filter.level)) {
-          const placeholders = filter.level.map(() => '?').join(',');
-          sql += ` AND level IN (${placeholders})`;
-          params.push(...filter.level);
-        } else {
-          sql += ' AND level = ?';
-          params.push(filter.level);
-        }
-      }
-
-      if (filter.service) {
-        if (Array.isArray(filter.service)) {
-          const placeholders = filter.service.map(() => '?').join(',');
-          sql += ` AND service IN (${placeholders})`;
-          params.push(...filter.service);
-        } else {
-          sql += ' AND service = ?';
-          params.push(filter.service);
-        }
-      }
-
-      if (filter.source) {
-        sql += ' AND source LIKE ?';
-        params.push(`%${filter.source}%`);
-      }
+      const where = this.filterSql(filter);
+      const sql = `SELECT * FROM log_entries WHERE 1=1${where.sql} ORDER BY timestamp DESC LIMIT ? OFFSET ?`;
+      const params = [...where.params, limit, offset];
 
-      if (filter.message) {
-        sql += ' AND (message LIKE ? OR indexed_content LIKE ?)';
-        params.push(`%${filter.message}%`, `%${filter.message}%`);
-      }
+      const results = this.db.query(sql, params);
 
-      if (filter.timeRange) {
-        if (filter.timeRange.start) {
-          sql += ' AND timestamp >= ?';
-          params.push(filter.timeRange.start);
-        }
-        if (filter.timeRange.end) {
-          sql += ' AND timestamp <= ?';
-          params.push(filter.timeRange.end);
-        }
-      }
+      return results.map((row: any) => this.rowToEntry(row));
+    } catch (error) {
+      logger.error('Failed to get logs', error, { filter, limit, offset });
+      throw error;
+    }
+  }
 
-      if (filter.metadata) {
-        for (const [key, value] of Object.entries(filter.metadata)) {
-          sql += ' AND JSON_EXTRACT(metadata, ?) = ?';
-          params.push(`$.${key}`, value);
-        }
-      }
+  /**
+   * Receive entries as they are stored. Entries are pushed after each flush,
+   * in storage order; `after` resumes from a previous event's cursor by
+   * replaying the stored entries past it first.
+   */
+  tailLogs(
+    filter: LogTailFilter,
+    listener: (event: LogTailEvent) => void,
+    after?: number
+  ): LogTailSubscription {
+    return this.tail.subscribe(filter, listener, after);
+  }
 
-      // Ordering and pagination
-      sql += ' ORDER BY timestamp DESC LIMIT ? OFFSET ?';
-      params.push(limit, offset);
+  /**
+   * Export the stored entries matching a filter, oldest first, as chunks of
+   * an NDJSON, CSV, OTLP-JSON or HAR document. Entries are read a batch at
+   * a time as the chunks are consumed.
+   */
+  exportLogs(filter: LogFilter, options: LogExportOptions): AsyncGenerator<string> {
+    return this.exchange.export(this.filterSql(filter), options);
+  }
 
-      const results = this.db.query(sql, params);
+  /**
+   * Import entries from any of the export formats. Each entry is stored
+   * under a new ID, with the original and the import's ID kept in
+   * metadata.import. Imported entries go straight to the store: they are
+   * not sampled, sent to other transports or checked by alert rules.
+   *
+   * @throws LogImportError when the input as a whole can't be read
+   */
+  async importLogs(
+    input: string | Buffer | AsyncIterable<string | Buffer>,
+    options: LogImportOptions = {}
+  ): Promise<LogImportResult> {
+    const timer = timeOperation('import_logs', logger);
 
-      return results.map((row: any) => ({
-        id: row.id,
-        timestamp: row.timestamp,
-        level: row.level as LogLevel,
-        message: row.message,
-        service: row.service,
-        source: row.source,
-        metadata: JSON.parse(row.metadata || '{}'),
-        indexed_content: row.indexed_content
-      }));
+    try {
+      const result = await this.exchange.import(input, options);
+      await this.saveTemplates();
+      this.tail.poll();
+      timer.finish({ success: true, imported: result.imported, skipped: result.skipped });
+      return result;
     } catch (error) {
-      logger.error('Failed to get logs', error, { filter, limit, offset });
+      timer.finish({ success: false, error: error.message });
+      if (error instanceof LogImportError) {
+        logger.warn('Invalid log import', { format: options.format, error: error.message });
+      } else {
+        logger.error('Failed to import logs', error, { format: options.format });
+      }
       throw error;
     }
   }
 
   /**
-   * Search logs using full-text search
+   * Search logs, optionally by full-text query.
+   *
+   * With `query.text` the FTS5 index is matched (see compileSearchQuery for
+   * the syntax) and hits are ranked by BM25, weighting message over service,
+   * level and metadata, each with a highlighted snippet.
+   *
+   * @throws LogSearchSyntaxError for malformed search text
    */
-  async searchLogs(query: LogQuery): Promise<LogEntry[]> {
+  async searchLogs(query: LogQuery): Promise<LogSearchHit[]> {
     const timer = timeOperation('search_logs', logger);
 
     try {
@@ -278,44 +442,67 @@ export class LoggingService {
         filters = {},
         limit = 100,
         offset = 0,
-        sort = []
+        sort = [],
+        text,
+        highlight = { start: '<mark>', end: '</mark>' }
       } = query;
+      const fullText = text !== undefined && text.trim() !== '';
 
-      let sql = `
-        SELECT *
-        FROM log_entries
-        WHERE 1=1
-      `;
       const params: any[] = [];
+      let sql: string;
+      if (fullText) {
+        sql = `
+          SELECT l.*,
+                 -bm25(log_entries_fts, 10.0, 2.0, 2.0, 1.0) AS score,
+                 snippet(log_entries_fts, -1, ?, ?, '…', 16) AS snippet
+          FROM log_entries_fts
+          JOIN log_entries l ON l.rowid = log_entries_fts.rowid
+          WHERE log_entries_fts MATCH ?
+        `;
+        params.push(highlight.start, highlight.end, compileSearchQuery(text));
+      } else {
+        sql = `
+          SELECT l.*
+          FROM log_entries l
+          WHERE 1=1
+        `;
+      }
 
       // Apply additional filters
       if (filters.level) {
-        sql += ' AND level = ?';
+        sql += ' AND l.level = ?';
         params.push(filters.level);
       }
 
       if (filters.service) {
-        sql += ' AND service = ?';
+        sql += ' AND l.service = ?';
         params.push(filters.service);
       }
 
+      if (filters.traceId) {
+        sql += ' AND l.trace_id = ?';
+        params.push(filters.traceId);
+      }
+
       if (filters.timeRange) {
         if (filters.timeRange.start) {
-          sql += ' AND timestamp >= ?';
+          sql += ' AND l.timestamp >= ?';
           params.push(filters.timeRange.start);
         }
         if (filters.timeRange.end) {
-          sql += ' AND timestamp <= ?';
+          sql += ' AND l.timestamp <= ?';
           params.push(filters.timeRange.end);
         }
       }
 
       // Add sorting
-      if (sort.length > 0) {
-        const sortClauses = sort.map(s => `${s.field} ${s.direction.toUpperCase()}`);
+      const sortClauses = sort
+        .filter(s => s.field === 'score' ? fullText : /^\w+$/.test(s.field))
+        .map(s => `${s.field === 'score' ? 'score' : `l.${s.field}`} ${s.direction === 'asc' ? 'ASC' : 'DESC'}`);
+      if (sortClauses.length > 0) {
         sql += ` ORDER BY ${sortClauses.join(', ')}`;
       } else {
-        sql += ' ORDER BY timestamp DESC';
+        sql += fullText ? ' ORDER BY score DESC, l.timestamp DESC' : ' ORDER BY l.timestamp DESC';
       }
 
       sql += ' LIMIT ? OFFSET ?';
@@ -323,7 +510,7 @@ export class LoggingService {
 
       const results = this.db.query(sql, params);
 
-      const logs = results.map((row: any) => ({
+      const logs: LogSearchHit[] = results.map((row: any) => ({
         id: row.id,
         timestamp: row.timestamp,
         level: row.level as LogLevel,
@@ -331,14 +518,63 @@ export class LoggingService {
         service: row.service,
         source: row.source,
         metadata: JSON.parse(row.metadata || '{}'),
-        indexed_content: row.indexed_content
+        trace: this.rowToTraceInfo(row),
+        sampleRate: row.sample_rate ?? 1,
+        templateId: row.template_id || undefined,
+        ...(fullText ? { score: row.score, snippet: row.snippet } : {})
       }));
 
       timer.finish({ success: true, resultCount: logs.length });
       return logs;
     } catch (error) {
       timer.finish({ success: false, error: error.message });
-      logger.error('Failed to search logs', error, { query });
+      if (error instanceof LogSearchSyntaxError) {
+        logger.warn('Invalid log search query', { query: query.text, error: error.message });
+      } else {
+        logger.error('Failed to search logs', error, { query });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Run a query in the log query language (see parseLogQuery for the
+   * syntax): filters on fields and metadata, optionally followed by an
+   * aggregation such as `| count, p95(meta.duration) by service, 5m`
+   *
+   * @throws LogQuerySyntaxError for malformed queries, with the position
+   */
+  async queryLogs(query: string, options: StructuredLogQueryOptions = {}): Promise<StructuredLogQueryResult> {
+    const timer = timeOperation('query_logs', logger);
+
+    try {
+      const compiled = compileLogQuery(query, {
+        since: options.timeWindow ? Date.now() - options.timeWindow : undefined,
+        defaultLimit: options.limit
+      });
+      const rows = this.db.query(compiled.sql, compiled.params);
+
+      let result: StructuredLogQueryResult;
+      if (compiled.kind === 'entries') {
+        result = { query, kind: 'entries', entries: rows.map((row: any) => this.rowToEntry(row)) };
+      } else {
+        result = {
+          query,
+          kind: 'aggregate',
+          columns: compiled.columns.map(column => column.name),
+          rows: rows.map((row: any) => Object.fromEntries(compiled.columns.map(column => [column.name, row[column.alias]])))
+        };
+      }
+
+      timer.finish({ success: true, resultCount: rows.length });
+      return result;
+    } catch (error) {
+      timer.finish({ success: false, error: error.message });
+      if (error instanceof LogQuerySyntaxError) {
+        logger.warn('Invalid log query', { query, error: error.message });
+      } else {
+        logger.error('Failed to query logs', error, { query });
+      }
       throw error;
     }
   }
@@ -383,13 +619,16 @@ export class LoggingService {
         params.push(timeWindow.start, timeWindow.end);
       }
 
-      // Total logs
-      const totalResult = this.db.queryOne(`SELECT COUNT(*) as count FROM log_entries${timeFilter}`, params);
+      // Total logs (stored rows, and extrapolated from sample rates)
+      const totalResult = this.db.queryOne(`
+        SELECT COUNT(*) as count, SUM(1.0 / sample_rate) as estimated
+        FROM log_entries${timeFilter}
+      `, params);
       const totalLogs = totalResult?.count || 0;
 
       // Logs by level
       const levelResults = this.db.query(`
-        SELECT level, COUNT(*) as count
+        SELECT level, COUNT(*) as count, SUM(1.0 / sample_rate) as estimated
         FROM log_entries${timeFilter}
         GROUP BY level
       `, params);
@@ -408,21 +647,25 @@ export class LoggingService {
         debug: 0,
         trace: 0
       };
+      const estimatedByLevel: Record<string, number> = {};
       for (const row of levelResults) {
         logsByLevel[row.level as LogLevel] = row.count;
+        estimatedByLevel[row.level] = Math.round(row.estimated || 0);
       }
 
       // Logs by service
       const serviceResults = this.db.query(`
-        SELECT service, COUNT(*) as count
+        SELECT service, COUNT(*) as count, SUM(1.0 / sample_rate) as estimated
         FROM log_entries${timeFilter}
         GROUP BY service
         ORDER BY count DESC
       `, params);
 
       const logsByService: Record<string, number> = {};
+      const estimatedByService: Record<string, number> = {};
       for (const row of serviceResults) {
         logsByService[row.service] = row.count;
+        estimatedByService[row.service] = Math.round(row.estimated || 0);
       }
 
       // Recent errors
@@ -439,8 +682,7 @@ export class LoggingService {
           MAX(CAST(JSON_EXTRACT(metadata, '$.duration') AS REAL)) as max_duration,
           timestamp
         FROM log_entries
-        ${timeFilter}
-        AND JSON_EXTRACT(metadata, '$.duration') IS NOT NULL
+        ${timeFilter ? `${timeFilter} AND` : ' WHERE'} JSON_EXTRACT(metadata, '$.duration') IS NOT NULL
         GROUP BY operation
         ORDER BY max_duration DESC
         LIMIT 10
@@ -456,28 +698,36 @@ export class LoggingService {
         timestamp: row.timestamp
       }));
 
-      // Trends calculation
+      // Trends over the last hour, from extrapolated counts so sampling doesn't skew rates
       const now = Date.now();
       const oneHourAgo = now - (60 * 60 * 1000);
 
-      const recentErrors1h = await this.getLogs({
-        level: ['error', 'fatal'],
-        timeRange: { start: oneHourAgo, end: now }
-      }, 1000);
-
-      const allRecent1h = await this.getLogs({
-        timeRange: { start: oneHourAgo, end: now }
-      }, 10000);
+      const recentByService = this.db.query(`
+        SELECT
+          service,
+          SUM(1.0 / sample_rate) as estimated,
+          SUM(CASE WHEN level IN ('error', 'fatal') THEN 1.0 / sample_rate ELSE 0 END) as estimated_errors
+        FROM log_entries
+        WHERE timestamp >= ? AND timestamp <= ?
+        GROUP BY service
+      `, [oneHourAgo, now]);
+
+      let recentTotal = 0;
+      let recentErrorTotal = 0;
+      const recentServiceErrorRates: Record<string, number> = {};
+      for (const row of recentByService) {
+        recentTotal += row.estimated || 0;
+        recentErrorTotal += row.estimated_errors || 0;
+        recentServiceErrorRates[row.service] = row.estimated > 0 ? (row.estimated_errors / row.estimated) * 100 : 0;
+      }
 
-      const errorRate = allRecent1h.length > 0 ? (recentErrors1h.length / allRecent1h.length) * 100 : 0;
-      const logVelocity = allRecent1h.length / 60; // logs per minute
+      const errorRate = recentTotal > 0 ? (recentErrorTotal / recentTotal) * 100 : 0;
+      const logVelocity = recentTotal / 60; // logs per minute
 
       // Service health based on recent error rates
       const serviceHealth: Record<string, 'healthy' | 'degraded' | 'error'> = {};
-      for (const [service, count] of Object.entries(logsByService)) {
-        const serviceErrors = recentErrors1h.filter(log => log.service === service).length;
-        const serviceTotal = allRecent1h.filter(log => log.service === service).length;
-        const serviceErrorRate = serviceTotal > 0 ? (serviceErrors / serviceTotal) * 100 : 0;
+      for (const service of Object.keys(logsByService)) {
+        const serviceErrorRate = recentServiceErrorRates[service] || 0;
 
         if (serviceErrorRate > 10) {
           serviceHealth[service] = 'error';
@@ -501,6 +751,11 @@ export class LoggingService {
           errorRate,
           logVelocity,
           serviceHealth
+        },
+        estimated: {
+          totalLogs: Math.round(totalResult?.estimated || 0),
+          logsByLevel: estimatedByLevel,
+          logsByService: estimatedByService
         }
       };
 
@@ -513,6 +768,172 @@ export class LoggingService {
     }
   }
 
+  /**
+   * Get error counts in time buckets (hourly by default), stored and extrapolated
+   * @param timeWindow - How far back to look, in ms
+   * @param bucketSize - Bucket width, in ms
+   */
+  async getErrorTrends(
+    timeWindow = 24 * 60 * 60 * 1000,
+    bucketSize = 60 * 60 * 1000,
+    service?: string
+  ): Promise<ErrorTrendBucket[]> {
+    try {
+      const end = Date.now();
+      const start = end - timeWindow;
+      const params: any[] = [bucketSize, bucketSize, start, end];
+
+      let serviceFilter = '';
+      if (service) {
+        serviceFilter = ' AND service = ?';
+        params.push(service);
+      }
+
+      const rows = this.db.query(`
+        SELECT
+          CAST(timestamp / ? AS INTEGER) * ? as bucket,
+          COUNT(*) as logs,
+          SUM(CASE WHEN level IN ('error', 'fatal') THEN 1 ELSE 0 END) as errors,
+          SUM(1.0 / sample_rate) as estimated_logs,
+          SUM(CASE WHEN level IN ('error', 'fatal') THEN 1.0 / sample_rate ELSE 0 END) as estimated_errors
+        FROM log_entries
+        WHERE timestamp >= ? AND timestamp <= ?${serviceFilter}
+        GROUP BY bucket
+        ORDER BY bucket
+      `, params);
+
+      return rows.map((row: any) => ({
+        start: row.bucket,
+        logs: row.logs,
+        errors: row.errors,
+        estimatedLogs: Math.round(row.estimated_logs || 0),
+        estimatedErrors: Math.round(row.estimated_errors || 0),
+        errorRate: row.estimated_logs > 0 ? (row.estimated_errors / row.estimated_logs) * 100 : 0
+      }));
+    } catch (error) {
+      logger.error('Failed to get error trends', error, { timeWindow, bucketSize, service });
+      throw error;
+    }
+  }
+
+  /**
+   * Get message templates by volume, with per-bucket trends for the largest
+   */
+  async getLogPatterns(query: LogPatternQuery = {}): Promise<LogPatternReport> {
+    const timeWindow = query.timeWindow ?? 24 * 60 * 60 * 1000;
+    const bucketSize = Math.max(1000, query.bucketSize ?? Math.ceil(timeWindow / 24));
+    const limit = query.limit ?? 20;
+
+    try {
+      const end = Date.now();
+      const start = end - timeWindow;
+
+      let filters = ' AND l.timestamp >= ? AND l.timestamp <= ?';
+      const filterParams: any[] = [start, end];
+      if (query.service) {
+        filters += ' AND l.service = ?';
+        filterParams.push(query.service);
+      }
+      if (query.level) {
+        filters += ' AND l.level = ?';
+        filterParams.push(query.level.toLowerCase());
+      }
+
+      const rows = this.db.query(`
+        SELECT
+          l.template_id,
+          t.template,
+          COUNT(*) as count,
+          SUM(1.0 / l.sample_rate) as estimated,
+          SUM(CASE WHEN l.level IN ('error', 'fatal') THEN 1 ELSE 0 END) as errors,
+          GROUP_CONCAT(DISTINCT l.service) as services,
+          MIN(l.timestamp) as first_seen,
+          MAX(l.timestamp) as last_seen,
+          MAX(l.message) as example
+        FROM log_entries l
+        LEFT JOIN log_templates t ON t.id = l.template_id
+        WHERE l.template_id IS NOT NULL${filters}
+        GROUP BY l.template_id
+        ORDER BY estimated DESC
+      `, filterParams);
+
+      const estimatedTotal = rows.reduce((sum: number, row: any) => sum + row.estimated, 0);
+      let cumulative = 0;
+      let templatesFor90Percent = 0;
+      const patterns: LogPattern[] = rows.map((row: any) => {
+        const share = estimatedTotal > 0 ? (row.estimated / estimatedTotal) * 100 : 0;
+        if (cumulative < 90) {
+          templatesFor90Percent++;
+        }
+        cumulative += share;
+        return {
+          templateId: row.template_id,
+          template: row.template || row.example,
+          count: row.count,
+          estimatedCount: Math.round(row.estimated),
+          share,
+          cumulativeShare: Math.min(100, cumulative),
+          errors: row.errors,
+          services: row.services ? row.services.split(',') : [],
+          firstSeen: row.first_seen,
+          lastSeen: row.last_seen,
+          example: row.example,
+          trend: []
+        };
+      }).slice(0, limit);
+
+      const firstBucket = Math.floor(start / bucketSize) * bucketSize;
+      const buckets: number[] = [];
+      for (let bucket = firstBucket; bucket <= end; bucket += bucketSize) {
+        buckets.push(bucket);
+      }
+
+      if (patterns.length > 0) {
+        const byId = new Map(patterns.map(pattern => [pattern.templateId, pattern]));
+        for (const pattern of patterns) {
+          pattern.trend = buckets.map(() => 0);
+        }
+
+        const trendRows = this.db.query(`
+          SELECT l.template_id, CAST(l.timestamp / ? AS INTEGER) * ? as bucket, SUM(1.0 / l.sample_rate) as estimated
+          FROM log_entries l
+          WHERE l.template_id IN (${patterns.map(() => '?').join(',')})${filters}
+          GROUP BY l.template_id, bucket
+        `, [bucketSize, bucketSize, ...patterns.map(pattern => pattern.templateId), ...filterParams]);
+
+        for (const row of trendRows) {
+          const index = (row.bucket - firstBucket) / bucketSize;
+          const pattern = byId.get(row.template_id);
+          if (pattern && index >= 0 && index < buckets.length) {
+            pattern.trend[index] = Math.round(row.estimated);
+          }
+        }
+      }
+
+      return {
+        start,
+        end,
+        bucketSize,
+        buckets,
+        estimatedTotal: Math.round(estimatedTotal),
+        templateCount: rows.length,
+        templatesFor90Percent,
+        patterns
+      };
+    } catch (error) {
+      logger.error('Failed to get log patterns', error, { query });
+      throw error;
+    }
+  }
+
+  /**
+   * Get sampling statistics
+   * @returns Statistics, or null when sampling is disabled
+   */
+  getSamplingStats(): SamplingStats | null {
+    return this.sampler ? this.sampler.getStats() : null;
+  }
+
   /**
    * Get basic log statistics
    */
@@ -563,33 +984,21 @@ export class LoggingService {
    * Clean old logs based on retention policy
    */
   async cleanOldLogs(): Promise<{ deletedCount: number }> {
+    const result = await this.runCleanup();
+    return { deletedCount: result.deleted };
+  }
+
+  /**
+   * Apply the retention policy now: archive and delete expired entries and
+   * prune expired archive segments
+   */
+  async runCleanup(options: CleanupOptions = {}): Promise<CleanupRunResult> {
     const timer = timeOperation('clean_old_logs', logger);
 
     try {
-      let deletedCount = 0;
-
-      if (this.config.retentionPolicy === 'time_based') {
-        // Delete logs older than maxLogAge
-        const cutoffTime = Date.now() - this.config.maxLogAge;
-        const result = this.db.execute('DELETE FROM log_entries WHERE timestamp < ?', [cutoffTime]);
-        deletedCount = result.changes;
-      } else if (this.config.retentionPolicy === 'count_based') {
-        // Keep only the most recent maxLogEntries
-        const result = this.db.execute(`
-          DELETE FROM log_entries
-          WHERE id NOT IN (
-            SELECT id FROM log_entries
-            ORDER BY timestamp DESC
-            LIMIT ?
-          )
-        `, [this.config.maxLogEntries]);
-        deletedCount = result.changes;
-      }
-
-      timer.finish({ success: true, deletedCount });
-      logger.info('Old logs cleaned', { deletedCount, retentionPolicy: this.config.retentionPolicy });
-
-      return { deletedCount };
+      const result = await this.retention.run(options);
+      timer.finish({ success: true, deletedCount: result.deleted, archivedCount: result.archived });
+      return result;
     } catch (error) {
       timer.finish({ success: false, error: error.message });
       logger.error('Failed to clean old logs', error);
@@ -597,6 +1006,104 @@ export class LoggingService {
     }
   }
 
+  /**
+   * Re-import archived entries into log_entries. They are kept for the
+   * archive's restore hold period before cleanup drops them again.
+   */
+  async restoreArchivedLogs(query: ArchiveRestoreQuery = {}): Promise<ArchiveRestoreResult> {
+    try {
+      return await this.retention.restore(query);
+    } catch (error) {
+      logger.error('Failed to restore archived logs', error, { query });
+      throw error;
+    }
+  }
+
+  /**
+   * Get cleanup schedule, run and archive statistics
+   */
+  getCleanupStats(): CleanupStats {
+    return this.retention.getStats();
+  }
+
+  /**
+   * Get alert rule states and recent alert events
+   */
+  async getAlerts(query: AlertQuery = {}): Promise<AlertReport> {
+    if (!this.alerts) {
+      return { enabled: false, rules: [], active: [], events: [] };
+    }
+
+    try {
+      return await this.alerts.getAlerts(query);
+    } catch (error) {
+      logger.error('Failed to get alerts', error, { query });
+      throw error;
+    }
+  }
+
+  /**
+   * Evaluate alert rules now rather than waiting for the next interval
+   */
+  async evaluateAlerts(): Promise<AlertState[]> {
+    return this.alerts ? this.alerts.evaluate() : [];
+  }
+
+  /**
+   * Add to a counter metric
+   */
+  incrementMetric(name: string, value = 1, labels: Record<string, string> = {}): void {
+    this.metrics?.counter(name, value, labels);
+  }
+
+  /**
+   * Set a gauge metric
+   */
+  setMetric(name: string, value: number, labels: Record<string, string> = {}): void {
+    this.metrics?.gauge(name, value, labels);
+  }
+
+  /**
+   * Record a value in a histogram metric
+   */
+  observeMetric(name: string, value: number, labels: Record<string, string> = {}): void {
+    this.metrics?.histogram(name, value, labels);
+  }
+
+  /**
+   * Recorded and derived metrics
+   */
+  listMetrics(): MetricInfo[] {
+    return this.metrics ? this.metrics.list() : [];
+  }
+
+  /**
+   * Query a metric's rollups over a range (see MetricQuery)
+   *
+   * @throws MetricQueryError for unknown metrics and unanswerable ranges
+   */
+  async queryMetrics(query: MetricQuery): Promise<MetricQueryResult> {
+    if (!this.metrics) {
+      throw new MetricQueryError('Metrics are disabled');
+    }
+
+    try {
+      return await this.metrics.query(query);
+    } catch (error) {
+      if (!(error instanceof MetricQueryError)) {
+        logger.error('Failed to query metrics', error, { query });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Metric totals since startup in the Prometheus text format
+   */
+  getMetricsExposition(): string {
+    return this.metrics ? this.metrics.exposition() : '';
+  }
+
   /**
    * Optimize log storage
    */
@@ -607,8 +1114,9 @@ export class LoggingService {
       // Clean old logs first
       await this.cleanOldLogs();
 
-      // Optimize database
+      // Optimize database; VACUUM may renumber the rows the live tail follows
       await this.db.optimize();
+      this.tail.reset();
 
       timer.finish({ success: true });
       logger.info('Log storage optimized');
@@ -627,6 +1135,8 @@ export class LoggingService {
     logCount: number;
     batchSize: number;
     lastError: string | null;
+    transports: TransportStats[];
+    sampling: SamplingStats | null;
   }> {
     try {
       const stats = await this.getStats();
@@ -635,18 +1145,29 @@ export class LoggingService {
         healthy: true,
         logCount: stats.totalEntries,
         batchSize: this.batchedLogs.length,
-        lastError: null
+        lastError: null,
+        transports: this.transports.getStats(),
+        sampling: this.getSamplingStats()
       };
     } catch (error) {
       return {
         healthy: false,
         logCount: 0,
         batchSize: this.batchedLogs.length,
-        lastError: error instanceof Error ? error.message : 'Unknown error'
+        lastError: error instanceof Error ? error.message : 'Unknown error',
+        transports: this.transports.getStats(),
+        sampling: this.getSamplingStats()
       };
     }
   }
 
+  /**
+   * Get delivery statistics for each log transport
+   */
+  getTransportStats(): TransportStats[] {
+    return this.transports.getStats();
+  }
+
   /**
    * Shutdown the logging service
    */
@@ -657,9 +1178,13 @@ export class LoggingService {
         clearInterval(this.batchTimer);
         this.batchTimer = null;
       }
+      this.retention.stop();
+      this.alerts?.stop();
+      await this.metrics?.stop();
 
-      // Flush remaining logs
+      // Flush remaining logs and wait for background transports
       await this.flushBatch();
+      await this.transports.close();
 
       logger.info('LoggingService shutdown completed');
     } catch (error) {
@@ -676,105 +1201,224 @@ export class LoggingService {
    * Start the batch processor
    */
   private startBatchProcessor(): void {
-    this.batchTimer = setInterval(async () => {
+    this.batchTimer = setInterval(() => {
       if (this.batchedLogs.length > 0) {
-        await this.flushBatch();
+        // Failures are logged by flushBatch; nothing awaits the timer
+        this.flushBatch().catch(() => {});
       }
     }, this.config.batchInterval);
   }
 
   /**
-   * Flush batched logs to database
+   * Apply sampling to an entry and record the rate it was kept at. Clients
+   * that sample themselves (the browser client) report how many entries a
+   * kept one stands for in `metadata.sampled`; that is folded into the rate.
+   * Kept entries are assigned their message template. Alert and metric
+   * rules observe every entry, including those sampled out.
+   * @returns Whether the entry is stored
    */
-  private async flushBatch(): Promise<void> {
-    if (this.batchedLogs.length === 0) {
+  private admit(entry: LogEntry): boolean {
+    this.alerts?.observe(entry);
+    this.metrics?.observe(entry);
+
+    const rate = this.sampler ? this.sampler.sample(entry) : 1;
+    if (rate === 0) {
+      return false;
+    }
+
+    const represented = Number(entry.metadata?.sampled);
+    entry.sampleRate = represented > 1 ? rate / represented : rate;
+    if (this.templates) {
+      entry.templateId = this.templates.match(entry.message).id;
+    }
+    return true;
+  }
+
+  /**
+   * Seed the template miner with the most recently updated stored templates
+   */
+  private loadTemplates(): void {
+    if (!this.templates) {
       return;
     }
 
     try {
-      const logsToFlush = [...this.batchedLogs];
-      this.batchedLogs = [];
+      const rows = this.db.query(
+        'SELECT id, template FROM log_templates ORDER BY updated_at DESC LIMIT ?',
+        [this.config.templates.maxTemplates ?? 5000]
+      );
+      this.templates.load(rows.reverse());
+    } catch (error) {
+      logger.warn('Failed to load log templates', { error: error.message });
+    }
+  }
+
+  /**
+   * Store templates created or generalized since the last flush. A failure
+   * doesn't hold up the batch; patterns then fall back to an example message.
+   */
+  private async saveTemplates(): Promise<void> {
+    const changed = this.templates ? this.templates.takeChanged() : [];
+    if (changed.length === 0) {
+      return;
+    }
 
+    try {
       await this.db.transaction(() => {
-        const stmt = this.db.statements.insertLogEntry();
-
-        for (const entry of logsToFlush) {
-          stmt.run(
-            entry.id,
-            entry.timestamp,
-            this.normalizeLogLevel(entry.level),
-            entry.service,
-            entry.message,
-            JSON.stringify(entry.metadata || {}),
-            process.pid.toString(),
-            entry.session?.sessionId || null,
-            entry.trace?.traceId || null
-          );
+        for (const template of changed) {
+          this.db.execute(`
+            INSERT INTO log_templates (id, template, token_count)
+            VALUES (?, ?, ?)
+            ON CONFLICT(id) DO UPDATE SET template = excluded.template, updated_at = unixepoch()
+          `, [template.id, template.template, template.tokenCount]);
         }
       });
-
-      logger.debug('Flushed log batch', { count: logsToFlush.length });
     } catch (error) {
-      // Put logs back at the beginning of the batch for retry
-      this.batchedLogs.unshift(...this.batchedLogs);
-      logger.error('Failed to flush log batch', error);
-      throw error;
+      logger.warn('Failed to save log templates', { count: changed.length, error: error.message });
     }
   }
 
   /**
-   * Create indexed content for full-text search
+   * Transports from config plus the legacy flags. SQLite is always included
+   * unless configured explicitly (set `enabled: false` to turn it off).
    */
-  private createIndexedContent(message: string, metadata: Record<string, any>): string {
-    const parts = [message];
+  private resolveTransportConfigs(): TransportConfig[] {
+    const configs = [...this.config.transports];
+    const hasType = (type: TransportConfig['type']) => configs.some(config => config.type === type);
 
-    // Add searchable metadata fields
-    if (metadata) {
-      const searchableKeys = ['error', 'operation', 'module', 'function', 'category', 'tag'];
+    if (!hasType('database')) {
+      configs.unshift({ type: 'database', name: 'sqlite' });
+    }
 
-      for (const key of searchableKeys) {
-        if (metadata[key]) {
-          parts.push(String(metadata[key]));
-        }
-      }
+    if (this.config.enableConsoleTransport && !hasType('console')) {
+      configs.push({ type: 'console', name: 'console', level: this.config.logLevel as LogLevel });
+    }
 
-      // Add flattened metadata for deep search
-      const flattenedMetadata = this.flattenObject(metadata);
-      for (const value of Object.values(flattenedMetadata)) {
-        if (typeof value === 'string' || typeof value === 'number') {
-          parts.push(String(value));
-        }
-      }
+    if (this.config.enableHttpTransport && this.config.httpEndpoint && !hasType('http')) {
+      configs.push({ type: 'http', name: 'http', options: { url: this.config.httpEndpoint } });
     }
 
-    return parts.join(' ').toLowerCase();
+    return configs;
   }
 
   /**
-   * Flatten nested object for indexing
+   * Flush batched logs to the transports
    */
-  private flattenObject(obj: any, prefix = ''): Record<string, any> {
-    const flattened: Record<string, any> = {};
+  private async flushBatch(): Promise<void> {
+    if (this.batchedLogs.length === 0) {
+      return;
+    }
 
-    for (const key in obj) {
-      if (obj.hasOwnProperty(key)) {
-        const newKey = prefix ? `${prefix}.${key}` : key;
+    const logsToFlush = this.batchedLogs;
+    this.batchedLogs = [];
 
-        if (typeof obj[key] === 'object' && obj[key] !== null && !Array.isArray(obj[key])) {
-          Object.assign(flattened, this.flattenObject(obj[key], newKey));
-        } else {
-          flattened[newKey] = obj[key];
-        }
+    try {
+      await this.saveTemplates();
+      await this.transports.write(logsToFlush);
+      this.tail.poll();
+      logger.debug('Flushed log batch', { count: logsToFlush.length });
+    } catch (error) {
+      logger.error('Failed to flush log batch', error, { count: logsToFlush.length });
+      throw error;
+    }
+  }
+
+  /**
+   * Where-clause terms (` AND ...`) and parameters for a LogFilter
+   */
+  private filterSql(filter: LogFilter): { sql: string; params: any[] } {
+    let sql = '';
+    const params: any[] = [];
+
+    // Apply filters
+    if (filter.level) {
+      if (Array.isArray(filter.level)) {
+        const placeholders = filter.level.map(() => '?').join(',');
+        sql += ` AND level IN (${placeholders})`;
+        params.push(...filter.level);
+      } else {
+        sql += ' AND level = ?';
+        params.push(filter.level);
+      }
+    }
+
+    if (filter.service) {
+      if (Array.isArray(filter.service)) {
+        const placeholders = filter.service.map(() => '?').join(',');
+        sql += ` AND service IN (${placeholders})`;
+        params.push(...filter.service);
+      } else {
+        sql += ' AND service = ?';
+        params.push(filter.service);
+      }
+    }
+
+    if (filter.source) {
+      sql += ' AND source LIKE ?';
+      params.push(`%${filter.source}%`);
+    }
+
+    if (filter.message) {
+      sql += ' AND message LIKE ?';
+      params.push(`%${filter.message}%`);
+    }
+
+    if (filter.traceId) {
+      sql += ' AND trace_id = ?';
+      params.push(filter.traceId);
+    }
+
+    if (filter.timeRange) {
+      if (filter.timeRange.start) {
+        sql += ' AND timestamp >= ?';
+        params.push(filter.timeRange.start);
+      }
+      if (filter.timeRange.end) {
+        sql += ' AND timestamp <= ?';
+        params.push(filter.timeRange.end);
+      }
+    }
+
+    if (filter.metadata) {
+      for (const [key, value] of Object.entries(filter.metadata)) {
+        sql += ' AND JSON_EXTRACT(metadata, ?) = ?';
+        params.push(`$.${key}`, value);
       }
     }
 
-    return flattened;
+    return { sql, params };
   }
 
   /**
-   * Normalize log level to lowercase for database storage
+   * Build a LogEntry from a log_entries row
    */
-  private normalizeLogLevel(level: LogLevel): string {
-    return level.toLowerCase();
+  private rowToEntry(row: any): LogEntry {
+    return {
+      id: row.id,
+      timestamp: row.timestamp,
+      level: row.level as LogLevel,
+      message: row.message,
+      service: row.service,
+      source: row.source,
+      metadata: JSON.parse(row.metadata || '{}'),
+      trace: this.rowToTraceInfo(row),
+      sampleRate: row.sample_rate ?? 1,
+      templateId: row.template_id || undefined
+    };
+  }
+
+  /**
+   * Build trace info from the trace columns of a log_entries row
+   */
+  private rowToTraceInfo(row: any): LogEntry['trace'] {
+    if (!row.trace_id) {
+      return undefined;
+    }
+
+    return {
+      traceId: row.trace_id,
+      spanId: row.span_id || undefined,
+      parentSpanId: row.parent_span_id || undefined
+    };
   }
 }
\ No newline at end of file
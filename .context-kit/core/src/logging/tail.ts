@@ -0,0 +1,183 @@
+/**
+ * Live Log Tail
+ * Pushes newly stored log_entries rows to subscribers. Rows are read in
+ * rowid order, and the rowid is the cursor clients resume from.
+ */
+
+import type { DatabaseConnection } from '../database/connection.js';
+import type { LogEntry, LogLevel } from '../types/logging.js';
+import { loggingLogger as logger } from '../utils/logger.js';
+
+export interface LogTailFilter {
+  service?: string[];
+  level?: LogLevel[];
+  /** Case-insensitive substring of the message */
+  text?: string;
+  traceId?: string;
+}
+
+export interface LogTailEvent {
+  /** Position in log_entries; pass it back as `after` to resume */
+  cursor: number;
+  entry: LogEntry;
+}
+
+export interface LogTailSubscription {
+  /** Stored entries sent before live ones because `after` was given */
+  replayed: number;
+  /** More entries matched after `after` than were replayed */
+  truncated: boolean;
+  unsubscribe(): void;
+}
+
+interface Subscriber {
+  filter: LogTailFilter;
+  listener: (event: LogTailEvent) => void;
+}
+
+const POLL_BATCH = 1000;
+
+/**
+ * Tails log_entries for live subscribers. `poll()` is called after each
+ * flush; it reads the rows added since the last poll and hands the matching
+ * ones to each subscriber. Nothing is read while there are no subscribers.
+ */
+export class LogTail {
+  private subscribers = new Set<Subscriber>();
+  private cursor = 0;
+
+  constructor(
+    private db: DatabaseConnection,
+    private toEntry: (row: any) => LogEntry,
+    private maxReplay = 1000
+  ) {}
+
+  /**
+   * Subscribe to new entries. With `after`, the stored entries past that
+   * cursor (the newest `maxReplay` of them) are delivered first.
+   */
+  subscribe(
+    filter: LogTailFilter,
+    listener: (event: LogTailEvent) => void,
+    after?: number
+  ): LogTailSubscription {
+    if (this.subscribers.size === 0) {
+      this.cursor = this.maxCursor();
+    }
+
+    const subscriber: Subscriber = { filter, listener };
+    let replayed = 0;
+    let truncated = false;
+
+    if (after !== undefined && after < this.cursor) {
+      const { sql, params } = this.filterSql(filter);
+      const rows = this.db.query(`
+        SELECT rowid AS tail_cursor, * FROM log_entries
+        WHERE rowid > ? AND rowid <= ?${sql}
+        ORDER BY rowid DESC
+        LIMIT ?
+      `, [after, this.cursor, ...params, this.maxReplay + 1]);
+
+      truncated = rows.length > this.maxReplay;
+      for (const row of rows.slice(0, this.maxReplay).reverse()) {
+        listener({ cursor: row.tail_cursor, entry: this.toEntry(row) });
+        replayed++;
+      }
+    }
+
+    this.subscribers.add(subscriber);
+    return {
+      replayed,
+      truncated,
+      unsubscribe: () => {
+        this.subscribers.delete(subscriber);
+      }
+    };
+  }
+
+  /**
+   * Deliver entries stored since the last poll
+   */
+  poll(): void {
+    if (this.subscribers.size === 0) {
+      return;
+    }
+
+    try {
+      let rows: any[];
+      do {
+        rows = this.db.query(
+          'SELECT rowid AS tail_cursor, * FROM log_entries WHERE rowid > ? ORDER BY rowid LIMIT ?',
+          [this.cursor, POLL_BATCH]
+        );
+
+        for (const row of rows) {
+          this.cursor = row.tail_cursor;
+          const event = { cursor: row.tail_cursor, entry: this.toEntry(row) };
+          for (const subscriber of this.subscribers) {
+            if (matches(subscriber.filter, event.entry)) {
+              this.deliver(subscriber, event);
+            }
+          }
+        }
+      } while (rows.length === POLL_BATCH && this.subscribers.size > 0);
+    } catch (error) {
+      logger.warn('Failed to read new log entries for live tail', { error: error.message });
+    }
+  }
+
+  /**
+   * Re-read the cursor, e.g. after VACUUM has renumbered rows
+   */
+  reset(): void {
+    this.cursor = this.maxCursor();
+  }
+
+  get size(): number {
+    return this.subscribers.size;
+  }
+
+  private deliver(subscriber: Subscriber, event: LogTailEvent): void {
+    try {
+      subscriber.listener(event);
+    } catch (error) {
+      this.subscribers.delete(subscriber);
+      logger.warn('Removed failing log tail subscriber', { error: error.message });
+    }
+  }
+
+  private maxCursor(): number {
+    return this.db.queryOne('SELECT COALESCE(MAX(rowid), 0) AS cursor FROM log_entries')?.cursor || 0;
+  }
+
+  private filterSql(filter: LogTailFilter): { sql: string; params: any[] } {
+    let sql = '';
+    const params: any[] = [];
+
+    if (filter.service?.length) {
+      sql += ` AND service IN (${filter.service.map(() => '?').join(',')})`;
+      params.push(...filter.service);
+    }
+    if (filter.level?.length) {
+      sql += ` AND level IN (${filter.level.map(() => '?').join(',')})`;
+      params.push(...filter.level);
+    }
+    if (filter.text) {
+      sql += ` AND instr(lower(message), ?) > 0`;
+      params.push(filter.text.toLowerCase());
+    }
+    if (filter.traceId) {
+      sql += ' AND trace_id = ?';
+      params.push(filter.traceId);
+    }
+
+    return { sql, params };
+  }
+}
+
+function matches(filter: LogTailFilter, entry: LogEntry): boolean {
+  return (!filter.service?.length || filter.service.includes(entry.service))
+    && (!filter.level?.length || filter.level.includes(entry.level))
+    && (!filter.text || entry.message.toLowerCase().includes(filter.text.toLowerCase()))
+    && (!filter.traceId || entry.trace?.traceId === filter.traceId);
+}
@@ -0,0 +1,232 @@
+/**
+ * Log Message Templates
+ * Drain-style template mining: messages are grouped into templates such as
+ * "Fetched <*> entities", with variable tokens replaced by `<*>` slots
+ */
+
+import { createHash } from 'crypto';
+import type { TemplateMiningConfig } from '../types/logging.js';
+
+export const TEMPLATE_WILDCARD = '<*>';
+
+export interface LogTemplate {
+  /** Stable ID, derived from the template first mined */
+  id: string;
+  template: string;
+  tokenCount: number;
+}
+
+interface Cluster extends LogTemplate {
+  tokens: string[];
+  leaf: Cluster[];
+  lastUsed: number;
+}
+
+interface TreeNode {
+  children: Map<string, TreeNode>;
+  clusters: Cluster[];
+}
+
+// Tokens that are variables on their own: UUIDs, IPs, hex IDs, numbers with
+// optional units (12, 3.5s, 250ms, 50%), times and ISO timestamps
+const VARIABLE_PATTERNS = [
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i,
+  /^\d{1,3}(\.\d{1,3}){3}(:\d+)?$/,
+  /^(0x)?(?=[0-9a-f]*\d)[0-9a-f]{8,}$/i,
+  /^[-+]?\d+([.,:]\d+)*[a-zµ%]{0,3}$/i,
+  /^\d{4}-\d{2}-\d{2}(t[\d:.]+z?)?$/i
+];
+const EDGE_PUNCTUATION = /^([[({'"`]*)(.*?)([\])}'"`,.;:!?]*)$/;
+
+function maskToken(token: string): string {
+  const [, lead, core, trail] = token.match(EDGE_PUNCTUATION)!;
+  if (core && VARIABLE_PATTERNS.some(pattern => pattern.test(core))) {
+    return lead + TEMPLATE_WILDCARD + trail;
+  }
+
+  // key=value pairs keep the key
+  const pair = core.match(/^([^=]+)=(.+)$/);
+  if (pair && VARIABLE_PATTERNS.some(pattern => pattern.test(pair[2]))) {
+    return `${lead}${pair[1]}=${TEMPLATE_WILDCARD}${trail}`;
+  }
+
+  return token;
+}
+
+/**
+ * Mines templates from log messages. Only the first line of a message is
+ * considered, so stack traces don't split templates.
+ *
+ * Clusters are found through a fixed-depth tree keyed by token count and the
+ * leading tokens; within a leaf the most similar template (share of equal
+ * non-wildcard tokens) is taken when it reaches `similarityThreshold`, and
+ * positions that differ become wildcards.
+ */
+export class LogTemplateMiner {
+  private root = new Map<number, TreeNode>();
+  private clusters = new Map<string, Cluster>();
+  private changed = new Map<string, Cluster>();
+  private clock = 0;
+  private similarityThreshold: number;
+  private depth: number;
+  private maxChildren: number;
+  private maxTemplates: number;
+  private maxTokens: number;
+
+  constructor(config: TemplateMiningConfig = {}) {
+    this.similarityThreshold = config.similarityThreshold ?? 0.5;
+    this.depth = Math.max(3, config.depth ?? 3);
+    this.maxChildren = config.maxChildren ?? 100;
+    this.maxTemplates = config.maxTemplates ?? 5000;
+    this.maxTokens = config.maxTokens ?? 64;
+  }
+
+  /**
+   * Seed the miner with stored templates
+   */
+  load(templates: Array<Pick<LogTemplate, 'id' | 'template'>>): void {
+    for (const { id, template } of templates) {
+      if (!this.clusters.has(id)) {
+        this.addCluster(id, template.split(' '));
+      }
+    }
+  }
+
+  /**
+   * Find or create the template for a message
+   */
+  match(message: string): LogTemplate {
+    const tokens = this.tokenize(message);
+    const leaf = this.leafFor(tokens);
+
+    let best: Cluster | null = null;
+    let bestSimilarity = -1;
+    let bestWildcards = -1;
+    for (const cluster of leaf.clusters) {
+      const [similarity, wildcards] = this.similarity(cluster.tokens, tokens);
+      if (similarity > bestSimilarity || (similarity === bestSimilarity && wildcards > bestWildcards)) {
+        best = cluster;
+        bestSimilarity = similarity;
+        bestWildcards = wildcards;
+      }
+    }
+
+    if (!best || bestSimilarity < this.similarityThreshold) {
+      const template = tokens.join(' ');
+      const id = `tpl_${createHash('sha1').update(template).digest('hex').slice(0, 16)}`;
+      const cluster = this.clusters.get(id) || this.addCluster(id, tokens, leaf.clusters);
+      cluster.lastUsed = ++this.clock;
+      this.changed.set(id, cluster);
+      return this.toTemplate(cluster);
+    }
+
+    let generalized = false;
+    best.tokens = best.tokens.map((token, i) => {
+      if (token === tokens[i] || token === TEMPLATE_WILDCARD) {
+        return token;
+      }
+      generalized = true;
+      return TEMPLATE_WILDCARD;
+    });
+    if (generalized) {
+      best.template = best.tokens.join(' ');
+      this.changed.set(best.id, best);
+    }
+    best.lastUsed = ++this.clock;
+    return this.toTemplate(best);
+  }
+
+  /**
+   * Templates created or generalized since the last call, including any
+   * evicted since, so rows that reference them can still be resolved
+   */
+  takeChanged(): LogTemplate[] {
+    const changed = [...this.changed.values()].map(cluster => this.toTemplate(cluster));
+    this.changed.clear();
+    return changed;
+  }
+
+  get size(): number {
+    return this.clusters.size;
+  }
+
+  private tokenize(message: string): string[] {
+    const firstLine = message.split('\n', 1)[0];
+    const tokens = firstLine.trim().split(/\s+/).filter(Boolean).slice(0, this.maxTokens).map(maskToken);
+    return tokens.length > 0 ? tokens : [''];
+  }
+
+  private leafFor(tokens: string[]): TreeNode {
+    let node = this.root.get(tokens.length);
+    if (!node) {
+      node = { children: new Map(), clusters: [] };
+      this.root.set(tokens.length, node);
+    }
+
+    // The length level and leaf level count toward depth
+    const routed = Math.min(this.depth - 2, tokens.length);
+    for (let i = 0; i < routed; i++) {
+      const token = /\d/.test(tokens[i]) ? TEMPLATE_WILDCARD : tokens[i];
+      let child = node.children.get(token);
+      if (!child) {
+        const key = node.children.size < this.maxChildren ? token : TEMPLATE_WILDCARD;
+        child = node.children.get(key);
+        if (!child) {
+          child = { children: new Map(), clusters: [] };
+          node.children.set(key, child);
+        }
+      }
+      node = child;
+    }
+
+    return node;
+  }
+
+  private similarity(template: string[], tokens: string[]): [number, number] {
+    let equal = 0;
+    let wildcards = 0;
+    for (let i = 0; i < template.length; i++) {
+      if (template[i] === TEMPLATE_WILDCARD) {
+        wildcards++;
+      } else if (template[i] === tokens[i]) {
+        equal++;
+      }
+    }
+    return [equal / template.length, wildcards];
+  }
+
+  private addCluster(id: string, tokens: string[], leaf = this.leafFor(tokens).clusters): Cluster {
+    if (this.clusters.size >= this.maxTemplates) {
+      this.evictLeastRecentlyUsed();
+    }
+
+    const cluster: Cluster = {
+      id,
+      template: tokens.join(' '),
+      tokenCount: tokens.length,
+      tokens,
+      leaf,
+      lastUsed: this.clock
+    };
+    leaf.push(cluster);
+    this.clusters.set(id, cluster);
+    return cluster;
+  }
+
+  private evictLeastRecentlyUsed(): void {
+    let oldest: Cluster | null = null;
+    for (const cluster of this.clusters.values()) {
+      if (!oldest || cluster.lastUsed < oldest.lastUsed) {
+        oldest = cluster;
+      }
+    }
+    if (oldest) {
+      oldest.leaf.splice(oldest.leaf.indexOf(oldest), 1);
+      this.clusters.delete(oldest.id);
+    }
+  }
+
+  private toTemplate(cluster: Cluster): LogTemplate {
+    return { id: cluster.id, template: cluster.template, tokenCount: cluster.tokenCount };
+  }
+}
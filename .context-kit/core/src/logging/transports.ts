@@ -0,0 +1,734 @@
+/**
+ * Log Transports
+ * Delivery of flushed log batches to SQLite, rotating NDJSON files, the console,
+ * an HTTP collector and stdout (OTLP-JSON), each with its own level filter,
+ * retry policy and error handling
+ */
+
+import { promises as fs } from 'fs';
+import { dirname } from 'path';
+import http from 'http';
+import https from 'https';
+import type { DatabaseConnection } from '../database/connection.js';
+import type {
+  LogEntry,
+  FormattingConfig,
+  TransportConfig,
+  TransportErrorHandling,
+  RetryConfig,
+  RetryCondition
+} from '../types/logging.js';
+import { loggingLogger as logger } from '../utils/logger.js';
+
+export interface LogTransport {
+  readonly name: string;
+  readonly type: TransportConfig['type'];
+  write(entries: LogEntry[]): Promise<void>;
+  close?(): Promise<void>;
+}
+
+export interface TransportStats {
+  name: string;
+  type: TransportConfig['type'];
+  level: string;
+  written: number;
+  failed: number;
+  retries: number;
+  dropped: number;
+  queued: number;
+  disabled: boolean;
+  lastError: string | null;
+}
+
+export interface TransportDependencies {
+  db: DatabaseConnection;
+  formatting: FormattingConfig;
+  serviceName: string;
+}
+
+export class TransportError extends Error {
+  constructor(
+    message: string,
+    public readonly code?: string,
+    public readonly statusCode?: number,
+    public readonly originalError?: Error
+  ) {
+    super(message);
+    this.name = 'TransportError';
+  }
+}
+
+const LEVEL_PRIORITY: Record<string, number> = {
+  trace: 0,
+  debug: 1,
+  info: 2,
+  warn: 3,
+  error: 4,
+  fatal: 5
+};
+
+// Retries by transport type; SQLite and stdout failures are rarely transient
+const DEFAULT_RETRY: Record<string, RetryConfig> = {
+  database: { maxAttempts: 2, initialDelay: 50, multiplier: 2, maxDelay: 1000 },
+  file: { maxAttempts: 2, initialDelay: 100, multiplier: 2, maxDelay: 2000 },
+  http: { maxAttempts: 3, initialDelay: 500, multiplier: 2, maxDelay: 10000 },
+  console: { maxAttempts: 0, initialDelay: 0 },
+  otlp: { maxAttempts: 0, initialDelay: 0 }
+};
+
+const NETWORK_ERROR_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH', 'EPIPE'];
+const DEFAULT_MAX_QUEUED_ENTRIES = 10000;
+const HTTP_MAX_BATCH = 100; // /api/logs/batch limit
+
+// ============================================================================
+// FORMATTERS
+// ============================================================================
+
+/**
+ * Serialize an entry as one NDJSON line
+ */
+export function formatJson(entry: LogEntry): string {
+  return JSON.stringify({
+    id: entry.id,
+    timestamp: entry.timestamp,
+    level: entry.level.toLowerCase(),
+    service: entry.service,
+    source: entry.source,
+    message: entry.message,
+    metadata: entry.metadata || {},
+    trace: entry.trace,
+    sampleRate: entry.sampleRate
+  });
+}
+
+const LEVEL_COLORS: Record<string, string> = {
+  trace: '\x1b[90m',
+  debug: '\x1b[36m',
+  info: '\x1b[32m',
+  warn: '\x1b[33m',
+  error: '\x1b[31m',
+  fatal: '\x1b[35m'
+};
+
+/**
+ * Format an entry for humans: `2024-05-01T12:00:00.000Z INFO  [service] message {metadata}`
+ */
+export function formatPretty(entry: LogEntry, colorize = false): string {
+  const level = entry.level.toLowerCase();
+  const label = level.toUpperCase().padEnd(5);
+  const metadata = entry.metadata && Object.keys(entry.metadata).length > 0
+    ? ` ${JSON.stringify(entry.metadata)}`
+    : '';
+  const line = `${new Date(entry.timestamp).toISOString()} ${colorize ? `${LEVEL_COLORS[level] || ''}${label}\x1b[0m` : label} [${entry.service}] ${entry.message}${metadata}`;
+
+  return line;
+}
+
+const OTLP_SEVERITY: Record<string, number> = {
+  trace: 1,
+  debug: 5,
+  info: 9,
+  warn: 13,
+  error: 17,
+  fatal: 21
+};
+
+/**
+ * Convert a metadata value to an OTLP AnyValue
+ */
+function toOtlpValue(value: any): Record<string, any> {
+  if (typeof value === 'string') {
+    return { stringValue: value };
+  }
+  if (typeof value === 'boolean') {
+    return { boolValue: value };
+  }
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? { intValue: String(value) } : { doubleValue: value };
+  }
+  return { stringValue: JSON.stringify(value) };
+}
+
+/**
+ * Build an OTLP-JSON ExportLogsServiceRequest, one resource per service
+ */
+export function toOtlpRequest(entries: LogEntry[], scopeName = 'tkr-context-kit'): Record<string, any> {
+  const byService = new Map<string, LogEntry[]>();
+  for (const entry of entries) {
+    const list = byService.get(entry.service) || [];
+    list.push(entry);
+    byService.set(entry.service, list);
+  }
+
+  return {
+    resourceLogs: Array.from(byService.entries()).map(([service, serviceEntries]) => ({
+      resource: {
+        attributes: [{ key: 'service.name', value: { stringValue: service } }]
+      },
+      scopeLogs: [{
+        scope: { name: scopeName },
+        logRecords: serviceEntries.map(entry => {
+          const level = entry.level.toLowerCase();
+          const attributes = Object.entries(entry.metadata || {})
+            .filter(([key, value]) => key !== 'trace' && value !== undefined && value !== null)
+            .map(([key, value]) => ({ key, value: toOtlpValue(value) }));
+
+          if (entry.source) {
+            attributes.push({ key: 'log.source', value: toOtlpValue(entry.source) });
+          }
+          attributes.push({ key: 'log.record.uid', value: toOtlpValue(entry.id) });
+
+          return {
+            timeUnixNano: `${Math.floor(entry.timestamp)}000000`,
+            severityNumber: OTLP_SEVERITY[level] || 0,
+            severityText: level.toUpperCase(),
+            body: { stringValue: entry.message },
+            attributes,
+            ...(entry.trace?.traceId && { traceId: entry.trace.traceId }),
+            ...(entry.trace?.spanId && { spanId: entry.trace.spanId })
+          };
+        })
+      }]
+    }))
+  };
+}
+
+// ============================================================================
+// TRANSPORTS
+// ============================================================================
+
+/**
+ * SQLite log_entries table - the store the dashboard, HTTP API and MCP tools read
+ */
+export class SqliteTransport implements LogTransport {
+  readonly type = 'database' as const;
+
+  constructor(readonly name: string, private db: DatabaseConnection) {}
+
+  async write(entries: LogEntry[]): Promise<void> {
+    await this.db.transaction(() => {
+      const stmt = this.db.statements.insertLogEntry();
+
+      for (const entry of entries) {
+        stmt.run(
+          entry.id,
+          entry.timestamp,
+          entry.level.toLowerCase(),
+          entry.service,
+          entry.message,
+          JSON.stringify(entry.metadata || {}),
+          process.pid.toString(),
+          entry.session?.sessionId || null,
+          entry.trace?.traceId || null,
+          entry.trace?.spanId || null,
+          entry.trace?.parentSpanId || null,
+          entry.sampleRate ?? 1,
+          entry.templateId || null
+        );
+      }
+    });
+  }
+}
+
+/**
+ * NDJSON file, rotated to `<path>.1` ... `<path>.<maxFiles>` once it exceeds maxSize
+ */
+export class RotatingFileTransport implements LogTransport {
+  readonly type = 'file' as const;
+  private size: number | null = null;
+
+  constructor(
+    readonly name: string,
+    private path: string,
+    private maxSize = 10 * 1024 * 1024,
+    private maxFiles = 5
+  ) {}
+
+  async write(entries: LogEntry[]): Promise<void> {
+    const data = entries.map(formatJson).join('\n') + '\n';
+    const bytes = Buffer.byteLength(data);
+
+    try {
+      if (this.size === null) {
+        await fs.mkdir(dirname(this.path), { recursive: true });
+        this.size = await fs.stat(this.path).then(stats => stats.size, () => 0);
+      }
+
+      if (this.size > 0 && this.size + bytes > this.maxSize) {
+        await this.rotate();
+      }
+
+      await fs.appendFile(this.path, data);
+      this.size += bytes;
+    } catch (error) {
+      // Size is unknown after a failed write; stat again next time
+      this.size = null;
+      throw error;
+    }
+  }
+
+  private async rotate(): Promise<void> {
+    await fs.rm(`${this.path}.${this.maxFiles}`, { force: true });
+
+    for (let i = this.maxFiles - 1; i >= 1; i--) {
+      await fs.rename(`${this.path}.${i}`, `${this.path}.${i + 1}`).catch((error: NodeJS.ErrnoException) => {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      });
+    }
+
+    await fs.rename(this.path, `${this.path}.1`);
+    this.size = 0;
+  }
+}
+
+/**
+ * Console output, one line per entry as JSON or pretty text
+ */
+export class ConsoleTransport implements LogTransport {
+  readonly type = 'console' as const;
+
+  constructor(
+    readonly name: string,
+    private format: 'json' | 'pretty' = 'json',
+    private stream: NodeJS.WriteStream = process.stdout,
+    private colorize = false
+  ) {}
+
+  async write(entries: LogEntry[]): Promise<void> {
+    const lines = entries.map(entry => this.format === 'pretty' ? formatPretty(entry, this.colorize) : formatJson(entry));
+    this.stream.write(lines.join('\n') + '\n');
+  }
+}
+
+/**
+ * OTLP-JSON on stdout, one ExportLogsServiceRequest per batch (for collectors tailing the process)
+ */
+export class OtlpStdoutTransport implements LogTransport {
+  readonly type = 'otlp' as const;
+
+  constructor(
+    readonly name: string,
+    private scopeName = 'tkr-context-kit',
+    private stream: NodeJS.WriteStream = process.stdout
+  ) {}
+
+  async write(entries: LogEntry[]): Promise<void> {
+    this.stream.write(JSON.stringify(toOtlpRequest(entries, this.scopeName)) + '\n');
+  }
+}
+
+/**
+ * POST a JSON body, resolving on a 2xx response
+ * @throws TransportError with the HTTP status or network error code
+ */
+export function postJson(url: string, body: unknown, headers: Record<string, string> = {}, timeout = 10000): Promise<void> {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const payload = JSON.stringify(body);
+    const client = target.protocol === 'https:' ? https : http;
+
+    const request = client.request(target, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(payload),
+        ...headers
+      },
+      timeout
+    }, response => {
+      response.resume();
+      response.on('end', () => {
+        const status = response.statusCode || 0;
+        if (status >= 200 && status < 300) {
+          resolve();
+        } else {
+          reject(new TransportError(`HTTP ${status} from ${target.host}`, 'HTTP_ERROR', status));
+        }
+      });
+    });
+
+    request.on('timeout', () => {
+      request.destroy(new TransportError(`Request to ${target.host} timed out`, 'ETIMEDOUT'));
+    });
+    request.on('error', (error: NodeJS.ErrnoException) => {
+      reject(error instanceof TransportError ? error : new TransportError(error.message, error.code, undefined, error));
+    });
+
+    request.end(payload);
+  });
+}
+
+/**
+ * Forwards batches to another /api/logs/batch endpoint (e.g. a central logging server)
+ */
+export class HttpTransport implements LogTransport {
+  readonly type = 'http' as const;
+
+  constructor(
+    readonly name: string,
+    private url: string,
+    private headers: Record<string, string> = {},
+    private timeout = 10000,
+    private source = 'core'
+  ) {}
+
+  async write(entries: LogEntry[]): Promise<void> {
+    for (let i = 0; i < entries.length; i += HTTP_MAX_BATCH) {
+      const chunk = entries.slice(i, i + HTTP_MAX_BATCH);
+      await postJson(this.url, {
+        entries: chunk.map(entry => ({
+          id: entry.id,
+          timestamp: entry.timestamp,
+          level: entry.level.toLowerCase(),
+          service: entry.service,
+          source: entry.source,
+          message: entry.message,
+          metadata: {
+            ...entry.metadata,
+            ...(entry.trace && { trace: entry.trace }),
+            // Lets the receiving service keep extrapolating sampled counts
+            ...(entry.sampleRate !== undefined && entry.sampleRate < 1 && { sampled: Math.round(1 / entry.sampleRate) })
+          }
+        })),
+        timestamp: Date.now(),
+        source: this.source
+      }, this.headers, this.timeout);
+    }
+  }
+}
+
+/**
+ * Create a transport from its configuration
+ * @returns The transport, or null for unsupported types
+ */
+export function createTransport(config: TransportConfig, deps: TransportDependencies): LogTransport | null {
+  const options = config.options || {};
+
+  switch (config.type) {
+    case 'database':
+      return new SqliteTransport(config.name, deps.db);
+
+    case 'file':
+      if (!options.path) {
+        throw new TransportError(`File transport '${config.name}' requires options.path`, 'INVALID_CONFIG');
+      }
+      return new RotatingFileTransport(config.name, options.path, options.maxSize, options.maxFiles);
+
+    case 'console': {
+      const stream = options.stream === 'stderr' ? process.stderr : process.stdout;
+      const format = (config.formatter || deps.formatting.default) === 'pretty' ? 'pretty' : 'json';
+      return new ConsoleTransport(config.name, format, stream, deps.formatting.colorize ?? !!stream.isTTY);
+    }
+
+    case 'http':
+      if (!options.url) {
+        throw new TransportError(`HTTP transport '${config.name}' requires options.url`, 'INVALID_CONFIG');
+      }
+      return new HttpTransport(config.name, options.url, options.headers, options.timeout, options.source || deps.serviceName);
+
+    case 'otlp':
+      return new OtlpStdoutTransport(config.name, options.scopeName);
+
+    default:
+      return null;
+  }
+}
+
+// ============================================================================
+// TRANSPORT MANAGER
+// ============================================================================
+
+interface TransportRunner {
+  transport: LogTransport;
+  config: TransportConfig;
+  minPriority: number;
+  retry: RetryConfig;
+  errorHandling: TransportErrorHandling;
+  maxQueued: number;
+  queue: Promise<void>;
+  stats: TransportStats;
+}
+
+/**
+ * Fans flushed batches out to the configured transports.
+ *
+ * The first SQLite transport is the primary: writes to it are awaited, so a
+ * flush fails if the store does. Every other transport gets its own ordered
+ * queue and is written in the background, so a slow collector or a full disk
+ * never holds up logging.
+ */
+export class TransportManager {
+  private runners: TransportRunner[] = [];
+  private primary: TransportRunner | null = null;
+
+  constructor(configs: TransportConfig[], deps: TransportDependencies) {
+    for (const config of configs) {
+      if (config.enabled === false) {
+        continue;
+      }
+
+      let transport: LogTransport | null;
+      try {
+        transport = createTransport(config, deps);
+      } catch (error) {
+        logger.warn('Skipping misconfigured log transport', { transport: config.name, error: error.message });
+        continue;
+      }
+
+      if (!transport) {
+        logger.warn('Skipping unsupported log transport', { transport: config.name, type: config.type });
+        continue;
+      }
+
+      const level = (config.level || 'trace').toLowerCase();
+      const runner: TransportRunner = {
+        transport,
+        config,
+        minPriority: LEVEL_PRIORITY[level] ?? 0,
+        retry: config.errorHandling?.retry || DEFAULT_RETRY[config.type] || DEFAULT_RETRY.http,
+        errorHandling: config.errorHandling || {},
+        maxQueued: config.options?.maxQueuedEntries || DEFAULT_MAX_QUEUED_ENTRIES,
+        queue: Promise.resolve(),
+        stats: {
+          name: config.name,
+          type: config.type,
+          level,
+          written: 0,
+          failed: 0,
+          retries: 0,
+          dropped: 0,
+          queued: 0,
+          disabled: false,
+          lastError: null
+        }
+      };
+
+      this.runners.push(runner);
+      if (!this.primary && config.type === 'database') {
+        this.primary = runner;
+      }
+    }
+  }
+
+  /**
+   * Write a batch to every transport whose level admits the entries.
+   * Resolves once the primary (SQLite) transport has them; rejects if it
+   * failed and its error handling isn't silent.
+   */
+  async write(entries: LogEntry[]): Promise<void> {
+    let primaryBatch: LogEntry[] = [];
+
+    for (const runner of this.runners) {
+      if (runner.stats.disabled) {
+        continue;
+      }
+
+      const batch = entries.filter(entry => (LEVEL_PRIORITY[entry.level.toLowerCase()] ?? LEVEL_PRIORITY.info) >= runner.minPriority);
+      if (batch.length === 0) {
+        continue;
+      }
+
+      if (runner === this.primary) {
+        primaryBatch = batch;
+      } else {
+        this.enqueue(runner, batch);
+      }
+    }
+
+    if (this.primary && primaryBatch.length > 0) {
+      const error = await this.deliver(this.primary, primaryBatch);
+      if (error && !this.primary.errorHandling.silentFail) {
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Wait for every background transport to finish its queue
+   */
+  async drain(): Promise<void> {
+    // Failed batches may be handed to a fallback while draining, so wait until no queue moves
+    let queues: Promise<void>[];
+    do {
+      queues = this.runners.map(runner => runner.queue);
+      await Promise.all(queues);
+    } while (this.runners.some((runner, i) => runner.queue !== queues[i]));
+  }
+
+  /**
+   * Drain and close all transports
+   */
+  async close(): Promise<void> {
+    await this.drain();
+
+    for (const runner of this.runners) {
+      try {
+        await runner.transport.close?.();
+      } catch (error) {
+        logger.warn('Failed to close log transport', { transport: runner.config.name, error: error.message });
+      }
+    }
+  }
+
+  /**
+   * Get per-transport delivery statistics
+   */
+  getStats(): TransportStats[] {
+    return this.runners.map(runner => ({ ...runner.stats }));
+  }
+
+  /**
+   * Queue a batch behind the transport's earlier batches
+   */
+  private enqueue(runner: TransportRunner, batch: LogEntry[]): void {
+    if (runner.stats.queued + batch.length > runner.maxQueued) {
+      runner.stats.dropped += batch.length;
+      return;
+    }
+
+    runner.stats.queued += batch.length;
+    runner.queue = runner.queue
+      .then(async () => {
+        // Disabled after this batch was queued: it goes where failed batches go
+        if (runner.stats.disabled) {
+          runner.stats.failed += batch.length;
+          this.handOff(runner, batch);
+        } else {
+          await this.deliver(runner, batch);
+        }
+      })
+      .then(() => {
+        runner.stats.queued -= batch.length;
+      });
+  }
+
+  /**
+   * Queue a batch on the transport's fallback, if it has an enabled one
+   * @returns The fallback runner
+   */
+  private handOff(runner: TransportRunner, batch: LogEntry[]): TransportRunner | undefined {
+    const name = runner.errorHandling.fallback;
+    const fallback = name
+      ? this.runners.find(candidate => candidate.config.name === name && candidate !== runner && !candidate.stats.disabled)
+      : undefined;
+
+    if (fallback) {
+      this.enqueue(fallback, batch);
+    }
+    return fallback;
+  }
+
+  /**
+   * Write a batch with retries, then apply the transport's error handling
+   * @returns The final error, or null once delivered
+   */
+  private async deliver(runner: TransportRunner, batch: LogEntry[]): Promise<TransportError | null> {
+    const { retry } = runner;
+    let attempt = 0;
+
+    for (;;) {
+      try {
+        await runner.transport.write(batch);
+        runner.stats.written += batch.length;
+        return null;
+      } catch (caught) {
+        const error = toTransportError(caught);
+
+        if (attempt < retry.maxAttempts && shouldRetry(error, retry.retryConditions)) {
+          attempt++;
+          runner.stats.retries++;
+          await sleep(retryDelay(retry, attempt));
+          continue;
+        }
+
+        runner.stats.failed += batch.length;
+        runner.stats.lastError = error.message;
+        this.handleFailure(runner, batch, error, attempt);
+        return error;
+      }
+    }
+  }
+
+  /**
+   * Hand a failed batch to the fallback transport, report it and optionally disable the transport
+   */
+  private handleFailure(runner: TransportRunner, batch: LogEntry[], error: TransportError, attempts: number): void {
+    const { errorHandling } = runner;
+    const fallback = this.handOff(runner, batch);
+
+    if (errorHandling.onError === 'disable') {
+      runner.stats.disabled = true;
+    }
+
+    if (!errorHandling.silentFail) {
+      logger.warn('Log transport failed', {
+        transport: runner.config.name,
+        type: runner.config.type,
+        entries: batch.length,
+        attempts: attempts + 1,
+        fallback: fallback ? fallback.config.name : null,
+        disabled: runner.stats.disabled,
+        error: error.message
+      });
+    }
+  }
+}
+
+/**
+ * Normalize anything thrown by a transport
+ */
+function toTransportError(error: any): TransportError {
+  if (error instanceof TransportError) {
+    return error;
+  }
+  return new TransportError(error?.message || String(error), error?.code, undefined, error instanceof Error ? error : undefined);
+}
+
+/**
+ * Decide whether a failed write is retried. The first matching condition
+ * wins; without one, everything but client errors (4xx other than 408/429) is retried.
+ */
+function shouldRetry(error: TransportError, conditions: RetryCondition[] = []): boolean {
+  for (const condition of conditions) {
+    const values = Array.isArray(condition.value) ? condition.value : [condition.value];
+    let matches = false;
+
+    switch (condition.type) {
+      case 'status_code':
+        matches = error.statusCode !== undefined && values.includes(error.statusCode);
+        break;
+      case 'error_code':
+        matches = error.code !== undefined && values.includes(error.code);
+        break;
+      case 'timeout':
+        matches = error.code === 'ETIMEDOUT';
+        break;
+      case 'network_error':
+        matches = error.code !== undefined && NETWORK_ERROR_CODES.includes(error.code);
+        break;
+    }
+
+    if (matches) {
+      return condition.shouldRetry;
+    }
+  }
+
+  if (error.statusCode !== undefined && error.statusCode >= 400 && error.statusCode < 500) {
+    return error.statusCode === 408 || error.statusCode === 429;
+  }
+  return error.code !== 'INVALID_CONFIG';
+}
+
+/**
+ * Exponential backoff delay for a retry attempt (1-based)
+ */
+function retryDelay(retry: RetryConfig, attempt: number): number {
+  const delay = retry.initialDelay * Math.pow(retry.multiplier ?? 2, attempt - 1);
+  return Math.min(delay, retry.maxDelay ?? delay);
+}
+
+function sleep(ms: number): Promise<void> {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
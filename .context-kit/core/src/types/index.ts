@@ -43,7 +43,25 @@ export type {
   Pattern,
   PatternMetadata,
   GraphTraversalOptions,
-  TraversalStopCondition
+  TraversalStopCondition,
+  GraphAlgorithmOptions,
+  GraphNode,
+  GraphPathOptions,
+  GraphPath,
+  StronglyConnectedComponent,
+  CentralityOptions,
+  RankedNode,
+  GraphGroupingOptions,
+  SourceIndexOptions,
+  SourceIndexResult,
+  SchemaValidationMode,
+  TypeUsage,
+  GraphSchema,
+  PropertyChange,
+  EntityRevision,
+  EntityHistoryOptions,
+  EntityDiff,
+  GraphSnapshot
 } from './knowledge-graph.js';
 
 // Search System Types
@@ -70,6 +88,24 @@ export type {
   LogAggregation,
   LogServiceConfig,
   TransportConfig,
+  TransportErrorHandling,
+  RetryConfig,
+  RetryCondition,
+  SamplingConfig,
+  SamplingRule,
+  AdaptiveSamplingConfig,
+  RetentionConfig,
+  ArchiveConfig,
+  CleanupConfig,
+  TemplateMiningConfig,
+  AlertingConfig,
+  AlertRule,
+  ThresholdAlertRule,
+  AbsenceAlertRule,
+  PatternAlertRule,
+  MetricsConfig,
+  MetricType,
+  MetricRule,
   HealthStatus,
   HealthCheck,
   ServiceStatus,
@@ -151,13 +151,16 @@ export interface Observation {
   /** Entity being observed */
   entity_id: string;
 
-  /** Property or attribute being observed */
+  /** Property or attribute being observed: 'type', 'name', 'data.<property>', 'relations.<relation id>', or 'entity' for a delete */
   key: string;
 
-  /** Observed value (JSON serialized) */
-  value: string;
+  /** Observed value (JSON serialized); null when the property or relation was removed */
+  value: string | null;
 
-  /** Unix timestamp of observation */
+  /** Entity version the observation belongs to */
+  version?: number;
+
+  /** Unix timestamp of observation (milliseconds) */
   created_at?: number;
 
   /** Type of observation */
@@ -219,8 +222,19 @@ export interface KnowledgeGraphConfig {
 
   /** Analytics settings */
   analyticsEnabled?: boolean;
+
+  /**
+   * How entities and relations are checked against registered types:
+   * 'strict' rejects violations, 'warn' (default) logs them, 'off' skips checks
+   */
+  schemaValidation?: SchemaValidationMode;
 }
 
+/**
+ * Enforcement of the entity/relation type registry
+ */
+export type SchemaValidationMode = 'off' | 'warn' | 'strict';
+
 /**
  * Entity type definition for schema validation
  */
@@ -264,6 +278,108 @@ export interface RelationTypeDefinition {
   propertiesSchema?: Record<string, any>;
 }
 
+/**
+ * How often a type is used in the graph
+ */
+export interface TypeUsage {
+  /** Type name */
+  name: string;
+
+  /** Entities or relations of this type */
+  count: number;
+
+  /** Registered type with nearly the same name (e.g. 'Component' for 'component') */
+  similarTo?: string;
+}
+
+/**
+ * The registered types, and the types in use that are not registered
+ */
+export interface GraphSchema {
+  /** Current validation mode */
+  mode: SchemaValidationMode;
+
+  /** Registered entity types */
+  entityTypes: EntityTypeDefinition[];
+
+  /** Registered relation types */
+  relationTypes: RelationTypeDefinition[];
+
+  /** Types used by stored entities and relations that have no definition */
+  unregistered: {
+    entityTypes: TypeUsage[];
+    relationTypes: TypeUsage[];
+  };
+}
+
+/**
+ * A property whose value differs between two states of an entity
+ */
+export interface PropertyChange {
+  /** Observation key, e.g. 'name', 'data.filePath' or 'relations.<relation id>' */
+  key: string;
+
+  /** How the property changed */
+  change: 'added' | 'removed' | 'changed';
+
+  /** Value before the change (absent when added) */
+  before?: any;
+
+  /** Value after the change (absent when removed) */
+  after?: any;
+}
+
+/**
+ * One write to an entity, or to one of its outgoing relations
+ */
+export interface EntityRevision {
+  /** Entity version after the write */
+  version: number;
+
+  /** Whether the entity was created, changed or deleted */
+  observation_type: 'create' | 'update' | 'delete';
+
+  /** Unix timestamp of the write (milliseconds) */
+  timestamp: number;
+
+  /** Properties and relations the write changed */
+  changes: PropertyChange[];
+}
+
+/**
+ * Options for reading an entity's history
+ */
+export interface EntityHistoryOptions {
+  /** Only revisions at or after this timestamp (milliseconds) */
+  since?: number;
+
+  /** Only revisions at or before this timestamp (milliseconds) */
+  until?: number;
+
+  /** Keep only the most recent revisions */
+  limit?: number;
+}
+
+/**
+ * Differences between two versions of an entity
+ */
+export interface EntityDiff {
+  entityId: string;
+  fromVersion: number;
+  toVersion: number;
+  changes: PropertyChange[];
+}
+
+/**
+ * The graph as it was at a point in time, rebuilt from observations
+ */
+export interface GraphSnapshot {
+  /** Unix timestamp the snapshot describes (milliseconds) */
+  asOf: number;
+  entities: Entity[];
+  relations: Relation[];
+}
+
 /**
  * Statistics about the knowledge graph
  */
@@ -895,9 +1011,9 @@ export interface GraphTraversalOptions {
   relationTypes?: string[];
   /** Stop conditions */
   stopConditions?: TraversalStopCondition[];
-  /** Include entity data in results */
+  /** Include entity data in results (default: true) */
   includeEntityData?: boolean;
-  /** Include relation data in results */
+  /** Include relation properties in results (default: true) */
   includeRelationData?: boolean;
 }
 
@@ -907,8 +1023,141 @@ export interface GraphTraversalOptions {
 export interface TraversalStopCondition {
   /** Type of stop condition */
   type: 'entity_type' | 'relation_type' | 'property' | 'depth';
-  /** Condition value */
+  /**
+   * Condition value: a type name or list of names for entity_type and
+   * relation_type, an object of data properties that must all be equal for
+   * property, and a depth for depth
+   */
   value: any;
-  /** Whether to include the matching node */
+  /** Whether to include the matching node (default: true); it is never expanded */
   inclusive?: boolean;
-}
\ No newline at end of file
+}
+
+/**
+ * Part of the graph a graph algorithm runs on
+ */
+export interface GraphAlgorithmOptions {
+  /** Only use relations of these types (default: all) */
+  relationTypes?: string[];
+  /** Only use entities of these types (default: all) */
+  entityTypes?: string[];
+}
+
+/**
+ * Entity as returned by graph algorithms, without its data
+ */
+export interface GraphNode {
+  id: string;
+  type: string;
+  name: string;
+}
+
+/**
+ * Options for finding paths between two entities
+ */
+export interface GraphPathOptions extends GraphAlgorithmOptions {
+  /** Direction relations are followed in (default: 'outgoing') */
+  direction?: 'outgoing' | 'incoming' | 'both';
+  /** Longest path in relations when listing all paths (default: 6) */
+  maxDepth?: number;
+  /** Most paths to return when listing all paths (default: 100) */
+  limit?: number;
+}
+
+/**
+ * Path between two entities
+ */
+export interface GraphPath {
+  /** Entities from the start to the end */
+  nodes: GraphNode[];
+  /** IDs of the relations followed, one fewer than nodes */
+  relationIds: string[];
+}
+
+/**
+ * Strongly connected component: entities that can all reach each other
+ * through relations, so every one of them is on a cycle
+ */
+export interface StronglyConnectedComponent {
+  nodes: GraphNode[];
+  /**
+   * A shortest cycle through the first node, in relation order; the last
+   * node has a relation back to the first
+   */
+  cycle: GraphNode[];
+}
+
+/**
+ * Options for ranking entities by centrality
+ */
+export interface CentralityOptions extends GraphAlgorithmOptions {
+  /** Ranking to compute (default: 'pagerank') */
+  algorithm?: 'pagerank' | 'betweenness';
+  /** Number of top-ranked entities to return (default: 20) */
+  limit?: number;
+  /** PageRank damping factor, between 0 and 1 (default: 0.85) */
+  damping?: number;
+  /** Most PageRank iterations (default: 100) */
+  iterations?: number;
+  /**
+   * Betweenness source entities to sample; scores are estimated from the
+   * sample and scaled up (default: every entity, which is exact)
+   */
+  samples?: number;
+}
+
+/**
+ * Entity with a centrality score
+ */
+export interface RankedNode extends GraphNode {
+  score: number;
+}
+
+/**
+ * Options for grouping entities into components or communities
+ */
+export interface GraphGroupingOptions extends GraphAlgorithmOptions {
+  /** Smallest group to return (default: 1) */
+  minSize?: number;
+  /** Most label propagation rounds for communities (default: 20) */
+  iterations?: number;
+}
+/**
+ * Options for indexing a TypeScript/React project into the knowledge graph
+ */
+export interface SourceIndexOptions {
+  /** Project root; defaults to the knowledge graph's projectRoot */
+  root?: string;
+  /** Directories under the root to scan (default: ['src']) */
+  include?: string[];
+  /** Glob patterns (relative to the root) of files to skip */
+  exclude?: string[];
+  /** File extensions to parse (default: .ts, .tsx, .js, .jsx) */
+  extensions?: string[];
+  /** tsconfig used for path aliases such as `@/*` (default: tsconfig.json) */
+  tsconfig?: string;
+  /** Directory name whose exported components are indexed as Pages (default: 'pages') */
+  pagesDir?: string;
+  /** Re-index every file even when its hash is unchanged */
+  force?: boolean;
+}
+
+/**
+ * Outcome of a source indexing run
+ */
+export interface SourceIndexResult {
+  /** Source files found */
+  files: number;
+  /** Files parsed because they were new or their hash changed */
+  indexed: number;
+  /** Files skipped because their hash matched */
+  unchanged: number;
+  /** Files whose entities were removed because the file is gone */
+  removed: number;
+  /** Files that could not be read */
+  failed: string[];
+  entities: { created: number; updated: number; deleted: number };
+  relations: { created: number; deleted: number };
+  /** Run duration in milliseconds */
+  duration: number;
+}
@@ -53,6 +53,12 @@ export interface LogEntry {
 
   /** Indexed content for search functionality */
   indexed_content?: string;
+
+  /** Rate the entry was sampled at (1 = every entry kept); a stored row stands for 1/sampleRate entries */
+  sampleRate?: number;
+
+  /** ID of the message template the entry belongs to */
+  templateId?: string;
 }
 
 /**
@@ -716,6 +722,15 @@ export interface LogServiceConfig {
   /** Retention policy */
   retention?: RetentionConfig;
 
+  /** Message template mining (enabled by default) */
+  templates?: TemplateMiningConfig;
+
+  /** Alert rules evaluated on ingest and on a timer */
+  alerting?: AlertingConfig;
+
+  /** Counters, gauges and histograms rolled up per minute and per hour (enabled by default) */
+  metrics?: MetricsConfig;
+
   /** Performance options */
   performance?: LogPerformanceConfig;
 
@@ -740,7 +755,7 @@ export interface LogServiceConfig {
   /** Enable analytics */
   enableAnalytics?: boolean;
 
-  /** Retention policy type */
+  /** Retention policy type ('count_based' also caps the table at maxLogEntries) */
   retentionPolicy?: 'time_based' | 'count_based';
 
   /** Maximum log entries */
@@ -766,19 +781,29 @@ export interface LogServiceConfig {
  * Transport configuration for log delivery
  */
 export interface TransportConfig {
-  /** Transport type */
-  type: 'console' | 'file' | 'http' | 'database' | 'elasticsearch' | 'syslog' | 'custom';
+  /** Transport type ('database' is the SQLite store, 'otlp' writes OTLP-JSON to stdout) */
+  type: 'console' | 'file' | 'http' | 'database' | 'otlp' | 'elasticsearch' | 'syslog' | 'custom';
 
   /** Transport name */
   name: string;
 
+  /** Set to false to turn the transport off */
+  enabled?: boolean;
+
   /** Minimum log level for this transport */
   level?: LogLevel;
 
-  /** Transport-specific options */
+  /**
+   * Transport-specific options
+   * - file: { path, maxSize?, maxFiles? }
+   * - console: { stream?: 'stdout' | 'stderr' }
+   * - http: { url, headers?, timeout?, source? }
+   * - otlp: { scopeName? } instrumentation scope name (default 'tkr-context-kit')
+   * - any: { maxQueuedEntries? } entries awaiting delivery before new batches are dropped
+   */
   options?: Record<string, any>;
 
-  /** Formatter for this transport */
+  /** Formatter for this transport ('json' or 'pretty'; console only) */
   formatter?: string;
 
   /** Error handling */
@@ -798,7 +823,7 @@ export interface TransportErrorHandling {
   /** Fallback transport */
   fallback?: string;
 
-  /** Error callback */
+  /** What to do once retries are exhausted: 'log' (default) or 'disable' the transport */
   onError?: string;
 
   /** Silent failure flag */
@@ -964,6 +989,30 @@ export interface AutoFlushConfig {
   onMemoryPressure?: boolean;
 }
 
+/**
+ * Message template mining (Drain). Each stored entry gets the ID of the
+ * template its message belongs to, e.g. "Fetched <*> entities".
+ */
+export interface TemplateMiningConfig {
+  /** Mine templates (default true) */
+  enabled?: boolean;
+
+  /** Share of equal tokens (0-1) for a message to join a template (default 0.5) */
+  similarityThreshold?: number;
+
+  /** Parse tree depth; messages are routed by their first depth - 2 tokens (default 3) */
+  depth?: number;
+
+  /** Children per tree node before further tokens share a wildcard branch (default 100) */
+  maxChildren?: number;
+
+  /** Templates kept in memory; least recently used are evicted first (default 5000) */
+  maxTemplates?: number;
+
+  /** Tokens of a message considered (default 64) */
+  maxTokens?: number;
+}
+
 /**
  * Sampling configuration for high-volume logging
  */
@@ -971,13 +1020,13 @@ export interface SamplingConfig {
   /** Enable sampling */
   enabled: boolean;
 
-  /** Default sampling rate (0-1) */
+  /** Default sampling rate (0-1) for entries no rule matches; errors and fatals are kept unless a rule selects them by level */
   defaultRate: number;
 
-  /** Sampling rules */
+  /** Sampling rules; the highest-priority match sets the rate */
   rules?: SamplingRule[];
 
-  /** Sampling strategy */
+  /** Sampling strategy ('deterministic' keeps or drops whole traces; default 'adaptive' when `adaptive` is set, else 'random') */
   strategy?: 'random' | 'deterministic' | 'adaptive';
 
   /** Adaptive sampling options */
@@ -988,7 +1037,11 @@ export interface SamplingConfig {
  * Sampling rule specification
  */
 export interface SamplingRule {
-  /** Rule condition */
+  /**
+   * Rule condition: `*`, or `<field> <op> <value>` clauses joined by `&&`.
+   * Fields: service, level, message, source. Ops: `=`/`!=` (comma-separated
+   * values) and `~`/`!~` (regex, e.g. `/HMR update/i`).
+   */
   condition: string;
 
   /** Sampling rate for this rule */
@@ -1005,19 +1058,19 @@ export interface SamplingRule {
  * Adaptive sampling configuration
  */
 export interface AdaptiveSamplingConfig {
-  /** Target logs per second */
+  /** Target stored logs per second */
   targetRate: number;
 
   /** Adjustment interval in milliseconds */
   adjustmentInterval: number;
 
-  /** Minimum sampling rate */
+  /** Lower bound of the multiplier applied to rule and default rates */
   minRate: number;
 
-  /** Maximum sampling rate */
+  /** Upper bound of the multiplier applied to rule and default rates */
   maxRate: number;
 
-  /** Rate adjustment factor */
+  /** Share of the gap to the target multiplier closed per interval (0-1, default 0.5) */
   adjustmentFactor?: number;
 }
 
@@ -1028,10 +1081,10 @@ export interface RetentionConfig {
   /** Default retention period in days */
   defaultPeriod: number;
 
-  /** Retention rules by log level */
-  byLevel?: Record<LogLevel, number>;
+  /** Retention in days by log level (e.g. { error: 90, debug: 1 }); the longer of the level and service periods applies */
+  byLevel?: Partial<Record<LogLevel, number>>;
 
-  /** Retention rules by service */
+  /** Retention in days by service */
   byService?: Record<string, number>;
 
   /** Archive configuration */
@@ -1048,16 +1101,20 @@ export interface ArchiveConfig {
   /** Enable archiving */
   enabled: boolean;
 
-  /** Archive after days */
+  /** Days a row stays in SQLite before moving to the archive (rows with shorter retention are just deleted) */
   archiveAfterDays: number;
 
-  /** Archive storage type */
+  /** Archive storage type (only 'file' is supported) */
   storageType: 'file' | 's3' | 'gcs' | 'azure' | 'custom';
 
-  /** Archive compression */
+  /** Archive compression (only 'gzip' is supported) */
   compression?: 'gzip' | 'bzip2' | 'lz4' | 'zstd';
 
-  /** Archive options */
+  /**
+   * Archive options
+   * - directory: where gzip NDJSON segments are written (default: log-archive next to the database)
+   * - restoreHoldDays: days re-imported entries stay in SQLite (default 1)
+   */
   options?: Record<string, any>;
 }
 
@@ -1065,13 +1122,13 @@ export interface ArchiveConfig {
  * Cleanup schedule configuration
  */
 export interface CleanupConfig {
-  /** Cleanup schedule (cron expression) */
+  /** Cleanup schedule (5-field cron expression or @hourly/@daily/@weekly/@monthly, local time) */
   schedule: string;
 
-  /** Cleanup batch size */
+  /** Rows per cleanup batch and archive segment (default 5000) */
   batchSize?: number;
 
-  /** Cleanup timeout in milliseconds */
+  /** Cleanup timeout in milliseconds (default 60000); unfinished work waits for the next run */
   timeout?: number;
 
   /** Run cleanup on startup */
@@ -1170,10 +1227,10 @@ export interface PerformanceAlert {
  * Alert notification configuration
  */
 export interface AlertNotification {
-  /** Notification type */
-  type: 'email' | 'slack' | 'webhook' | 'console';
+  /** Notification type (the log alerting engine delivers 'webhook', 'file' and 'console') */
+  type: 'email' | 'slack' | 'webhook' | 'console' | 'file';
 
-  /** Notification target */
+  /** Notification target (webhook URL or file path) */
   target: string;
 
   /** Notification template */
@@ -1183,6 +1240,174 @@ export interface AlertNotification {
   options?: Record<string, any>;
 }
 
+/**
+ * Alerting on ingested logs
+ */
+export interface AlertingConfig {
+  /** Evaluate rules (default true when rules are given) */
+  enabled?: boolean;
+
+  /** Alert rules */
+  rules: AlertRule[];
+
+  /** Interval between threshold and absence evaluations in milliseconds (default 30000) */
+  evaluationInterval?: number;
+
+  /** Where alerts go when a rule has no notifications of its own */
+  notifications?: AlertNotification[];
+}
+
+export type AlertRule = ThresholdAlertRule | AbsenceAlertRule | PatternAlertRule;
+
+/**
+ * Fields shared by all alert rules
+ */
+export interface AlertRuleBase {
+  /** Unique rule ID; alert state is stored under it */
+  id: string;
+
+  /** Display name (default: the ID) */
+  name?: string;
+
+  /** Alert severity */
+  severity: PerformanceAlert['severity'];
+
+  /** Evaluate this rule (default true) */
+  enabled?: boolean;
+
+  /** Minimum time between notifications for this rule in milliseconds (default 300000) */
+  cooldown?: number;
+
+  /** Also notify when the alert resolves (default true) */
+  notifyOnResolve?: boolean;
+
+  /** Overrides AlertingConfig.notifications */
+  notifications?: AlertNotification[];
+}
+
+/**
+ * Fires while a log metric over the window crosses the threshold
+ */
+export interface ThresholdAlertRule extends AlertRuleBase {
+  type: 'threshold';
+
+  /** 'error_rate' is the percentage of errors and fatals; counts are extrapolated from sampling */
+  metric: 'error_rate' | 'error_count' | 'log_count';
+
+  /** Comparison against the threshold (default '>') */
+  operator?: '>' | '>=' | '<' | '<=';
+
+  threshold: number;
+
+  /** Window in milliseconds */
+  window: number;
+
+  /** Only count entries from this service */
+  service?: string;
+
+  /** Minimum logs in the window before an error rate is evaluated (default 10) */
+  minLogs?: number;
+}
+
+/**
+ * Fires when a service (or a heartbeat message from it) is silent for the window
+ */
+export interface AbsenceAlertRule extends AlertRuleBase {
+  type: 'absence';
+
+  service: string;
+
+  /** Only entries whose message matches count, e.g. '/heartbeat/i' */
+  pattern?: string;
+
+  /** Window in milliseconds */
+  window: number;
+}
+
+/**
+ * Fires when messages matching a regular expression reach the threshold within the window
+ */
+export interface PatternAlertRule extends AlertRuleBase {
+  type: 'pattern';
+
+  /** Regular expression, written `/pattern/flags` or bare */
+  pattern: string;
+
+  service?: string;
+
+  level?: LogLevel | LogLevel[];
+
+  /** Matches within the window that fire the alert (default 1) */
+  threshold?: number;
+
+  /** Window in milliseconds (default 60000) */
+  window?: number;
+}
+
+/**
+ * Metrics recorded explicitly or derived from ingested logs, rolled up into
+ * per-minute and per-hour buckets
+ */
+export interface MetricsConfig {
+  /** Record metrics (default true) */
+  enabled?: boolean;
+
+  /** Rules deriving metrics from ingested entries, in addition to log_entries_total */
+  rules?: MetricRule[];
+
+  /** Interval between writes of buffered buckets to SQLite in milliseconds (default 10000) */
+  flushInterval?: number;
+
+  /** How long per-minute buckets are kept in milliseconds (default 1 day) */
+  minuteRetention?: number;
+
+  /** How long per-hour buckets are kept in milliseconds (default 30 days) */
+  hourRetention?: number;
+
+  /** Default histogram bucket upper bounds (default: latency buckets in ms, 5 to 10000) */
+  buckets?: number[];
+
+  /** Record timeOperation() durations as the operation_duration_ms histogram (default true) */
+  timeOperations?: boolean;
+
+  /** Label combinations kept per metric; further ones are dropped (default 1000) */
+  maxSeries?: number;
+}
+
+export type MetricType = 'counter' | 'gauge' | 'histogram';
+
+/**
+ * Derives a metric from the entries a rule matches. Fields are `service`,
+ * `level`, `message` or `meta.<path>` into the entry's metadata.
+ */
+export interface MetricRule {
+  /** Metric name, matching [a-zA-Z_:][a-zA-Z0-9_:]* */
+  name: string;
+
+  type: MetricType;
+
+  /** Description shown in the Prometheus exposition */
+  help?: string;
+
+  /** Only entries from this service */
+  service?: string | string[];
+
+  /** Only entries at this level */
+  level?: LogLevel | LogLevel[];
+
+  /** Only entries whose message matches, written `/pattern/flags` or bare */
+  pattern?: string;
+
+  /** Field holding the value; entries without a numeric value are skipped. Counters count entries when omitted */
+  value?: string;
+
+  /** Label name to field, e.g. `{ "route": "meta.path" }` */
+  labels?: Record<string, string>;
+
+  /** Histogram bucket upper bounds (default MetricsConfig.buckets) */
+  buckets?: number[];
+}
+
 /**
  * Log filter criteria (alternative to LogFilters)
  */
@@ -1197,6 +1422,8 @@ export interface LogFilter {
   source?: string;
   /** Filter by message pattern */
   message?: string;
+  /** Filter by W3C trace ID */
+  traceId?: string;
   /** Time range filter */
   timeRange?: TimeRange;
   /** Custom metadata filter */
@@ -1226,6 +1453,23 @@ export interface LogQuery {
   offset?: number;
   /** Include metadata */
   includeMetadata?: boolean;
+  /**
+   * Full-text search expression (see compileSearchQuery). Results are ranked
+   * by relevance unless `sort` is given, and carry a score and snippet.
+   */
+  text?: string;
+  /** Markers wrapped around matched terms in snippets (default `<mark>`, `</mark>`) */
+  highlight?: { start: string; end: string };
+}
+
+/**
+ * Log entry returned by a full-text search
+ */
+export interface LogSearchHit extends LogEntry {
+  /** BM25 relevance, higher is better (present for text searches) */
+  score?: number;
+  /** Best-matching fragment with matched terms highlighted (present for text searches) */
+  snippet?: string;
 }
 
 /**
@@ -1233,9 +1477,11 @@ export interface LogQuery {
  */
 export interface LogAggregation {
   /** Aggregation type */
-  type: 'count' | 'sum' | 'avg' | 'min' | 'max';
-  /** Field to aggregate */
+  type: 'count' | 'sum' | 'avg' | 'min' | 'max' | 'percentile';
+  /** Field to aggregate ('*' for count) */
   field: string;
+  /** Percentile (0-100] for the 'percentile' type */
+  percentile?: number;
   /** Group by fields */
   groupBy?: string[];
   /** Time bucket size */
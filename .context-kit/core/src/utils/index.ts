@@ -40,10 +40,28 @@ export {
   loggingLogger,
   PerformanceTimer,
   timeOperation,
-  timeAsync
+  timeAsync,
+  onOperationTimed
 } from './logger.js';
 
-export type { LoggerConfig } from './logger.js';
+export type { LoggerConfig, OperationTimingListener } from './logger.js';
+
+// W3C trace context utilities
+export {
+  parseTraceparent,
+  formatTraceparent,
+  parseTracestate,
+  formatTracestate,
+  generateTraceId,
+  generateSpanId,
+  createSpanFromTraceparent,
+  extractTraceInfo
+} from './trace-context.js';
+
+export type { ParsedTraceparent } from './trace-context.js';
+
+// Cron schedule utilities
+export { CronSchedule } from './schedule.js';
 
 // Common utility functions
 export class Utils {
@@ -166,6 +166,22 @@ export const searchLogger = createLogger('search');
 export const knowledgeGraphLogger = createLogger('knowledge-graph');
 export const loggingLogger = createLogger('logging');
 
+/** Receives every duration measured by a PerformanceTimer */
+export type OperationTimingListener = (operation: string, duration: number, meta?: Record<string, any>) => void;
+
+const timingListeners = new Set<OperationTimingListener>();
+
+/**
+ * Receive the duration of every timed operation, e.g. to record it as a metric
+ * @returns A function that removes the listener
+ */
+export const onOperationTimed = (listener: OperationTimingListener): (() => void) => {
+  timingListeners.add(listener);
+  return () => {
+    timingListeners.delete(listener);
+  };
+};
+
 // Performance timing utility
 export class PerformanceTimer {
   private startTime: number;
@@ -181,6 +197,13 @@ export class PerformanceTimer {
   finish(meta?: Record<string, any>): number {
     const duration = Date.now() - this.startTime;
     this.logger.logPerformance(this.operation, duration, meta);
+    for (const listener of timingListeners) {
+      try {
+        listener(this.operation, duration, meta);
+      } catch {
+        // A failing listener must not fail the operation it timed
+      }
+    }
     return duration;
   }
 }
@@ -0,0 +1,107 @@
+/**
+ * Schedule Utilities
+ * Minimal cron expressions for maintenance jobs: five fields (minute, hour,
+ * day of month, month, day of week) with `*`, lists, ranges and steps, plus
+ * the @hourly / @daily / @weekly / @monthly shorthands. Evaluated in local time.
+ */
+
+const SHORTHANDS: Record<string, string> = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *'
+};
+
+const FIELD_RANGES: Array<[number, number]> = [
+  [0, 59], // minute
+  [0, 23], // hour
+  [1, 31], // day of month
+  [1, 12], // month
+  [0, 7] // day of week (0 and 7 are Sunday)
+];
+
+const MINUTE = 60 * 1000;
+const MAX_LOOKAHEAD_MINUTES = 366 * 24 * 60;
+
+export class CronSchedule {
+  private fields: Array<Set<number>>;
+  private dayOfMonthRestricted: boolean;
+  private dayOfWeekRestricted: boolean;
+
+  /**
+   * @throws Error for malformed expressions
+   */
+  constructor(readonly expression: string) {
+    const normalized = SHORTHANDS[expression.trim()] || expression.trim();
+    const parts = normalized.split(/\s+/);
+    if (parts.length !== 5) {
+      throw new Error(`Invalid cron expression '${expression}': expected 5 fields`);
+    }
+
+    this.fields = parts.map((part, i) => parseField(part, FIELD_RANGES[i], expression));
+    if (this.fields[4].has(7)) {
+      this.fields[4].add(0);
+    }
+    this.dayOfMonthRestricted = parts[2] !== '*';
+    this.dayOfWeekRestricted = parts[4] !== '*';
+  }
+
+  /**
+   * Whether the schedule fires in the minute containing `date`
+   */
+  matches(date: Date): boolean {
+    const [minutes, hours, daysOfMonth, months, daysOfWeek] = this.fields;
+    if (!minutes.has(date.getMinutes()) || !hours.has(date.getHours()) || !months.has(date.getMonth() + 1)) {
+      return false;
+    }
+
+    const dayOfMonth = daysOfMonth.has(date.getDate());
+    const dayOfWeek = daysOfWeek.has(date.getDay());
+    // As in cron: when both day fields are restricted, either may match
+    if (this.dayOfMonthRestricted && this.dayOfWeekRestricted) {
+      return dayOfMonth || dayOfWeek;
+    }
+    return dayOfMonth && dayOfWeek;
+  }
+
+  /**
+   * Start of the next matching minute after `after`
+   * @returns Timestamp (ms), or null if nothing matches within a year
+   */
+  next(after = Date.now()): number | null {
+    let candidate = Math.floor(after / MINUTE) * MINUTE + MINUTE;
+    for (let i = 0; i < MAX_LOOKAHEAD_MINUTES; i++, candidate += MINUTE) {
+      if (this.matches(new Date(candidate))) {
+        return candidate;
+      }
+    }
+    return null;
+  }
+}
+
+function parseField(field: string, [min, max]: [number, number], expression: string): Set<number> {
+  const values = new Set<number>();
+
+  for (const item of field.split(',')) {
+    const match = item.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!match) {
+      throw new Error(`Invalid cron expression '${expression}': bad field '${field}'`);
+    }
+
+    const [, , startText, endText, stepText] = match;
+    const start = startText !== undefined ? Number(startText) : min;
+    const end = endText !== undefined ? Number(endText) : (startText !== undefined && stepText === undefined ? start : max);
+    const step = stepText !== undefined ? Number(stepText) : 1;
+
+    if (start < min || end > max || start > end || step < 1) {
+      throw new Error(`Invalid cron expression '${expression}': '${item}' out of range ${min}-${max}`);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
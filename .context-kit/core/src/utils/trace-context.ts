@@ -0,0 +1,179 @@
+/**
+ * W3C Trace Context Utilities
+ * Parsing and generation of traceparent/tracestate headers, and extraction of
+ * span information from log metadata
+ *
+ * @see https://www.w3.org/TR/trace-context/
+ */
+
+import { randomBytes } from 'crypto';
+import type { TraceInfo } from '../types/logging.js';
+
+const TRACEPARENT_PATTERN = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})(-.*)?$/;
+const INVALID_TRACE_ID = '0'.repeat(32);
+const INVALID_SPAN_ID = '0'.repeat(16);
+const MAX_TRACESTATE_MEMBERS = 32;
+
+export interface ParsedTraceparent {
+  version: string;
+  traceId: string;
+  /** Span ID of the caller, i.e. the parent of any span created for this request */
+  parentSpanId: string;
+  sampled: boolean;
+}
+
+/**
+ * Parse a traceparent header
+ * Returns null for malformed headers and the all-zero IDs the spec forbids.
+ */
+export function parseTraceparent(header?: string | null): ParsedTraceparent | null {
+  if (!header || typeof header !== 'string') {
+    return null;
+  }
+
+  const match = TRACEPARENT_PATTERN.exec(header.trim().toLowerCase());
+  if (!match) {
+    return null;
+  }
+
+  const [, version, traceId, parentSpanId, flags, rest] = match;
+
+  // Version ff is invalid; version 00 must not carry extra fields
+  if (version === 'ff' || (version === '00' && rest)) {
+    return null;
+  }
+
+  if (traceId === INVALID_TRACE_ID || parentSpanId === INVALID_SPAN_ID) {
+    return null;
+  }
+
+  return {
+    version,
+    traceId,
+    parentSpanId,
+    sampled: (parseInt(flags, 16) & 0x01) === 0x01
+  };
+}
+
+/**
+ * Format a traceparent header for a span
+ */
+export function formatTraceparent(trace: Pick<TraceInfo, 'traceId' | 'spanId' | 'flags'>): string {
+  const flags = trace.flags?.sampled === false ? '00' : '01';
+  return `00-${trace.traceId}-${trace.spanId}-${flags}`;
+}
+
+/**
+ * Parse a tracestate header into its list members, dropping invalid ones
+ */
+export function parseTracestate(header?: string | null): Array<[string, string]> {
+  if (!header || typeof header !== 'string') {
+    return [];
+  }
+
+  const members: Array<[string, string]> = [];
+  const seen = new Set<string>();
+
+  for (const member of header.split(',')) {
+    const separator = member.indexOf('=');
+    if (separator <= 0) {
+      continue;
+    }
+
+    const key = member.slice(0, separator).trim();
+    const value = member.slice(separator + 1).trim();
+    if (!key || !value || seen.has(key)) {
+      continue;
+    }
+
+    seen.add(key);
+    members.push([key, value]);
+
+    if (members.length >= MAX_TRACESTATE_MEMBERS) {
+      break;
+    }
+  }
+
+  return members;
+}
+
+/**
+ * Format tracestate list members as a header value
+ */
+export function formatTracestate(members: Array<[string, string]>): string {
+  return members
+    .slice(0, MAX_TRACESTATE_MEMBERS)
+    .map(([key, value]) => `${key}=${value}`)
+    .join(',');
+}
+
+/**
+ * Generate a random 32-hex trace ID
+ */
+export function generateTraceId(): string {
+  return randomHex(16, INVALID_TRACE_ID);
+}
+
+/**
+ * Generate a random 16-hex span ID
+ */
+export function generateSpanId(): string {
+  return randomHex(8, INVALID_SPAN_ID);
+}
+
+/**
+ * Create trace info for a new span, continuing an incoming traceparent when given
+ */
+export function createSpanFromTraceparent(traceparent?: string | null, tracestate?: string | null): TraceInfo {
+  const parent = parseTraceparent(traceparent);
+
+  return {
+    traceId: parent?.traceId || generateTraceId(),
+    spanId: generateSpanId(),
+    parentSpanId: parent?.parentSpanId,
+    flags: { sampled: parent ? parent.sampled : true },
+    traceState: parent && tracestate ? formatTracestate(parseTracestate(tracestate)) || undefined : undefined
+  };
+}
+
+/**
+ * Extract trace info from log metadata
+ * Accepts the `trace` object written by the logging clients or a raw
+ * `traceparent` header value. Returns undefined when neither is present.
+ */
+export function extractTraceInfo(metadata?: Record<string, any>): TraceInfo | undefined {
+  if (!metadata) {
+    return undefined;
+  }
+
+  const trace = metadata.trace;
+  if (trace && typeof trace === 'object' && typeof trace.traceId === 'string' && trace.traceId) {
+    return {
+      traceId: trace.traceId,
+      spanId: typeof trace.spanId === 'string' ? trace.spanId : undefined,
+      parentSpanId: typeof trace.parentSpanId === 'string' ? trace.parentSpanId : undefined,
+      traceState: typeof trace.traceState === 'string' ? trace.traceState : undefined
+    };
+  }
+
+  const parsed = parseTraceparent(metadata.traceparent);
+  if (parsed) {
+    // The header describes the caller's span, which this entry belongs to
+    return {
+      traceId: parsed.traceId,
+      spanId: parsed.parentSpanId,
+      flags: { sampled: parsed.sampled },
+      traceState: typeof metadata.tracestate === 'string' ? metadata.tracestate : undefined
+    };
+  }
+
+  return undefined;
+}
+
+function randomHex(bytes: number, invalid: string): string {
+  let id = randomBytes(bytes).toString('hex');
+  while (id === invalid) {
+    id = randomBytes(bytes).toString('hex');
+  }
+  return id;
+}
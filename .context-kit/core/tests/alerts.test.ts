@@ -0,0 +1,329 @@
+/**
+ * Tests for log alerting: threshold, pattern and absence rules, deduplicated
+ * firing, cooldowns, resolution notices and stored alert state
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { existsSync, mkdtempSync, readFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createDatabaseConnection, DatabaseConnection } from '../src/database/connection.js';
+import { AlertManager } from '../src/logging/alerts.js';
+import type { AlertRule, LogEntry, LogLevel, ThresholdAlertRule } from '../src/types/logging.js';
+
+const MINUTE = 60 * 1000;
+const NOW = Date.UTC(2024, 5, 1);
+
+describe('AlertManager', () => {
+  let db: DatabaseConnection;
+  let dir: string;
+  let alertsPath: string;
+  let manager: AlertManager | null;
+  let sequence: number;
+
+  beforeEach(async () => {
+    vi.useFakeTimers({ toFake: ['Date'], now: NOW });
+    db = await createDatabaseConnection({ path: ':memory:' });
+    dir = mkdtempSync(join(tmpdir(), 'alerts-'));
+    alertsPath = join(dir, 'alerts.ndjson');
+    manager = null;
+    sequence = 0;
+  });
+
+  afterEach(async () => {
+    manager?.stop();
+    vi.useRealTimers();
+    await db.disconnect();
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  const createManager = (rules: AlertRule[]) => {
+    manager = new AlertManager(db, { rules, notifications: [{ type: 'file', target: alertsPath }] }, 'tests');
+    return manager;
+  };
+
+  const insert = (count: number, level: LogLevel = 'info', service = 'api') => {
+    for (let i = 0; i < count; i++) {
+      db.execute(
+        'INSERT INTO log_entries (id, timestamp, level, service, message, metadata) VALUES (?, ?, ?, ?, ?, ?)',
+        [`log_${++sequence}`, Date.now() - 1000, level, service, `${level} from ${service}`, '{}']
+      );
+    }
+  };
+
+  // A 50% error rate over the default minLogs
+  const breach = () => {
+    insert(5);
+    insert(5, 'error');
+  };
+
+  const entry = (message: string, level: LogLevel = 'error', service = 'api'): LogEntry => ({
+    id: `log_${++sequence}`,
+    timestamp: Date.now(),
+    level,
+    service,
+    message
+  });
+
+  const delivered = () => existsSync(alertsPath)
+    ? readFileSync(alertsPath, 'utf8').trim().split('\n').map(line => JSON.parse(line))
+    : [];
+
+  const errorRate = (overrides: Partial<ThresholdAlertRule> = {}): ThresholdAlertRule => ({
+    id: 'api-error-rate',
+    type: 'threshold',
+    severity: 'error',
+    metric: 'error_rate',
+    threshold: 10,
+    window: 5 * MINUTE,
+    cooldown: 30 * MINUTE,
+    ...overrides
+  });
+
+  describe('threshold rules', () => {
+    it('should fire when the error rate over the window crosses the threshold', async () => {
+      const alerts = createManager([errorRate()]);
+      insert(15);
+      insert(5, 'error');
+
+      const [state] = await alerts.evaluate();
+
+      expect(state).toMatchObject({ ruleId: 'api-error-rate', status: 'firing', value: 25, occurrences: 1, firedAt: NOW });
+      expect(state.message).toBe('error_rate 25.0% > 10% over 300s');
+      expect(delivered()).toEqual([
+        expect.objectContaining({ ruleId: 'api-error-rate', status: 'firing', name: 'api-error-rate', source: 'tests' })
+      ]);
+      expect((await alerts.getAlerts()).events).toEqual([
+        expect.objectContaining({ status: 'firing', suppressed: false, delivered: true, deliveryError: null })
+      ]);
+    });
+
+    it('should not evaluate an error rate until the window has minLogs entries', async () => {
+      const alerts = createManager([errorRate({ minLogs: 10 })]);
+      insert(2);
+      insert(3, 'error');
+
+      const [state] = await alerts.evaluate();
+
+      expect(state).toMatchObject({ status: 'ok', value: 60 });
+      expect(delivered()).toEqual([]);
+    });
+
+    it.each([
+      [{ metric: 'error_count', operator: '>=', threshold: 3 }, true],
+      [{ metric: 'error_count', threshold: 3 }, false],
+      [{ metric: 'log_count', operator: '<', threshold: 5 }, false],
+      [{ metric: 'log_count', operator: '<=', threshold: 5, service: 'api' }, true],
+      [{ metric: 'log_count', threshold: 5, service: 'worker' }, false]
+    ] as Array<[Partial<ThresholdAlertRule>, boolean]>)('should compare %j against 3 errors in 5 logs', async (overrides, firing) => {
+      const alerts = createManager([errorRate(overrides)]);
+      insert(2);
+      insert(3, 'error');
+
+      const [state] = await alerts.evaluate();
+
+      expect(state.status).toBe(firing ? 'firing' : 'ok');
+    });
+
+    it('should only count entries within the window, extrapolating sampled ones', async () => {
+      const alerts = createManager([errorRate({ metric: 'error_count', threshold: 3 })]);
+      insert(1, 'error');
+      db.execute("UPDATE log_entries SET sample_rate = 0.25 WHERE id = 'log_1'");
+
+      expect((await alerts.evaluate())[0]).toMatchObject({ status: 'firing', value: 4 });
+
+      vi.setSystemTime(NOW + 10 * MINUTE);
+      insert(1, 'error');
+      expect((await alerts.evaluate())[0]).toMatchObject({ status: 'ok', value: 1 });
+    });
+
+    it('should count further breaches as occurrences of one notified alert', async () => {
+      const alerts = createManager([errorRate()]);
+      breach();
+
+      await alerts.evaluate();
+      vi.setSystemTime(NOW + MINUTE);
+      await alerts.evaluate();
+      vi.setSystemTime(NOW + 2 * MINUTE);
+      const [state] = await alerts.evaluate();
+
+      expect(state).toMatchObject({ status: 'firing', occurrences: 3, firedAt: NOW, lastEvaluatedAt: NOW + 2 * MINUTE });
+      expect(delivered()).toHaveLength(1);
+      expect((await alerts.getAlerts()).events).toHaveLength(1);
+    });
+
+    it('should resolve and send a resolution notice once the breach ends', async () => {
+      const alerts = createManager([errorRate()]);
+      breach();
+      await alerts.evaluate();
+
+      vi.setSystemTime(NOW + 10 * MINUTE);
+      const [state] = await alerts.evaluate();
+
+      expect(state).toMatchObject({ status: 'ok', resolvedAt: NOW + 10 * MINUTE, value: 0 });
+      expect(delivered().map(alert => alert.status)).toEqual(['firing', 'resolved']);
+    });
+
+    it('should not send resolution notices when notifyOnResolve is false', async () => {
+      const alerts = createManager([errorRate({ notifyOnResolve: false })]);
+      breach();
+      await alerts.evaluate();
+
+      vi.setSystemTime(NOW + 10 * MINUTE);
+      await alerts.evaluate();
+
+      expect(delivered().map(alert => alert.status)).toEqual(['firing']);
+      expect((await alerts.getAlerts()).events[0]).toMatchObject({ status: 'resolved', suppressed: true });
+    });
+  });
+
+  describe('cooldown', () => {
+    it('should record but not send an alert that fires again within its cooldown', async () => {
+      const alerts = createManager([errorRate({ window: MINUTE, cooldown: 30 * MINUTE })]);
+      breach();
+      await alerts.evaluate();
+
+      // Resolves once the errors leave the window, then flaps back
+      vi.setSystemTime(NOW + 2 * MINUTE);
+      await alerts.evaluate();
+      vi.setSystemTime(NOW + 10 * MINUTE);
+      breach();
+      await alerts.evaluate();
+      vi.setSystemTime(NOW + 12 * MINUTE);
+      await alerts.evaluate();
+
+      expect(delivered().map(alert => alert.status)).toEqual(['firing', 'resolved']);
+      const { events } = await alerts.getAlerts();
+      expect(events.map(event => [event.status, event.suppressed, event.delivered])).toEqual([
+        // The suppressed alert's resolution isn't sent either
+        ['resolved', true, false],
+        ['firing', true, false],
+        ['resolved', false, true],
+        ['firing', false, true]
+      ]);
+    });
+
+    it('should notify again once the cooldown has passed', async () => {
+      const alerts = createManager([errorRate({ window: MINUTE, cooldown: 30 * MINUTE })]);
+      breach();
+      await alerts.evaluate();
+      vi.setSystemTime(NOW + 2 * MINUTE);
+      await alerts.evaluate();
+
+      // The cooldown runs from the last notification, here the resolution
+      vi.setSystemTime(NOW + 32 * MINUTE);
+      breach();
+      const [state] = await alerts.evaluate();
+
+      expect(state).toMatchObject({ status: 'firing', lastNotifiedAt: NOW + 32 * MINUTE });
+      expect(delivered().map(alert => alert.status)).toEqual(['firing', 'resolved', 'firing']);
+    });
+
+    it('should keep the cooldown across restarts', async () => {
+      createManager([errorRate({ window: MINUTE })]);
+      breach();
+      await manager!.evaluate();
+      vi.setSystemTime(NOW + 2 * MINUTE);
+      await manager!.evaluate();
+      manager!.stop();
+
+      const restarted = createManager([errorRate({ window: MINUTE })]);
+      restarted.start();
+      expect((await restarted.getAlerts()).rules[0]).toMatchObject({ status: 'ok', lastNotifiedAt: NOW + 2 * MINUTE, resolvedAt: NOW + 2 * MINUTE });
+
+      breach();
+      await restarted.evaluate();
+
+      expect(delivered().map(alert => alert.status)).toEqual(['firing', 'resolved']);
+    });
+  });
+
+  describe('pattern rules', () => {
+    const pattern: AlertRule = {
+      id: 'db-down',
+      type: 'pattern',
+      severity: 'critical',
+      pattern: '/ECONNREFUSED/i',
+      level: ['error', 'fatal'],
+      threshold: 3,
+      window: MINUTE
+    };
+
+    it('should fire as soon as matches within the window reach the threshold', async () => {
+      const alerts = createManager([pattern]);
+
+      alerts.observe(entry('connect econnrefused 127.0.0.1:5432'));
+      alerts.observe(entry('connect ECONNREFUSED 127.0.0.1:5432', 'warn'));
+      alerts.observe(entry('Request failed'));
+      alerts.observe(entry('connect ECONNREFUSED 127.0.0.1:5432'));
+      expect((await alerts.getAlerts()).active).toEqual([]);
+
+      alerts.observe(entry('connect ECONNREFUSED 127.0.0.1:5432', 'fatal'));
+
+      expect((await alerts.getAlerts()).active).toEqual([
+        expect.objectContaining({ ruleId: 'db-down', status: 'firing', value: 3, severity: 'critical' })
+      ]);
+    });
+
+    it('should forget matches older than the window and resolve on evaluation', async () => {
+      const alerts = createManager([pattern]);
+
+      alerts.observe(entry('ECONNREFUSED'));
+      alerts.observe(entry('ECONNREFUSED'));
+      vi.setSystemTime(NOW + 2 * MINUTE);
+      alerts.observe(entry('ECONNREFUSED'));
+      expect((await alerts.getAlerts()).active).toEqual([]);
+
+      alerts.observe(entry('ECONNREFUSED'));
+      alerts.observe(entry('ECONNREFUSED'));
+      expect((await alerts.getAlerts()).active).toHaveLength(1);
+
+      vi.setSystemTime(NOW + 4 * MINUTE);
+      expect((await alerts.evaluate())[0]).toMatchObject({ status: 'ok', value: 0 });
+    });
+  });
+
+  describe('absence rules', () => {
+    const heartbeat: AlertRule = {
+      id: 'worker-heartbeat',
+      type: 'absence',
+      severity: 'warning',
+      service: 'worker',
+      pattern: 'heartbeat',
+      window: 5 * MINUTE
+    };
+
+    it('should fire when a service has been silent for the window', async () => {
+      const alerts = createManager([heartbeat]);
+      alerts.start();
+
+      vi.setSystemTime(NOW + 4 * MINUTE);
+      alerts.observe(entry('heartbeat', 'debug', 'worker'));
+      vi.setSystemTime(NOW + 8 * MINUTE);
+      expect((await alerts.evaluate())[0].status).toBe('ok');
+
+      // Other messages from the service don't count
+      alerts.observe(entry('job done', 'info', 'worker'));
+      vi.setSystemTime(NOW + 10 * MINUTE);
+      const [state] = await alerts.evaluate();
+
+      expect(state).toMatchObject({ status: 'firing', value: 6 * MINUTE });
+      expect(state.message).toBe('No logs matching heartbeat from worker for 360s');
+    });
+  });
+
+  describe('configuration', () => {
+    it('should skip disabled, duplicate and invalid rules', async () => {
+      const alerts = createManager([
+        errorRate(),
+        errorRate({ name: 'duplicate' }),
+        errorRate({ id: 'disabled', enabled: false }),
+        errorRate({ id: 'no-window', window: 0 }),
+        { id: 'no-pattern', type: 'pattern', severity: 'info', pattern: '' },
+        { id: 'bad-regex', type: 'pattern', severity: 'info', pattern: '/(/' }
+      ]);
+
+      expect((await alerts.getAlerts()).rules.map(state => state.ruleId)).toEqual(['api-error-rate']);
+    });
+  });
+});
@@ -0,0 +1,141 @@
+/**
+ * Tests for graph algorithms on a small fixed graph: Tarjan's strongly
+ * connected components, PageRank and betweenness centrality
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { createDatabaseConnection, DatabaseConnection } from '../src/database/connection.js';
+import { GraphAlgorithmError, GraphAlgorithms } from '../src/knowledge-graph/algorithms.js';
+import type { GraphNode, RankedNode } from '../src/types/knowledge-graph.js';
+
+/**
+ * Modules a, b and c form a cycle with a shortcut from a to c, and lead into
+ * the d-e cycle; f imports g; services x, y and z call each other in a line
+ */
+const ENTITIES: Array<[string, string]> = [
+  ['a', 'Module'], ['b', 'Module'], ['c', 'Module'], ['d', 'Module'], ['e', 'Module'], ['f', 'Module'], ['g', 'Module'],
+  ['x', 'Service'], ['y', 'Service'], ['z', 'Service']
+];
+
+const RELATIONS: Array<[string, string, string, string]> = [
+  ['r01', 'a', 'IMPORTS', 'b'],
+  ['r02', 'b', 'IMPORTS', 'c'],
+  ['r03', 'c', 'IMPORTS', 'a'],
+  ['r04', 'c', 'IMPORTS', 'd'],
+  ['r05', 'd', 'IMPORTS', 'e'],
+  ['r06', 'e', 'IMPORTS', 'd'],
+  ['r07', 'f', 'IMPORTS', 'g'],
+  ['r08', 'a', 'DEPENDS_ON', 'c'],
+  ['r09', 'x', 'CALLS', 'y'],
+  ['r10', 'y', 'CALLS', 'z']
+];
+
+describe('GraphAlgorithms', () => {
+  let db: DatabaseConnection;
+  let algorithms: GraphAlgorithms;
+
+  beforeAll(async () => {
+    db = await createDatabaseConnection({ path: ':memory:' });
+    algorithms = new GraphAlgorithms(db);
+
+    for (const [id, type] of ENTITIES) {
+      db.execute("INSERT INTO entities (id, type, name, data) VALUES (?, ?, ?, '{}')", [id, type, id.toUpperCase()]);
+    }
+    for (const [id, from, type, to] of RELATIONS) {
+      db.execute('INSERT INTO relations (id, from_id, to_id, type) VALUES (?, ?, ?, ?)', [id, from, to, type]);
+    }
+  });
+
+  afterAll(async () => {
+    await db.disconnect();
+  });
+
+  const ids = (nodes: GraphNode[]) => nodes.map(node => node.id);
+  const scores = (ranked: RankedNode[]) => Object.fromEntries(ranked.map(node => [node.id, node.score]));
+
+  describe('stronglyConnectedComponents', () => {
+    it('should find each cycle as a component, largest first, with a shortest cycle through it', () => {
+      const components = algorithms.stronglyConnectedComponents();
+
+      expect(components.map(component => ids(component.nodes))).toEqual([['a', 'b', 'c'], ['d', 'e']]);
+      expect(components[0].nodes[0]).toEqual({ id: 'a', type: 'Module', name: 'A' });
+      // The a -> c shortcut closes a shorter cycle than a -> b -> c
+      expect(ids(components[0].cycle)).toEqual(['a', 'c']);
+      expect(ids(components[1].cycle)).toEqual(['d', 'e']);
+    });
+
+    it('should only use relations and entities of the given types', () => {
+      const imports = algorithms.stronglyConnectedComponents({ relationTypes: ['IMPORTS'] });
+
+      expect(imports.map(component => ids(component.cycle))).toEqual([['a', 'b', 'c'], ['d', 'e']]);
+      expect(algorithms.stronglyConnectedComponents({ relationTypes: ['DEPENDS_ON', 'CALLS'] })).toEqual([]);
+      expect(algorithms.stronglyConnectedComponents({ entityTypes: ['Service'] })).toEqual([]);
+    });
+  });
+
+  describe('centrality', () => {
+    it('should default to PageRank with scores summing to 1', () => {
+      const ranked = algorithms.centrality({ limit: 10 });
+
+      expect(ranked).toHaveLength(10);
+      expect(ranked.reduce((sum, node) => sum + node.score, 0)).toBeCloseTo(1, 9);
+      expect(ranked[0]).toMatchObject({ id: 'd', type: 'Module', name: 'D' });
+
+      const score = scores(ranked);
+      // Entities nothing points to share only the base rank
+      expect(score.f).toBeCloseTo(score.x, 12);
+      expect(score.g).toBeGreaterThan(score.f);
+      expect(score.z).toBeGreaterThan(score.y);
+      expect(score.y).toBeGreaterThan(score.x);
+    });
+
+    it('should spread the rank of entities without outgoing relations over every entity', () => {
+      // x -> y -> z with damping d: x gets the base rank b, y gets b(1 + d) and
+      // z gets b(1 + d + d^2), where b = 1 / (3 + 2d + d^2)
+      const ranked = algorithms.centrality({ entityTypes: ['Service'] });
+
+      expect(ids(ranked)).toEqual(['z', 'y', 'x']);
+      expect(ranked.map(node => node.score)).toEqual([
+        expect.closeTo(2.5725 / 5.4225, 6),
+        expect.closeTo(1.85 / 5.4225, 6),
+        expect.closeTo(1 / 5.4225, 6)
+      ]);
+    });
+
+    it('should count the shortest paths running through each entity for betweenness', () => {
+      const ranked = algorithms.centrality({ algorithm: 'betweenness', limit: 10 });
+
+      // c is on a -> d, a -> e, b -> a, b -> d and b -> e; d on a -> e, b -> e
+      // and c -> e; a on c -> b; y on x -> z
+      expect(ranked.map(node => [node.id, node.score])).toEqual([
+        ['c', 5], ['d', 3], ['a', 1], ['y', 1],
+        ['b', 0], ['e', 0], ['f', 0], ['g', 0], ['x', 0], ['z', 0]
+      ]);
+    });
+
+    it('should estimate betweenness from evenly spaced source samples', () => {
+      // Sources a, c, e, g and y, scaled by 10 / 5
+      const ranked = algorithms.centrality({ algorithm: 'betweenness', samples: 5, limit: 3 });
+
+      expect(ranked.map(node => [node.id, node.score])).toEqual([['c', 4], ['d', 4], ['a', 2]]);
+      // More samples than entities is the exact score
+      expect(scores(algorithms.centrality({ algorithm: 'betweenness', samples: 50, limit: 1 }))).toEqual({ c: 5 });
+    });
+
+    it('should rank within the given types and up to the limit', () => {
+      expect(algorithms.centrality({ algorithm: 'betweenness', entityTypes: ['Service'], limit: 2 }).map(node => [node.id, node.score]))
+        .toEqual([['y', 1], ['x', 0]]);
+      expect(algorithms.centrality({ algorithm: 'betweenness', relationTypes: ['DEPENDS_ON'] }).every(node => node.score === 0)).toBe(true);
+    });
+
+    it.each([
+      [{ algorithm: 'degree' as any }, 'Unknown centrality algorithm "degree"; use pagerank or betweenness'],
+      [{ damping: 1 }, 'damping must be between 0 and 1, not 1'],
+      [{ limit: 0 }, 'limit must be a positive integer, not 0'],
+      [{ algorithm: 'betweenness' as const, samples: 2.5 }, 'samples must be a positive integer, not 2.5']
+    ])('should reject the options %j', (options, message) => {
+      expect(() => algorithms.centrality(options)).toThrow(GraphAlgorithmError);
+      expect(() => algorithms.centrality(options)).toThrow(message);
+    });
+  });
+});
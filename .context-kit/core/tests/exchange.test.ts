@@ -0,0 +1,202 @@
+/**
+ * Tests for log export and import: round trips through every format,
+ * format detection, fresh IDs, skipped records and HAR files from dev tools
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { createDatabaseConnection, DatabaseConnection } from '../src/database/connection.js';
+import { LogImportError, LogExportFormat } from '../src/logging/exchange.js';
+import { LoggingService } from '../src/logging/service.js';
+import type { LogEntry } from '../src/types/logging.js';
+
+const START = Date.UTC(2024, 5, 1, 12);
+
+const NETWORK_REQUEST = {
+  type: 'fetch',
+  method: 'POST',
+  url: 'https://api.example.com/orders?page=2',
+  duration: 120,
+  status: 201,
+  statusText: 'Created',
+  requestHeaders: { 'content-type': 'application/json' },
+  responseHeaders: { 'content-type': 'application/json' },
+  responseSize: 512
+};
+
+describe('Log export and import', () => {
+  let sourceDb: DatabaseConnection;
+  let targetDb: DatabaseConnection;
+  let source: LoggingService;
+  let target: LoggingService;
+
+  beforeEach(async () => {
+    sourceDb = await createDatabaseConnection({ path: ':memory:' });
+    targetDb = await createDatabaseConnection({ path: ':memory:' });
+    source = new LoggingService(sourceDb, { templates: { enabled: false } });
+    target = new LoggingService(targetDb, { templates: { enabled: false } });
+
+    const insert = (id: string, offset: number, level: string, service: string, message: string, metadata: Record<string, any>,
+      trace: [string, string, string] | null = null, sampleRate = 1) => {
+      sourceDb.execute(`
+        INSERT INTO log_entries (id, timestamp, level, service, message, metadata, trace_id, span_id, parent_span_id, sample_rate)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [id, START + offset, level, service, message, JSON.stringify(metadata), ...(trace || [null, null, null]), sampleRate]);
+    };
+
+    insert('log_1', 0, 'info', 'api', 'Order saved, reply "ok"\n  second line', {
+      route: '/orders',
+      attempt: 2,
+      ratio: 0.25,
+      cached: false,
+      tags: ['checkout', 'eu'],
+      user: { id: 'u_1', roles: ['admin'] }
+    }, ['trace-1', 'span-1', 'span-0'], 0.5);
+    insert('log_2', 1000, 'error', 'worker', 'Job failed', {});
+    insert('log_3', 2000, 'info', 'browser', 'POST https://api.example.com/orders?page=2 201 (120ms)', {
+      source: 'network',
+      request: NETWORK_REQUEST
+    }, ['trace-2', 'span-2', '']);
+  });
+
+  afterEach(async () => {
+    await source.shutdown();
+    await target.shutdown();
+    await sourceDb.disconnect();
+    await targetDb.disconnect();
+  });
+
+  const exportText = async (format: LogExportFormat, filter = {}, limit?: number) => {
+    let text = '';
+    for await (const chunk of source.exportLogs(filter, { format, limit })) {
+      text += chunk;
+    }
+    return text;
+  };
+
+  const storedEntries = async (db: DatabaseConnection, service: LoggingService) => {
+    const entries = await service.getLogs({}, 100, 0);
+    expect(entries).toHaveLength(db.query('SELECT id FROM log_entries').length);
+    return entries.sort((a, b) => a.timestamp - b.timestamp);
+  };
+
+  /** An imported entry as it was exported: original ID, no import record */
+  const asExported = ({ id, metadata, ...entry }: LogEntry): LogEntry => {
+    const { import: record, ...rest } = metadata || {};
+    return { ...entry, id: record?.originalId ?? id, metadata: rest };
+  };
+
+  it.each(['ndjson', 'csv', 'har'] as LogExportFormat[])('should round-trip every field through %s', async format => {
+    const original = await storedEntries(sourceDb, source);
+
+    const result = await target.importLogs(await exportText(format));
+
+    expect(result).toMatchObject({ format, imported: 3, skipped: 0, errors: [] });
+    expect((await storedEntries(targetDb, target)).map(asExported)).toEqual(original);
+  });
+
+  it('should round-trip entries through OTLP without the fields it has no place for', async () => {
+    const original = await storedEntries(sourceDb, source);
+
+    const result = await target.importLogs(await exportText('otlp'));
+
+    expect(result).toMatchObject({ format: 'otlp', imported: 3, skipped: 0 });
+    expect((await storedEntries(targetDb, target)).map(asExported)).toEqual(original.map(entry => ({
+      ...entry,
+      // OTLP records carry no parent span or sample rate
+      trace: entry.trace && { traceId: entry.trace.traceId, spanId: entry.trace.spanId, parentSpanId: undefined },
+      sampleRate: 1
+    })));
+  });
+
+  it('should store imported entries under new IDs recording the import', async () => {
+    const result = await source.importLogs(await exportText('ndjson', { service: 'worker' }));
+
+    const copies = (await source.getLogs({ service: 'worker' }, 10, 0)).filter(entry => entry.id !== 'log_2');
+    expect(copies).toHaveLength(1);
+    expect(copies[0].id).not.toBe('log_2');
+    expect(copies[0].metadata).toEqual({ import: { id: result.importId, originalId: 'log_2' } });
+  });
+
+  it('should export the entries matching a filter, oldest first, up to the limit', async () => {
+    const ids = (text: string) => text.trim().split('\n').map(line => JSON.parse(line).id);
+
+    expect(ids(await exportText('ndjson'))).toEqual(['log_1', 'log_2', 'log_3']);
+    expect(ids(await exportText('ndjson', { service: ['api', 'browser'] }))).toEqual(['log_1', 'log_3']);
+    expect(ids(await exportText('ndjson', {}, 2))).toEqual(['log_1', 'log_2']);
+  });
+
+  it('should write CSV with quoted fields and one row per entry', async () => {
+    const lines = (await exportText('csv', { service: 'api' })).split('\r\n');
+
+    expect(lines[0]).toBe('id,timestamp,time,level,service,message,trace_id,span_id,parent_span_id,sample_rate,metadata');
+    expect(lines[1]).toMatch(/^log_1,1717243200000,2024-06-01T12:00:00\.000Z,info,api,"Order saved, reply ""ok""\n {2}second line",trace-1,span-1,span-0,0\.5,"\{/);
+    expect(lines[2]).toBe('');
+  });
+
+  it('should export network entries as HAR requests alongside the full entries', async () => {
+    const har = JSON.parse(await exportText('har'));
+
+    expect(har.log.entries).toHaveLength(1);
+    expect(har.log.entries[0]).toMatchObject({
+      startedDateTime: new Date(START + 2000 - 120).toISOString(),
+      time: 120,
+      request: { method: 'POST', url: NETWORK_REQUEST.url, queryString: [{ name: 'page', value: '2' }] },
+      response: { status: 201, content: { size: 512, mimeType: 'application/json' } },
+      _logId: 'log_3',
+      _traceId: 'trace-2'
+    });
+    expect(har.log._logs.map((entry: LogEntry) => entry.id)).toEqual(['log_1', 'log_2', 'log_3']);
+  });
+
+  it('should import each request of a HAR saved from browser dev tools as a network log', async () => {
+    const har = JSON.parse(await exportText('har'));
+    delete har.log._logs;
+
+    const result = await target.importLogs(JSON.stringify(har, null, 2), { service: 'devtools' });
+
+    expect(result).toMatchObject({ format: 'har', imported: 1 });
+    const [entry] = await storedEntries(targetDb, target);
+    expect(entry).toMatchObject({
+      timestamp: START + 2000,
+      level: 'info',
+      service: 'devtools',
+      message: `POST ${NETWORK_REQUEST.url} 201 (120ms)`,
+      metadata: { source: 'network', request: { type: 'har', method: 'POST', status: 201, duration: 120, responseSize: 512 } },
+      trace: { traceId: 'trace-2', spanId: 'span-2' }
+    });
+  });
+
+  it('should read NDJSON split across chunks', async () => {
+    const text = await exportText('ndjson');
+    const chunks = async function* () {
+      for (let i = 0; i < text.length; i += 7) {
+        yield Buffer.from(text.slice(i, i + 7));
+      }
+    };
+
+    expect(await target.importLogs(chunks())).toMatchObject({ format: 'ndjson', imported: 3 });
+  });
+
+  it('should skip and report records that cannot be imported', async () => {
+    const lines = [
+      JSON.stringify({ timestamp: START, level: 'warning', message: 'Disk almost full' }),
+      '{"timestamp": ',
+      JSON.stringify({ timestamp: START, level: 'verbose', message: 'Unknown level' }),
+      JSON.stringify({ timestamp: START, level: 'info' }),
+      JSON.stringify({ level: 'info', message: 'No time' })
+    ];
+
+    const result = await target.importLogs(lines.join('\n'));
+
+    expect(result).toMatchObject({ imported: 1, skipped: 4 });
+    expect(result.errors.map(error => error.record)).toEqual([2, 3, 4, 5]);
+    expect(result.errors[1].error).toBe('Unknown level "verbose"');
+    expect((await storedEntries(targetDb, target))[0]).toMatchObject({ level: 'warn', service: 'imported' });
+  });
+
+  it('should reject input that cannot be read as a whole', async () => {
+    await expect(target.importLogs('{\n  "resourceLogs": {}\n}')).rejects.toThrow(LogImportError);
+    await expect(target.importLogs('{\n  "foo": 1\n}')).rejects.toThrow('Could not detect the log format');
+    await expect(target.importLogs('level,service\ninfo,api\n')).rejects.toThrow('CSV header has no "message" column');
+  });
+});
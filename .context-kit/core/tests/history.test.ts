@@ -0,0 +1,229 @@
+/**
+ * Tests for entity history: revisions recorded from every write, diffs
+ * between versions and the graph as it was at a past time
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { createDatabaseConnection, DatabaseConnection } from '../src/database/connection.js';
+import { KnowledgeGraph } from '../src/knowledge-graph/core.js';
+import { HistoryQueryError } from '../src/knowledge-graph/history.js';
+import type { Entity } from '../src/types/knowledge-graph.js';
+
+/** Observations are stamped by SQLite's clock, so separate writes by a few milliseconds */
+const tick = () => new Promise(resolve => setTimeout(resolve, 5));
+
+describe('KnowledgeGraph history', () => {
+  let db: DatabaseConnection;
+  let kg: KnowledgeGraph;
+
+  beforeEach(async () => {
+    db = await createDatabaseConnection({ path: ':memory:' });
+    kg = new KnowledgeGraph(db, { enableIndexing: false });
+  });
+
+  afterEach(async () => {
+    await db.disconnect();
+  });
+
+  /**
+   * Button goes through four versions: created, props changed, renamed and
+   * given a relation, then a property removed by SQL outside the graph
+   */
+  const editButton = async () => {
+    const app = await kg.createEntity({ type: 'Component', name: 'App', data: { file_path: 'App.tsx' } });
+    const button = await kg.createEntity({ type: 'Component', name: 'Button', data: { file_path: 'Button.tsx', props: ['label'] } });
+    await tick();
+    await kg.updateEntity(button.id, { data: { props: ['label', 'onClick'] } });
+    await tick();
+    await kg.updateEntity(button.id, { name: 'PrimaryButton' });
+    await tick();
+    const relation = await kg.createRelation({ type: 'USES', from_id: button.id, to_id: app.id, properties: { line: 4 } } as any);
+    await tick();
+    db.execute(
+      "UPDATE entities SET data = json_remove(data, '$.props'), updated_at = ?, version = version + 1 WHERE id = ?",
+      [Date.now(), button.id]
+    );
+
+    return { app, button, relationKey: `relations.${relation.id}` };
+  };
+
+  describe('getEntityHistory', () => {
+    it('should list every revision with the properties and relations it changed', async () => {
+      const { app, button, relationKey } = await editButton();
+
+      expect(kg.getEntityHistory(button.id)).toEqual([
+        {
+          version: 1,
+          observation_type: 'create',
+          timestamp: expect.any(Number),
+          changes: [
+            { key: 'type', change: 'added', after: 'Component' },
+            { key: 'name', change: 'added', after: 'Button' },
+            { key: 'data.file_path', change: 'added', after: 'Button.tsx' },
+            { key: 'data.props', change: 'added', after: ['label'] }
+          ]
+        },
+        {
+          version: 2,
+          observation_type: 'update',
+          timestamp: expect.any(Number),
+          changes: [{ key: 'data.props', change: 'changed', before: ['label'], after: ['label', 'onClick'] }]
+        },
+        {
+          version: 3,
+          observation_type: 'update',
+          timestamp: expect.any(Number),
+          changes: [{ key: 'name', change: 'changed', before: 'Button', after: 'PrimaryButton' }]
+        },
+        {
+          version: 3,
+          observation_type: 'update',
+          timestamp: expect.any(Number),
+          changes: [{ key: relationKey, change: 'added', after: { type: 'USES', to_id: app.id, properties: { line: 4 } } }]
+        },
+        {
+          version: 4,
+          observation_type: 'update',
+          timestamp: expect.any(Number),
+          changes: [{ key: 'data.props', change: 'removed', before: ['label', 'onClick'] }]
+        }
+      ]);
+    });
+
+    it('should skip writes that changed nothing', async () => {
+      const button = await kg.createEntity({ type: 'Component', name: 'Button', data: { file_path: 'Button.tsx' } });
+
+      await kg.updateEntity(button.id, { data: { file_path: 'Button.tsx' } });
+
+      expect(kg.getEntityHistory(button.id).map(revision => revision.version)).toEqual([1]);
+    });
+
+    it('should filter revisions by time and keep the most recent up to the limit', async () => {
+      const { button } = await editButton();
+      const revisions = kg.getEntityHistory(button.id);
+
+      expect(kg.getEntityHistory(button.id, { since: revisions[2].timestamp })).toEqual(revisions.slice(2));
+      expect(kg.getEntityHistory(button.id, { until: revisions[1].timestamp })).toEqual(revisions.slice(0, 2));
+      expect(kg.getEntityHistory(button.id, { limit: 2 })).toEqual(revisions.slice(3));
+    });
+
+    it('should record deletes and start a new lifetime when the ID is reused', async () => {
+      const button = await kg.createEntity({ type: 'Component', name: 'Button', data: {} });
+      await tick();
+      await kg.deleteEntity(button.id);
+      await tick();
+      db.execute("INSERT INTO entities (id, type, name, data) VALUES (?, 'Hook', 'useButton', '{}')", [button.id]);
+
+      expect(kg.getEntityHistory(button.id).map(({ observation_type, changes }) => [observation_type, changes.length])).toEqual([
+        ['create', 2],
+        ['delete', 0],
+        ['create', 2]
+      ]);
+    });
+
+    it('should return no revisions for an unknown entity', () => {
+      expect(kg.getEntityHistory('missing')).toEqual([]);
+    });
+  });
+
+  describe('diffEntityVersions', () => {
+    it('should compare the states of two versions', async () => {
+      const { app, button, relationKey } = await editButton();
+
+      expect(kg.diffEntityVersions(button.id, 1, 4)).toEqual({
+        entityId: button.id,
+        fromVersion: 1,
+        toVersion: 4,
+        changes: [
+          { key: 'name', change: 'changed', before: 'Button', after: 'PrimaryButton' },
+          { key: 'data.props', change: 'removed', before: ['label'] },
+          { key: relationKey, change: 'added', after: { type: 'USES', to_id: app.id, properties: { line: 4 } } }
+        ]
+      });
+      expect(kg.diffEntityVersions(button.id, 3, 2)!.changes).toEqual([
+        { key: 'name', change: 'changed', before: 'PrimaryButton', after: 'Button' },
+        { key: relationKey, change: 'removed', before: { type: 'USES', to_id: app.id, properties: { line: 4 } } }
+      ]);
+      expect(kg.diffEntityVersions(button.id, 4, 4)!.changes).toEqual([]);
+    });
+
+    it('should accept versions that changed nothing', async () => {
+      const button = await kg.createEntity({ type: 'Component', name: 'Button', data: { file_path: 'Button.tsx' } });
+      await kg.updateEntity(button.id, { data: { file_path: 'Button.tsx' } });
+
+      expect(kg.diffEntityVersions(button.id, 1, 2)!.changes).toEqual([]);
+    });
+
+    it('should reject versions outside the current lifetime', async () => {
+      const { button } = await editButton();
+
+      expect(() => kg.diffEntityVersions(button.id, 0, 2)).toThrow(HistoryQueryError);
+      expect(() => kg.diffEntityVersions(button.id, 1, 5)).toThrow(`Entity ${button.id} has versions 1 to 4, not 5`);
+
+      await kg.deleteEntity(button.id);
+
+      expect(() => kg.diffEntityVersions(button.id, 1, 2)).toThrow('was deleted');
+    });
+
+    it('should return null for an entity with no history', () => {
+      expect(kg.diffEntityVersions('missing', 1, 2)).toBeNull();
+    });
+  });
+
+  describe('getGraphAsOf', () => {
+    it('should rebuild entities and relations as they were at each point in time', async () => {
+      const before = Date.now();
+      await tick();
+      const app = await kg.createEntity({ type: 'Component', name: 'App', data: { file_path: 'App.tsx' } });
+      const button = await kg.createEntity({ type: 'Component', name: 'Button', data: { file_path: 'Button.tsx' } });
+      const relation = await kg.createRelation({ type: 'RENDERS', from_id: app.id, to_id: button.id } as any);
+      await tick();
+      const created = Date.now();
+      await tick();
+      await kg.updateEntity(app.id, { name: 'Shell', data: { layout: 'grid' } });
+      await kg.deleteEntity(button.id);
+      await tick();
+
+      const names = (entities: Entity[]) => entities.map(entity => entity.name).sort();
+
+      expect(kg.getGraphAsOf(before)).toEqual({ asOf: before, entities: [], relations: [] });
+
+      const first = kg.getGraphAsOf(created);
+      expect(names(first.entities)).toEqual(['App', 'Button']);
+      expect(first.entities.find(entity => entity.id === app.id)).toMatchObject({
+        type: 'Component',
+        data: { file_path: 'App.tsx' },
+        version: 1
+      });
+      expect(first.relations).toEqual([{
+        id: relation.id,
+        from_id: app.id,
+        to_id: button.id,
+        type: 'RENDERS',
+        properties: {},
+        created_at: expect.any(Number)
+      }]);
+
+      const now = kg.getGraphAsOf(Date.now());
+      expect(now.entities).toEqual([expect.objectContaining({
+        id: app.id,
+        name: 'Shell',
+        data: { file_path: 'App.tsx', layout: 'grid' },
+        version: 2
+      })]);
+      expect(now.relations).toEqual([]);
+    });
+
+    it('should drop relations whose target did not exist at the time', async () => {
+      const app = await kg.createEntity({ type: 'Component', name: 'App', data: {} });
+      const button = await kg.createEntity({ type: 'Component', name: 'Button', data: {} });
+      await kg.createRelation({ type: 'RENDERS', from_id: app.id, to_id: button.id } as any);
+      // Deleting the target row directly leaves the relation and its observation in place
+      db.execute('PRAGMA foreign_keys = OFF');
+      db.execute('DELETE FROM entities WHERE id = ?', [button.id]);
+      await tick();
+
+      expect(kg.getGraphAsOf(Date.now()).relations).toEqual([]);
+    });
+  });
+});
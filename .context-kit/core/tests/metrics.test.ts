@@ -0,0 +1,236 @@
+/**
+ * Tests for log metrics: the Prometheus text exposition of counters, gauges
+ * and histograms, metrics derived from entries, and stored rollups
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { createDatabaseConnection, DatabaseConnection } from '../src/database/connection.js';
+import { MetricsRegistry } from '../src/logging/metrics.js';
+import type { LogEntry, LogLevel, MetricsConfig } from '../src/types/logging.js';
+
+const START = Date.UTC(2024, 5, 1, 12);
+
+let sequence = 0;
+
+function createEntry(level: LogLevel, service: string, message: string, metadata: Record<string, any> = {}): LogEntry {
+  sequence++;
+  return { id: `log_${sequence}`, timestamp: START + sequence, level, service, message, metadata };
+}
+
+describe('MetricsRegistry', () => {
+  let db: DatabaseConnection;
+  let registry: MetricsRegistry;
+
+  beforeEach(async () => {
+    db = await createDatabaseConnection({ path: ':memory:' });
+  });
+
+  afterEach(async () => {
+    await registry.stop();
+    await db.disconnect();
+  });
+
+  const createRegistry = (config: MetricsConfig = {}) => {
+    registry = new MetricsRegistry(db, { timeOperations: false, ...config });
+    return registry;
+  };
+
+  describe('exposition', () => {
+    it('should report nothing before values are recorded', () => {
+      expect(createRegistry().exposition()).toBe('');
+    });
+
+    it('should write histograms as cumulative buckets with sum and count', () => {
+      const metrics = createRegistry();
+      metrics.define('request_duration_ms', 'histogram', { help: 'Request duration', buckets: [10, 100, 1000] });
+
+      for (const value of [4, 10, 55, 250, 900, 4000]) {
+        metrics.histogram('request_duration_ms', value, { route: '/orders' });
+      }
+      metrics.histogram('request_duration_ms', 20, { route: '/users' });
+
+      expect(metrics.exposition()).toBe([
+        '# HELP request_duration_ms Request duration',
+        '# TYPE request_duration_ms histogram',
+        'request_duration_ms_bucket{route="/orders",le="10"} 2',
+        'request_duration_ms_bucket{route="/orders",le="100"} 3',
+        'request_duration_ms_bucket{route="/orders",le="1000"} 5',
+        'request_duration_ms_bucket{route="/orders",le="+Inf"} 6',
+        'request_duration_ms_sum{route="/orders"} 5219',
+        'request_duration_ms_count{route="/orders"} 6',
+        'request_duration_ms_bucket{route="/users",le="10"} 0',
+        'request_duration_ms_bucket{route="/users",le="100"} 1',
+        'request_duration_ms_bucket{route="/users",le="1000"} 1',
+        'request_duration_ms_bucket{route="/users",le="+Inf"} 1',
+        'request_duration_ms_sum{route="/users"} 20',
+        'request_duration_ms_count{route="/users"} 1',
+        ''
+      ].join('\n'));
+    });
+
+    it('should use the default buckets for histograms without their own', () => {
+      const metrics = createRegistry({ buckets: [1, 2.5] });
+
+      metrics.histogram('payload_kb', 2);
+
+      expect(metrics.exposition().split('\n')).toEqual([
+        '# TYPE payload_kb histogram',
+        'payload_kb_bucket{le="1"} 0',
+        'payload_kb_bucket{le="2.5"} 1',
+        'payload_kb_bucket{le="+Inf"} 1',
+        'payload_kb_sum 2',
+        'payload_kb_count 1',
+        ''
+      ]);
+    });
+
+    it('should write counter totals and last gauge values, metrics sorted by name', () => {
+      const metrics = createRegistry();
+
+      metrics.gauge('queue_depth', 12);
+      metrics.gauge('queue_depth', 7);
+      metrics.counter('jobs_total', 2, { queue: 'emails' });
+      metrics.counter('jobs_total', 1, { queue: 'emails' });
+      metrics.counter('jobs_total', 0.5);
+
+      expect(metrics.exposition()).toBe([
+        '# TYPE jobs_total counter',
+        'jobs_total{queue="emails"} 3',
+        'jobs_total 0.5',
+        '# TYPE queue_depth gauge',
+        'queue_depth 7',
+        ''
+      ].join('\n'));
+    });
+
+    it('should escape label values and help text', () => {
+      const metrics = createRegistry();
+      metrics.define('errors_total', 'counter', { help: 'Errors\nby "path"' });
+
+      metrics.counter('errors_total', 1, { path: 'C:\\app\n"main"' });
+
+      expect(metrics.exposition()).toBe([
+        '# HELP errors_total Errors\\nby "path"',
+        '# TYPE errors_total counter',
+        'errors_total{path="C:\\\\app\\n\\"main\\""} 1',
+        ''
+      ].join('\n'));
+    });
+
+    it('should skip values that conflict with a metric or use invalid names', () => {
+      const metrics = createRegistry();
+
+      metrics.counter('jobs_total', 1);
+      metrics.gauge('jobs_total', 5);
+      metrics.counter('jobs_total', -1);
+      metrics.counter('jobs total', 1);
+      metrics.counter('jobs_total', 1, { le: '1' });
+      metrics.histogram('latency_ms', NaN);
+
+      expect(metrics.exposition()).toBe('# TYPE jobs_total counter\njobs_total 1\n');
+    });
+
+    it('should drop label combinations beyond maxSeries', () => {
+      const metrics = createRegistry({ maxSeries: 2 });
+
+      for (const user of ['a', 'b', 'c']) {
+        metrics.counter('logins_total', 1, { user });
+      }
+
+      expect(metrics.exposition()).not.toContain('user="c"');
+    });
+  });
+
+  describe('derived metrics', () => {
+    it('should count every observed entry by service and level', () => {
+      const metrics = createRegistry();
+
+      metrics.observe(createEntry('info', 'api', 'Request handled'));
+      metrics.observe(createEntry('INFO' as LogLevel, 'api', 'Request handled'));
+      metrics.observe(createEntry('error', 'worker', 'Job failed'));
+
+      expect(metrics.exposition()).toBe([
+        '# HELP log_entries_total Log entries ingested, before sampling',
+        '# TYPE log_entries_total counter',
+        'log_entries_total{service="api",level="info"} 2',
+        'log_entries_total{service="worker",level="error"} 1',
+        ''
+      ].join('\n'));
+    });
+
+    it('should derive histograms from numeric fields of matching entries', () => {
+      const metrics = createRegistry({
+        rules: [{
+          name: 'http_request_duration_ms',
+          type: 'histogram',
+          service: 'api',
+          pattern: '/^(GET|POST) /',
+          value: 'meta.duration',
+          labels: { method: 'meta.request.method', status: 'meta.status' },
+          buckets: [100, 500]
+        }]
+      });
+
+      metrics.observe(createEntry('info', 'api', 'GET /orders', { duration: 42, status: 200, request: { method: 'GET' } }));
+      metrics.observe(createEntry('info', 'api', 'GET /orders', { duration: '480', status: 200, request: { method: 'GET' } }));
+      metrics.observe(createEntry('warn', 'api', 'POST /orders', { duration: 1200, request: { method: 'POST' } }));
+      // No numeric value, another service, or a message the pattern doesn't match
+      metrics.observe(createEntry('info', 'api', 'GET /health', { duration: 'fast' }));
+      metrics.observe(createEntry('info', 'worker', 'GET /orders', { duration: 10 }));
+      metrics.observe(createEntry('info', 'api', 'Cache warmed', { duration: 10 }));
+
+      const lines = metrics.exposition().split('\n').filter(line => line.startsWith('http_request_duration_ms'));
+      expect(lines).toEqual([
+        'http_request_duration_ms_bucket{method="GET",status="200",le="100"} 1',
+        'http_request_duration_ms_bucket{method="GET",status="200",le="500"} 2',
+        'http_request_duration_ms_bucket{method="GET",status="200",le="+Inf"} 2',
+        'http_request_duration_ms_sum{method="GET",status="200"} 522',
+        'http_request_duration_ms_count{method="GET",status="200"} 2',
+        'http_request_duration_ms_bucket{method="POST",le="100"} 0',
+        'http_request_duration_ms_bucket{method="POST",le="500"} 0',
+        'http_request_duration_ms_bucket{method="POST",le="+Inf"} 1',
+        'http_request_duration_ms_sum{method="POST"} 1200',
+        'http_request_duration_ms_count{method="POST"} 1'
+      ]);
+    });
+
+    it('should skip invalid rules', () => {
+      const metrics = createRegistry({
+        rules: [
+          { name: 'bad name', type: 'counter' },
+          { name: 'durations', type: 'histogram' },
+          { name: 'by_host', type: 'counter', labels: { host: 'hostname' } },
+          { name: 'log_entries_total', type: 'counter' }
+        ]
+      });
+
+      expect(metrics.list().map(metric => metric.name)).toEqual(['log_entries_total']);
+    });
+  });
+
+  describe('rollups', () => {
+    it('should write buffered values to minute and hour rollups on flush', async () => {
+      const metrics = createRegistry();
+      metrics.define('request_duration_ms', 'histogram', { buckets: [10, 100] });
+      // Older buckets than the retention are pruned on flush
+      metrics.observe({ ...createEntry('info', 'api', 'Request handled'), timestamp: Date.now() });
+      metrics.histogram('request_duration_ms', 50);
+      metrics.histogram('request_duration_ms', 150);
+
+      await metrics.flush();
+
+      const rows = db.query("SELECT resolution, count, sum, min, max, histogram FROM metric_rollups WHERE name = 'request_duration_ms' ORDER BY resolution");
+      expect(rows.map(row => ({ ...row, histogram: JSON.parse(row.histogram) }))).toEqual([60_000, 3_600_000].map(resolution => ({
+        resolution,
+        count: 2,
+        sum: 200,
+        min: 50,
+        max: 150,
+        histogram: { bounds: [10, 100], counts: [0, 1, 1] }
+      })));
+      expect(db.query("SELECT labels, count FROM metric_rollups WHERE name = 'log_entries_total' AND resolution = 60000")).toEqual([
+        { labels: '{"level":"info","service":"api"}', count: 1 }
+      ]);
+    });
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ * Tests for the structured log query language: compiled filters, match-all
+ * queries and aggregations by field and time bucket
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { createDatabaseConnection, DatabaseConnection } from '../src/database/connection.js';
+import { compileLogQuery } from '../src/logging/query.js';
+import { LoggingService } from '../src/logging/service.js';
+
+const MINUTE = 60 * 1000;
+const START = Date.UTC(2024, 5, 1);
+
+describe('compileLogQuery', () => {
+  it('should not search the full-text index for a lone asterisk', () => {
+    const compiled = compileLogQuery('* | count by service');
+
+    expect(compiled.sql).not.toContain('log_entries_fts');
+    expect(compiled.params).not.toContain('"*"');
+  });
+
+  it('should still search the index for a quoted asterisk', () => {
+    expect(compileLogQuery('"*"').sql).toContain('log_entries_fts MATCH ?');
+  });
+
+  it('should bucket timestamps with integer division', () => {
+    expect(compileLogQuery('| count by 5m').sql).toContain('CAST(timestamp / ? AS INTEGER) * ? AS bucket');
+  });
+});
+
+describe('LoggingService.queryLogs', () => {
+  let db: DatabaseConnection;
+  let service: LoggingService;
+
+  beforeAll(async () => {
+    db = await createDatabaseConnection({ path: ':memory:' });
+    service = new LoggingService(db, { templates: { enabled: false } });
+
+    const rows: Array<[number, string, string, string, number]> = [
+      [0, 'info', 'api', 'Request handled', 120],
+      [1, 'error', 'api', 'Request failed', 480],
+      [4, 'info', 'worker', 'Job finished', 2000],
+      [6, 'info', 'api', 'Request handled', 90],
+      [9, 'warn', 'api', 'Request slow', 1500],
+      [12, 'info', 'worker', 'Job finished', 1800]
+    ];
+    rows.forEach(([minutes, level, svc, message, duration], i) => {
+      db.execute(
+        'INSERT INTO log_entries (id, timestamp, level, service, message, metadata) VALUES (?, ?, ?, ?, ?, ?)',
+        [`log_${i + 1}`, START + minutes * MINUTE + 1234, level, svc, message, JSON.stringify({ duration })]
+      );
+    });
+  });
+
+  afterAll(async () => {
+    await service.shutdown();
+    await db.disconnect();
+  });
+
+  const rowsFor = async (query: string) => {
+    const result = await service.queryLogs(query);
+    return result.kind === 'aggregate' ? result.rows : [];
+  };
+
+  it('should count every entry for a match-all query', async () => {
+    expect(await rowsFor('* | count by service')).toEqual([
+      { service: 'api', count: 4, estimatedCount: 4 },
+      { service: 'worker', count: 2, estimatedCount: 2 }
+    ]);
+  });
+
+  it('should combine a match-all term with other filters', async () => {
+    const result = await service.queryLogs('* level:info');
+
+    expect(result.kind === 'entries' && result.entries.map(entry => entry.id)).toEqual(['log_6', 'log_4', 'log_3', 'log_1']);
+  });
+
+  it('should aggregate into buckets aligned to the bucket size', async () => {
+    expect(await rowsFor('| count by 5m')).toEqual([
+      { bucket: START, count: 3, estimatedCount: 3 },
+      { bucket: START + 5 * MINUTE, count: 2, estimatedCount: 2 },
+      { bucket: START + 10 * MINUTE, count: 1, estimatedCount: 1 }
+    ]);
+  });
+
+  it('should aggregate by field and time bucket together', async () => {
+    expect(await rowsFor('service:api | max(meta.duration) by service, 5m')).toEqual([
+      { service: 'api', bucket: START, 'max(meta.duration)': 480 },
+      { service: 'api', bucket: START + 5 * MINUTE, 'max(meta.duration)': 1500 }
+    ]);
+  });
+});
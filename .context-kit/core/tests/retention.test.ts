@@ -0,0 +1,175 @@
+/**
+ * Tests for tiered log retention: per-level and per-service periods, archive
+ * segments, restores and the count-based cap
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { existsSync, mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createDatabaseConnection, DatabaseConnection } from '../src/database/connection.js';
+import { LogRetentionManager, RetentionManagerOptions } from '../src/logging/retention.js';
+import type { LogLevel, RetentionConfig } from '../src/types/logging.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = Date.UTC(2024, 5, 1);
+
+describe('LogRetentionManager', () => {
+  let db: DatabaseConnection;
+  let dir: string;
+
+  beforeEach(async () => {
+    vi.useFakeTimers({ toFake: ['Date'], now: NOW });
+    db = await createDatabaseConnection({ path: ':memory:' });
+    dir = mkdtempSync(join(tmpdir(), 'retention-'));
+  });
+
+  afterEach(async () => {
+    vi.useRealTimers();
+    await db.disconnect();
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  const insert = (id: string, daysOld: number, level: LogLevel = 'info', service = 'api') => {
+    db.execute(
+      'INSERT INTO log_entries (id, timestamp, level, service, message, metadata) VALUES (?, ?, ?, ?, ?, ?)',
+      [id, NOW - daysOld * DAY, level, service, `${level} from ${service}`, '{}']
+    );
+  };
+
+  const storedIds = () => db.query('SELECT id FROM log_entries ORDER BY id').map((row: any) => row.id);
+
+  const createManager = (config: RetentionConfig, options: Partial<RetentionManagerOptions> = {}) =>
+    new LogRetentionManager(db, config, { defaultArchiveDirectory: dir, ...options });
+
+  describe('retention periods', () => {
+    beforeEach(() => {
+      insert('debug-2d', 2, 'debug');
+      insert('info-10d', 10);
+      insert('info-40d', 40);
+      insert('error-40d', 40, 'error');
+      insert('audit-debug-100d', 100, 'debug', 'audit');
+    });
+
+    const tiers: RetentionConfig = {
+      defaultPeriod: 30,
+      byLevel: { debug: 1, ERROR: 90 } as RetentionConfig['byLevel'],
+      byService: { audit: 365 }
+    };
+
+    it('should delete rows past the longest of their level and service periods', async () => {
+      const result = await createManager(tiers).run();
+
+      expect(result).toMatchObject({ deleted: 2, archived: 0, timedOut: false, error: null });
+      expect(storedIds()).toEqual(['audit-debug-100d', 'error-40d', 'info-10d']);
+    });
+
+    it('should only count rows on a dry run', async () => {
+      const result = await createManager(tiers).run({ dryRun: true });
+
+      expect(result).toMatchObject({ dryRun: true, deleted: 2 });
+      expect(storedIds()).toHaveLength(5);
+    });
+
+    it('should apply a default period override for one run', async () => {
+      const result = await createManager(tiers).run({ defaultPeriod: 7 });
+
+      expect(result.deleted).toBe(3);
+      expect(storedIds()).not.toContain('info-10d');
+    });
+
+    it('should report the configured periods with levels lowercased', () => {
+      expect(createManager(tiers).getStats().retention).toMatchObject({
+        defaultPeriod: 30,
+        byLevel: { debug: 1, error: 90 },
+        byService: { audit: 365 },
+        archiveAfterDays: null
+      });
+    });
+  });
+
+  describe('archiving', () => {
+    const createArchivingManager = () => createManager({
+      defaultPeriod: 30,
+      byLevel: { debug: 1 },
+      archive: { enabled: true, archiveAfterDays: 7, storageType: 'file', options: { directory: dir } }
+    });
+
+    beforeEach(() => {
+      insert('debug-2d', 2, 'debug');
+      insert('info-3d', 3);
+      insert('info-10d', 10);
+      insert('info-20d', 20);
+      insert('info-40d', 40);
+    });
+
+    it('should move rows older than archiveAfterDays to a segment while they are within retention', async () => {
+      const manager = createArchivingManager();
+      const result = await manager.run();
+
+      expect(result).toMatchObject({ deleted: 4, archived: 2, segmentsWritten: 1 });
+      expect(storedIds()).toEqual(['info-3d']);
+
+      const stats = manager.getStats().archive;
+      expect(stats).toMatchObject({ enabled: true, directory: dir, segments: 1, entries: 2 });
+      expect(stats.oldestEntry).toBe(NOW - 20 * DAY);
+      expect(stats.newestEntry).toBe(NOW - 10 * DAY);
+    });
+
+    it('should restore archived rows once and hold them for restoreHoldDays', async () => {
+      const manager = createArchivingManager();
+      await manager.run();
+
+      expect(await manager.restore({ from: NOW - 15 * DAY })).toEqual({ segments: 1, restored: 1, skipped: 0, missing: 0 });
+      expect(await manager.restore()).toEqual({ segments: 1, restored: 1, skipped: 1, missing: 0 });
+      expect(storedIds()).toEqual(['info-10d', 'info-20d', 'info-3d']);
+
+      // Still held a few hours later, then dropped without being archived again
+      vi.setSystemTime(NOW + 6 * 60 * 60 * 1000);
+      expect((await manager.run()).deleted).toBe(0);
+
+      vi.setSystemTime(NOW + 2 * DAY);
+      const result = await manager.run();
+      expect(result).toMatchObject({ deleted: 2, archived: 0, segmentsWritten: 0 });
+      expect(storedIds()).toEqual(['info-3d']);
+    });
+
+    it('should prune a segment once all its rows are past retention', async () => {
+      const manager = createArchivingManager();
+      await manager.run();
+      const [segment] = db.query('SELECT path FROM log_archive_segments');
+      expect(existsSync(segment.path)).toBe(true);
+
+      vi.setSystemTime(NOW + 15 * DAY);
+      expect((await manager.run()).segmentsPruned).toBe(0);
+
+      vi.setSystemTime(NOW + 21 * DAY);
+      expect((await manager.run()).segmentsPruned).toBe(1);
+      expect(existsSync(segment.path)).toBe(false);
+      // The segment info-3d moved to on day 15
+      expect(manager.getStats().archive).toMatchObject({ segments: 1, entries: 1 });
+    });
+
+    it('should count missing segment files when restoring', async () => {
+      const manager = createArchivingManager();
+      await manager.run();
+      const [segment] = db.query('SELECT path FROM log_archive_segments');
+      rmSync(segment.path);
+
+      expect(await manager.restore()).toEqual({ segments: 0, restored: 0, skipped: 0, missing: 1 });
+    });
+  });
+
+  describe('count-based retention', () => {
+    it('should remove the oldest rows beyond maxEntries', async () => {
+      for (let i = 1; i <= 5; i++) {
+        insert(`info-${i}d`, i);
+      }
+
+      const result = await createManager({ defaultPeriod: 30 }, { maxEntries: 3 }).run();
+
+      expect(result.deleted).toBe(2);
+      expect(storedIds()).toEqual(['info-1d', 'info-2d', 'info-3d']);
+    });
+  });
+});
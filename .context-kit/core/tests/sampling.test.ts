@@ -0,0 +1,236 @@
+/**
+ * Tests for log sampling decisions: rule matching and priority, kept error
+ * levels, deterministic and adaptive strategies, and stored sample rates
+ */
+
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { createDatabaseConnection } from '../src/database/connection.js';
+import { LogSampler } from '../src/logging/sampling.js';
+import { LoggingService } from '../src/logging/service.js';
+import type { LogEntry, LogLevel } from '../src/types/logging.js';
+
+let sequence = 0;
+
+function createEntry(overrides: Partial<LogEntry> = {}): LogEntry {
+  sequence++;
+  return {
+    id: `log_${sequence}`,
+    timestamp: Date.now(),
+    level: 'info',
+    service: 'api',
+    source: 'server.ts',
+    message: 'Request handled',
+    ...overrides
+  };
+}
+
+const atLevel = (level: LogLevel, overrides: Partial<LogEntry> = {}) => createEntry({ level, ...overrides });
+
+describe('LogSampler', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+    vi.useRealTimers();
+  });
+
+  describe('rules', () => {
+    it('should keep every entry at the default rate of 1', () => {
+      const sampler = new LogSampler({ enabled: true, defaultRate: 1 });
+
+      expect(sampler.sample(createEntry())).toBe(1);
+    });
+
+    it('should apply the rate of a matching rule', () => {
+      const sampler = new LogSampler({
+        enabled: true,
+        defaultRate: 1,
+        rules: [{ condition: 'service = vite-dev && level = debug,trace', rate: 0 }]
+      });
+
+      expect(sampler.sample(atLevel('debug', { service: 'vite-dev' }))).toBe(0);
+      expect(sampler.sample(atLevel('trace', { service: 'vite-dev' }))).toBe(0);
+      expect(sampler.sample(atLevel('info', { service: 'vite-dev' }))).toBe(1);
+      expect(sampler.sample(atLevel('debug', { service: 'api' }))).toBe(1);
+    });
+
+    it('should match messages by regular expression and support negation', () => {
+      const sampler = new LogSampler({
+        enabled: true,
+        defaultRate: 1,
+        rules: [{ condition: 'message ~ /hmr update/i && service != dashboard', rate: 0 }]
+      });
+
+      expect(sampler.sample(createEntry({ message: '[vite] HMR update /src/App.tsx' }))).toBe(0);
+      expect(sampler.sample(createEntry({ message: '[vite] HMR update /src/App.tsx', service: 'dashboard' }))).toBe(1);
+      expect(sampler.sample(createEntry({ message: 'Page reload' }))).toBe(1);
+    });
+
+    it('should use the highest-priority matching rule', () => {
+      const sampler = new LogSampler({
+        enabled: true,
+        defaultRate: 1,
+        rules: [
+          { condition: 'service = api', rate: 0 },
+          { condition: 'message ~ checkout', rate: 1, priority: 10 }
+        ]
+      });
+
+      expect(sampler.sample(createEntry({ message: 'checkout completed' }))).toBe(1);
+      expect(sampler.sample(createEntry({ message: 'cart viewed' }))).toBe(0);
+    });
+
+    it('should keep errors and fatals unless a rule selects them by level', () => {
+      const sampler = new LogSampler({
+        enabled: true,
+        defaultRate: 0,
+        rules: [
+          { condition: 'service = api', rate: 0 },
+          { condition: 'service = worker && level = error', rate: 0 }
+        ]
+      });
+
+      expect(sampler.sample(atLevel('info'))).toBe(0);
+      expect(sampler.sample(atLevel('error'))).toBe(1);
+      expect(sampler.sample(atLevel('fatal', { service: 'web' }))).toBe(1);
+      expect(sampler.sample(atLevel('error', { service: 'worker' }))).toBe(0);
+    });
+
+    it('should skip invalid rules', () => {
+      const sampler = new LogSampler({
+        enabled: true,
+        defaultRate: 1,
+        rules: [{ condition: 'host = web-1', rate: 0 }]
+      });
+
+      expect(sampler.sample(createEntry())).toBe(1);
+    });
+
+    it('should count kept and dropped entries per rule', () => {
+      const sampler = new LogSampler({
+        enabled: true,
+        defaultRate: 1,
+        rules: [{ condition: 'level = debug', rate: 0 }]
+      });
+
+      sampler.sample(atLevel('debug'));
+      sampler.sample(atLevel('debug'));
+      sampler.sample(atLevel('info'));
+
+      expect(sampler.getStats()).toMatchObject({
+        strategy: 'random',
+        kept: 1,
+        dropped: 2,
+        byRule: {
+          'level = debug': { kept: 0, dropped: 2 },
+          '(default)': { kept: 1, dropped: 0 }
+        }
+      });
+    });
+  });
+
+  describe('random strategy', () => {
+    it('should keep an entry when the draw is below the rate and report that rate', () => {
+      const sampler = new LogSampler({ enabled: true, defaultRate: 0.5 });
+      vi.spyOn(Math, 'random').mockReturnValueOnce(0.4).mockReturnValueOnce(0.6);
+
+      expect(sampler.sample(createEntry())).toBe(0.5);
+      expect(sampler.sample(createEntry())).toBe(0);
+    });
+  });
+
+  describe('deterministic strategy', () => {
+    it('should keep or drop a trace as a whole', () => {
+      const sampler = new LogSampler({ enabled: true, defaultRate: 0.5, strategy: 'deterministic' });
+      const decisions = new Set<number>();
+
+      for (let i = 0; i < 20; i++) {
+        decisions.add(sampler.sample(createEntry({ trace: { traceId: 'trace-checkout-42', spanId: `span-${i}` } })));
+      }
+
+      expect(decisions.size).toBe(1);
+    });
+
+    it('should keep about the configured share of traces', () => {
+      const sampler = new LogSampler({ enabled: true, defaultRate: 0.25, strategy: 'deterministic' });
+      let kept = 0;
+
+      for (let i = 0; i < 2000; i++) {
+        if (sampler.sample(createEntry({ trace: { traceId: `trace-${i}`, spanId: 'span' } })) > 0) {
+          kept++;
+        }
+      }
+
+      expect(kept / 2000).toBeGreaterThan(0.2);
+      expect(kept / 2000).toBeLessThan(0.3);
+    });
+  });
+
+  describe('adaptive strategy', () => {
+    it('should lower the rate while ingest velocity is above the target', () => {
+      vi.useFakeTimers({ now: 0 });
+      vi.spyOn(Math, 'random').mockReturnValue(0);
+      const sampler = new LogSampler({
+        enabled: true,
+        defaultRate: 1,
+        adaptive: { targetRate: 100, adjustmentInterval: 1000, minRate: 0.01, maxRate: 1, adjustmentFactor: 0.5 }
+      });
+
+      for (let i = 0; i < 999; i++) {
+        sampler.sample(createEntry());
+      }
+      vi.setSystemTime(1000);
+      const rate = sampler.sample(createEntry());
+
+      // 1000 entries/s against a target of 100/s: the factor moves halfway from 1 toward 0.1
+      expect(sampler.getStats()).toMatchObject({ strategy: 'adaptive', velocity: 1000 });
+      expect(sampler.getStats().factor).toBeCloseTo(0.55);
+      expect(rate).toBeCloseTo(0.55);
+    });
+
+    it('should not drop below the minimum rate', () => {
+      vi.useFakeTimers({ now: 0 });
+      const sampler = new LogSampler({
+        enabled: true,
+        defaultRate: 1,
+        adaptive: { targetRate: 1, adjustmentInterval: 1000, minRate: 0.2, maxRate: 1, adjustmentFactor: 1 }
+      });
+
+      for (let second = 1; second <= 3; second++) {
+        for (let i = 0; i < 500; i++) {
+          sampler.sample(createEntry());
+        }
+        vi.setSystemTime(second * 1000);
+        sampler.sample(createEntry());
+      }
+
+      expect(sampler.getStats().factor).toBe(0.2);
+    });
+  });
+});
+
+describe('LoggingService sampling', () => {
+  it('should store kept entries with their sample rate, folding in client-side sampling', async () => {
+    const db = await createDatabaseConnection({ path: ':memory:' });
+    const service = new LoggingService(db, {
+      sampling: { enabled: true, defaultRate: 1, rules: [{ condition: 'level = debug', rate: 0 }] },
+      templates: { enabled: false }
+    });
+
+    await service.logBatch({
+      entries: [
+        createEntry({ message: 'kept' }),
+        createEntry({ message: 'sampled by the browser', metadata: { sampled: 4 } }),
+        atLevel('debug', { message: 'dropped' })
+      ],
+      timestamp: Date.now(),
+      source: 'tests'
+    });
+    await service.shutdown();
+
+    const rows = db.query('SELECT message, sample_rate FROM log_entries ORDER BY message');
+    expect(rows).toEqual([
+      { message: 'kept', sample_rate: 1 },
+      { message: 'sampled by the browser', sample_rate: 0.25 }
+    ]);
+    await db.disconnect();
+  });
+});
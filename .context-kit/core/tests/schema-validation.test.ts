@@ -0,0 +1,288 @@
+/**
+ * Tests for knowledge graph schema validation: type definitions, the JSON
+ * Schema subset, and strict, warn and off modes for entities and relations
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createDatabaseConnection, DatabaseConnection } from '../src/database/connection.js';
+import { KnowledgeGraph } from '../src/knowledge-graph/core.js';
+import { SchemaValidationError, TypeRegistry } from '../src/knowledge-graph/type-registry.js';
+import { knowledgeGraphLogger } from '../src/utils/logger.js';
+import type { EntityTypeDefinition, KnowledgeGraphConfig, RelationTypeDefinition } from '../src/types/knowledge-graph.js';
+
+/** A definition with the defaults the registry fills in for omitted fields */
+const entityType = (definition: Partial<EntityTypeDefinition> & { name: string }): EntityTypeDefinition =>
+  ({ description: '', requiredProperties: [], ...definition });
+
+const relationType = (definition: Partial<RelationTypeDefinition> & { name: string }): RelationTypeDefinition =>
+  ({ description: '', validSourceTypes: [], validTargetTypes: [], ...definition });
+
+const COMPONENT = entityType({
+  name: 'Component',
+  requiredProperties: ['file_path'],
+  optionalProperties: ['props', 'exported'],
+  schema: {
+    type: 'object',
+    properties: {
+      file_path: { type: 'string', pattern: '\\.(tsx|jsx)$' },
+      props: { type: 'array', items: { type: 'string' } },
+      exported: { type: 'boolean' }
+    }
+  }
+});
+
+const SERVICE = entityType({ name: 'Service', requiredProperties: ['port'] });
+
+const RENDERS = relationType({
+  name: 'RENDERS',
+  validSourceTypes: ['Component'],
+  validTargetTypes: ['Component'],
+  propertiesSchema: { type: 'object', properties: { line: { type: 'integer', minimum: 1 } }, additionalProperties: false }
+});
+
+const CALLS = relationType({
+  name: 'CALLS',
+  validSourceTypes: ['Component'],
+  validTargetTypes: ['Service'],
+  bidirectional: true
+});
+
+describe('TypeRegistry', () => {
+  let db: DatabaseConnection;
+  let registry: TypeRegistry;
+
+  beforeEach(async () => {
+    db = await createDatabaseConnection({ path: ':memory:' });
+    registry = new TypeRegistry(db);
+  });
+
+  afterEach(async () => {
+    await db.disconnect();
+  });
+
+  it('should accept everything until a type of that kind is registered', () => {
+    expect(registry.validateEntity('Anything', { x: 1 })).toEqual([]);
+    expect(registry.validateRelation('ANY', 'A', 'B', {})).toEqual([]);
+
+    registry.registerEntityType(SERVICE);
+
+    expect(registry.validateEntity('Anything', {})).toEqual(["Unknown entity type 'Anything'"]);
+    expect(registry.validateRelation('ANY', 'A', 'B', {})).toEqual([]);
+  });
+
+  it('should check required and optional properties', () => {
+    registry.registerEntityType(COMPONENT);
+
+    expect(registry.validateEntity('Component', { file_path: 'src/App.tsx', exported: true })).toEqual([]);
+    expect(registry.validateEntity('Component', { file_path: null, owner: 'ui' })).toEqual([
+      'Component requires data.file_path',
+      'Component does not define data.owner',
+      'data.file_path must be string, got null'
+    ]);
+  });
+
+  it.each([
+    [{ type: 'integer' }, 1.5, ['data must be integer, got number']],
+    [{ type: ['string', 'null'] }, null, []],
+    [{ enum: ['draft', 'done'] }, 'open', ['data must be one of "draft", "done"']],
+    [{ const: 2 }, 3, ['data must equal 2']],
+    [{ type: 'string', minLength: 2, maxLength: 3 }, 'abcd', ['data must be at most 3 characters']],
+    [{ type: 'string', pattern: '^v\\d+$' }, 'x1', ['data must match /^v\\d+$/']],
+    [{ type: 'number', minimum: 0, exclusiveMaximum: 1 }, 1, ['data must be < 1']],
+    [{ type: 'array', minItems: 1, items: { type: 'string' } }, ['a', 2], ['data[1] must be string, got integer']],
+    [{ anyOf: [{ type: 'string' }, { type: 'integer', minimum: 0 }] }, -1, ['data does not match any allowed schema']],
+    [
+      { type: 'object', required: ['id'], properties: { id: { type: 'string' } }, additionalProperties: { type: 'number' } },
+      { size: 'big' },
+      ['data.id is required', 'data.size must be number, got string']
+    ],
+    [{ type: 'object', properties: { meta: { type: 'object', additionalProperties: false } } }, { meta: { x: 1 } }, ['data.meta.x is not an allowed property']]
+  ])('should check JSON Schema %j against %j', (schema, value, violations) => {
+    registry.registerEntityType(entityType({ name: 'Sample', schema: { type: 'object', properties: { value: schema } } }));
+
+    expect(registry.validateEntity('Sample', { value })).toEqual(violations.map(violation => violation.replace(/^data/, 'data.value')));
+  });
+
+  it('should check relation endpoints, accepting bidirectional types either way round', () => {
+    registry.registerRelationType(RENDERS);
+    registry.registerRelationType(CALLS);
+
+    expect(registry.validateRelation('RENDERS', 'Component', 'Component', { line: 3 })).toEqual([]);
+    expect(registry.validateRelation('RENDERS', 'Service', 'Hook', { line: 0, file: 'x' })).toEqual([
+      'RENDERS cannot start from Service; expected Component',
+      'RENDERS cannot point to Hook; expected Component',
+      'properties.line must be >= 1',
+      'properties.file is not an allowed property'
+    ]);
+    expect(registry.validateRelation('CALLS', 'Service', 'Component', {})).toEqual([]);
+    expect(registry.validateRelation('CALLS', 'Service', 'Service', {})).toEqual([
+      'CALLS cannot start from Service; expected Component'
+    ]);
+  });
+
+  it('should suggest the registered type an unknown one most likely meant', () => {
+    registry.registerEntityType(entityType({ name: 'UIComponent' }));
+    registry.registerRelationType(relationType({ name: 'DEPENDS_ON' }));
+
+    expect(registry.validateEntity('ui-component', {})).toEqual(["Unknown entity type 'ui-component'; did you mean 'UIComponent'?"]);
+    expect(registry.validateRelation('DEPEND_ON', 'A', 'B', {})).toEqual(["Unknown relation type 'DEPEND_ON'; did you mean 'DEPENDS_ON'?"]);
+    expect(registry.validateEntity('Page', {})).toEqual(["Unknown entity type 'Page'"]);
+  });
+
+  it('should reject invalid and near-duplicate definitions', () => {
+    registry.registerEntityType(entityType({ name: 'UIComponent' }));
+
+    expect(() => registry.registerEntityType(entityType({ name: ' ' }))).toThrow('Entity type name must be a non-empty string');
+    expect(() => registry.registerEntityType(entityType({ name: 'ui_component' }))).toThrow(SchemaValidationError);
+    expect(() => registry.registerEntityType(entityType({ name: 'Page', requiredProperties: 'path' as any, schema: 'object' as any })))
+      .toThrow("Invalid entity type 'Page': requiredProperties must be an array of strings; schema must be a JSON Schema object");
+    expect(() => registry.registerRelationType(relationType({ name: 'USES', validSourceTypes: [1] as any })))
+      .toThrow('validSourceTypes must be an array of strings');
+
+    // Replacing a definition under its own name is fine
+    expect(registry.registerEntityType(entityType({ name: 'UIComponent', description: 'Shared UI' })).description).toBe('Shared UI');
+    expect(registry.listEntityTypes().map(type => type.name)).toEqual(['UIComponent']);
+  });
+
+  it('should report types in use that have no definition', () => {
+    registry.registerEntityType(entityType({ name: 'Component' }));
+    db.execute("INSERT INTO entities (id, type, name, data) VALUES ('e1', 'component', 'A', '{}'), ('e2', 'component', 'B', '{}'), ('e3', 'Store', 'C', '{}'), ('e4', 'Component', 'D', '{}')");
+
+    expect(registry.findUnregistered().entityTypes).toEqual([
+      { name: 'component', count: 2, similarTo: 'Component' },
+      { name: 'Store', count: 1 }
+    ]);
+  });
+});
+
+describe('KnowledgeGraph schema validation', () => {
+  let db: DatabaseConnection;
+
+  beforeEach(async () => {
+    db = await createDatabaseConnection({ path: ':memory:' });
+  });
+
+  afterEach(async () => {
+    vi.restoreAllMocks();
+    await db.disconnect();
+  });
+
+  const createGraph = (config: KnowledgeGraphConfig) => {
+    const kg = new KnowledgeGraph(db, config);
+    kg.registerEntityType(COMPONENT);
+    kg.registerEntityType(SERVICE);
+    kg.registerRelationType(RENDERS);
+    return kg;
+  };
+
+  const entityCount = () => db.queryOne('SELECT COUNT(*) AS count FROM entities').count;
+
+  describe('strict', () => {
+    it('should reject entities that break their type, with every violation', async () => {
+      const kg = createGraph({ schemaValidation: 'strict' });
+
+      const attempt = kg.createEntity({ type: 'Component', name: 'Button', data: { file_path: 'Button.vue', props: 'label' } });
+
+      await expect(attempt).rejects.toThrow(SchemaValidationError);
+      await expect(attempt).rejects.toMatchObject({
+        message: "Component 'Button' does not match its type: data.file_path must match /\\.(tsx|jsx)$/; data.props must be array, got string",
+        violations: ['data.file_path must match /\\.(tsx|jsx)$/', 'data.props must be array, got string']
+      });
+      await expect(kg.createEntity({ type: 'Widget', name: 'Clock' })).rejects.toThrow("Unknown entity type 'Widget'");
+      expect(entityCount()).toBe(0);
+    });
+
+    it('should store valid entities', async () => {
+      const kg = createGraph({ schemaValidation: 'strict' });
+
+      const entity = await kg.createEntity({ type: 'Component', name: 'Button', data: { file_path: 'Button.tsx', props: ['label'] } });
+
+      expect(await kg.getEntity(entity.id)).toMatchObject({ type: 'Component', data: { file_path: 'Button.tsx' } });
+    });
+
+    it('should validate the merged data of an update and keep the stored version on failure', async () => {
+      const kg = createGraph({ schemaValidation: 'strict' });
+      const entity = await kg.createEntity({ type: 'Service', name: 'api', data: { port: 3000 } });
+
+      await expect(kg.updateEntity(entity.id, { type: 'Component' })).rejects.toThrow('Component requires data.file_path');
+      expect(await kg.updateEntity(entity.id, { data: { port: 3001 } })).toMatchObject({ version: 2, data: { port: 3001 } });
+      expect(await kg.getEntity(entity.id)).toMatchObject({ type: 'Service', version: 2 });
+    });
+
+    it('should reject relations with invalid endpoints or properties', async () => {
+      const kg = createGraph({ schemaValidation: 'strict' });
+      const app = await kg.createEntity({ type: 'Component', name: 'App', data: { file_path: 'App.tsx' } });
+      const button = await kg.createEntity({ type: 'Component', name: 'Button', data: { file_path: 'Button.tsx' } });
+      const api = await kg.createEntity({ type: 'Service', name: 'api', data: { port: 3000 } });
+
+      await expect(kg.createRelation({ type: 'RENDERS', from_id: app.id, to_id: api.id } as any))
+        .rejects.toThrow('Relation App -RENDERS-> api does not match its type: RENDERS cannot point to Service; expected Component');
+      await expect(kg.createRelation({ type: 'RENDERS', from_id: app.id, to_id: button.id, properties: { line: 1.5 } } as any))
+        .rejects.toThrow('properties.line must be integer, got number');
+      await expect(kg.createRelation({ type: 'RENDER', from_id: app.id, to_id: button.id } as any))
+        .rejects.toThrow("Unknown relation type 'RENDER'; did you mean 'RENDERS'?");
+
+      await kg.createRelation({ type: 'RENDERS', from_id: app.id, to_id: button.id, properties: { line: 4 } } as any);
+      expect(db.query('SELECT type FROM relations')).toEqual([{ type: 'RENDERS' }]);
+    });
+  });
+
+  describe('warn', () => {
+    it('should store entities and relations that break their type and log the violations', async () => {
+      const warn = vi.spyOn(knowledgeGraphLogger, 'warn');
+      const kg = createGraph({ schemaValidation: 'warn' });
+
+      const service = await kg.createEntity({ type: 'Service', name: 'api' });
+      const widget = await kg.createEntity({ type: 'Widget', name: 'Clock' });
+      await kg.createRelation({ type: 'RENDERS', from_id: widget.id, to_id: service.id } as any);
+
+      expect(entityCount()).toBe(2);
+      expect(warn).toHaveBeenCalledWith('Schema validation failed', {
+        subject: "Service 'api'",
+        violations: ['Service requires data.port']
+      });
+      expect(warn).toHaveBeenCalledWith('Schema validation failed', {
+        subject: "Widget 'Clock'",
+        violations: ["Unknown entity type 'Widget'"]
+      });
+      expect(warn).toHaveBeenCalledWith('Schema validation failed', {
+        subject: 'Relation Clock -RENDERS-> api',
+        violations: ['RENDERS cannot start from Widget; expected Component', 'RENDERS cannot point to Service; expected Component']
+      });
+    });
+
+    it('should be the default, also for unknown modes', async () => {
+      const warn = vi.spyOn(knowledgeGraphLogger, 'warn');
+
+      expect(createGraph({}).getSchema().mode).toBe('warn');
+      expect(createGraph({ schemaValidation: 'loose' as any }).getSchema().mode).toBe('warn');
+      expect(warn).toHaveBeenCalledWith('Unknown schema validation mode, using warn', { schemaValidation: 'loose' });
+    });
+  });
+
+  describe('off', () => {
+    it('should neither reject nor log anything', async () => {
+      const warn = vi.spyOn(knowledgeGraphLogger, 'warn');
+      const kg = createGraph({ schemaValidation: 'off' });
+
+      const service = await kg.createEntity({ type: 'Service', name: 'api' });
+      const widget = await kg.createEntity({ type: 'Widget', name: 'Clock' });
+      await kg.createRelation({ type: 'RENDERS', from_id: widget.id, to_id: service.id } as any);
+
+      expect(entityCount()).toBe(2);
+      expect(warn).not.toHaveBeenCalledWith('Schema validation failed', expect.anything());
+    });
+  });
+
+  it('should register types from the config, skipping invalid ones', () => {
+    const kg = new KnowledgeGraph(db, {
+      entityTypes: [SERVICE, entityType({ name: '' })],
+      relationTypes: [CALLS]
+    });
+
+    expect(kg.getSchema()).toMatchObject({
+      entityTypes: [{ name: 'Service', requiredProperties: ['port'] }],
+      relationTypes: [{ name: 'CALLS', bidirectional: true }]
+    });
+  });
+});
@@ -0,0 +1,136 @@
+/**
+ * Tests for full-text log search: query compilation to FTS5 MATCH
+ * expressions, syntax errors and searches over stored entries
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { createDatabaseConnection, DatabaseConnection } from '../src/database/connection.js';
+import { compileSearchQuery, LogSearchSyntaxError } from '../src/logging/search.js';
+import { LoggingService } from '../src/logging/service.js';
+
+describe('compileSearchQuery', () => {
+  it.each([
+    ['timeout', '"timeout"'],
+    ['conn*', '"conn" *'],
+    ['"connection reset"', '"connection reset"'],
+    ['"connection res"*', '"connection res" *'],
+    ['say "hi"', '("say" AND "hi")'],
+    ['timeout AND retry', '("timeout" AND "retry")'],
+    ['timeout retry', '("timeout" AND "retry")'],
+    ['timeout OR refused', '("timeout" OR "refused")'],
+    ['a OR b c', '("a" OR ("b" AND "c"))'],
+    ['(a OR b) c', '(("a" OR "b") AND "c")'],
+    ['timeout NOT retry', '("timeout") NOT "retry"'],
+    ['NOT retry timeout', '("timeout") NOT "retry"'],
+    ['timeout NOT (retry OR backoff)', '("timeout") NOT ("retry" OR "backoff")'],
+    ['service:api', 'service : "api"'],
+    ['level:error', 'level : "error"'],
+    ['message:"disk full"', 'message : "disk full"'],
+    ['meta.request.method:POST', 'meta : "request.method POST"'],
+    ['meta.user:"ada lovelace"*', 'meta : "user ada lovelace" *']
+  ])('should compile %s', (query, expected) => {
+    expect(compileSearchQuery(query)).toBe(expected);
+  });
+
+  it('should quote terms so FTS5 syntax in them is matched literally', () => {
+    expect(compileSearchQuery('it\'s')).toBe('"it\'s"');
+    expect(compileSearchQuery('NEAR')).toBe('"NEAR"');
+    expect(compileSearchQuery('x-request-id')).toBe('"x-request-id"');
+  });
+
+  it('should treat a lone asterisk and field-like words without a known field as terms', () => {
+    expect(compileSearchQuery('*')).toBe('"*"');
+    expect(compileSearchQuery('host:web-1')).toBe('"host:web-1"');
+  });
+
+  it.each([
+    ['', 'Empty search query at position 0'],
+    ['"unterminated', 'Unterminated phrase at position 0'],
+    ['timeout)', "Unexpected ')' at position 7"],
+    ['(timeout', "Expected ')' at position 8"],
+    ['timeout AND', 'Expected a search term at position 11'],
+    ['NOT timeout', 'NOT needs a term to exclude from at position 0'],
+    ['timeout OR NOT retry', 'NOT cannot be an alternative of OR at position 11'],
+    ['timeout NOT NOT retry', 'Double NOT at position 8'],
+    ['service: api', "Expected a value after 'service:' at position 0"],
+    ['meta.:x', "Expected a metadata key after 'meta.' at position 0"]
+  ])('should reject %j', (query, message) => {
+    expect(() => compileSearchQuery(query)).toThrow(message);
+  });
+
+  it('should report the position and query of a syntax error', () => {
+    try {
+      compileSearchQuery('timeout OR (retry');
+      expect.unreachable();
+    } catch (error) {
+      expect(error).toBeInstanceOf(LogSearchSyntaxError);
+      expect(error).toMatchObject({ name: 'LogSearchSyntaxError', position: 17, query: 'timeout OR (retry' });
+    }
+  });
+});
+
+describe('LoggingService.searchLogs', () => {
+  let db: DatabaseConnection;
+  let service: LoggingService;
+
+  beforeAll(async () => {
+    db = await createDatabaseConnection({ path: ':memory:' });
+    service = new LoggingService(db, { templates: { enabled: false } });
+
+    const rows: Array<[string, string, string, string, Record<string, any>]> = [
+      ['log_1', 'error', 'api', 'Connection reset by peer', { request: { method: 'POST', path: '/orders' } }],
+      ['log_2', 'warn', 'api', 'Connection timeout, retrying', { request: { method: 'GET' }, attempt: 2 }],
+      ['log_3', 'info', 'worker', 'Connected to queue', { queue: 'emails' }],
+      ['log_4', 'error', 'worker', 'Café order failed: timeout', { tags: ['billing', 'retry'] }]
+    ];
+    rows.forEach(([id, level, svc, message, metadata], i) => {
+      db.execute(
+        'INSERT INTO log_entries (id, timestamp, level, service, message, metadata) VALUES (?, ?, ?, ?, ?, ?)',
+        [id, 1_700_000_000_000 + i, level, svc, message, JSON.stringify(metadata)]
+      );
+    });
+  });
+
+  afterAll(async () => {
+    await service.shutdown();
+    await db.disconnect();
+  });
+
+  const search = async (text: string, filters = {}) =>
+    (await service.searchLogs({ text, filters, sort: [{ field: 'timestamp', direction: 'asc' }] })).map(hit => hit.id);
+
+  it('should match whole tokens, prefixes and phrases', async () => {
+    expect(await search('connection')).toEqual(['log_1', 'log_2']);
+    expect(await search('conn*')).toEqual(['log_1', 'log_2', 'log_3']);
+    expect(await search('"reset by peer"')).toEqual(['log_1']);
+  });
+
+  it('should combine terms with AND, OR and NOT', async () => {
+    expect(await search('timeout connection')).toEqual(['log_2']);
+    expect(await search('reset OR queue')).toEqual(['log_1', 'log_3']);
+    expect(await search('timeout NOT retrying')).toEqual(['log_4']);
+  });
+
+  it('should match case and diacritic insensitively', async () => {
+    expect(await search('CAFE')).toEqual(['log_4']);
+  });
+
+  it('should scope terms to fields and metadata keys', async () => {
+    expect(await search('service:worker timeout')).toEqual(['log_4']);
+    expect(await search('level:error')).toEqual(['log_1', 'log_4']);
+    expect(await search('meta.request.method:POST')).toEqual(['log_1']);
+    expect(await search('meta.tags:retry')).toEqual(['log_4']);
+  });
+
+  it('should apply filters alongside the text query', async () => {
+    expect(await search('timeout', { level: 'warn' })).toEqual(['log_2']);
+  });
+
+  it('should rank and highlight hits', async () => {
+    const [hit] = await service.searchLogs({ text: 'reset', highlight: { start: '[', end: ']' } });
+
+    expect(hit.id).toBe('log_1');
+    expect(hit.score).toBeGreaterThan(0);
+    expect(hit.snippet).toContain('[reset]');
+  });
+});
@@ -0,0 +1,178 @@
+/**
+ * Tests for source indexing: entities and relations from a small React
+ * project, and incremental runs that skip unchanged files
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { dirname, join } from 'path';
+import { createDatabaseConnection, DatabaseConnection } from '../src/database/connection.js';
+import { KnowledgeGraph } from '../src/knowledge-graph/core.js';
+
+const FIXTURE: Record<string, string> = {
+  'tsconfig.json': JSON.stringify({ compilerOptions: { baseUrl: '.', paths: { '@/*': ['src/*'] } } }),
+
+  'src/App.tsx': `import { BrowserRouter, Routes, Route } from 'react-router-dom';
+import HomePage from './pages/HomePage';
+
+export default function App() {
+  return (
+    <BrowserRouter>
+      <Routes>
+        <Route path="/" element={<HomePage />} />
+      </Routes>
+    </BrowserRouter>
+  );
+}
+`,
+
+  'src/components/Button.tsx': `export function Button({ label, onClick }: { label: string; onClick: () => void }) {
+  return <button onClick={onClick}>{label}</button>;
+}
+`,
+
+  'src/components/Button.test.tsx': `import { Button } from './Button';
+`,
+
+  'src/hooks/useCounter.ts': `import { useState } from 'react';
+
+export function useCounter() {
+  const [count, setCount] = useState(0);
+  return { count, increment: () => setCount(count + 1) };
+}
+`,
+
+  'src/pages/HomePage.tsx': `import { Button } from '@/components/Button';
+import { useCounter } from '../hooks/useCounter';
+
+export default function HomePage() {
+  const { count, increment } = useCounter();
+  return <Button label={String(count)} onClick={increment} />;
+}
+`
+};
+
+describe('KnowledgeGraph.indexSource', () => {
+  let db: DatabaseConnection;
+  let kg: KnowledgeGraph;
+  let root: string;
+
+  beforeEach(async () => {
+    root = mkdtempSync(join(tmpdir(), 'source-index-'));
+    for (const [file, text] of Object.entries(FIXTURE)) {
+      mkdirSync(dirname(join(root, file)), { recursive: true });
+      writeFileSync(join(root, file), text);
+    }
+
+    db = await createDatabaseConnection({ path: ':memory:' });
+    kg = new KnowledgeGraph(db, { projectRoot: root });
+  });
+
+  afterEach(async () => {
+    await db.disconnect();
+    rmSync(root, { recursive: true, force: true });
+  });
+
+  const entities = () => db.query('SELECT type, name FROM entities ORDER BY type, name').map((row: any) => `${row.type} ${row.name}`);
+
+  const relations = () => db.query(`
+    SELECT f.name AS source, r.type, t.name AS target
+    FROM relations r JOIN entities f ON f.id = r.from_id JOIN entities t ON t.id = r.to_id
+    ORDER BY 1, 2, 3
+  `).map((row: any) => `${row.source} ${row.type} ${row.target}`);
+
+  it('should index modules, components, pages, hooks and routes with their relations', async () => {
+    const result = await kg.indexSource();
+
+    expect(result).toMatchObject({
+      files: 4,
+      indexed: 4,
+      unchanged: 0,
+      failed: [],
+      entities: { created: 9, updated: 0, deleted: 0 },
+      relations: { created: 7, deleted: 0 }
+    });
+    expect(entities()).toEqual([
+      'Component App',
+      'Component Button',
+      'Hook useCounter',
+      'Module src/App.tsx',
+      'Module src/components/Button.tsx',
+      'Module src/hooks/useCounter.ts',
+      'Module src/pages/HomePage.tsx',
+      'Page HomePage',
+      'Route /'
+    ]);
+    expect(relations()).toEqual([
+      '/ ROUTES_TO HomePage',
+      'App RENDERS HomePage',
+      'HomePage RENDERS Button',
+      'HomePage USES useCounter',
+      'src/App.tsx IMPORTS src/pages/HomePage.tsx',
+      // Through the @/* path alias
+      'src/pages/HomePage.tsx IMPORTS src/components/Button.tsx',
+      'src/pages/HomePage.tsx IMPORTS src/hooks/useCounter.ts'
+    ]);
+  });
+
+  it('should record component props and source locations', async () => {
+    await kg.indexSource();
+
+    const [button] = await kg.getEntities({ type: 'Component', name: 'Button' });
+    expect(button.data).toMatchObject({
+      file_path: 'src/components/Button.tsx',
+      exported: true,
+      default_export: false,
+      props: ['label', 'onClick'],
+      source_location: { file: 'src/components/Button.tsx', line: 1 }
+    });
+  });
+
+  it('should skip files whose content is unchanged since the last run', async () => {
+    await kg.indexSource();
+    const before = { entities: entities(), relations: relations() };
+
+    const result = await kg.indexSource();
+
+    expect(result).toMatchObject({
+      files: 4,
+      indexed: 0,
+      unchanged: 4,
+      entities: { created: 0, updated: 0, deleted: 0 },
+      relations: { created: 0, deleted: 0 }
+    });
+    expect({ entities: entities(), relations: relations() }).toEqual(before);
+  });
+
+  it('should only re-parse changed files', async () => {
+    await kg.indexSource();
+    writeFileSync(join(root, 'src/components/Button.tsx'), FIXTURE['src/components/Button.tsx'].replace('label, onClick', 'label, onClick, disabled'));
+
+    const result = await kg.indexSource();
+
+    expect(result).toMatchObject({ files: 4, indexed: 1, unchanged: 3 });
+    const [button] = await kg.getEntities({ type: 'Component', name: 'Button' });
+    expect(button.data.props).toEqual(['label', 'onClick', 'disabled']);
+    // Importers are relinked to the changed file's entities
+    expect(relations()).toContain('HomePage RENDERS Button');
+  });
+
+  it('should remove the entities of deleted files', async () => {
+    await kg.indexSource();
+    rmSync(join(root, 'src/hooks/useCounter.ts'));
+
+    const result = await kg.indexSource();
+
+    expect(result).toMatchObject({ files: 3, removed: 1 });
+    expect(entities()).not.toContain('Hook useCounter');
+    expect(entities()).not.toContain('Module src/hooks/useCounter.ts');
+    expect(relations()).not.toContain('HomePage USES useCounter');
+  });
+
+  it('should re-parse every file when forced', async () => {
+    await kg.indexSource();
+
+    expect(await kg.indexSource({ force: true })).toMatchObject({ indexed: 4, unchanged: 0 });
+  });
+});
@@ -0,0 +1,154 @@
+/**
+ * Tests for log template mining: variable masking, clustering and
+ * generalization, stored templates and the pattern report
+ */
+
+import { describe, it, expect } from 'vitest';
+import { createDatabaseConnection } from '../src/database/connection.js';
+import { LogTemplateMiner } from '../src/logging/templates.js';
+import { LoggingService } from '../src/logging/service.js';
+import type { LogEntry, LogLevel } from '../src/types/logging.js';
+
+describe('LogTemplateMiner', () => {
+  it.each([
+    ['Fetched 12 entities in 250ms', 'Fetched <*> entities in <*>'],
+    ['Session 3f2b8c4e-1a2b-4c3d-9e8f-0123456789ab expired', 'Session <*> expired'],
+    ['Connection from 10.0.0.12:5432 closed', 'Connection from <*> closed'],
+    ['Commit deadbeef42 deployed (build 7)', 'Commit <*> deployed (build <*>)'],
+    ['Request done status=200 bytes=512 path=/api', 'Request done status=<*> bytes=<*> path=/api'],
+    ['Backup started at 2024-05-01T12:00:00Z', 'Backup started at <*>'],
+    ['CPU at 93.5% for [12s]', 'CPU at <*> for [<*>]']
+  ])('should mask variable tokens in %j', (message, template) => {
+    expect(new LogTemplateMiner().match(message).template).toBe(template);
+  });
+
+  it('should group messages that differ only in masked tokens', () => {
+    const miner = new LogTemplateMiner();
+
+    const first = miner.match('Fetched 12 entities');
+    const second = miner.match('Fetched 305 entities');
+
+    expect(second).toEqual(first);
+    expect(miner.size).toBe(1);
+  });
+
+  it('should generalize a template where similar messages differ', () => {
+    const miner = new LogTemplateMiner();
+
+    const first = miner.match('User alice logged in');
+    miner.takeChanged();
+    const second = miner.match('User bob logged in');
+
+    expect(second).toEqual({ id: first.id, template: 'User <*> logged in', tokenCount: 4 });
+    expect(miner.takeChanged()).toEqual([second]);
+    expect(miner.match('User carol logged in')).toEqual(second);
+    expect(miner.takeChanged()).toEqual([]);
+  });
+
+  it('should keep messages apart when too few tokens are equal', () => {
+    const miner = new LogTemplateMiner();
+
+    const started = miner.match('Job started: backup');
+    const failed = miner.match('Job failed: restore');
+
+    expect(failed.id).not.toBe(started.id);
+    expect(miner.size).toBe(2);
+  });
+
+  it('should honor the similarity threshold', () => {
+    const strict = new LogTemplateMiner({ similarityThreshold: 0.9 });
+
+    strict.match('Cache hit for users');
+    strict.match('Cache miss for users');
+
+    expect(strict.size).toBe(2);
+  });
+
+  it('should keep messages with different token counts apart', () => {
+    const miner = new LogTemplateMiner();
+
+    expect(miner.match('Server started').id).not.toBe(miner.match('Server started on port 3000').id);
+  });
+
+  it('should only consider the first line of a message', () => {
+    const miner = new LogTemplateMiner();
+
+    const first = miner.match('TypeError: x is undefined\n    at render (App.tsx:10:5)');
+    const second = miner.match('TypeError: x is undefined\n    at mount (main.tsx:3:1)\n    at boot (main.tsx:9:2)');
+
+    expect(second).toEqual(first);
+    expect(first.template).toBe('TypeError: x is undefined');
+  });
+
+  it('should derive the same ID for a template in every miner', () => {
+    expect(new LogTemplateMiner().match('Cache warmed').id).toBe(new LogTemplateMiner().match('Cache warmed').id);
+  });
+
+  it('should match messages to loaded templates', () => {
+    const miner = new LogTemplateMiner();
+    miner.load([{ id: 'tpl_stored', template: 'Worker <*> finished job <*>' }]);
+
+    expect(miner.match('Worker 3 finished job 981')).toEqual({
+      id: 'tpl_stored',
+      template: 'Worker <*> finished job <*>',
+      tokenCount: 5
+    });
+  });
+
+  it('should evict the least recently used template beyond maxTemplates', () => {
+    const miner = new LogTemplateMiner({ maxTemplates: 2 });
+    miner.load([
+      { id: 'tpl_alpha', template: 'alpha event' },
+      { id: 'tpl_beta', template: 'beta event happened' }
+    ]);
+
+    miner.match('alpha event');
+    miner.match('gamma event happened here');
+
+    expect(miner.size).toBe(2);
+    expect(miner.match('alpha event').id).toBe('tpl_alpha');
+    // Mined again under a new ID
+    expect(miner.match('beta event happened').id).not.toBe('tpl_beta');
+  });
+});
+
+describe('LoggingService.getLogPatterns', () => {
+  it('should report templates by volume with shares and errors', async () => {
+    const db = await createDatabaseConnection({ path: ':memory:' });
+    const service = new LoggingService(db);
+    let sequence = 0;
+    const entry = (message: string, level: LogLevel = 'info', service = 'api'): LogEntry => ({
+      id: `log_${++sequence}`,
+      timestamp: Date.now() - 1000,
+      level,
+      service,
+      message
+    });
+
+    await service.logBatch({
+      entries: [
+        ...Array.from({ length: 6 }, (_, i) => entry(`Fetched ${i + 1} entities`)),
+        entry('Fetched 9 entities', 'info', 'worker'),
+        entry('Upstream timeout after 30s', 'error'),
+        entry('Upstream timeout after 45s', 'error'),
+        entry('Server started')
+      ],
+      timestamp: Date.now(),
+      source: 'tests'
+    });
+    await service.shutdown();
+
+    const report = await service.getLogPatterns({ timeWindow: 60_000 });
+
+    expect(report).toMatchObject({ estimatedTotal: 10, templateCount: 3, templatesFor90Percent: 2 });
+    expect(report.patterns.map(pattern => [pattern.template, pattern.count, pattern.errors])).toEqual([
+      ['Fetched <*> entities', 7, 0],
+      ['Upstream timeout after <*>', 2, 2],
+      ['Server started', 1, 0]
+    ]);
+    expect(report.patterns[0].share).toBeCloseTo(70);
+    expect(report.patterns[0].services.sort()).toEqual(['api', 'worker']);
+    expect(report.patterns[0].trend.reduce((sum, count) => sum + count, 0)).toBe(7);
+    await db.disconnect();
+  });
+});
@@ -0,0 +1,227 @@
+/**
+ * Tests for log transports: formatting, file rotation, level filters,
+ * retries, fallbacks and the primary SQLite store
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, readFileSync, existsSync, rmSync } from 'fs';
+import { createServer, Server } from 'http';
+import { AddressInfo } from 'net';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createDatabaseConnection, DatabaseConnection } from '../src/database/connection.js';
+import { RotatingFileTransport, TransportManager, formatJson, formatPretty } from '../src/logging/transports.js';
+import type { LogEntry, LogLevel, TransportConfig } from '../src/types/logging.js';
+
+let sequence = 0;
+
+function createEntry(level: LogLevel = 'info', message = 'Request handled'): LogEntry {
+  sequence++;
+  return {
+    id: `log_${sequence}`,
+    timestamp: 1_700_000_000_000 + sequence,
+    level,
+    service: 'api',
+    source: 'tests',
+    message,
+    metadata: { sequence }
+  };
+}
+
+function readLines(path: string): any[] {
+  return readFileSync(path, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+}
+
+describe('Log transports', () => {
+  let dir: string;
+  let db: DatabaseConnection;
+
+  beforeEach(async () => {
+    dir = mkdtempSync(join(tmpdir(), 'transports-'));
+    db = await createDatabaseConnection({ path: ':memory:' });
+  });
+
+  afterEach(async () => {
+    await db.disconnect();
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  const createManager = (configs: TransportConfig[]) =>
+    new TransportManager(configs, { db, formatting: { default: 'json' }, serviceName: 'tests' });
+
+  describe('formatters', () => {
+    it('should format an entry as one JSON line', () => {
+      const entry = createEntry('warn', 'Slow query');
+
+      expect(JSON.parse(formatJson(entry))).toMatchObject({
+        id: entry.id,
+        level: 'warn',
+        service: 'api',
+        message: 'Slow query',
+        metadata: entry.metadata
+      });
+    });
+
+    it('should format an entry for humans', () => {
+      const entry = createEntry('error', 'Upstream timed out');
+
+      expect(formatPretty(entry)).toBe(`${new Date(entry.timestamp).toISOString()} ERROR [api] Upstream timed out {"sequence":${sequence}}`);
+    });
+  });
+
+  describe('RotatingFileTransport', () => {
+    it('should append NDJSON lines', async () => {
+      const path = join(dir, 'app.log');
+      const transport = new RotatingFileTransport('file', path);
+
+      await transport.write([createEntry(), createEntry()]);
+      await transport.write([createEntry()]);
+
+      expect(readLines(path)).toHaveLength(3);
+    });
+
+    it('should rotate once the file exceeds its maximum size and keep maxFiles old files', async () => {
+      const path = join(dir, 'app.log');
+      const entrySize = formatJson(createEntry()).length + 1;
+      const transport = new RotatingFileTransport('file', path, entrySize * 2, 2);
+
+      const batches = Array.from({ length: 5 }, () => [createEntry(), createEntry()]);
+      for (const batch of batches) {
+        await transport.write(batch);
+      }
+
+      expect(readLines(path).map(entry => entry.id)).toEqual(batches[4].map(entry => entry.id));
+      expect(readLines(`${path}.1`).map(entry => entry.id)).toEqual(batches[3].map(entry => entry.id));
+      expect(readLines(`${path}.2`).map(entry => entry.id)).toEqual(batches[2].map(entry => entry.id));
+      expect(existsSync(`${path}.3`)).toBe(false);
+    });
+  });
+
+  describe('TransportManager', () => {
+    it('should store batches in the primary SQLite transport', async () => {
+      const manager = createManager([{ type: 'database', name: 'sqlite' }]);
+      const entries = [createEntry(), createEntry('error')];
+
+      await manager.write(entries);
+
+      const rows = db.query('SELECT id FROM log_entries ORDER BY timestamp');
+      expect(rows.map(row => row.id)).toEqual(entries.map(entry => entry.id));
+      expect(manager.getStats()[0]).toMatchObject({ name: 'sqlite', written: 2, failed: 0 });
+    });
+
+    it('should only write entries at or above a transport level', async () => {
+      const path = join(dir, 'errors.log');
+      const manager = createManager([
+        { type: 'database', name: 'sqlite' },
+        { type: 'file', name: 'errors', level: 'error', options: { path } }
+      ]);
+
+      await manager.write([createEntry('debug'), createEntry('info'), createEntry('error'), createEntry('fatal')]);
+      await manager.drain();
+
+      expect(readLines(path).map(entry => entry.level)).toEqual(['error', 'fatal']);
+      expect(db.query('SELECT id FROM log_entries')).toHaveLength(4);
+    });
+
+    it('should skip misconfigured and disabled transports', () => {
+      const manager = createManager([
+        { type: 'file', name: 'no-path' },
+        { type: 'console', name: 'off', enabled: false },
+        { type: 'syslog', name: 'unsupported' }
+      ]);
+
+      expect(manager.getStats()).toEqual([]);
+    });
+
+    describe('with an HTTP collector', () => {
+      let server: Server;
+      let url: string;
+      let statuses: number[];
+      let received: any[];
+
+      beforeEach(async () => {
+        statuses = [];
+        received = [];
+        server = createServer((req, res) => {
+          let body = '';
+          req.on('data', chunk => { body += chunk; });
+          req.on('end', () => {
+            received.push(JSON.parse(body));
+            res.writeHead(statuses.shift() ?? 200);
+            res.end();
+          });
+        });
+        await new Promise<void>(resolve => server.listen(0, '127.0.0.1', resolve));
+        url = `http://127.0.0.1:${(server.address() as AddressInfo).port}/api/logs/batch`;
+      });
+
+      afterEach(async () => {
+        await new Promise(resolve => server.close(resolve));
+      });
+
+      const httpTransport = (overrides: Partial<TransportConfig> = {}): TransportConfig => ({
+        type: 'http',
+        name: 'collector',
+        options: { url },
+        errorHandling: { retry: { maxAttempts: 2, initialDelay: 1 }, silentFail: true },
+        ...overrides
+      });
+
+      it('should post batches of at most 100 entries in the core batch format', async () => {
+        const manager = createManager([httpTransport()]);
+        const entries = Array.from({ length: 150 }, () => createEntry());
+
+        await manager.write(entries);
+        await manager.drain();
+
+        expect(received.map(batch => batch.entries.length)).toEqual([100, 50]);
+        expect(received[0]).toMatchObject({ source: 'tests' });
+        expect(received[0].entries[0]).toMatchObject({ id: entries[0].id, level: 'info', service: 'api' });
+      });
+
+      it('should retry server errors', async () => {
+        statuses = [503];
+        const manager = createManager([httpTransport()]);
+
+        await manager.write([createEntry()]);
+        await manager.drain();
+
+        expect(received).toHaveLength(2);
+        expect(manager.getStats()[0]).toMatchObject({ written: 1, failed: 0, retries: 1 });
+      });
+
+      it('should not retry client errors and hand the batch to the fallback', async () => {
+        statuses = [400];
+        const path = join(dir, 'fallback.log');
+        const manager = createManager([
+          httpTransport({ errorHandling: { retry: { maxAttempts: 2, initialDelay: 1 }, fallback: 'file', silentFail: true } }),
+          { type: 'file', name: 'file', options: { path } }
+        ]);
+        const entry = createEntry();
+
+        await manager.write([entry]);
+        await manager.drain();
+
+        expect(received).toHaveLength(1);
+        // Written directly and once more as the collector's fallback
+        expect(readLines(path).map(line => line.id)).toEqual([entry.id, entry.id]);
+        expect(manager.getStats()[0]).toMatchObject({ failed: 1, retries: 0, lastError: expect.stringContaining('400') });
+      });
+
+      it('should disable a transport that keeps failing when configured to', async () => {
+        statuses = [500, 500];
+        const manager = createManager([
+          httpTransport({ errorHandling: { retry: { maxAttempts: 1, initialDelay: 1 }, onError: 'disable', silentFail: true } })
+        ]);
+
+        await manager.write([createEntry()]);
+        await manager.drain();
+        await manager.write([createEntry()]);
+        await manager.drain();
+
+        expect(received).toHaveLength(2);
+        expect(manager.getStats()[0]).toMatchObject({ disabled: true, failed: 1 });
+      });
+    });
+  });
+});
@@ -0,0 +1,241 @@
+/**
+ * Tests for breadth-first graph traversal: direction and depth limits, stop
+ * conditions, include flags, returned paths and cycles
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { createDatabaseConnection, DatabaseConnection } from '../src/database/connection.js';
+import { KnowledgeGraph } from '../src/knowledge-graph/core.js';
+import { GraphTraversal, TraversalResult } from '../src/knowledge-graph/traversal.js';
+import type { GraphTraversalOptions } from '../src/types/knowledge-graph.js';
+
+/**
+ * app renders header and list; both render logo, list uses a hook that calls
+ * the api service, which calls the store
+ */
+const ENTITIES: Array<[string, string, Record<string, any>]> = [
+  ['app', 'Page', { route: '/' }],
+  ['header', 'Component', {}],
+  ['list', 'Component', {}],
+  ['logo', 'Component', {}],
+  ['useItems', 'Hook', {}],
+  ['api', 'Service', { external: true }],
+  ['store', 'Service', {}]
+];
+
+const RELATIONS: Array<[string, string, string, string]> = [
+  ['r1', 'app', 'RENDERS', 'header'],
+  ['r2', 'app', 'RENDERS', 'list'],
+  ['r3', 'header', 'RENDERS', 'logo'],
+  ['r4', 'list', 'USES', 'useItems'],
+  ['r5', 'useItems', 'CALLS', 'api'],
+  ['r6', 'api', 'CALLS', 'store'],
+  ['r7', 'list', 'RENDERS', 'logo']
+];
+
+describe('GraphTraversal', () => {
+  let db: DatabaseConnection;
+  let traversal: GraphTraversal;
+
+  const insertGraph = (entities: typeof ENTITIES, relations: typeof RELATIONS) => {
+    for (const [id, type, data] of entities) {
+      db.execute('INSERT INTO entities (id, type, name, data) VALUES (?, ?, ?, ?)', [id, type, id, JSON.stringify(data)]);
+    }
+    // One creation time for every relation, so they are expanded in ID order
+    for (const [id, from, type, to] of relations) {
+      db.execute(
+        'INSERT INTO relations (id, from_id, to_id, type, properties, created_at) VALUES (?, ?, ?, ?, ?, 1)',
+        [id, from, to, type, JSON.stringify({ line: Number(id.slice(1)) })]
+      );
+    }
+  };
+
+  beforeEach(async () => {
+    db = await createDatabaseConnection({ path: ':memory:' });
+    traversal = new GraphTraversal(db);
+    insertGraph(ENTITIES, RELATIONS);
+  });
+
+  afterEach(async () => {
+    await db.disconnect();
+  });
+
+  const names = (result: TraversalResult) => result.entities.map(entity => entity.id);
+  const relationIds = (result: TraversalResult) => result.relations.map(relation => relation.id);
+  const traverse = (start: string, options: GraphTraversalOptions = {}) =>
+    traversal.traverse(start, { direction: 'outgoing', ...options });
+
+  it('should reach entities breadth-first with the relations between them', () => {
+    const result = traverse('app');
+
+    expect(names(result)).toEqual(['app', 'header', 'list', 'logo', 'useItems', 'api', 'store']);
+    expect(relationIds(result)).toEqual(['r1', 'r2', 'r3', 'r4', 'r7', 'r5', 'r6']);
+    expect(result.depth).toBe(4);
+  });
+
+  it('should return the shortest path to each entity, in entity order', () => {
+    const { paths } = traverse('app');
+
+    expect(paths).toHaveLength(7);
+    expect(paths[0]).toEqual({ entityIds: ['app'], relationIds: [] });
+    // logo is reached through header first, although list also renders it
+    expect(paths[3]).toEqual({ entityIds: ['app', 'header', 'logo'], relationIds: ['r1', 'r3'] });
+    expect(paths[6]).toEqual({
+      entityIds: ['app', 'list', 'useItems', 'api', 'store'],
+      relationIds: ['r2', 'r4', 'r5', 'r6']
+    });
+  });
+
+  it('should follow relations in the requested direction only', () => {
+    expect(names(traverse('useItems', { direction: 'incoming' }))).toEqual(['useItems', 'list', 'app']);
+    expect(names(traverse('useItems'))).toEqual(['useItems', 'api', 'store']);
+    expect(names(traversal.traverse('logo', { maxDepth: 2 }))).toEqual(['logo', 'header', 'list', 'app', 'useItems']);
+  });
+
+  it('should only follow the given relation types', () => {
+    const result = traverse('app', { relationTypes: ['RENDERS'] });
+
+    expect(names(result)).toEqual(['app', 'header', 'list', 'logo']);
+    expect(relationIds(result)).toEqual(['r1', 'r2', 'r3', 'r7']);
+  });
+
+  it('should stop at maxDepth, or the default depth without one', () => {
+    expect(names(traverse('app', { maxDepth: 2 }))).toEqual(['app', 'header', 'list', 'logo', 'useItems']);
+    expect(traversal.traverse('app', { direction: 'outgoing' }, 1).depth).toBe(1);
+    expect(traverse('app', { maxDepth: 0 })).toMatchObject({ entities: [{ id: 'app' }], relations: [], depth: 0 });
+  });
+
+  describe('stop conditions', () => {
+    it('should keep but not expand entities of a stop type', () => {
+      const result = traverse('app', { stopConditions: [{ type: 'entity_type', value: 'Hook' }] });
+
+      expect(names(result)).toEqual(['app', 'header', 'list', 'logo', 'useItems']);
+      expect(relationIds(result)).toContain('r4');
+    });
+
+    it('should leave out entities of a stop type when not inclusive', () => {
+      const result = traverse('app', { stopConditions: [{ type: 'entity_type', value: ['Hook', 'Page'], inclusive: false }] });
+
+      expect(names(result)).toEqual(['app', 'header', 'list', 'logo']);
+      expect(relationIds(result)).not.toContain('r4');
+    });
+
+    it('should keep the entity a stop relation leads to without expanding it', () => {
+      expect(names(traverse('app', { stopConditions: [{ type: 'relation_type', value: 'CALLS' }] })))
+        .toEqual(['app', 'header', 'list', 'logo', 'useItems', 'api']);
+
+      const exclusive = traverse('app', { stopConditions: [{ type: 'relation_type', value: 'CALLS', inclusive: false }] });
+      expect(names(exclusive)).toEqual(['app', 'header', 'list', 'logo', 'useItems']);
+      expect(relationIds(exclusive)).not.toContain('r5');
+    });
+
+    it('should expand an entity also reached through a relation that is not a stop', () => {
+      // logo is reached through r3 (a stop) and r7 (not a stop) at the same depth
+      db.execute("INSERT INTO entities (id, type, name, data) VALUES ('icon', 'Component', 'icon', '{}')");
+      db.execute("INSERT INTO relations (id, from_id, to_id, type, created_at) VALUES ('r8', 'logo', 'icon', 'RENDERS', 1)");
+      db.execute("UPDATE relations SET type = 'WRAPS' WHERE id = 'r3'");
+
+      expect(names(traverse('app', { stopConditions: [{ type: 'relation_type', value: 'WRAPS' }] }))).toContain('icon');
+    });
+
+    it('should stop at entities whose data has every given property value', () => {
+      const stop = { type: 'property' as const, value: { external: true } };
+
+      expect(names(traverse('app', { stopConditions: [stop] }))).toEqual(['app', 'header', 'list', 'logo', 'useItems', 'api']);
+      expect(names(traverse('app', { stopConditions: [{ ...stop, inclusive: false }] }))).not.toContain('api');
+      // Property conditions still see data that is not returned
+      expect(names(traverse('app', { stopConditions: [stop], includeEntityData: false }))).not.toContain('store');
+      expect(names(traverse('app', { stopConditions: [{ type: 'property', value: { external: true, region: 'eu' } }] })))
+        .toContain('store');
+    });
+
+    it('should cap the depth at, or before when not inclusive, a depth condition', () => {
+      expect(traverse('app', { stopConditions: [{ type: 'depth', value: 2 }] }).depth).toBe(2);
+      expect(traverse('app', { stopConditions: [{ type: 'depth', value: 2, inclusive: false }] }).depth).toBe(1);
+      expect(traverse('app', { maxDepth: 1, stopConditions: [{ type: 'depth', value: 3 }] }).depth).toBe(1);
+    });
+
+    it('should never apply to the start entity', () => {
+      const result = traverse('useItems', { stopConditions: [{ type: 'entity_type', value: 'Hook', inclusive: false }] });
+
+      expect(names(result)).toEqual(['useItems', 'api', 'store']);
+    });
+
+    it.each([
+      [{ type: 'color', value: 'red' }, 'Unknown traversal stop condition: color'],
+      [{ type: 'depth', value: -1 }, 'Invalid value for depth stop condition: -1'],
+      [{ type: 'property', value: ['external'] }, 'Invalid value for property stop condition: ["external"]'],
+      [{ type: 'entity_type', value: [1] }, 'Invalid value for entity_type stop condition: [1]']
+    ])('should reject the invalid condition %j', (condition, message) => {
+      expect(() => traverse('app', { stopConditions: [condition as any] })).toThrow(message);
+    });
+  });
+
+  it('should leave out entity data and relation properties when asked', () => {
+    const full = traverse('app', { maxDepth: 1 });
+    expect(full.entities[0].data).toEqual({ route: '/' });
+    expect(full.relations[0].properties).toEqual({ line: 1 });
+
+    const bare = traverse('app', { maxDepth: 1, includeEntityData: false, includeRelationData: false });
+    expect(bare.entities.map(entity => entity.data)).toEqual([{}, {}, {}]);
+    expect(bare.relations[0]).not.toHaveProperty('properties');
+    expect(bare.relations[0]).toMatchObject({ id: 'r1', from_id: 'app', to_id: 'header', type: 'RENDERS' });
+  });
+
+  it('should visit each entity of a cycle once and keep the relation closing it', () => {
+    insertGraph([['a', 'Module', {}], ['b', 'Module', {}], ['c', 'Module', {}], ['d', 'Module', {}]], [
+      ['c1', 'a', 'IMPORTS', 'b'],
+      ['c2', 'b', 'IMPORTS', 'c'],
+      ['c3', 'c', 'IMPORTS', 'a'],
+      ['c4', 'c', 'IMPORTS', 'd']
+    ]);
+
+    const outgoing = traverse('a');
+    expect(names(outgoing)).toEqual(['a', 'b', 'c', 'd']);
+    expect(relationIds(outgoing)).toEqual(['c1', 'c2', 'c3', 'c4']);
+    expect(outgoing.depth).toBe(3);
+    expect(outgoing.paths[3]).toEqual({ entityIds: ['a', 'b', 'c', 'd'], relationIds: ['c1', 'c2', 'c4'] });
+
+    // Both ways round, a reaches c directly through the relation closing the cycle
+    const both = traversal.traverse('a', { direction: 'both' });
+    expect(names(both)).toEqual(['a', 'b', 'c', 'd']);
+    expect(both.depth).toBe(2);
+    expect(both.paths[2]).toEqual({ entityIds: ['a', 'c'], relationIds: ['c3'] });
+  });
+
+  it('should return an empty result for an unknown start entity', () => {
+    expect(traverse('missing')).toEqual({ entities: [], relations: [], depth: 0, paths: [] });
+  });
+});
+
+describe('KnowledgeGraph.traverseGraph', () => {
+  let db: DatabaseConnection;
+
+  beforeEach(async () => {
+    db = await createDatabaseConnection({ path: ':memory:' });
+  });
+
+  afterEach(async () => {
+    await db.disconnect();
+  });
+
+  it('should limit the depth to the configured traversal depth', async () => {
+    const kg = new KnowledgeGraph(db, { traversalMaxDepth: 1 });
+    const app = await kg.createEntity({ type: 'Page', name: 'App' });
+    const list = await kg.createEntity({ type: 'Component', name: 'List' });
+    const item = await kg.createEntity({ type: 'Component', name: 'Item' });
+    await kg.createRelation({ type: 'RENDERS', from_id: app.id, to_id: list.id } as any);
+    await kg.createRelation({ type: 'RENDERS', from_id: list.id, to_id: item.id } as any);
+
+    expect((await kg.traverseGraph(app.id)).entities.map(entity => entity.name)).toEqual(['App', 'List']);
+    expect((await kg.traverseGraph(app.id, { maxDepth: 3 })).entities.map(entity => entity.name)).toEqual(['App', 'List', 'Item']);
+  });
+
+  it('should reject invalid stop conditions', async () => {
+    const kg = new KnowledgeGraph(db);
+    const app = await kg.createEntity({ type: 'Page', name: 'App' });
+
+    await expect(kg.traverseGraph(app.id, { stopConditions: [{ type: 'depth', value: 1.5 }] }))
+      .rejects.toThrow('Invalid value for depth stop condition: 1.5');
+  });
+});
@@ -0,0 +1,30 @@
+import { defineConfig, Plugin } from 'vitest/config';
+import { existsSync } from 'fs';
+import { dirname, resolve } from 'path';
+
+/**
+ * Resolve relative `.js` imports to the TypeScript source next to them.
+ * src/ still holds some older compiled .js files, which Vite would load instead.
+ */
+function preferTypeScriptSources(): Plugin {
+  return {
+    name: 'prefer-typescript-sources',
+    enforce: 'pre',
+    resolveId(source, importer) {
+      if (!importer || !source.startsWith('.') || !source.endsWith('.js')) {
+        return null;
+      }
+
+      const candidate = resolve(dirname(importer), source.slice(0, -3) + '.ts');
+      return existsSync(candidate) ? candidate : null;
+    }
+  };
+}
+
+export default defineConfig({
+  plugins: [preferTypeScriptSources()],
+  test: {
+    environment: 'node',
+    include: ['tests/**/*.test.ts']
+  }
+});
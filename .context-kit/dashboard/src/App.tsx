@@ -23,6 +23,7 @@ import {
   Database,
   FileText,
   Filter,
+  Gauge,
   GitBranch,
   Home,
   Menu,
@@ -37,6 +38,12 @@ import {
   Monitor,
   Expand,
   Minimize,
+  Navigation,
+  MousePointerClick,
+  Keyboard,
+  Bookmark,
+  Layers,
+  Bell,
 } from 'lucide-react';
 import clsx from 'clsx';
 import { ServiceFilter, ServiceIcon, type ServiceInfo, type ServiceCategory } from './components';
@@ -93,6 +100,85 @@ interface LogEntry {
   stackTrace?: string;
 }
 
+// Message templates by volume, from /api/logs/patterns
+interface LogPattern {
+  templateId: string;
+  template: string;
+  count: number;
+  estimatedCount: number;
+  share: number;
+  cumulativeShare: number;
+  errors: number;
+  services: string[];
+  firstSeen: number;
+  lastSeen: number;
+  example: string;
+  trend: number[];
+}
+
+interface LogPatternReport {
+  start: number;
+  end: number;
+  bucketSize: number;
+  buckets: number[];
+  estimatedTotal: number;
+  templateCount: number;
+  templatesFor90Percent: number;
+  patterns: LogPattern[];
+}
+
+// Alert rule state, from /api/alerts
+interface AlertState {
+  ruleId: string;
+  name: string;
+  type: 'threshold' | 'absence' | 'pattern';
+  severity: 'low' | 'medium' | 'high' | 'critical';
+  status: 'ok' | 'firing';
+  value: number | null;
+  message: string | null;
+  firedAt: number | null;
+  occurrences: number;
+}
+
+interface AlertReport {
+  enabled: boolean;
+  rules: AlertState[];
+  active: AlertState[];
+}
+
+// Metric rollups by step, from /api/metrics
+interface MetricQueryResult {
+  name: string;
+  type: 'counter' | 'gauge' | 'histogram';
+  step: number;
+  start: number;
+  end: number;
+  series: Array<{
+    labels: Record<string, string>;
+    points: Array<{ timestamp: number; value: number }>;
+  }>;
+}
+
+// Revisions of one entity, from /entities/history
+interface PropertyChange {
+  key: string; // 'name', 'data.<property>' or 'relations.<relation id>'
+  change: 'added' | 'removed' | 'changed';
+  before?: any;
+  after?: any;
+}
+
+interface EntityRevision {
+  version: number;
+  observation_type: 'create' | 'update' | 'delete';
+  timestamp: number;
+  changes: PropertyChange[];
+}
+
+interface EntityHistory {
+  entityId: string;
+  revisions: EntityRevision[];
+}
+
 // TODO: These interfaces will be used for enhanced backend integration
 // interface LogStats {
 //   totalLogs: number;
@@ -119,9 +205,15 @@ interface DashboardProps {
   relations: Relation[];
   logs: LogEntry[];
   logStats?: any;
+  vitalsLogs?: LogEntry[];
+  logPatterns?: LogPatternReport | null;
+  alerts?: AlertReport | null;
+  logVolume?: MetricQueryResult | null; // log_entries_total by level, hourly over 24h
   onServiceRefresh?: (serviceId: string) => void;
   onLogFilter?: (filters: LogFilters) => void;
+  onLiveFeed?: (filters: LogFilters | null) => void; // Called with null when the live feed stops
   onEntitySelect?: (entityId: string) => void;
+  entityHistory?: EntityHistory | null; // History of the selected entity, null while it loads
   usingMockData?: boolean;
 }
 
@@ -129,7 +221,6 @@ interface LogFilters {
   level?: string[];
   service?: string[];
   search?: string;
-  refresh?: number; // Used to trigger re-fetch for live feed
 }
 
 // Helper function to categorize services based on name patterns
@@ -403,6 +494,62 @@ const StatsOverview: React.FC<{
   );
 };
 
+// Breadcrumbs recorded by the browser logging client before an error
+interface Breadcrumb {
+  type: string;
+  timestamp: number;
+  message: string;
+  data?: Record<string, any>;
+}
+
+const breadcrumbIcons: Record<string, React.ComponentType<{ className?: string }>> = {
+  navigation: Navigation,
+  click: MousePointerClick,
+  input: Keyboard,
+};
+
+// Time before the error, e.g. "-2.4s"
+const formatBreadcrumbOffset = (timestamp: number, errorTime: number): string => {
+  const seconds = Math.max(0, errorTime - timestamp) / 1000;
+  if (seconds >= 60) {
+    return `-${Math.floor(seconds / 60)}m ${Math.round(seconds % 60)}s`;
+  }
+  return `-${seconds.toFixed(1)}s`;
+};
+
+const BreadcrumbTimeline: React.FC<{ breadcrumbs: Breadcrumb[]; errorTime: number }> = ({ breadcrumbs, errorTime }) => (
+  <ol className="relative border-l border-gray-200 ml-2">
+    {breadcrumbs.map((breadcrumb, index) => {
+      const Icon = breadcrumbIcons[breadcrumb.type] || Bookmark;
+      const detail = breadcrumb.data?.selector || (breadcrumb.type === 'navigation' ? breadcrumb.data?.from : null);
+      return (
+        <li key={`${breadcrumb.timestamp}-${index}`} className="ml-4 pb-3 last:pb-0">
+          <span className="absolute -left-2.5 flex items-center justify-center w-5 h-5 rounded-full bg-gray-100 ring-2 ring-white">
+            <Icon className="w-3 h-3 text-gray-600" />
+          </span>
+          <div className="flex items-baseline justify-between gap-3">
+            <p className="text-sm text-gray-900 break-all">{breadcrumb.message}</p>
+            <span className="text-xs font-mono text-gray-500 whitespace-nowrap" title={new Date(breadcrumb.timestamp).toLocaleTimeString()}>
+              {formatBreadcrumbOffset(breadcrumb.timestamp, errorTime)}
+            </span>
+          </div>
+          {detail && (
+            <p className="text-xs font-mono text-gray-500 break-all">
+              {breadcrumb.type === 'navigation' ? `from ${detail}` : detail}
+            </p>
+          )}
+        </li>
+      );
+    })}
+    <li className="ml-4">
+      <span className="absolute -left-2.5 flex items-center justify-center w-5 h-5 rounded-full bg-red-100 ring-2 ring-white">
+        <AlertCircle className="w-3 h-3 text-red-600" />
+      </span>
+      <p className="text-sm font-medium text-red-600">Error</p>
+    </li>
+  </ol>
+);
+
 // Log Viewer Component
 const LogViewer: React.FC<{
   logs: LogEntry[];
@@ -410,7 +557,8 @@ const LogViewer: React.FC<{
   logStats?: any;
   usingMockData?: boolean;
   onFilter?: (filters: LogFilters) => void;
-}> = ({ logs, services, logStats, usingMockData = false, onFilter }) => {
+  onLiveFeed?: (filters: LogFilters | null) => void;
+}> = ({ logs, services, logStats, usingMockData = false, onFilter, onLiveFeed }) => {
   const [filters, setFilters] = useState<LogFilters>({});
   const [selectedLog, setSelectedLog] = useState<LogEntry | null>(null);
   const [searchTerm, setSearchTerm] = useState('');
@@ -431,19 +579,13 @@ const LogViewer: React.FC<{
     'DEBUG': 'text-gray-600 bg-gray-100',
   };
 
-  // Live feed effect
+  // Live feed effect - the parent streams new logs matching the filters until stopped
   useEffect(() => {
     if (!liveFeed) return;
 
-    const interval = setInterval(() => {
-      // This will trigger a re-fetch from the parent component
-      // Works for both mock data and real backend data
-      console.log('🔴 Live feed: Triggering refresh...');
-      onFilter?.({ ...filters, refresh: Date.now() });
-    }, 3000); // Refresh every 3 seconds for more responsive live feed
-
-    return () => clearInterval(interval);
-  }, [liveFeed, filters, onFilter]);
+    onLiveFeed?.(filters);
+    return () => onLiveFeed?.(null);
+  }, [liveFeed, filters, onLiveFeed]);
 
   const filteredLogs = useMemo(() => {
     const filtered = logs.filter(log => {
@@ -849,11 +991,39 @@ const LogViewer: React.FC<{
                   <p className="text-sm font-medium text-gray-500 mb-1">Message</p>
                   <p className="text-sm text-gray-900 whitespace-pre-wrap">{selectedLog.message}</p>
                 </div>
+                {selectedLog.metadata?.originalLocation && (
+                  <div>
+                    <p className="text-sm font-medium text-gray-500 mb-1">Source Location</p>
+                    <p className="text-sm font-mono text-gray-900 break-all">
+                      {selectedLog.metadata.originalLocation.source}:{selectedLog.metadata.originalLocation.line}:{selectedLog.metadata.originalLocation.column}
+                      {selectedLog.metadata.originalLocation.name && (
+                        <span className="text-gray-500"> ({selectedLog.metadata.originalLocation.name})</span>
+                      )}
+                    </p>
+                  </div>
+                )}
+                {selectedLog.metadata?.originalStack && (
+                  <div>
+                    <p className="text-sm font-medium text-gray-500 mb-1">Original Stack Trace</p>
+                    <pre className="text-xs bg-gray-100 p-3 rounded-lg overflow-x-auto text-red-600">
+                      {selectedLog.metadata.originalStack}
+                    </pre>
+                  </div>
+                )}
+                {Array.isArray(selectedLog.metadata?.breadcrumbs) && selectedLog.metadata.breadcrumbs.length > 0 && (
+                  <div>
+                    <p className="text-sm font-medium text-gray-500 mb-2">Breadcrumbs</p>
+                    <BreadcrumbTimeline
+                      breadcrumbs={selectedLog.metadata.breadcrumbs}
+                      errorTime={selectedLog.metadata.timestamp || new Date(selectedLog.timestamp).getTime()}
+                    />
+                  </div>
+                )}
                 {selectedLog.metadata && (
                   <div>
                     <p className="text-sm font-medium text-gray-500 mb-1">Metadata</p>
                     <pre className="text-xs bg-gray-100 p-3 rounded-lg overflow-x-auto">
-                      {JSON.stringify(selectedLog.metadata, null, 2)}
+                      {JSON.stringify({ ...selectedLog.metadata, breadcrumbs: undefined }, null, 2)}
                     </pre>
                   </div>
                 )}
@@ -876,13 +1046,98 @@ const LogViewer: React.FC<{
 };
 
 
+const CHANGE_STYLES: Record<PropertyChange['change'], { mark: string; className: string }> = {
+  added: { mark: '+', className: 'text-green-700' },
+  removed: { mark: '-', className: 'text-red-700' },
+  changed: { mark: '~', className: 'text-amber-700' },
+};
+
+const REVISION_DOT_STYLES: Record<EntityRevision['observation_type'], string> = {
+  create: 'bg-green-500',
+  update: 'bg-blue-500',
+  delete: 'bg-red-500',
+};
+
+const formatHistoryValue = (value: any): string => {
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return text.length > 80 ? `${text.slice(0, 77)}...` : text;
+};
+
+// Entity Timeline Component - revisions of the entity selected in the graph, newest first
+const EntityTimeline: React.FC<{
+  entity: Entity;
+  history: EntityHistory | null;
+  entityName: (entityId: string) => string;
+  onClose: () => void;
+}> = ({ entity, history, entityName, onClose }) => {
+  const revisions = history?.entityId === entity.id ? [...history.revisions].reverse() : null;
+
+  const describe = (change: PropertyChange): string => {
+    if (change.key.startsWith('relations.')) {
+      const relation = change.after ?? change.before;
+      return `${relation.type} → ${entityName(relation.to_id)}`;
+    }
+    switch (change.change) {
+      case 'added': return `${change.key}: ${formatHistoryValue(change.after)}`;
+      case 'removed': return `${change.key}: ${formatHistoryValue(change.before)}`;
+      default: return `${change.key}: ${formatHistoryValue(change.before)} → ${formatHistoryValue(change.after)}`;
+    }
+  };
+
+  return (
+    <div className="mt-4 border border-gray-200 rounded-lg p-4">
+      <div className="flex items-center justify-between mb-3">
+        <div>
+          <h3 className="text-sm font-semibold text-gray-900">{entity.name} History</h3>
+          <p className="text-xs text-gray-500">{entity.type} · version {entity.metadata.version}</p>
+        </div>
+        <button onClick={onClose} className="p-1 text-gray-400 hover:text-gray-600" title="Close history">
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+
+      {revisions === null ? (
+        <p className="text-sm text-gray-500">Loading history...</p>
+      ) : revisions.length === 0 ? (
+        <p className="text-sm text-gray-500">No recorded history for this entity</p>
+      ) : (
+        <div className="max-h-80 overflow-y-auto">
+          <ol className="relative border-l border-gray-200 ml-2 space-y-4">
+            {revisions.map(revision => (
+              <li key={`${revision.timestamp}-${revision.version}-${revision.observation_type}`} className="ml-4">
+                <span className={clsx('absolute -left-1.5 mt-1.5 w-3 h-3 rounded-full border border-white', REVISION_DOT_STYLES[revision.observation_type])} />
+                <div className="flex items-center gap-2 text-sm">
+                  <span className="font-medium text-gray-900">v{revision.version}</span>
+                  <span className="text-gray-600">{revision.observation_type}</span>
+                  <span className="text-xs text-gray-400">{new Date(revision.timestamp).toLocaleString()}</span>
+                </div>
+                {revision.changes.length > 0 && (
+                  <ul className="mt-1 space-y-0.5 text-xs font-mono">
+                    {revision.changes.map(change => (
+                      <li key={change.key} className={CHANGE_STYLES[change.change].className}>
+                        {CHANGE_STYLES[change.change].mark} {describe(change)}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </li>
+            ))}
+          </ol>
+        </div>
+      )}
+    </div>
+  );
+};
+
 // Knowledge Graph Component
 const KnowledgeGraph: React.FC<{
   entities: Entity[];
   relations: Relation[];
   onEntitySelect?: (entityId: string) => void;
-}> = ({ entities, relations, onEntitySelect: _onEntitySelect }) => {
+  entityHistory?: EntityHistory | null;
+}> = ({ entities, relations, onEntitySelect, entityHistory }) => {
   const [searchTerm, setSearchTerm] = useState('');
+  const [selectedEntityId, setSelectedEntityId] = useState<string | null>(null);
   const [selectedTypes, setSelectedTypes] = useState<string[]>([]);
   const [layoutMode, setLayoutMode] = useState<'hierarchical' | 'circular' | 'grid' | 'force'>('hierarchical');
   const [showLayoutDropdown, setShowLayoutDropdown] = useState(false);
@@ -1108,6 +1363,16 @@ const KnowledgeGraph: React.FC<{
     [setEdges]
   );
 
+  const onNodeClick = useCallback((_event: React.MouseEvent, node: Node) => {
+    setSelectedEntityId(node.id);
+    onEntitySelect?.(node.id);
+  }, [onEntitySelect]);
+
+  const selectedEntity = entities.find(entity => entity.id === selectedEntityId);
+  const entityName = useCallback((entityId: string) => {
+    return entities.find(entity => entity.id === entityId)?.name ?? entityId;
+  }, [entities]);
+
   const entityTypes = useMemo(() => {
     return Array.from(new Set(entities.map(e => e.type)));
   }, [entities]);
@@ -1301,6 +1566,7 @@ const KnowledgeGraph: React.FC<{
             onNodesChange={onNodesChange}
             onEdgesChange={onEdgesChange}
             onConnect={onConnect}
+            onNodeClick={onNodeClick}
             nodeTypes={nodeTypes}
             fitView
             attributionPosition="bottom-left"
@@ -1326,6 +1592,15 @@ const KnowledgeGraph: React.FC<{
           </ReactFlow>
         )}
       </div>
+
+      {selectedEntity && entityHistory !== undefined && (
+        <EntityTimeline
+          entity={selectedEntity}
+          history={entityHistory}
+          entityName={entityName}
+          onClose={() => setSelectedEntityId(null)}
+        />
+      )}
     </>
   );
 
@@ -1483,6 +1758,7 @@ const KnowledgeGraph: React.FC<{
               onNodesChange={onNodesChange}
               onEdgesChange={onEdgesChange}
               onConnect={onConnect}
+              onNodeClick={onNodeClick}
               nodeTypes={nodeTypes}
               fitView
               attributionPosition="bottom-left"
@@ -1519,6 +1795,489 @@ const KnowledgeGraph: React.FC<{
   );
 };
 
+// Web Vitals [good, poor] boundaries, matching the browser logging client
+const VITAL_THRESHOLDS: Record<string, [number, number]> = {
+  LCP: [2500, 4000],
+  FCP: [1800, 3000],
+  CLS: [0.1, 0.25],
+  INP: [200, 500],
+  TTFB: [800, 1800],
+};
+
+const VITAL_NAMES = ['LCP', 'CLS', 'INP', 'FCP', 'TTFB'];
+
+type VitalRating = 'good' | 'needs-improvement' | 'poor';
+
+interface VitalMeasurement {
+  name: string;
+  value: number;
+  rating?: VitalRating | null;
+  route: string;
+  timestamp: number;
+  attribution?: Record<string, any>;
+}
+
+const percentile = (values: number[], p: number): number => {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+};
+
+const rateVital = (name: string, value: number): VitalRating => {
+  const [good, poor] = VITAL_THRESHOLDS[name];
+  return value <= good ? 'good' : value <= poor ? 'needs-improvement' : 'poor';
+};
+
+const formatVital = (name: string, value: number): string => {
+  return name === 'CLS' ? value.toFixed(3) : `${Math.round(value).toLocaleString()}ms`;
+};
+
+const ratingClasses = (rating?: VitalRating | null) => clsx(
+  rating === 'good' && 'bg-green-100 text-green-800',
+  rating === 'needs-improvement' && 'bg-amber-100 text-amber-800',
+  rating === 'poor' && 'bg-red-100 text-red-800',
+  !rating && 'bg-gray-100 text-gray-500'
+);
+
+// Bar chart of one vital over time, with the good/poor thresholds marked
+const VitalChart: React.FC<{ name: string; measurements: VitalMeasurement[] }> = ({ name, measurements }) => {
+  const [good, poor] = VITAL_THRESHOLDS[name];
+  const recent = measurements.slice(-40);
+  const max = Math.max(poor * 1.25, ...recent.map(m => m.value));
+  const p75 = percentile(measurements.map(m => m.value), 75);
+  const rating = measurements.length > 0 ? rateVital(name, p75) : null;
+
+  return (
+    <div className="bg-white rounded-lg shadow-md border border-gray-200 p-4">
+      <div className="flex items-center justify-between mb-3">
+        <div>
+          <p className="text-sm font-medium text-gray-600">{name}</p>
+          <p className="text-2xl font-bold text-gray-900">{measurements.length > 0 ? formatVital(name, p75) : '—'}</p>
+        </div>
+        <span className={clsx('text-xs px-2 py-0.5 rounded-full font-medium', ratingClasses(rating))}>
+          {rating ? `p75 ${rating.replace('-', ' ')}` : 'no data'}
+        </span>
+      </div>
+      <div className="relative h-20 flex items-end gap-0.5 border-b border-gray-200">
+        {[good, poor].map((threshold, index) => (
+          <div
+            key={threshold}
+            className={clsx('absolute left-0 right-0 border-t border-dashed', index === 0 ? 'border-green-400' : 'border-red-400')}
+            style={{ bottom: `${(threshold / max) * 100}%` }}
+            title={`${index === 0 ? 'Good' : 'Poor'}: ${formatVital(name, threshold)}`}
+          />
+        ))}
+        {recent.map((measurement, index) => (
+          <div
+            key={index}
+            className={clsx(
+              'flex-1 rounded-t-sm min-w-[2px]',
+              measurement.rating === 'good' && 'bg-green-500',
+              measurement.rating === 'needs-improvement' && 'bg-amber-500',
+              measurement.rating === 'poor' && 'bg-red-500'
+            )}
+            style={{ height: `${Math.max((measurement.value / max) * 100, 2)}%` }}
+            title={`${formatVital(name, measurement.value)} on ${measurement.route} at ${new Date(measurement.timestamp).toLocaleString()}`}
+          />
+        ))}
+      </div>
+      <p className="text-xs text-gray-500 mt-2">{measurements.length} samples</p>
+    </div>
+  );
+};
+
+// Web Vitals Panel Component - browser performance entries per route
+const WebVitalsPanel: React.FC<{ logs: LogEntry[] }> = ({ logs }) => {
+  const [selectedRoute, setSelectedRoute] = useState<string>('all');
+
+  const measurements = useMemo<VitalMeasurement[]>(() => {
+    return logs
+      .filter(log => log.metadata?.source === 'web-vitals' && log.metadata?.metric)
+      .map(log => ({
+        ...log.metadata!.metric,
+        route: log.metadata!.metric.route || '/',
+        timestamp: new Date(log.timestamp).getTime(),
+      }))
+      .sort((a, b) => a.timestamp - b.timestamp);
+  }, [logs]);
+
+  const routes = useMemo(() => {
+    return Array.from(new Set(measurements.map(m => m.route))).sort();
+  }, [measurements]);
+
+  const routeSummaries = useMemo(() => {
+    return routes.map(route => {
+      const forRoute = measurements.filter(m => m.route === route);
+      const vitals: Record<string, number | null> = {};
+      VITAL_NAMES.forEach(name => {
+        const values = forRoute.filter(m => m.name === name).map(m => m.value);
+        vitals[name] = values.length > 0 ? percentile(values, 75) : null;
+      });
+      return {
+        route,
+        vitals,
+        longTasks: forRoute.filter(m => m.name === 'long-task').length,
+      };
+    });
+  }, [routes, measurements]);
+
+  const selected = selectedRoute === 'all' ? measurements : measurements.filter(m => m.route === selectedRoute);
+  const longTasks = selected.filter(m => m.name === 'long-task');
+  const slowResources = selected
+    .filter(m => m.name === 'resource')
+    .sort((a, b) => b.value - a.value)
+    .slice(0, 10);
+
+  if (measurements.length === 0) {
+    return (
+      <div className="bg-white rounded-lg shadow-md border border-gray-200 p-12 text-center">
+        <Gauge className="w-12 h-12 text-gray-300 mx-auto mb-3" />
+        <p className="text-gray-500">No Web Vitals recorded yet</p>
+        <p className="text-sm text-gray-400 mt-1">
+          Initialize the browser logging client with <code className="font-mono">captureWebVitals: true</code>
+        </p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Route selector */}
+      <div className="flex items-center gap-3">
+        <label htmlFor="vitals-route" className="text-sm font-medium text-gray-700">Route</label>
+        <select
+          id="vitals-route"
+          value={selectedRoute}
+          onChange={(e) => setSelectedRoute(e.target.value)}
+          className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+        >
+          <option value="all">All routes</option>
+          {routes.map(route => (
+            <option key={route} value={route}>{route}</option>
+          ))}
+        </select>
+      </div>
+
+      {/* Vitals over time */}
+      <div className="grid grid-cols-1 sm:grid-cols-2 xl:grid-cols-5 gap-4">
+        {VITAL_NAMES.map(name => (
+          <VitalChart key={name} name={name} measurements={selected.filter(m => m.name === name)} />
+        ))}
+      </div>
+
+      {/* p75 per route */}
+      <div className="bg-white rounded-lg shadow-md border border-gray-200 p-6 overflow-x-auto">
+        <h3 className="text-lg font-semibold text-gray-900 mb-4">p75 by Route</h3>
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-500 border-b border-gray-200">
+              <th className="py-2 pr-4 font-medium">Route</th>
+              {VITAL_NAMES.map(name => (
+                <th key={name} className="py-2 pr-4 font-medium">{name}</th>
+              ))}
+              <th className="py-2 font-medium">Long Tasks</th>
+            </tr>
+          </thead>
+          <tbody>
+            {routeSummaries.map(summary => (
+              <tr
+                key={summary.route}
+                onClick={() => setSelectedRoute(summary.route)}
+                className={clsx(
+                  'border-b border-gray-100 cursor-pointer hover:bg-gray-50',
+                  selectedRoute === summary.route && 'bg-blue-50'
+                )}
+              >
+                <td className="py-2 pr-4 font-mono text-gray-900">{summary.route}</td>
+                {VITAL_NAMES.map(name => {
+                  const value = summary.vitals[name];
+                  return (
+                    <td key={name} className="py-2 pr-4">
+                      <span className={clsx('px-2 py-0.5 rounded text-xs font-medium', ratingClasses(value === null ? null : rateVital(name, value)))}>
+                        {value === null ? '—' : formatVital(name, value)}
+                      </span>
+                    </td>
+                  );
+                })}
+                <td className="py-2 text-gray-700">{summary.longTasks}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        {/* Long tasks */}
+        <div className="bg-white rounded-lg shadow-md border border-gray-200 p-6">
+          <h3 className="text-lg font-semibold text-gray-900 mb-4">Long Tasks</h3>
+          {longTasks.length === 0 ? (
+            <p className="text-sm text-gray-500">No long tasks recorded</p>
+          ) : (
+            <div className="grid grid-cols-3 gap-3">
+              <div className="bg-gray-50 rounded-lg p-3">
+                <p className="text-xs text-gray-500 mb-1">Count</p>
+                <p className="text-base font-semibold text-gray-900">{longTasks.length}</p>
+              </div>
+              <div className="bg-gray-50 rounded-lg p-3">
+                <p className="text-xs text-gray-500 mb-1">p75</p>
+                <p className="text-base font-semibold text-gray-900">{Math.round(percentile(longTasks.map(t => t.value), 75))}ms</p>
+              </div>
+              <div className="bg-gray-50 rounded-lg p-3">
+                <p className="text-xs text-gray-500 mb-1">Longest</p>
+                <p className="text-base font-semibold text-gray-900">{Math.max(...longTasks.map(t => t.value))}ms</p>
+              </div>
+            </div>
+          )}
+        </div>
+
+        {/* Slow resources */}
+        <div className="bg-white rounded-lg shadow-md border border-gray-200 p-6">
+          <h3 className="text-lg font-semibold text-gray-900 mb-4">Slowest Resources</h3>
+          {slowResources.length === 0 ? (
+            <p className="text-sm text-gray-500">No slow resources recorded</p>
+          ) : (
+            <div className="space-y-2">
+              {slowResources.map((resource, index) => (
+                <div key={index} className="flex items-center justify-between gap-3 text-sm">
+                  <span className="font-mono text-gray-700 truncate" title={resource.attribution?.url}>
+                    {resource.attribution?.url}
+                  </span>
+                  <span className="text-gray-900 font-medium whitespace-nowrap">{resource.value.toLocaleString()}ms</span>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Renders a message template with its variable slots highlighted
+const TemplateText: React.FC<{ template: string }> = ({ template }) => (
+  <span className="font-mono text-gray-900 break-all">
+    {template.split('<*>').map((part, index) => (
+      <React.Fragment key={index}>
+        {index > 0 && <span className="px-1 mx-0.5 rounded bg-purple-100 text-purple-700">*</span>}
+        {part}
+      </React.Fragment>
+    ))}
+  </span>
+);
+
+// Log Patterns Panel Component - message templates ranked by volume
+const LogPatternsPanel: React.FC<{ report: LogPatternReport | null }> = ({ report }) => {
+  if (!report || report.patterns.length === 0) {
+    return (
+      <div className="bg-white rounded-lg shadow-md border border-gray-200 p-12 text-center">
+        <Layers className="w-12 h-12 text-gray-300 mx-auto mb-3" />
+        <p className="text-gray-500">No log patterns in the last 24 hours</p>
+        <p className="text-sm text-gray-400 mt-1">Templates are mined from new log entries as they arrive</p>
+      </div>
+    );
+  }
+
+  const trendMax = Math.max(1, ...report.patterns.flatMap(pattern => pattern.trend));
+
+  return (
+    <div className="space-y-6">
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+        <div className="bg-white rounded-lg shadow-md border border-gray-200 p-6">
+          <p className="text-sm text-gray-500">Templates</p>
+          <p className="text-2xl font-bold text-gray-900">{report.templateCount.toLocaleString()}</p>
+        </div>
+        <div className="bg-white rounded-lg shadow-md border border-gray-200 p-6">
+          <p className="text-sm text-gray-500">Log Entries</p>
+          <p className="text-2xl font-bold text-gray-900">{report.estimatedTotal.toLocaleString()}</p>
+        </div>
+        <div className="bg-white rounded-lg shadow-md border border-gray-200 p-6">
+          <p className="text-sm text-gray-500">90% of Volume</p>
+          <p className="text-2xl font-bold text-gray-900">
+            {report.templatesFor90Percent} {report.templatesFor90Percent === 1 ? 'template' : 'templates'}
+          </p>
+        </div>
+      </div>
+
+      <div className="bg-white rounded-lg shadow-md border border-gray-200 p-6 overflow-x-auto">
+        <h3 className="text-lg font-semibold text-gray-900 mb-4">Top Templates (24h)</h3>
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-500 border-b border-gray-200">
+              <th className="py-2 pr-4 font-medium">Template</th>
+              <th className="py-2 pr-4 font-medium">Services</th>
+              <th className="py-2 pr-4 font-medium text-right">Count</th>
+              <th className="py-2 pr-4 font-medium">Share</th>
+              <th className="py-2 font-medium">Trend</th>
+            </tr>
+          </thead>
+          <tbody>
+            {report.patterns.map(pattern => (
+              <tr key={pattern.templateId} className="border-b border-gray-100 align-top">
+                <td className="py-2 pr-4" title={pattern.example}>
+                  <TemplateText template={pattern.template} />
+                  {pattern.errors > 0 && (
+                    <span className="ml-2 text-xs text-red-600">{pattern.errors} errors</span>
+                  )}
+                </td>
+                <td className="py-2 pr-4 text-gray-700">{pattern.services.join(', ')}</td>
+                <td
+                  className="py-2 pr-4 text-right text-gray-900 font-medium"
+                  title={pattern.count !== pattern.estimatedCount ? `${pattern.count} stored (sampled)` : undefined}
+                >
+                  {pattern.estimatedCount.toLocaleString()}
+                </td>
+                <td className="py-2 pr-4 min-w-[8rem]">
+                  <div className="h-2 bg-gray-100 rounded-full overflow-hidden">
+                    <div className="h-full bg-blue-500" style={{ width: `${pattern.share}%` }} />
+                  </div>
+                  <p className="text-xs text-gray-500 mt-1" title="Cumulative share">
+                    {pattern.share.toFixed(1)}% · {pattern.cumulativeShare.toFixed(0)}% cumulative
+                  </p>
+                </td>
+                <td className="py-2">
+                  <div className="h-8 w-32 flex items-end gap-px">
+                    {pattern.trend.map((value, index) => (
+                      <div
+                        key={index}
+                        className="flex-1 bg-purple-400 rounded-t-sm"
+                        style={{ height: `${Math.max((value / trendMax) * 100, value > 0 ? 4 : 0)}%` }}
+                        title={`${value} at ${new Date(report.buckets[index]).toLocaleString()}`}
+                      />
+                    ))}
+                  </div>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+// Hourly log volume from the log_entries_total metric, errors and fatals stacked on top
+const LogVolumeChart: React.FC<{ volume: MetricQueryResult | null }> = ({ volume }) => {
+  const steps = React.useMemo(() => {
+    if (!volume) {
+      return [];
+    }
+
+    const byStep = new Map<number, { total: number; errors: number }>();
+    for (let timestamp = volume.start; timestamp < volume.end; timestamp += volume.step) {
+      byStep.set(timestamp, { total: 0, errors: 0 });
+    }
+    for (const series of volume.series) {
+      const isError = series.labels.level === 'error' || series.labels.level === 'fatal';
+      for (const point of series.points) {
+        const step = byStep.get(point.timestamp);
+        if (step) {
+          step.total += point.value;
+          step.errors += isError ? point.value : 0;
+        }
+      }
+    }
+    return Array.from(byStep, ([timestamp, counts]) => ({ timestamp, ...counts }));
+  }, [volume]);
+
+  const max = Math.max(1, ...steps.map(step => step.total));
+  const total = steps.reduce((sum, step) => sum + step.total, 0);
+  const errors = steps.reduce((sum, step) => sum + step.errors, 0);
+
+  return (
+    <div className="bg-white rounded-lg shadow-md border border-gray-200 p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-semibold text-gray-900">Log Volume (24h)</h3>
+        {total > 0 && (
+          <p className="text-sm text-gray-500">
+            {total.toLocaleString()} entries · <span className="text-red-600">{errors.toLocaleString()} errors</span>
+          </p>
+        )}
+      </div>
+      {total === 0 ? (
+        <p className="text-sm text-gray-500">No log volume recorded yet</p>
+      ) : (
+        <div className="h-24 flex items-end gap-px">
+          {steps.map(step => (
+            <div
+              key={step.timestamp}
+              className="flex-1 flex flex-col justify-end"
+              style={{ height: `${Math.max((step.total / max) * 100, step.total > 0 ? 4 : 0)}%` }}
+              title={`${step.total.toLocaleString()} entries, ${step.errors.toLocaleString()} errors at ${new Date(step.timestamp).toLocaleString()}`}
+            >
+              <div className="bg-red-400 rounded-t-sm" style={{ height: `${step.total > 0 ? (step.errors / step.total) * 100 : 0}%` }} />
+              <div className="flex-1 bg-blue-400" />
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const ALERT_SEVERITY_STYLES: Record<AlertState['severity'], string> = {
+  critical: 'bg-red-100 text-red-800',
+  high: 'bg-orange-100 text-orange-800',
+  medium: 'bg-yellow-100 text-yellow-800',
+  low: 'bg-blue-100 text-blue-800',
+};
+
+// Header bell with the number of firing alerts and a dropdown listing them
+const AlertsBadge: React.FC<{ alerts: AlertReport | null }> = ({ alerts }) => {
+  const [open, setOpen] = useState(false);
+
+  if (!alerts || !alerts.enabled) {
+    return null;
+  }
+
+  const active = alerts.active;
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen(!open)}
+        className="relative p-2 text-gray-400 hover:text-gray-600 dark:text-gray-500 dark:hover:text-gray-300 transition-colors"
+        title={active.length > 0 ? `${active.length} active ${active.length === 1 ? 'alert' : 'alerts'}` : 'No active alerts'}
+      >
+        <Bell className="w-5 h-5" />
+        {active.length > 0 && (
+          <span className="absolute -top-0.5 -right-0.5 min-w-[1.25rem] h-5 px-1 rounded-full bg-red-600 text-white text-xs font-semibold flex items-center justify-center">
+            {active.length}
+          </span>
+        )}
+      </button>
+
+      {open && (
+        <div className="absolute right-0 mt-2 w-80 bg-white dark:bg-gray-800 rounded-lg shadow-lg border border-gray-200 dark:border-gray-700 z-50">
+          <div className="px-4 py-2 border-b border-gray-200 dark:border-gray-700 text-sm font-semibold text-gray-900 dark:text-white">
+            Active Alerts
+          </div>
+          {active.length === 0 ? (
+            <p className="px-4 py-6 text-sm text-center text-gray-500">No active alerts</p>
+          ) : (
+            <ul className="max-h-80 overflow-y-auto divide-y divide-gray-100 dark:divide-gray-700">
+              {active.map(alert => (
+                <li key={alert.ruleId} className="px-4 py-3">
+                  <div className="flex items-center justify-between gap-2">
+                    <span className="text-sm font-medium text-gray-900 dark:text-white truncate">{alert.name}</span>
+                    <span className={clsx('px-2 py-0.5 rounded text-xs font-medium', ALERT_SEVERITY_STYLES[alert.severity])}>
+                      {alert.severity}
+                    </span>
+                  </div>
+                  {alert.message && <p className="text-xs text-gray-600 dark:text-gray-400 mt-1 break-words">{alert.message}</p>}
+                  <p className="text-xs text-gray-400 mt-1">
+                    Since {alert.firedAt ? new Date(alert.firedAt).toLocaleTimeString() : 'unknown'}
+                    {alert.occurrences > 1 && ` • ${alert.occurrences} occurrences`}
+                  </p>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
 // Main Dashboard Component
 const Dashboard: React.FC<DashboardProps> = ({
   services,
@@ -1526,26 +2285,32 @@ const Dashboard: React.FC<DashboardProps> = ({
   relations,
   logs,
   logStats,
+  vitalsLogs = [],
+  logPatterns = null,
+  alerts = null,
+  logVolume = null,
   onServiceRefresh,
   onLogFilter,
+  onLiveFeed,
   onEntitySelect,
+  entityHistory,
   usingMockData = false,
 }) => {
-  const [activeView, setActiveView] = useState<'overview' | 'services' | 'graph' | 'logs'>('overview');
+  const [activeView, setActiveView] = useState<'overview' | 'services' | 'graph' | 'logs' | 'patterns' | 'performance'>('overview');
   const [sidebarOpen, setSidebarOpen] = useState(false);
   const [theme, setTheme] = useState<'light' | 'dark' | 'system'>('system');
 
   // Initialize activeView from URL hash on mount
   useEffect(() => {
-    const hash = window.location.hash.slice(1) as 'overview' | 'services' | 'graph' | 'logs';
-    const validViews = ['overview', 'services', 'graph', 'logs'];
+    const hash = window.location.hash.slice(1) as 'overview' | 'services' | 'graph' | 'logs' | 'patterns' | 'performance';
+    const validViews = ['overview', 'services', 'graph', 'logs', 'patterns', 'performance'];
     if (hash && validViews.includes(hash)) {
       setActiveView(hash);
     }
   }, []);
 
   // Update URL hash when activeView changes
-  const handleViewChange = (view: 'overview' | 'services' | 'graph' | 'logs') => {
+  const handleViewChange = (view: 'overview' | 'services' | 'graph' | 'logs' | 'patterns' | 'performance') => {
     setActiveView(view);
     window.location.hash = view;
     setSidebarOpen(false);
@@ -1602,6 +2367,8 @@ const Dashboard: React.FC<DashboardProps> = ({
     { id: 'services', name: 'Services', icon: Server },
     { id: 'graph', name: 'Knowledge Graph', icon: GitBranch },
     { id: 'logs', name: 'Logs', icon: FileText },
+    { id: 'patterns', name: 'Log Patterns', icon: Layers },
+    { id: 'performance', name: 'Performance', icon: Gauge },
   ];
 
   const stats = {
@@ -1681,6 +2448,7 @@ const Dashboard: React.FC<DashboardProps> = ({
               {navigation.find(n => n.id === activeView)?.name}
             </h2>
             <div className="flex items-center gap-3">
+              <AlertsBadge alerts={alerts} />
               <button
                 onClick={cycleTheme}
                 className="p-2 text-gray-400 hover:text-gray-600 dark:text-gray-500 dark:hover:text-gray-300 transition-colors"
@@ -1744,6 +2512,8 @@ const Dashboard: React.FC<DashboardProps> = ({
                 </div>
               </div>
 
+              <LogVolumeChart volume={logVolume} />
+
               {/* Recent Activity */}
               <div className="bg-white rounded-lg shadow-md border border-gray-200 p-6">
                 <h3 className="text-lg font-semibold text-gray-900 mb-4">Recent Activity</h3>
@@ -1796,11 +2566,20 @@ const Dashboard: React.FC<DashboardProps> = ({
               entities={entities}
               relations={relations}
               onEntitySelect={onEntitySelect}
+              entityHistory={entityHistory}
             />
           )}
 
           {activeView === 'logs' && (
-            <LogViewer logs={logs} services={services} logStats={logStats} usingMockData={usingMockData} onFilter={onLogFilter} />
+            <LogViewer logs={logs} services={services} logStats={logStats} usingMockData={usingMockData} onFilter={onLogFilter} onLiveFeed={onLiveFeed} />
+          )}
+
+          {activeView === 'patterns' && (
+            <LogPatternsPanel report={logPatterns} />
+          )}
+
+          {activeView === 'performance' && (
+            <WebVitalsPanel logs={vitalsLogs} />
           )}
 
         </main>
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
 import { Dashboard } from './App'; // Import the Dashboard component from App.tsx
 
 // Service integration for live data
@@ -7,19 +7,31 @@ const AppWithServices: React.FC = () => {
   const [entities, setEntities] = useState<any[]>([]);
   const [relations, setRelations] = useState<any[]>([]);
   const [logs, setLogs] = useState<any[]>([]);
+  const [vitalsLogs, setVitalsLogs] = useState<any[]>([]);
+  const [logPatterns, setLogPatterns] = useState<any>(null);
+  const [alerts, setAlerts] = useState<any>(null);
+  const [logVolume, setLogVolume] = useState<any>(null);
   const [logStats, setLogStats] = useState<any>(null);
+  const [entityHistory, setEntityHistory] = useState<any>(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState<string | null>(null);
   const [usingMockData, setUsingMockData] = useState(false);
 
+  // Live feed stream from /api/logs/tail, open while the log view's Live Feed is on
+  const liveSource = useRef<EventSource | null>(null);
+
   // Backend API endpoints
   const API_BASE = 'http://localhost:42003';
+  const MAX_LIVE_LOGS = 1000;
 
   useEffect(() => {
     fetchAllData();
     // Set up polling for real-time updates
     const interval = setInterval(fetchAllData, 30000); // 30 second refresh
-    return () => clearInterval(interval);
+    return () => {
+      clearInterval(interval);
+      liveSource.current?.close();
+    };
   }, []);
 
   const fetchAllData = async () => {
@@ -27,12 +39,17 @@ const AppWithServices: React.FC = () => {
       setLoading(true);
 
       // Fetch all data in parallel - request 100 logs by default + stats for accurate totals
-      const [servicesRes, entitiesRes, relationsRes, logsRes, statsRes] = await Promise.allSettled([
+      const [servicesRes, entitiesRes, relationsRes, logsRes, statsRes, vitalsRes, patternsRes, alertsRes, volumeRes] = await Promise.allSettled([
         fetch(`${API_BASE}/health`).then(r => r.ok ? r.json() : { services: [] }),
         fetch(`${API_BASE}/entities`).then(r => r.ok ? r.json() : { data: [] }),
         fetch(`${API_BASE}/relations`).then(r => r.ok ? r.json() : { data: [] }),
         fetch(`${API_BASE}/api/logs/stream?limit=100`).then(r => r.ok ? r.json() : { data: [] }),
-        fetch(`${API_BASE}/api/logs/stats`).then(r => r.ok ? r.json() : null)
+        fetch(`${API_BASE}/api/logs/stats`).then(r => r.ok ? r.json() : null),
+        // Browser performance entries are charted separately, so they aren't crowded out by the latest 100
+        fetch(`${API_BASE}/api/logs/stream?source=web-vitals&limit=1000`).then(r => r.ok ? r.json() : { data: [] }),
+        fetch(`${API_BASE}/api/logs/patterns?timeWindow=86400&limit=25`).then(r => r.ok ? r.json() : { data: null }),
+        fetch(`${API_BASE}/api/alerts?status=firing`).then(r => r.ok ? r.json() : { data: null }),
+        fetch(`${API_BASE}/api/metrics?name=log_entries_total&range=86400&step=3600&groupBy=level`).then(r => r.ok ? r.json() : { data: null })
       ]);
 
       // Transform backend data to match Dashboard props interface
@@ -132,13 +149,32 @@ const AppWithServices: React.FC = () => {
       }
 
       if (logsRes.status === 'fulfilled' && logsRes.value.data) {
-        setLogs(transformLogs(logsRes.value.data));
+        // While the live feed streams logs, keep them rather than resetting to the latest page
+        if (!liveSource.current) {
+          setLogs(transformLogs(logsRes.value.data));
+        }
       }
 
       if (statsRes.status === 'fulfilled' && statsRes.value) {
         setLogStats(statsRes.value);
       }
 
+      if (vitalsRes.status === 'fulfilled' && vitalsRes.value.data) {
+        setVitalsLogs(transformLogs(vitalsRes.value.data));
+      }
+
+      if (patternsRes.status === 'fulfilled' && patternsRes.value.data) {
+        setLogPatterns(patternsRes.value.data);
+      }
+
+      if (alertsRes.status === 'fulfilled' && alertsRes.value.data) {
+        setAlerts(alertsRes.value.data);
+      }
+
+      if (volumeRes.status === 'fulfilled' && volumeRes.value.data) {
+        setLogVolume(volumeRes.value.data);
+      }
+
       setError(null);
     } catch (err) {
       console.error('Failed to fetch data:', err);
@@ -227,32 +263,44 @@ const AppWithServices: React.FC = () => {
 
   const handleLogFilter = async (filters: any) => {
     console.log('Applying log filters:', filters);
-    // If this is a live feed refresh (has refresh timestamp), fetch new logs
-    if (filters.refresh) {
-      try {
-        console.log('🔴 Live feed: Fetching latest logs...');
-        // For live feed, fetch fresh logs with a larger limit to catch recent ones
-        const logsRes = await fetch(`${API_BASE}/api/logs/stream?limit=200`);
-        if (logsRes.ok) {
-          const logsData = await logsRes.json();
-          if (logsData.data && Array.isArray(logsData.data)) {
-            const newLogs = transformLogs(logsData.data);
-            console.log(`🔴 Live feed: Got ${newLogs.length} logs, updating UI...`);
-            setLogs(newLogs);
-          }
-        }
-      } catch (err) {
-        console.error('Failed to fetch live logs:', err);
-        // Fallback to full data fetch if log-only fetch fails
-        fetchAllData();
-      }
-    }
-    // Could implement server-side filtering here for other filter types
+    // Could implement server-side filtering here
   };
 
-  const handleEntitySelect = (entityId: string) => {
-    console.log('Selected entity:', entityId);
-    // Could fetch detailed entity information
+  // Stream new logs over Server-Sent Events; EventSource reconnects and resumes by itself
+  const handleLiveFeed = useCallback((filters: any) => {
+    liveSource.current?.close();
+    liveSource.current = null;
+    if (!filters) {
+      return;
+    }
+
+    const params = new URLSearchParams();
+    if (filters.service?.length) params.set('service', filters.service.join(','));
+    if (filters.level?.length) params.set('level', filters.level.join(','));
+
+    const source = new EventSource(`${API_BASE}/api/logs/tail?${params}`);
+    source.addEventListener('log', (event) => {
+      const [log] = transformLogs([JSON.parse((event as MessageEvent).data)]);
+      if (log) {
+        setLogs(current => [log, ...current.filter(existing => existing.id !== log.id)].slice(0, MAX_LIVE_LOGS));
+      }
+    });
+    source.addEventListener('dropped', (event) => {
+      console.warn('🔴 Live feed: Server dropped logs the dashboard could not keep up with:', (event as MessageEvent).data);
+    });
+    liveSource.current = source;
+  }, []);
+
+  const handleEntitySelect = async (entityId: string) => {
+    setEntityHistory(null);
+    try {
+      const response = await fetch(`${API_BASE}/entities/history?id=${encodeURIComponent(entityId)}&limit=50`);
+      const result = response.ok ? await response.json() : { data: [] };
+      setEntityHistory({ entityId, revisions: result.data || [] });
+    } catch (err) {
+      console.error('Failed to fetch entity history:', err);
+      setEntityHistory({ entityId, revisions: [] });
+    }
   };
 
   if (loading && services.length === 0) {
@@ -296,9 +344,15 @@ const AppWithServices: React.FC = () => {
       relations={relations}
       logs={logs}
       logStats={logStats}
+      vitalsLogs={vitalsLogs}
+      logPatterns={logPatterns}
+      alerts={alerts}
+      logVolume={logVolume}
       onServiceRefresh={handleServiceRefresh}
       onLogFilter={handleLogFilter}
+      onLiveFeed={handleLiveFeed}
       onEntitySelect={handleEntitySelect}
+      entityHistory={entityHistory}
       usingMockData={usingMockData}
     />
   );
@@ -5,6 +5,7 @@ import {
   LoggingService,
   DatabaseConnection,
   createDatabaseConnection,
+  createSpanFromTraceparent,
   logger,
   type Entity,
   type Relation,
@@ -53,7 +54,7 @@ export class KnowledgeGraphHttpServerSimple {
   private setCorsHeaders(res: ServerResponse): void {
     res.setHeader('Access-Control-Allow-Origin', '*');
     res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, traceparent, tracestate');
     res.setHeader('Content-Type', 'application/json');
   }
 
@@ -63,13 +64,19 @@ export class KnowledgeGraphHttpServerSimple {
 
     console.log(`🌐 HTTP Request: ${req.method} ${url.pathname}`);
 
+    // Server span for requests that carry a W3C traceparent (e.g. from the browser client)
+    const trace = typeof req.headers.traceparent === 'string'
+      ? createSpanFromTraceparent(req.headers.traceparent, req.headers.tracestate as string | undefined)
+      : undefined;
+
     // Log the incoming request
     this.httpLogger.info(`HTTP Request received`, {
       method: req.method,
       path: url.pathname,
       userAgent: req.headers['user-agent'],
       ip: req.socket.remoteAddress,
-      query: Object.fromEntries(url.searchParams)
+      query: Object.fromEntries(url.searchParams),
+      trace
     });
 
     this.setCorsHeaders(res);
@@ -129,7 +136,8 @@ export class KnowledgeGraphHttpServerSimple {
         method: req.method,
         path: url.pathname,
         statusCode: res.statusCode,
-        duration: `${duration}ms`
+        duration: `${duration}ms`,
+        trace
       });
 
     } catch (error) {
@@ -141,7 +149,8 @@ export class KnowledgeGraphHttpServerSimple {
           method: req.method,
           path: url.pathname,
           ip: req.socket.remoteAddress,
-          duration: `${Date.now() - startTime}ms`
+          duration: `${Date.now() - startTime}ms`,
+          trace
         });
 
       res.writeHead(500);
@@ -292,14 +301,17 @@ export class KnowledgeGraphHttpServerSimple {
   private async handleLogStream(req: IncomingMessage, res: ServerResponse, url: URL): Promise<void> {
     console.log('📝 Fetching log stream...');
     const limit = parseInt(url.searchParams.get('limit') || '100');
+    // Client-side source (metadata.source), e.g. 'web-vitals' or 'network'
+    const source = url.searchParams.get('source') || undefined;
 
     try {
-      const logs = await this.logService.getLogs({}, limit);
+      const logs = await this.logService.getLogs(source ? { metadata: { source } } : {}, limit);
       console.log(`✅ Retrieved ${logs.length} log entries`);
 
       this.httpLogger.info(`Successfully retrieved log stream`, {
         logCount: logs.length,
-        limit
+        limit,
+        source
       });
 
       res.writeHead(200);
@@ -1,22 +1,69 @@
 import { createServer, IncomingMessage, ServerResponse } from 'http';
 import { URL } from 'url';
+import { readFileSync } from 'fs';
 import {
   KnowledgeGraph,
   LoggingService,
   DatabaseConnection,
   createDatabaseConnection,
+  createSpanFromTraceparent,
+  LogSearchSyntaxError,
+  LogQuerySyntaxError,
+  LogImportError,
+  MetricQueryError,
+  SchemaValidationError,
+  HistoryQueryError,
+  GraphAlgorithmError,
+  LOG_EXPORT_FORMATS,
+  LOG_EXPORT_MEDIA,
   logger,
   type Entity,
   type Relation,
+  type EntityTypeDefinition,
+  type RelationTypeDefinition,
+  type SchemaValidationMode,
+  type GraphPathOptions,
+  type CentralityOptions,
+  type GraphGroupingOptions,
   type LogLevel,
-  type LogEntry
+  type LogEntry,
+  type LogFilter,
+  type LogExportFormat,
+  type TransportConfig,
+  type SamplingConfig,
+  type RetentionConfig,
+  type TemplateMiningConfig,
+  type AlertingConfig,
+  type MetricsConfig,
+  type LogTailSubscription
 } from '@tkr-context-kit/core';
 import { LoggingEndpoints } from './logging-endpoints.js';
 
+/** Events queued per live tail client while its connection is blocked */
+const LOG_TAIL_MAX_QUEUED = 1000;
+/** A live tail client blocked this long (ms) is disconnected */
+const LOG_TAIL_STALL_TIMEOUT = 30000;
+
 export interface HttpServerConfig {
   port?: number;
   host?: string;
   databasePath?: string;
+  /** Directory containing bundler source maps (e.g. dist/) used to resolve browser stack traces */
+  sourceMapDir?: string;
+  /** Extra log transports (file, console, http, otlp); SQLite is always written */
+  logTransports?: TransportConfig[];
+  /** Sampling of stored logs (errors and fatals are kept unless a rule selects them by level) */
+  logSampling?: SamplingConfig;
+  /** Per-level/per-service retention, archiving and the cleanup schedule */
+  logRetention?: RetentionConfig;
+  /** Message template mining behind /api/logs/patterns (enabled by default) */
+  logTemplates?: TemplateMiningConfig;
+  /** Alert rules on ingested logs, reported by /api/alerts */
+  logAlerting?: AlertingConfig;
+  /** Metric rules and rollup retention behind /api/metrics and /metrics */
+  logMetrics?: MetricsConfig;
+  /** How entities and relations are checked against registered types (default 'warn') */
+  schemaValidation?: SchemaValidationMode;
 }
 
 export class KnowledgeGraphHttpServer {
@@ -34,11 +81,17 @@ export class KnowledgeGraphHttpServer {
     this.db = db;
 
     // Initialize Knowledge Graph with unified core
-    this.kg = new KnowledgeGraph(this.db);
+    this.kg = new KnowledgeGraph(this.db, { schemaValidation: config.schemaValidation });
 
     // Initialize Logging Service with unified core
     this.logService = new LoggingService(this.db, {
-      services: ['knowledge-graph-api']
+      services: ['knowledge-graph-api'],
+      transports: config.logTransports,
+      sampling: config.logSampling,
+      retention: config.logRetention,
+      templates: config.logTemplates,
+      alerting: config.logAlerting,
+      metrics: config.logMetrics
     });
 
     // Use unified logger
@@ -48,7 +101,8 @@ export class KnowledgeGraphHttpServer {
     this.loggingEndpoints = new LoggingEndpoints({
       kg: this.kg,
       logService: this.logService,
-      logger: this.httpLogger
+      logger: this.httpLogger,
+      sourceMapDir: config.sourceMapDir
     });
   }
 
@@ -65,7 +119,7 @@ export class KnowledgeGraphHttpServer {
     // Allow both 42001 and 42002 (in case Vite switches ports)
     res.setHeader('Access-Control-Allow-Origin', '*'); // Allow all origins for development
     res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, traceparent, tracestate');
     res.setHeader('Content-Type', 'application/json');
   }
 
@@ -75,13 +129,19 @@ export class KnowledgeGraphHttpServer {
 
     console.log(`🌐 HTTP Request: ${req.method} ${url.pathname}`);
 
+    // Server span for requests that carry a W3C traceparent (e.g. from the browser client)
+    const trace = typeof req.headers.traceparent === 'string'
+      ? createSpanFromTraceparent(req.headers.traceparent, req.headers.tracestate as string | undefined)
+      : undefined;
+
     // Log the incoming request
     this.httpLogger.info(`HTTP Request received`, {
       method: req.method,
       path: url.pathname,
       userAgent: req.headers['user-agent'],
       ip: req.socket.remoteAddress,
-      query: Object.fromEntries(url.searchParams)
+      query: Object.fromEntries(url.searchParams),
+      trace
     });
 
     // Don't set CORS headers for endpoints that handle their own headers
@@ -99,21 +159,56 @@ export class KnowledgeGraphHttpServer {
     try {
       switch (url.pathname) {
         case '/entities':
-          await this.handleGetEntities(res);
+          await this.handleGetEntities(req, res);
+          break;
+        case '/entities/history':
+          this.handleEntityHistory(req, res);
+          break;
+        case '/entities/diff':
+          this.handleEntityDiff(req, res);
           break;
         case '/relations':
-          await this.handleGetRelations(res);
+          await this.handleGetRelations(req, res);
           break;
         case '/stats':
           await this.handleGetStats(res);
           break;
+        case '/schema':
+          this.handleGetSchema(res);
+          break;
+        case '/schema/entity-types':
+        case '/schema/relation-types':
+          if (req.method === 'POST') {
+            await this.handleRegisterType(req, res, url.pathname === '/schema/entity-types' ? 'entity' : 'relation');
+          } else {
+            res.writeHead(405);
+            res.end(JSON.stringify({ error: 'Method not allowed. POST required to register a type.' }));
+          }
+          break;
         case '/health':
           await this.handleHealth(res);
           break;
 
+        // Graph algorithm endpoints
+        case '/api/graph/shortest-path':
+        case '/api/graph/paths':
+        case '/api/graph/cycles':
+        case '/api/graph/centrality':
+        case '/api/graph/components':
+        case '/api/graph/communities':
+          this.handleGraphAlgorithm(req, res, url.pathname.slice('/api/graph/'.length));
+          break;
+
         // Logging endpoints
         case '/api/logs/stream':
-          await this.handleLogStream(req, res);
+          if (req.headers.accept?.includes('text/event-stream')) {
+            this.handleLogTail(req, res);
+          } else {
+            await this.handleLogStream(req, res);
+          }
+          break;
+        case '/api/logs/tail':
+          this.handleLogTail(req, res);
           break;
         case '/api/logs/services':
           await this.handleGetServices(res);
@@ -127,6 +222,29 @@ export class KnowledgeGraphHttpServer {
         case '/api/logs/stats':
           await this.handleLogStats(req, res);
           break;
+        case '/api/logs/patterns':
+          await this.handleLogPatterns(req, res);
+          break;
+        case '/api/logs/export':
+          await this.handleLogExport(req, res);
+          break;
+        case '/api/logs/import':
+          if (req.method === 'POST') {
+            await this.handleLogImport(req, res);
+          } else {
+            res.writeHead(405);
+            res.end(JSON.stringify({ error: 'Method not allowed. POST required for log imports.' }));
+          }
+          break;
+        case '/api/alerts':
+          await this.handleGetAlerts(req, res);
+          break;
+        case '/api/metrics':
+          await this.handleMetrics(req, res);
+          break;
+        case '/metrics':
+          this.handlePrometheusMetrics(res);
+          break;
 
         // Service-specific health endpoints
         case '/api/health/dashboard':
@@ -207,11 +325,18 @@ export class KnowledgeGraphHttpServer {
 
       // Log successful response
       const duration = Date.now() - startTime;
+      this.logService.observeMetric('http_request_duration_ms', duration, {
+        method: req.method || 'GET',
+        // Unmatched paths are arbitrary, so they share one label value
+        path: res.statusCode === 404 ? 'unmatched' : url.pathname,
+        status: String(res.statusCode)
+      });
       this.httpLogger.info(`HTTP Request completed`, {
         method: req.method,
         path: url.pathname,
         statusCode: res.statusCode,
-        duration: `${duration}ms`
+        duration: `${duration}ms`,
+        trace
       });
 
     } catch (error) {
@@ -223,7 +348,8 @@ export class KnowledgeGraphHttpServer {
           method: req.method,
           path: url.pathname,
           ip: req.socket.remoteAddress,
-          duration: `${Date.now() - startTime}ms`
+          duration: `${Date.now() - startTime}ms`,
+          trace
         });
 
       res.writeHead(500);
@@ -234,7 +360,17 @@ export class KnowledgeGraphHttpServer {
     }
   }
 
-  private async handleGetEntities(res: ServerResponse): Promise<void> {
+  private async handleGetEntities(req: IncomingMessage, res: ServerResponse): Promise<void> {
+    const asOf = this.parseAsOf(req, res);
+    if (asOf === null) {
+      return;
+    }
+    if (asOf !== undefined) {
+      res.writeHead(200);
+      res.end(JSON.stringify({ data: this.kg.getGraphAsOf(asOf).entities }));
+      return;
+    }
+
     console.log('🔍 Fetching all entities from database...');
     this.httpLogger.debug('Starting entity retrieval from knowledge graph database');
 
@@ -250,7 +386,17 @@ export class KnowledgeGraphHttpServer {
     res.end(JSON.stringify({ data: entities }));
   }
 
-  private async handleGetRelations(res: ServerResponse): Promise<void> {
+  private async handleGetRelations(req: IncomingMessage, res: ServerResponse): Promise<void> {
+    const asOf = this.parseAsOf(req, res);
+    if (asOf === null) {
+      return;
+    }
+    if (asOf !== undefined) {
+      res.writeHead(200);
+      res.end(JSON.stringify({ data: this.kg.getGraphAsOf(asOf).relations }));
+      return;
+    }
+
     console.log('🔍 Fetching all relations from database...');
     const relations = await this.kg.getRelations();
     console.log(`✅ Retrieved ${relations.length} relations`);
@@ -259,6 +405,207 @@ export class KnowledgeGraphHttpServer {
     res.end(JSON.stringify({ data: relations }));
   }
 
+  /**
+   * The asOf parameter (ms or ISO) of /entities and /relations: undefined when
+   * absent, null after answering 400 for an unreadable value
+   */
+  private parseAsOf(req: IncomingMessage, res: ServerResponse): number | undefined | null {
+    const value = new URL(req.url || '', `http://${req.headers.host}`).searchParams.get('asOf');
+    if (!value) {
+      return undefined;
+    }
+    const asOf = /^\d+$/.test(value) ? parseInt(value) : Date.parse(value);
+    if (Number.isNaN(asOf)) {
+      res.writeHead(400);
+      res.end(JSON.stringify({ error: `Invalid asOf "${value}"; use milliseconds or an ISO date` }));
+      return null;
+    }
+    return asOf;
+  }
+
+  /**
+   * Revisions of one entity (id), oldest first, optionally between since and
+   * until (ms or ISO) and limited to the most recent limit revisions
+   */
+  private handleEntityHistory(req: IncomingMessage, res: ServerResponse): void {
+    const params = new URL(req.url || '', `http://${req.headers.host}`).searchParams;
+    const time = (name: string) => {
+      const value = params.get(name);
+      return value ? (/^\d+$/.test(value) ? parseInt(value) : Date.parse(value)) : undefined;
+    };
+
+    const id = params.get('id');
+    const since = time('since');
+    const until = time('until');
+    if (!id || Number.isNaN(since) || Number.isNaN(until)) {
+      res.writeHead(400);
+      res.end(JSON.stringify({ error: 'id is required; since and until must be milliseconds or ISO dates' }));
+      return;
+    }
+
+    const history = this.kg.getEntityHistory(id, {
+      since,
+      until,
+      limit: params.get('limit') ? parseInt(params.get('limit')!) : undefined
+    });
+    res.writeHead(200);
+    res.end(JSON.stringify({ data: history }));
+  }
+
+  /**
+   * Differences between versions from and to of one entity (id)
+   */
+  private handleEntityDiff(req: IncomingMessage, res: ServerResponse): void {
+    const params = new URL(req.url || '', `http://${req.headers.host}`).searchParams;
+    const id = params.get('id');
+    const from = Number(params.get('from'));
+    const to = Number(params.get('to'));
+    if (!id || !params.get('from') || !params.get('to')) {
+      res.writeHead(400);
+      res.end(JSON.stringify({ error: 'id, from and to (versions) are required' }));
+      return;
+    }
+
+    let diff;
+    try {
+      diff = this.kg.diffEntityVersions(id, from, to);
+    } catch (error) {
+      if (error instanceof HistoryQueryError) {
+        res.writeHead(400);
+        res.end(JSON.stringify({ error: error.message }));
+        return;
+      }
+      throw error;
+    }
+
+    if (!diff) {
+      res.writeHead(404);
+      res.end(JSON.stringify({ error: `No history for entity ${id}` }));
+      return;
+    }
+    res.writeHead(200);
+    res.end(JSON.stringify({ data: diff }));
+  }
+
+  /**
+   * Graph algorithms under /api/graph/: shortest-path and paths (between from
+   * and to), cycles, centrality, components and communities. relationTypes and
+   * entityTypes (comma separated) limit the part of the graph they run on
+   */
+  private handleGraphAlgorithm(req: IncomingMessage, res: ServerResponse, algorithm: string): void {
+    const params = new URL(req.url || '', `http://${req.headers.host}`).searchParams;
+    const list = (name: string) => params.get(name)?.split(',').map(value => value.trim()).filter(Boolean);
+    const number = (name: string) => (params.has(name) ? Number(params.get(name)) : undefined);
+
+    const options: GraphPathOptions & CentralityOptions & GraphGroupingOptions = {
+      relationTypes: list('relationTypes'),
+      entityTypes: list('entityTypes'),
+      direction: (params.get('direction') || undefined) as GraphPathOptions['direction'],
+      algorithm: (params.get('algorithm') || undefined) as CentralityOptions['algorithm'],
+      maxDepth: number('maxDepth'),
+      limit: number('limit'),
+      damping: number('damping'),
+      iterations: number('iterations'),
+      samples: number('samples'),
+      minSize: number('minSize')
+    };
+    const from = params.get('from');
+    const to = params.get('to');
+    if ((algorithm === 'shortest-path' || algorithm === 'paths') && (!from || !to)) {
+      res.writeHead(400);
+      res.end(JSON.stringify({ error: 'from and to (entity IDs) are required' }));
+      return;
+    }
+
+    let data: unknown;
+    try {
+      switch (algorithm) {
+        case 'shortest-path':
+          data = this.kg.findShortestPath(from!, to!, options);
+          break;
+        case 'paths':
+          data = this.kg.findPaths(from!, to!, options);
+          break;
+        case 'cycles':
+          data = this.kg.findStronglyConnectedComponents(options);
+          break;
+        case 'centrality':
+          data = this.kg.getCentrality(options);
+          break;
+        case 'components':
+          data = this.kg.getConnectedComponents(options);
+          break;
+        case 'communities':
+          data = this.kg.detectCommunities(options);
+          break;
+      }
+    } catch (error) {
+      if (error instanceof GraphAlgorithmError) {
+        res.writeHead(400);
+        res.end(JSON.stringify({ error: error.message }));
+        return;
+      }
+      throw error;
+    }
+
+    if (data === null) {
+      res.writeHead(404);
+      res.end(JSON.stringify({ error: `No path from ${from} to ${to}` }));
+      return;
+    }
+    res.writeHead(200);
+    res.end(JSON.stringify({ data }));
+  }
+
+  /**
+   * Registered entity/relation types, the validation mode, and types in
+   * use that have no definition (with the registered type they resemble)
+   */
+  private handleGetSchema(res: ServerResponse): void {
+    res.writeHead(200);
+    res.end(JSON.stringify({ data: this.kg.getSchema() }));
+  }
+
+  /**
+   * Register or replace an entity or relation type from a JSON definition
+   */
+  private async handleRegisterType(req: IncomingMessage, res: ServerResponse, kind: 'entity' | 'relation'): Promise<void> {
+    let definition: unknown;
+    try {
+      definition = JSON.parse(await this.readBody(req));
+    } catch {
+      res.writeHead(400);
+      res.end(JSON.stringify({ error: 'Request body must be a JSON type definition' }));
+      return;
+    }
+
+    try {
+      const registered = kind === 'entity'
+        ? this.kg.registerEntityType(definition as EntityTypeDefinition)
+        : this.kg.registerRelationType(definition as RelationTypeDefinition);
+      res.writeHead(200);
+      res.end(JSON.stringify({ data: registered }));
+    } catch (error) {
+      if (error instanceof SchemaValidationError) {
+        res.writeHead(400);
+        res.end(JSON.stringify({ error: error.message, violations: error.violations }));
+        return;
+      }
+      throw error;
+    }
+  }
+
+  private readBody(req: IncomingMessage): Promise<string> {
+    return new Promise((resolve, reject) => {
+      let body = '';
+      req.on('data', chunk => {
+        body += chunk.toString();
+      });
+      req.on('end', () => resolve(body));
+      req.on('error', reject);
+    });
+  }
+
   private async handleGetStats(res: ServerResponse): Promise<void> {
     console.log('📊 Fetching database statistics...');
     const entities = await this.kg.getEntities();
@@ -306,10 +653,13 @@ export class KnowledgeGraphHttpServer {
     const timeWindow = params.get('timeWindow') ? parseInt(params.get('timeWindow')!) : 3600;
     const format = params.get('format') || 'json';
     const limit = params.get('limit') ? parseInt(params.get('limit')!) : 1000;
+    // Client-side source (metadata.source), e.g. 'web-vitals' or 'network'
+    const source = params.get('source') || undefined;
 
     const filters = {
       service,
       level,
+      metadata: source ? { source } : undefined,
       startTime: new Date(Date.now() - timeWindow * 1000),
       endTime: new Date(),
       limit
@@ -334,6 +684,211 @@ export class KnowledgeGraphHttpServer {
     }
   }
 
+  /**
+   * Server-Sent Events stream of newly stored log entries. Filters: service
+   * and level (comma-separated), q (message text) and traceId. Event ids are
+   * tail cursors, so a reconnecting EventSource resumes via Last-Event-ID.
+   *
+   * A client that can't keep up has events queued (up to
+   * LOG_TAIL_MAX_QUEUED, oldest dropped first, reported in a `dropped`
+   * event); one that stays blocked for LOG_TAIL_STALL_TIMEOUT is
+   * disconnected and can resume from its last event.
+   */
+  private handleLogTail(req: IncomingMessage, res: ServerResponse): void {
+    const url = new URL(req.url || '', `http://${req.headers.host}`);
+    const params = url.searchParams;
+    const list = (name: string) => params.get(name)?.split(',').map(value => value.trim()).filter(Boolean);
+
+    const lastEventId = req.headers['last-event-id'] || params.get('lastEventId');
+    const after = lastEventId && /^\d+$/.test(String(lastEventId)) ? parseInt(String(lastEventId)) : undefined;
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.write('retry: 3000\n\n');
+
+    const queue: string[] = [];
+    let blocked = false;
+    let blockedSince = 0;
+    let dropped = 0;
+
+    const send = (chunk: string) => {
+      if (blocked) {
+        queue.push(chunk);
+        if (queue.length > LOG_TAIL_MAX_QUEUED) {
+          queue.shift();
+          dropped++;
+        }
+        if (Date.now() - blockedSince > LOG_TAIL_STALL_TIMEOUT) {
+          res.destroy();
+        }
+        return;
+      }
+      if (!res.write(chunk)) {
+        blocked = true;
+        blockedSince = Date.now();
+      }
+    };
+
+    res.on('drain', () => {
+      blocked = false;
+      if (dropped > 0) {
+        queue.unshift(`event: dropped\ndata: ${JSON.stringify({ count: dropped })}\n\n`);
+        dropped = 0;
+      }
+      while (queue.length > 0 && !blocked) {
+        send(queue.shift()!);
+      }
+    });
+
+    let subscription: LogTailSubscription;
+    try {
+      subscription = this.logService.tailLogs(
+        {
+          service: list('service'),
+          level: list('level')?.map(level => level.toLowerCase() as LogLevel),
+          text: params.get('q') || undefined,
+          traceId: params.get('traceId') || undefined
+        },
+        ({ cursor, entry }) => send(`id: ${cursor}\nevent: log\ndata: ${JSON.stringify(entry)}\n\n`),
+        after
+      );
+    } catch (error) {
+      // Headers are already sent, so end the stream rather than answer 500
+      this.httpLogger.error('Failed to start live log tail', error instanceof Error ? error : undefined, { after });
+      res.end();
+      return;
+    }
+
+    if (subscription.truncated) {
+      send(`event: truncated\ndata: ${JSON.stringify({ replayed: subscription.replayed })}\n\n`);
+    }
+
+    // Comment lines keep idle connections open through proxies
+    const heartbeat = setInterval(() => send(': ping\n\n'), 15000);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      subscription.unsubscribe();
+    });
+  }
+
+  /**
+   * Download stored logs as NDJSON, CSV, OTLP-JSON or a HAR bundle, oldest
+   * first. Scoped by service and level (comma-separated), traceId, source
+   * (metadata.source), start/end (ms or ISO) or timeWindow (seconds). The
+   * body is written as it is read, waiting whenever the client falls behind.
+   */
+  private async handleLogExport(req: IncomingMessage, res: ServerResponse): Promise<void> {
+    const url = new URL(req.url || '', `http://${req.headers.host}`);
+    const params = url.searchParams;
+    const list = (name: string) => params.get(name)?.split(',').map(value => value.trim()).filter(Boolean);
+    const time = (name: string) => {
+      const value = params.get(name);
+      return value ? (/^\d+$/.test(value) ? parseInt(value) : Date.parse(value)) : undefined;
+    };
+
+    const format = (params.get('format') || 'ndjson').toLowerCase() as LogExportFormat;
+    if (!LOG_EXPORT_FORMATS.includes(format)) {
+      res.writeHead(400);
+      res.end(JSON.stringify({ error: `Unknown format "${format}"; use one of ${LOG_EXPORT_FORMATS.join(', ')}` }));
+      return;
+    }
+
+    const timeWindow = params.get('timeWindow') ? parseInt(params.get('timeWindow')!) : undefined;
+    const start = time('start') ?? (timeWindow ? Date.now() - timeWindow * 1000 : undefined);
+    const end = time('end');
+    if (Number.isNaN(start) || Number.isNaN(end)) {
+      res.writeHead(400);
+      res.end(JSON.stringify({ error: 'start and end must be Unix milliseconds or ISO dates' }));
+      return;
+    }
+
+    const source = params.get('source') || undefined;
+    const filter: LogFilter = {
+      service: list('service'),
+      level: list('level')?.map(level => level.toLowerCase() as LogLevel),
+      traceId: params.get('traceId') || undefined,
+      metadata: source ? { source } : undefined,
+      timeRange: start !== undefined || end !== undefined ? { start, end } : undefined
+    };
+    const limit = params.get('limit') ? parseInt(params.get('limit')!) : undefined;
+
+    const { contentType, extension } = LOG_EXPORT_MEDIA[format];
+    const name = filter.traceId ? `trace-${filter.traceId}` : `logs-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+    res.writeHead(200, {
+      'Content-Type': contentType,
+      'Content-Disposition': `attachment; filename="${name}.${extension}"`
+    });
+
+    let closed = false;
+    res.on('close', () => {
+      closed = true;
+    });
+
+    try {
+      for await (const chunk of this.logService.exportLogs(filter, { format, limit })) {
+        if (closed) {
+          break;
+        }
+        if (!res.write(chunk)) {
+          await new Promise<void>(resolve => {
+            const resume = () => {
+              res.off('drain', resume);
+              res.off('close', resume);
+              resolve();
+            };
+            res.on('drain', resume);
+            res.on('close', resume);
+          });
+        }
+      }
+    } catch (error) {
+      // Headers are already sent, so cut the download short rather than answer 500
+      this.httpLogger.error('Log export failed', error instanceof Error ? error : undefined, { format });
+      res.destroy();
+      return;
+    }
+
+    res.end();
+  }
+
+  /**
+   * Import logs from the request body, in any format /api/logs/export
+   * writes (format= or detected) or a HAR file saved from browser dev tools.
+   * Entries are stored under new IDs; service= names records without one.
+   */
+  private async handleLogImport(req: IncomingMessage, res: ServerResponse): Promise<void> {
+    const url = new URL(req.url || '', `http://${req.headers.host}`);
+    const format = url.searchParams.get('format')?.toLowerCase() as LogExportFormat | undefined;
+    if (format && !LOG_EXPORT_FORMATS.includes(format)) {
+      res.writeHead(400);
+      res.end(JSON.stringify({ error: `Unknown format "${format}"; use one of ${LOG_EXPORT_FORMATS.join(', ')}` }));
+      return;
+    }
+
+    let result;
+    try {
+      result = await this.logService.importLogs(req, {
+        format,
+        service: url.searchParams.get('service') || undefined
+      });
+    } catch (error) {
+      if (error instanceof LogImportError) {
+        res.writeHead(400);
+        res.end(JSON.stringify({ error: error.message }));
+        return;
+      }
+      throw error;
+    }
+
+    res.writeHead(200);
+    res.end(JSON.stringify({ data: result }));
+  }
+
   private async handleGetServices(res: ServerResponse): Promise<void> {
     const logs = await this.logService.getLogs({}, 1000);
     const services = [...new Set(logs.map(log => log.service))].filter(Boolean);
@@ -347,24 +902,40 @@ export class KnowledgeGraphHttpServer {
 
     const query = params.get('q') || params.get('query') || '';
     const service = params.get('service') || undefined;
-    const level = params.get('level') as LogLevel || undefined;
+    const level = params.get('level')?.toLowerCase() as LogLevel || undefined;
     const limit = params.get('limit') ? parseInt(params.get('limit')!) : 50;
+    const offset = params.get('offset') ? parseInt(params.get('offset')!) : 0;
     const format = params.get('format') || 'json';
 
+    // ql= takes a log query (filters and aggregations) instead of full-text search
+    const structured = params.get('ql');
+    if (structured) {
+      await this.handleStructuredLogQuery(structured, params, res);
+      return;
+    }
+
     if (!query) {
       res.writeHead(400);
       res.end(JSON.stringify({ error: 'Query parameter is required' }));
       return;
     }
 
-    const filters = {
-      service,
-      level,
-      limit,
-      search: query
-    };
-
-    const results = await this.logService.getLogs(filters);
+    let results;
+    try {
+      results = await this.logService.searchLogs({
+        text: query,
+        filters: { service, level },
+        limit,
+        offset
+      });
+    } catch (error) {
+      if (error instanceof LogSearchSyntaxError) {
+        res.writeHead(400);
+        res.end(JSON.stringify({ error: error.message, position: error.position }));
+        return;
+      }
+      throw error;
+    }
 
     if (format === 'text') {
       const logText = results
@@ -378,8 +949,35 @@ export class KnowledgeGraphHttpServer {
       res.end(logText);
     } else {
       res.writeHead(200);
-      res.end(JSON.stringify({ data: results }));
+      res.end(JSON.stringify({ data: results, query }));
+    }
+  }
+
+  private async handleStructuredLogQuery(query: string, params: URLSearchParams, res: ServerResponse): Promise<void> {
+    const timeWindow = params.get('timeWindow') ? parseInt(params.get('timeWindow')!) : undefined;
+
+    let result;
+    try {
+      result = await this.logService.queryLogs(query, {
+        timeWindow: timeWindow ? timeWindow * 1000 : undefined,
+        limit: params.get('limit') ? parseInt(params.get('limit')!) : undefined
+      });
+    } catch (error) {
+      if (error instanceof LogQuerySyntaxError) {
+        res.writeHead(400);
+        res.end(JSON.stringify({ error: error.message, position: error.position }));
+        return;
+      }
+      throw error;
     }
+
+    res.writeHead(200);
+    res.end(JSON.stringify({
+      data: result.kind === 'entries' ? result.entries : result.rows,
+      kind: result.kind,
+      columns: result.columns,
+      query
+    }));
   }
 
   private async handleServiceHealth(req: IncomingMessage, res: ServerResponse): Promise<void> {
@@ -543,6 +1141,108 @@ export class KnowledgeGraphHttpServer {
     }
   }
 
+  private async handleLogPatterns(req: IncomingMessage, res: ServerResponse): Promise<void> {
+    const url = new URL(req.url || '', `http://${req.headers.host}`);
+    const params = url.searchParams;
+
+    const timeWindow = params.get('timeWindow') ? parseInt(params.get('timeWindow')!) : 86400;
+    const bucketSize = params.get('bucketSize') ? parseInt(params.get('bucketSize')!) : undefined;
+    const limit = params.get('limit') ? parseInt(params.get('limit')!) : 20;
+
+    const report = await this.logService.getLogPatterns({
+      timeWindow: timeWindow * 1000,
+      bucketSize: bucketSize ? bucketSize * 1000 : undefined,
+      service: params.get('service') || undefined,
+      level: params.get('level')?.toLowerCase() as LogLevel || undefined,
+      limit
+    });
+
+    res.writeHead(200);
+    res.end(JSON.stringify({ data: report }));
+  }
+
+  private async handleGetAlerts(req: IncomingMessage, res: ServerResponse): Promise<void> {
+    const url = new URL(req.url || '', `http://${req.headers.host}`);
+    const status = url.searchParams.get('status');
+    const limit = url.searchParams.get('limit') ? parseInt(url.searchParams.get('limit')!) : 50;
+
+    const alerts = await this.logService.getAlerts({
+      status: status === 'firing' || status === 'ok' ? status : undefined,
+      limit
+    });
+
+    res.writeHead(200);
+    res.end(JSON.stringify({ data: alerts }));
+  }
+
+  /**
+   * Query a metric's rollups: name, start/end (ms or ISO) or range (seconds,
+   * default 3600), step (seconds), groupBy (comma-separated labels) and
+   * labels (`name:value` pairs, comma-separated). Without a name, lists the
+   * metrics.
+   */
+  private async handleMetrics(req: IncomingMessage, res: ServerResponse): Promise<void> {
+    const url = new URL(req.url || '', `http://${req.headers.host}`);
+    const params = url.searchParams;
+    const list = (name: string) => params.get(name)?.split(',').map(value => value.trim()).filter(Boolean);
+    const time = (name: string) => {
+      const value = params.get(name);
+      return value ? (/^\d+$/.test(value) ? parseInt(value) : Date.parse(value)) : undefined;
+    };
+
+    const name = params.get('name');
+    if (!name) {
+      res.writeHead(200);
+      res.end(JSON.stringify({ data: this.logService.listMetrics() }));
+      return;
+    }
+
+    const end = time('end');
+    const range = params.get('range') ? parseInt(params.get('range')!) * 1000 : undefined;
+    const start = time('start') ?? (range ? (end ?? Date.now()) - range : undefined);
+    if (Number.isNaN(start) || Number.isNaN(end)) {
+      res.writeHead(400);
+      res.end(JSON.stringify({ error: 'start and end must be Unix milliseconds or ISO dates' }));
+      return;
+    }
+
+    const labels = Object.fromEntries((list('labels') || []).map(pair => {
+      const separator = pair.indexOf(':');
+      return separator === -1 ? [pair, ''] : [pair.slice(0, separator), pair.slice(separator + 1)];
+    }));
+
+    let result;
+    try {
+      result = await this.logService.queryMetrics({
+        name,
+        start,
+        end,
+        step: params.get('step') ? parseInt(params.get('step')!) * 1000 : undefined,
+        groupBy: list('groupBy'),
+        labels
+      });
+    } catch (error) {
+      if (error instanceof MetricQueryError) {
+        res.writeHead(400);
+        res.end(JSON.stringify({ error: error.message }));
+        return;
+      }
+      throw error;
+    }
+
+    res.writeHead(200);
+    res.end(JSON.stringify({ data: result }));
+  }
+
+  /**
+   * Prometheus text exposition of metric totals since the server started
+   */
+  private handlePrometheusMetrics(res: ServerResponse): void {
+    res.setHeader('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    res.writeHead(200);
+    res.end(this.logService.getMetricsExposition());
+  }
+
   private async handleLogStats(req: IncomingMessage, res: ServerResponse): Promise<void> {
     console.log('📊 Fetching log statistics...');
 
@@ -710,14 +1410,33 @@ export class KnowledgeGraphHttpServer {
         console.log(`🚀 Knowledge Graph HTTP Server running at http://${this.host}:${this.port}`);
         console.log('📋 Available endpoints:');
         console.log(`   GET  http://${this.host}:${this.port}/entities`);
+        console.log(`   GET  http://${this.host}:${this.port}/entities/history`);
+        console.log(`   GET  http://${this.host}:${this.port}/entities/diff`);
         console.log(`   GET  http://${this.host}:${this.port}/relations`);
         console.log(`   GET  http://${this.host}:${this.port}/stats`);
         console.log(`   GET  http://${this.host}:${this.port}/health`);
+        console.log(`   GET  http://${this.host}:${this.port}/schema`);
+        console.log(`   POST http://${this.host}:${this.port}/schema/entity-types`);
+        console.log(`   POST http://${this.host}:${this.port}/schema/relation-types`);
+        console.log('\n🕸️  Graph algorithm endpoints:');
+        console.log(`   GET  http://${this.host}:${this.port}/api/graph/shortest-path`);
+        console.log(`   GET  http://${this.host}:${this.port}/api/graph/paths`);
+        console.log(`   GET  http://${this.host}:${this.port}/api/graph/cycles`);
+        console.log(`   GET  http://${this.host}:${this.port}/api/graph/centrality`);
+        console.log(`   GET  http://${this.host}:${this.port}/api/graph/components`);
+        console.log(`   GET  http://${this.host}:${this.port}/api/graph/communities`);
         console.log('\n📝 Logging endpoints:');
         console.log(`   GET  http://${this.host}:${this.port}/api/logs/stream`);
+        console.log(`   GET  http://${this.host}:${this.port}/api/logs/tail (SSE)`);
         console.log(`   GET  http://${this.host}:${this.port}/api/logs/services`);
         console.log(`   GET  http://${this.host}:${this.port}/api/logs/search`);
         console.log(`   GET  http://${this.host}:${this.port}/api/logs/stats`);
+        console.log(`   GET  http://${this.host}:${this.port}/api/logs/patterns`);
+        console.log(`   GET  http://${this.host}:${this.port}/api/logs/export`);
+        console.log(`   POST http://${this.host}:${this.port}/api/logs/import`);
+        console.log(`   GET  http://${this.host}:${this.port}/api/alerts`);
+        console.log(`   GET  http://${this.host}:${this.port}/api/metrics`);
+        console.log(`   GET  http://${this.host}:${this.port}/metrics (Prometheus)`);
         console.log(`   POST http://${this.host}:${this.port}/api/logs`);
         console.log('\n🚀 Enhanced Wave 2 endpoints:');
         console.log(`   POST http://${this.host}:${this.port}/api/logs/batch`);
@@ -730,8 +1449,9 @@ export class KnowledgeGraphHttpServer {
           host: this.host,
           port: this.port,
           endpoints: [
-            '/entities', '/relations', '/stats', '/health',
-            '/api/logs/stream', '/api/logs/services', '/api/logs/search', '/api/logs/health', '/api/logs',
+            '/entities', '/entities/history', '/entities/diff', '/relations', '/stats', '/health', '/schema', '/schema/entity-types', '/schema/relation-types',
+            '/api/graph/shortest-path', '/api/graph/paths', '/api/graph/cycles', '/api/graph/centrality', '/api/graph/components', '/api/graph/communities',
+            '/api/logs/stream', '/api/logs/tail', '/api/logs/services', '/api/logs/search', '/api/logs/patterns', '/api/logs/export', '/api/logs/import', '/api/alerts', '/api/metrics', '/metrics', '/api/logs/health', '/api/logs',
             '/api/logs/batch', '/api/logging-client.js', '/api/logs/enhanced-stats', '/api/logs/enhanced-health'
           ]
         });
@@ -747,13 +1467,39 @@ export class KnowledgeGraphHttpServer {
   }
 }
 
+/**
+ * Read a config object from a JSON file; the feature keeps its defaults if it can't be read
+ */
+function loadJsonConfig<T>(path: string | undefined, description: string): T | undefined {
+  if (!path) {
+    return undefined;
+  }
+
+  try {
+    return JSON.parse(readFileSync(path, 'utf8'));
+  } catch (error) {
+    console.warn(`⚠️  Failed to load ${description} from ${path}: ${error instanceof Error ? error.message : error}`);
+    return undefined;
+  }
+}
+
 // CLI runner
 if (import.meta.url === `file://${process.argv[1]}`) {
   (async () => {
     try {
       const server = await KnowledgeGraphHttpServer.create({
         port: 42003,
-        databasePath: 'knowledge-graph.db'
+        databasePath: 'knowledge-graph.db',
+        sourceMapDir: process.env.TKR_SOURCE_MAP_DIR,
+        logTransports: process.env.TKR_LOG_FILE
+          ? [{ type: 'file', name: 'file', options: { path: process.env.TKR_LOG_FILE } }]
+          : [],
+        logSampling: process.env.TKR_LOG_SAMPLE_RATE
+          ? { enabled: true, defaultRate: Number(process.env.TKR_LOG_SAMPLE_RATE) }
+          : undefined,
+        logAlerting: loadJsonConfig<AlertingConfig>(process.env.TKR_ALERT_RULES, 'alert rules'),
+        logMetrics: loadJsonConfig<MetricsConfig>(process.env.TKR_METRICS_CONFIG, 'metrics config'),
+        schemaValidation: process.env.TKR_SCHEMA_VALIDATION as SchemaValidationMode | undefined
       });
 
       await server.start();
@@ -6,6 +6,7 @@
  * - Browser client script serving
  * - Rate limiting
  * - Deduplication
+ * - Source map resolution of browser stack traces
  * - Enhanced analytics
  *
  * @fileoverview Wave 2 logging endpoints for integration with Wave 1 components
@@ -15,6 +16,7 @@ import { readFileSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
 import { createHash } from 'crypto';
+import { SourceMapResolver } from './source-map-resolver.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -234,6 +236,13 @@ export class LoggingEndpoints {
       maxDuplicates: 5   // Allow 5 duplicates before suppressing
     });
 
+    // Optional source map resolution for browser stack traces
+    this.sourceMapResolver = options.sourceMapDir
+      ? new SourceMapResolver({ sourceMapDir: options.sourceMapDir, logger: this.logger })
+      : null;
+    // Index the map directory at startup, off the ingest path
+    this.sourceMapResolver?.initialize();
+
     // Cache for browser client script
     this.browserClientCache = null;
     this.browserClientPath = join(__dirname, '../../../browser-client/logging-client.js');
@@ -241,6 +250,7 @@ export class LoggingEndpoints {
     // Performance monitoring
     this.stats = {
       batchRequests: 0,
+      beaconRequests: 0,
       individualRequests: 0,
       rateLimitHits: 0,
       duplicatesSuppressed: 0,
@@ -312,8 +322,12 @@ export class LoggingEndpoints {
       errors.push('component must be a string of 100 characters or less');
     }
 
+    if (logEntry.id !== undefined && (typeof logEntry.id !== 'string' || logEntry.id.length === 0 || logEntry.id.length > 100)) {
+      errors.push('id must be a non-empty string of 100 characters or less');
+    }
+
     if (logEntry.timestamp && typeof logEntry.timestamp !== 'number') {
-      errors.push('timestamp must be a number (Unix timestamp)');
+      errors.push('timestamp must be a number (Unix timestamp in milliseconds)');
     }
 
     if (logEntry.metadata && typeof logEntry.metadata !== 'object') {
@@ -323,6 +337,46 @@ export class LoggingEndpoints {
     return { valid: errors.length === 0, errors };
   }
 
+  /**
+   * Get the media type of a request, without parameters such as charset
+   * @param {IncomingMessage} req - HTTP request
+   * @returns {string} - Lower-cased media type, or '' if not provided
+   */
+  getContentType(req) {
+    return (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+  }
+
+  /**
+   * Check whether a batch body can be parsed as JSON
+   * @param {string} contentType - Media type from getContentType
+   * @returns {boolean} - True for JSON, text/plain (beacons) or a missing content type
+   */
+  isSupportedBatchContentType(contentType) {
+    return contentType === '' || contentType === 'application/json' || contentType === 'text/plain';
+  }
+
+  /**
+   * Normalize a batch body to the { logs, metadata } format.
+   * Accepts the unified core format ({ entries, timestamp, source }) sent by
+   * the browser client as well as the legacy { logs, metadata } format.
+   * @param {object} batchData - Parsed request body
+   * @returns {object} - Batch with a "logs" array
+   */
+  normalizeBatch(batchData) {
+    if (!batchData || typeof batchData !== 'object' || batchData.logs || !Array.isArray(batchData.entries)) {
+      return batchData;
+    }
+
+    return {
+      logs: batchData.entries,
+      metadata: {
+        ...batchData.metadata,
+        source: batchData.metadata?.source || batchData.source,
+        timestamp: batchData.metadata?.timestamp || batchData.timestamp
+      }
+    };
+  }
+
   /**
    * Handle batch log submission
    * @param {IncomingMessage} req - HTTP request
@@ -344,14 +398,26 @@ export class LoggingEndpoints {
 
       req.on('end', async () => {
         try {
-          const batchData = JSON.parse(body);
+          const contentType = this.getContentType(req);
+          if (!this.isSupportedBatchContentType(contentType)) {
+            res.writeHead(415, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({
+              error: 'Unsupported content type',
+              message: 'Batch logs must be sent as application/json or text/plain'
+            }));
+            return;
+          }
+
+          // Beacons (navigator.sendBeacon) send text/plain to avoid a CORS preflight
+          const isBeacon = contentType === 'text/plain';
+          const batchData = this.normalizeBatch(JSON.parse(body));
 
           // Validate batch structure
           if (!batchData.logs || !Array.isArray(batchData.logs)) {
             res.writeHead(400, { 'Content-Type': 'application/json' });
             res.end(JSON.stringify({
               error: 'Invalid batch format',
-              message: 'Request must contain a "logs" array'
+              message: 'Request must contain a "logs" or "entries" array'
             }));
             return;
           }
@@ -372,7 +438,8 @@ export class LoggingEndpoints {
             batchId: batchData.metadata?.batchId || `batch_${Date.now()}`
           };
 
-          // Process each log in the batch
+          // Validate each log in the batch
+          const accepted = [];
           for (let i = 0; i < batchData.logs.length; i++) {
             const logEntry = batchData.logs[i];
 
@@ -404,21 +471,26 @@ export class LoggingEndpoints {
             // Add batch metadata
             logEntry.metadata = logEntry.metadata || {};
             logEntry.metadata.batchId = results.batchId;
-            logEntry.metadata.source = batchData.metadata?.source || 'unknown';
+            logEntry.metadata.batchSource = batchData.metadata?.source || 'unknown';
             logEntry.metadata.batchIndex = i;
 
             // Set timestamp if not provided
             if (!logEntry.timestamp) {
-              logEntry.timestamp = Math.floor(Date.now() / 1000);
+              logEntry.timestamp = Date.now();
             }
 
-            // Process the log entry through the existing logger
-            await this.processLogEntry(logEntry);
-            results.processed++;
+            accepted.push(logEntry);
           }
 
+          // Store the accepted entries together through the existing logger
+          await this.processLogEntries(accepted);
+          results.processed = accepted.length;
+
           // Update statistics
           this.stats.batchRequests++;
+          if (isBeacon) {
+            this.stats.beaconRequests++;
+          }
           const processingTime = Date.now() - startTime;
           this.updatePerformanceStats(processingTime);
 
@@ -430,7 +502,8 @@ export class LoggingEndpoints {
             duplicates: results.duplicates,
             errors: results.errors.length,
             processingTimeMs: processingTime,
-            source: batchData.metadata?.source
+            source: batchData.metadata?.source,
+            transport: isBeacon ? 'beacon' : 'fetch'
           }, { component: 'BatchProcessor' });
 
           res.writeHead(200, { 'Content-Type': 'application/json' });
@@ -531,22 +604,74 @@ export class LoggingEndpoints {
   }
 
   /**
-   * Process a single log entry through the existing logger
-   * @param {object} logEntry - Validated log entry
+   * Resolve browser stack frames in a log entry's metadata against source maps.
+   * The raw frames are kept as sent; original locations are added alongside:
+   * - metadata.originalStack: stack trace rewritten with original locations
+   * - metadata.stackFrames: [{ raw, file, line, column, functionName, original }]
+   * - metadata.originalLocation: { source, line, column, name } of the error site
+   * @param {object} metadata - Log entry metadata (modified in place)
    */
-  async processLogEntry(logEntry) {
-    // Insert directly into database to preserve service information
+  async resolveSourceLocations(metadata) {
+    if (!this.sourceMapResolver || !metadata) {
+      return;
+    }
+
+    try {
+      const resolvedStack = await this.sourceMapResolver.resolveStack(metadata.stack);
+      if (resolvedStack) {
+        metadata.originalStack = resolvedStack.originalStack;
+        metadata.stackFrames = resolvedStack.frames;
+      }
+
+      // window.error events report the error site separately from the stack
+      const errorSite = metadata.filename && metadata.lineno
+        ? await this.sourceMapResolver.resolvePosition(metadata.filename, metadata.lineno, metadata.colno)
+        : null;
+      const topFrame = resolvedStack?.frames.find(frame => frame.original);
+
+      if (errorSite || topFrame) {
+        metadata.originalLocation = errorSite || topFrame.original;
+      }
+    } catch (error) {
+      this.logger?.warn('Failed to resolve source locations', {
+        error: error.message
+      }, { component: 'SourceMapResolver' });
+    }
+  }
+
+  /**
+   * Store validated log entries through the existing logger
+   * @param {object[]} logEntries - Validated log entries
+   */
+  async processLogEntries(logEntries) {
+    for (const logEntry of logEntries) {
+      await this.resolveSourceLocations(logEntry.metadata);
+    }
+
+    // Insert directly into database to preserve service information,
+    // keeping the client's entry IDs and timestamps. One call per request;
+    // logBatch flushes right away when the batch holds an error or fatal entry.
     if (this.logService) {
-      await this.logService.addLog({
-        level: logEntry.level.toUpperCase(),
-        message: logEntry.message,
-        service: logEntry.service || 'Unknown',
-        component: logEntry.component || 'RemoteClient',
-        data: JSON.stringify(logEntry.metadata || {}),
-        timestamp: logEntry.timestamp || Math.floor(Date.now() / 1000)
-      });
-    } else {
-      // Fallback to logger if logService not available
+      if (logEntries.length > 0) {
+        await this.logService.logBatch({
+          entries: logEntries.map(logEntry => ({
+            id: logEntry.id,
+            timestamp: logEntry.timestamp,
+            level: logEntry.level.toLowerCase(),
+            message: logEntry.message,
+            service: logEntry.service || 'Unknown',
+            source: logEntry.component || logEntry.source || 'RemoteClient',
+            metadata: logEntry.metadata || {}
+          })),
+          timestamp: Date.now(),
+          source: 'RemoteClient'
+        });
+      }
+      return;
+    }
+
+    // Fallback to logger if logService not available
+    for (const logEntry of logEntries) {
       const level = logEntry.level.toLowerCase();
       const metadata = logEntry.metadata || {};
       const options = { component: logEntry.component || 'RemoteClient' };
@@ -593,6 +718,7 @@ export class LoggingEndpoints {
     return {
       performance: {
         batchRequests: this.stats.batchRequests,
+        beaconRequests: this.stats.beaconRequests,
         individualRequests: this.stats.individualRequests,
         averageProcessingTime: this.stats.averageProcessingTime,
         totalProcessingTime: this.stats.totalProcessingTime
@@ -608,7 +734,10 @@ export class LoggingEndpoints {
       clientScript: {
         served: this.stats.clientScriptServed,
         cached: this.browserClientCache !== null
-      }
+      },
+      sourceMaps: this.sourceMapResolver
+        ? { enabled: true, ...this.sourceMapResolver.getStats() }
+        : { enabled: false }
     };
   }
 
@@ -0,0 +1,374 @@
+/**
+ * Source Map Resolver for browser stack traces
+ *
+ * Maps minified/bundled frames sent by the browser logging client back to
+ * their original source locations, using the .map files emitted by the
+ * bundler (e.g. Vite's dist/assets/*.js.map) in a configured directory.
+ *
+ * The map index is built asynchronously at startup (initialize()), so ingest
+ * never walks the directory; a miss only schedules a background rescan.
+ *
+ * @fileoverview Used by LoggingEndpoints.processLogEntry on ingest
+ */
+
+import { readFile, readdir, realpath, stat } from 'fs/promises';
+import { join, basename } from 'path';
+import { SourceMapConsumer } from 'source-map-js';
+
+// Chrome/Edge/Node: "    at fn (http://host/assets/index.js:1:234)" or "    at http://host/assets/index.js:1:234"
+const V8_FRAME = /^\s*at (?:(.+?) \()?(.+?):(\d+):(\d+)\)?\s*$/;
+// Firefox/Safari: "fn@http://host/assets/index.js:1:234"
+const GECKO_FRAME = /^\s*(.*?)@(.+?):(\d+):(\d+)\s*$/;
+
+/**
+ * Resolves generated positions to original ones using source maps on disk
+ */
+export class SourceMapResolver {
+  constructor(options = {}) {
+    this.sourceMapDir = options.sourceMapDir;
+    this.logger = options.logger;
+    this.maxCachedMaps = options.maxCachedMaps || 50;
+    this.rescanIntervalMs = options.rescanIntervalMs || 30000; // 30 seconds
+
+    // Map file index: relative path and basename -> absolute path
+    this.mapIndex = new Map();
+    this.lastScan = 0;
+    this.initialized = null;
+    this.scanning = null;
+
+    // Parsed consumers (promises), in least-recently-used order
+    this.consumers = new Map();
+
+    this.stats = {
+      framesResolved: 0,
+      framesUnresolved: 0,
+      mapsLoaded: 0,
+      mapErrors: 0
+    };
+  }
+
+  /**
+   * Build the map file index. Safe to call more than once; the directory is
+   * only scanned on the first call.
+   * @returns {Promise<void>}
+   */
+  initialize() {
+    if (!this.initialized) {
+      this.initialized = this.scan();
+    }
+    return this.initialized;
+  }
+
+  /**
+   * Resolve every frame of a stack trace
+   * @param {string} stack - Raw stack trace
+   * @returns {Promise<object|null>} - { frames, originalStack, resolved } or null if nothing could be resolved
+   */
+  async resolveStack(stack) {
+    if (!stack || typeof stack !== 'string') {
+      return null;
+    }
+
+    const frames = [];
+    let resolved = 0;
+
+    for (const line of stack.split('\n')) {
+      const frame = this.parseFrame(line);
+      if (!frame) {
+        continue;
+      }
+
+      const original = await this.resolvePosition(frame.file, frame.line, frame.column);
+      if (original) {
+        resolved++;
+      }
+
+      frames.push({ raw: line.trim(), ...frame, original });
+    }
+
+    if (resolved === 0) {
+      return null;
+    }
+
+    const originalStack = frames.map(frame => {
+      if (!frame.original) {
+        return frame.raw;
+      }
+      const name = frame.original.name || frame.functionName;
+      const location = `${frame.original.source}:${frame.original.line}:${frame.original.column}`;
+      return name ? `at ${name} (${location})` : `at ${location}`;
+    }).join('\n');
+
+    return { frames, originalStack, resolved };
+  }
+
+  /**
+   * Parse a single stack frame line
+   * @param {string} line - Stack trace line
+   * @returns {object|null} - { functionName, file, line, column } or null if not a frame
+   */
+  parseFrame(line) {
+    const match = V8_FRAME.exec(line) || GECKO_FRAME.exec(line);
+    if (!match) {
+      return null;
+    }
+
+    return {
+      functionName: match[1] || null,
+      file: match[2],
+      line: parseInt(match[3], 10),
+      column: parseInt(match[4], 10)
+    };
+  }
+
+  /**
+   * Resolve a generated position to its original location
+   * @param {string} file - Script URL or path
+   * @param {number} line - 1-based line number
+   * @param {number} column - 1-based column number (as reported by browsers)
+   * @returns {Promise<object|null>} - { source, line, column, name } or null if unresolved
+   */
+  async resolvePosition(file, line, column) {
+    if (!file || !line) {
+      return null;
+    }
+
+    // Entries that arrive during the startup scan wait for it
+    await this.initialize();
+
+    const consumer = await this.getConsumer(file);
+    if (!consumer) {
+      this.stats.framesUnresolved++;
+      return null;
+    }
+
+    // Source maps use 0-based columns
+    const position = consumer.originalPositionFor({
+      line,
+      column: Math.max(0, (column || 1) - 1)
+    });
+
+    if (!position.source) {
+      this.stats.framesUnresolved++;
+      return null;
+    }
+
+    this.stats.framesResolved++;
+    return {
+      source: this.cleanSourcePath(position.source),
+      line: position.line,
+      column: position.column + 1,
+      name: position.name || null
+    };
+  }
+
+  /**
+   * Get (and cache) the source map consumer for a script
+   * @param {string} file - Script URL or path
+   * @returns {Promise<SourceMapConsumer|null>}
+   */
+  getConsumer(file) {
+    const mapPath = this.findMapFile(file);
+    if (!mapPath) {
+      return Promise.resolve(null);
+    }
+
+    if (this.consumers.has(mapPath)) {
+      // Refresh LRU position
+      const consumer = this.consumers.get(mapPath);
+      this.consumers.delete(mapPath);
+      this.consumers.set(mapPath, consumer);
+      return consumer;
+    }
+
+    // Cache the pending load so concurrent entries share one read
+    const consumer = this.loadConsumer(mapPath);
+    this.consumers.set(mapPath, consumer);
+
+    if (this.consumers.size > this.maxCachedMaps) {
+      this.consumers.delete(this.consumers.keys().next().value);
+    }
+
+    return consumer;
+  }
+
+  /**
+   * Read and parse a map file
+   * @param {string} mapPath - Absolute path of the map file
+   * @returns {Promise<SourceMapConsumer|null>}
+   */
+  async loadConsumer(mapPath) {
+    try {
+      const consumer = new SourceMapConsumer(JSON.parse(await readFile(mapPath, 'utf8')));
+      this.stats.mapsLoaded++;
+      return consumer;
+    } catch (error) {
+      this.consumers.delete(mapPath);
+      this.stats.mapErrors++;
+      this.logger?.warn('Failed to load source map', {
+        mapPath,
+        error: error.message
+      }, { component: 'SourceMapResolver' });
+      return null;
+    }
+  }
+
+  /**
+   * Find the .map file for a script URL
+   * Matches on the URL path relative to the map directory first, then on file name.
+   * @param {string} file - Script URL or path
+   * @returns {string|null} - Absolute path of the map file
+   */
+  findMapFile(file) {
+    const pathname = this.getPathname(file);
+    if (!pathname) {
+      return null;
+    }
+
+    const relativeKey = `${pathname.replace(/^\/+/, '')}.map`;
+    const nameKey = `${basename(pathname)}.map`;
+    const mapPath = this.mapIndex.get(relativeKey) || this.mapIndex.get(nameKey);
+
+    // New build output may have appeared since the last scan; later entries will find it
+    if (!mapPath) {
+      this.rescan();
+    }
+
+    return mapPath || null;
+  }
+
+  /**
+   * Rescan the directory in the background, at most once per rescan interval
+   */
+  rescan() {
+    if (!this.initialized || this.scanning || Date.now() - this.lastScan < this.rescanIntervalMs) {
+      return;
+    }
+
+    this.scan();
+  }
+
+  /**
+   * Walk the map directory and replace the map file index
+   * @returns {Promise<void>}
+   */
+  scan() {
+    if (this.scanning) {
+      return this.scanning;
+    }
+
+    // Set before the walk so misses during it don't start another
+    this.lastScan = Date.now();
+    this.scanning = this.buildIndex()
+      .then(index => {
+        // Drop cached consumers so rebuilt maps are picked up
+        if (this.mapIndex.size > 0) {
+          this.consumers.clear();
+        }
+        this.mapIndex = index;
+      })
+      .catch(error => {
+        this.logger?.warn('Failed to scan source map directory', {
+          sourceMapDir: this.sourceMapDir,
+          error: error.message
+        }, { component: 'SourceMapResolver' });
+      })
+      .finally(() => {
+        this.scanning = null;
+      });
+
+    return this.scanning;
+  }
+
+  /**
+   * Index the .map files under the map directory by relative path and file name.
+   * Follows symlinks, but visits each real directory once.
+   * @returns {Promise<Map<string, string>>}
+   */
+  async buildIndex() {
+    const index = new Map();
+    const visited = new Set();
+
+    const walk = async (dir, prefix) => {
+      let names;
+      try {
+        const realDir = await realpath(dir);
+        if (visited.has(realDir)) {
+          return;
+        }
+        visited.add(realDir);
+        names = await readdir(dir);
+      } catch (error) {
+        return;
+      }
+
+      for (const name of names.sort()) {
+        if (name === 'node_modules' || name.startsWith('.')) {
+          continue;
+        }
+
+        const fullPath = join(dir, name);
+        const relativePath = prefix ? `${prefix}/${name}` : name;
+
+        let stats;
+        try {
+          stats = await stat(fullPath);
+        } catch (error) {
+          continue;
+        }
+
+        if (stats.isDirectory()) {
+          await walk(fullPath, relativePath);
+        } else if (name.endsWith('.map')) {
+          index.set(relativePath, fullPath);
+          if (!index.has(name)) {
+            index.set(name, fullPath);
+          }
+        }
+      }
+    };
+
+    await walk(this.sourceMapDir, '');
+    return index;
+  }
+
+  /**
+   * Extract the path part of a script URL (query string and hash removed)
+   * @param {string} file - Script URL or path
+   * @returns {string|null}
+   */
+  getPathname(file) {
+    try {
+      return decodeURIComponent(new URL(file).pathname);
+    } catch (error) {
+      return file.split(/[?#]/)[0] || null;
+    }
+  }
+
+  /**
+   * Make bundler source paths readable (webpack://, leading ../ segments)
+   * @param {string} source - Source path from the map
+   * @returns {string}
+   */
+  cleanSourcePath(source) {
+    return source
+      .replace(/^webpack:\/\/[^/]*\//, '')
+      .replace(/^(\.\.\/)+/, '')
+      .replace(/^\.\//, '');
+  }
+
+  /**
+   * Get resolver statistics
+   * @returns {object}
+   */
+  getStats() {
+    return {
+      sourceMapDir: this.sourceMapDir,
+      mapFiles: new Set(this.mapIndex.values()).size,
+      cachedMaps: this.consumers.size,
+      ...this.stats
+    };
+  }
+}
+
+export default SourceMapResolver;
@@ -0,0 +1,164 @@
+/**
+ * Benchmark graph traversal on a generated graph
+ *
+ * Usage: tsx src/cli/benchmark-traversal.ts [--entities <n>] [--fanout <n>]
+ *          [--runs <n>] [--db <path>] [--json]
+ */
+
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { performance } from 'perf_hooks';
+import {
+  KnowledgeGraph,
+  createDatabaseConnection,
+  type DatabaseConnection,
+  type GraphTraversalOptions
+} from '@tkr-context-kit/core';
+
+interface CliOptions {
+  entities: number;
+  fanout: number;
+  runs: number;
+  databasePath?: string;
+  json: boolean;
+}
+
+interface Scenario {
+  name: string;
+  options: GraphTraversalOptions;
+}
+
+const ENTITY_TYPES = ['Component', 'Hook', 'Store', 'Module'];
+const RELATION_TYPES = ['USES', 'IMPORTS', 'RENDERS'];
+
+const SCENARIOS: Scenario[] = [
+  { name: 'outgoing, depth 2', options: { direction: 'outgoing', maxDepth: 2 } },
+  { name: 'outgoing, depth 4', options: { direction: 'outgoing', maxDepth: 4 } },
+  { name: 'outgoing, depth 10', options: { direction: 'outgoing', maxDepth: 10 } },
+  { name: 'both, depth 3', options: { direction: 'both', maxDepth: 3 } },
+  { name: 'both, depth 10, no data', options: { direction: 'both', maxDepth: 10, includeEntityData: false, includeRelationData: false } },
+  { name: 'outgoing, USES only', options: { direction: 'outgoing', relationTypes: ['USES'] } },
+  { name: 'stop at Store', options: { direction: 'outgoing', stopConditions: [{ type: 'entity_type', value: 'Store' }] } },
+  { name: 'stop at RENDERS, exclusive', options: { direction: 'outgoing', stopConditions: [{ type: 'relation_type', value: 'RENDERS', inclusive: false }] } },
+  { name: 'stop at property', options: { direction: 'outgoing', stopConditions: [{ type: 'property', value: { layer: 'state' } }] } },
+  { name: 'stop at depth 5', options: { direction: 'both', stopConditions: [{ type: 'depth', value: 5 }] } }
+];
+
+function parseArgs(argv: string[]): CliOptions {
+  const options: CliOptions = { entities: 50000, fanout: 3, runs: 3, json: false };
+  const positive = (value: string | undefined, name: string): number => {
+    const parsed = parseInt(value || '', 10);
+    if (!(parsed > 0)) {
+      throw new Error(`${name} must be a positive integer`);
+    }
+    return parsed;
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    switch (arg) {
+      case '--entities': options.entities = positive(argv[++i], arg); break;
+      case '--fanout': options.fanout = positive(argv[++i], arg); break;
+      case '--runs': options.runs = positive(argv[++i], arg); break;
+      case '--db': options.databasePath = argv[++i]; break;
+      case '--json': options.json = true; break;
+      case '--help':
+      case '-h':
+        console.log('Usage: benchmark-traversal [--entities <n>] [--fanout <n>] [--runs <n>] [--db <path>] [--json]');
+        process.exit(0);
+        break;
+      default:
+        throw new Error(`Unknown argument: ${arg}`);
+    }
+  }
+  if (options.entities < 2) {
+    throw new Error('--entities must be at least 2');
+  }
+  return options;
+}
+
+/**
+ * Generate entities e0..e(n-1), each with `fanout` outgoing relations to
+ * pseudo-randomly spread targets, so a few levels reach most of the graph
+ */
+function generateGraph(db: DatabaseConnection, entities: number, fanout: number): void {
+  db.execute(
+    `WITH RECURSIVE seq(n) AS (SELECT 0 UNION ALL SELECT n + 1 FROM seq WHERE n + 1 < ?)
+     INSERT INTO entities (id, type, name, data)
+     SELECT 'e' || n,
+            json_extract(?, '$[' || (n % 4) || ']'),
+            'Entity ' || n,
+            json_object('index', n, 'layer', CASE n % 4 WHEN 2 THEN 'state' ELSE 'view' END)
+     FROM seq`,
+    [entities, JSON.stringify(ENTITY_TYPES)]
+  );
+  db.execute(
+    `WITH RECURSIVE seq(n) AS (SELECT 0 UNION ALL SELECT n + 1 FROM seq WHERE n + 1 < ?),
+                    edge(k) AS (SELECT 0 UNION ALL SELECT k + 1 FROM edge WHERE k + 1 < ?)
+     INSERT INTO relations (id, from_id, to_id, type, properties)
+     SELECT 'r' || n || '_' || k,
+            'e' || n,
+            'e' || ((n + 1 + (n * 7919 + k * 104729) % (? - 1)) % ?),
+            json_extract(?, '$[' || (k % 3) || ']'),
+            json_object('weight', k + 1)
+     FROM seq, edge`,
+    [entities, fanout, entities, entities, JSON.stringify(RELATION_TYPES)]
+  );
+}
+
+async function main(): Promise<void> {
+  const options = parseArgs(process.argv.slice(2));
+  const tempDir = options.databasePath ? undefined : mkdtempSync(join(tmpdir(), 'tkr-traversal-'));
+  const db = await createDatabaseConnection({ path: options.databasePath || join(tempDir!, 'benchmark.db') });
+
+  try {
+    const kg = new KnowledgeGraph(db);
+    const existing = db.queryOne('SELECT COUNT(*) AS count FROM entities').count;
+    let setupMs = 0;
+    if (existing === 0) {
+      const started = performance.now();
+      generateGraph(db, options.entities, options.fanout);
+      setupMs = Math.round(performance.now() - started);
+    }
+    const relationCount = db.queryOne('SELECT COUNT(*) AS count FROM relations').count;
+    const startId = db.queryOne('SELECT id FROM entities ORDER BY rowid LIMIT 1').id;
+
+    const results = [];
+    for (const scenario of SCENARIOS) {
+      const timings: number[] = [];
+      let result = await kg.traverseGraph(startId, scenario.options);
+      for (let run = 0; run < options.runs; run++) {
+        const started = performance.now();
+        result = await kg.traverseGraph(startId, scenario.options);
+        timings.push(performance.now() - started);
+      }
+      timings.sort((a, b) => a - b);
+      results.push({
+        scenario: scenario.name,
+        entities: result.entities.length,
+        relations: result.relations.length,
+        depth: result.depth,
+        medianMs: Math.round(timings[Math.floor(timings.length / 2)] * 10) / 10
+      });
+    }
+
+    if (options.json) {
+      console.log(JSON.stringify({ entities: existing || options.entities, relations: relationCount, setupMs, results }, null, 2));
+    } else {
+      console.log(`🧭 Traversal benchmark: ${existing || options.entities} entities, ${relationCount} relations` +
+        (setupMs ? ` (generated in ${setupMs}ms)` : ''));
+      console.table(results);
+    }
+  } finally {
+    await db.disconnect();
+    if (tempDir) {
+      rmSync(tempDir, { recursive: true, force: true });
+    }
+  }
+}
+
+main().catch(error => {
+  console.error('Traversal benchmark failed:', error instanceof Error ? error.message : error);
+  process.exit(1);
+});
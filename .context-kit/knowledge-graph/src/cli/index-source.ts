@@ -0,0 +1,68 @@
+/**
+ * Index a TypeScript/React project into the knowledge graph
+ *
+ * Usage: tsx src/cli/index-source.ts [--root <dir>] [--db <path>]
+ *          [--include <dir,...>] [--exclude <glob,...>] [--force] [--json]
+ */
+
+import { resolve } from 'path';
+import { KnowledgeGraph, createDatabaseConnection, type SourceIndexOptions } from '@tkr-context-kit/core';
+
+interface CliOptions extends SourceIndexOptions {
+  databasePath: string;
+  json: boolean;
+}
+
+function parseArgs(argv: string[]): CliOptions {
+  const options: CliOptions = { databasePath: 'knowledge-graph.db', json: false };
+  const list = (value: string | undefined): string[] =>
+    (value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    switch (arg) {
+      case '--root': options.root = resolve(argv[++i] || '.'); break;
+      case '--db': options.databasePath = argv[++i] || options.databasePath; break;
+      case '--include': options.include = list(argv[++i]); break;
+      case '--exclude': options.exclude = list(argv[++i]); break;
+      case '--force': options.force = true; break;
+      case '--json': options.json = true; break;
+      case '--help':
+      case '-h':
+        console.log('Usage: index-source [--root <dir>] [--db <path>] [--include <dir,...>] [--exclude <glob,...>] [--force] [--json]');
+        process.exit(0);
+        break;
+      default:
+        throw new Error(`Unknown argument: ${arg}`);
+    }
+  }
+  return options;
+}
+
+async function main(): Promise<void> {
+  const { databasePath, json, ...indexOptions } = parseArgs(process.argv.slice(2));
+  const db = await createDatabaseConnection({ path: databasePath });
+
+  try {
+    const kg = new KnowledgeGraph(db, { projectRoot: indexOptions.root || process.cwd() });
+    const result = await kg.indexSource(indexOptions);
+
+    if (json) {
+      console.log(JSON.stringify(result, null, 2));
+    } else {
+      console.log(`📦 Indexed ${result.indexed} of ${result.files} files in ${result.duration}ms (${result.unchanged} unchanged, ${result.removed} removed)`);
+      console.log(`   Entities:  ${result.entities.created} created, ${result.entities.updated} updated, ${result.entities.deleted} deleted`);
+      console.log(`   Relations: ${result.relations.created} created, ${result.relations.deleted} deleted`);
+      if (result.failed.length > 0) {
+        console.warn(`⚠️  Could not read: ${result.failed.join(', ')}`);
+      }
+    }
+  } finally {
+    await db.disconnect();
+  }
+}
+
+main().catch(error => {
+  console.error('Source indexing failed:', error instanceof Error ? error.message : error);
+  process.exit(1);
+});
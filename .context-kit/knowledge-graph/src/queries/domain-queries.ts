@@ -174,83 +174,23 @@ export class DomainQueries {
   }
 
   /**
-   * Find circular dependencies
+   * Find circular dependencies: one shortest cycle for each group of entities
+   * that depend on each other through DEPENDS_ON, IMPORTS or USES relations
    */
   async findCircularDependencies(): Promise<Array<{
     entity1: string;
     entity2: string;
     path: string;
   }>> {
-    // Simplified circular dependency detection
-    const entities = await this.kg.getEntities();
-    const relations = await this.kg.getRelations();
-    const dependencyTypes = ['DEPENDS_ON', 'IMPORTS', 'USES'];
-    const dependencyRelations = relations.filter(r => dependencyTypes.includes(r.type));
-
-    const circularDeps: Array<{
-      entity1: string;
-      entity2: string;
-      path: string;
-    }> = [];
-
-    // Build adjacency list
-    const adjacencyList = new Map<string, string[]>();
-    for (const relation of dependencyRelations) {
-      const fromEntity = entities.find(e => e.id === relation.fromEntityId);
-      const toEntity = entities.find(e => e.id === relation.toEntityId);
-
-      if (fromEntity && toEntity) {
-        if (!adjacencyList.has(fromEntity.id)) {
-          adjacencyList.set(fromEntity.id, []);
-        }
-        adjacencyList.get(fromEntity.id)!.push(toEntity.id);
-      }
-    }
-
-    // Simple cycle detection using DFS
-    const visited = new Set<string>();
-    const inPath = new Set<string>();
-
-    const dfs = (nodeId: string, path: string[]): void => {
-      if (inPath.has(nodeId)) {
-        // Found a cycle
-        const cycleStart = path.indexOf(nodeId);
-        if (cycleStart >= 0) {
-          const cyclePath = path.slice(cycleStart);
-          const entity1 = entities.find(e => e.id === cyclePath[0])?.name || 'Unknown';
-          const entity2 = entities.find(e => e.id === nodeId)?.name || 'Unknown';
-          const pathNames = cyclePath.map(id => entities.find(e => e.id === id)?.name || 'Unknown');
-
-          circularDeps.push({
-            entity1,
-            entity2,
-            path: pathNames.join(' -> ') + ' -> ' + entity2
-          });
-        }
-        return;
-      }
-
-      if (visited.has(nodeId)) return;
-
-      visited.add(nodeId);
-      inPath.add(nodeId);
-
-      const neighbors = adjacencyList.get(nodeId) || [];
-      for (const neighbor of neighbors) {
-        dfs(neighbor, [...path, nodeId]);
-      }
-
-      inPath.delete(nodeId);
-    };
-
-    // Check each entity for cycles
-    for (const entity of entities) {
-      if (!visited.has(entity.id)) {
-        dfs(entity.id, []);
-      }
-    }
+    const components = this.kg.findStronglyConnectedComponents({
+      relationTypes: ['DEPENDS_ON', 'IMPORTS', 'USES']
+    });
 
-    return circularDeps;
+    return components.map(({ cycle }) => ({
+      entity1: cycle[0].name,
+      entity2: cycle[cycle.length - 1].name,
+      path: [...cycle, cycle[0]].map(node => node.name).join(' -> ')
+    }));
   }
 
   /**
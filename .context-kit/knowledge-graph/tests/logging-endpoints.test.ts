@@ -0,0 +1,142 @@
+/**
+ * Tests for the browser log ingestion endpoint (POST /api/logs/batch)
+ */
+
+import { createServer, Server } from 'http';
+import { AddressInfo } from 'net';
+import { createDatabaseConnection, LoggingService } from '@tkr-context-kit/core';
+import { LoggingEndpoints } from '../src/api/logging-endpoints.js';
+
+describe('LoggingEndpoints', () => {
+  let logService: LoggingService;
+  let server: Server;
+  let endpoint: string;
+
+  const start = async (batchSize: number) => {
+    const db = await createDatabaseConnection({ path: ':memory:' });
+    logService = new LoggingService(db, { batchSize, templates: { enabled: false } });
+    const endpoints = new LoggingEndpoints({ logService });
+
+    server = createServer((req, res) => endpoints.handleBatchLogs(req, res));
+    await new Promise<void>(resolve => server.listen(0, '127.0.0.1', resolve));
+    endpoint = `http://127.0.0.1:${(server.address() as AddressInfo).port}/api/logs/batch`;
+  };
+
+  const stop = async () => {
+    await new Promise(resolve => server.close(resolve));
+    await logService.shutdown();
+  };
+
+  // A batch size of 1 stores every entry before the response is sent
+  beforeEach(() => start(1));
+
+  afterEach(() => stop());
+
+  const postBatch = (body: unknown, contentType = 'application/json') =>
+    fetch(endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': contentType },
+      body: JSON.stringify(body)
+    });
+
+  const entry = (overrides: Record<string, unknown> = {}) => ({
+    level: 'info',
+    service: 'dashboard',
+    source: 'browser',
+    message: 'Page loaded',
+    timestamp: Date.now(),
+    metadata: {},
+    ...overrides
+  });
+
+  describe('POST /api/logs/batch', () => {
+    it('should accept a text/plain body sent by navigator.sendBeacon', async () => {
+      const response = await postBatch(
+        { entries: [entry({ message: 'Sent on unload' })], timestamp: Date.now(), source: 'browser-client' },
+        'text/plain;charset=UTF-8'
+      );
+
+      expect(response.status).toBe(200);
+      expect((await response.json()).results.processed).toBe(1);
+
+      const logs = await logService.getLogs({ service: 'dashboard' });
+      expect(logs.map(log => log.message)).toEqual(['Sent on unload']);
+    });
+
+    it('should store entries with the client entry ID and timestamp', async () => {
+      const timestamp = Date.now() - 60_000;
+      await postBatch({ entries: [entry({ id: 'log_client_1', timestamp })], timestamp: Date.now(), source: 'browser-client' });
+
+      const [log] = await logService.getLogs({ service: 'dashboard' });
+      expect(log.id).toBe('log_client_1');
+      expect(log.timestamp).toBe(timestamp);
+    });
+
+    it('should store a resent entry once', async () => {
+      const batch = { entries: [entry({ id: 'log_client_1' })], timestamp: Date.now(), source: 'browser-client' };
+      await postBatch(batch);
+      const response = await postBatch(batch);
+
+      expect(response.status).toBe(200);
+      expect(await logService.getLogs({ service: 'dashboard' })).toHaveLength(1);
+    });
+
+    it('should timestamp entries sent without one in milliseconds', async () => {
+      const before = Date.now();
+      await postBatch({ logs: [entry({ timestamp: undefined })] });
+
+      const [log] = await logService.getLogs({ service: 'dashboard' });
+      expect(log.timestamp).toBeGreaterThanOrEqual(before);
+      expect(log.timestamp).toBeLessThanOrEqual(Date.now());
+    });
+
+    it('should keep the entry source and record the batch source separately', async () => {
+      const vital = entry({
+        message: 'LCP: 1200ms (good)',
+        metadata: { source: 'web-vitals', metric: 'LCP', value: 1200, rating: 'good' }
+      });
+      await postBatch({ entries: [vital, entry()], timestamp: Date.now(), source: 'browser-client' });
+
+      // The filter behind GET /api/logs/stream?source=web-vitals
+      const vitals = await logService.getLogs({ metadata: { source: 'web-vitals' } });
+      expect(vitals.map(log => log.message)).toEqual(['LCP: 1200ms (good)']);
+      expect(vitals[0].metadata).toMatchObject({ source: 'web-vitals', batchSource: 'browser-client' });
+    });
+
+    it('should store the whole request with one logBatch call', async () => {
+      const logBatch = vi.spyOn(logService, 'logBatch');
+
+      await postBatch({ entries: [entry({ message: 'a' }), entry({ message: 'b' }), entry({ message: 'c' })] });
+
+      expect(logBatch).toHaveBeenCalledTimes(1);
+      expect(logBatch.mock.calls[0][0].entries.map(log => log.message)).toEqual(['a', 'b', 'c']);
+    });
+
+    describe('when the log service batches entries', () => {
+      beforeEach(async () => {
+        await stop();
+        await start(100);
+      });
+
+      it('should store error entries before responding', async () => {
+        await postBatch({ entries: [entry({ message: 'Clicked save' }), entry({ level: 'error', message: 'Save failed' })] });
+
+        const logs = await logService.getLogs({ service: 'dashboard' });
+        expect(logs.map(log => log.message).sort()).toEqual(['Clicked save', 'Save failed']);
+      });
+
+      it('should hold other entries until the batch fills', async () => {
+        await postBatch({ entries: [entry(), entry({ level: 'warn', message: 'Slow render' })] });
+
+        expect(await logService.getLogs({ service: 'dashboard' })).toEqual([]);
+      });
+    });
+
+    it('should reject other content types', async () => {
+      const response = await postBatch({ entries: [entry()] }, 'application/x-www-form-urlencoded');
+
+      expect(response.status).toBe(415);
+      expect(await logService.getLogs({ service: 'dashboard' })).toEqual([]);
+    });
+  });
+});
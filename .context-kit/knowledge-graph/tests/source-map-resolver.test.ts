@@ -0,0 +1,144 @@
+/**
+ * Tests for source map resolution of browser stack traces
+ */
+
+import { mkdirSync, mkdtempSync, rmSync, symlinkSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { dirname, join } from 'path';
+import { SourceMapGenerator } from 'source-map-js';
+import { SourceMapResolver } from '../src/api/source-map-resolver.js';
+
+describe('SourceMapResolver', () => {
+  let dir: string;
+  let resolver: SourceMapResolver;
+
+  /**
+   * Write a map whose only mapping is generated 1:11 (browser columns are 1-based)
+   */
+  const writeMap = (relativePath: string, source: string, name = 'handleClick') => {
+    const generator = new SourceMapGenerator({ file: relativePath.replace(/\.map$/, '') });
+    generator.addMapping({ generated: { line: 1, column: 10 }, original: { line: 12, column: 4 }, source, name });
+    const mapPath = join(dir, relativePath);
+    mkdirSync(dirname(mapPath), { recursive: true });
+    writeFileSync(mapPath, generator.toString());
+  };
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'source-maps-'));
+    writeMap('assets/index.js.map', '../../src/App.tsx');
+    writeMap('legacy/assets/index.js.map', 'webpack://legacy/src/LegacyApp.jsx', 'onSubmit');
+    resolver = new SourceMapResolver({ sourceMapDir: dir });
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('parseFrame', () => {
+    it.each([
+      ['V8 named', '    at handleClick (http://app.test/assets/index.js:1:11)', 'handleClick'],
+      ['V8 anonymous', '    at http://app.test/assets/index.js:1:11', null],
+      ['Gecko named', 'handleClick@http://app.test/assets/index.js:1:11', 'handleClick'],
+      ['Gecko anonymous', '@http://app.test/assets/index.js:1:11', null]
+    ])('should parse a %s frame', (description, line, functionName) => {
+      expect(resolver.parseFrame(line)).toEqual({
+        functionName,
+        file: 'http://app.test/assets/index.js',
+        line: 1,
+        column: 11
+      });
+    });
+
+    it('should skip lines that are not frames', () => {
+      expect(resolver.parseFrame('TypeError: x is undefined')).toBeNull();
+    });
+  });
+
+  describe('resolvePosition', () => {
+    beforeEach(async () => {
+      await resolver.initialize();
+    });
+
+    it('should map a 1-based browser position to the original line and column', async () => {
+      expect(await resolver.resolvePosition('http://app.test/assets/index.js', 1, 11)).toEqual({
+        source: 'src/App.tsx',
+        line: 12,
+        column: 5,
+        name: 'handleClick'
+      });
+      expect(await resolver.resolvePosition('http://app.test/assets/index.js', 2, 1)).toBeNull();
+    });
+
+    it('should find maps by URL path first, then by file name', async () => {
+      const legacy = await resolver.resolvePosition('http://app.test/legacy/assets/index.js?v=2#top', 1, 11);
+      const byName = await resolver.resolvePosition('https://cdn.test/static/index.js', 1, 11);
+
+      expect(legacy).toMatchObject({ source: 'src/LegacyApp.jsx', name: 'onSubmit' });
+      expect(byName).toMatchObject({ source: 'src/App.tsx' });
+      expect(await resolver.resolvePosition('http://app.test/assets/vendor.js', 1, 11)).toBeNull();
+      expect(resolver.getStats()).toMatchObject({ mapFiles: 2, framesResolved: 2, framesUnresolved: 1 });
+    });
+
+    it('should skip maps that cannot be parsed', async () => {
+      writeFileSync(join(dir, 'assets/index.js.map'), '{ not json');
+
+      expect(await resolver.resolvePosition('http://app.test/assets/index.js', 1, 11)).toBeNull();
+      expect(resolver.getStats().mapErrors).toBe(1);
+    });
+  });
+
+  describe('resolveStack', () => {
+    it('should rewrite resolved frames and keep the others as sent', async () => {
+      const resolved = await resolver.resolveStack([
+        'TypeError: x is undefined',
+        '    at handleClick (http://app.test/assets/index.js:1:11)',
+        '    at http://app.test/assets/vendor.js:3:7',
+        'onSubmit@http://app.test/legacy/assets/index.js:1:11'
+      ].join('\n'));
+
+      expect(resolved?.resolved).toBe(2);
+      expect(resolved?.frames).toHaveLength(3);
+      expect(resolved?.originalStack).toBe([
+        'at handleClick (src/App.tsx:12:5)',
+        'at http://app.test/assets/vendor.js:3:7',
+        'at onSubmit (src/LegacyApp.jsx:12:5)'
+      ].join('\n'));
+    });
+
+    it('should return null when no frame resolves', async () => {
+      expect(await resolver.resolveStack('    at http://app.test/assets/vendor.js:3:7')).toBeNull();
+      expect(await resolver.resolveStack(undefined as unknown as string)).toBeNull();
+    });
+  });
+
+  describe('map index', () => {
+    it('should follow symlinks without looping on cycles', async () => {
+      const external = mkdtempSync(join(tmpdir(), 'source-maps-external-'));
+      writeFileSync(join(external, 'widget.js.map'), new SourceMapGenerator({ file: 'widget.js' }).toString());
+      symlinkSync(external, join(dir, 'widgets'));
+      symlinkSync(dir, join(dir, 'assets/loop'));
+
+      try {
+        await resolver.initialize();
+
+        expect(resolver.getStats().mapFiles).toBe(3);
+        expect(resolver.findMapFile('http://app.test/widgets/widget.js')).toBe(join(dir, 'widgets/widget.js.map'));
+        expect(resolver.mapIndex.has('assets/loop/assets/index.js.map')).toBe(false);
+      } finally {
+        rmSync(external, { recursive: true, force: true });
+      }
+    });
+
+    it('should pick up new maps with a background rescan instead of walking on ingest', async () => {
+      resolver = new SourceMapResolver({ sourceMapDir: dir, rescanIntervalMs: 1 });
+      await resolver.initialize();
+      writeMap('assets/chunk.js.map', '../../src/Chunk.tsx');
+      await new Promise(resolve => setTimeout(resolve, 5));
+
+      expect(await resolver.resolvePosition('http://app.test/assets/chunk.js', 1, 11)).toBeNull();
+      await resolver.scanning;
+
+      expect(await resolver.resolvePosition('http://app.test/assets/chunk.js', 1, 11)).toMatchObject({ source: 'src/Chunk.tsx' });
+    });
+  });
+});
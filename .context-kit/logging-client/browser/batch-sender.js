@@ -11,26 +11,122 @@ class BatchSender {
     this.maxRetries = config.maxRetries || 3;
     this.retryDelay = config.retryDelay || 1000;
     this.maxQueueSize = config.maxQueueSize || 1000;
-    this.performanceThreshold = config.performanceThreshold || 1; // 1ms
+    this.offlineMaxBytes = config.offlineMaxBytes || 5 * 1024 * 1024; // 5MB
+    this.pendingStaleAfter = config.pendingStaleAfter || 60000; // 1 minute
+    this.beaconMaxBytes = config.beaconMaxBytes || 65536; // sendBeacon/keepalive body limit (64KB)
 
     this.queue = [];
-    this.offlineQueue = [];
     this.flushTimer = null;
+    this.pendingSaveTimer = null;
     this.isOnline = navigator.onLine;
+    this.isDraining = false;
+    this.drainRequested = false;
     this.retryTimeouts = new Map();
+    this.ownerId = this.getOwnerId();
+    this.offlineStore = this.createOfflineStore();
     this.stats = {
       sent: 0,
       failed: 0,
       retries: 0,
       totalTime: 0,
-      avgTime: 0
+      avgTime: 0,
+      beacons: 0
     };
 
     this.initializeEventListeners();
-    this.loadOfflineQueue();
+    this.restoreOfflineQueue();
     this.startFlushTimer();
   }
 
+  /**
+   * Create the durable outbox used for offline and undelivered batches.
+   * Pages that load only the original scripts (without offline-store.js)
+   * get the localStorage queue those scripts used.
+   * @returns {OfflineStore|object} Offline store, or an object with the same interface
+   */
+  createOfflineStore() {
+    const Store = (typeof window !== 'undefined' && window.OfflineStore) ||
+      (typeof require === 'function' ? require('./offline-store') : null);
+
+    if (!Store) {
+      return this.createLegacyOutbox();
+    }
+    return new Store({ maxBytes: this.offlineMaxBytes });
+  }
+
+  /**
+   * Outbox kept in memory and saved to localStorage under the legacy queue
+   * key, in the legacy format (an array of payloads, at most 100), so
+   * offline-store.js migrates it once it is loaded. It has no pending
+   * snapshots: entries not yet batched are lost if the page crashes.
+   * @returns {object} Outbox with the OfflineStore interface
+   */
+  createLegacyOutbox() {
+    const key = 'tkr_logging_offline_queue';
+    const maxBatches = 100;
+    let nextSeq = 1;
+    let records = [];
+
+    try {
+      const stored = JSON.parse(localStorage.getItem(key) || '[]');
+      records = stored.map(payload => ({ seq: nextSeq++, payload }));
+    } catch (error) {
+      console.warn('TkrLogging: Failed to load offline queue:', error.message);
+    }
+
+    const save = () => {
+      try {
+        localStorage.setItem(key, JSON.stringify(records.map(record => record.payload)));
+      } catch (error) {
+        console.warn('TkrLogging: Failed to save offline queue:', error.message);
+      }
+    };
+
+    return {
+      ready: Promise.resolve(),
+      enqueue: async payload => {
+        records.push({ seq: nextSeq++, payload });
+        records = records.slice(-maxBatches);
+        save();
+        return true;
+      },
+      peek: async () => records[0] || null,
+      remove: async seq => {
+        records = records.filter(record => record.seq !== seq);
+        save();
+      },
+      savePending: async () => {},
+      claimPending: async () => [],
+      clear: async () => {
+        records = [];
+        save();
+      },
+      getStats: () => ({
+        backend: 'legacy',
+        batches: records.length,
+        entries: records.reduce((sum, record) => sum + record.payload.logs.length, 0)
+      })
+    };
+  }
+
+  /**
+   * Get the ID used to own this tab's pending snapshot (stable across reloads of the tab)
+   * @returns {string} Owner ID
+   */
+  getOwnerId() {
+    const key = 'tkr_logging_tab_id';
+    try {
+      let ownerId = sessionStorage.getItem(key);
+      if (!ownerId) {
+        ownerId = 'tab_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+        sessionStorage.setItem(key, ownerId);
+      }
+      return ownerId;
+    } catch (error) {
+      return 'tab_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    }
+  }
+
   /**
    * Initialize network and visibility event listeners
    */
@@ -45,16 +141,17 @@ class BatchSender {
       this.isOnline = false;
     });
 
-    // Page visibility for batch flushing
+    // Page visibility for batch flushing - hidden is the last event that
+    // reliably fires before a page is discarded (especially on mobile)
     document.addEventListener('visibilitychange', () => {
       if (document.visibilityState === 'hidden') {
-        this.flush(true); // Force flush when page becomes hidden
+        this.flushOnUnload();
       }
     });
 
-    // Before unload - final flush
-    window.addEventListener('beforeunload', () => {
-      this.flush(true);
+    // Page teardown - final flush
+    window.addEventListener('pagehide', () => {
+      this.flushOnUnload();
     });
   }
 
@@ -65,11 +162,8 @@ class BatchSender {
   add(logEntry) {
     const startTime = performance.now();
 
-    // Check performance threshold
-    if (this.stats.avgTime > this.performanceThreshold) {
-      console.warn('TkrLogging: Performance threshold exceeded, dropping log');
-      return;
-    }
+    // Overhead is governed by the client's sampler, which never drops errors;
+    // avgTime includes network time and is only reported in getStats()
 
     // Check queue size limits
     if (this.queue.length >= this.maxQueueSize) {
@@ -77,14 +171,16 @@ class BatchSender {
       this.queue.shift();
     }
 
-    // Add timestamp and trace ID if not present
+    // Add timestamp and entry ID (the delivery/dedupe key) if not present.
+    // W3C trace fields travel in metadata.trace.
     const enrichedEntry = {
       timestamp: Date.now(),
-      traceId: this.generateTraceId(),
+      entryId: this.generateEntryId(),
       ...logEntry
     };
 
     this.queue.push(enrichedEntry);
+    this.schedulePendingSave();
 
     // Update performance stats
     const endTime = performance.now();
@@ -112,23 +208,35 @@ class BatchSender {
     }
 
     const batch = this.queue.splice(0, this.batchSize);
-    const batchId = this.generateBatchId();
+    const payload = this.createPayload(batch);
 
-    const payload = {
-      logs: batch,
-      metadata: {
-        batchId,
-        source: 'browser',
-        timestamp: Date.now(),
-        userAgent: navigator.userAgent,
-        url: window.location.href
-      }
-    };
+    // Persist before sending so the batch survives a crash mid-request;
+    // it is removed from the outbox only once the server accepts it
+    const queued = this.queueOffline(payload);
+    this.savePendingNow();
+
+    if (!(await queued)) {
+      // The outbox could not store it (quota exceeded, aborted transaction)
+      await this.sendUnqueued(payload);
+    }
 
     if (this.isOnline) {
-      await this.sendBatch(payload);
-    } else {
-      this.queueOffline(payload);
+      await this.processOfflineQueue();
+    }
+  }
+
+  /**
+   * Deliver a batch the offline store failed to persist. If it cannot be sent
+   * either, its entries go back to the front of the in-memory queue to be
+   * retried with the next flush.
+   * @param {object} payload - Batch payload
+   * @returns {Promise<void>}
+   */
+  async sendUnqueued(payload) {
+    const result = this.isOnline ? await this.sendBatch(payload) : 'failed';
+    if (result === 'failed') {
+      this.queue.unshift(...payload.logs);
+      this.savePendingNow();
     }
   }
 
@@ -136,7 +244,7 @@ class BatchSender {
    * Send batch to server (supports both legacy and unified core API formats)
    * @param {object} payload - Batch payload
    * @param {number} retryCount - Current retry attempt
-   * @returns {Promise<void>}
+   * @returns {Promise<string>} 'sent', 'rejected' (server refused it, do not retry) or 'failed'
    */
   async sendBatch(payload, retryCount = 0) {
     const startTime = performance.now();
@@ -145,26 +253,7 @@ class BatchSender {
       const controller = new AbortController();
       const timeoutId = setTimeout(() => controller.abort(), 10000); // 10 second timeout
 
-      // Transform payload to match unified core API format
-      const corePayload = {
-        entries: payload.logs.map(log => ({
-          id: log.traceId || this.generateTraceId(),
-          timestamp: log.timestamp,
-          level: log.level.toLowerCase(), // Core expects lowercase levels
-          service: log.service,
-          source: log.component || log.source || 'browser',
-          message: log.message,
-          metadata: {
-            ...log.metadata,
-            originalLevel: log.level, // Preserve original case
-            batchId: payload.metadata.batchId,
-            userAgent: payload.metadata.userAgent,
-            url: payload.metadata.url
-          }
-        })),
-        timestamp: payload.metadata.timestamp,
-        source: payload.metadata.source
-      };
+      const corePayload = this.toCorePayload(payload);
 
       const response = await fetch(this.endpoint, {
         method: 'POST',
@@ -178,7 +267,10 @@ class BatchSender {
       clearTimeout(timeoutId);
 
       if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        const error = new Error(`HTTP ${response.status}: ${response.statusText}`);
+        // Client errors will not succeed on retry (except timeouts and rate limiting)
+        error.retryable = response.status >= 500 || response.status === 408 || response.status === 429;
+        throw error;
       }
 
       // Success
@@ -186,99 +278,361 @@ class BatchSender {
       const duration = performance.now() - startTime;
       this.updatePerformanceStats(duration);
 
-      // Clear any retry timeout for this batch
-      if (this.retryTimeouts.has(payload.metadata.batchId)) {
-        clearTimeout(this.retryTimeouts.get(payload.metadata.batchId));
-        this.retryTimeouts.delete(payload.metadata.batchId);
-      }
+      return 'sent';
 
     } catch (error) {
       const duration = performance.now() - startTime;
       this.updatePerformanceStats(duration);
 
+      if (error.retryable === false) {
+        this.stats.failed += payload.logs.length;
+        console.warn('TkrLogging: Batch rejected by server, dropping:', error.message);
+        return 'rejected';
+      }
+
       // Handle retry logic
       if (retryCount < this.maxRetries) {
         this.stats.retries++;
         const delay = this.retryDelay * Math.pow(2, retryCount); // Exponential backoff
 
-        const timeoutId = setTimeout(() => {
-          this.sendBatch(payload, retryCount + 1);
-        }, delay);
+        const cancelled = await this.waitForRetry(payload.metadata.batchId, delay);
+        if (!cancelled) {
+          return this.sendBatch(payload, retryCount + 1);
+        }
+      }
 
-        this.retryTimeouts.set(payload.metadata.batchId, timeoutId);
-      } else {
-        // Max retries exceeded, queue offline
-        this.stats.failed += payload.logs.length;
-        this.queueOffline(payload);
-        console.warn('TkrLogging: Failed to send batch after retries:', error.message);
+      // Max retries exceeded, batch stays in the offline queue
+      this.stats.failed += payload.logs.length;
+      console.warn('TkrLogging: Failed to send batch after retries:', error.message);
+      return 'failed';
+    }
+  }
+
+  /**
+   * Build a batch payload
+   * @param {Array<object>} logs - Queued log entries
+   * @param {object} metadata - Extra batch metadata
+   * @returns {object} Batch payload ({ logs, metadata })
+   */
+  createPayload(logs, metadata = {}) {
+    return {
+      logs,
+      metadata: {
+        batchId: this.generateBatchId(),
+        source: 'browser',
+        timestamp: Date.now(),
+        userAgent: navigator.userAgent,
+        url: window.location.href,
+        ...metadata
+      }
+    };
+  }
+
+  /**
+   * Transform a batch payload to match the unified core API format
+   * @param {object} payload - Batch payload
+   * @returns {object} Core payload ({ entries, timestamp, source })
+   */
+  toCorePayload(payload) {
+    return {
+      entries: payload.logs.map(log => this.toCoreEntry(log, payload.metadata)),
+      timestamp: payload.metadata.timestamp,
+      source: payload.metadata.source
+    };
+  }
+
+  /**
+   * Transform a single queued entry to the unified core API format
+   * @param {object} log - Queued log entry
+   * @param {object} batchMetadata - Metadata of the batch it is sent in
+   * @returns {object} Core log entry
+   */
+  toCoreEntry(log, batchMetadata) {
+    return {
+      id: log.entryId || this.generateEntryId(),
+      timestamp: log.timestamp,
+      level: log.level.toLowerCase(), // Core expects lowercase levels
+      service: log.service,
+      source: log.component || log.source || 'browser',
+      message: log.message,
+      metadata: {
+        ...log.metadata,
+        originalLevel: log.level, // Preserve original case
+        batchId: batchMetadata.batchId,
+        userAgent: batchMetadata.userAgent,
+        // Entries forwarded by other tabs keep the URL they were logged on
+        url: (log.metadata && log.metadata.url) || batchMetadata.url
+      }
+    };
+  }
+
+  /**
+   * Flush the whole in-memory queue while the page is being hidden or torn down.
+   * Regular fetches are cancelled on teardown, so entries are sent with
+   * navigator.sendBeacon (or fetch keepalive) in chunks that fit the 64KB
+   * beacon limit. Anything that cannot be sent is kept in the offline queue.
+   */
+  flushOnUnload() {
+    if (this.queue.length === 0) {
+      return;
+    }
+
+    const payload = this.createPayload(this.queue.splice(0), { transport: 'beacon' });
+    let unsent = payload.logs;
+
+    if (this.isOnline) {
+      const { chunks, oversized } = this.createBeaconChunks(payload);
+      unsent = oversized;
+
+      for (let i = 0; i < chunks.length; i++) {
+        if (!this.sendBeacon(chunks[i].body)) {
+          // Beacon quota exhausted - keep the remaining chunks
+          chunks.slice(i).forEach(chunk => { unsent = unsent.concat(chunk.logs); });
+          break;
+        }
+
+        this.stats.sent += chunks[i].logs.length;
+        this.stats.beacons++;
       }
     }
+
+    if (unsent.length > 0) {
+      this.queueOffline({ ...payload, logs: unsent });
+    }
+    this.savePendingNow();
   }
 
   /**
-   * Queue batch for offline storage
+   * Split a payload into beacon-sized request bodies
    * @param {object} payload - Batch payload
+   * @returns {object} { chunks: [{ body, logs }], oversized: entries too large to send on their own }
    */
-  queueOffline(payload) {
-    this.offlineQueue.push(payload);
+  createBeaconChunks(payload) {
+    // Size of the core payload without any entries; each entry adds its own size plus a comma
+    const envelope = this.byteLength(JSON.stringify(this.toCorePayload({ ...payload, logs: [] })));
+    const maxEntries = 100; // Server limit per batch
+    const chunks = [];
+    const oversized = [];
+    let current = { entries: [], logs: [], bytes: envelope };
+
+    const closeChunk = () => {
+      if (current.entries.length === 0) {
+        return;
+      }
+      const body = JSON.stringify({
+        entries: current.entries,
+        timestamp: payload.metadata.timestamp,
+        source: payload.metadata.source
+      });
+      chunks.push({ body, logs: current.logs });
+      current = { entries: [], logs: [], bytes: envelope };
+    };
+
+    payload.logs.forEach(log => {
+      const entry = this.toCoreEntry(log, payload.metadata);
+      const size = this.byteLength(JSON.stringify(entry)) + 1;
+
+      if (envelope + size > this.beaconMaxBytes) {
+        oversized.push(log);
+        return;
+      }
+
+      if (current.bytes + size > this.beaconMaxBytes || current.entries.length >= maxEntries) {
+        closeChunk();
+      }
+
+      current.entries.push(entry);
+      current.logs.push(log);
+      current.bytes += size;
+    });
+
+    closeChunk();
+    return { chunks, oversized };
+  }
+
+  /**
+   * Send a request body that outlives the page
+   * @param {string} body - JSON request body
+   * @returns {boolean} True if the browser accepted the request for delivery
+   */
+  sendBeacon(body) {
+    // text/plain keeps the request CORS-safelisted (no preflight, which beacons cannot do)
+    if (navigator.sendBeacon) {
+      try {
+        return navigator.sendBeacon(this.endpoint, new Blob([body], { type: 'text/plain' }));
+      } catch (error) {
+        // Fall through to fetch keepalive
+      }
+    }
 
-    // Limit offline queue size
-    while (this.offlineQueue.length > 100) {
-      this.offlineQueue.shift();
+    try {
+      fetch(this.endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'text/plain' },
+        body,
+        keepalive: true
+      }).catch(() => {});
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Size of a string in bytes once UTF-8 encoded
+   * @param {string} value - String to measure
+   * @returns {number} Byte length
+   */
+  byteLength(value) {
+    if (typeof TextEncoder !== 'undefined') {
+      return new TextEncoder().encode(value).length;
     }
+    return value.length;
+  }
+
+  /**
+   * Wait before retrying a batch
+   * @param {string} batchId - Batch ID
+   * @param {number} delay - Delay in ms
+   * @returns {Promise<boolean>} True if the retry was cancelled by clear() or destroy()
+   */
+  waitForRetry(batchId, delay) {
+    return new Promise(resolve => {
+      const timeoutId = setTimeout(() => {
+        this.retryTimeouts.delete(batchId);
+        resolve(false);
+      }, delay);
+
+      this.retryTimeouts.set(batchId, { timeoutId, cancel: () => resolve(true) });
+    });
+  }
+
+  /**
+   * Cancel all scheduled retries
+   */
+  cancelRetries() {
+    this.retryTimeouts.forEach(retry => {
+      clearTimeout(retry.timeoutId);
+      retry.cancel();
+    });
+    this.retryTimeouts.clear();
+  }
 
-    this.saveOfflineQueue();
+  /**
+   * Queue batch in the durable offline store
+   * @param {object} payload - Batch payload
+   * @returns {Promise<boolean>} True if anything was queued
+   */
+  queueOffline(payload) {
+    return this.offlineStore.enqueue(payload);
   }
 
   /**
-   * Process offline queue when back online
+   * Send queued batches in order, oldest first.
+   * Stops at the first batch that cannot be delivered so ordering is kept.
+   * @returns {Promise<void>}
    */
   async processOfflineQueue() {
-    if (this.offlineQueue.length === 0) {
+    if (this.isDraining) {
+      this.drainRequested = true;
       return;
     }
 
-    console.log('TkrLogging: Processing offline queue, count:', this.offlineQueue.length);
+    this.isDraining = true;
+    try {
+      do {
+        this.drainRequested = false;
+        await this.withOutboxLock(() => this.drainOfflineQueue());
+      } while (this.drainRequested && this.isOnline);
+    } finally {
+      this.isDraining = false;
+    }
+  }
+
+  /**
+   * Deliver batches from the offline store until it is empty or a send fails
+   * @returns {Promise<void>}
+   */
+  async drainOfflineQueue() {
+    let delivered = 0;
 
-    // Process batches with delays to avoid overwhelming the server
-    for (let i = 0; i < this.offlineQueue.length; i++) {
-      const payload = this.offlineQueue[i];
-      await this.sendBatch(payload);
+    while (this.isOnline) {
+      const record = await this.offlineStore.peek();
+      if (!record) {
+        return;
+      }
 
-      // Small delay between batches
-      if (i < this.offlineQueue.length - 1) {
+      // Small delay between batches to avoid overwhelming the server
+      if (delivered > 0) {
         await new Promise(resolve => setTimeout(resolve, 100));
       }
-    }
 
-    this.offlineQueue = [];
-    this.saveOfflineQueue();
+      const result = await this.sendBatch(record.payload);
+      if (result === 'failed') {
+        return;
+      }
+
+      await this.offlineStore.remove(record.seq);
+      delivered++;
+    }
   }
 
   /**
-   * Save offline queue to localStorage
+   * Run a task while holding the cross-tab outbox lock, so two tabs never
+   * replay the same batch. Skips the task if another tab holds the lock.
+   * @param {function} task - Async task
+   * @returns {Promise<void>}
    */
-  saveOfflineQueue() {
-    try {
-      localStorage.setItem('tkr_logging_offline_queue', JSON.stringify(this.offlineQueue));
-    } catch (error) {
-      console.warn('TkrLogging: Failed to save offline queue:', error.message);
+  async withOutboxLock(task) {
+    if (typeof navigator === 'undefined' || !navigator.locks) {
+      return task();
     }
+
+    return navigator.locks.request('tkr_logging_outbox', { ifAvailable: true }, lock => {
+      return lock ? task() : undefined;
+    });
   }
 
   /**
-   * Load offline queue from localStorage
+   * Recover batches and pending entries left by a previous page load or crashed tab
+   * @returns {Promise<void>}
    */
-  loadOfflineQueue() {
+  async restoreOfflineQueue() {
     try {
-      const stored = localStorage.getItem('tkr_logging_offline_queue');
-      if (stored) {
-        this.offlineQueue = JSON.parse(stored);
+      const entries = await this.offlineStore.claimPending(this.ownerId, this.pendingStaleAfter);
+      if (entries.length > 0 && !(await this.queueOffline(this.createPayload(entries, { recovered: true })))) {
+        // Too large for the outbox - send them with the next flush instead
+        this.queue.unshift(...entries);
+        this.savePendingNow();
+      }
+
+      if (this.isOnline) {
+        await this.processOfflineQueue();
       }
     } catch (error) {
-      console.warn('TkrLogging: Failed to load offline queue:', error.message);
-      this.offlineQueue = [];
+      console.warn('TkrLogging: Failed to restore offline queue:', error.message);
+    }
+  }
+
+  /**
+   * Snapshot the in-memory queue on the next tick (coalesces bursts of adds)
+   */
+  schedulePendingSave() {
+    if (this.pendingSaveTimer) {
+      return;
     }
+
+    this.pendingSaveTimer = setTimeout(() => {
+      this.pendingSaveTimer = null;
+      this.savePendingNow();
+    }, 0);
+  }
+
+  /**
+   * Snapshot the in-memory queue immediately
+   */
+  savePendingNow() {
+    this.offlineStore.savePending(this.ownerId, this.queue.slice());
   }
 
   /**
@@ -291,6 +645,11 @@ class BatchSender {
 
     this.flushTimer = setInterval(() => {
       this.flush();
+
+      // Refresh the pending snapshot so other tabs don't treat it as abandoned
+      if (this.queue.length > 0) {
+        this.schedulePendingSave();
+      }
     }, this.flushInterval);
   }
 
@@ -323,11 +682,11 @@ class BatchSender {
   }
 
   /**
-   * Generate trace ID
-   * @returns {string} Trace ID
+   * Generate log entry ID
+   * @returns {string} Entry ID
    */
-  generateTraceId() {
-    return 'trace_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+  generateEntryId() {
+    return 'log_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
   }
 
   /**
@@ -335,10 +694,13 @@ class BatchSender {
    * @returns {object} Statistics object
    */
   getStats() {
+    const offline = this.offlineStore.getStats();
+
     return {
       ...this.stats,
       queueSize: this.queue.length,
-      offlineQueueSize: this.offlineQueue.length,
+      offlineQueueSize: offline.batches,
+      offline,
       isOnline: this.isOnline
     };
   }
@@ -348,12 +710,10 @@ class BatchSender {
    */
   clear() {
     this.queue = [];
-    this.offlineQueue = [];
-    this.saveOfflineQueue();
+    this.offlineStore.clear();
 
     // Clear retry timeouts
-    this.retryTimeouts.forEach(timeoutId => clearTimeout(timeoutId));
-    this.retryTimeouts.clear();
+    this.cancelRetries();
 
     // Reset stats
     this.stats = {
@@ -361,7 +721,8 @@ class BatchSender {
       failed: 0,
       retries: 0,
       totalTime: 0,
-      avgTime: 0
+      avgTime: 0,
+      beacons: 0
     };
   }
 
@@ -373,8 +734,7 @@ class BatchSender {
     this.flush(true);
 
     // Clear retry timeouts
-    this.retryTimeouts.forEach(timeoutId => clearTimeout(timeoutId));
-    this.retryTimeouts.clear();
+    this.cancelRetries();
 
     // Remove event listeners
     window.removeEventListener('online', this.processOfflineQueue);
@@ -0,0 +1,293 @@
+/**
+ * Unit tests for BatchSender
+ * Runs the browser script in Node with stubbed window, navigator and fetch
+ */
+
+function createStorage() {
+  const items = new Map();
+  return {
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: key => items.delete(key)
+  };
+}
+
+/**
+ * IndexedDB database whose writes to the batch outbox abort, as they do when
+ * the storage quota is exceeded; every other transaction completes empty
+ */
+function createQuotaExceededDatabase() {
+  const request = () => ({});
+  return {
+    transaction(storeName, mode) {
+      const store = {
+        add: request,
+        put: request,
+        delete: request,
+        index: () => ({ count: request }),
+        openCursor() {
+          const cursorRequest = {};
+          queueMicrotask(() => cursorRequest.onsuccess && cursorRequest.onsuccess({ target: { result: null } }));
+          return cursorRequest;
+        }
+      };
+      const tx = { error: null, objectStore: () => store };
+      setTimeout(() => {
+        if (storeName === 'batches' && mode === 'readwrite') {
+          tx.error = Object.assign(new Error('The quota has been exceeded'), { name: 'QuotaExceededError' });
+          tx.onabort();
+        } else {
+          tx.oncomplete();
+        }
+      });
+      return tx;
+    }
+  };
+}
+
+function installBrowserGlobals(fetchMock) {
+  globalThis.window = {
+    location: { href: 'http://localhost:3000/page' },
+    addEventListener: () => {},
+    removeEventListener: () => {}
+  };
+  globalThis.document = { visibilityState: 'visible', addEventListener: () => {} };
+  Object.defineProperty(globalThis, 'navigator', {
+    value: { onLine: true, userAgent: 'vitest' },
+    configurable: true,
+    writable: true
+  });
+  globalThis.sessionStorage = createStorage();
+  globalThis.localStorage = createStorage();
+  globalThis.fetch = fetchMock;
+}
+
+const BatchSender = require('./batch-sender');
+
+describe('BatchSender', () => {
+  let sender;
+  let fetchMock;
+
+  const sentMessages = () => fetchMock.mock.calls.flatMap(([, init]) =>
+    JSON.parse(init.body).entries.map(entry => entry.message)
+  );
+
+  beforeEach(async () => {
+    fetchMock = vi.fn(async () => ({ ok: true, status: 200, statusText: 'OK' }));
+    installBrowserGlobals(fetchMock);
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+    sender = new BatchSender({ batchSize: 3, flushInterval: 60000, retryDelay: 1 });
+    sender.stopFlushTimer();
+    await sender.offlineStore.ready;
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  const addEntries = count => {
+    for (let i = 0; i < count; i++) {
+      sender.queue.push({ level: 'INFO', message: `entry ${i}`, timestamp: Date.now(), entryId: `log_${i}` });
+    }
+  };
+
+  test('should deliver batches through the offline store', async () => {
+    addEntries(3);
+    await sender.flush(true);
+
+    expect(sentMessages()).toEqual(['entry 0', 'entry 1', 'entry 2']);
+    expect(sender.getStats().offlineQueueSize).toBe(0);
+  });
+
+  test('should keep adding entries after slow sends', () => {
+    // Network time counts towards avgTime, so it must not gate add()
+    sender.stats.totalTime = 5000;
+    sender.stats.sent = 1;
+    sender.updatePerformanceStats(0);
+
+    sender.add({ level: 'INFO', message: 'info' });
+    sender.add({ level: 'ERROR', message: 'error' });
+
+    expect(sender.stats.avgTime).toBeGreaterThan(1);
+    expect(sender.queue.map(entry => entry.message)).toEqual(['info', 'error']);
+  });
+
+  describe('when the offline store cannot persist a batch', () => {
+    beforeEach(() => {
+      sender.offlineStore.db = createQuotaExceededDatabase();
+    });
+
+    test('should send the batch directly', async () => {
+      addEntries(3);
+      await sender.flush(true);
+
+      expect(sentMessages()).toEqual(['entry 0', 'entry 1', 'entry 2']);
+      expect(sender.queue).toEqual([]);
+    });
+
+    test('should keep the entries in memory when they cannot be sent either', async () => {
+      fetchMock.mockRejectedValue(new TypeError('Failed to fetch'));
+      addEntries(5);
+      await sender.flush(true);
+
+      expect(sender.queue.map(entry => entry.message)).toEqual(['entry 0', 'entry 1', 'entry 2', 'entry 3', 'entry 4']);
+    });
+
+    test('should keep the entries in memory while offline', async () => {
+      sender.isOnline = false;
+      addEntries(3);
+      await sender.flush(true);
+
+      expect(fetchMock).not.toHaveBeenCalled();
+      expect(sender.queue.map(entry => entry.message)).toEqual(['entry 0', 'entry 1', 'entry 2']);
+    });
+  });
+
+  describe('when offline-store.js is not loaded', () => {
+    beforeEach(() => {
+      sender.offlineStore = sender.createLegacyOutbox();
+    });
+
+    test('should deliver batches through the legacy localStorage queue', async () => {
+      addEntries(3);
+      await sender.flush(true);
+
+      expect(sentMessages()).toEqual(['entry 0', 'entry 1', 'entry 2']);
+      expect(sender.getStats().offlineQueueSize).toBe(0);
+    });
+
+    test('should keep undelivered batches under the legacy key for OfflineStore to migrate', async () => {
+      sender.isOnline = false;
+      addEntries(3);
+      await sender.flush(true);
+
+      const stored = JSON.parse(localStorage.getItem('tkr_logging_offline_queue'));
+      expect(stored.map(payload => payload.logs.length)).toEqual([3]);
+
+      const OfflineStore = require('./offline-store');
+      const store = new OfflineStore();
+      await store.ready;
+      expect((await store.peek()).payload.logs.map(log => log.message)).toEqual(['entry 0', 'entry 1', 'entry 2']);
+      expect(localStorage.getItem('tkr_logging_offline_queue')).toBeNull();
+    });
+  });
+
+  describe('when a batch is larger than the offline store budget', () => {
+    beforeEach(() => {
+      sender.offlineStore.maxBytes = 1000;
+    });
+
+    const addLargeEntries = () => {
+      for (let i = 0; i < 3; i++) {
+        sender.queue.push({ level: 'INFO', message: `entry ${i} `.padEnd(500, 'x'), timestamp: Date.now(), entryId: `log_${i}` });
+      }
+    };
+
+    test('should not store it and keep the batches already queued', async () => {
+      await sender.offlineStore.enqueue({ logs: [{ entryId: 'log_old', message: 'old' }], metadata: {} });
+
+      expect(await sender.offlineStore.enqueue({ logs: [{ entryId: 'log_big', message: 'x'.repeat(2000) }], metadata: {} })).toBe(false);
+      expect((await sender.offlineStore.peek()).payload.logs[0].entryId).toBe('log_old');
+      expect(sender.offlineStore.getStats()).toMatchObject({ batches: 1, evicted: 0 });
+    });
+
+    test('should send it directly', async () => {
+      addLargeEntries();
+      await sender.flush(true);
+
+      expect(fetchMock).toHaveBeenCalledTimes(1);
+      expect(sentMessages()).toHaveLength(3);
+      expect(sender.queue).toEqual([]);
+    });
+
+    test('should keep it in memory while offline', async () => {
+      sender.isOnline = false;
+      addLargeEntries();
+      await sender.flush(true);
+
+      expect(sender.queue.map(entry => entry.entryId)).toEqual(['log_0', 'log_1', 'log_2']);
+    });
+  });
+
+  describe('flushOnUnload', () => {
+    let sendBeacon;
+
+    const addSizedEntries = (count, messageBytes) => {
+      for (let i = 0; i < count; i++) {
+        sender.queue.push({
+          level: 'INFO',
+          message: `${i}:`.padEnd(messageBytes, 'x'),
+          timestamp: Date.now(),
+          entryId: `log_${i}`
+        });
+      }
+    };
+
+    beforeEach(() => {
+      sendBeacon = vi.fn(() => true);
+      navigator.sendBeacon = sendBeacon;
+      vi.spyOn(sender, 'queueOffline').mockResolvedValue(true);
+    });
+
+    test('should split the queue into chunks within the 64KB beacon limit', () => {
+      addSizedEntries(150, 1000);
+      const payload = sender.createPayload(sender.queue.slice(), { transport: 'beacon' });
+
+      const { chunks, oversized } = sender.createBeaconChunks(payload);
+
+      expect(oversized).toEqual([]);
+      expect(chunks.length).toBeGreaterThan(2);
+      chunks.forEach(chunk => {
+        expect(sender.byteLength(chunk.body)).toBeLessThanOrEqual(65536);
+        expect(JSON.parse(chunk.body).entries).toHaveLength(chunk.logs.length);
+      });
+      expect(chunks.flatMap(chunk => chunk.logs)).toEqual(payload.logs);
+    });
+
+    test('should cap chunks at 100 entries', () => {
+      addSizedEntries(250, 10);
+      const payload = sender.createPayload(sender.queue.slice(), { transport: 'beacon' });
+
+      const { chunks } = sender.createBeaconChunks(payload);
+
+      expect(chunks.map(chunk => chunk.logs.length)).toEqual([100, 100, 50]);
+    });
+
+    test('should send each chunk as a text/plain beacon', async () => {
+      addSizedEntries(150, 1000);
+      sender.flushOnUnload();
+
+      expect(sendBeacon.mock.calls.length).toBeGreaterThan(2);
+      const [endpoint, blob] = sendBeacon.mock.calls[0];
+      expect(endpoint).toBe(sender.endpoint);
+      expect(blob.type).toBe('text/plain');
+      expect(JSON.parse(await blob.text()).entries[0].message).toMatch(/^0:/);
+      expect(sender.queue).toEqual([]);
+      expect(sender.queueOffline).not.toHaveBeenCalled();
+    });
+
+    test('should keep entries too large for a beacon in the offline queue', () => {
+      addSizedEntries(2, 100);
+      sender.queue.push({ level: 'ERROR', message: 'x'.repeat(70000), timestamp: Date.now(), entryId: 'log_large' });
+
+      sender.flushOnUnload();
+
+      expect(sendBeacon).toHaveBeenCalledTimes(1);
+      const [{ logs }] = sender.queueOffline.mock.calls[0];
+      expect(logs.map(log => log.entryId)).toEqual(['log_large']);
+    });
+
+    test('should keep the remaining chunks when the browser refuses a beacon', () => {
+      sendBeacon.mockReturnValueOnce(true).mockReturnValue(false);
+      addSizedEntries(150, 1000);
+
+      sender.flushOnUnload();
+
+      const [{ logs }] = sender.queueOffline.mock.calls[0];
+      expect(sendBeacon).toHaveBeenCalledTimes(2);
+      expect(logs.length + sender.getStats().sent).toBe(150);
+      expect(logs[logs.length - 1].entryId).toBe('log_149');
+    });
+  });
+});
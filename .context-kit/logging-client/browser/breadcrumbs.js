@@ -0,0 +1,348 @@
+/**
+ * Breadcrumb Recorder for TKR Browser Logging Client
+ * Keeps a ring buffer of what the user did - route changes, clicks and form
+ * input - so error entries can show the steps leading up to the error
+ */
+
+const CLICKABLE_SELECTOR = 'a, button, [role="button"], [role="link"], [role="menuitem"], [role="tab"], input[type="submit"], input[type="button"]';
+const MAX_SELECTOR_DEPTH = 5;
+const MAX_LABEL_LENGTH = 40;
+
+class BreadcrumbRecorder {
+  /**
+   * @param {object} config - Recorder configuration
+   * @param {number} config.maxBreadcrumbs - Ring buffer size
+   * @param {boolean} config.captureNavigation - Record history and hash changes
+   * @param {boolean} config.captureClicks - Record clicks
+   * @param {boolean} config.captureInputs - Record form input changes (values are never recorded)
+   * @param {function} config.isActive - Returns false when events should be ignored
+   * @param {function} config.onOverhead - Called with the synchronous overhead of each event handler in ms
+   */
+  constructor(config = {}) {
+    this.maxBreadcrumbs = config.maxBreadcrumbs || 50;
+    this.captureNavigation = config.captureNavigation !== false;
+    this.captureClicks = config.captureClicks !== false;
+    this.captureInputs = config.captureInputs !== false;
+    this.isActive = config.isActive || (() => true);
+    this.onOverhead = config.onOverhead || (() => {});
+
+    this.breadcrumbs = [];
+    this.listeners = [];
+    this.historyWrappers = null;
+    this.originalHistory = null;
+    this.lastUrl = null;
+    this.installed = false;
+  }
+
+  /**
+   * Start recording
+   */
+  install() {
+    if (this.installed) {
+      return;
+    }
+
+    this.lastUrl = this.getRelativeUrl();
+
+    if (this.captureNavigation) {
+      this.add('navigation', { from: null, to: this.lastUrl, trigger: 'load' });
+      this.wrapHistory();
+      this.listen(window, 'popstate', () => this.recordNavigation('popstate'));
+      this.listen(window, 'hashchange', () => this.recordNavigation('hashchange'));
+    }
+
+    if (this.captureClicks) {
+      this.listen(document, 'click', (event) => this.measure(() => this.recordClick(event)), true);
+    }
+
+    if (this.captureInputs) {
+      // 'change' fires once per edit, not per keystroke
+      this.listen(document, 'change', (event) => this.measure(() => this.recordInput(event)), true);
+    }
+
+    this.installed = true;
+  }
+
+  /**
+   * Stop recording and restore history methods
+   */
+  uninstall() {
+    if (!this.installed) {
+      return;
+    }
+
+    this.listeners.forEach(({ target, type, handler, capture }) => {
+      target.removeEventListener(type, handler, capture);
+    });
+
+    // Only restore if nothing else has wrapped history since
+    if (this.originalHistory) {
+      if (history.pushState === this.historyWrappers.pushState) {
+        history.pushState = this.originalHistory.pushState;
+      }
+      if (history.replaceState === this.historyWrappers.replaceState) {
+        history.replaceState = this.originalHistory.replaceState;
+      }
+    }
+
+    this.listeners = [];
+    this.originalHistory = null;
+    this.historyWrappers = null;
+    this.installed = false;
+  }
+
+  /**
+   * Add a breadcrumb, dropping the oldest once the buffer is full
+   * @param {string} type - navigation, click, input or a custom type
+   * @param {object} data - Breadcrumb details
+   * @param {string} message - Optional human-readable summary
+   * @returns {object} The breadcrumb
+   */
+  add(type, data = {}, message) {
+    const breadcrumb = {
+      type,
+      timestamp: Date.now(),
+      message: message || this.describe(type, data),
+      data
+    };
+
+    this.breadcrumbs.push(breadcrumb);
+    if (this.breadcrumbs.length > this.maxBreadcrumbs) {
+      this.breadcrumbs.shift();
+    }
+    return breadcrumb;
+  }
+
+  /**
+   * Get the most recent breadcrumbs, oldest first
+   * @param {number} limit - Maximum number of breadcrumbs
+   * @returns {Array<object>} Breadcrumbs
+   */
+  getBreadcrumbs(limit = this.maxBreadcrumbs) {
+    return this.breadcrumbs.slice(-limit).map(breadcrumb => ({
+      ...breadcrumb,
+      data: { ...breadcrumb.data }
+    }));
+  }
+
+  /**
+   * Remove all breadcrumbs
+   */
+  clear() {
+    this.breadcrumbs = [];
+  }
+
+  /**
+   * Wrap history.pushState/replaceState - react-router's BrowserRouter navigates through them
+   */
+  wrapHistory() {
+    const recorder = this;
+    const pushState = history.pushState;
+    const replaceState = history.replaceState;
+    this.originalHistory = { pushState, replaceState };
+
+    this.historyWrappers = {
+      pushState: function() {
+        const result = pushState.apply(this, arguments);
+        recorder.recordNavigation('pushState');
+        return result;
+      },
+      replaceState: function() {
+        const result = replaceState.apply(this, arguments);
+        recorder.recordNavigation('replaceState');
+        return result;
+      }
+    };
+
+    history.pushState = this.historyWrappers.pushState;
+    history.replaceState = this.historyWrappers.replaceState;
+  }
+
+  /**
+   * Record a route change (ignoring state-only replaceState calls)
+   * @param {string} trigger - pushState, replaceState, popstate or hashchange
+   */
+  recordNavigation(trigger) {
+    const to = this.getRelativeUrl();
+    if (to === this.lastUrl || !this.isActive()) {
+      this.lastUrl = to;
+      return;
+    }
+
+    this.add('navigation', { from: this.lastUrl, to, trigger });
+    this.lastUrl = to;
+  }
+
+  /**
+   * Record a click on the nearest clickable element (or the target itself)
+   * @param {Event} event - Click event
+   */
+  recordClick(event) {
+    if (!this.isActive() || !event.target || event.target.nodeType !== 1) {
+      return;
+    }
+
+    const element = (event.target.closest && event.target.closest(CLICKABLE_SELECTOR)) || event.target;
+    const data = {
+      selector: this.getSelector(element),
+      tag: element.tagName.toLowerCase()
+    };
+
+    const label = this.getLabel(element);
+    if (label) {
+      data.label = label;
+    }
+    if (element.tagName === 'A' && element.getAttribute('href')) {
+      data.href = element.getAttribute('href').split(/[?#]/)[0];
+    }
+
+    this.add('click', data);
+  }
+
+  /**
+   * Record a form input change. The value itself is masked: only its length
+   * (or checked state) is recorded.
+   * @param {Event} event - Change event
+   */
+  recordInput(event) {
+    const element = event.target;
+    if (!this.isActive() || !element || !/^(INPUT|TEXTAREA|SELECT)$/.test(element.tagName)) {
+      return;
+    }
+
+    const inputType = element.tagName === 'INPUT' ? (element.type || 'text').toLowerCase() : element.tagName.toLowerCase();
+    const data = {
+      selector: this.getSelector(element),
+      inputType,
+      name: element.name || element.id || undefined
+    };
+
+    if (inputType === 'checkbox' || inputType === 'radio') {
+      data.checked = element.checked;
+    } else if (inputType === 'select') {
+      data.selectedIndex = element.selectedIndex;
+    } else {
+      data.value = '[MASKED]';
+      data.valueLength = typeof element.value === 'string' ? element.value.length : 0;
+    }
+
+    this.add('input', data);
+  }
+
+  /**
+   * Build a CSS selector path for an element, e.g. `main > form#login > button.btn-primary:nth-of-type(2)`
+   * Stops at the nearest ancestor with an id, or after 5 levels.
+   * @param {Element} element - Element
+   * @returns {string} Selector
+   */
+  getSelector(element) {
+    const parts = [];
+    let node = element;
+
+    while (node && node.nodeType === 1 && parts.length < MAX_SELECTOR_DEPTH) {
+      const tag = node.tagName.toLowerCase();
+      if (tag === 'html' || tag === 'body') {
+        break;
+      }
+
+      if (node.id) {
+        parts.unshift(`${tag}#${this.escapeIdentifier(node.id)}`);
+        break;
+      }
+
+      let part = tag;
+      const classes = typeof node.className === 'string' ? node.className.trim().split(/\s+/).filter(Boolean) : [];
+      if (classes.length > 0) {
+        part += classes.slice(0, 2).map(name => `.${this.escapeIdentifier(name)}`).join('');
+      }
+
+      const parent = node.parentElement;
+      if (parent) {
+        const siblings = Array.prototype.filter.call(parent.children, child => child.tagName === node.tagName);
+        if (siblings.length > 1) {
+          part += `:nth-of-type(${siblings.indexOf(node) + 1})`;
+        }
+      }
+
+      parts.unshift(part);
+      node = parent;
+    }
+
+    return parts.join(' > ');
+  }
+
+  /**
+   * Get a short label for a clickable element (aria-label, title or text)
+   * Text is only read from clickable elements, never from arbitrary containers.
+   */
+  getLabel(element) {
+    const label = element.getAttribute('aria-label') || element.getAttribute('title') ||
+      (element.matches && element.matches(CLICKABLE_SELECTOR) ? (element.textContent || element.value || '') : '');
+    const trimmed = String(label).replace(/\s+/g, ' ').trim();
+    return trimmed.length > MAX_LABEL_LENGTH ? `${trimmed.slice(0, MAX_LABEL_LENGTH)}…` : trimmed;
+  }
+
+  /**
+   * Human-readable summary of a breadcrumb
+   */
+  describe(type, data) {
+    switch (type) {
+      case 'navigation':
+        return data.from ? `Navigated to ${data.to}` : `Loaded ${data.to}`;
+      case 'click':
+        return `Clicked ${data.label ? `"${data.label}"` : data.selector}`;
+      case 'input':
+        return `Changed ${data.name || data.selector}`;
+      default:
+        return type;
+    }
+  }
+
+  /**
+   * Current path and hash - the query string is left out, since it may carry tokens
+   */
+  getRelativeUrl() {
+    return window.location.pathname + window.location.hash;
+  }
+
+  /**
+   * Escape an id or class name for use in a selector
+   */
+  escapeIdentifier(identifier) {
+    if (window.CSS && window.CSS.escape) {
+      return window.CSS.escape(identifier);
+    }
+    return String(identifier).replace(/([^a-zA-Z0-9_-])/g, '\\$1');
+  }
+
+  /**
+   * Run an event handler, reporting its overhead and swallowing its errors
+   */
+  measure(fn) {
+    const start = performance.now();
+    try {
+      fn();
+    } catch (error) {
+      // Never let recording break the page
+    }
+    this.onOverhead(performance.now() - start);
+  }
+
+  /**
+   * Add an event listener that uninstall() removes again
+   */
+  listen(target, type, handler, capture = false) {
+    target.addEventListener(type, handler, capture);
+    this.listeners.push({ target, type, handler, capture });
+  }
+}
+
+// Export for browser environments
+if (typeof window !== 'undefined') {
+  window.BreadcrumbRecorder = BreadcrumbRecorder;
+}
+
+// Export for Node.js environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = BreadcrumbRecorder;
+}
@@ -0,0 +1,187 @@
+/**
+ * Unit tests for BreadcrumbRecorder
+ * Runs the browser script in Node with a stubbed window, document and history,
+ * and minimal elements that only understand the recorder's clickable selector
+ */
+
+const BreadcrumbRecorder = require('./breadcrumbs');
+
+const CLICKABLE_ROLES = ['button', 'link', 'menuitem', 'tab'];
+
+/**
+ * Build an element tree
+ * @param {string} tagName - Upper-case tag name
+ * @param {object} props - id, className, textContent, type, value, checked, name, attributes
+ * @param {Array<object>} children - Child elements
+ * @returns {object} Element
+ */
+function el(tagName, props = {}, children = []) {
+  const { attributes = {}, ...rest } = props;
+  const element = {
+    nodeType: 1,
+    tagName,
+    id: '',
+    className: '',
+    parentElement: null,
+    children,
+    ...rest,
+    getAttribute: name => (name in attributes ? attributes[name] : null),
+    matches: () => isClickable(element),
+    closest: () => {
+      for (let node = element; node; node = node.parentElement) {
+        if (isClickable(node)) {
+          return node;
+        }
+      }
+      return null;
+    }
+  };
+  children.forEach(child => { child.parentElement = element; });
+  return element;
+}
+
+function isClickable(element) {
+  return element.tagName === 'A' || element.tagName === 'BUTTON' ||
+    CLICKABLE_ROLES.indexOf(element.getAttribute('role')) !== -1 ||
+    (element.tagName === 'INPUT' && (element.type === 'submit' || element.type === 'button'));
+}
+
+describe('BreadcrumbRecorder', () => {
+  let recorder;
+  let listeners;
+
+  const addEventListener = (type, handler) => (listeners[type] = listeners[type] || []).push(handler);
+  const removeEventListener = (type, handler) => (listeners[type] = (listeners[type] || []).filter(h => h !== handler));
+  const dispatch = (type, event = {}) => (listeners[type] || []).forEach(handler => handler(event));
+  const messages = () => recorder.getBreadcrumbs().map(breadcrumb => breadcrumb.message);
+
+  beforeEach(() => {
+    listeners = {};
+    globalThis.window = { location: { pathname: '/', hash: '', search: '?token=abc' }, addEventListener, removeEventListener };
+    globalThis.document = { addEventListener, removeEventListener };
+    globalThis.history = {
+      pushState: (state, title, url) => { window.location.pathname = url; },
+      replaceState: () => {}
+    };
+
+    recorder = new BreadcrumbRecorder({ maxBreadcrumbs: 5 });
+    recorder.install();
+  });
+
+  afterEach(() => {
+    recorder.uninstall();
+    delete globalThis.history;
+  });
+
+  describe('ring buffer', () => {
+    test('should keep only the most recent breadcrumbs, oldest first', () => {
+      for (let i = 1; i <= 7; i++) {
+        recorder.add('custom', { step: i }, `step ${i}`);
+      }
+
+      expect(messages()).toEqual(['step 3', 'step 4', 'step 5', 'step 6', 'step 7']);
+      expect(recorder.getBreadcrumbs(2).map(breadcrumb => breadcrumb.data)).toEqual([{ step: 6 }, { step: 7 }]);
+    });
+
+    test('should hand out copies', () => {
+      recorder.getBreadcrumbs()[0].data.to = '/changed';
+
+      expect(recorder.getBreadcrumbs()[0].data.to).toBe('/');
+    });
+
+    test('should empty on clear', () => {
+      recorder.clear();
+
+      expect(recorder.getBreadcrumbs()).toEqual([]);
+    });
+  });
+
+  describe('navigation', () => {
+    test('should record the page load and route changes without the query string', () => {
+      history.pushState({}, '', '/orders');
+      history.replaceState({ scroll: 10 }, '');
+      window.location.hash = '#details';
+      dispatch('hashchange');
+
+      expect(recorder.getBreadcrumbs().map(({ type, message, data }) => [type, message, data])).toEqual([
+        ['navigation', 'Loaded /', { from: null, to: '/', trigger: 'load' }],
+        ['navigation', 'Navigated to /orders', { from: '/', to: '/orders', trigger: 'pushState' }],
+        ['navigation', 'Navigated to /orders#details', { from: '/orders', to: '/orders#details', trigger: 'hashchange' }]
+      ]);
+    });
+  });
+
+  describe('clicks', () => {
+    test('should record the nearest clickable element with its label and selector', () => {
+      const icon = el('SPAN', { className: 'icon' });
+      const save = el('BUTTON', { className: 'btn btn-primary extra', textContent: '  Save   order ' }, [icon]);
+      el('FORM', { id: 'checkout' }, [el('BUTTON', { textContent: 'Cancel' }), save]);
+
+      dispatch('click', { target: icon });
+
+      expect(recorder.getBreadcrumbs().pop()).toMatchObject({
+        type: 'click',
+        message: 'Clicked "Save order"',
+        data: { selector: 'form#checkout > button.btn.btn-primary:nth-of-type(2)', tag: 'button', label: 'Save order' }
+      });
+    });
+
+    test('should record link targets without their query string and never read text of other elements', () => {
+      const link = el('A', { attributes: { href: '/reset?email=ann@example.com', 'aria-label': 'Reset password' } });
+      const paragraph = el('P', { textContent: 'Card 4111 1111 1111 1111' });
+      el('MAIN', {}, [link, paragraph]);
+
+      dispatch('click', { target: link });
+      dispatch('click', { target: paragraph });
+
+      const [linkClick, paragraphClick] = recorder.getBreadcrumbs().slice(-2);
+      expect(linkClick.data).toEqual({ selector: 'main > a', tag: 'a', label: 'Reset password', href: '/reset' });
+      expect(paragraphClick).toMatchObject({ message: 'Clicked main > p', data: { selector: 'main > p', tag: 'p' } });
+      expect(paragraphClick.data).not.toHaveProperty('label');
+    });
+  });
+
+  describe('inputs', () => {
+    test('should mask typed values and record only their length', () => {
+      dispatch('change', { target: el('INPUT', { type: 'password', name: 'password', value: 'hunter2' }) });
+
+      expect(recorder.getBreadcrumbs().pop()).toMatchObject({
+        message: 'Changed password',
+        data: { inputType: 'password', name: 'password', value: '[MASKED]', valueLength: 7 }
+      });
+    });
+
+    test('should record checked state and selected index', () => {
+      dispatch('change', { target: el('INPUT', { type: 'checkbox', id: 'terms', checked: true }) });
+      dispatch('change', { target: el('SELECT', { name: 'country', selectedIndex: 2 }) });
+      dispatch('change', { target: el('DIV') });
+
+      expect(recorder.getBreadcrumbs().slice(-2).map(breadcrumb => breadcrumb.data)).toEqual([
+        { selector: 'input#terms', inputType: 'checkbox', name: 'terms', checked: true },
+        { selector: 'select', inputType: 'select', name: 'country', selectedIndex: 2 }
+      ]);
+    });
+  });
+
+  test('should ignore events while inactive and report handler overhead', () => {
+    const onOverhead = vi.fn();
+    recorder.uninstall();
+    recorder = new BreadcrumbRecorder({ isActive: () => false, onOverhead });
+    recorder.install();
+
+    dispatch('click', { target: el('BUTTON') });
+    history.pushState({}, '', '/away');
+
+    expect(messages()).toEqual(['Loaded /']);
+    expect(onOverhead).toHaveBeenCalledWith(expect.any(Number));
+  });
+
+  test('should remove its listeners and restore history on uninstall', () => {
+    const { pushState } = recorder.originalHistory;
+
+    recorder.uninstall();
+
+    expect(history.pushState).toBe(pushState);
+    expect(listeners.click).toEqual([]);
+  });
+});
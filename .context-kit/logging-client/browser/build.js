@@ -0,0 +1,99 @@
+/**
+ * Build script for TKR Browser Logging Client
+ * Generates logging-client-combined.js from the module scripts and
+ * logging-client.min.js from the combined file. Run with `npm run build`
+ * after changing any module; bundle.test.js fails while the combined file
+ * is out of date.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Same order as the individual <script> tags in README.md
+const MODULES = [
+  'session-manager.js',
+  'offline-store.js',
+  'batch-sender.js',
+  'redactor.js',
+  'trace-context.js',
+  'network-capture.js',
+  'web-vitals.js',
+  'breadcrumbs.js',
+  'tab-coordinator.js',
+  'sampler.js'
+];
+
+const CLIENT = 'logging-client.js';
+const COMBINED = 'logging-client-combined.js';
+const MINIFIED = 'logging-client.min.js';
+
+const NODE_EXPORT_MARKER = '// Export for Node.js environments';
+
+const COMBINED_HEADER = `/**
+ * TKR Browser Logging Client - Combined Version
+ * Includes every browser module and the client in a single file:
+ * ${MODULES.concat(CLIENT).join(', ')}
+ *
+ * Generated by build.js - do not edit, change the module scripts instead
+ */
+`;
+
+const MINIFIED_HEADER = `/**
+ * TKR Browser Logging Client - Minified Version
+ * Minified ${COMBINED}, generated by build.js
+ */`;
+
+/**
+ * Wrap a module script in its own scope, without its Node.js export
+ * @param {string} file - Module file name
+ * @param {string} source - Module source
+ * @returns {string} Wrapped source
+ */
+function wrapModule(file, source) {
+  const markerIndex = source.indexOf(NODE_EXPORT_MARKER);
+  if (markerIndex === -1) {
+    throw new Error(`${file} has no '${NODE_EXPORT_MARKER}' section`);
+  }
+
+  // Top-level constants of different modules would clash in one script;
+  // each module only shares its class through window
+  return `// === ${file} ===\n(function() {\n${source.slice(0, markerIndex).trimEnd()}\n})();\n`;
+}
+
+/**
+ * Build the combined script from the module sources
+ * @param {string} dir - Directory holding the module scripts
+ * @returns {string} Combined script
+ */
+function buildCombined(dir = __dirname) {
+  const read = file => fs.readFileSync(path.join(dir, file), 'utf8');
+  const modules = MODULES.map(file => wrapModule(file, read(file)));
+  const client = `// === ${CLIENT} ===\n${read(CLIENT).trimEnd()}\n`;
+
+  return [COMBINED_HEADER, ...modules, client].join('\n');
+}
+
+/**
+ * Minify the combined script
+ * @param {string} combined - Combined script
+ * @returns {string} Minified script
+ */
+function buildMinified(combined) {
+  const esbuild = require('esbuild');
+  const { code } = esbuild.transformSync(combined, {
+    minify: true,
+    legalComments: 'none',
+    target: 'es2018'
+  });
+
+  return `${MINIFIED_HEADER}\n${code}`;
+}
+
+if (require.main === module) {
+  const combined = buildCombined();
+  fs.writeFileSync(path.join(__dirname, COMBINED), combined);
+  fs.writeFileSync(path.join(__dirname, MINIFIED), buildMinified(combined));
+  console.log(`Wrote ${COMBINED} and ${MINIFIED}`);
+}
+
+module.exports = { MODULES, buildCombined, buildMinified };
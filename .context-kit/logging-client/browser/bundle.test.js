@@ -0,0 +1,98 @@
+/**
+ * Tests for the combined and minified bundles
+ * Checks they are up to date with the module scripts, and runs each in Node
+ * with a stubbed window, navigator and fetch
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { buildCombined, buildMinified } = require('./build');
+
+const BUNDLE_CLASSES = [
+  'SessionManager', 'OfflineStore', 'BatchSender', 'Redactor', 'TraceContext', 'NetworkCapture',
+  'WebVitalsCapture', 'BreadcrumbRecorder', 'TabCoordinator', 'AdaptiveSampler'
+];
+
+const read = file => fs.readFileSync(path.join(__dirname, file), 'utf8');
+
+function createStorage() {
+  const items = new Map();
+  return {
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: key => items.delete(key)
+  };
+}
+
+/**
+ * Run a bundle, which installs its modules and window.TkrLogging
+ * @param {string} source - Bundle source
+ * @returns {object} window.TkrLogging
+ */
+function loadBundle(source) {
+  globalThis.window = {
+    location: { href: 'http://example.com/page', hostname: 'example.com', search: '' },
+    addEventListener: () => {},
+    removeEventListener: () => {}
+  };
+  globalThis.document = {
+    visibilityState: 'visible',
+    addEventListener: () => {},
+    removeEventListener: () => {},
+    querySelector: () => null
+  };
+  globalThis.history = { pushState: () => {}, replaceState: () => {} };
+  Object.defineProperty(globalThis, 'navigator', {
+    value: { onLine: true, userAgent: 'vitest' },
+    configurable: true,
+    writable: true
+  });
+  globalThis.sessionStorage = createStorage();
+  globalThis.localStorage = createStorage();
+  globalThis.fetch = vi.fn(async () => ({ ok: true, status: 200, statusText: 'OK' }));
+
+  new Function(source)();
+  return window.TkrLogging;
+}
+
+describe('bundles', () => {
+  test('should be up to date with the module scripts (run npm run build)', () => {
+    const combined = buildCombined();
+
+    expect(read('logging-client-combined.js')).toBe(combined);
+    expect(read('logging-client.min.js')).toBe(buildMinified(combined));
+  });
+
+  describe.each([
+    ['logging-client-combined.js'],
+    ['logging-client.min.js']
+  ])('%s', file => {
+    let logging;
+
+    beforeEach(() => {
+      ['info', 'warn', 'error'].forEach(method => vi.spyOn(console, method).mockImplementation(() => {}));
+      logging = loadBundle(read(file));
+    });
+
+    afterEach(() => {
+      logging.restore();
+      vi.restoreAllMocks();
+      delete globalThis.history;
+    });
+
+    test('should expose every module on window', () => {
+      BUNDLE_CLASSES.forEach(name => expect(window[name], name).toEqual(expect.any(Function)));
+      expect(window.Redactor.DEFAULT_CONFIG).toBeDefined();
+    });
+
+    test('should start and queue redacted entries', () => {
+      logging.init({ crossTab: false });
+      console.error('Login failed for ann@example.com');
+
+      const client = logging._client;
+      expect(client.enabled).toBe(true);
+      expect(client.sampler).toBeInstanceOf(window.AdaptiveSampler);
+      expect(client.batchSender.queue.pop()).toMatchObject({ level: 'error', message: 'Login failed for [REDACTED]' });
+    });
+  });
+});
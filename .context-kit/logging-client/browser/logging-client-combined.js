@@ -1,397 +1,4093 @@
 /**
  * TKR Browser Logging Client - Combined Version
- * Includes SessionManager, BatchSender, and LoggingClient in a single file
- * Perfect for single-script deployment
+ * Includes every browser module and the client in a single file:
+ * session-manager.js, offline-store.js, batch-sender.js, redactor.js, trace-context.js, network-capture.js, web-vitals.js, breadcrumbs.js, tab-coordinator.js, sampler.js, logging-client.js
+ *
+ * Generated by build.js - do not edit, change the module scripts instead
  */
 
+// === session-manager.js ===
 (function() {
-  'use strict';
+/**
+ * Session Manager for TKR Browser Logging Client
+ * Handles session ID generation, persistence, and tab correlation
+ */
 
-  // Check if already initialized
-  if (window.TkrLogging && window.TkrLogging._initialized) {
-    return;
+class SessionManager {
+  constructor() {
+    this.sessionId = null;
+    this.storageKey = 'tkr_logging_session';
+    this.sessionDuration = 24 * 60 * 60 * 1000; // 24 hours
+    this.storageListener = null;
   }
 
-  // === SESSION MANAGER ===
-  class SessionManager {
-    constructor() {
-      this.sessionId = null;
-      this.storageKey = 'tkr_logging_session';
-      this.sessionDuration = 24 * 60 * 60 * 1000; // 24 hours
+  /**
+   * Generate a UUID v4
+   * @returns {string} UUID string
+   */
+  generateUUID() {
+    return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
+      const r = Math.random() * 16 | 0;
+      const v = c === 'x' ? r : (r & 0x3 | 0x8);
+      return v.toString(16);
+    });
+  }
+
+  /**
+   * Initialize session - get existing or create new
+   * @returns {string} Session ID
+   */
+  initialize() {
+    this.watchSession();
+
+    try {
+      // Check for existing session in localStorage
+      const stored = localStorage.getItem(this.storageKey);
+      if (stored) {
+        const sessionData = JSON.parse(stored);
+        const now = Date.now();
+
+        // Check if session is still valid (within duration)
+        if (sessionData.timestamp && (now - sessionData.timestamp) < this.sessionDuration) {
+          this.sessionId = sessionData.sessionId;
+          return this.sessionId;
+        }
+      }
+    } catch (error) {
+      // localStorage not available or corrupted, continue to create new session
+      console.warn('TkrLogging: Failed to read session from localStorage:', error.message);
     }
 
-    generateUUID() {
-      return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
-        const r = Math.random() * 16 | 0;
-        const v = c === 'x' ? r : (r & 0x3 | 0x8);
-        return v.toString(16);
-      });
+    // Create new session
+    this.sessionId = this.generateUUID();
+    this.persistSession();
+    return this.sessionId;
+  }
+
+  /**
+   * Follow session changes made by other tabs. Two tabs that find an expired
+   * session at the same time both create one; the last write wins and every
+   * tab adopts it, so they keep logging under one session ID.
+   */
+  watchSession() {
+    if (this.storageListener || typeof window === 'undefined') {
+      return;
     }
 
-    initialize() {
+    this.storageListener = (event) => {
+      if (event.key !== this.storageKey || !event.newValue) {
+        return;
+      }
+
       try {
-        const stored = localStorage.getItem(this.storageKey);
-        if (stored) {
-          const sessionData = JSON.parse(stored);
-          const now = Date.now();
-          if (sessionData.timestamp && (now - sessionData.timestamp) < this.sessionDuration) {
-            this.sessionId = sessionData.sessionId;
-            return this.sessionId;
-          }
+        const sessionData = JSON.parse(event.newValue);
+        if (sessionData.sessionId) {
+          this.sessionId = sessionData.sessionId;
         }
       } catch (error) {
-        console.warn('TkrLogging: Failed to read session from localStorage:', error.message);
+        // Ignore malformed session data
       }
+    };
+
+    window.addEventListener('storage', this.storageListener);
+  }
+
+  /**
+   * Persist session to localStorage
+   */
+  persistSession() {
+    try {
+      const sessionData = {
+        sessionId: this.sessionId,
+        timestamp: Date.now(),
+        userAgent: navigator.userAgent,
+        url: window.location.href
+      };
+      localStorage.setItem(this.storageKey, JSON.stringify(sessionData));
+    } catch (error) {
+      // localStorage not available, session will be ephemeral
+      console.warn('TkrLogging: Failed to persist session to localStorage:', error.message);
+    }
+  }
+
+  /**
+   * Get current session ID
+   * @returns {string|null} Current session ID
+   */
+  getSessionId() {
+    return this.sessionId;
+  }
+
+  /**
+   * Force create new session
+   * @returns {string} New session ID
+   */
+  renewSession() {
+    this.sessionId = this.generateUUID();
+    this.persistSession();
+    return this.sessionId;
+  }
 
-      this.sessionId = this.generateUUID();
-      this.persistSession();
-      return this.sessionId;
+  /**
+   * Clear current session
+   */
+  clearSession() {
+    this.sessionId = null;
+    try {
+      localStorage.removeItem(this.storageKey);
+    } catch (error) {
+      // Ignore localStorage errors
     }
+  }
+
+  /**
+   * Generate trace ID for request correlation
+   * @returns {string} Trace ID
+   */
+  generateTraceId() {
+    return this.generateUUID();
+  }
+
+  /**
+   * Get session metadata for logging
+   * @returns {object} Session metadata
+   */
+  getSessionMetadata() {
+    return {
+      sessionId: this.sessionId,
+      userAgent: navigator.userAgent,
+      url: window.location.href,
+      timestamp: Date.now(),
+      timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+      language: navigator.language,
+      platform: navigator.platform,
+      cookieEnabled: navigator.cookieEnabled,
+      onLine: navigator.onLine
+    };
+  }
+}
+
+// Export for browser environments
+if (typeof window !== 'undefined') {
+  window.SessionManager = SessionManager;
+}
+})();
+
+// === offline-store.js ===
+(function() {
+/**
+ * Offline Store for TKR Browser Logging Client
+ * Durable, ordered outbox for log batches backed by IndexedDB, with a
+ * localStorage (or in-memory) fallback when IndexedDB is unavailable
+ */
+
+const DB_VERSION = 2;
+const BATCH_STORE = 'batches';
+const PENDING_STORE = 'pending';
+const LEGACY_QUEUE_KEY = 'tkr_logging_offline_queue';
+
+class OfflineStore {
+  constructor(config = {}) {
+    this.dbName = config.dbName || 'tkr_logging';
+    this.maxBytes = config.maxBytes || 5 * 1024 * 1024; // 5MB
+    this.storageKey = config.storageKey || 'tkr_logging_offline_store';
+
+    this.db = null;
+    this.backend = 'memory';
+    this.records = []; // Fallback storage when IndexedDB is unavailable
+    this.pending = {};
+    this.nextSeq = 1;
+    this.stats = {
+      batches: 0,
+      entries: 0,
+      bytes: 0,
+      evicted: 0,
+      deduplicated: 0
+    };
+
+    this.ready = this.open();
+  }
+
+  /**
+   * Open the IndexedDB database, falling back to localStorage/memory
+   * @returns {Promise<void>}
+   */
+  async open() {
+    try {
+      this.db = await this.openDatabase();
+      this.backend = 'indexeddb';
+      await this.refreshStats();
+    } catch (error) {
+      this.db = null;
+      this.loadFallback();
+    }
+
+    await this.migrateLegacyQueue();
+  }
+
+  /**
+   * Open (and upgrade if needed) the IndexedDB database
+   * @returns {Promise<IDBDatabase>}
+   */
+  openDatabase() {
+    return new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB not available'));
+        return;
+      }
+
+      const request = indexedDB.open(this.dbName, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(BATCH_STORE)) {
+          const batches = db.createObjectStore(BATCH_STORE, { keyPath: 'seq', autoIncrement: true });
+          batches.createIndex('entryIds', 'entryIds', { unique: false, multiEntry: true });
+        } else {
+          // Version 1 keyed entries by traceId
+          const batches = request.transaction.objectStore(BATCH_STORE);
+          if (batches.indexNames.contains('traceIds')) {
+            batches.deleteIndex('traceIds');
+          }
+          if (!batches.indexNames.contains('entryIds')) {
+            batches.createIndex('entryIds', 'entryIds', { unique: false, multiEntry: true });
+          }
+        }
+        if (!db.objectStoreNames.contains(PENDING_STORE)) {
+          db.createObjectStore(PENDING_STORE, { keyPath: 'ownerId' });
+        }
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => reject(new Error('IndexedDB open blocked'));
+    });
+  }
 
-    persistSession() {
+  /**
+   * Run work inside a single IndexedDB transaction
+   * @param {string} storeName - Object store name
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {function} work - Receives (store, setResult); must only use request callbacks
+   * @returns {Promise<*>} Value passed to setResult, once the transaction commits
+   */
+  transaction(storeName, mode, work) {
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction(storeName, mode);
+      let result;
+
+      tx.oncomplete = () => resolve(result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+
+      work(tx.objectStore(storeName), value => { result = value; });
+    });
+  }
+
+  /**
+   * Add a batch to the end of the outbox.
+   * Entries whose entryId is already queued are dropped, and the oldest
+   * batches are evicted once the byte budget is exceeded. A batch larger than
+   * the whole budget is not stored, so the caller has to send it directly.
+   * @param {object} payload - Batch payload ({ logs, metadata })
+   * @returns {Promise<boolean>} True if anything was queued
+   */
+  async enqueue(payload) {
+    await this.ready;
+    return this.append(payload);
+  }
+
+  /**
+   * Append a batch without waiting for the store to open (used during open)
+   * @param {object} payload - Batch payload
+   * @returns {Promise<boolean>} True if anything was queued
+   */
+  async append(payload) {
+    if (this.db) {
       try {
-        const sessionData = {
-          sessionId: this.sessionId,
-          timestamp: Date.now(),
-          userAgent: navigator.userAgent,
-          url: window.location.href
+        return await this.enqueueIndexedDB(payload);
+      } catch (error) {
+        console.warn('TkrLogging: Failed to persist offline batch:', error.message);
+        return false;
+      }
+    }
+
+    const queued = new Set();
+    this.records.forEach(record => (record.entryIds || []).forEach(id => queued.add(id)));
+    const record = this.createRecord(payload, queued);
+    if (!record || !this.fitsBudget(record)) {
+      return false;
+    }
+
+    record.seq = this.nextSeq++;
+    this.records.push(record);
+    this.evictFallback();
+    this.saveFallback();
+    return true;
+  }
+
+  /**
+   * IndexedDB implementation of enqueue
+   * @param {object} payload - Batch payload
+   * @returns {Promise<boolean>}
+   */
+  enqueueIndexedDB(payload) {
+    const entryIds = payload.logs.map(log => log.entryId).filter(Boolean);
+
+    return this.transaction(BATCH_STORE, 'readwrite', (store, setResult) => {
+      const queued = new Set();
+      let outstanding = entryIds.length;
+
+      const insert = () => {
+        const record = this.createRecord(payload, queued);
+        if (!record || !this.fitsBudget(record)) {
+          setResult(false);
+          return;
+        }
+
+        store.add(record).onsuccess = () => {
+          setResult(true);
+          this.evictIndexedDB(store);
+        };
+      };
+
+      if (outstanding === 0) {
+        insert();
+        return;
+      }
+
+      entryIds.forEach(entryId => {
+        const request = store.index('entryIds').count(entryId);
+        request.onsuccess = () => {
+          if (request.result > 0) {
+            queued.add(entryId);
+          }
+          if (--outstanding === 0) {
+            insert();
+          }
+        };
+      });
+    });
+  }
+
+  /**
+   * Build a stored record, dropping entries that are already queued
+   * @param {object} payload - Batch payload
+   * @param {Set<string>} queued - Entry IDs already in the outbox
+   * @returns {object|null} Record, or null if every entry was a duplicate
+   */
+  createRecord(payload, queued) {
+    const seen = new Set(queued);
+    const logs = payload.logs.filter(log => {
+      if (!log.entryId) {
+        return true;
+      }
+      if (seen.has(log.entryId)) {
+        return false;
+      }
+      seen.add(log.entryId);
+      return true;
+    });
+
+    this.stats.deduplicated += payload.logs.length - logs.length;
+
+    if (logs.length === 0) {
+      return null;
+    }
+
+    const stored = { ...payload, logs };
+    return {
+      payload: stored,
+      entryIds: logs.map(log => log.entryId).filter(Boolean),
+      entryCount: logs.length,
+      bytes: this.byteLength(JSON.stringify(stored)),
+      createdAt: Date.now()
+    };
+  }
+
+  /**
+   * Whether a new record can be stored at all. Eviction removes the oldest
+   * batches first, so a record larger than the budget would push out every
+   * queued batch and then itself.
+   * @param {object} record - Record built by createRecord
+   * @returns {boolean} True if the record fits the byte budget on its own
+   */
+  fitsBudget(record) {
+    if (record.bytes <= this.maxBytes) {
+      return true;
+    }
+
+    console.warn('TkrLogging: Batch is larger than the offline store budget, not storing it');
+    return false;
+  }
+
+  /**
+   * Evict oldest batches until the byte budget is met (IndexedDB)
+   * @param {IDBObjectStore} store - Store within an open readwrite transaction
+   */
+  evictIndexedDB(store) {
+    const summary = [];
+
+    store.openCursor().onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (cursor) {
+        summary.push({ seq: cursor.value.seq, bytes: cursor.value.bytes, entryCount: cursor.value.entryCount });
+        cursor.continue();
+        return;
+      }
+
+      let bytes = summary.reduce((sum, record) => sum + record.bytes, 0);
+      while (bytes > this.maxBytes && summary.length > 0) {
+        const oldest = summary.shift();
+        store.delete(oldest.seq);
+        bytes -= oldest.bytes;
+        this.stats.evicted += oldest.entryCount;
+      }
+
+      this.setCounts(summary);
+    };
+  }
+
+  /**
+   * Evict oldest batches until the byte budget is met (fallback)
+   */
+  evictFallback() {
+    let bytes = this.records.reduce((sum, record) => sum + record.bytes, 0);
+    while (bytes > this.maxBytes && this.records.length > 0) {
+      const oldest = this.records.shift();
+      bytes -= oldest.bytes;
+      this.stats.evicted += oldest.entryCount;
+    }
+
+    this.setCounts(this.records);
+  }
+
+  /**
+   * Get the oldest queued batch without removing it
+   * @returns {Promise<object|null>} Record ({ seq, payload, ... }) or null
+   */
+  async peek() {
+    await this.ready;
+
+    if (!this.db) {
+      return this.records[0] || null;
+    }
+
+    return this.transaction(BATCH_STORE, 'readonly', (store, setResult) => {
+      setResult(null);
+      store.openCursor().onsuccess = (event) => {
+        const cursor = event.target.result;
+        setResult(cursor ? cursor.value : null);
+      };
+    });
+  }
+
+  /**
+   * Remove a batch once it has been delivered
+   * @param {number} seq - Record sequence number
+   * @returns {Promise<void>}
+   */
+  async remove(seq) {
+    await this.ready;
+
+    if (!this.db) {
+      this.records = this.records.filter(record => record.seq !== seq);
+      this.setCounts(this.records);
+      this.saveFallback();
+      return;
+    }
+
+    await this.transaction(BATCH_STORE, 'readwrite', (store) => {
+      store.delete(seq);
+    });
+    await this.refreshStats();
+  }
+
+  /**
+   * Snapshot entries that are still waiting in memory, so a crash does not lose them
+   * @param {string} ownerId - ID of the writer (one per tab)
+   * @param {Array<object>} entries - Entries not yet batched
+   * @returns {Promise<void>}
+   */
+  async savePending(ownerId, entries) {
+    await this.ready;
+
+    const snapshot = { ownerId, entries, updatedAt: Date.now() };
+
+    if (!this.db) {
+      if (entries.length > 0) {
+        this.pending[ownerId] = snapshot;
+      } else {
+        delete this.pending[ownerId];
+      }
+      this.saveFallback();
+      return;
+    }
+
+    try {
+      await this.transaction(PENDING_STORE, 'readwrite', (store) => {
+        if (entries.length > 0) {
+          store.put(snapshot);
+        } else {
+          store.delete(ownerId);
+        }
+      });
+    } catch (error) {
+      console.warn('TkrLogging: Failed to save pending entries:', error.message);
+    }
+  }
+
+  /**
+   * Take over pending snapshots left behind by this owner or by dead writers
+   * @param {string} ownerId - ID of the current writer
+   * @param {number} staleAfter - Age in ms after which another owner's snapshot is considered abandoned
+   * @returns {Promise<Array<object>>} Recovered entries, oldest first
+   */
+  async claimPending(ownerId, staleAfter) {
+    await this.ready;
+
+    const now = Date.now();
+    const isClaimable = snapshot =>
+      snapshot.ownerId === ownerId || now - snapshot.updatedAt > staleAfter;
+
+    let snapshots;
+    if (!this.db) {
+      snapshots = Object.values(this.pending).filter(isClaimable);
+      snapshots.forEach(snapshot => delete this.pending[snapshot.ownerId]);
+      this.saveFallback();
+    } else {
+      snapshots = await this.transaction(PENDING_STORE, 'readwrite', (store, setResult) => {
+        const claimed = [];
+        setResult(claimed);
+        store.openCursor().onsuccess = (event) => {
+          const cursor = event.target.result;
+          if (!cursor) {
+            return;
+          }
+          if (isClaimable(cursor.value)) {
+            claimed.push(cursor.value);
+            cursor.delete();
+          }
+          cursor.continue();
         };
-        localStorage.setItem(this.storageKey, JSON.stringify(sessionData));
+      });
+    }
+
+    return snapshots
+      .sort((a, b) => a.updatedAt - b.updatedAt)
+      .reduce((entries, snapshot) => entries.concat(snapshot.entries), []);
+  }
+
+  /**
+   * Remove every queued batch and pending snapshot
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    await this.ready;
+
+    this.records = [];
+    this.pending = {};
+    this.setCounts([]);
+
+    if (!this.db) {
+      this.saveFallback();
+      return;
+    }
+
+    await this.transaction(BATCH_STORE, 'readwrite', store => store.clear());
+    await this.transaction(PENDING_STORE, 'readwrite', store => store.clear());
+  }
+
+  /**
+   * Recalculate depth and size from the database
+   * @returns {Promise<void>}
+   */
+  async refreshStats() {
+    const summary = await this.transaction(BATCH_STORE, 'readonly', (store, setResult) => {
+      const records = [];
+      setResult(records);
+      store.openCursor().onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (cursor) {
+          records.push({ bytes: cursor.value.bytes, entryCount: cursor.value.entryCount });
+          cursor.continue();
+        }
+      };
+    });
+
+    this.setCounts(summary);
+  }
+
+  /**
+   * Update cached depth counters
+   * @param {Array<object>} records - Records with bytes and entryCount
+   */
+  setCounts(records) {
+    this.stats.batches = records.length;
+    this.stats.entries = records.reduce((sum, record) => sum + record.entryCount, 0);
+    this.stats.bytes = records.reduce((sum, record) => sum + record.bytes, 0);
+  }
+
+  /**
+   * Import batches saved by the old localStorage-only offline queue
+   * @returns {Promise<void>}
+   */
+  async migrateLegacyQueue() {
+    try {
+      const stored = localStorage.getItem(LEGACY_QUEUE_KEY);
+      if (!stored) {
+        return;
+      }
+
+      localStorage.removeItem(LEGACY_QUEUE_KEY);
+      const payloads = JSON.parse(stored);
+      for (const payload of payloads) {
+        if (payload && Array.isArray(payload.logs)) {
+          await this.append(payload);
+        }
+      }
+    } catch (error) {
+      console.warn('TkrLogging: Failed to migrate offline queue:', error.message);
+    }
+  }
+
+  /**
+   * Load fallback state from localStorage
+   */
+  loadFallback() {
+    try {
+      const stored = localStorage.getItem(this.storageKey);
+      this.backend = 'localstorage';
+      if (stored) {
+        const state = JSON.parse(stored);
+        this.records = state.records || [];
+        this.pending = state.pending || {};
+        this.nextSeq = this.records.reduce((max, record) => Math.max(max, record.seq), 0) + 1;
+      }
+    } catch (error) {
+      this.backend = 'memory';
+      this.records = [];
+      this.pending = {};
+    }
+
+    this.setCounts(this.records);
+  }
+
+  /**
+   * Save fallback state to localStorage
+   */
+  saveFallback() {
+    if (this.backend !== 'localstorage') {
+      return;
+    }
+
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify({
+        records: this.records,
+        pending: this.pending
+      }));
+    } catch (error) {
+      console.warn('TkrLogging: Failed to save offline queue:', error.message);
+    }
+  }
+
+  /**
+   * Size of a string in bytes once UTF-8 encoded
+   * @param {string} value - String to measure
+   * @returns {number} Byte length
+   */
+  byteLength(value) {
+    if (typeof TextEncoder !== 'undefined') {
+      return new TextEncoder().encode(value).length;
+    }
+    return value.length;
+  }
+
+  /**
+   * Get current statistics
+   * @returns {object} Statistics object
+   */
+  getStats() {
+    return {
+      backend: this.backend,
+      maxBytes: this.maxBytes,
+      ...this.stats
+    };
+  }
+
+  /**
+   * Close the database connection
+   */
+  close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+}
+
+// Export for browser environments
+if (typeof window !== 'undefined') {
+  window.OfflineStore = OfflineStore;
+}
+})();
+
+// === batch-sender.js ===
+(function() {
+/**
+ * Batch Sender for TKR Browser Logging Client
+ * Handles batch queue management, network failure handling, and offline storage
+ */
+
+class BatchSender {
+  constructor(config = {}) {
+    this.endpoint = config.endpoint || 'http://localhost:42003/api/logs/batch';
+    this.batchSize = config.batchSize || 10;
+    this.flushInterval = config.flushInterval || 5000;
+    this.maxRetries = config.maxRetries || 3;
+    this.retryDelay = config.retryDelay || 1000;
+    this.maxQueueSize = config.maxQueueSize || 1000;
+    this.offlineMaxBytes = config.offlineMaxBytes || 5 * 1024 * 1024; // 5MB
+    this.pendingStaleAfter = config.pendingStaleAfter || 60000; // 1 minute
+    this.beaconMaxBytes = config.beaconMaxBytes || 65536; // sendBeacon/keepalive body limit (64KB)
+
+    this.queue = [];
+    this.flushTimer = null;
+    this.pendingSaveTimer = null;
+    this.isOnline = navigator.onLine;
+    this.isDraining = false;
+    this.drainRequested = false;
+    this.retryTimeouts = new Map();
+    this.ownerId = this.getOwnerId();
+    this.offlineStore = this.createOfflineStore();
+    this.stats = {
+      sent: 0,
+      failed: 0,
+      retries: 0,
+      totalTime: 0,
+      avgTime: 0,
+      beacons: 0
+    };
+
+    this.initializeEventListeners();
+    this.restoreOfflineQueue();
+    this.startFlushTimer();
+  }
+
+  /**
+   * Create the durable outbox used for offline and undelivered batches.
+   * Pages that load only the original scripts (without offline-store.js)
+   * get the localStorage queue those scripts used.
+   * @returns {OfflineStore|object} Offline store, or an object with the same interface
+   */
+  createOfflineStore() {
+    const Store = (typeof window !== 'undefined' && window.OfflineStore) ||
+      (typeof require === 'function' ? require('./offline-store') : null);
+
+    if (!Store) {
+      return this.createLegacyOutbox();
+    }
+    return new Store({ maxBytes: this.offlineMaxBytes });
+  }
+
+  /**
+   * Outbox kept in memory and saved to localStorage under the legacy queue
+   * key, in the legacy format (an array of payloads, at most 100), so
+   * offline-store.js migrates it once it is loaded. It has no pending
+   * snapshots: entries not yet batched are lost if the page crashes.
+   * @returns {object} Outbox with the OfflineStore interface
+   */
+  createLegacyOutbox() {
+    const key = 'tkr_logging_offline_queue';
+    const maxBatches = 100;
+    let nextSeq = 1;
+    let records = [];
+
+    try {
+      const stored = JSON.parse(localStorage.getItem(key) || '[]');
+      records = stored.map(payload => ({ seq: nextSeq++, payload }));
+    } catch (error) {
+      console.warn('TkrLogging: Failed to load offline queue:', error.message);
+    }
+
+    const save = () => {
+      try {
+        localStorage.setItem(key, JSON.stringify(records.map(record => record.payload)));
       } catch (error) {
-        console.warn('TkrLogging: Failed to persist session to localStorage:', error.message);
+        console.warn('TkrLogging: Failed to save offline queue:', error.message);
+      }
+    };
+
+    return {
+      ready: Promise.resolve(),
+      enqueue: async payload => {
+        records.push({ seq: nextSeq++, payload });
+        records = records.slice(-maxBatches);
+        save();
+        return true;
+      },
+      peek: async () => records[0] || null,
+      remove: async seq => {
+        records = records.filter(record => record.seq !== seq);
+        save();
+      },
+      savePending: async () => {},
+      claimPending: async () => [],
+      clear: async () => {
+        records = [];
+        save();
+      },
+      getStats: () => ({
+        backend: 'legacy',
+        batches: records.length,
+        entries: records.reduce((sum, record) => sum + record.payload.logs.length, 0)
+      })
+    };
+  }
+
+  /**
+   * Get the ID used to own this tab's pending snapshot (stable across reloads of the tab)
+   * @returns {string} Owner ID
+   */
+  getOwnerId() {
+    const key = 'tkr_logging_tab_id';
+    try {
+      let ownerId = sessionStorage.getItem(key);
+      if (!ownerId) {
+        ownerId = 'tab_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+        sessionStorage.setItem(key, ownerId);
+      }
+      return ownerId;
+    } catch (error) {
+      return 'tab_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    }
+  }
+
+  /**
+   * Initialize network and visibility event listeners
+   */
+  initializeEventListeners() {
+    // Network status
+    window.addEventListener('online', () => {
+      this.isOnline = true;
+      this.processOfflineQueue();
+    });
+
+    window.addEventListener('offline', () => {
+      this.isOnline = false;
+    });
+
+    // Page visibility for batch flushing - hidden is the last event that
+    // reliably fires before a page is discarded (especially on mobile)
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden') {
+        this.flushOnUnload();
       }
+    });
+
+    // Page teardown - final flush
+    window.addEventListener('pagehide', () => {
+      this.flushOnUnload();
+    });
+  }
+
+  /**
+   * Add log entry to batch queue
+   * @param {object} logEntry - Log entry to queue
+   */
+  add(logEntry) {
+    const startTime = performance.now();
+
+    // Overhead is governed by the client's sampler, which never drops errors;
+    // avgTime includes network time and is only reported in getStats()
+
+    // Check queue size limits
+    if (this.queue.length >= this.maxQueueSize) {
+      console.warn('TkrLogging: Queue size limit reached, dropping oldest log');
+      this.queue.shift();
     }
 
-    getSessionId() {
-      return this.sessionId;
+    // Add timestamp and entry ID (the delivery/dedupe key) if not present.
+    // W3C trace fields travel in metadata.trace.
+    const enrichedEntry = {
+      timestamp: Date.now(),
+      entryId: this.generateEntryId(),
+      ...logEntry
+    };
+
+    this.queue.push(enrichedEntry);
+    this.schedulePendingSave();
+
+    // Update performance stats
+    const endTime = performance.now();
+    const duration = endTime - startTime;
+    this.updatePerformanceStats(duration);
+
+    // Check if we should flush immediately
+    if (this.queue.length >= this.batchSize) {
+      this.flush();
+    }
+  }
+
+  /**
+   * Flush current queue
+   * @param {boolean} force - Force flush even if batch size not reached
+   * @returns {Promise<void>}
+   */
+  async flush(force = false) {
+    if (this.queue.length === 0) {
+      return;
+    }
+
+    if (!force && this.queue.length < this.batchSize) {
+      return;
+    }
+
+    const batch = this.queue.splice(0, this.batchSize);
+    const payload = this.createPayload(batch);
+
+    // Persist before sending so the batch survives a crash mid-request;
+    // it is removed from the outbox only once the server accepts it
+    const queued = this.queueOffline(payload);
+    this.savePendingNow();
+
+    if (!(await queued)) {
+      // The outbox could not store it (quota exceeded, aborted transaction)
+      await this.sendUnqueued(payload);
+    }
+
+    if (this.isOnline) {
+      await this.processOfflineQueue();
+    }
+  }
+
+  /**
+   * Deliver a batch the offline store failed to persist. If it cannot be sent
+   * either, its entries go back to the front of the in-memory queue to be
+   * retried with the next flush.
+   * @param {object} payload - Batch payload
+   * @returns {Promise<void>}
+   */
+  async sendUnqueued(payload) {
+    const result = this.isOnline ? await this.sendBatch(payload) : 'failed';
+    if (result === 'failed') {
+      this.queue.unshift(...payload.logs);
+      this.savePendingNow();
     }
+  }
+
+  /**
+   * Send batch to server (supports both legacy and unified core API formats)
+   * @param {object} payload - Batch payload
+   * @param {number} retryCount - Current retry attempt
+   * @returns {Promise<string>} 'sent', 'rejected' (server refused it, do not retry) or 'failed'
+   */
+  async sendBatch(payload, retryCount = 0) {
+    const startTime = performance.now();
+
+    try {
+      const controller = new AbortController();
+      const timeoutId = setTimeout(() => controller.abort(), 10000); // 10 second timeout
+
+      const corePayload = this.toCorePayload(payload);
+
+      const response = await fetch(this.endpoint, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(corePayload),
+        signal: controller.signal
+      });
+
+      clearTimeout(timeoutId);
+
+      if (!response.ok) {
+        const error = new Error(`HTTP ${response.status}: ${response.statusText}`);
+        // Client errors will not succeed on retry (except timeouts and rate limiting)
+        error.retryable = response.status >= 500 || response.status === 408 || response.status === 429;
+        throw error;
+      }
+
+      // Success
+      this.stats.sent += payload.logs.length;
+      const duration = performance.now() - startTime;
+      this.updatePerformanceStats(duration);
+
+      return 'sent';
+
+    } catch (error) {
+      const duration = performance.now() - startTime;
+      this.updatePerformanceStats(duration);
+
+      if (error.retryable === false) {
+        this.stats.failed += payload.logs.length;
+        console.warn('TkrLogging: Batch rejected by server, dropping:', error.message);
+        return 'rejected';
+      }
+
+      // Handle retry logic
+      if (retryCount < this.maxRetries) {
+        this.stats.retries++;
+        const delay = this.retryDelay * Math.pow(2, retryCount); // Exponential backoff
+
+        const cancelled = await this.waitForRetry(payload.metadata.batchId, delay);
+        if (!cancelled) {
+          return this.sendBatch(payload, retryCount + 1);
+        }
+      }
+
+      // Max retries exceeded, batch stays in the offline queue
+      this.stats.failed += payload.logs.length;
+      console.warn('TkrLogging: Failed to send batch after retries:', error.message);
+      return 'failed';
+    }
+  }
+
+  /**
+   * Build a batch payload
+   * @param {Array<object>} logs - Queued log entries
+   * @param {object} metadata - Extra batch metadata
+   * @returns {object} Batch payload ({ logs, metadata })
+   */
+  createPayload(logs, metadata = {}) {
+    return {
+      logs,
+      metadata: {
+        batchId: this.generateBatchId(),
+        source: 'browser',
+        timestamp: Date.now(),
+        userAgent: navigator.userAgent,
+        url: window.location.href,
+        ...metadata
+      }
+    };
+  }
+
+  /**
+   * Transform a batch payload to match the unified core API format
+   * @param {object} payload - Batch payload
+   * @returns {object} Core payload ({ entries, timestamp, source })
+   */
+  toCorePayload(payload) {
+    return {
+      entries: payload.logs.map(log => this.toCoreEntry(log, payload.metadata)),
+      timestamp: payload.metadata.timestamp,
+      source: payload.metadata.source
+    };
+  }
+
+  /**
+   * Transform a single queued entry to the unified core API format
+   * @param {object} log - Queued log entry
+   * @param {object} batchMetadata - Metadata of the batch it is sent in
+   * @returns {object} Core log entry
+   */
+  toCoreEntry(log, batchMetadata) {
+    return {
+      id: log.entryId || this.generateEntryId(),
+      timestamp: log.timestamp,
+      level: log.level.toLowerCase(), // Core expects lowercase levels
+      service: log.service,
+      source: log.component || log.source || 'browser',
+      message: log.message,
+      metadata: {
+        ...log.metadata,
+        originalLevel: log.level, // Preserve original case
+        batchId: batchMetadata.batchId,
+        userAgent: batchMetadata.userAgent,
+        // Entries forwarded by other tabs keep the URL they were logged on
+        url: (log.metadata && log.metadata.url) || batchMetadata.url
+      }
+    };
+  }
+
+  /**
+   * Flush the whole in-memory queue while the page is being hidden or torn down.
+   * Regular fetches are cancelled on teardown, so entries are sent with
+   * navigator.sendBeacon (or fetch keepalive) in chunks that fit the 64KB
+   * beacon limit. Anything that cannot be sent is kept in the offline queue.
+   */
+  flushOnUnload() {
+    if (this.queue.length === 0) {
+      return;
+    }
+
+    const payload = this.createPayload(this.queue.splice(0), { transport: 'beacon' });
+    let unsent = payload.logs;
+
+    if (this.isOnline) {
+      const { chunks, oversized } = this.createBeaconChunks(payload);
+      unsent = oversized;
+
+      for (let i = 0; i < chunks.length; i++) {
+        if (!this.sendBeacon(chunks[i].body)) {
+          // Beacon quota exhausted - keep the remaining chunks
+          chunks.slice(i).forEach(chunk => { unsent = unsent.concat(chunk.logs); });
+          break;
+        }
+
+        this.stats.sent += chunks[i].logs.length;
+        this.stats.beacons++;
+      }
+    }
+
+    if (unsent.length > 0) {
+      this.queueOffline({ ...payload, logs: unsent });
+    }
+    this.savePendingNow();
+  }
+
+  /**
+   * Split a payload into beacon-sized request bodies
+   * @param {object} payload - Batch payload
+   * @returns {object} { chunks: [{ body, logs }], oversized: entries too large to send on their own }
+   */
+  createBeaconChunks(payload) {
+    // Size of the core payload without any entries; each entry adds its own size plus a comma
+    const envelope = this.byteLength(JSON.stringify(this.toCorePayload({ ...payload, logs: [] })));
+    const maxEntries = 100; // Server limit per batch
+    const chunks = [];
+    const oversized = [];
+    let current = { entries: [], logs: [], bytes: envelope };
+
+    const closeChunk = () => {
+      if (current.entries.length === 0) {
+        return;
+      }
+      const body = JSON.stringify({
+        entries: current.entries,
+        timestamp: payload.metadata.timestamp,
+        source: payload.metadata.source
+      });
+      chunks.push({ body, logs: current.logs });
+      current = { entries: [], logs: [], bytes: envelope };
+    };
+
+    payload.logs.forEach(log => {
+      const entry = this.toCoreEntry(log, payload.metadata);
+      const size = this.byteLength(JSON.stringify(entry)) + 1;
+
+      if (envelope + size > this.beaconMaxBytes) {
+        oversized.push(log);
+        return;
+      }
+
+      if (current.bytes + size > this.beaconMaxBytes || current.entries.length >= maxEntries) {
+        closeChunk();
+      }
+
+      current.entries.push(entry);
+      current.logs.push(log);
+      current.bytes += size;
+    });
+
+    closeChunk();
+    return { chunks, oversized };
+  }
+
+  /**
+   * Send a request body that outlives the page
+   * @param {string} body - JSON request body
+   * @returns {boolean} True if the browser accepted the request for delivery
+   */
+  sendBeacon(body) {
+    // text/plain keeps the request CORS-safelisted (no preflight, which beacons cannot do)
+    if (navigator.sendBeacon) {
+      try {
+        return navigator.sendBeacon(this.endpoint, new Blob([body], { type: 'text/plain' }));
+      } catch (error) {
+        // Fall through to fetch keepalive
+      }
+    }
+
+    try {
+      fetch(this.endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'text/plain' },
+        body,
+        keepalive: true
+      }).catch(() => {});
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Size of a string in bytes once UTF-8 encoded
+   * @param {string} value - String to measure
+   * @returns {number} Byte length
+   */
+  byteLength(value) {
+    if (typeof TextEncoder !== 'undefined') {
+      return new TextEncoder().encode(value).length;
+    }
+    return value.length;
+  }
+
+  /**
+   * Wait before retrying a batch
+   * @param {string} batchId - Batch ID
+   * @param {number} delay - Delay in ms
+   * @returns {Promise<boolean>} True if the retry was cancelled by clear() or destroy()
+   */
+  waitForRetry(batchId, delay) {
+    return new Promise(resolve => {
+      const timeoutId = setTimeout(() => {
+        this.retryTimeouts.delete(batchId);
+        resolve(false);
+      }, delay);
+
+      this.retryTimeouts.set(batchId, { timeoutId, cancel: () => resolve(true) });
+    });
+  }
+
+  /**
+   * Cancel all scheduled retries
+   */
+  cancelRetries() {
+    this.retryTimeouts.forEach(retry => {
+      clearTimeout(retry.timeoutId);
+      retry.cancel();
+    });
+    this.retryTimeouts.clear();
+  }
+
+  /**
+   * Queue batch in the durable offline store
+   * @param {object} payload - Batch payload
+   * @returns {Promise<boolean>} True if anything was queued
+   */
+  queueOffline(payload) {
+    return this.offlineStore.enqueue(payload);
+  }
+
+  /**
+   * Send queued batches in order, oldest first.
+   * Stops at the first batch that cannot be delivered so ordering is kept.
+   * @returns {Promise<void>}
+   */
+  async processOfflineQueue() {
+    if (this.isDraining) {
+      this.drainRequested = true;
+      return;
+    }
+
+    this.isDraining = true;
+    try {
+      do {
+        this.drainRequested = false;
+        await this.withOutboxLock(() => this.drainOfflineQueue());
+      } while (this.drainRequested && this.isOnline);
+    } finally {
+      this.isDraining = false;
+    }
+  }
+
+  /**
+   * Deliver batches from the offline store until it is empty or a send fails
+   * @returns {Promise<void>}
+   */
+  async drainOfflineQueue() {
+    let delivered = 0;
+
+    while (this.isOnline) {
+      const record = await this.offlineStore.peek();
+      if (!record) {
+        return;
+      }
+
+      // Small delay between batches to avoid overwhelming the server
+      if (delivered > 0) {
+        await new Promise(resolve => setTimeout(resolve, 100));
+      }
+
+      const result = await this.sendBatch(record.payload);
+      if (result === 'failed') {
+        return;
+      }
+
+      await this.offlineStore.remove(record.seq);
+      delivered++;
+    }
+  }
+
+  /**
+   * Run a task while holding the cross-tab outbox lock, so two tabs never
+   * replay the same batch. Skips the task if another tab holds the lock.
+   * @param {function} task - Async task
+   * @returns {Promise<void>}
+   */
+  async withOutboxLock(task) {
+    if (typeof navigator === 'undefined' || !navigator.locks) {
+      return task();
+    }
+
+    return navigator.locks.request('tkr_logging_outbox', { ifAvailable: true }, lock => {
+      return lock ? task() : undefined;
+    });
+  }
+
+  /**
+   * Recover batches and pending entries left by a previous page load or crashed tab
+   * @returns {Promise<void>}
+   */
+  async restoreOfflineQueue() {
+    try {
+      const entries = await this.offlineStore.claimPending(this.ownerId, this.pendingStaleAfter);
+      if (entries.length > 0 && !(await this.queueOffline(this.createPayload(entries, { recovered: true })))) {
+        // Too large for the outbox - send them with the next flush instead
+        this.queue.unshift(...entries);
+        this.savePendingNow();
+      }
+
+      if (this.isOnline) {
+        await this.processOfflineQueue();
+      }
+    } catch (error) {
+      console.warn('TkrLogging: Failed to restore offline queue:', error.message);
+    }
+  }
+
+  /**
+   * Snapshot the in-memory queue on the next tick (coalesces bursts of adds)
+   */
+  schedulePendingSave() {
+    if (this.pendingSaveTimer) {
+      return;
+    }
+
+    this.pendingSaveTimer = setTimeout(() => {
+      this.pendingSaveTimer = null;
+      this.savePendingNow();
+    }, 0);
+  }
+
+  /**
+   * Snapshot the in-memory queue immediately
+   */
+  savePendingNow() {
+    this.offlineStore.savePending(this.ownerId, this.queue.slice());
+  }
+
+  /**
+   * Start flush timer
+   */
+  startFlushTimer() {
+    if (this.flushTimer) {
+      clearInterval(this.flushTimer);
+    }
+
+    this.flushTimer = setInterval(() => {
+      this.flush();
+
+      // Refresh the pending snapshot so other tabs don't treat it as abandoned
+      if (this.queue.length > 0) {
+        this.schedulePendingSave();
+      }
+    }, this.flushInterval);
+  }
+
+  /**
+   * Stop flush timer
+   */
+  stopFlushTimer() {
+    if (this.flushTimer) {
+      clearInterval(this.flushTimer);
+      this.flushTimer = null;
+    }
+  }
+
+  /**
+   * Update performance statistics
+   * @param {number} duration - Operation duration in ms
+   */
+  updatePerformanceStats(duration) {
+    this.stats.totalTime += duration;
+    const totalOps = this.stats.sent + this.stats.failed + this.stats.retries;
+    this.stats.avgTime = totalOps > 0 ? this.stats.totalTime / totalOps : 0;
+  }
+
+  /**
+   * Generate batch ID
+   * @returns {string} Batch ID
+   */
+  generateBatchId() {
+    return 'batch_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+  }
+
+  /**
+   * Generate log entry ID
+   * @returns {string} Entry ID
+   */
+  generateEntryId() {
+    return 'log_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+  }
+
+  /**
+   * Get current statistics
+   * @returns {object} Statistics object
+   */
+  getStats() {
+    const offline = this.offlineStore.getStats();
+
+    return {
+      ...this.stats,
+      queueSize: this.queue.length,
+      offlineQueueSize: offline.batches,
+      offline,
+      isOnline: this.isOnline
+    };
+  }
+
+  /**
+   * Clear all queues and reset
+   */
+  clear() {
+    this.queue = [];
+    this.offlineStore.clear();
+
+    // Clear retry timeouts
+    this.cancelRetries();
+
+    // Reset stats
+    this.stats = {
+      sent: 0,
+      failed: 0,
+      retries: 0,
+      totalTime: 0,
+      avgTime: 0,
+      beacons: 0
+    };
+  }
+
+  /**
+   * Destroy batch sender and clean up
+   */
+  destroy() {
+    this.stopFlushTimer();
+    this.flush(true);
+
+    // Clear retry timeouts
+    this.cancelRetries();
+
+    // Remove event listeners
+    window.removeEventListener('online', this.processOfflineQueue);
+    window.removeEventListener('offline', () => this.isOnline = false);
+  }
+}
+
+// Export for browser environments
+if (typeof window !== 'undefined') {
+  window.BatchSender = BatchSender;
+}
+})();
+
+// === redactor.js ===
+(function() {
+/**
+ * Redactor for TKR Logging Clients
+ * Masks secrets and personal data in log entries before they are queued.
+ * Shared by the browser client and the Node.js clients (src/redaction.js),
+ * configured from the `redaction` section of config/defaults.json.
+ */
+
+// Mirrors the `redaction` section of config/defaults.json, for browsers that
+// can't read it
+const DEFAULT_REDACTION_CONFIG = {
+  enabled: true,
+  replacement: '[REDACTED]',
+  keys: [
+    'password', 'passwd', 'pwd', 'secret', 'token', 'apiKey', 'api_key',
+    'authorization', 'cookie', 'set-cookie', 'credentials', 'privateKey'
+  ],
+  paths: [],
+  patterns: [
+    { name: 'jwt', pattern: '\\beyJ[A-Za-z0-9_-]+\\.[A-Za-z0-9_-]+\\.[A-Za-z0-9_-]+' },
+    { name: 'bearer', pattern: '\\b(Bearer|Basic)\\s+[A-Za-z0-9._~+/=-]{8,}', flags: 'i', replacement: '$1 [REDACTED]' },
+    { name: 'cookie-header', pattern: '\\b(Cookie|Set-Cookie):\\s*[^\\r\\n]+', flags: 'i', replacement: '$1: [REDACTED]' },
+    { name: 'key-value', pattern: '\\b(password|passwd|pwd|secret|token|api[_-]?key|access[_-]?token|refresh[_-]?token|client[_-]?secret)([\'"]?\\s*[:=]\\s*[\'"]?)[^\\s\'"&,;]+', flags: 'i', replacement: '$1$2[REDACTED]' },
+    { name: 'url-credentials', pattern: '\\b([a-z][a-z0-9+.-]*://)[^/\\s:@]+:[^/\\s@]+@', flags: 'i', replacement: '$1[REDACTED]@' },
+    { name: 'aws-access-key', pattern: '\\b(AKIA|ASIA)[A-Z0-9]{16}\\b' },
+    { name: 'github-token', pattern: '\\bgh[pousr]_[A-Za-z0-9]{36,}\\b' },
+    { name: 'slack-token', pattern: '\\bxox[abprs]-[A-Za-z0-9-]{10,}' },
+    { name: 'api-key', pattern: '\\b(sk|pk|rk)[-_](live|test|proj|ant)[-_][A-Za-z0-9_-]{16,}' },
+    { name: 'email', pattern: '\\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\\.[A-Za-z]{2,}\\b' }
+  ]
+};
+
+const MAX_DEPTH = 10;
+
+class Redactor {
+  /**
+   * @param {object} config - Redaction configuration (merged over the defaults)
+   * @param {boolean} config.enabled - Set to false to pass entries through untouched
+   * @param {string} config.replacement - Value that replaces redacted data
+   * @param {Array<string>} config.keys - Object keys whose values are always redacted (case and separator insensitive, suffix match)
+   * @param {Array<string>} config.paths - Dot paths into the entry that are always redacted (`*` matches any part of a segment)
+   * @param {Array<object>} config.patterns - { name, pattern, flags?, replacement? } rules applied to every string
+   */
+  constructor(config = {}) {
+    this.config = { ...DEFAULT_REDACTION_CONFIG, ...config };
+    this.enabled = this.config.enabled !== false;
+    this.replacement = this.config.replacement;
+    this.keys = (this.config.keys || []).map(key => this.normalizeKey(key)).filter(Boolean);
+    this.paths = (this.config.paths || []).map(path => this.compilePath(path));
+    this.patterns = this.compilePatterns(this.config.patterns || []);
+
+    this.stats = {
+      entriesProcessed: 0,
+      entriesRedacted: 0,
+      redactions: 0,
+      byRule: {}
+    };
+  }
+
+  /**
+   * Redact a log entry. The entry is not modified; a redacted copy is returned.
+   * @param {object} entry - Log entry
+   * @returns {object} Redacted entry (the original if nothing matched)
+   */
+  redactEntry(entry) {
+    if (!this.enabled || !entry || typeof entry !== 'object') {
+      return entry;
+    }
+
+    this.stats.entriesProcessed++;
+    const before = this.stats.redactions;
+    const redacted = this.redactValue(entry, [], 0, []);
+
+    if (this.stats.redactions > before) {
+      this.stats.entriesRedacted++;
+      return redacted;
+    }
+    return entry;
+  }
+
+  /**
+   * Apply pattern rules to a single string
+   * @param {string} value - String to redact
+   * @returns {string} Redacted string
+   */
+  redactString(value) {
+    if (!this.enabled || typeof value !== 'string' || value.length === 0) {
+      return value;
+    }
+
+    let result = value;
+    for (let i = 0; i < this.patterns.length; i++) {
+      const rule = this.patterns[i];
+      rule.regex.lastIndex = 0;
+      result = result.replace(rule.regex, (...args) => {
+        this.count(rule.name);
+        // Expand $n references against this match's groups
+        return rule.replacement.replace(/\$(\d)/g, (ref, group) => args[Number(group)] || '');
+      });
+    }
+    return result;
+  }
+
+  /**
+   * Get redaction statistics
+   * @returns {object} { entriesProcessed, entriesRedacted, redactions, byRule }
+   */
+  getStats() {
+    return {
+      enabled: this.enabled,
+      ...this.stats,
+      byRule: { ...this.stats.byRule }
+    };
+  }
+
+  /**
+   * Reset redaction statistics
+   */
+  resetStats() {
+    this.stats = {
+      entriesProcessed: 0,
+      entriesRedacted: 0,
+      redactions: 0,
+      byRule: {}
+    };
+  }
+
+  /**
+   * Recursively redact a value
+   * @param {*} value - Value to redact
+   * @param {Array<string>} path - Path of the value within the entry
+   * @param {number} depth - Nesting depth
+   * @param {Array<object>} seen - Objects on the current path, to stop at cycles
+   * @returns {*} Redacted value
+   */
+  redactValue(value, path, depth, seen) {
+    if (typeof value === 'string') {
+      return this.redactString(value);
+    }
+    if (!value || typeof value !== 'object' || depth >= MAX_DEPTH || seen.indexOf(value) !== -1) {
+      return value;
+    }
+
+    seen.push(value);
+    const isArray = Array.isArray(value);
+    const result = isArray ? [] : {};
+
+    const keys = Object.keys(value);
+    for (let i = 0; i < keys.length; i++) {
+      const key = keys[i];
+      const child = value[key];
+      const childPath = path.concat(key);
+
+      if (child !== null && child !== undefined && child !== '' && child !== this.replacement) {
+        if (!isArray && this.matchesKey(key)) {
+          this.count('key');
+          result[key] = this.replacement;
+          continue;
+        }
+        if (this.matchesPath(childPath)) {
+          this.count('path');
+          result[key] = this.replacement;
+          continue;
+        }
+      }
+
+      result[key] = this.redactValue(child, childPath, depth + 1, seen);
+    }
+
+    seen.pop();
+    return result;
+  }
+
+  /**
+   * Check an object key against the key rules
+   * `DB_PASSWORD`, `x-api-key` and `accessToken` match `password`, `apiKey` and `token`
+   * @param {string} key - Object key
+   * @returns {boolean} True if the key's value must be redacted
+   */
+  matchesKey(key) {
+    const normalized = this.normalizeKey(key);
+    for (let i = 0; i < this.keys.length; i++) {
+      const rule = this.keys[i];
+      if (normalized.length >= rule.length && normalized.lastIndexOf(rule) === normalized.length - rule.length) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Check a path against the path rules
+   * @param {Array<string>} path - Path segments
+   * @returns {boolean} True if the value at path must be redacted
+   */
+  matchesPath(path) {
+    for (let i = 0; i < this.paths.length; i++) {
+      const rule = this.paths[i];
+      if (rule.length !== path.length) {
+        continue;
+      }
+
+      let matched = true;
+      for (let j = 0; j < rule.length && matched; j++) {
+        matched = rule[j].test(path[j]);
+      }
+      if (matched) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Lowercase a key and drop separators
+   */
+  normalizeKey(key) {
+    return String(key).toLowerCase().replace(/[^a-z0-9]/g, '');
+  }
+
+  /**
+   * Compile a dot path into one RegExp per segment
+   */
+  compilePath(path) {
+    return String(path).split('.').map(segment => {
+      const escaped = segment.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+      return new RegExp(`^${escaped}$`, 'i');
+    });
+  }
+
+  /**
+   * Compile pattern rules, skipping invalid ones
+   */
+  compilePatterns(patterns) {
+    const compiled = [];
+
+    patterns.forEach((rule, index) => {
+      try {
+        const flags = (rule.flags || '').replace(/g/g, '') + 'g';
+        compiled.push({
+          name: rule.name || `pattern-${index}`,
+          regex: new RegExp(rule.pattern, flags),
+          replacement: rule.replacement !== undefined ? rule.replacement : this.replacement
+        });
+      } catch (error) {
+        console.warn(`Redactor: Ignoring invalid pattern '${rule.name || index}': ${error.message}`);
+      }
+    });
+
+    return compiled;
+  }
+
+  /**
+   * Count a redaction
+   */
+  count(rule) {
+    this.stats.redactions++;
+    this.stats.byRule[rule] = (this.stats.byRule[rule] || 0) + 1;
+  }
+}
+
+Redactor.DEFAULT_CONFIG = DEFAULT_REDACTION_CONFIG;
+
+// Export for browser environments
+if (typeof window !== 'undefined') {
+  window.Redactor = Redactor;
+}
+})();
+
+// === trace-context.js ===
+(function() {
+/**
+ * Trace Context for TKR Browser Logging Client
+ * W3C traceparent/tracestate parsing and generation, and the current span
+ * that log entries and captured requests are attributed to
+ */
+
+const TRACEPARENT_PATTERN = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})(-.*)?$/;
+const INVALID_TRACE_ID = '00000000000000000000000000000000';
+const INVALID_SPAN_ID = '0000000000000000';
+const MAX_TRACESTATE_MEMBERS = 32;
+
+class TraceContext {
+  /**
+   * The page span continues a server-rendered trace when a traceparent is given
+   * (or present as <meta name="traceparent">), otherwise it starts a new trace.
+   * @param {object} config - Trace configuration
+   * @param {string} config.traceparent - Incoming traceparent header value
+   * @param {string} config.tracestate - Incoming tracestate header value
+   */
+  constructor(config = {}) {
+    const traceparent = config.traceparent || this.getMetaContent('traceparent');
+    const tracestate = config.tracestate || this.getMetaContent('tracestate');
+    const incoming = this.parseTraceparent(traceparent);
+
+    this.rootSpan = {
+      name: 'page',
+      traceId: incoming ? incoming.traceId : this.generateHex(32, INVALID_TRACE_ID),
+      spanId: this.generateHex(16, INVALID_SPAN_ID),
+      parentSpanId: incoming ? incoming.parentSpanId : null,
+      sampled: incoming ? incoming.sampled : true,
+      traceState: incoming ? this.formatTracestate(this.parseTracestate(tracestate)) || null : null,
+      startTime: Date.now()
+    };
+    this.currentSpan = this.rootSpan;
+  }
+
+  /**
+   * Get the span log entries are currently attributed to
+   * @returns {object} Current span
+   */
+  getCurrentSpan() {
+    return this.currentSpan;
+  }
+
+  /**
+   * Create a child span
+   * @param {string} name - Span name
+   * @param {object} parent - Parent span (defaults to the current span)
+   * @returns {object} { name, traceId, spanId, parentSpanId, sampled, traceState, startTime }
+   */
+  startSpan(name, parent = this.currentSpan) {
+    return {
+      name: name || 'span',
+      traceId: parent.traceId,
+      spanId: this.generateHex(16, INVALID_SPAN_ID),
+      parentSpanId: parent.spanId,
+      sampled: parent.sampled,
+      traceState: parent.traceState,
+      startTime: Date.now()
+    };
+  }
+
+  /**
+   * Run a function with a span as the current span.
+   * Browsers have no async context, so the span is only current for the
+   * synchronous part of fn - requests started there are still attributed to
+   * it, but later async logs should pass the span explicitly.
+   * @param {object|string} span - Span, or a name to start a child span with
+   * @param {function} fn - Function to run
+   * @returns {*} Result of fn
+   */
+  withSpan(span, fn) {
+    const previous = this.currentSpan;
+    this.currentSpan = typeof span === 'string' ? this.startSpan(span) : span;
+
+    try {
+      return fn(this.currentSpan);
+    } finally {
+      this.currentSpan = previous;
+    }
+  }
+
+  /**
+   * Get the trace fields recorded on log entries
+   * @param {object} span - Span (defaults to the current span)
+   * @returns {object} { traceId, spanId, parentSpanId, traceState }
+   */
+  toLogContext(span = this.currentSpan) {
+    return {
+      traceId: span.traceId,
+      spanId: span.spanId,
+      parentSpanId: span.parentSpanId || undefined,
+      traceState: span.traceState || undefined
+    };
+  }
+
+  /**
+   * Get headers that propagate a span to an outgoing request
+   * @param {object} span - Span (defaults to the current span)
+   * @returns {object} { traceparent, tracestate? }
+   */
+  getTraceHeaders(span = this.currentSpan) {
+    const headers = { traceparent: this.formatTraceparent(span) };
+    if (span.traceState) {
+      headers.tracestate = span.traceState;
+    }
+    return headers;
+  }
+
+  /**
+   * Parse a traceparent header
+   * @param {string} header - Header value
+   * @returns {object|null} { version, traceId, parentSpanId, sampled } or null if invalid
+   */
+  parseTraceparent(header) {
+    if (!header || typeof header !== 'string') {
+      return null;
+    }
+
+    const match = TRACEPARENT_PATTERN.exec(header.trim().toLowerCase());
+    if (!match) {
+      return null;
+    }
+
+    const version = match[1];
+    if (version === 'ff' || (version === '00' && match[5])) {
+      return null;
+    }
+    if (match[2] === INVALID_TRACE_ID || match[3] === INVALID_SPAN_ID) {
+      return null;
+    }
+
+    return {
+      version,
+      traceId: match[2],
+      parentSpanId: match[3],
+      sampled: (parseInt(match[4], 16) & 0x01) === 0x01
+    };
+  }
+
+  /**
+   * Format a traceparent header for a span
+   * @param {object} span - Span
+   * @returns {string} Header value
+   */
+  formatTraceparent(span) {
+    return `00-${span.traceId}-${span.spanId}-${span.sampled === false ? '00' : '01'}`;
+  }
+
+  /**
+   * Parse a tracestate header into [key, value] list members, dropping invalid ones
+   * @param {string} header - Header value
+   * @returns {Array<Array<string>>} List members
+   */
+  parseTracestate(header) {
+    if (!header || typeof header !== 'string') {
+      return [];
+    }
+
+    const members = [];
+    const seen = {};
+
+    header.split(',').forEach(member => {
+      const separator = member.indexOf('=');
+      if (separator <= 0 || members.length >= MAX_TRACESTATE_MEMBERS) {
+        return;
+      }
+
+      const key = member.slice(0, separator).trim();
+      const value = member.slice(separator + 1).trim();
+      if (key && value && !seen[key]) {
+        seen[key] = true;
+        members.push([key, value]);
+      }
+    });
+
+    return members;
+  }
+
+  /**
+   * Format tracestate list members as a header value
+   * @param {Array<Array<string>>} members - List members
+   * @returns {string} Header value
+   */
+  formatTracestate(members) {
+    return members
+      .slice(0, MAX_TRACESTATE_MEMBERS)
+      .map(member => `${member[0]}=${member[1]}`)
+      .join(',');
+  }
+
+  /**
+   * Read a <meta> tag rendered by the server
+   * @param {string} name - Meta name
+   * @returns {string|null} Content
+   */
+  getMetaContent(name) {
+    if (typeof document === 'undefined') {
+      return null;
+    }
+    const meta = document.querySelector(`meta[name="${name}"]`);
+    return meta ? meta.getAttribute('content') : null;
+  }
+
+  /**
+   * Generate a random lowercase hex ID
+   * @param {number} length - Number of hex characters
+   * @param {string} invalid - All-zero value that must not be returned
+   * @returns {string} Hex string
+   */
+  generateHex(length, invalid) {
+    const bytes = new Uint8Array(length / 2);
+    let hex;
+
+    do {
+      if (window.crypto && window.crypto.getRandomValues) {
+        window.crypto.getRandomValues(bytes);
+      } else {
+        for (let i = 0; i < bytes.length; i++) {
+          bytes[i] = Math.floor(Math.random() * 256);
+        }
+      }
+      hex = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    } while (hex === invalid);
+
+    return hex;
+  }
+}
+
+// Export for browser environments
+if (typeof window !== 'undefined') {
+  window.TraceContext = TraceContext;
+}
+})();
+
+// === network-capture.js ===
+(function() {
+/**
+ * Network Capture for TKR Browser Logging Client
+ * Wraps fetch and XMLHttpRequest to record request activity, and propagates
+ * a W3C traceparent header so server-side logs can be correlated
+ */
+
+class NetworkCapture {
+  /**
+   * @param {object} config - Capture configuration
+   * @param {Array<string>} config.excludeUrls - URL prefixes never captured (e.g. the logging endpoint)
+   * @param {Array<string>} config.redactQueryParams - Query parameter names whose values are redacted
+   * @param {Array<string>} config.redactHeaders - Header names whose values are redacted
+   * @param {Array<string|RegExp>} config.traceOrigins - Cross-origin targets that may receive traceparent
+   * @param {function} config.onRequest - Called with a record for every completed request
+   * @param {TraceContext} config.traceContext - Trace context whose current span parents request spans
+   * @param {function} config.isActive - Returns false when capture should pass through untouched
+   * @param {function} config.onOverhead - Called with the synchronous overhead of each wrapper in ms
+   */
+  constructor(config = {}) {
+    this.excludeUrls = (config.excludeUrls || []).filter(Boolean);
+    this.redactQueryParams = (config.redactQueryParams || []).map(name => name.toLowerCase());
+    this.redactHeaders = (config.redactHeaders || []).map(name => name.toLowerCase());
+    this.traceOrigins = config.traceOrigins || [];
+    this.onRequest = config.onRequest || (() => {});
+    this.traceContext = config.traceContext || null;
+    this.traceId = this.generateHex(32); // Page-level trace, used without a traceContext
+    this.isActive = config.isActive || (() => true);
+    this.onOverhead = config.onOverhead || (() => {});
+
+    this.originalFetch = null;
+    this.originalXHR = null;
+    this.installed = false;
+  }
+
+  /**
+   * Wrap fetch and XMLHttpRequest
+   */
+  install() {
+    if (this.installed) {
+      return;
+    }
+
+    if (typeof window.fetch === 'function') {
+      this.wrapFetch();
+    }
+
+    if (typeof window.XMLHttpRequest === 'function') {
+      this.wrapXHR();
+    }
+
+    this.installed = true;
+  }
+
+  /**
+   * Restore the original fetch and XMLHttpRequest methods
+   */
+  uninstall() {
+    if (!this.installed) {
+      return;
+    }
+
+    if (this.originalFetch) {
+      window.fetch = this.originalFetch;
+    }
+
+    if (this.originalXHR) {
+      const proto = window.XMLHttpRequest.prototype;
+      proto.open = this.originalXHR.open;
+      proto.send = this.originalXHR.send;
+      proto.setRequestHeader = this.originalXHR.setRequestHeader;
+    }
+
+    this.installed = false;
+  }
+
+  /**
+   * Wrap window.fetch
+   */
+  wrapFetch() {
+    const capture = this;
+    const originalFetch = window.fetch;
+    this.originalFetch = originalFetch;
+
+    window.fetch = function(input, init) {
+      const overheadStart = performance.now();
+      const url = capture.getRequestUrl(input);
+
+      if (!capture.isActive() || capture.isExcluded(url)) {
+        return originalFetch.apply(this, arguments);
+      }
+
+      const request = typeof Request !== 'undefined' && input instanceof Request ? input : null;
+      const method = ((init && init.method) || (request && request.method) || 'GET').toUpperCase();
+      const headers = new Headers((init && init.headers) || (request && request.headers) || undefined);
+      const trace = capture.shouldPropagate(url) ? capture.createTraceContext() : null;
+      let args = arguments;
+
+      if (trace && !headers.has('traceparent')) {
+        headers.set('traceparent', trace.traceparent);
+        if (trace.tracestate && !headers.has('tracestate')) {
+          headers.set('tracestate', trace.tracestate);
+        }
+        args = [input, { ...init, headers }];
+      }
+
+      const record = {
+        type: 'fetch',
+        method,
+        url,
+        requestHeaders: capture.headersToObject(headers),
+        trace,
+        startTime: performance.now()
+      };
+
+      capture.onOverhead(performance.now() - overheadStart);
+
+      return originalFetch.apply(this, args).then(response => {
+        capture.complete(record, {
+          status: response.status,
+          statusText: response.statusText,
+          responseHeaders: capture.headersToObject(response.headers),
+          responseSize: capture.getResponseSize(response.headers.get('content-length'), url)
+        });
+        return response;
+      }, error => {
+        capture.complete(record, { error: error && error.message ? error.message : String(error) });
+        throw error;
+      });
+    };
+  }
+
+  /**
+   * Wrap XMLHttpRequest.prototype.open/send/setRequestHeader
+   */
+  wrapXHR() {
+    const capture = this;
+    const proto = window.XMLHttpRequest.prototype;
+    this.originalXHR = {
+      open: proto.open,
+      send: proto.send,
+      setRequestHeader: proto.setRequestHeader
+    };
+    const original = this.originalXHR;
+
+    proto.open = function(method, url) {
+      this.__tkrNetwork = {
+        type: 'xhr',
+        method: String(method || 'GET').toUpperCase(),
+        url: capture.resolveUrl(String(url)),
+        requestHeaders: {}
+      };
+      return original.open.apply(this, arguments);
+    };
+
+    proto.setRequestHeader = function(name, value) {
+      if (this.__tkrNetwork) {
+        this.__tkrNetwork.requestHeaders[String(name).toLowerCase()] = String(value);
+      }
+      return original.setRequestHeader.apply(this, arguments);
+    };
+
+    proto.send = function() {
+      const record = this.__tkrNetwork;
+      const overheadStart = performance.now();
+
+      if (!record || !capture.isActive() || capture.isExcluded(record.url)) {
+        return original.send.apply(this, arguments);
+      }
+
+      record.trace = capture.shouldPropagate(record.url) ? capture.createTraceContext() : null;
+      if (record.trace && !record.requestHeaders.traceparent) {
+        original.setRequestHeader.call(this, 'traceparent', record.trace.traceparent);
+        record.requestHeaders.traceparent = record.trace.traceparent;
+        if (record.trace.tracestate && !record.requestHeaders.tracestate) {
+          original.setRequestHeader.call(this, 'tracestate', record.trace.tracestate);
+          record.requestHeaders.tracestate = record.trace.tracestate;
+        }
+      }
+
+      record.startTime = performance.now();
+
+      this.addEventListener('loadend', () => {
+        const failed = this.status === 0;
+        capture.complete(record, failed ? { error: 'Network request failed' } : {
+          status: this.status,
+          statusText: this.statusText,
+          responseHeaders: capture.parseResponseHeaders(this.getAllResponseHeaders()),
+          responseSize: capture.getResponseSize(this.getResponseHeader('content-length'), record.url, this)
+        });
+      });
+
+      capture.onOverhead(performance.now() - overheadStart);
+      return original.send.apply(this, arguments);
+    };
+  }
+
+  /**
+   * Finish a request record and hand it to onRequest
+   * @param {object} record - In-flight request record
+   * @param {object} result - status/statusText/responseHeaders/responseSize or error
+   */
+  complete(record, result) {
+    const overheadStart = performance.now();
+
+    try {
+      this.onRequest({
+        type: record.type,
+        method: record.method,
+        url: this.redactUrl(record.url),
+        duration: Math.round((performance.now() - record.startTime) * 100) / 100,
+        requestHeaders: this.redactHeaderValues(record.requestHeaders),
+        responseHeaders: result.responseHeaders ? this.redactHeaderValues(result.responseHeaders) : undefined,
+        status: result.status,
+        statusText: result.statusText,
+        responseSize: result.responseSize,
+        error: result.error,
+        traceparent: record.trace ? record.trace.traceparent : undefined,
+        traceId: record.trace ? record.trace.traceId : undefined,
+        spanId: record.trace ? record.trace.spanId : undefined,
+        parentSpanId: record.trace ? record.trace.parentSpanId : undefined
+      });
+    } catch (error) {
+      // Never let logging break the application's request
+    }
+
+    this.onOverhead(performance.now() - overheadStart);
+  }
+
+  /**
+   * Get the absolute URL of a fetch input
+   * @param {string|Request|URL} input - fetch input
+   * @returns {string} Absolute URL
+   */
+  getRequestUrl(input) {
+    if (typeof Request !== 'undefined' && input instanceof Request) {
+      return input.url;
+    }
+    return this.resolveUrl(String(input));
+  }
+
+  /**
+   * Resolve a possibly relative URL against the page
+   * @param {string} url - URL
+   * @returns {string} Absolute URL
+   */
+  resolveUrl(url) {
+    try {
+      return new URL(url, window.location.href).href;
+    } catch (error) {
+      return url;
+    }
+  }
+
+  /**
+   * Check if a URL must not be captured (e.g. the logging endpoint itself)
+   * @param {string} url - Absolute URL
+   * @returns {boolean}
+   */
+  isExcluded(url) {
+    return this.excludeUrls.some(excluded => url.indexOf(excluded) === 0);
+  }
+
+  /**
+   * Check if a traceparent header may be added to a request.
+   * Only same-origin requests and configured origins get one, since a custom
+   * header turns other cross-origin requests into preflighted ones.
+   * @param {string} url - Absolute URL
+   * @returns {boolean}
+   */
+  shouldPropagate(url) {
+    try {
+      const origin = new URL(url).origin;
+      return origin === window.location.origin || this.traceOrigins.some(allowed =>
+        allowed instanceof RegExp ? allowed.test(url) : origin === allowed || url.indexOf(allowed) === 0
+      );
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Create a W3C trace context for an outgoing request.
+   * With a traceContext the request gets a child span of the current span,
+   * so server-side logs for it nest under the code that made the request.
+   * @returns {object} { traceId, spanId, parentSpanId, traceparent, tracestate }
+   */
+  createTraceContext() {
+    if (this.traceContext) {
+      const span = this.traceContext.startSpan('http');
+      const headers = this.traceContext.getTraceHeaders(span);
+      return {
+        traceId: span.traceId,
+        spanId: span.spanId,
+        parentSpanId: span.parentSpanId,
+        traceparent: headers.traceparent,
+        tracestate: headers.tracestate
+      };
+    }
+
+    const traceId = this.traceId;
+    const spanId = this.generateHex(16);
+    return {
+      traceId,
+      spanId,
+      traceparent: `00-${traceId}-${spanId}-01`
+    };
+  }
+
+  /**
+   * Generate a random lowercase hex string (never all zeros)
+   * @param {number} length - Number of hex characters
+   * @returns {string} Hex string
+   */
+  generateHex(length) {
+    const bytes = new Uint8Array(length / 2);
+    if (window.crypto && window.crypto.getRandomValues) {
+      window.crypto.getRandomValues(bytes);
+    } else {
+      for (let i = 0; i < bytes.length; i++) {
+        bytes[i] = Math.floor(Math.random() * 256);
+      }
+    }
+    bytes[bytes.length - 1] |= 1;
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  /**
+   * Replace the values of redacted query parameters
+   * @param {string} url - Absolute URL
+   * @returns {string} URL safe to log
+   */
+  redactUrl(url) {
+    if (this.redactQueryParams.length === 0) {
+      return url;
+    }
+
+    try {
+      const parsed = new URL(url);
+      let changed = false;
+      Array.from(parsed.searchParams.keys()).forEach(name => {
+        if (this.redactQueryParams.indexOf(name.toLowerCase()) !== -1) {
+          parsed.searchParams.set(name, '[REDACTED]');
+          changed = true;
+        }
+      });
+      return changed ? parsed.href : url;
+    } catch (error) {
+      return url;
+    }
+  }
+
+  /**
+   * Replace the values of redacted headers
+   * @param {object} headers - Header name/value map
+   * @returns {object} Headers safe to log
+   */
+  redactHeaderValues(headers) {
+    const result = {};
+    Object.keys(headers || {}).forEach(name => {
+      result[name] = this.redactHeaders.indexOf(name.toLowerCase()) !== -1 ? '[REDACTED]' : headers[name];
+    });
+    return result;
+  }
+
+  /**
+   * Convert a Headers instance to a plain object with lower-case names
+   * @param {Headers} headers - Headers
+   * @returns {object}
+   */
+  headersToObject(headers) {
+    const result = {};
+    if (headers && typeof headers.forEach === 'function') {
+      headers.forEach((value, name) => {
+        result[name.toLowerCase()] = value;
+      });
+    }
+    return result;
+  }
+
+  /**
+   * Parse XMLHttpRequest.getAllResponseHeaders() output
+   * @param {string} raw - Raw header block
+   * @returns {object}
+   */
+  parseResponseHeaders(raw) {
+    const result = {};
+    (raw || '').trim().split(/[\r\n]+/).forEach(line => {
+      const index = line.indexOf(':');
+      if (index > 0) {
+        result[line.slice(0, index).trim().toLowerCase()] = line.slice(index + 1).trim();
+      }
+    });
+    return result;
+  }
+
+  /**
+   * Determine the response size in bytes
+   * Uses Content-Length, then Resource Timing, then the XHR response text.
+   * @param {string|null} contentLength - Content-Length header value
+   * @param {string} url - Request URL
+   * @param {XMLHttpRequest} xhr - XHR instance, if any
+   * @returns {number|null} Size in bytes, or null if unknown
+   */
+  getResponseSize(contentLength, url, xhr) {
+    const length = parseInt(contentLength, 10);
+    if (!isNaN(length)) {
+      return length;
+    }
+
+    if (typeof performance.getEntriesByName === 'function') {
+      const entries = performance.getEntriesByName(url, 'resource');
+      const entry = entries[entries.length - 1];
+      if (entry && entry.encodedBodySize) {
+        return entry.encodedBodySize;
+      }
+    }
+
+    if (xhr && (xhr.responseType === '' || xhr.responseType === 'text') && typeof xhr.responseText === 'string') {
+      return xhr.responseText.length;
+    }
+
+    return null;
+  }
+}
+
+// Export for browser environments
+if (typeof window !== 'undefined') {
+  window.NetworkCapture = NetworkCapture;
+}
+})();
+
+// === web-vitals.js ===
+(function() {
+/**
+ * Web Vitals Capture for TKR Browser Logging Client
+ * Records Core Web Vitals (LCP, CLS, INP), FCP, TTFB, long tasks and slow
+ * resource timings with PerformanceObserver, attributed to the current route
+ */
+
+// [good, poor] boundaries from https://web.dev/articles/vitals
+const VITAL_THRESHOLDS = {
+  LCP: [2500, 4000],
+  FCP: [1800, 3000],
+  CLS: [0.1, 0.25],
+  INP: [200, 500],
+  TTFB: [800, 1800]
+};
+
+class WebVitalsCapture {
+  /**
+   * @param {object} config - Capture configuration
+   * @param {function} config.onMetric - Called with every measured metric
+   * @param {function} config.getRoute - Returns the route metrics are grouped by (defaults to location.pathname)
+   * @param {number} config.longTaskThreshold - Minimum long task duration reported, in ms
+   * @param {number} config.resourceThreshold - Minimum resource duration reported, in ms (0 disables)
+   * @param {Array<string>} config.excludeUrls - Resource URL prefixes never reported (e.g. the logging endpoint)
+   * @param {function} config.isActive - Returns false when metrics should be dropped
+   * @param {function} config.onOverhead - Called with the synchronous overhead of each observer callback in ms
+   */
+  constructor(config = {}) {
+    this.onMetric = config.onMetric || (() => {});
+    this.getRoute = config.getRoute || (() => window.location.pathname);
+    this.longTaskThreshold = config.longTaskThreshold || 50;
+    this.resourceThreshold = config.resourceThreshold !== undefined ? config.resourceThreshold : 1000;
+    this.excludeUrls = (config.excludeUrls || []).filter(Boolean);
+    this.isActive = config.isActive || (() => true);
+    this.onOverhead = config.onOverhead || (() => {});
+
+    this.observers = [];
+    this.listeners = [];
+    this.originalHistory = null;
+    this.historyWrappers = null;
+    this.installed = false;
+
+    this.route = null;
+    this.initialRoute = null; // Route of the page load, which TTFB belongs to
+    this.navigationType = null;
+    this.lcp = null; // Largest contentful paint of the initial page load
+    this.lcpFinal = false;
+    this.resetRouteState();
+  }
+
+  /**
+   * Start observing. Does nothing in browsers without PerformanceObserver.
+   */
+  install() {
+    if (this.installed || typeof PerformanceObserver === 'undefined') {
+      return;
+    }
+
+    this.route = this.getRoute();
+    this.initialRoute = this.route;
+    this.navigationType = this.getNavigationType();
+
+    this.observe('paint', entries => this.handlePaint(entries));
+    this.observe('largest-contentful-paint', entries => this.handleLCP(entries));
+    this.observe('layout-shift', entries => this.handleLayoutShift(entries));
+    this.observe('event', entries => this.handleInteractions(entries), { durationThreshold: 40 });
+    this.observe('first-input', entries => this.handleInteractions(entries));
+    this.observe('longtask', entries => this.handleLongTasks(entries));
+    if (this.resourceThreshold > 0) {
+      this.observe('resource', entries => this.handleResources(entries));
+    }
+
+    if (document.readyState === 'complete') {
+      this.reportTTFB();
+    } else {
+      this.listen(window, 'load', () => setTimeout(() => this.reportTTFB(), 0));
+    }
+
+    // LCP stops updating after the first input
+    const finalizeLCP = () => this.finalizeLCP();
+    this.listen(window, 'keydown', finalizeLCP, { capture: true, once: true });
+    this.listen(window, 'pointerdown', finalizeLCP, { capture: true, once: true });
+
+    // Report accumulated values before the page can be discarded. Capture
+    // phase on window runs before BatchSender's unload flush on document.
+    this.listen(window, 'visibilitychange', () => {
+      if (document.visibilityState === 'hidden') {
+        this.reportPending();
+      }
+    }, { capture: true });
+    this.listen(window, 'pagehide', () => this.reportPending(), { capture: true });
+
+    this.wrapHistory();
+    this.installed = true;
+  }
+
+  /**
+   * Stop observing and restore history methods
+   */
+  uninstall() {
+    if (!this.installed) {
+      return;
+    }
+
+    this.observers.forEach(observer => observer.disconnect());
+    this.listeners.forEach(({ target, type, handler, options }) => {
+      target.removeEventListener(type, handler, options);
+    });
+
+    // Only restore if nothing else has wrapped history since
+    if (this.originalHistory) {
+      if (history.pushState === this.historyWrappers.pushState) {
+        history.pushState = this.originalHistory.pushState;
+      }
+      if (history.replaceState === this.historyWrappers.replaceState) {
+        history.replaceState = this.originalHistory.replaceState;
+      }
+    }
+
+    this.observers = [];
+    this.listeners = [];
+    this.originalHistory = null;
+    this.historyWrappers = null;
+    this.installed = false;
+  }
+
+  /**
+   * Observe a performance entry type if the browser supports it
+   * @param {string} type - Entry type
+   * @param {function} callback - Called with the observed entries
+   * @param {object} options - Extra observe() options
+   */
+  observe(type, callback, options = {}) {
+    const supported = PerformanceObserver.supportedEntryTypes || [];
+    if (supported.indexOf(type) === -1) {
+      return;
+    }
+
+    try {
+      const observer = new PerformanceObserver(list => {
+        const overheadStart = performance.now();
+        try {
+          callback(list.getEntries());
+        } catch (error) {
+          // Never let measurement break the page
+        }
+        this.onOverhead(performance.now() - overheadStart);
+      });
+      observer.observe({ type, buffered: true, ...options });
+      this.observers.push(observer);
+    } catch (error) {
+      // Entry type listed but not observable (e.g. options unsupported)
+    }
+  }
+
+  /**
+   * Add an event listener that uninstall() removes again
+   */
+  listen(target, type, handler, options) {
+    target.addEventListener(type, handler, options);
+    this.listeners.push({ target, type, handler, options });
+  }
+
+  /**
+   * Wrap history.pushState/replaceState to detect client-side route changes
+   */
+  wrapHistory() {
+    const capture = this;
+    const pushState = history.pushState;
+    const replaceState = history.replaceState;
+    this.originalHistory = { pushState, replaceState };
+
+    this.historyWrappers = {
+      pushState: function() {
+        const result = pushState.apply(this, arguments);
+        capture.checkRouteChange();
+        return result;
+      },
+      replaceState: function() {
+        const result = replaceState.apply(this, arguments);
+        capture.checkRouteChange();
+        return result;
+      }
+    };
+
+    history.pushState = this.historyWrappers.pushState;
+    history.replaceState = this.historyWrappers.replaceState;
+
+    this.listen(window, 'popstate', () => this.checkRouteChange());
+  }
+
+  /**
+   * Close the previous route's CLS/INP window when the route changes
+   */
+  checkRouteChange() {
+    const route = this.getRoute();
+    if (route === this.route) {
+      return;
+    }
+
+    this.finalizeLCP();
+    this.reportPending();
+    this.route = route;
+    this.navigationType = 'soft-navigation';
+    this.resetRouteState();
+  }
+
+  /**
+   * Reset the per-route accumulators for CLS and INP
+   */
+  resetRouteState() {
+    this.cls = { value: 0, sessionValue: 0, sessionEntries: [], largestSource: null };
+    this.interactions = new Map(); // interactionId -> { duration, target, type }
+    this.interactionCount = 0;
+    this.lastReported = {};
+  }
+
+  /**
+   * FCP from paint entries
+   */
+  handlePaint(entries) {
+    entries.forEach(entry => {
+      if (entry.name === 'first-contentful-paint' && this.navigationType !== 'soft-navigation') {
+        this.report('FCP', entry.startTime - this.getActivationStart());
+      }
+    });
+  }
+
+  /**
+   * LCP candidates - the last one before input or page hide is final
+   */
+  handleLCP(entries) {
+    if (this.lcpFinal) {
+      return;
+    }
+
+    const entry = entries[entries.length - 1];
+    if (entry) {
+      this.lcp = {
+        value: Math.max(entry.startTime - this.getActivationStart(), 0),
+        route: this.route,
+        attribution: {
+          element: this.describeElement(entry.element),
+          url: entry.url ? this.stripQuery(entry.url) : undefined,
+          size: entry.size
+        }
+      };
+    }
+  }
+
+  /**
+   * Report the LCP candidate and stop updating it
+   */
+  finalizeLCP() {
+    if (this.lcpFinal) {
+      return;
+    }
+    this.lcpFinal = true;
+
+    if (this.lcp) {
+      this.report('LCP', this.lcp.value, this.lcp.attribution, this.lcp.route);
+    }
+  }
+
+  /**
+   * CLS with session windows (gap < 1s, window < 5s), ignoring shifts right after input
+   */
+  handleLayoutShift(entries) {
+    entries.forEach(entry => {
+      if (entry.hadRecentInput) {
+        return;
+      }
+
+      const session = this.cls.sessionEntries;
+      const first = session[0];
+      const last = session[session.length - 1];
+
+      if (last && entry.startTime - last.startTime < 1000 && entry.startTime - first.startTime < 5000) {
+        this.cls.sessionValue += entry.value;
+        session.push(entry);
+      } else {
+        this.cls.sessionValue = entry.value;
+        this.cls.sessionEntries = [entry];
+      }
+
+      if (this.cls.sessionValue > this.cls.value) {
+        this.cls.value = this.cls.sessionValue;
+        this.cls.largestSource = this.getLargestShiftSource(this.cls.sessionEntries);
+      }
+    });
+  }
+
+  /**
+   * Track the slowest interactions for INP
+   */
+  handleInteractions(entries) {
+    entries.forEach(entry => {
+      if (!entry.interactionId) {
+        return;
+      }
+
+      const existing = this.interactions.get(entry.interactionId);
+      if (!existing) {
+        this.interactionCount++;
+      }
+      if (!existing || entry.duration > existing.duration) {
+        this.interactions.set(entry.interactionId, {
+          duration: entry.duration,
+          type: entry.name,
+          target: this.describeElement(entry.target)
+        });
+      }
+    });
+
+    // Keep only the slowest interactions needed for the 98th percentile
+    const keep = Math.floor(this.interactionCount / 50) + 10;
+    if (this.interactions.size > keep) {
+      const sorted = Array.from(this.interactions.entries()).sort((a, b) => b[1].duration - a[1].duration);
+      this.interactions = new Map(sorted.slice(0, keep));
+    }
+  }
+
+  /**
+   * Report long tasks over the threshold individually
+   */
+  handleLongTasks(entries) {
+    entries.forEach(entry => {
+      if (entry.duration < this.longTaskThreshold) {
+        return;
+      }
+
+      const attribution = entry.attribution && entry.attribution[0];
+      this.emit({
+        name: 'long-task',
+        value: Math.round(entry.duration),
+        unit: 'ms',
+        rating: null,
+        attribution: {
+          startTime: Math.round(entry.startTime),
+          containerType: attribution ? attribution.containerType : undefined,
+          containerName: attribution ? attribution.containerName || undefined : undefined,
+          containerSrc: attribution ? attribution.containerSrc || undefined : undefined
+        }
+      });
+    });
+  }
+
+  /**
+   * Report resources slower than the threshold individually
+   */
+  handleResources(entries) {
+    entries.forEach(entry => {
+      if (entry.duration < this.resourceThreshold) {
+        return;
+      }
+      if (this.excludeUrls.some(excluded => entry.name.indexOf(excluded) === 0)) {
+        return;
+      }
+
+      this.emit({
+        name: 'resource',
+        value: Math.round(entry.duration),
+        unit: 'ms',
+        rating: null,
+        attribution: {
+          url: this.stripQuery(entry.name),
+          initiatorType: entry.initiatorType,
+          transferSize: entry.transferSize,
+          decodedBodySize: entry.decodedBodySize,
+          renderBlocking: entry.renderBlockingStatus
+        }
+      });
+    });
+  }
+
+  /**
+   * TTFB from the navigation entry
+   */
+  reportTTFB() {
+    const navigation = performance.getEntriesByType && performance.getEntriesByType('navigation')[0];
+    if (!navigation || navigation.responseStart <= 0) {
+      return;
+    }
+
+    this.report('TTFB', Math.max(navigation.responseStart - this.getActivationStart(), 0), {
+      dns: Math.round(navigation.domainLookupEnd - navigation.domainLookupStart),
+      connect: Math.round(navigation.connectEnd - navigation.connectStart),
+      request: Math.round(navigation.responseStart - navigation.requestStart)
+    }, this.initialRoute);
+  }
+
+  /**
+   * Report CLS and INP for the current route (and LCP if not yet reported)
+   */
+  reportPending() {
+    this.finalizeLCP();
+
+    if (this.cls.sessionEntries.length > 0 || this.cls.value > 0) {
+      this.reportChanged('CLS', this.cls.value, { largestShiftTarget: this.cls.largestSource });
+    }
+
+    const inp = this.estimateINP();
+    if (inp) {
+      this.reportChanged('INP', inp.duration, {
+        interactionType: inp.type,
+        interactionTarget: inp.target,
+        interactionCount: this.interactionCount
+      });
+    }
+  }
+
+  /**
+   * Report a cumulative metric only if it changed since it was last reported
+   */
+  reportChanged(name, value, attribution) {
+    if (this.lastReported[name] === value) {
+      return;
+    }
+    this.lastReported[name] = value;
+    this.report(name, value, attribution);
+  }
+
+  /**
+   * INP: the worst interaction, ignoring one outlier per 50 interactions
+   * @returns {object|null} Interaction { duration, type, target }
+   */
+  estimateINP() {
+    if (this.interactions.size === 0) {
+      return null;
+    }
+
+    const sorted = Array.from(this.interactions.values()).sort((a, b) => b.duration - a.duration);
+    return sorted[Math.min(sorted.length - 1, Math.floor(this.interactionCount / 50))];
+  }
+
+  /**
+   * Report a web vital with its rating
+   */
+  report(name, value, attribution, route) {
+    const [good, poor] = VITAL_THRESHOLDS[name];
+    const rounded = name === 'CLS' ? Math.round(value * 1000) / 1000 : Math.round(value);
+
+    this.emit({
+      name,
+      value: rounded,
+      unit: name === 'CLS' ? 'score' : 'ms',
+      rating: rounded <= good ? 'good' : rounded <= poor ? 'needs-improvement' : 'poor',
+      attribution
+    }, route);
+  }
+
+  /**
+   * Hand a metric to onMetric with its route and navigation type
+   */
+  emit(metric, route) {
+    if (!this.isActive()) {
+      return;
+    }
+
+    try {
+      this.onMetric({
+        ...metric,
+        route: route || this.route,
+        navigationType: this.navigationType
+      });
+    } catch (error) {
+      // Never let logging break the page
+    }
+  }
+
+  /**
+   * Get the node that moved most within a CLS session window
+   */
+  getLargestShiftSource(entries) {
+    let largest = null;
+    entries.forEach(entry => {
+      (entry.sources || []).forEach(source => {
+        const area = source.currentRect ? source.currentRect.width * source.currentRect.height : 0;
+        if (source.node && (!largest || area > largest.area)) {
+          largest = { area, node: source.node };
+        }
+      });
+    });
+    return largest ? this.describeElement(largest.node) : undefined;
+  }
+
+  /**
+   * Navigation type of the page load (navigate, reload, back-forward, prerender)
+   */
+  getNavigationType() {
+    const navigation = performance.getEntriesByType && performance.getEntriesByType('navigation')[0];
+    if (document.prerendering || this.getActivationStart() > 0) {
+      return 'prerender';
+    }
+    return navigation ? navigation.type.replace(/_/g, '-') : 'navigate';
+  }
+
+  /**
+   * Time a prerendered page was activated (0 for normal loads)
+   */
+  getActivationStart() {
+    const navigation = performance.getEntriesByType && performance.getEntriesByType('navigation')[0];
+    return (navigation && navigation.activationStart) || 0;
+  }
+
+  /**
+   * Short CSS-like description of an element (tag#id.class), up to 3 levels
+   */
+  describeElement(element) {
+    if (!element || element.nodeType !== 1) {
+      return undefined;
+    }
+
+    const parts = [];
+    let node = element;
+    while (node && node.nodeType === 1 && parts.length < 3) {
+      let part = node.tagName.toLowerCase();
+      if (node.id) {
+        parts.unshift(`${part}#${node.id}`);
+        break;
+      }
+      const className = typeof node.className === 'string' ? node.className.trim().split(/\s+/)[0] : '';
+      if (className) {
+        part += `.${className}`;
+      }
+      parts.unshift(part);
+      node = node.parentElement;
+    }
+    return parts.join(' > ');
+  }
+
+  /**
+   * Drop the query string and hash, which may carry tokens
+   */
+  stripQuery(url) {
+    return String(url).split(/[?#]/)[0];
+  }
+}
+
+// Export for browser environments
+if (typeof window !== 'undefined') {
+  window.WebVitalsCapture = WebVitalsCapture;
+}
+})();
+
+// === breadcrumbs.js ===
+(function() {
+/**
+ * Breadcrumb Recorder for TKR Browser Logging Client
+ * Keeps a ring buffer of what the user did - route changes, clicks and form
+ * input - so error entries can show the steps leading up to the error
+ */
+
+const CLICKABLE_SELECTOR = 'a, button, [role="button"], [role="link"], [role="menuitem"], [role="tab"], input[type="submit"], input[type="button"]';
+const MAX_SELECTOR_DEPTH = 5;
+const MAX_LABEL_LENGTH = 40;
+
+class BreadcrumbRecorder {
+  /**
+   * @param {object} config - Recorder configuration
+   * @param {number} config.maxBreadcrumbs - Ring buffer size
+   * @param {boolean} config.captureNavigation - Record history and hash changes
+   * @param {boolean} config.captureClicks - Record clicks
+   * @param {boolean} config.captureInputs - Record form input changes (values are never recorded)
+   * @param {function} config.isActive - Returns false when events should be ignored
+   * @param {function} config.onOverhead - Called with the synchronous overhead of each event handler in ms
+   */
+  constructor(config = {}) {
+    this.maxBreadcrumbs = config.maxBreadcrumbs || 50;
+    this.captureNavigation = config.captureNavigation !== false;
+    this.captureClicks = config.captureClicks !== false;
+    this.captureInputs = config.captureInputs !== false;
+    this.isActive = config.isActive || (() => true);
+    this.onOverhead = config.onOverhead || (() => {});
+
+    this.breadcrumbs = [];
+    this.listeners = [];
+    this.historyWrappers = null;
+    this.originalHistory = null;
+    this.lastUrl = null;
+    this.installed = false;
+  }
+
+  /**
+   * Start recording
+   */
+  install() {
+    if (this.installed) {
+      return;
+    }
+
+    this.lastUrl = this.getRelativeUrl();
+
+    if (this.captureNavigation) {
+      this.add('navigation', { from: null, to: this.lastUrl, trigger: 'load' });
+      this.wrapHistory();
+      this.listen(window, 'popstate', () => this.recordNavigation('popstate'));
+      this.listen(window, 'hashchange', () => this.recordNavigation('hashchange'));
+    }
+
+    if (this.captureClicks) {
+      this.listen(document, 'click', (event) => this.measure(() => this.recordClick(event)), true);
+    }
+
+    if (this.captureInputs) {
+      // 'change' fires once per edit, not per keystroke
+      this.listen(document, 'change', (event) => this.measure(() => this.recordInput(event)), true);
+    }
+
+    this.installed = true;
+  }
+
+  /**
+   * Stop recording and restore history methods
+   */
+  uninstall() {
+    if (!this.installed) {
+      return;
+    }
+
+    this.listeners.forEach(({ target, type, handler, capture }) => {
+      target.removeEventListener(type, handler, capture);
+    });
+
+    // Only restore if nothing else has wrapped history since
+    if (this.originalHistory) {
+      if (history.pushState === this.historyWrappers.pushState) {
+        history.pushState = this.originalHistory.pushState;
+      }
+      if (history.replaceState === this.historyWrappers.replaceState) {
+        history.replaceState = this.originalHistory.replaceState;
+      }
+    }
+
+    this.listeners = [];
+    this.originalHistory = null;
+    this.historyWrappers = null;
+    this.installed = false;
+  }
+
+  /**
+   * Add a breadcrumb, dropping the oldest once the buffer is full
+   * @param {string} type - navigation, click, input or a custom type
+   * @param {object} data - Breadcrumb details
+   * @param {string} message - Optional human-readable summary
+   * @returns {object} The breadcrumb
+   */
+  add(type, data = {}, message) {
+    const breadcrumb = {
+      type,
+      timestamp: Date.now(),
+      message: message || this.describe(type, data),
+      data
+    };
+
+    this.breadcrumbs.push(breadcrumb);
+    if (this.breadcrumbs.length > this.maxBreadcrumbs) {
+      this.breadcrumbs.shift();
+    }
+    return breadcrumb;
+  }
+
+  /**
+   * Get the most recent breadcrumbs, oldest first
+   * @param {number} limit - Maximum number of breadcrumbs
+   * @returns {Array<object>} Breadcrumbs
+   */
+  getBreadcrumbs(limit = this.maxBreadcrumbs) {
+    return this.breadcrumbs.slice(-limit).map(breadcrumb => ({
+      ...breadcrumb,
+      data: { ...breadcrumb.data }
+    }));
+  }
+
+  /**
+   * Remove all breadcrumbs
+   */
+  clear() {
+    this.breadcrumbs = [];
+  }
+
+  /**
+   * Wrap history.pushState/replaceState - react-router's BrowserRouter navigates through them
+   */
+  wrapHistory() {
+    const recorder = this;
+    const pushState = history.pushState;
+    const replaceState = history.replaceState;
+    this.originalHistory = { pushState, replaceState };
+
+    this.historyWrappers = {
+      pushState: function() {
+        const result = pushState.apply(this, arguments);
+        recorder.recordNavigation('pushState');
+        return result;
+      },
+      replaceState: function() {
+        const result = replaceState.apply(this, arguments);
+        recorder.recordNavigation('replaceState');
+        return result;
+      }
+    };
+
+    history.pushState = this.historyWrappers.pushState;
+    history.replaceState = this.historyWrappers.replaceState;
+  }
+
+  /**
+   * Record a route change (ignoring state-only replaceState calls)
+   * @param {string} trigger - pushState, replaceState, popstate or hashchange
+   */
+  recordNavigation(trigger) {
+    const to = this.getRelativeUrl();
+    if (to === this.lastUrl || !this.isActive()) {
+      this.lastUrl = to;
+      return;
+    }
+
+    this.add('navigation', { from: this.lastUrl, to, trigger });
+    this.lastUrl = to;
+  }
+
+  /**
+   * Record a click on the nearest clickable element (or the target itself)
+   * @param {Event} event - Click event
+   */
+  recordClick(event) {
+    if (!this.isActive() || !event.target || event.target.nodeType !== 1) {
+      return;
+    }
+
+    const element = (event.target.closest && event.target.closest(CLICKABLE_SELECTOR)) || event.target;
+    const data = {
+      selector: this.getSelector(element),
+      tag: element.tagName.toLowerCase()
+    };
+
+    const label = this.getLabel(element);
+    if (label) {
+      data.label = label;
+    }
+    if (element.tagName === 'A' && element.getAttribute('href')) {
+      data.href = element.getAttribute('href').split(/[?#]/)[0];
+    }
+
+    this.add('click', data);
+  }
+
+  /**
+   * Record a form input change. The value itself is masked: only its length
+   * (or checked state) is recorded.
+   * @param {Event} event - Change event
+   */
+  recordInput(event) {
+    const element = event.target;
+    if (!this.isActive() || !element || !/^(INPUT|TEXTAREA|SELECT)$/.test(element.tagName)) {
+      return;
+    }
+
+    const inputType = element.tagName === 'INPUT' ? (element.type || 'text').toLowerCase() : element.tagName.toLowerCase();
+    const data = {
+      selector: this.getSelector(element),
+      inputType,
+      name: element.name || element.id || undefined
+    };
+
+    if (inputType === 'checkbox' || inputType === 'radio') {
+      data.checked = element.checked;
+    } else if (inputType === 'select') {
+      data.selectedIndex = element.selectedIndex;
+    } else {
+      data.value = '[MASKED]';
+      data.valueLength = typeof element.value === 'string' ? element.value.length : 0;
+    }
+
+    this.add('input', data);
+  }
+
+  /**
+   * Build a CSS selector path for an element, e.g. `main > form#login > button.btn-primary:nth-of-type(2)`
+   * Stops at the nearest ancestor with an id, or after 5 levels.
+   * @param {Element} element - Element
+   * @returns {string} Selector
+   */
+  getSelector(element) {
+    const parts = [];
+    let node = element;
+
+    while (node && node.nodeType === 1 && parts.length < MAX_SELECTOR_DEPTH) {
+      const tag = node.tagName.toLowerCase();
+      if (tag === 'html' || tag === 'body') {
+        break;
+      }
+
+      if (node.id) {
+        parts.unshift(`${tag}#${this.escapeIdentifier(node.id)}`);
+        break;
+      }
+
+      let part = tag;
+      const classes = typeof node.className === 'string' ? node.className.trim().split(/\s+/).filter(Boolean) : [];
+      if (classes.length > 0) {
+        part += classes.slice(0, 2).map(name => `.${this.escapeIdentifier(name)}`).join('');
+      }
+
+      const parent = node.parentElement;
+      if (parent) {
+        const siblings = Array.prototype.filter.call(parent.children, child => child.tagName === node.tagName);
+        if (siblings.length > 1) {
+          part += `:nth-of-type(${siblings.indexOf(node) + 1})`;
+        }
+      }
+
+      parts.unshift(part);
+      node = parent;
+    }
+
+    return parts.join(' > ');
+  }
+
+  /**
+   * Get a short label for a clickable element (aria-label, title or text)
+   * Text is only read from clickable elements, never from arbitrary containers.
+   */
+  getLabel(element) {
+    const label = element.getAttribute('aria-label') || element.getAttribute('title') ||
+      (element.matches && element.matches(CLICKABLE_SELECTOR) ? (element.textContent || element.value || '') : '');
+    const trimmed = String(label).replace(/\s+/g, ' ').trim();
+    return trimmed.length > MAX_LABEL_LENGTH ? `${trimmed.slice(0, MAX_LABEL_LENGTH)}…` : trimmed;
+  }
+
+  /**
+   * Human-readable summary of a breadcrumb
+   */
+  describe(type, data) {
+    switch (type) {
+      case 'navigation':
+        return data.from ? `Navigated to ${data.to}` : `Loaded ${data.to}`;
+      case 'click':
+        return `Clicked ${data.label ? `"${data.label}"` : data.selector}`;
+      case 'input':
+        return `Changed ${data.name || data.selector}`;
+      default:
+        return type;
+    }
+  }
+
+  /**
+   * Current path and hash - the query string is left out, since it may carry tokens
+   */
+  getRelativeUrl() {
+    return window.location.pathname + window.location.hash;
+  }
+
+  /**
+   * Escape an id or class name for use in a selector
+   */
+  escapeIdentifier(identifier) {
+    if (window.CSS && window.CSS.escape) {
+      return window.CSS.escape(identifier);
+    }
+    return String(identifier).replace(/([^a-zA-Z0-9_-])/g, '\\$1');
+  }
+
+  /**
+   * Run an event handler, reporting its overhead and swallowing its errors
+   */
+  measure(fn) {
+    const start = performance.now();
+    try {
+      fn();
+    } catch (error) {
+      // Never let recording break the page
+    }
+    this.onOverhead(performance.now() - start);
+  }
+
+  /**
+   * Add an event listener that uninstall() removes again
+   */
+  listen(target, type, handler, capture = false) {
+    target.addEventListener(type, handler, capture);
+    this.listeners.push({ target, type, handler, capture });
+  }
+}
+
+// Export for browser environments
+if (typeof window !== 'undefined') {
+  window.BreadcrumbRecorder = BreadcrumbRecorder;
+}
+})();
+
+// === tab-coordinator.js ===
+(function() {
+/**
+ * Tab Coordinator for TKR Browser Logging Client
+ * Elects one leader among the open tabs of an origin. Only the leader uploads;
+ * follower tabs forward their entries to it over a BroadcastChannel, so several
+ * open tabs share one batch queue, one flush timer and one upload stream.
+ *
+ * Leadership is a Web Lock where supported: the browser grants it to the next
+ * waiting tab as soon as the leader's tab closes or crashes. Without Web Locks
+ * tabs elect a leader over the channel, taking over once its heartbeats stop.
+ */
+
+class TabCoordinator {
+  /**
+   * @param {object} config - Coordinator configuration
+   * @param {string} config.tabId - ID of this tab
+   * @param {string} config.channelName - BroadcastChannel name
+   * @param {string} config.lockName - Web Lock held by the leader
+   * @param {number} config.heartbeatInterval - How often the leader announces itself, in ms
+   * @param {number} config.leaderTimeout - Silence after which the leader is considered gone, in ms
+   * @param {number} config.ackTimeout - Time the leader has to accept forwarded entries, in ms
+   * @param {number} config.maxPending - Forwarded entries awaiting acknowledgement before the oldest are uploaded locally
+   * @param {function} config.onEntries - Leader: called with entries forwarded by another tab
+   * @param {function} config.onFallback - Called with forwarded entries no leader accepted, to upload locally
+   *   (the second argument is true when the page is going away, so they must be sent at once)
+   * @param {function} config.onRoleChange - Called with 'leader', 'follower' or 'pending'
+   */
+  constructor(config = {}) {
+    this.tabId = config.tabId || 'tab_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    this.channelName = config.channelName || 'tkr_logging';
+    this.lockName = config.lockName || 'tkr_logging_leader';
+    this.heartbeatInterval = config.heartbeatInterval || 1000;
+    this.leaderTimeout = config.leaderTimeout || 3000;
+    this.ackTimeout = config.ackTimeout || 5000;
+    this.maxPending = config.maxPending || 1000;
+    this.onEntries = config.onEntries || (() => {});
+    this.onFallback = config.onFallback || (() => {});
+    this.onRoleChange = config.onRoleChange || (() => {});
+
+    this.channel = null;
+    this.useLocks = false;
+    this.lockAbort = null;
+    this.releaseLock = null;
+    this.role = 'pending';
+    this.leaderId = null;
+    this.lastHeartbeat = 0;
+    this.electionTimer = null;
+    this.checkTimer = null;
+    this.sendTimer = null;
+    this.outgoing = [];
+    this.pending = new Map(); // entryId -> { entry, sentAt }
+    this.listeners = [];
+    this.started = false;
+
+    this.stats = {
+      forwarded: 0,
+      received: 0,
+      fallbacks: 0,
+      leaderChanges: 0
+    };
+  }
+
+  /**
+   * Start coordinating with other tabs
+   * @returns {boolean} False if BroadcastChannel is unsupported (the tab uploads on its own)
+   */
+  start() {
+    if (this.started) {
+      return true;
+    }
+    if (typeof BroadcastChannel === 'undefined') {
+      return false;
+    }
+
+    this.started = true;
+    this.listen(window, 'pagehide', () => this.disconnect());
+    this.listen(window, 'pageshow', (event) => {
+      // Restored from the back/forward cache
+      if (event.persisted) {
+        this.connect();
+      }
+    });
+
+    this.connect();
+    return true;
+  }
+
+  /**
+   * Stop coordinating, handing leadership to another tab
+   */
+  stop() {
+    if (!this.started) {
+      return;
+    }
+
+    this.disconnect();
+    this.listeners.forEach(({ target, type, handler }) => target.removeEventListener(type, handler));
+    this.listeners = [];
+    this.started = false;
+  }
+
+  /**
+   * Open the channel and join the election
+   */
+  connect() {
+    if (this.channel) {
+      return;
+    }
+
+    this.channel = new BroadcastChannel(this.channelName);
+    this.channel.onmessage = (event) => this.handleMessage(event.data);
+    this.useLocks = typeof navigator !== 'undefined' && !!navigator.locks;
+
+    if (this.useLocks) {
+      this.requestLock();
+    } else {
+      this.scheduleElection(this.leaderTimeout);
+    }
+
+    // Ask a current leader to announce itself
+    this.post({ type: 'hello' });
+    this.checkTimer = setInterval(() => this.check(), this.heartbeatInterval);
+  }
+
+  /**
+   * Leave the election and close the channel (page hidden for good or frozen in
+   * the back/forward cache). Entries still waiting to be forwarded are posted
+   * first, or uploaded locally when there is no leader to post them to; a
+   * leader resigns so followers fail over at once.
+   */
+  disconnect() {
+    if (!this.channel) {
+      return;
+    }
+
+    if (this.canForward()) {
+      this.sendOutgoing();
+    } else {
+      this.fallback(Array.from(this.pending.keys()), true);
+    }
+    if (this.role === 'leader') {
+      this.post({ type: 'resign' });
+    }
+
+    // The leader is still running and will accept what was posted; the
+    // acknowledgements just can't reach this tab any more
+    this.pending.clear();
+
+    if (this.releaseLock) {
+      this.releaseLock();
+      this.releaseLock = null;
+    }
+    if (this.lockAbort) {
+      this.lockAbort.abort();
+      this.lockAbort = null;
+    }
+
+    clearInterval(this.checkTimer);
+    clearTimeout(this.electionTimer);
+    clearTimeout(this.sendTimer);
+    this.checkTimer = null;
+    this.electionTimer = null;
+    this.sendTimer = null;
+
+    this.channel.close();
+    this.channel = null;
+    this.leaderId = null;
+    this.setRole('pending');
+  }
+
+  /**
+   * Wait for the leader lock; it is held until disconnect() or the tab closes
+   */
+  requestLock() {
+    const abort = typeof AbortController !== 'undefined' ? new AbortController() : null;
+    this.lockAbort = abort;
+
+    const options = abort ? { signal: abort.signal } : {};
+    navigator.locks.request(this.lockName, options, () => {
+      this.lockAbort = null;
+      this.becomeLeader();
+      return new Promise(resolve => {
+        this.releaseLock = resolve;
+      });
+    }).catch(() => {
+      // Aborted by disconnect()
+    });
+  }
+
+  /**
+   * Whether this tab uploads for all tabs
+   * @returns {boolean} True for the leader
+   */
+  isLeader() {
+    return this.role === 'leader';
+  }
+
+  /**
+   * Whether entries can be forwarded, i.e. another tab is the known leader
+   * @returns {boolean} True for a follower with a live leader
+   */
+  canForward() {
+    return this.role === 'follower' && this.leaderId !== null && this.channel !== null;
+  }
+
+  /**
+   * Forward an entry to the leader. Entries are posted together on the next
+   * tick and kept until the leader acknowledges them.
+   * @param {object} entry - Log entry with an entryId
+   */
+  forward(entry) {
+    this.pending.set(entry.entryId, { entry, sentAt: Date.now() });
+    this.outgoing.push(entry);
+    this.stats.forwarded++;
+
+    if (this.pending.size > this.maxPending) {
+      const oldest = this.pending.keys().next().value;
+      this.fallback([oldest]);
+    }
+
+    if (!this.sendTimer) {
+      this.sendTimer = setTimeout(() => this.sendOutgoing(), 0);
+    }
+  }
+
+  /**
+   * Post entries waiting to be forwarded now
+   */
+  sendOutgoing() {
+    clearTimeout(this.sendTimer);
+    this.sendTimer = null;
+
+    if (this.outgoing.length === 0) {
+      return;
+    }
+
+    const entries = this.outgoing;
+    this.outgoing = [];
+
+    if (this.canForward()) {
+      this.post({ type: 'entries', to: this.leaderId, entries });
+    }
+    // Otherwise the entries stay pending until a leader appears or they time out
+  }
+
+  /**
+   * Handle a message from another tab
+   * @param {object} message - Channel message
+   */
+  handleMessage(message) {
+    if (!message || message.from === this.tabId) {
+      return;
+    }
+
+    switch (message.type) {
+      case 'hello':
+        if (this.role === 'leader') {
+          this.announce();
+        }
+        break;
+
+      case 'leader':
+        if (this.role === 'leader') {
+          // Two leaders (only possible without Web Locks): the lower tab ID keeps it
+          if (message.from < this.tabId && !this.useLocks) {
+            this.followLeader(message.from);
+          } else {
+            this.announce();
+          }
+        } else {
+          this.followLeader(message.from);
+        }
+        break;
+
+      case 'resign':
+        if (message.from === this.leaderId) {
+          this.leaderLost();
+        }
+        break;
+
+      case 'claim':
+        if (this.role === 'leader') {
+          this.announce();
+        } else if (message.from < this.tabId && this.electionTimer) {
+          // Let the lower tab ID win, and take over only if it never announces itself
+          this.scheduleElection(this.leaderTimeout);
+        }
+        break;
+
+      case 'entries':
+        if (this.role === 'leader' && message.to === this.tabId && Array.isArray(message.entries)) {
+          this.stats.received += message.entries.length;
+          this.onEntries(message.entries, message.from);
+          this.post({ type: 'ack', to: message.from, ids: message.entries.map(entry => entry.entryId) });
+        }
+        break;
+
+      case 'ack':
+        if (message.to === this.tabId && Array.isArray(message.ids)) {
+          message.ids.forEach(id => this.pending.delete(id));
+        }
+        break;
+    }
+  }
 
-    renewSession() {
-      this.sessionId = this.generateUUID();
-      this.persistSession();
-      return this.sessionId;
-    }
+  /**
+   * Follow another tab as leader, re-sending anything it has not acknowledged
+   * @param {string} leaderId - Leader tab ID
+   */
+  followLeader(leaderId) {
+    clearTimeout(this.electionTimer);
+    this.electionTimer = null;
+    this.lastHeartbeat = Date.now();
 
-    clearSession() {
-      this.sessionId = null;
-      try {
-        localStorage.removeItem(this.storageKey);
-      } catch (error) {
-        // Ignore localStorage errors
-      }
+    if (this.leaderId === leaderId && this.role === 'follower') {
+      return;
     }
 
-    generateTraceId() {
-      return this.generateUUID();
-    }
+    this.leaderId = leaderId;
+    this.stats.leaderChanges++;
+    this.setRole('follower');
 
-    getSessionMetadata() {
-      return {
-        sessionId: this.sessionId,
-        userAgent: navigator.userAgent,
-        url: window.location.href,
-        timestamp: Date.now(),
-        timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
-        language: navigator.language,
-        platform: navigator.platform,
-        cookieEnabled: navigator.cookieEnabled,
-        onLine: navigator.onLine
-      };
+    if (this.pending.size > 0) {
+      const now = Date.now();
+      const entries = [];
+      this.pending.forEach(record => {
+        record.sentAt = now;
+        entries.push(record.entry);
+      });
+      this.outgoing = entries;
+      this.sendOutgoing();
     }
   }
 
-  // === BATCH SENDER ===
-  class BatchSender {
-    constructor(config = {}) {
-      this.endpoint = config.endpoint || 'http://localhost:42003/api/logs/batch';
-      this.batchSize = config.batchSize || 10;
-      this.flushInterval = config.flushInterval || 5000;
-      this.maxRetries = config.maxRetries || 3;
-      this.retryDelay = config.retryDelay || 1000;
-      this.maxQueueSize = config.maxQueueSize || 1000;
-      this.performanceThreshold = config.performanceThreshold || 1;
+  /**
+   * Take over as leader. Entries this tab forwarded without an acknowledgement
+   * are uploaded locally.
+   */
+  becomeLeader() {
+    clearTimeout(this.electionTimer);
+    this.electionTimer = null;
 
-      this.queue = [];
-      this.offlineQueue = [];
-      this.flushTimer = null;
-      this.isOnline = navigator.onLine;
-      this.retryTimeouts = new Map();
-      this.stats = {
-        sent: 0,
-        failed: 0,
-        retries: 0,
-        totalTime: 0,
-        avgTime: 0
-      };
+    this.leaderId = this.tabId;
+    this.stats.leaderChanges++;
+    this.setRole('leader');
+    this.fallback(Array.from(this.pending.keys()));
+    this.announce();
+  }
 
-      this.initializeEventListeners();
-      this.loadOfflineQueue();
-      this.startFlushTimer();
+  /**
+   * The leader resigned or stopped sending heartbeats. Entries it has not
+   * acknowledged were never added to its queue, so they are uploaded locally.
+   */
+  leaderLost() {
+    this.leaderId = null;
+    this.setRole('pending');
+    this.fallback(Array.from(this.pending.keys()));
+
+    // With Web Locks the next waiting tab is granted the lock
+    if (!this.useLocks) {
+      this.scheduleElection(0);
     }
+  }
 
-    initializeEventListeners() {
-      window.addEventListener('online', () => {
-        this.isOnline = true;
-        this.processOfflineQueue();
-      });
+  /**
+   * Claim leadership after a delay unless a leader announces itself first
+   * (elections without Web Locks)
+   * @param {number} delay - Delay before claiming, in ms
+   */
+  scheduleElection(delay) {
+    clearTimeout(this.electionTimer);
 
-      window.addEventListener('offline', () => {
-        this.isOnline = false;
-      });
+    this.electionTimer = setTimeout(() => {
+      this.post({ type: 'claim' });
 
-      document.addEventListener('visibilitychange', () => {
-        if (document.visibilityState === 'hidden') {
-          this.flush(true);
+      // Give lower tab IDs one heartbeat to object
+      this.electionTimer = setTimeout(() => {
+        this.electionTimer = null;
+        if (this.role !== 'leader') {
+          this.becomeLeader();
         }
-      });
+      }, this.heartbeatInterval);
+    }, delay);
+  }
 
-      window.addEventListener('beforeunload', () => {
-        this.flush(true);
-      });
+  /**
+   * Periodic check: leader heartbeat, leader liveness and acknowledgement timeouts
+   */
+  check() {
+    if (this.role === 'leader') {
+      this.announce();
+      return;
     }
 
-    add(logEntry) {
-      const startTime = performance.now();
-
-      if (this.stats.avgTime > this.performanceThreshold) {
-        console.warn('TkrLogging: Performance threshold exceeded, dropping log');
-        return;
-      }
+    const now = Date.now();
+    if (this.leaderId && now - this.lastHeartbeat > this.leaderTimeout) {
+      this.leaderLost();
+      return;
+    }
 
-      if (this.queue.length >= this.maxQueueSize) {
-        console.warn('TkrLogging: Queue size limit reached, dropping oldest log');
-        this.queue.shift();
+    const expired = [];
+    this.pending.forEach((record, id) => {
+      if (now - record.sentAt > this.ackTimeout) {
+        expired.push(id);
       }
+    });
+    this.fallback(expired);
+  }
 
-      const enrichedEntry = {
-        timestamp: Date.now(),
-        traceId: this.generateTraceId(),
-        ...logEntry
-      };
-
-      this.queue.push(enrichedEntry);
-
-      const endTime = performance.now();
-      const duration = endTime - startTime;
-      this.updatePerformanceStats(duration);
-
-      if (this.queue.length >= this.batchSize) {
-        this.flush();
-      }
+  /**
+   * Hand pending entries back for local upload
+   * @param {Array<string>} ids - Entry IDs
+   * @param {boolean} leaving - Whether the page is going away
+   */
+  fallback(ids, leaving = false) {
+    if (ids.length === 0) {
+      return;
     }
 
-    async flush(force = false) {
-      if (this.queue.length === 0) {
-        return;
+    const entries = [];
+    ids.forEach(id => {
+      const record = this.pending.get(id);
+      if (record) {
+        entries.push(record.entry);
+        this.pending.delete(id);
       }
+    });
+    this.outgoing = this.outgoing.filter(entry => this.pending.has(entry.entryId));
 
-      if (!force && this.queue.length < this.batchSize) {
-        return;
-      }
+    this.stats.fallbacks += entries.length;
+    this.onFallback(entries, leaving);
+  }
 
-      const batch = this.queue.splice(0, this.batchSize);
-      const batchId = this.generateBatchId();
+  /**
+   * Announce this tab as leader (doubles as the heartbeat)
+   */
+  announce() {
+    this.post({ type: 'leader' });
+  }
 
-      const payload = {
-        logs: batch,
-        metadata: {
-          batchId,
-          source: 'browser',
-          timestamp: Date.now(),
-          userAgent: navigator.userAgent,
-          url: window.location.href
-        }
-      };
+  /**
+   * Post a message to the other tabs
+   * @param {object} message - Message
+   */
+  post(message) {
+    if (!this.channel) {
+      return;
+    }
 
-      if (this.isOnline) {
-        await this.sendBatch(payload);
-      } else {
-        this.queueOffline(payload);
-      }
+    try {
+      this.channel.postMessage({ ...message, from: this.tabId });
+    } catch (error) {
+      // Entries that cannot be cloned stay pending and time out to a local upload
     }
+  }
 
-    async sendBatch(payload, retryCount = 0) {
-      const startTime = performance.now();
+  /**
+   * Update the role, notifying the client
+   * @param {string} role - 'leader', 'follower' or 'pending'
+   */
+  setRole(role) {
+    if (this.role !== role) {
+      this.role = role;
+      this.onRoleChange(role);
+    }
+  }
 
-      try {
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), 10000);
-
-        const response = await fetch(this.endpoint, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-          },
-          body: JSON.stringify(payload),
-          signal: controller.signal
-        });
+  /**
+   * Add a window listener that stop() removes again
+   */
+  listen(target, type, handler) {
+    target.addEventListener(type, handler);
+    this.listeners.push({ target, type, handler });
+  }
 
-        clearTimeout(timeoutId);
+  /**
+   * Get coordination statistics
+   * @returns {object} { tabId, role, leaderId, election, pending, forwarded, received, fallbacks, leaderChanges }
+   */
+  getStats() {
+    return {
+      tabId: this.tabId,
+      role: this.role,
+      leaderId: this.leaderId,
+      election: this.useLocks ? 'web-locks' : 'heartbeat',
+      pending: this.pending.size,
+      ...this.stats
+    };
+  }
+}
 
-        if (!response.ok) {
-          throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-        }
+// Export for browser environments
+if (typeof window !== 'undefined') {
+  window.TabCoordinator = TabCoordinator;
+}
+})();
 
-        this.stats.sent += payload.logs.length;
-        const duration = performance.now() - startTime;
-        this.updatePerformanceStats(duration);
+// === sampler.js ===
+(function() {
+/**
+ * Adaptive Sampler for TKR Browser Logging Client
+ * Decides which entries are sent: per-level sampling rates, a token bucket per
+ * message fingerprint, and a back-off factor that lowers the rates while the
+ * client's overhead is above its threshold and raises them again once it drops.
+ *
+ * Kept entries report how many entries they stand for (themselves plus those
+ * dropped since), so the server can extrapolate true volumes. Errors and fatals
+ * are always kept.
+ */
 
-        if (this.retryTimeouts.has(payload.metadata.batchId)) {
-          clearTimeout(this.retryTimeouts.get(payload.metadata.batchId));
-          this.retryTimeouts.delete(payload.metadata.batchId);
-        }
+const ALWAYS_KEPT_LEVELS = ['error', 'fatal'];
+const MAX_FINGERPRINT_LENGTH = 200;
 
-      } catch (error) {
-        const duration = performance.now() - startTime;
-        this.updatePerformanceStats(duration);
+class AdaptiveSampler {
+  /**
+   * @param {object} config - Sampler configuration
+   * @param {object} config.sampleRates - Base rate per level, 0-1 (levels not listed are kept)
+   * @param {number} config.burst - Token bucket size per fingerprint
+   * @param {number} config.perSecond - Tokens refilled per fingerprint per second
+   * @param {number} config.overheadThreshold - Average overhead in ms above which rates back off
+   * @param {number} config.minFactor - Lowest back-off factor
+   * @param {number} config.adjustInterval - Minimum time between back-off adjustments, in ms
+   * @param {number} config.maxFingerprints - Fingerprints tracked before the least recent is evicted
+   */
+  constructor(config = {}) {
+    this.sampleRates = config.sampleRates || {};
+    this.burst = config.burst || 20;
+    this.perSecond = config.perSecond !== undefined ? config.perSecond : 5;
+    this.overheadThreshold = config.overheadThreshold || 1;
+    this.minFactor = config.minFactor || 0.01;
+    this.adjustInterval = config.adjustInterval || 1000;
+    this.maxFingerprints = config.maxFingerprints || 500;
 
-        if (retryCount < this.maxRetries) {
-          this.stats.retries++;
-          const delay = this.retryDelay * Math.pow(2, retryCount);
+    this.factor = 1;
+    this.overhead = 0; // Moving average, ms
+    this.lastAdjust = Date.now();
+    this.fingerprints = new Map(); // fingerprint -> { tokens, refilledAt, dropped }
+    this.levelCarry = {}; // Drops of evicted fingerprints, per level
 
-          const timeoutId = setTimeout(() => {
-            this.sendBatch(payload, retryCount + 1);
-          }, delay);
+    this.stats = {
+      kept: 0,
+      sampledOut: 0,
+      rateLimited: 0,
+      backoffs: 0,
+      recoveries: 0
+    };
+  }
 
-          this.retryTimeouts.set(payload.metadata.batchId, timeoutId);
-        } else {
-          this.stats.failed += payload.logs.length;
-          this.queueOffline(payload);
-          console.warn('TkrLogging: Failed to send batch after retries:', error.message);
-        }
-      }
+  /**
+   * Decide whether to keep an entry
+   * @param {string} level - Entry level
+   * @param {string} message - Message, or the format string for console calls
+   * @returns {number} 0 to drop the entry, otherwise the number of entries it stands for
+   */
+  sample(level, message) {
+    const normalizedLevel = String(level).toLowerCase();
+    if (ALWAYS_KEPT_LEVELS.indexOf(normalizedLevel) !== -1) {
+      this.stats.kept++;
+      return 1 + this.takeLevelCarry(normalizedLevel);
     }
 
-    queueOffline(payload) {
-      this.offlineQueue.push(payload);
-      while (this.offlineQueue.length > 100) {
-        this.offlineQueue.shift();
-      }
-      this.saveOfflineQueue();
+    const key = normalizedLevel + ':' + this.fingerprint(message);
+    const record = this.getRecord(key);
+
+    const rate = this.getRate(normalizedLevel);
+    if (rate < 1 && Math.random() >= rate) {
+      record.dropped++;
+      this.stats.sampledOut++;
+      return 0;
     }
 
-    async processOfflineQueue() {
-      if (this.offlineQueue.length === 0) {
-        return;
-      }
+    this.refill(record);
+    if (record.tokens < 1) {
+      record.dropped++;
+      this.stats.rateLimited++;
+      return 0;
+    }
 
-      console.log('TkrLogging: Processing offline queue, count:', this.offlineQueue.length);
+    record.tokens--;
+    const represented = 1 + record.dropped + this.takeLevelCarry(normalizedLevel);
+    record.dropped = 0;
+    this.stats.kept++;
+    return represented;
+  }
 
-      for (let i = 0; i < this.offlineQueue.length; i++) {
-        const payload = this.offlineQueue[i];
-        await this.sendBatch(payload);
+  /**
+   * Effective sampling rate of a level
+   * @param {string} level - Lowercase level
+   * @returns {number} Rate, 0-1
+   */
+  getRate(level) {
+    const base = this.sampleRates[level] !== undefined ? this.sampleRates[level] : 1;
+    return Math.max(0, Math.min(1, base)) * this.factor;
+  }
 
-        if (i < this.offlineQueue.length - 1) {
-          await new Promise(resolve => setTimeout(resolve, 100));
-        }
-      }
+  /**
+   * Record the overhead of one logging operation and adjust the back-off factor:
+   * halved while the average is above the threshold, raised again once it is
+   * comfortably below
+   * @param {number} duration - Overhead in ms
+   */
+  recordOverhead(duration) {
+    this.overhead = this.overhead * 0.9 + duration * 0.1;
 
-      this.offlineQueue = [];
-      this.saveOfflineQueue();
+    const now = Date.now();
+    if (now - this.lastAdjust < this.adjustInterval) {
+      return;
     }
+    this.lastAdjust = now;
 
-    saveOfflineQueue() {
-      try {
-        localStorage.setItem('tkr_logging_offline_queue', JSON.stringify(this.offlineQueue));
-      } catch (error) {
-        console.warn('TkrLogging: Failed to save offline queue:', error.message);
-      }
+    if (this.overhead > this.overheadThreshold && this.factor > this.minFactor) {
+      this.factor = Math.max(this.minFactor, this.factor / 2);
+      this.stats.backoffs++;
+    } else if (this.overhead < this.overheadThreshold / 2 && this.factor < 1) {
+      this.factor = Math.min(1, this.factor * 1.5);
+      this.stats.recoveries++;
     }
+  }
 
-    loadOfflineQueue() {
-      try {
-        const stored = localStorage.getItem('tkr_logging_offline_queue');
-        if (stored) {
-          this.offlineQueue = JSON.parse(stored);
+  /**
+   * Reduce a message to its fingerprint: numbers, hex IDs and UUIDs are
+   * replaced so messages that differ only in values share a bucket
+   * @param {string} message - Message
+   * @returns {string} Fingerprint
+   */
+  fingerprint(message) {
+    return String(message)
+      .slice(0, MAX_FINGERPRINT_LENGTH)
+      .replace(/[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/gi, '<uuid>')
+      .replace(/\b[0-9a-f]{12,}\b/gi, '<hex>')
+      .replace(/\d+(\.\d+)?/g, '<n>');
+  }
+
+  /**
+   * Get the bucket of a fingerprint, evicting the least recently used one when full
+   * @param {string} key - Level and fingerprint
+   * @returns {object} { tokens, refilledAt, dropped }
+   */
+  getRecord(key) {
+    let record = this.fingerprints.get(key);
+
+    if (record) {
+      // Re-insert to keep the Map in least-recently-used order
+      this.fingerprints.delete(key);
+    } else {
+      record = { tokens: this.burst, refilledAt: Date.now(), dropped: 0 };
+
+      if (this.fingerprints.size >= this.maxFingerprints) {
+        const [oldestKey, oldest] = this.fingerprints.entries().next().value;
+        this.fingerprints.delete(oldestKey);
+        // Keep its drops counted: the next kept entry of the level reports them
+        if (oldest.dropped > 0) {
+          const level = oldestKey.slice(0, oldestKey.indexOf(':'));
+          this.levelCarry[level] = (this.levelCarry[level] || 0) + oldest.dropped;
         }
-      } catch (error) {
-        console.warn('TkrLogging: Failed to load offline queue:', error.message);
-        this.offlineQueue = [];
       }
     }
 
-    startFlushTimer() {
-      if (this.flushTimer) {
-        clearInterval(this.flushTimer);
-      }
-      this.flushTimer = setInterval(() => {
-        this.flush();
-      }, this.flushInterval);
-    }
+    this.fingerprints.set(key, record);
+    return record;
+  }
 
-    stopFlushTimer() {
-      if (this.flushTimer) {
-        clearInterval(this.flushTimer);
-        this.flushTimer = null;
-      }
-    }
+  /**
+   * Refill a token bucket for the time elapsed since its last refill
+   * @param {object} record - Bucket
+   */
+  refill(record) {
+    const now = Date.now();
+    record.tokens = Math.min(this.burst, record.tokens + (now - record.refilledAt) / 1000 * this.perSecond);
+    record.refilledAt = now;
+  }
 
-    updatePerformanceStats(duration) {
-      this.stats.totalTime += duration;
-      const totalOps = this.stats.sent + this.stats.failed + this.stats.retries;
-      this.stats.avgTime = totalOps > 0 ? this.stats.totalTime / totalOps : 0;
+  /**
+   * Take the drops carried over from evicted fingerprints of a level
+   * @param {string} level - Lowercase level
+   * @returns {number} Dropped entries
+   */
+  takeLevelCarry(level) {
+    const carry = this.levelCarry[level] || 0;
+    if (carry > 0) {
+      delete this.levelCarry[level];
     }
+    return carry;
+  }
 
-    generateBatchId() {
-      return 'batch_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
-    }
+  /**
+   * Get sampling statistics
+   * @returns {object} { factor, overhead, fingerprints, kept, sampledOut, rateLimited, backoffs, recoveries }
+   */
+  getStats() {
+    return {
+      factor: this.factor,
+      overhead: this.overhead,
+      fingerprints: this.fingerprints.size,
+      ...this.stats
+    };
+  }
+}
 
-    generateTraceId() {
-      return 'trace_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
-    }
+// Export for browser environments
+if (typeof window !== 'undefined') {
+  window.AdaptiveSampler = AdaptiveSampler;
+}
+})();
 
-    getStats() {
-      return {
-        ...this.stats,
-        queueSize: this.queue.length,
-        offlineQueueSize: this.offlineQueue.length,
-        isOnline: this.isOnline
-      };
-    }
+// === logging-client.js ===
+/**
+ * TKR Browser Logging Client
+ * Intercepts console methods with perfect passthrough while logging to backend
+ *
+ * Features:
+ * - Zero visible impact on DevTools console experience
+ * - Preserves line numbers and stack traces
+ * - Session tracking across page reloads
+ * - Durable offline queue (IndexedDB) that survives reloads and crashes
+ * - Adaptive sampling and rate limiting that back off while overhead exceeds 1ms
+ * - Error and unhandled rejection capture
+ * - W3C trace context on every entry, with opt-in fetch/XHR capture and traceparent propagation
+ * - One uploading tab per origin: other tabs forward their entries to an elected leader
+ */
 
-    clear() {
-      this.queue = [];
-      this.offlineQueue = [];
-      this.saveOfflineQueue();
-      this.retryTimeouts.forEach(timeoutId => clearTimeout(timeoutId));
-      this.retryTimeouts.clear();
-      this.stats = {
-        sent: 0,
-        failed: 0,
-        retries: 0,
-        totalTime: 0,
-        avgTime: 0
-      };
-    }
+(function() {
+  'use strict';
 
-    destroy() {
-      this.stopFlushTimer();
-      this.flush(true);
-      this.retryTimeouts.forEach(timeoutId => clearTimeout(timeoutId));
-      this.retryTimeouts.clear();
-    }
+  // Check if already initialized to prevent double initialization
+  if (window.TkrLogging && window.TkrLogging._initialized) {
+    return;
   }
 
-  // === LOGGING CLIENT ===
+  // Configuration defaults
   const DEFAULT_CONFIG = {
     endpoint: 'http://localhost:42003/api/logs/batch',
     batchSize: 10,
     flushInterval: 5000,
     captureErrors: true,
     sessionTracking: true,
-    performanceThreshold: 1,
+    performanceThreshold: 1, // 1ms max overhead
+    adaptiveSampling: true, // Sample entries while over the threshold instead of disabling logging
+    sampleRates: {}, // Base rate per level, e.g. { debug: 0.1 } (error and fatal are always kept)
+    rateLimitBurst: 20, // Entries per message fingerprint before rate limiting
+    rateLimitPerSecond: 5, // Sustained entries per message fingerprint
+    offlineMaxBytes: 5 * 1024 * 1024, // 5MB durable offline queue
     enabled: true,
     service: 'browser',
-    component: 'browser-console'
+    component: 'browser-console',
+    captureNetwork: false,
+    networkExcludeUrls: [], // Logging endpoint is always excluded
+    networkRedactQueryParams: ['token', 'access_token', 'refresh_token', 'id_token', 'api_key', 'apikey', 'key', 'password', 'secret', 'signature', 'code'],
+    networkRedactHeaders: ['authorization', 'proxy-authorization', 'cookie', 'set-cookie', 'x-api-key', 'x-auth-token', 'x-csrf-token'],
+    traceOrigins: [], // Cross-origin URLs (prefix or RegExp) that may receive a traceparent header
+    traceparent: null, // Server trace to continue (defaults to <meta name="traceparent">)
+    tracestate: null,
+    captureWebVitals: false,
+    longTaskThreshold: 50, // ms
+    resourceTimingThreshold: 1000, // ms, 0 disables resource timing entries
+    redaction: {}, // Overrides for Redactor.DEFAULT_CONFIG (mirrors config/defaults.json)
+    captureBreadcrumbs: true,
+    maxBreadcrumbs: 50, // Ring buffer size
+    errorBreadcrumbs: 20, // Breadcrumbs attached to each error entry
+    crossTab: true // Elect one tab to upload for all open tabs
   };
 
+  // Log level mapping (compatible with unified core module)
   const LOG_LEVELS = {
-    log: 'INFO',
-    info: 'INFO',
-    warn: 'WARN',
-    error: 'ERROR',
-    debug: 'DEBUG',
-    trace: 'DEBUG'
+    log: 'info',
+    info: 'info',
+    warn: 'warn',
+    error: 'error',
+    debug: 'debug',
+    trace: 'trace'
   };
 
   class TkrLoggingClient {
@@ -399,6 +4095,14 @@
       this.config = { ...DEFAULT_CONFIG };
       this.sessionManager = null;
       this.batchSender = null;
+      this.traceContext = null;
+      this.networkCapture = null;
+      this.webVitals = null;
+      this.redactor = null;
+      this.breadcrumbs = null;
+      this.tabCoordinator = null;
+      this.tabId = null;
+      this.sampler = null;
       this.originalConsole = {};
       this.enabled = false;
       this.performanceStats = {
@@ -408,14 +4112,24 @@
         disabled: false
       };
 
+      // Bind methods to preserve context
       this.init = this.init.bind(this);
       this.log = this.log.bind(this);
       this.flush = this.flush.bind(this);
       this.enable = this.enable.bind(this);
       this.disable = this.disable.bind(this);
+      this.startSpan = this.startSpan.bind(this);
+      this.withSpan = this.withSpan.bind(this);
+      this.getTraceHeaders = this.getTraceHeaders.bind(this);
+      this.addBreadcrumb = this.addBreadcrumb.bind(this);
     }
 
+    /**
+     * Initialize the logging client
+     * @param {object} config - Configuration options
+     */
     init(config = {}) {
+      // Merge configuration
       this.config = { ...this.config, ...config };
 
       if (!this.config.enabled) {
@@ -423,25 +4137,85 @@
       }
 
       try {
-        this.sessionManager = new SessionManager();
+        // Secret and PII redaction, applied before entries are queued. Fails
+        // closed: without redactor.js nothing is logged unless redaction is off.
+        if (window.Redactor) {
+          this.redactor = new window.Redactor(this.config.redaction);
+        } else if (!this.config.redaction || this.config.redaction.enabled !== false) {
+          console.warn('TkrLogging: Redactor not available, not logging (load redactor.js or set redaction: { enabled: false })');
+          return;
+        }
+
+        // Initialize session manager
+        if (!window.SessionManager) {
+          console.warn('TkrLogging: SessionManager not available');
+          return;
+        }
+        this.sessionManager = new window.SessionManager();
         this.sessionManager.initialize();
 
-        this.batchSender = new BatchSender({
+        // Initialize batch sender
+        if (!window.OfflineStore) {
+          console.warn('TkrLogging: OfflineStore not available');
+          return;
+        }
+        if (!window.BatchSender) {
+          console.warn('TkrLogging: BatchSender not available');
+          return;
+        }
+        this.batchSender = new window.BatchSender({
           endpoint: this.config.endpoint,
           batchSize: this.config.batchSize,
           flushInterval: this.config.flushInterval,
-          performanceThreshold: this.config.performanceThreshold
+          offlineMaxBytes: this.config.offlineMaxBytes
         });
+        this.tabId = this.batchSender.ownerId;
+
+        // Leader election across tabs
+        if (this.config.crossTab) {
+          this.setupTabCoordination();
+        }
+
+        // Sampling and rate limiting, replacing the hard self-disable
+        if (this.config.adaptiveSampling) {
+          this.setupSampling();
+        }
 
+        // Page span that entries and captured requests are attributed to
+        if (window.TraceContext) {
+          this.traceContext = new window.TraceContext({
+            traceparent: this.config.traceparent,
+            tracestate: this.config.tracestate
+          });
+        }
+
+        // Intercept console methods
         this.interceptConsole();
 
+        // Set up breadcrumb recording (before error capture, which attaches them)
+        if (this.config.captureBreadcrumbs) {
+          this.setupBreadcrumbs();
+        }
+
+        // Set up error capturing
         if (this.config.captureErrors) {
           this.setupErrorCapture();
         }
 
+        // Set up network capturing
+        if (this.config.captureNetwork) {
+          this.setupNetworkCapture();
+        }
+
+        // Set up Web Vitals capturing
+        if (this.config.captureWebVitals) {
+          this.setupWebVitals();
+        }
+
         this.enabled = true;
 
-        this.sendLogDirectly('INFO', 'TkrLogging client initialized', {
+        // Log initialization (but don't log this specific message to avoid recursion)
+        this.sendLogDirectly('info', 'TkrLogging client initialized', {
           config: { ...this.config, endpoint: '[redacted]' },
           sessionId: this.sessionManager.getSessionId()
         });
@@ -451,28 +4225,36 @@
       }
     }
 
+    /**
+     * Intercept console methods with perfect passthrough
+     */
     interceptConsole() {
       const consoleMethods = ['log', 'info', 'warn', 'error', 'debug', 'trace'];
 
       consoleMethods.forEach(method => {
         if (typeof console[method] === 'function') {
+          // Store original method
           this.originalConsole[method] = console[method];
 
+          // Create intercepted version
           console[method] = (...args) => {
-            const startTime = performance.now();
-
             // Call original method FIRST for perfect passthrough
+            // This preserves line numbers, stack traces, and DevTools experience
             this.originalConsole[method].apply(console, args);
 
-            // Then handle logging
-            if (this.enabled && !this.performanceStats.disabled) {
+            // Only our own work counts as overhead - the passthrough costs the same without logging
+            const startTime = performance.now();
+
+            // Then handle logging if enabled and performance allows (errors are always logged)
+            if (this.enabled && (!this.performanceStats.disabled || method === 'error')) {
               try {
                 this.handleConsoleCall(method, args);
               } catch (error) {
-                // Silently fail
+                // Silently fail to avoid disrupting user's console experience
               }
             }
 
+            // Update performance stats
             const endTime = performance.now();
             this.updatePerformanceStats(endTime - startTime);
           };
@@ -480,7 +4262,21 @@
       });
     }
 
+    /**
+     * Handle console method call for logging
+     * @param {string} method - Console method name
+     * @param {array} args - Console arguments
+     */
     handleConsoleCall(method, args) {
+      const level = LOG_LEVELS[method] || 'INFO';
+
+      // Decide before formatting, which is the expensive part; the format string is the fingerprint
+      const sampled = this.sample(level, typeof args[0] === 'string' ? args[0] : Object.prototype.toString.call(args[0]));
+      if (!sampled) {
+        return;
+      }
+
+      // Convert arguments to string message
       const message = args.map(arg => {
         if (typeof arg === 'string') {
           return arg;
@@ -495,11 +4291,13 @@
         }
       }).join(' ');
 
+      // Get stack trace for source location
       const stack = this.getStackTrace();
 
+      // Create log entry
       const logEntry = {
-        level: LOG_LEVELS[method] || 'INFO',
-        message: message.slice(0, 10000),
+        level,
+        message: message.slice(0, 10000), // Truncate very long messages
         service: this.config.service,
         component: this.config.component,
         sessionId: this.sessionManager ? this.sessionManager.getSessionId() : null,
@@ -510,15 +4308,114 @@
           stack: stack,
           url: window.location.href,
           userAgent: navigator.userAgent,
-          timestamp: Date.now()
+          timestamp: Date.now(),
+          trace: this.getTraceMetadata()
         }
       };
 
-      if (this.batchSender) {
-        this.batchSender.add(logEntry);
+      // Add to batch
+      this.enqueue(logEntry, sampled);
+    }
+
+    /**
+     * Sample, redact and add an entry to the batch, or forward it to the leader tab
+     * @param {object} logEntry - Log entry
+     * @param {number} sampled - Sampling decision already made for the entry (see sample())
+     */
+    enqueue(logEntry, sampled) {
+      if (!this.batchSender) {
+        return;
+      }
+
+      const represented = sampled !== undefined ? sampled : this.sample(logEntry.level, logEntry.message);
+      if (!represented) {
+        return;
+      }
+
+      if (logEntry.metadata) {
+        logEntry.metadata.tabId = this.tabId;
+        if (represented > 1) {
+          // Entries dropped since the last kept entry like this one, for extrapolation
+          logEntry.metadata.sampled = represented;
+        }
+      }
+      const entry = this.redactor ? this.redactor.redactEntry(logEntry) : logEntry;
+
+      if (this.tabCoordinator && this.tabCoordinator.canForward()) {
+        // The entry ID is the acknowledgement key, so it is assigned here rather than by the leader
+        this.tabCoordinator.forward({
+          timestamp: Date.now(),
+          entryId: this.batchSender.generateEntryId(),
+          ...entry
+        });
+        return;
+      }
+
+      this.batchSender.add(entry);
+    }
+
+    /**
+     * Decide whether an entry is kept
+     * @param {string} level - Entry level
+     * @param {string} message - Message (fingerprinted for rate limiting)
+     * @returns {number} 0 to drop the entry, otherwise the number of entries it stands for
+     */
+    sample(level, message) {
+      return this.sampler ? this.sampler.sample(level, message) : 1;
+    }
+
+    /**
+     * Setup adaptive sampling and per-fingerprint rate limiting
+     */
+    setupSampling() {
+      if (!window.AdaptiveSampler) {
+        console.warn('TkrLogging: AdaptiveSampler not available, logging disables itself when over the performance threshold');
+        return;
+      }
+
+      this.sampler = new window.AdaptiveSampler({
+        sampleRates: this.config.sampleRates,
+        burst: this.config.rateLimitBurst,
+        perSecond: this.config.rateLimitPerSecond,
+        overheadThreshold: this.config.performanceThreshold
+      });
+    }
+
+    /**
+     * Setup leader election across tabs, so only one tab uploads
+     */
+    setupTabCoordination() {
+      if (!window.TabCoordinator) {
+        console.warn('TkrLogging: TabCoordinator not available, each tab uploads its own logs');
+        return;
+      }
+
+      const addAll = (entries) => entries.forEach(entry => this.batchSender.add(entry));
+
+      this.tabCoordinator = new window.TabCoordinator({
+        tabId: this.tabId,
+        onEntries: addAll,
+        onFallback: (entries, leaving) => {
+          addAll(entries);
+          // The batch sender's own pagehide flush has already run
+          if (leaving) {
+            this.batchSender.flushOnUnload();
+          }
+        }
+      });
+
+      // Without BroadcastChannel every tab uploads on its own, as before
+      if (!this.tabCoordinator.start()) {
+        this.tabCoordinator = null;
       }
     }
 
+    /**
+     * Send log directly (for internal logging)
+     * @param {string} level - Log level
+     * @param {string} message - Log message
+     * @param {object} metadata - Additional metadata
+     */
     sendLogDirectly(level, message, metadata = {}) {
       if (!this.enabled || !this.batchSender) {
         return;
@@ -534,19 +4431,24 @@
           source: 'client',
           url: window.location.href,
           timestamp: Date.now(),
+          trace: this.getTraceMetadata(),
           ...metadata
         }
       };
 
-      this.batchSender.add(logEntry);
+      this.enqueue(logEntry);
     }
 
+    /**
+     * Setup error and unhandled rejection capture
+     */
     setupErrorCapture() {
+      // Global error handler
       window.addEventListener('error', (event) => {
         if (!this.enabled) return;
 
         const logEntry = {
-          level: 'ERROR',
+          level: 'error',
           message: `Uncaught Error: ${event.message}`,
           service: this.config.service,
           component: this.config.component,
@@ -558,15 +4460,16 @@
             colno: event.colno,
             stack: event.error ? event.error.stack : null,
             url: window.location.href,
-            timestamp: Date.now()
+            timestamp: Date.now(),
+            trace: this.getTraceMetadata(),
+            breadcrumbs: this.getErrorBreadcrumbs()
           }
         };
 
-        if (this.batchSender) {
-          this.batchSender.add(logEntry);
-        }
+        this.enqueue(logEntry);
       });
 
+      // Unhandled promise rejection handler
       window.addEventListener('unhandledrejection', (event) => {
         if (!this.enabled) return;
 
@@ -582,7 +4485,7 @@
         }
 
         const logEntry = {
-          level: 'ERROR',
+          level: 'error',
           message: message,
           service: this.config.service,
           component: this.config.component,
@@ -592,36 +4495,243 @@
             reason: typeof reason === 'object' ? JSON.stringify(reason) : String(reason),
             stack: stack,
             url: window.location.href,
-            timestamp: Date.now()
+            timestamp: Date.now(),
+            trace: this.getTraceMetadata(),
+            breadcrumbs: this.getErrorBreadcrumbs()
           }
         };
 
-        if (this.batchSender) {
-          this.batchSender.add(logEntry);
+        this.enqueue(logEntry);
+      });
+    }
+
+    /**
+     * Setup breadcrumb recording of navigation, clicks and form input
+     */
+    setupBreadcrumbs() {
+      if (!window.BreadcrumbRecorder) {
+        console.warn('TkrLogging: BreadcrumbRecorder not available');
+        return;
+      }
+
+      this.breadcrumbs = new window.BreadcrumbRecorder({
+        maxBreadcrumbs: this.config.maxBreadcrumbs,
+        isActive: () => this.enabled && !this.performanceStats.disabled,
+        onOverhead: (duration) => this.updatePerformanceStats(duration)
+      });
+
+      this.breadcrumbs.install();
+    }
+
+    /**
+     * Get the breadcrumbs attached to error entries
+     * @returns {Array<object>|undefined} Most recent breadcrumbs, oldest first
+     */
+    getErrorBreadcrumbs() {
+      return this.breadcrumbs ? this.breadcrumbs.getBreadcrumbs(this.config.errorBreadcrumbs) : undefined;
+    }
+
+    /**
+     * Record a custom breadcrumb (e.g. "Opened checkout dialog")
+     * @param {string} message - Breadcrumb message
+     * @param {object} data - Additional details
+     */
+    addBreadcrumb(message, data = {}) {
+      if (this.breadcrumbs) {
+        this.breadcrumbs.add('custom', data, String(message).slice(0, 200));
+      }
+    }
+
+    /**
+     * Setup fetch/XMLHttpRequest capture
+     */
+    setupNetworkCapture() {
+      if (!window.NetworkCapture) {
+        console.warn('TkrLogging: NetworkCapture not available');
+        return;
+      }
+
+      this.networkCapture = new window.NetworkCapture({
+        // Never capture our own requests, to avoid recursion
+        excludeUrls: [this.config.endpoint, ...this.config.networkExcludeUrls],
+        redactQueryParams: this.config.networkRedactQueryParams,
+        redactHeaders: this.config.networkRedactHeaders,
+        traceOrigins: this.config.traceOrigins,
+        traceContext: this.traceContext,
+        isActive: () => this.enabled && !this.performanceStats.disabled,
+        onOverhead: (duration) => this.updatePerformanceStats(duration),
+        onRequest: (record) => this.handleNetworkRequest(record)
+      });
+
+      this.networkCapture.install();
+    }
+
+    /**
+     * Handle a completed fetch/XHR request for logging
+     * @param {object} record - Request record from NetworkCapture
+     */
+    handleNetworkRequest(record) {
+      let level = 'info';
+      if (record.error || record.status >= 500) {
+        level = 'error';
+      } else if (record.status >= 400) {
+        level = 'warn';
+      }
+
+      const outcome = record.error ? `failed: ${record.error}` : `${record.status}`;
+
+      const logEntry = {
+        level,
+        message: `${record.method} ${record.url} ${outcome} (${Math.round(record.duration)}ms)`.slice(0, 10000),
+        service: this.config.service,
+        component: this.config.component,
+        sessionId: this.sessionManager ? this.sessionManager.getSessionId() : null,
+        metadata: {
+          source: 'network',
+          url: window.location.href,
+          timestamp: Date.now(),
+          // The request's own span, so server logs for it nest underneath
+          trace: record.spanId ? {
+            traceId: record.traceId,
+            spanId: record.spanId,
+            parentSpanId: record.parentSpanId
+          } : this.getTraceMetadata(),
+          request: record
         }
+      };
+
+      this.enqueue(logEntry);
+    }
+
+    /**
+     * Setup Web Vitals, long task and resource timing capture
+     */
+    setupWebVitals() {
+      if (!window.WebVitalsCapture) {
+        console.warn('TkrLogging: WebVitalsCapture not available');
+        return;
+      }
+
+      this.webVitals = new window.WebVitalsCapture({
+        longTaskThreshold: this.config.longTaskThreshold,
+        resourceThreshold: this.config.resourceTimingThreshold,
+        // Our own batches are sent in the background and would skew resource timings
+        excludeUrls: [this.config.endpoint, ...this.config.networkExcludeUrls],
+        isActive: () => this.enabled && !this.performanceStats.disabled,
+        onOverhead: (duration) => this.updatePerformanceStats(duration),
+        onMetric: (metric) => this.handleWebVital(metric)
       });
+
+      this.webVitals.install();
+    }
+
+    /**
+     * Handle a measured Web Vital, long task or slow resource for logging
+     * @param {object} metric - Metric from WebVitalsCapture
+     */
+    handleWebVital(metric) {
+      const value = metric.unit === 'ms' ? `${metric.value}ms` : `${metric.value}`;
+      const rating = metric.rating ? ` (${metric.rating})` : '';
+      const subject = metric.name === 'resource' ? `Slow resource ${metric.attribution.url}` :
+        metric.name === 'long-task' ? 'Long task' : `Web vital ${metric.name}`;
+
+      const logEntry = {
+        level: metric.rating === 'poor' ? 'warn' : 'info',
+        message: `${subject} ${value}${rating} on ${metric.route}`.slice(0, 10000),
+        service: this.config.service,
+        component: this.config.component,
+        sessionId: this.sessionManager ? this.sessionManager.getSessionId() : null,
+        metadata: {
+          source: 'web-vitals',
+          url: window.location.href,
+          timestamp: Date.now(),
+          trace: this.getTraceMetadata(),
+          metric
+        }
+      };
+
+      this.enqueue(logEntry);
+    }
+
+    /**
+     * Get the trace fields for a log entry
+     * @param {object} span - Span the entry belongs to (defaults to the current span)
+     * @returns {object|undefined} { traceId, spanId, parentSpanId, traceState }
+     */
+    getTraceMetadata(span) {
+      return this.traceContext ? this.traceContext.toLogContext(span) : undefined;
+    }
+
+    /**
+     * Start a child span of the current span
+     * @param {string} name - Span name
+     * @returns {object|null} Span, to pass to withSpan() or as metadata.trace to log()
+     */
+    startSpan(name) {
+      return this.traceContext ? this.traceContext.startSpan(name) : null;
     }
 
+    /**
+     * Run a function with a span as the current span
+     * Only the synchronous part of fn is covered; pass the span to log() for later async work.
+     * @param {object|string} span - Span, or a name to start a child span with
+     * @param {function} fn - Function to run
+     * @returns {*} Result of fn
+     */
+    withSpan(span, fn) {
+      return this.traceContext ? this.traceContext.withSpan(span, fn) : fn(null);
+    }
+
+    /**
+     * Get traceparent/tracestate headers for a request made outside network capture
+     * @returns {object} Headers, empty when tracing is unavailable
+     */
+    getTraceHeaders() {
+      return this.traceContext ? this.traceContext.getTraceHeaders() : {};
+    }
+
+    /**
+     * Get stack trace for source location
+     * @returns {string} Stack trace
+     */
     getStackTrace() {
       try {
         throw new Error();
       } catch (e) {
+        // Remove this function and the console wrapper from stack
         const lines = e.stack.split('\n');
         return lines.slice(3).join('\n');
       }
     }
 
+    /**
+     * Update performance statistics
+     * @param {number} duration - Operation duration in ms
+     */
     updatePerformanceStats(duration) {
       this.performanceStats.calls++;
       this.performanceStats.totalTime += duration;
       this.performanceStats.avgTime = this.performanceStats.totalTime / this.performanceStats.calls;
 
-      if (this.performanceStats.avgTime > this.config.performanceThreshold) {
+      // The sampler backs off (and recovers) instead
+      if (this.sampler) {
+        this.sampler.recordOverhead(duration);
+        return;
+      }
+
+      // Disable if performance threshold exceeded
+      if (!this.performanceStats.disabled && this.performanceStats.avgTime > this.config.performanceThreshold) {
         this.performanceStats.disabled = true;
-        console.warn(`TkrLogging: Performance threshold exceeded (${this.performanceStats.avgTime.toFixed(2)}ms avg), disabling logging`);
+        console.warn(`TkrLogging: Performance threshold exceeded (${this.performanceStats.avgTime.toFixed(2)}ms avg), logging only errors until enable() is called`);
       }
     }
 
+    /**
+     * Manual log method for direct logging
+     * @param {string} level - Log level
+     * @param {string} message - Log message
+     * @param {object} metadata - Additional metadata
+     */
     log(level, message, metadata = {}) {
       if (!this.enabled) {
         return;
@@ -637,46 +4747,74 @@
           source: 'manual',
           url: window.location.href,
           timestamp: Date.now(),
-          ...metadata
+          ...metadata,
+          trace: this.getTraceMetadata(metadata.trace)
         }
       };
 
-      if (this.batchSender) {
-        this.batchSender.add(logEntry);
-      }
+      this.enqueue(logEntry);
     }
 
+    /**
+     * Flush all pending logs
+     * @returns {Promise<void>}
+     */
     async flush() {
+      if (this.tabCoordinator) {
+        this.tabCoordinator.sendOutgoing();
+      }
       if (this.batchSender) {
         await this.batchSender.flush(true);
       }
     }
 
+    /**
+     * Disable logging
+     */
     disable() {
       this.enabled = false;
-      this.sendLogDirectly('INFO', 'TkrLogging client disabled');
+      this.sendLogDirectly('info', 'TkrLogging client disabled');
     }
 
+    /**
+     * Enable logging
+     */
     enable() {
-      if (!this.performanceStats.disabled) {
-        this.enabled = true;
-        this.sendLogDirectly('INFO', 'TkrLogging client enabled');
-      } else {
-        console.warn('TkrLogging: Cannot enable, performance threshold exceeded');
+      // Start over after a self-disable (without a sampler), measuring overhead afresh
+      if (this.performanceStats.disabled) {
+        this.performanceStats = {
+          calls: 0,
+          totalTime: 0,
+          avgTime: 0,
+          disabled: false
+        };
       }
+
+      this.enabled = true;
+      this.sendLogDirectly('info', 'TkrLogging client enabled');
     }
 
+    /**
+     * Get client statistics
+     * @returns {object} Statistics
+     */
     getStats() {
       const stats = {
         enabled: this.enabled,
         performance: this.performanceStats,
         session: this.sessionManager ? this.sessionManager.getSessionMetadata() : null,
+        redaction: this.redactor ? this.redactor.getStats() : null,
+        sampling: this.sampler ? this.sampler.getStats() : null,
+        tabs: this.tabCoordinator ? this.tabCoordinator.getStats() : null,
         batch: this.batchSender ? this.batchSender.getStats() : null
       };
 
       return stats;
     }
 
+    /**
+     * Restore original console methods
+     */
     restore() {
       Object.keys(this.originalConsole).forEach(method => {
         if (this.originalConsole[method]) {
@@ -684,12 +4822,28 @@
         }
       });
 
+      if (this.networkCapture) {
+        this.networkCapture.uninstall();
+      }
+
+      if (this.webVitals) {
+        this.webVitals.uninstall();
+      }
+
+      if (this.breadcrumbs) {
+        this.breadcrumbs.uninstall();
+      }
+
+      if (this.tabCoordinator) {
+        this.tabCoordinator.stop();
+      }
+
       if (this.batchSender) {
         this.batchSender.destroy();
       }
 
       this.enabled = false;
-      this.sendLogDirectly('INFO', 'TkrLogging client restored original console');
+      this.sendLogDirectly('info', 'TkrLogging client restored original console');
     }
   }
 
@@ -703,21 +4857,28 @@
     flush: loggingClient.flush,
     disable: loggingClient.disable,
     enable: loggingClient.enable,
+    startSpan: loggingClient.startSpan,
+    withSpan: loggingClient.withSpan,
+    getTraceHeaders: loggingClient.getTraceHeaders,
+    addBreadcrumb: loggingClient.addBreadcrumb,
     getStats: () => loggingClient.getStats(),
     restore: () => loggingClient.restore(),
     _initialized: true,
-    _client: loggingClient
+    _client: loggingClient // For debugging only
   };
 
-  // Auto-initialize if in development
+  // Auto-initialize if in development or if TKR_LOG_ENABLED is set
   if (window.location.hostname === 'localhost' ||
       window.location.hostname === '127.0.0.1' ||
       window.location.search.includes('tkr_logging=true') ||
       localStorage.getItem('tkr_logging_enabled') === 'true') {
 
+    // Small delay to ensure dependencies are loaded
     setTimeout(() => {
-      window.TkrLogging.init();
+      if (window.SessionManager && window.OfflineStore && window.BatchSender) {
+        window.TkrLogging.init();
+      }
     }, 100);
   }
 
-})();
\ No newline at end of file
+})();
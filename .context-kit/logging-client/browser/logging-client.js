@@ -6,9 +6,11 @@
  * - Zero visible impact on DevTools console experience
  * - Preserves line numbers and stack traces
  * - Session tracking across page reloads
- * - Graceful offline handling
- * - Performance monitoring (stops if overhead > 1ms)
+ * - Durable offline queue (IndexedDB) that survives reloads and crashes
+ * - Adaptive sampling and rate limiting that back off while overhead exceeds 1ms
  * - Error and unhandled rejection capture
+ * - W3C trace context on every entry, with opt-in fetch/XHR capture and traceparent propagation
+ * - One uploading tab per origin: other tabs forward their entries to an elected leader
  */
 
 (function() {
@@ -27,9 +29,29 @@
     captureErrors: true,
     sessionTracking: true,
     performanceThreshold: 1, // 1ms max overhead
+    adaptiveSampling: true, // Sample entries while over the threshold instead of disabling logging
+    sampleRates: {}, // Base rate per level, e.g. { debug: 0.1 } (error and fatal are always kept)
+    rateLimitBurst: 20, // Entries per message fingerprint before rate limiting
+    rateLimitPerSecond: 5, // Sustained entries per message fingerprint
+    offlineMaxBytes: 5 * 1024 * 1024, // 5MB durable offline queue
     enabled: true,
     service: 'browser',
-    component: 'browser-console'
+    component: 'browser-console',
+    captureNetwork: false,
+    networkExcludeUrls: [], // Logging endpoint is always excluded
+    networkRedactQueryParams: ['token', 'access_token', 'refresh_token', 'id_token', 'api_key', 'apikey', 'key', 'password', 'secret', 'signature', 'code'],
+    networkRedactHeaders: ['authorization', 'proxy-authorization', 'cookie', 'set-cookie', 'x-api-key', 'x-auth-token', 'x-csrf-token'],
+    traceOrigins: [], // Cross-origin URLs (prefix or RegExp) that may receive a traceparent header
+    traceparent: null, // Server trace to continue (defaults to <meta name="traceparent">)
+    tracestate: null,
+    captureWebVitals: false,
+    longTaskThreshold: 50, // ms
+    resourceTimingThreshold: 1000, // ms, 0 disables resource timing entries
+    redaction: {}, // Overrides for Redactor.DEFAULT_CONFIG (mirrors config/defaults.json)
+    captureBreadcrumbs: true,
+    maxBreadcrumbs: 50, // Ring buffer size
+    errorBreadcrumbs: 20, // Breadcrumbs attached to each error entry
+    crossTab: true // Elect one tab to upload for all open tabs
   };
 
   // Log level mapping (compatible with unified core module)
@@ -47,6 +69,14 @@
       this.config = { ...DEFAULT_CONFIG };
       this.sessionManager = null;
       this.batchSender = null;
+      this.traceContext = null;
+      this.networkCapture = null;
+      this.webVitals = null;
+      this.redactor = null;
+      this.breadcrumbs = null;
+      this.tabCoordinator = null;
+      this.tabId = null;
+      this.sampler = null;
       this.originalConsole = {};
       this.enabled = false;
       this.performanceStats = {
@@ -62,6 +92,10 @@
       this.flush = this.flush.bind(this);
       this.enable = this.enable.bind(this);
       this.disable = this.disable.bind(this);
+      this.startSpan = this.startSpan.bind(this);
+      this.withSpan = this.withSpan.bind(this);
+      this.getTraceHeaders = this.getTraceHeaders.bind(this);
+      this.addBreadcrumb = this.addBreadcrumb.bind(this);
     }
 
     /**
@@ -77,6 +111,15 @@
       }
 
       try {
+        // Secret and PII redaction, applied before entries are queued. Fails
+        // closed: without redactor.js nothing is logged unless redaction is off.
+        if (window.Redactor) {
+          this.redactor = new window.Redactor(this.config.redaction);
+        } else if (!this.config.redaction || this.config.redaction.enabled !== false) {
+          console.warn('TkrLogging: Redactor not available, not logging (load redactor.js or set redaction: { enabled: false })');
+          return;
+        }
+
         // Initialize session manager
         if (!window.SessionManager) {
           console.warn('TkrLogging: SessionManager not available');
@@ -86,6 +129,10 @@
         this.sessionManager.initialize();
 
         // Initialize batch sender
+        if (!window.OfflineStore) {
+          console.warn('TkrLogging: OfflineStore not available');
+          return;
+        }
         if (!window.BatchSender) {
           console.warn('TkrLogging: BatchSender not available');
           return;
@@ -94,17 +141,51 @@
           endpoint: this.config.endpoint,
           batchSize: this.config.batchSize,
           flushInterval: this.config.flushInterval,
-          performanceThreshold: this.config.performanceThreshold
+          offlineMaxBytes: this.config.offlineMaxBytes
         });
+        this.tabId = this.batchSender.ownerId;
+
+        // Leader election across tabs
+        if (this.config.crossTab) {
+          this.setupTabCoordination();
+        }
+
+        // Sampling and rate limiting, replacing the hard self-disable
+        if (this.config.adaptiveSampling) {
+          this.setupSampling();
+        }
+
+        // Page span that entries and captured requests are attributed to
+        if (window.TraceContext) {
+          this.traceContext = new window.TraceContext({
+            traceparent: this.config.traceparent,
+            tracestate: this.config.tracestate
+          });
+        }
 
         // Intercept console methods
         this.interceptConsole();
 
+        // Set up breadcrumb recording (before error capture, which attaches them)
+        if (this.config.captureBreadcrumbs) {
+          this.setupBreadcrumbs();
+        }
+
         // Set up error capturing
         if (this.config.captureErrors) {
           this.setupErrorCapture();
         }
 
+        // Set up network capturing
+        if (this.config.captureNetwork) {
+          this.setupNetworkCapture();
+        }
+
+        // Set up Web Vitals capturing
+        if (this.config.captureWebVitals) {
+          this.setupWebVitals();
+        }
+
         this.enabled = true;
 
         // Log initialization (but don't log this specific message to avoid recursion)
@@ -131,14 +212,15 @@
 
           // Create intercepted version
           console[method] = (...args) => {
-            const startTime = performance.now();
-
             // Call original method FIRST for perfect passthrough
             // This preserves line numbers, stack traces, and DevTools experience
             this.originalConsole[method].apply(console, args);
 
-            // Then handle logging if enabled and performance allows
-            if (this.enabled && !this.performanceStats.disabled) {
+            // Only our own work counts as overhead - the passthrough costs the same without logging
+            const startTime = performance.now();
+
+            // Then handle logging if enabled and performance allows (errors are always logged)
+            if (this.enabled && (!this.performanceStats.disabled || method === 'error')) {
               try {
                 this.handleConsoleCall(method, args);
               } catch (error) {
@@ -160,6 +242,14 @@
      * @param {array} args - Console arguments
      */
     handleConsoleCall(method, args) {
+      const level = LOG_LEVELS[method] || 'INFO';
+
+      // Decide before formatting, which is the expensive part; the format string is the fingerprint
+      const sampled = this.sample(level, typeof args[0] === 'string' ? args[0] : Object.prototype.toString.call(args[0]));
+      if (!sampled) {
+        return;
+      }
+
       // Convert arguments to string message
       const message = args.map(arg => {
         if (typeof arg === 'string') {
@@ -180,7 +270,7 @@
 
       // Create log entry
       const logEntry = {
-        level: LOG_LEVELS[method] || 'INFO',
+        level,
         message: message.slice(0, 10000), // Truncate very long messages
         service: this.config.service,
         component: this.config.component,
@@ -192,13 +282,105 @@
           stack: stack,
           url: window.location.href,
           userAgent: navigator.userAgent,
-          timestamp: Date.now()
+          timestamp: Date.now(),
+          trace: this.getTraceMetadata()
         }
       };
 
       // Add to batch
-      if (this.batchSender) {
-        this.batchSender.add(logEntry);
+      this.enqueue(logEntry, sampled);
+    }
+
+    /**
+     * Sample, redact and add an entry to the batch, or forward it to the leader tab
+     * @param {object} logEntry - Log entry
+     * @param {number} sampled - Sampling decision already made for the entry (see sample())
+     */
+    enqueue(logEntry, sampled) {
+      if (!this.batchSender) {
+        return;
+      }
+
+      const represented = sampled !== undefined ? sampled : this.sample(logEntry.level, logEntry.message);
+      if (!represented) {
+        return;
+      }
+
+      if (logEntry.metadata) {
+        logEntry.metadata.tabId = this.tabId;
+        if (represented > 1) {
+          // Entries dropped since the last kept entry like this one, for extrapolation
+          logEntry.metadata.sampled = represented;
+        }
+      }
+      const entry = this.redactor ? this.redactor.redactEntry(logEntry) : logEntry;
+
+      if (this.tabCoordinator && this.tabCoordinator.canForward()) {
+        // The entry ID is the acknowledgement key, so it is assigned here rather than by the leader
+        this.tabCoordinator.forward({
+          timestamp: Date.now(),
+          entryId: this.batchSender.generateEntryId(),
+          ...entry
+        });
+        return;
+      }
+
+      this.batchSender.add(entry);
+    }
+
+    /**
+     * Decide whether an entry is kept
+     * @param {string} level - Entry level
+     * @param {string} message - Message (fingerprinted for rate limiting)
+     * @returns {number} 0 to drop the entry, otherwise the number of entries it stands for
+     */
+    sample(level, message) {
+      return this.sampler ? this.sampler.sample(level, message) : 1;
+    }
+
+    /**
+     * Setup adaptive sampling and per-fingerprint rate limiting
+     */
+    setupSampling() {
+      if (!window.AdaptiveSampler) {
+        console.warn('TkrLogging: AdaptiveSampler not available, logging disables itself when over the performance threshold');
+        return;
+      }
+
+      this.sampler = new window.AdaptiveSampler({
+        sampleRates: this.config.sampleRates,
+        burst: this.config.rateLimitBurst,
+        perSecond: this.config.rateLimitPerSecond,
+        overheadThreshold: this.config.performanceThreshold
+      });
+    }
+
+    /**
+     * Setup leader election across tabs, so only one tab uploads
+     */
+    setupTabCoordination() {
+      if (!window.TabCoordinator) {
+        console.warn('TkrLogging: TabCoordinator not available, each tab uploads its own logs');
+        return;
+      }
+
+      const addAll = (entries) => entries.forEach(entry => this.batchSender.add(entry));
+
+      this.tabCoordinator = new window.TabCoordinator({
+        tabId: this.tabId,
+        onEntries: addAll,
+        onFallback: (entries, leaving) => {
+          addAll(entries);
+          // The batch sender's own pagehide flush has already run
+          if (leaving) {
+            this.batchSender.flushOnUnload();
+          }
+        }
+      });
+
+      // Without BroadcastChannel every tab uploads on its own, as before
+      if (!this.tabCoordinator.start()) {
+        this.tabCoordinator = null;
       }
     }
 
@@ -223,11 +405,12 @@
           source: 'client',
           url: window.location.href,
           timestamp: Date.now(),
+          trace: this.getTraceMetadata(),
           ...metadata
         }
       };
 
-      this.batchSender.add(logEntry);
+      this.enqueue(logEntry);
     }
 
     /**
@@ -251,13 +434,13 @@
             colno: event.colno,
             stack: event.error ? event.error.stack : null,
             url: window.location.href,
-            timestamp: Date.now()
+            timestamp: Date.now(),
+            trace: this.getTraceMetadata(),
+            breadcrumbs: this.getErrorBreadcrumbs()
           }
         };
 
-        if (this.batchSender) {
-          this.batchSender.add(logEntry);
-        }
+        this.enqueue(logEntry);
       });
 
       // Unhandled promise rejection handler
@@ -286,14 +469,199 @@
             reason: typeof reason === 'object' ? JSON.stringify(reason) : String(reason),
             stack: stack,
             url: window.location.href,
-            timestamp: Date.now()
+            timestamp: Date.now(),
+            trace: this.getTraceMetadata(),
+            breadcrumbs: this.getErrorBreadcrumbs()
           }
         };
 
-        if (this.batchSender) {
-          this.batchSender.add(logEntry);
+        this.enqueue(logEntry);
+      });
+    }
+
+    /**
+     * Setup breadcrumb recording of navigation, clicks and form input
+     */
+    setupBreadcrumbs() {
+      if (!window.BreadcrumbRecorder) {
+        console.warn('TkrLogging: BreadcrumbRecorder not available');
+        return;
+      }
+
+      this.breadcrumbs = new window.BreadcrumbRecorder({
+        maxBreadcrumbs: this.config.maxBreadcrumbs,
+        isActive: () => this.enabled && !this.performanceStats.disabled,
+        onOverhead: (duration) => this.updatePerformanceStats(duration)
+      });
+
+      this.breadcrumbs.install();
+    }
+
+    /**
+     * Get the breadcrumbs attached to error entries
+     * @returns {Array<object>|undefined} Most recent breadcrumbs, oldest first
+     */
+    getErrorBreadcrumbs() {
+      return this.breadcrumbs ? this.breadcrumbs.getBreadcrumbs(this.config.errorBreadcrumbs) : undefined;
+    }
+
+    /**
+     * Record a custom breadcrumb (e.g. "Opened checkout dialog")
+     * @param {string} message - Breadcrumb message
+     * @param {object} data - Additional details
+     */
+    addBreadcrumb(message, data = {}) {
+      if (this.breadcrumbs) {
+        this.breadcrumbs.add('custom', data, String(message).slice(0, 200));
+      }
+    }
+
+    /**
+     * Setup fetch/XMLHttpRequest capture
+     */
+    setupNetworkCapture() {
+      if (!window.NetworkCapture) {
+        console.warn('TkrLogging: NetworkCapture not available');
+        return;
+      }
+
+      this.networkCapture = new window.NetworkCapture({
+        // Never capture our own requests, to avoid recursion
+        excludeUrls: [this.config.endpoint, ...this.config.networkExcludeUrls],
+        redactQueryParams: this.config.networkRedactQueryParams,
+        redactHeaders: this.config.networkRedactHeaders,
+        traceOrigins: this.config.traceOrigins,
+        traceContext: this.traceContext,
+        isActive: () => this.enabled && !this.performanceStats.disabled,
+        onOverhead: (duration) => this.updatePerformanceStats(duration),
+        onRequest: (record) => this.handleNetworkRequest(record)
+      });
+
+      this.networkCapture.install();
+    }
+
+    /**
+     * Handle a completed fetch/XHR request for logging
+     * @param {object} record - Request record from NetworkCapture
+     */
+    handleNetworkRequest(record) {
+      let level = 'info';
+      if (record.error || record.status >= 500) {
+        level = 'error';
+      } else if (record.status >= 400) {
+        level = 'warn';
+      }
+
+      const outcome = record.error ? `failed: ${record.error}` : `${record.status}`;
+
+      const logEntry = {
+        level,
+        message: `${record.method} ${record.url} ${outcome} (${Math.round(record.duration)}ms)`.slice(0, 10000),
+        service: this.config.service,
+        component: this.config.component,
+        sessionId: this.sessionManager ? this.sessionManager.getSessionId() : null,
+        metadata: {
+          source: 'network',
+          url: window.location.href,
+          timestamp: Date.now(),
+          // The request's own span, so server logs for it nest underneath
+          trace: record.spanId ? {
+            traceId: record.traceId,
+            spanId: record.spanId,
+            parentSpanId: record.parentSpanId
+          } : this.getTraceMetadata(),
+          request: record
         }
+      };
+
+      this.enqueue(logEntry);
+    }
+
+    /**
+     * Setup Web Vitals, long task and resource timing capture
+     */
+    setupWebVitals() {
+      if (!window.WebVitalsCapture) {
+        console.warn('TkrLogging: WebVitalsCapture not available');
+        return;
+      }
+
+      this.webVitals = new window.WebVitalsCapture({
+        longTaskThreshold: this.config.longTaskThreshold,
+        resourceThreshold: this.config.resourceTimingThreshold,
+        // Our own batches are sent in the background and would skew resource timings
+        excludeUrls: [this.config.endpoint, ...this.config.networkExcludeUrls],
+        isActive: () => this.enabled && !this.performanceStats.disabled,
+        onOverhead: (duration) => this.updatePerformanceStats(duration),
+        onMetric: (metric) => this.handleWebVital(metric)
       });
+
+      this.webVitals.install();
+    }
+
+    /**
+     * Handle a measured Web Vital, long task or slow resource for logging
+     * @param {object} metric - Metric from WebVitalsCapture
+     */
+    handleWebVital(metric) {
+      const value = metric.unit === 'ms' ? `${metric.value}ms` : `${metric.value}`;
+      const rating = metric.rating ? ` (${metric.rating})` : '';
+      const subject = metric.name === 'resource' ? `Slow resource ${metric.attribution.url}` :
+        metric.name === 'long-task' ? 'Long task' : `Web vital ${metric.name}`;
+
+      const logEntry = {
+        level: metric.rating === 'poor' ? 'warn' : 'info',
+        message: `${subject} ${value}${rating} on ${metric.route}`.slice(0, 10000),
+        service: this.config.service,
+        component: this.config.component,
+        sessionId: this.sessionManager ? this.sessionManager.getSessionId() : null,
+        metadata: {
+          source: 'web-vitals',
+          url: window.location.href,
+          timestamp: Date.now(),
+          trace: this.getTraceMetadata(),
+          metric
+        }
+      };
+
+      this.enqueue(logEntry);
+    }
+
+    /**
+     * Get the trace fields for a log entry
+     * @param {object} span - Span the entry belongs to (defaults to the current span)
+     * @returns {object|undefined} { traceId, spanId, parentSpanId, traceState }
+     */
+    getTraceMetadata(span) {
+      return this.traceContext ? this.traceContext.toLogContext(span) : undefined;
+    }
+
+    /**
+     * Start a child span of the current span
+     * @param {string} name - Span name
+     * @returns {object|null} Span, to pass to withSpan() or as metadata.trace to log()
+     */
+    startSpan(name) {
+      return this.traceContext ? this.traceContext.startSpan(name) : null;
+    }
+
+    /**
+     * Run a function with a span as the current span
+     * Only the synchronous part of fn is covered; pass the span to log() for later async work.
+     * @param {object|string} span - Span, or a name to start a child span with
+     * @param {function} fn - Function to run
+     * @returns {*} Result of fn
+     */
+    withSpan(span, fn) {
+      return this.traceContext ? this.traceContext.withSpan(span, fn) : fn(null);
+    }
+
+    /**
+     * Get traceparent/tracestate headers for a request made outside network capture
+     * @returns {object} Headers, empty when tracing is unavailable
+     */
+    getTraceHeaders() {
+      return this.traceContext ? this.traceContext.getTraceHeaders() : {};
     }
 
     /**
@@ -319,10 +687,16 @@
       this.performanceStats.totalTime += duration;
       this.performanceStats.avgTime = this.performanceStats.totalTime / this.performanceStats.calls;
 
+      // The sampler backs off (and recovers) instead
+      if (this.sampler) {
+        this.sampler.recordOverhead(duration);
+        return;
+      }
+
       // Disable if performance threshold exceeded
-      if (this.performanceStats.avgTime > this.config.performanceThreshold) {
+      if (!this.performanceStats.disabled && this.performanceStats.avgTime > this.config.performanceThreshold) {
         this.performanceStats.disabled = true;
-        console.warn(`TkrLogging: Performance threshold exceeded (${this.performanceStats.avgTime.toFixed(2)}ms avg), disabling logging`);
+        console.warn(`TkrLogging: Performance threshold exceeded (${this.performanceStats.avgTime.toFixed(2)}ms avg), logging only errors until enable() is called`);
       }
     }
 
@@ -347,13 +721,12 @@
           source: 'manual',
           url: window.location.href,
           timestamp: Date.now(),
-          ...metadata
+          ...metadata,
+          trace: this.getTraceMetadata(metadata.trace)
         }
       };
 
-      if (this.batchSender) {
-        this.batchSender.add(logEntry);
-      }
+      this.enqueue(logEntry);
     }
 
     /**
@@ -361,6 +734,9 @@
      * @returns {Promise<void>}
      */
     async flush() {
+      if (this.tabCoordinator) {
+        this.tabCoordinator.sendOutgoing();
+      }
       if (this.batchSender) {
         await this.batchSender.flush(true);
       }
@@ -378,12 +754,18 @@
      * Enable logging
      */
     enable() {
-      if (!this.performanceStats.disabled) {
-        this.enabled = true;
-        this.sendLogDirectly('info', 'TkrLogging client enabled');
-      } else {
-        console.warn('TkrLogging: Cannot enable, performance threshold exceeded');
+      // Start over after a self-disable (without a sampler), measuring overhead afresh
+      if (this.performanceStats.disabled) {
+        this.performanceStats = {
+          calls: 0,
+          totalTime: 0,
+          avgTime: 0,
+          disabled: false
+        };
       }
+
+      this.enabled = true;
+      this.sendLogDirectly('info', 'TkrLogging client enabled');
     }
 
     /**
@@ -395,6 +777,9 @@
         enabled: this.enabled,
         performance: this.performanceStats,
         session: this.sessionManager ? this.sessionManager.getSessionMetadata() : null,
+        redaction: this.redactor ? this.redactor.getStats() : null,
+        sampling: this.sampler ? this.sampler.getStats() : null,
+        tabs: this.tabCoordinator ? this.tabCoordinator.getStats() : null,
         batch: this.batchSender ? this.batchSender.getStats() : null
       };
 
@@ -411,6 +796,22 @@
         }
       });
 
+      if (this.networkCapture) {
+        this.networkCapture.uninstall();
+      }
+
+      if (this.webVitals) {
+        this.webVitals.uninstall();
+      }
+
+      if (this.breadcrumbs) {
+        this.breadcrumbs.uninstall();
+      }
+
+      if (this.tabCoordinator) {
+        this.tabCoordinator.stop();
+      }
+
       if (this.batchSender) {
         this.batchSender.destroy();
       }
@@ -430,6 +831,10 @@
     flush: loggingClient.flush,
     disable: loggingClient.disable,
     enable: loggingClient.enable,
+    startSpan: loggingClient.startSpan,
+    withSpan: loggingClient.withSpan,
+    getTraceHeaders: loggingClient.getTraceHeaders,
+    addBreadcrumb: loggingClient.addBreadcrumb,
     getStats: () => loggingClient.getStats(),
     restore: () => loggingClient.restore(),
     _initialized: true,
@@ -444,7 +849,7 @@
 
     // Small delay to ensure dependencies are loaded
     setTimeout(() => {
-      if (window.SessionManager && window.BatchSender) {
+      if (window.SessionManager && window.OfflineStore && window.BatchSender) {
         window.TkrLogging.init();
       }
     }, 100);
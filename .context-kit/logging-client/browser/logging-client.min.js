@@ -1,5 +1,8 @@
 /**
  * TKR Browser Logging Client - Minified Version
- * Intercepts console methods with perfect passthrough while logging to backend
+ * Minified logging-client-combined.js, generated by build.js
  */
-!function(){"use strict";if(window.TkrLogging&&window.TkrLogging._initialized)return;const e={endpoint:"http://localhost:42003/api/logs/batch",batchSize:10,flushInterval:5e3,captureErrors:!0,sessionTracking:!0,performanceThreshold:1,enabled:!0,service:"browser",component:"browser-console"},t={log:"INFO",info:"INFO",warn:"WARN",error:"ERROR",debug:"DEBUG",trace:"DEBUG"};class s{constructor(){this.config={...e},this.sessionManager=null,this.batchSender=null,this.originalConsole={},this.enabled=!1,this.performanceStats={calls:0,totalTime:0,avgTime:0,disabled:!1},this.init=this.init.bind(this),this.log=this.log.bind(this),this.flush=this.flush.bind(this),this.enable=this.enable.bind(this),this.disable=this.disable.bind(this)}init(e={}){if(this.config={...this.config,...e},!this.config.enabled)return;try{if(!window.SessionManager)return void console.warn("TkrLogging: SessionManager not available");if(this.sessionManager=new window.SessionManager,this.sessionManager.initialize(),!window.BatchSender)return void console.warn("TkrLogging: BatchSender not available");this.batchSender=new window.BatchSender({endpoint:this.config.endpoint,batchSize:this.config.batchSize,flushInterval:this.config.flushInterval,performanceThreshold:this.config.performanceThreshold}),this.interceptConsole(),this.config.captureErrors&&this.setupErrorCapture(),this.enabled=!0,this.sendLogDirectly("INFO","TkrLogging client initialized",{config:{...this.config,endpoint:"[redacted]"},sessionId:this.sessionManager.getSessionId()})}catch(e){console.error("TkrLogging: Failed to initialize:",e)}}interceptConsole(){["log","info","warn","error","debug","trace"].forEach(e=>{if("function"==typeof console[e]){this.originalConsole[e]=console[e];const t=this.originalConsole[e];console[e]=(...s)=>{const i=performance.now();t.apply(console,s),this.enabled&&!this.performanceStats.disabled&&this.handleConsoleCall(e,s);const n=performance.now();this.updatePerformanceStats(n-i)}}})}handleConsoleCall(e,s){const i=s.map(e=>{if("string"==typeof e)return e;if(e instanceof Error)return`${e.name}: ${e.message}\n${e.stack}`;try{return JSON.stringify(e,null,2)}catch(t){return String(e)}}).join(" "),n=this.getStackTrace(),o={level:t[e]||"INFO",message:i.slice(0,1e4),service:this.config.service,component:this.config.component,sessionId:this.sessionManager?this.sessionManager.getSessionId():null,metadata:{source:"console",method:e,argCount:s.length,stack:n,url:window.location.href,userAgent:navigator.userAgent,timestamp:Date.now()}};this.batchSender&&this.batchSender.add(o)}sendLogDirectly(e,t,s={}){if(!this.enabled||!this.batchSender)return;const i={level:e,message:t,service:this.config.service,component:this.config.component,sessionId:this.sessionManager?this.sessionManager.getSessionId():null,metadata:{source:"client",url:window.location.href,timestamp:Date.now(),...s}};this.batchSender.add(i)}setupErrorCapture(){window.addEventListener("error",e=>{if(!this.enabled)return;const t={level:"ERROR",message:`Uncaught Error: ${e.message}`,service:this.config.service,component:this.config.component,sessionId:this.sessionManager?this.sessionManager.getSessionId():null,metadata:{source:"global-error",filename:e.filename,lineno:e.lineno,colno:e.colno,stack:e.error?e.error.stack:null,url:window.location.href,timestamp:Date.now()}};this.batchSender&&this.batchSender.add(t)}),window.addEventListener("unhandledrejection",e=>{if(!this.enabled)return;const t=e.reason;let s="Unhandled Promise Rejection",i=null;t instanceof Error?(s=`Unhandled Promise Rejection: ${t.message}`,i=t.stack):s=`Unhandled Promise Rejection: ${String(t)}`;const n={level:"ERROR",message:s,service:this.config.service,component:this.config.component,sessionId:this.sessionManager?this.sessionManager.getSessionId():null,metadata:{source:"unhandled-rejection",reason:"object"==typeof t?JSON.stringify(t):String(t),stack:i,url:window.location.href,timestamp:Date.now()}};this.batchSender&&this.batchSender.add(n)})}getStackTrace(){try{throw new Error}catch(e){return e.stack.split("\n").slice(3).join("\n")}}updatePerformanceStats(e){this.performanceStats.calls++,this.performanceStats.totalTime+=e,this.performanceStats.avgTime=this.performanceStats.totalTime/this.performanceStats.calls,this.performanceStats.avgTime>this.config.performanceThreshold&&(this.performanceStats.disabled=!0,console.warn(`TkrLogging: Performance threshold exceeded (${this.performanceStats.avgTime.toFixed(2)}ms avg), disabling logging`))}log(e,t,s={}){if(!this.enabled)return;const i={level:e.toUpperCase(),message:String(t).slice(0,1e4),service:this.config.service,component:this.config.component,sessionId:this.sessionManager?this.sessionManager.getSessionId():null,metadata:{source:"manual",url:window.location.href,timestamp:Date.now(),...s}};this.batchSender&&this.batchSender.add(i)}async flush(){this.batchSender&&await this.batchSender.flush(!0)}disable(){this.enabled=!1,this.sendLogDirectly("INFO","TkrLogging client disabled")}enable(){this.performanceStats.disabled?console.warn("TkrLogging: Cannot enable, performance threshold exceeded"):(this.enabled=!0,this.sendLogDirectly("INFO","TkrLogging client enabled"))}getStats(){return{enabled:this.enabled,performance:this.performanceStats,session:this.sessionManager?this.sessionManager.getSessionMetadata():null,batch:this.batchSender?this.batchSender.getStats():null}}restore(){Object.keys(this.originalConsole).forEach(e=>{this.originalConsole[e]&&(console[e]=this.originalConsole[e])}),this.batchSender&&this.batchSender.destroy(),this.enabled=!1,this.sendLogDirectly("INFO","TkrLogging client restored original console")}}const i=new s;window.TkrLogging={init:i.init,log:i.log,flush:i.flush,disable:i.disable,enable:i.enable,getStats:()=>i.getStats(),restore:()=>i.restore(),_initialized:!0,_client:i},("localhost"===window.location.hostname||"127.0.0.1"===window.location.hostname||window.location.search.includes("tkr_logging=true")||"true"===localStorage.getItem("tkr_logging_enabled"))&&setTimeout(()=>{window.SessionManager&&window.BatchSender&&window.TkrLogging.init()},100)}();
\ No newline at end of file
+(function(){class f{constructor(){this.sessionId=null,this.storageKey="tkr_logging_session",this.sessionDuration=1440*60*1e3,this.storageListener=null}generateUUID(){return"xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx".replace(/[xy]/g,function(s){const i=Math.random()*16|0;return(s==="x"?i:i&3|8).toString(16)})}initialize(){this.watchSession();try{const s=localStorage.getItem(this.storageKey);if(s){const i=JSON.parse(s),r=Date.now();if(i.timestamp&&r-i.timestamp<this.sessionDuration)return this.sessionId=i.sessionId,this.sessionId}}catch(s){console.warn("TkrLogging: Failed to read session from localStorage:",s.message)}return this.sessionId=this.generateUUID(),this.persistSession(),this.sessionId}watchSession(){this.storageListener||typeof window=="undefined"||(this.storageListener=s=>{if(!(s.key!==this.storageKey||!s.newValue))try{const i=JSON.parse(s.newValue);i.sessionId&&(this.sessionId=i.sessionId)}catch(i){}},window.addEventListener("storage",this.storageListener))}persistSession(){try{const s={sessionId:this.sessionId,timestamp:Date.now(),userAgent:navigator.userAgent,url:window.location.href};localStorage.setItem(this.storageKey,JSON.stringify(s))}catch(s){console.warn("TkrLogging: Failed to persist session to localStorage:",s.message)}}getSessionId(){return this.sessionId}renewSession(){return this.sessionId=this.generateUUID(),this.persistSession(),this.sessionId}clearSession(){this.sessionId=null;try{localStorage.removeItem(this.storageKey)}catch(s){}}generateTraceId(){return this.generateUUID()}getSessionMetadata(){return{sessionId:this.sessionId,userAgent:navigator.userAgent,url:window.location.href,timestamp:Date.now(),timezone:Intl.DateTimeFormat().resolvedOptions().timeZone,language:navigator.language,platform:navigator.platform,cookieEnabled:navigator.cookieEnabled,onLine:navigator.onLine}}}typeof window!="undefined"&&(window.SessionManager=f)})(),(function(){const d="batches",s="pending",i="tkr_logging_offline_queue";class r{constructor(t={}){this.dbName=t.dbName||"tkr_logging",this.maxBytes=t.maxBytes||5*1024*1024,this.storageKey=t.storageKey||"tkr_logging_offline_store",this.db=null,this.backend="memory",this.records=[],this.pending={},this.nextSeq=1,this.stats={batches:0,entries:0,bytes:0,evicted:0,deduplicated:0},this.ready=this.open()}async open(){try{this.db=await this.openDatabase(),this.backend="indexeddb",await this.refreshStats()}catch(t){this.db=null,this.loadFallback()}await this.migrateLegacyQueue()}openDatabase(){return new Promise((t,n)=>{if(typeof indexedDB=="undefined"){n(new Error("IndexedDB not available"));return}const a=indexedDB.open(this.dbName,2);a.onupgradeneeded=()=>{const o=a.result;if(!o.objectStoreNames.contains(d))o.createObjectStore(d,{keyPath:"seq",autoIncrement:!0}).createIndex("entryIds","entryIds",{unique:!1,multiEntry:!0});else{const h=a.transaction.objectStore(d);h.indexNames.contains("traceIds")&&h.deleteIndex("traceIds"),h.indexNames.contains("entryIds")||h.createIndex("entryIds","entryIds",{unique:!1,multiEntry:!0})}o.objectStoreNames.contains(s)||o.createObjectStore(s,{keyPath:"ownerId"})},a.onsuccess=()=>t(a.result),a.onerror=()=>n(a.error),a.onblocked=()=>n(new Error("IndexedDB open blocked"))})}transaction(t,n,a){return new Promise((o,h)=>{const l=this.db.transaction(t,n);let c;l.oncomplete=()=>o(c),l.onerror=()=>h(l.error),l.onabort=()=>h(l.error||new Error("Transaction aborted")),a(l.objectStore(t),u=>{c=u})})}async enqueue(t){return await this.ready,this.append(t)}async append(t){if(this.db)try{return await this.enqueueIndexedDB(t)}catch(o){return console.warn("TkrLogging: Failed to persist offline batch:",o.message),!1}const n=new Set;this.records.forEach(o=>(o.entryIds||[]).forEach(h=>n.add(h)));const a=this.createRecord(t,n);return!a||!this.fitsBudget(a)?!1:(a.seq=this.nextSeq++,this.records.push(a),this.evictFallback(),this.saveFallback(),!0)}enqueueIndexedDB(t){const n=t.logs.map(a=>a.entryId).filter(Boolean);return this.transaction(d,"readwrite",(a,o)=>{const h=new Set;let l=n.length;const c=()=>{const u=this.createRecord(t,h);if(!u||!this.fitsBudget(u)){o(!1);return}a.add(u).onsuccess=()=>{o(!0),this.evictIndexedDB(a)}};if(l===0){c();return}n.forEach(u=>{const p=a.index("entryIds").count(u);p.onsuccess=()=>{p.result>0&&h.add(u),--l===0&&c()}})})}createRecord(t,n){const a=new Set(n),o=t.logs.filter(l=>l.entryId?a.has(l.entryId)?!1:(a.add(l.entryId),!0):!0);if(this.stats.deduplicated+=t.logs.length-o.length,o.length===0)return null;const h={...t,logs:o};return{payload:h,entryIds:o.map(l=>l.entryId).filter(Boolean),entryCount:o.length,bytes:this.byteLength(JSON.stringify(h)),createdAt:Date.now()}}fitsBudget(t){return t.bytes<=this.maxBytes?!0:(console.warn("TkrLogging: Batch is larger than the offline store budget, not storing it"),!1)}evictIndexedDB(t){const n=[];t.openCursor().onsuccess=a=>{const o=a.target.result;if(o){n.push({seq:o.value.seq,bytes:o.value.bytes,entryCount:o.value.entryCount}),o.continue();return}let h=n.reduce((l,c)=>l+c.bytes,0);for(;h>this.maxBytes&&n.length>0;){const l=n.shift();t.delete(l.seq),h-=l.bytes,this.stats.evicted+=l.entryCount}this.setCounts(n)}}evictFallback(){let t=this.records.reduce((n,a)=>n+a.bytes,0);for(;t>this.maxBytes&&this.records.length>0;){const n=this.records.shift();t-=n.bytes,this.stats.evicted+=n.entryCount}this.setCounts(this.records)}async peek(){return await this.ready,this.db?this.transaction(d,"readonly",(t,n)=>{n(null),t.openCursor().onsuccess=a=>{const o=a.target.result;n(o?o.value:null)}}):this.records[0]||null}async remove(t){if(await this.ready,!this.db){this.records=this.records.filter(n=>n.seq!==t),this.setCounts(this.records),this.saveFallback();return}await this.transaction(d,"readwrite",n=>{n.delete(t)}),await this.refreshStats()}async savePending(t,n){await this.ready;const a={ownerId:t,entries:n,updatedAt:Date.now()};if(!this.db){n.length>0?this.pending[t]=a:delete this.pending[t],this.saveFallback();return}try{await this.transaction(s,"readwrite",o=>{n.length>0?o.put(a):o.delete(t)})}catch(o){console.warn("TkrLogging: Failed to save pending entries:",o.message)}}async claimPending(t,n){await this.ready;const a=Date.now(),o=l=>l.ownerId===t||a-l.updatedAt>n;let h;return this.db?h=await this.transaction(s,"readwrite",(l,c)=>{const u=[];c(u),l.openCursor().onsuccess=p=>{const g=p.target.result;g&&(o(g.value)&&(u.push(g.value),g.delete()),g.continue())}}):(h=Object.values(this.pending).filter(o),h.forEach(l=>delete this.pending[l.ownerId]),this.saveFallback()),h.sort((l,c)=>l.updatedAt-c.updatedAt).reduce((l,c)=>l.concat(c.entries),[])}async clear(){if(await this.ready,this.records=[],this.pending={},this.setCounts([]),!this.db){this.saveFallback();return}await this.transaction(d,"readwrite",t=>t.clear()),await this.transaction(s,"readwrite",t=>t.clear())}async refreshStats(){const t=await this.transaction(d,"readonly",(n,a)=>{const o=[];a(o),n.openCursor().onsuccess=h=>{const l=h.target.result;l&&(o.push({bytes:l.value.bytes,entryCount:l.value.entryCount}),l.continue())}});this.setCounts(t)}setCounts(t){this.stats.batches=t.length,this.stats.entries=t.reduce((n,a)=>n+a.entryCount,0),this.stats.bytes=t.reduce((n,a)=>n+a.bytes,0)}async migrateLegacyQueue(){try{const t=localStorage.getItem(i);if(!t)return;localStorage.removeItem(i);const n=JSON.parse(t);for(const a of n)a&&Array.isArray(a.logs)&&await this.append(a)}catch(t){console.warn("TkrLogging: Failed to migrate offline queue:",t.message)}}loadFallback(){try{const t=localStorage.getItem(this.storageKey);if(this.backend="localstorage",t){const n=JSON.parse(t);this.records=n.records||[],this.pending=n.pending||{},this.nextSeq=this.records.reduce((a,o)=>Math.max(a,o.seq),0)+1}}catch(t){this.backend="memory",this.records=[],this.pending={}}this.setCounts(this.records)}saveFallback(){if(this.backend==="localstorage")try{localStorage.setItem(this.storageKey,JSON.stringify({records:this.records,pending:this.pending}))}catch(t){console.warn("TkrLogging: Failed to save offline queue:",t.message)}}byteLength(t){return typeof TextEncoder!="undefined"?new TextEncoder().encode(t).length:t.length}getStats(){return{backend:this.backend,maxBytes:this.maxBytes,...this.stats}}close(){this.db&&(this.db.close(),this.db=null)}}typeof window!="undefined"&&(window.OfflineStore=r)})(),(function(){class f{constructor(s={}){this.endpoint=s.endpoint||"http://localhost:42003/api/logs/batch",this.batchSize=s.batchSize||10,this.flushInterval=s.flushInterval||5e3,this.maxRetries=s.maxRetries||3,this.retryDelay=s.retryDelay||1e3,this.maxQueueSize=s.maxQueueSize||1e3,this.offlineMaxBytes=s.offlineMaxBytes||5*1024*1024,this.pendingStaleAfter=s.pendingStaleAfter||6e4,this.beaconMaxBytes=s.beaconMaxBytes||65536,this.queue=[],this.flushTimer=null,this.pendingSaveTimer=null,this.isOnline=navigator.onLine,this.isDraining=!1,this.drainRequested=!1,this.retryTimeouts=new Map,this.ownerId=this.getOwnerId(),this.offlineStore=this.createOfflineStore(),this.stats={sent:0,failed:0,retries:0,totalTime:0,avgTime:0,beacons:0},this.initializeEventListeners(),this.restoreOfflineQueue(),this.startFlushTimer()}createOfflineStore(){const s=typeof window!="undefined"&&window.OfflineStore||(typeof require=="function"?require("./offline-store"):null);return s?new s({maxBytes:this.offlineMaxBytes}):this.createLegacyOutbox()}createLegacyOutbox(){const s="tkr_logging_offline_queue";let r=1,e=[];try{e=JSON.parse(localStorage.getItem(s)||"[]").map(a=>({seq:r++,payload:a}))}catch(n){console.warn("TkrLogging: Failed to load offline queue:",n.message)}const t=()=>{try{localStorage.setItem(s,JSON.stringify(e.map(n=>n.payload)))}catch(n){console.warn("TkrLogging: Failed to save offline queue:",n.message)}};return{ready:Promise.resolve(),enqueue:async n=>(e.push({seq:r++,payload:n}),e=e.slice(-100),t(),!0),peek:async()=>e[0]||null,remove:async n=>{e=e.filter(a=>a.seq!==n),t()},savePending:async()=>{},claimPending:async()=>[],clear:async()=>{e=[],t()},getStats:()=>({backend:"legacy",batches:e.length,entries:e.reduce((n,a)=>n+a.payload.logs.length,0)})}}getOwnerId(){const s="tkr_logging_tab_id";try{let i=sessionStorage.getItem(s);return i||(i="tab_"+Date.now()+"_"+Math.random().toString(36).substr(2,9),sessionStorage.setItem(s,i)),i}catch(i){return"tab_"+Date.now()+"_"+Math.random().toString(36).substr(2,9)}}initializeEventListeners(){window.addEventListener("online",()=>{this.isOnline=!0,this.processOfflineQueue()}),window.addEventListener("offline",()=>{this.isOnline=!1}),document.addEventListener("visibilitychange",()=>{document.visibilityState==="hidden"&&this.flushOnUnload()}),window.addEventListener("pagehide",()=>{this.flushOnUnload()})}add(s){const i=performance.now();this.queue.length>=this.maxQueueSize&&(console.warn("TkrLogging: Queue size limit reached, dropping oldest log"),this.queue.shift());const r={timestamp:Date.now(),entryId:this.generateEntryId(),...s};this.queue.push(r),this.schedulePendingSave();const t=performance.now()-i;this.updatePerformanceStats(t),this.queue.length>=this.batchSize&&this.flush()}async flush(s=!1){if(this.queue.length===0||!s&&this.queue.length<this.batchSize)return;const i=this.queue.splice(0,this.batchSize),r=this.createPayload(i),e=this.queueOffline(r);this.savePendingNow(),await e||await this.sendUnqueued(r),this.isOnline&&await this.processOfflineQueue()}async sendUnqueued(s){(this.isOnline?await this.sendBatch(s):"failed")==="failed"&&(this.queue.unshift(...s.logs),this.savePendingNow())}async sendBatch(s,i=0){const r=performance.now();try{const e=new AbortController,t=setTimeout(()=>e.abort(),1e4),n=this.toCorePayload(s),a=await fetch(this.endpoint,{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify(n),signal:e.signal});if(clearTimeout(t),!a.ok){const h=new Error(`HTTP ${a.status}: ${a.statusText}`);throw h.retryable=a.status>=500||a.status===408||a.status===429,h}this.stats.sent+=s.logs.length;const o=performance.now()-r;return this.updatePerformanceStats(o),"sent"}catch(e){const t=performance.now()-r;if(this.updatePerformanceStats(t),e.retryable===!1)return this.stats.failed+=s.logs.length,console.warn("TkrLogging: Batch rejected by server, dropping:",e.message),"rejected";if(i<this.maxRetries){this.stats.retries++;const n=this.retryDelay*Math.pow(2,i);if(!await this.waitForRetry(s.metadata.batchId,n))return this.sendBatch(s,i+1)}return this.stats.failed+=s.logs.length,console.warn("TkrLogging: Failed to send batch after retries:",e.message),"failed"}}createPayload(s,i={}){return{logs:s,metadata:{batchId:this.generateBatchId(),source:"browser",timestamp:Date.now(),userAgent:navigator.userAgent,url:window.location.href,...i}}}toCorePayload(s){return{entries:s.logs.map(i=>this.toCoreEntry(i,s.metadata)),timestamp:s.metadata.timestamp,source:s.metadata.source}}toCoreEntry(s,i){return{id:s.entryId||this.generateEntryId(),timestamp:s.timestamp,level:s.level.toLowerCase(),service:s.service,source:s.component||s.source||"browser",message:s.message,metadata:{...s.metadata,originalLevel:s.level,batchId:i.batchId,userAgent:i.userAgent,url:s.metadata&&s.metadata.url||i.url}}}flushOnUnload(){if(this.queue.length===0)return;const s=this.createPayload(this.queue.splice(0),{transport:"beacon"});let i=s.logs;if(this.isOnline){const{chunks:r,oversized:e}=this.createBeaconChunks(s);i=e;for(let t=0;t<r.length;t++){if(!this.sendBeacon(r[t].body)){r.slice(t).forEach(n=>{i=i.concat(n.logs)});break}this.stats.sent+=r[t].logs.length,this.stats.beacons++}}i.length>0&&this.queueOffline({...s,logs:i}),this.savePendingNow()}createBeaconChunks(s){const i=this.byteLength(JSON.stringify(this.toCorePayload({...s,logs:[]}))),r=100,e=[],t=[];let n={entries:[],logs:[],bytes:i};const a=()=>{if(n.entries.length===0)return;const o=JSON.stringify({entries:n.entries,timestamp:s.metadata.timestamp,source:s.metadata.source});e.push({body:o,logs:n.logs}),n={entries:[],logs:[],bytes:i}};return s.logs.forEach(o=>{const h=this.toCoreEntry(o,s.metadata),l=this.byteLength(JSON.stringify(h))+1;if(i+l>this.beaconMaxBytes){t.push(o);return}(n.bytes+l>this.beaconMaxBytes||n.entries.length>=r)&&a(),n.entries.push(h),n.logs.push(o),n.bytes+=l}),a(),{chunks:e,oversized:t}}sendBeacon(s){if(navigator.sendBeacon)try{return navigator.sendBeacon(this.endpoint,new Blob([s],{type:"text/plain"}))}catch(i){}try{return fetch(this.endpoint,{method:"POST",headers:{"Content-Type":"text/plain"},body:s,keepalive:!0}).catch(()=>{}),!0}catch(i){return!1}}byteLength(s){return typeof TextEncoder!="undefined"?new TextEncoder().encode(s).length:s.length}waitForRetry(s,i){return new Promise(r=>{const e=setTimeout(()=>{this.retryTimeouts.delete(s),r(!1)},i);this.retryTimeouts.set(s,{timeoutId:e,cancel:()=>r(!0)})})}cancelRetries(){this.retryTimeouts.forEach(s=>{clearTimeout(s.timeoutId),s.cancel()}),this.retryTimeouts.clear()}queueOffline(s){return this.offlineStore.enqueue(s)}async processOfflineQueue(){if(this.isDraining){this.drainRequested=!0;return}this.isDraining=!0;try{do this.drainRequested=!1,await this.withOutboxLock(()=>this.drainOfflineQueue());while(this.drainRequested&&this.isOnline)}finally{this.isDraining=!1}}async drainOfflineQueue(){let s=0;for(;this.isOnline;){const i=await this.offlineStore.peek();if(!i||(s>0&&await new Promise(e=>setTimeout(e,100)),await this.sendBatch(i.payload)==="failed"))return;await this.offlineStore.remove(i.seq),s++}}async withOutboxLock(s){return typeof navigator=="undefined"||!navigator.locks?s():navigator.locks.request("tkr_logging_outbox",{ifAvailable:!0},i=>i?s():void 0)}async restoreOfflineQueue(){try{const s=await this.offlineStore.claimPending(this.ownerId,this.pendingStaleAfter);s.length>0&&!await this.queueOffline(this.createPayload(s,{recovered:!0}))&&(this.queue.unshift(...s),this.savePendingNow()),this.isOnline&&await this.processOfflineQueue()}catch(s){console.warn("TkrLogging: Failed to restore offline queue:",s.message)}}schedulePendingSave(){this.pendingSaveTimer||(this.pendingSaveTimer=setTimeout(()=>{this.pendingSaveTimer=null,this.savePendingNow()},0))}savePendingNow(){this.offlineStore.savePending(this.ownerId,this.queue.slice())}startFlushTimer(){this.flushTimer&&clearInterval(this.flushTimer),this.flushTimer=setInterval(()=>{this.flush(),this.queue.length>0&&this.schedulePendingSave()},this.flushInterval)}stopFlushTimer(){this.flushTimer&&(clearInterval(this.flushTimer),this.flushTimer=null)}updatePerformanceStats(s){this.stats.totalTime+=s;const i=this.stats.sent+this.stats.failed+this.stats.retries;this.stats.avgTime=i>0?this.stats.totalTime/i:0}generateBatchId(){return"batch_"+Date.now()+"_"+Math.random().toString(36).substr(2,9)}generateEntryId(){return"log_"+Date.now()+"_"+Math.random().toString(36).substr(2,9)}getStats(){const s=this.offlineStore.getStats();return{...this.stats,queueSize:this.queue.length,offlineQueueSize:s.batches,offline:s,isOnline:this.isOnline}}clear(){this.queue=[],this.offlineStore.clear(),this.cancelRetries(),this.stats={sent:0,failed:0,retries:0,totalTime:0,avgTime:0,beacons:0}}destroy(){this.stopFlushTimer(),this.flush(!0),this.cancelRetries(),window.removeEventListener("online",this.processOfflineQueue),window.removeEventListener("offline",()=>this.isOnline=!1)}}typeof window!="undefined"&&(window.BatchSender=f)})(),(function(){const f={enabled:!0,replacement:"[REDACTED]",keys:["password","passwd","pwd","secret","token","apiKey","api_key","authorization","cookie","set-cookie","credentials","privateKey"],paths:[],patterns:[{name:"jwt",pattern:"\\beyJ[A-Za-z0-9_-]+\\.[A-Za-z0-9_-]+\\.[A-Za-z0-9_-]+"},{name:"bearer",pattern:"\\b(Bearer|Basic)\\s+[A-Za-z0-9._~+/=-]{8,}",flags:"i",replacement:"$1 [REDACTED]"},{name:"cookie-header",pattern:"\\b(Cookie|Set-Cookie):\\s*[^\\r\\n]+",flags:"i",replacement:"$1: [REDACTED]"},{name:"key-value",pattern:`\\b(password|passwd|pwd|secret|token|api[_-]?key|access[_-]?token|refresh[_-]?token|client[_-]?secret)(['"]?\\s*[:=]\\s*['"]?)[^\\s'"&,;]+`,flags:"i",replacement:"$1$2[REDACTED]"},{name:"url-credentials",pattern:"\\b([a-z][a-z0-9+.-]*://)[^/\\s:@]+:[^/\\s@]+@",flags:"i",replacement:"$1[REDACTED]@"},{name:"aws-access-key",pattern:"\\b(AKIA|ASIA)[A-Z0-9]{16}\\b"},{name:"github-token",pattern:"\\bgh[pousr]_[A-Za-z0-9]{36,}\\b"},{name:"slack-token",pattern:"\\bxox[abprs]-[A-Za-z0-9-]{10,}"},{name:"api-key",pattern:"\\b(sk|pk|rk)[-_](live|test|proj|ant)[-_][A-Za-z0-9_-]{16,}"},{name:"email",pattern:"\\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\\.[A-Za-z]{2,}\\b"}]},d=10;class s{constructor(r={}){this.config={...f,...r},this.enabled=this.config.enabled!==!1,this.replacement=this.config.replacement,this.keys=(this.config.keys||[]).map(e=>this.normalizeKey(e)).filter(Boolean),this.paths=(this.config.paths||[]).map(e=>this.compilePath(e)),this.patterns=this.compilePatterns(this.config.patterns||[]),this.stats={entriesProcessed:0,entriesRedacted:0,redactions:0,byRule:{}}}redactEntry(r){if(!this.enabled||!r||typeof r!="object")return r;this.stats.entriesProcessed++;const e=this.stats.redactions,t=this.redactValue(r,[],0,[]);return this.stats.redactions>e?(this.stats.entriesRedacted++,t):r}redactString(r){if(!this.enabled||typeof r!="string"||r.length===0)return r;let e=r;for(let t=0;t<this.patterns.length;t++){const n=this.patterns[t];n.regex.lastIndex=0,e=e.replace(n.regex,(...a)=>(this.count(n.name),n.replacement.replace(/\$(\d)/g,(o,h)=>a[Number(h)]||"")))}return e}getStats(){return{enabled:this.enabled,...this.stats,byRule:{...this.stats.byRule}}}resetStats(){this.stats={entriesProcessed:0,entriesRedacted:0,redactions:0,byRule:{}}}redactValue(r,e,t,n){if(typeof r=="string")return this.redactString(r);if(!r||typeof r!="object"||t>=d||n.indexOf(r)!==-1)return r;n.push(r);const a=Array.isArray(r),o=a?[]:{},h=Object.keys(r);for(let l=0;l<h.length;l++){const c=h[l],u=r[c],p=e.concat(c);if(u!=null&&u!==""&&u!==this.replacement){if(!a&&this.matchesKey(c)){this.count("key"),o[c]=this.replacement;continue}if(this.matchesPath(p)){this.count("path"),o[c]=this.replacement;continue}}o[c]=this.redactValue(u,p,t+1,n)}return n.pop(),o}matchesKey(r){const e=this.normalizeKey(r);for(let t=0;t<this.keys.length;t++){const n=this.keys[t];if(e.length>=n.length&&e.lastIndexOf(n)===e.length-n.length)return!0}return!1}matchesPath(r){for(let e=0;e<this.paths.length;e++){const t=this.paths[e];if(t.length!==r.length)continue;let n=!0;for(let a=0;a<t.length&&n;a++)n=t[a].test(r[a]);if(n)return!0}return!1}normalizeKey(r){return String(r).toLowerCase().replace(/[^a-z0-9]/g,"")}compilePath(r){return String(r).split(".").map(e=>{const t=e.replace(/[.+?^${}()|[\]\\]/g,"\\$&").replace(/\*/g,".*");return new RegExp(`^${t}$`,"i")})}compilePatterns(r){const e=[];return r.forEach((t,n)=>{try{const a=(t.flags||"").replace(/g/g,"")+"g";e.push({name:t.name||`pattern-${n}`,regex:new RegExp(t.pattern,a),replacement:t.replacement!==void 0?t.replacement:this.replacement})}catch(a){console.warn(`Redactor: Ignoring invalid pattern '${t.name||n}': ${a.message}`)}}),e}count(r){this.stats.redactions++,this.stats.byRule[r]=(this.stats.byRule[r]||0)+1}}s.DEFAULT_CONFIG=f,typeof window!="undefined"&&(window.Redactor=s)})(),(function(){const f=/^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})(-.*)?$/,d="00000000000000000000000000000000",s="0000000000000000";class r{constructor(t={}){const n=t.traceparent||this.getMetaContent("traceparent"),a=t.tracestate||this.getMetaContent("tracestate"),o=this.parseTraceparent(n);this.rootSpan={name:"page",traceId:o?o.traceId:this.generateHex(32,d),spanId:this.generateHex(16,s),parentSpanId:o?o.parentSpanId:null,sampled:o?o.sampled:!0,traceState:o&&this.formatTracestate(this.parseTracestate(a))||null,startTime:Date.now()},this.currentSpan=this.rootSpan}getCurrentSpan(){return this.currentSpan}startSpan(t,n=this.currentSpan){return{name:t||"span",traceId:n.traceId,spanId:this.generateHex(16,s),parentSpanId:n.spanId,sampled:n.sampled,traceState:n.traceState,startTime:Date.now()}}withSpan(t,n){const a=this.currentSpan;this.currentSpan=typeof t=="string"?this.startSpan(t):t;try{return n(this.currentSpan)}finally{this.currentSpan=a}}toLogContext(t=this.currentSpan){return{traceId:t.traceId,spanId:t.spanId,parentSpanId:t.parentSpanId||void 0,traceState:t.traceState||void 0}}getTraceHeaders(t=this.currentSpan){const n={traceparent:this.formatTraceparent(t)};return t.traceState&&(n.tracestate=t.traceState),n}parseTraceparent(t){if(!t||typeof t!="string")return null;const n=f.exec(t.trim().toLowerCase());if(!n)return null;const a=n[1];return a==="ff"||a==="00"&&n[5]||n[2]===d||n[3]===s?null:{version:a,traceId:n[2],parentSpanId:n[3],sampled:(parseInt(n[4],16)&1)===1}}formatTraceparent(t){return`00-${t.traceId}-${t.spanId}-${t.sampled===!1?"00":"01"}`}parseTracestate(t){if(!t||typeof t!="string")return[];const n=[],a={};return t.split(",").forEach(o=>{const h=o.indexOf("=");if(h<=0||n.length>=32)return;const l=o.slice(0,h).trim(),c=o.slice(h+1).trim();l&&c&&!a[l]&&(a[l]=!0,n.push([l,c]))}),n}formatTracestate(t){return t.slice(0,32).map(n=>`${n[0]}=${n[1]}`).join(",")}getMetaContent(t){if(typeof document=="undefined")return null;const n=document.querySelector(`meta[name="${t}"]`);return n?n.getAttribute("content"):null}generateHex(t,n){const a=new Uint8Array(t/2);let o;do{if(window.crypto&&window.crypto.getRandomValues)window.crypto.getRandomValues(a);else for(let h=0;h<a.length;h++)a[h]=Math.floor(Math.random()*256);o=Array.from(a,h=>h.toString(16).padStart(2,"0")).join("")}while(o===n);return o}}typeof window!="undefined"&&(window.TraceContext=r)})(),(function(){class f{constructor(s={}){this.excludeUrls=(s.excludeUrls||[]).filter(Boolean),this.redactQueryParams=(s.redactQueryParams||[]).map(i=>i.toLowerCase()),this.redactHeaders=(s.redactHeaders||[]).map(i=>i.toLowerCase()),this.traceOrigins=s.traceOrigins||[],this.onRequest=s.onRequest||(()=>{}),this.traceContext=s.traceContext||null,this.traceId=this.generateHex(32),this.isActive=s.isActive||(()=>!0),this.onOverhead=s.onOverhead||(()=>{}),this.originalFetch=null,this.originalXHR=null,this.installed=!1}install(){this.installed||(typeof window.fetch=="function"&&this.wrapFetch(),typeof window.XMLHttpRequest=="function"&&this.wrapXHR(),this.installed=!0)}uninstall(){if(this.installed){if(this.originalFetch&&(window.fetch=this.originalFetch),this.originalXHR){const s=window.XMLHttpRequest.prototype;s.open=this.originalXHR.open,s.send=this.originalXHR.send,s.setRequestHeader=this.originalXHR.setRequestHeader}this.installed=!1}}wrapFetch(){const s=this,i=window.fetch;this.originalFetch=i,window.fetch=function(r,e){const t=performance.now(),n=s.getRequestUrl(r);if(!s.isActive()||s.isExcluded(n))return i.apply(this,arguments);const a=typeof Request!="undefined"&&r instanceof Request?r:null,o=(e&&e.method||a&&a.method||"GET").toUpperCase(),h=new Headers(e&&e.headers||a&&a.headers||void 0),l=s.shouldPropagate(n)?s.createTraceContext():null;let c=arguments;l&&!h.has("traceparent")&&(h.set("traceparent",l.traceparent),l.tracestate&&!h.has("tracestate")&&h.set("tracestate",l.tracestate),c=[r,{...e,headers:h}]);const u={type:"fetch",method:o,url:n,requestHeaders:s.headersToObject(h),trace:l,startTime:performance.now()};return s.onOverhead(performance.now()-t),i.apply(this,c).then(p=>(s.complete(u,{status:p.status,statusText:p.statusText,responseHeaders:s.headersToObject(p.headers),responseSize:s.getResponseSize(p.headers.get("content-length"),n)}),p),p=>{throw s.complete(u,{error:p&&p.message?p.message:String(p)}),p})}}wrapXHR(){const s=this,i=window.XMLHttpRequest.prototype;this.originalXHR={open:i.open,send:i.send,setRequestHeader:i.setRequestHeader};const r=this.originalXHR;i.open=function(e,t){return this.__tkrNetwork={type:"xhr",method:String(e||"GET").toUpperCase(),url:s.resolveUrl(String(t)),requestHeaders:{}},r.open.apply(this,arguments)},i.setRequestHeader=function(e,t){return this.__tkrNetwork&&(this.__tkrNetwork.requestHeaders[String(e).toLowerCase()]=String(t)),r.setRequestHeader.apply(this,arguments)},i.send=function(){const e=this.__tkrNetwork,t=performance.now();return!e||!s.isActive()||s.isExcluded(e.url)?r.send.apply(this,arguments):(e.trace=s.shouldPropagate(e.url)?s.createTraceContext():null,e.trace&&!e.requestHeaders.traceparent&&(r.setRequestHeader.call(this,"traceparent",e.trace.traceparent),e.requestHeaders.traceparent=e.trace.traceparent,e.trace.tracestate&&!e.requestHeaders.tracestate&&(r.setRequestHeader.call(this,"tracestate",e.trace.tracestate),e.requestHeaders.tracestate=e.trace.tracestate)),e.startTime=performance.now(),this.addEventListener("loadend",()=>{const n=this.status===0;s.complete(e,n?{error:"Network request failed"}:{status:this.status,statusText:this.statusText,responseHeaders:s.parseResponseHeaders(this.getAllResponseHeaders()),responseSize:s.getResponseSize(this.getResponseHeader("content-length"),e.url,this)})}),s.onOverhead(performance.now()-t),r.send.apply(this,arguments))}}complete(s,i){const r=performance.now();try{this.onRequest({type:s.type,method:s.method,url:this.redactUrl(s.url),duration:Math.round((performance.now()-s.startTime)*100)/100,requestHeaders:this.redactHeaderValues(s.requestHeaders),responseHeaders:i.responseHeaders?this.redactHeaderValues(i.responseHeaders):void 0,status:i.status,statusText:i.statusText,responseSize:i.responseSize,error:i.error,traceparent:s.trace?s.trace.traceparent:void 0,traceId:s.trace?s.trace.traceId:void 0,spanId:s.trace?s.trace.spanId:void 0,parentSpanId:s.trace?s.trace.parentSpanId:void 0})}catch(e){}this.onOverhead(performance.now()-r)}getRequestUrl(s){return typeof Request!="undefined"&&s instanceof Request?s.url:this.resolveUrl(String(s))}resolveUrl(s){try{return new URL(s,window.location.href).href}catch(i){return s}}isExcluded(s){return this.excludeUrls.some(i=>s.indexOf(i)===0)}shouldPropagate(s){try{const i=new URL(s).origin;return i===window.location.origin||this.traceOrigins.some(r=>r instanceof RegExp?r.test(s):i===r||s.indexOf(r)===0)}catch(i){return!1}}createTraceContext(){if(this.traceContext){const r=this.traceContext.startSpan("http"),e=this.traceContext.getTraceHeaders(r);return{traceId:r.traceId,spanId:r.spanId,parentSpanId:r.parentSpanId,traceparent:e.traceparent,tracestate:e.tracestate}}const s=this.traceId,i=this.generateHex(16);return{traceId:s,spanId:i,traceparent:`00-${s}-${i}-01`}}generateHex(s){const i=new Uint8Array(s/2);if(window.crypto&&window.crypto.getRandomValues)window.crypto.getRandomValues(i);else for(let r=0;r<i.length;r++)i[r]=Math.floor(Math.random()*256);return i[i.length-1]|=1,Array.from(i,r=>r.toString(16).padStart(2,"0")).join("")}redactUrl(s){if(this.redactQueryParams.length===0)return s;try{const i=new URL(s);let r=!1;return Array.from(i.searchParams.keys()).forEach(e=>{this.redactQueryParams.indexOf(e.toLowerCase())!==-1&&(i.searchParams.set(e,"[REDACTED]"),r=!0)}),r?i.href:s}catch(i){return s}}redactHeaderValues(s){const i={};return Object.keys(s||{}).forEach(r=>{i[r]=this.redactHeaders.indexOf(r.toLowerCase())!==-1?"[REDACTED]":s[r]}),i}headersToObject(s){const i={};return s&&typeof s.forEach=="function"&&s.forEach((r,e)=>{i[e.toLowerCase()]=r}),i}parseResponseHeaders(s){const i={};return(s||"").trim().split(/[\r\n]+/).forEach(r=>{const e=r.indexOf(":");e>0&&(i[r.slice(0,e).trim().toLowerCase()]=r.slice(e+1).trim())}),i}getResponseSize(s,i,r){const e=parseInt(s,10);if(!isNaN(e))return e;if(typeof performance.getEntriesByName=="function"){const t=performance.getEntriesByName(i,"resource"),n=t[t.length-1];if(n&&n.encodedBodySize)return n.encodedBodySize}return r&&(r.responseType===""||r.responseType==="text")&&typeof r.responseText=="string"?r.responseText.length:null}}typeof window!="undefined"&&(window.NetworkCapture=f)})(),(function(){const f={LCP:[2500,4e3],FCP:[1800,3e3],CLS:[.1,.25],INP:[200,500],TTFB:[800,1800]};class d{constructor(i={}){this.onMetric=i.onMetric||(()=>{}),this.getRoute=i.getRoute||(()=>window.location.pathname),this.longTaskThreshold=i.longTaskThreshold||50,this.resourceThreshold=i.resourceThreshold!==void 0?i.resourceThreshold:1e3,this.excludeUrls=(i.excludeUrls||[]).filter(Boolean),this.isActive=i.isActive||(()=>!0),this.onOverhead=i.onOverhead||(()=>{}),this.observers=[],this.listeners=[],this.originalHistory=null,this.historyWrappers=null,this.installed=!1,this.route=null,this.initialRoute=null,this.navigationType=null,this.lcp=null,this.lcpFinal=!1,this.resetRouteState()}install(){if(this.installed||typeof PerformanceObserver=="undefined")return;this.route=this.getRoute(),this.initialRoute=this.route,this.navigationType=this.getNavigationType(),this.observe("paint",r=>this.handlePaint(r)),this.observe("largest-contentful-paint",r=>this.handleLCP(r)),this.observe("layout-shift",r=>this.handleLayoutShift(r)),this.observe("event",r=>this.handleInteractions(r),{durationThreshold:40}),this.observe("first-input",r=>this.handleInteractions(r)),this.observe("longtask",r=>this.handleLongTasks(r)),this.resourceThreshold>0&&this.observe("resource",r=>this.handleResources(r)),document.readyState==="complete"?this.reportTTFB():this.listen(window,"load",()=>setTimeout(()=>this.reportTTFB(),0));const i=()=>this.finalizeLCP();this.listen(window,"keydown",i,{capture:!0,once:!0}),this.listen(window,"pointerdown",i,{capture:!0,once:!0}),this.listen(window,"visibilitychange",()=>{document.visibilityState==="hidden"&&this.reportPending()},{capture:!0}),this.listen(window,"pagehide",()=>this.reportPending(),{capture:!0}),this.wrapHistory(),this.installed=!0}uninstall(){this.installed&&(this.observers.forEach(i=>i.disconnect()),this.listeners.forEach(({target:i,type:r,handler:e,options:t})=>{i.removeEventListener(r,e,t)}),this.originalHistory&&(history.pushState===this.historyWrappers.pushState&&(history.pushState=this.originalHistory.pushState),history.replaceState===this.historyWrappers.replaceState&&(history.replaceState=this.originalHistory.replaceState)),this.observers=[],this.listeners=[],this.originalHistory=null,this.historyWrappers=null,this.installed=!1)}observe(i,r,e={}){if((PerformanceObserver.supportedEntryTypes||[]).indexOf(i)!==-1)try{const n=new PerformanceObserver(a=>{const o=performance.now();try{r(a.getEntries())}catch(h){}this.onOverhead(performance.now()-o)});n.observe({type:i,buffered:!0,...e}),this.observers.push(n)}catch(n){}}listen(i,r,e,t){i.addEventListener(r,e,t),this.listeners.push({target:i,type:r,handler:e,options:t})}wrapHistory(){const i=this,r=history.pushState,e=history.replaceState;this.originalHistory={pushState:r,replaceState:e},this.historyWrappers={pushState:function(){const t=r.apply(this,arguments);return i.checkRouteChange(),t},replaceState:function(){const t=e.apply(this,arguments);return i.checkRouteChange(),t}},history.pushState=this.historyWrappers.pushState,history.replaceState=this.historyWrappers.replaceState,this.listen(window,"popstate",()=>this.checkRouteChange())}checkRouteChange(){const i=this.getRoute();i!==this.route&&(this.finalizeLCP(),this.reportPending(),this.route=i,this.navigationType="soft-navigation",this.resetRouteState())}resetRouteState(){this.cls={value:0,sessionValue:0,sessionEntries:[],largestSource:null},this.interactions=new Map,this.interactionCount=0,this.lastReported={}}handlePaint(i){i.forEach(r=>{r.name==="first-contentful-paint"&&this.navigationType!=="soft-navigation"&&this.report("FCP",r.startTime-this.getActivationStart())})}handleLCP(i){if(this.lcpFinal)return;const r=i[i.length-1];r&&(this.lcp={value:Math.max(r.startTime-this.getActivationStart(),0),route:this.route,attribution:{element:this.describeElement(r.element),url:r.url?this.stripQuery(r.url):void 0,size:r.size}})}finalizeLCP(){this.lcpFinal||(this.lcpFinal=!0,this.lcp&&this.report("LCP",this.lcp.value,this.lcp.attribution,this.lcp.route))}handleLayoutShift(i){i.forEach(r=>{if(r.hadRecentInput)return;const e=this.cls.sessionEntries,t=e[0],n=e[e.length-1];n&&r.startTime-n.startTime<1e3&&r.startTime-t.startTime<5e3?(this.cls.sessionValue+=r.value,e.push(r)):(this.cls.sessionValue=r.value,this.cls.sessionEntries=[r]),this.cls.sessionValue>this.cls.value&&(this.cls.value=this.cls.sessionValue,this.cls.largestSource=this.getLargestShiftSource(this.cls.sessionEntries))})}handleInteractions(i){i.forEach(e=>{if(!e.interactionId)return;const t=this.interactions.get(e.interactionId);t||this.interactionCount++,(!t||e.duration>t.duration)&&this.interactions.set(e.interactionId,{duration:e.duration,type:e.name,target:this.describeElement(e.target)})});const r=Math.floor(this.interactionCount/50)+10;if(this.interactions.size>r){const e=Array.from(this.interactions.entries()).sort((t,n)=>n[1].duration-t[1].duration);this.interactions=new Map(e.slice(0,r))}}handleLongTasks(i){i.forEach(r=>{if(r.duration<this.longTaskThreshold)return;const e=r.attribution&&r.attribution[0];this.emit({name:"long-task",value:Math.round(r.duration),unit:"ms",rating:null,attribution:{startTime:Math.round(r.startTime),containerType:e?e.containerType:void 0,containerName:e&&e.containerName||void 0,containerSrc:e&&e.containerSrc||void 0}})})}handleResources(i){i.forEach(r=>{r.duration<this.resourceThreshold||this.excludeUrls.some(e=>r.name.indexOf(e)===0)||this.emit({name:"resource",value:Math.round(r.duration),unit:"ms",rating:null,attribution:{url:this.stripQuery(r.name),initiatorType:r.initiatorType,transferSize:r.transferSize,decodedBodySize:r.decodedBodySize,renderBlocking:r.renderBlockingStatus}})})}reportTTFB(){const i=performance.getEntriesByType&&performance.getEntriesByType("navigation")[0];!i||i.responseStart<=0||this.report("TTFB",Math.max(i.responseStart-this.getActivationStart(),0),{dns:Math.round(i.domainLookupEnd-i.domainLookupStart),connect:Math.round(i.connectEnd-i.connectStart),request:Math.round(i.responseStart-i.requestStart)},this.initialRoute)}reportPending(){this.finalizeLCP(),(this.cls.sessionEntries.length>0||this.cls.value>0)&&this.reportChanged("CLS",this.cls.value,{largestShiftTarget:this.cls.largestSource});const i=this.estimateINP();i&&this.reportChanged("INP",i.duration,{interactionType:i.type,interactionTarget:i.target,interactionCount:this.interactionCount})}reportChanged(i,r,e){this.lastReported[i]!==r&&(this.lastReported[i]=r,this.report(i,r,e))}estimateINP(){if(this.interactions.size===0)return null;const i=Array.from(this.interactions.values()).sort((r,e)=>e.duration-r.duration);return i[Math.min(i.length-1,Math.floor(this.interactionCount/50))]}report(i,r,e,t){const[n,a]=f[i],o=i==="CLS"?Math.round(r*1e3)/1e3:Math.round(r);this.emit({name:i,value:o,unit:i==="CLS"?"score":"ms",rating:o<=n?"good":o<=a?"needs-improvement":"poor",attribution:e},t)}emit(i,r){if(this.isActive())try{this.onMetric({...i,route:r||this.route,navigationType:this.navigationType})}catch(e){}}getLargestShiftSource(i){let r=null;return i.forEach(e=>{(e.sources||[]).forEach(t=>{const n=t.currentRect?t.currentRect.width*t.currentRect.height:0;t.node&&(!r||n>r.area)&&(r={area:n,node:t.node})})}),r?this.describeElement(r.node):void 0}getNavigationType(){const i=performance.getEntriesByType&&performance.getEntriesByType("navigation")[0];return document.prerendering||this.getActivationStart()>0?"prerender":i?i.type.replace(/_/g,"-"):"navigate"}getActivationStart(){const i=performance.getEntriesByType&&performance.getEntriesByType("navigation")[0];return i&&i.activationStart||0}describeElement(i){if(!i||i.nodeType!==1)return;const r=[];let e=i;for(;e&&e.nodeType===1&&r.length<3;){let t=e.tagName.toLowerCase();if(e.id){r.unshift(`${t}#${e.id}`);break}const n=typeof e.className=="string"?e.className.trim().split(/\s+/)[0]:"";n&&(t+=`.${n}`),r.unshift(t),e=e.parentElement}return r.join(" > ")}stripQuery(i){return String(i).split(/[?#]/)[0]}}typeof window!="undefined"&&(window.WebVitalsCapture=d)})(),(function(){const f='a, button, [role="button"], [role="link"], [role="menuitem"], [role="tab"], input[type="submit"], input[type="button"]';class i{constructor(e={}){this.maxBreadcrumbs=e.maxBreadcrumbs||50,this.captureNavigation=e.captureNavigation!==!1,this.captureClicks=e.captureClicks!==!1,this.captureInputs=e.captureInputs!==!1,this.isActive=e.isActive||(()=>!0),this.onOverhead=e.onOverhead||(()=>{}),this.breadcrumbs=[],this.listeners=[],this.historyWrappers=null,this.originalHistory=null,this.lastUrl=null,this.installed=!1}install(){this.installed||(this.lastUrl=this.getRelativeUrl(),this.captureNavigation&&(this.add("navigation",{from:null,to:this.lastUrl,trigger:"load"}),this.wrapHistory(),this.listen(window,"popstate",()=>this.recordNavigation("popstate")),this.listen(window,"hashchange",()=>this.recordNavigation("hashchange"))),this.captureClicks&&this.listen(document,"click",e=>this.measure(()=>this.recordClick(e)),!0),this.captureInputs&&this.listen(document,"change",e=>this.measure(()=>this.recordInput(e)),!0),this.installed=!0)}uninstall(){this.installed&&(this.listeners.forEach(({target:e,type:t,handler:n,capture:a})=>{e.removeEventListener(t,n,a)}),this.originalHistory&&(history.pushState===this.historyWrappers.pushState&&(history.pushState=this.originalHistory.pushState),history.replaceState===this.historyWrappers.replaceState&&(history.replaceState=this.originalHistory.replaceState)),this.listeners=[],this.originalHistory=null,this.historyWrappers=null,this.installed=!1)}add(e,t={},n){const a={type:e,timestamp:Date.now(),message:n||this.describe(e,t),data:t};return this.breadcrumbs.push(a),this.breadcrumbs.length>this.maxBreadcrumbs&&this.breadcrumbs.shift(),a}getBreadcrumbs(e=this.maxBreadcrumbs){return this.breadcrumbs.slice(-e).map(t=>({...t,data:{...t.data}}))}clear(){this.breadcrumbs=[]}wrapHistory(){const e=this,t=history.pushState,n=history.replaceState;this.originalHistory={pushState:t,replaceState:n},this.historyWrappers={pushState:function(){const a=t.apply(this,arguments);return e.recordNavigation("pushState"),a},replaceState:function(){const a=n.apply(this,arguments);return e.recordNavigation("replaceState"),a}},history.pushState=this.historyWrappers.pushState,history.replaceState=this.historyWrappers.replaceState}recordNavigation(e){const t=this.getRelativeUrl();if(t===this.lastUrl||!this.isActive()){this.lastUrl=t;return}this.add("navigation",{from:this.lastUrl,to:t,trigger:e}),this.lastUrl=t}recordClick(e){if(!this.isActive()||!e.target||e.target.nodeType!==1)return;const t=e.target.closest&&e.target.closest(f)||e.target,n={selector:this.getSelector(t),tag:t.tagName.toLowerCase()},a=this.getLabel(t);a&&(n.label=a),t.tagName==="A"&&t.getAttribute("href")&&(n.href=t.getAttribute("href").split(/[?#]/)[0]),this.add("click",n)}recordInput(e){const t=e.target;if(!this.isActive()||!t||!/^(INPUT|TEXTAREA|SELECT)$/.test(t.tagName))return;const n=t.tagName==="INPUT"?(t.type||"text").toLowerCase():t.tagName.toLowerCase(),a={selector:this.getSelector(t),inputType:n,name:t.name||t.id||void 0};n==="checkbox"||n==="radio"?a.checked=t.checked:n==="select"?a.selectedIndex=t.selectedIndex:(a.value="[MASKED]",a.valueLength=typeof t.value=="string"?t.value.length:0),this.add("input",a)}getSelector(e){const t=[];let n=e;for(;n&&n.nodeType===1&&t.length<5;){const a=n.tagName.toLowerCase();if(a==="html"||a==="body")break;if(n.id){t.unshift(`${a}#${this.escapeIdentifier(n.id)}`);break}let o=a;const h=typeof n.className=="string"?n.className.trim().split(/\s+/).filter(Boolean):[];h.length>0&&(o+=h.slice(0,2).map(c=>`.${this.escapeIdentifier(c)}`).join(""));const l=n.parentElement;if(l){const c=Array.prototype.filter.call(l.children,u=>u.tagName===n.tagName);c.length>1&&(o+=`:nth-of-type(${c.indexOf(n)+1})`)}t.unshift(o),n=l}return t.join(" > ")}getLabel(e){const t=e.getAttribute("aria-label")||e.getAttribute("title")||e.matches&&e.matches(f)&&(e.textContent||e.value)||"",n=String(t).replace(/\s+/g," ").trim();return n.length>40?`${n.slice(0,40)}\u2026`:n}describe(e,t){switch(e){case"navigation":return t.from?`Navigated to ${t.to}`:`Loaded ${t.to}`;case"click":return`Clicked ${t.label?`"${t.label}"`:t.selector}`;case"input":return`Changed ${t.name||t.selector}`;default:return e}}getRelativeUrl(){return window.location.pathname+window.location.hash}escapeIdentifier(e){return window.CSS&&window.CSS.escape?window.CSS.escape(e):String(e).replace(/([^a-zA-Z0-9_-])/g,"\\$1")}measure(e){const t=performance.now();try{e()}catch(n){}this.onOverhead(performance.now()-t)}listen(e,t,n,a=!1){e.addEventListener(t,n,a),this.listeners.push({target:e,type:t,handler:n,capture:a})}}typeof window!="undefined"&&(window.BreadcrumbRecorder=i)})(),(function(){class f{constructor(s={}){this.tabId=s.tabId||"tab_"+Date.now()+"_"+Math.random().toString(36).substr(2,9),this.channelName=s.channelName||"tkr_logging",this.lockName=s.lockName||"tkr_logging_leader",this.heartbeatInterval=s.heartbeatInterval||1e3,this.leaderTimeout=s.leaderTimeout||3e3,this.ackTimeout=s.ackTimeout||5e3,this.maxPending=s.maxPending||1e3,this.onEntries=s.onEntries||(()=>{}),this.onFallback=s.onFallback||(()=>{}),this.onRoleChange=s.onRoleChange||(()=>{}),this.channel=null,this.useLocks=!1,this.lockAbort=null,this.releaseLock=null,this.role="pending",this.leaderId=null,this.lastHeartbeat=0,this.electionTimer=null,this.checkTimer=null,this.sendTimer=null,this.outgoing=[],this.pending=new Map,this.listeners=[],this.started=!1,this.stats={forwarded:0,received:0,fallbacks:0,leaderChanges:0}}start(){return this.started?!0:typeof BroadcastChannel=="undefined"?!1:(this.started=!0,this.listen(window,"pagehide",()=>this.disconnect()),this.listen(window,"pageshow",s=>{s.persisted&&this.connect()}),this.connect(),!0)}stop(){this.started&&(this.disconnect(),this.listeners.forEach(({target:s,type:i,handler:r})=>s.removeEventListener(i,r)),this.listeners=[],this.started=!1)}connect(){this.channel||(this.channel=new BroadcastChannel(this.channelName),this.channel.onmessage=s=>this.handleMessage(s.data),this.useLocks=typeof navigator!="undefined"&&!!navigator.locks,this.useLocks?this.requestLock():this.scheduleElection(this.leaderTimeout),this.post({type:"hello"}),this.checkTimer=setInterval(()=>this.check(),this.heartbeatInterval))}disconnect(){this.channel&&(this.canForward()?this.sendOutgoing():this.fallback(Array.from(this.pending.keys()),!0),this.role==="leader"&&this.post({type:"resign"}),this.pending.clear(),this.releaseLock&&(this.releaseLock(),this.releaseLock=null),this.lockAbort&&(this.lockAbort.abort(),this.lockAbort=null),clearInterval(this.checkTimer),clearTimeout(this.electionTimer),clearTimeout(this.sendTimer),this.checkTimer=null,this.electionTimer=null,this.sendTimer=null,this.channel.close(),this.channel=null,this.leaderId=null,this.setRole("pending"))}requestLock(){const s=typeof AbortController!="undefined"?new AbortController:null;this.lockAbort=s;const i=s?{signal:s.signal}:{};navigator.locks.request(this.lockName,i,()=>(this.lockAbort=null,this.becomeLeader(),new Promise(r=>{this.releaseLock=r}))).catch(()=>{})}isLeader(){return this.role==="leader"}canForward(){return this.role==="follower"&&this.leaderId!==null&&this.channel!==null}forward(s){if(this.pending.set(s.entryId,{entry:s,sentAt:Date.now()}),this.outgoing.push(s),this.stats.forwarded++,this.pending.size>this.maxPending){const i=this.pending.keys().next().value;this.fallback([i])}this.sendTimer||(this.sendTimer=setTimeout(()=>this.sendOutgoing(),0))}sendOutgoing(){if(clearTimeout(this.sendTimer),this.sendTimer=null,this.outgoing.length===0)return;const s=this.outgoing;this.outgoing=[],this.canForward()&&this.post({type:"entries",to:this.leaderId,entries:s})}handleMessage(s){if(!(!s||s.from===this.tabId))switch(s.type){case"hello":this.role==="leader"&&this.announce();break;case"leader":this.role==="leader"?s.from<this.tabId&&!this.useLocks?this.followLeader(s.from):this.announce():this.followLeader(s.from);break;case"resign":s.from===this.leaderId&&this.leaderLost();break;case"claim":this.role==="leader"?this.announce():s.from<this.tabId&&this.electionTimer&&this.scheduleElection(this.leaderTimeout);break;case"entries":this.role==="leader"&&s.to===this.tabId&&Array.isArray(s.entries)&&(this.stats.received+=s.entries.length,this.onEntries(s.entries,s.from),this.post({type:"ack",to:s.from,ids:s.entries.map(i=>i.entryId)}));break;case"ack":s.to===this.tabId&&Array.isArray(s.ids)&&s.ids.forEach(i=>this.pending.delete(i));break}}followLeader(s){if(clearTimeout(this.electionTimer),this.electionTimer=null,this.lastHeartbeat=Date.now(),!(this.leaderId===s&&this.role==="follower")&&(this.leaderId=s,this.stats.leaderChanges++,this.setRole("follower"),this.pending.size>0)){const i=Date.now(),r=[];this.pending.forEach(e=>{e.sentAt=i,r.push(e.entry)}),this.outgoing=r,this.sendOutgoing()}}becomeLeader(){clearTimeout(this.electionTimer),this.electionTimer=null,this.leaderId=this.tabId,this.stats.leaderChanges++,this.setRole("leader"),this.fallback(Array.from(this.pending.keys())),this.announce()}leaderLost(){this.leaderId=null,this.setRole("pending"),this.fallback(Array.from(this.pending.keys())),this.useLocks||this.scheduleElection(0)}scheduleElection(s){clearTimeout(this.electionTimer),this.electionTimer=setTimeout(()=>{this.post({type:"claim"}),this.electionTimer=setTimeout(()=>{this.electionTimer=null,this.role!=="leader"&&this.becomeLeader()},this.heartbeatInterval)},s)}check(){if(this.role==="leader"){this.announce();return}const s=Date.now();if(this.leaderId&&s-this.lastHeartbeat>this.leaderTimeout){this.leaderLost();return}const i=[];this.pending.forEach((r,e)=>{s-r.sentAt>this.ackTimeout&&i.push(e)}),this.fallback(i)}fallback(s,i=!1){if(s.length===0)return;const r=[];s.forEach(e=>{const t=this.pending.get(e);t&&(r.push(t.entry),this.pending.delete(e))}),this.outgoing=this.outgoing.filter(e=>this.pending.has(e.entryId)),this.stats.fallbacks+=r.length,this.onFallback(r,i)}announce(){this.post({type:"leader"})}post(s){if(this.channel)try{this.channel.postMessage({...s,from:this.tabId})}catch(i){}}setRole(s){this.role!==s&&(this.role=s,this.onRoleChange(s))}listen(s,i,r){s.addEventListener(i,r),this.listeners.push({target:s,type:i,handler:r})}getStats(){return{tabId:this.tabId,role:this.role,leaderId:this.leaderId,election:this.useLocks?"web-locks":"heartbeat",pending:this.pending.size,...this.stats}}}typeof window!="undefined"&&(window.TabCoordinator=f)})(),(function(){const f=["error","fatal"];class s{constructor(r={}){this.sampleRates=r.sampleRates||{},this.burst=r.burst||20,this.perSecond=r.perSecond!==void 0?r.perSecond:5,this.overheadThreshold=r.overheadThreshold||1,this.minFactor=r.minFactor||.01,this.adjustInterval=r.adjustInterval||1e3,this.maxFingerprints=r.maxFingerprints||500,this.factor=1,this.overhead=0,this.lastAdjust=Date.now(),this.fingerprints=new Map,this.levelCarry={},this.stats={kept:0,sampledOut:0,rateLimited:0,backoffs:0,recoveries:0}}sample(r,e){const t=String(r).toLowerCase();if(f.indexOf(t)!==-1)return this.stats.kept++,1+this.takeLevelCarry(t);const n=t+":"+this.fingerprint(e),a=this.getRecord(n),o=this.getRate(t);if(o<1&&Math.random()>=o)return a.dropped++,this.stats.sampledOut++,0;if(this.refill(a),a.tokens<1)return a.dropped++,this.stats.rateLimited++,0;a.tokens--;const h=1+a.dropped+this.takeLevelCarry(t);return a.dropped=0,this.stats.kept++,h}getRate(r){const e=this.sampleRates[r]!==void 0?this.sampleRates[r]:1;return Math.max(0,Math.min(1,e))*this.factor}recordOverhead(r){this.overhead=this.overhead*.9+r*.1;const e=Date.now();e-this.lastAdjust<this.adjustInterval||(this.lastAdjust=e,this.overhead>this.overheadThreshold&&this.factor>this.minFactor?(this.factor=Math.max(this.minFactor,this.factor/2),this.stats.backoffs++):this.overhead<this.overheadThreshold/2&&this.factor<1&&(this.factor=Math.min(1,this.factor*1.5),this.stats.recoveries++))}fingerprint(r){return String(r).slice(0,200).replace(/[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/gi,"<uuid>").replace(/\b[0-9a-f]{12,}\b/gi,"<hex>").replace(/\d+(\.\d+)?/g,"<n>")}getRecord(r){let e=this.fingerprints.get(r);if(e)this.fingerprints.delete(r);else if(e={tokens:this.burst,refilledAt:Date.now(),dropped:0},this.fingerprints.size>=this.maxFingerprints){const[t,n]=this.fingerprints.entries().next().value;if(this.fingerprints.delete(t),n.dropped>0){const a=t.slice(0,t.indexOf(":"));this.levelCarry[a]=(this.levelCarry[a]||0)+n.dropped}}return this.fingerprints.set(r,e),e}refill(r){const e=Date.now();r.tokens=Math.min(this.burst,r.tokens+(e-r.refilledAt)/1e3*this.perSecond),r.refilledAt=e}takeLevelCarry(r){const e=this.levelCarry[r]||0;return e>0&&delete this.levelCarry[r],e}getStats(){return{factor:this.factor,overhead:this.overhead,fingerprints:this.fingerprints.size,...this.stats}}}typeof window!="undefined"&&(window.AdaptiveSampler=s)})(),(function(){"use strict";if(window.TkrLogging&&window.TkrLogging._initialized)return;const f={endpoint:"http://localhost:42003/api/logs/batch",batchSize:10,flushInterval:5e3,captureErrors:!0,sessionTracking:!0,performanceThreshold:1,adaptiveSampling:!0,sampleRates:{},rateLimitBurst:20,rateLimitPerSecond:5,offlineMaxBytes:5*1024*1024,enabled:!0,service:"browser",component:"browser-console",captureNetwork:!1,networkExcludeUrls:[],networkRedactQueryParams:["token","access_token","refresh_token","id_token","api_key","apikey","key","password","secret","signature","code"],networkRedactHeaders:["authorization","proxy-authorization","cookie","set-cookie","x-api-key","x-auth-token","x-csrf-token"],traceOrigins:[],traceparent:null,tracestate:null,captureWebVitals:!1,longTaskThreshold:50,resourceTimingThreshold:1e3,redaction:{},captureBreadcrumbs:!0,maxBreadcrumbs:50,errorBreadcrumbs:20,crossTab:!0},d={log:"info",info:"info",warn:"warn",error:"error",debug:"debug",trace:"trace"};class s{constructor(){this.config={...f},this.sessionManager=null,this.batchSender=null,this.traceContext=null,this.networkCapture=null,this.webVitals=null,this.redactor=null,this.breadcrumbs=null,this.tabCoordinator=null,this.tabId=null,this.sampler=null,this.originalConsole={},this.enabled=!1,this.performanceStats={calls:0,totalTime:0,avgTime:0,disabled:!1},this.init=this.init.bind(this),this.log=this.log.bind(this),this.flush=this.flush.bind(this),this.enable=this.enable.bind(this),this.disable=this.disable.bind(this),this.startSpan=this.startSpan.bind(this),this.withSpan=this.withSpan.bind(this),this.getTraceHeaders=this.getTraceHeaders.bind(this),this.addBreadcrumb=this.addBreadcrumb.bind(this)}init(e={}){if(this.config={...this.config,...e},!!this.config.enabled)try{if(window.Redactor)this.redactor=new window.Redactor(this.config.redaction);else if(!this.config.redaction||this.config.redaction.enabled!==!1){console.warn("TkrLogging: Redactor not available, not logging (load redactor.js or set redaction: { enabled: false })");return}if(!window.SessionManager){console.warn("TkrLogging: SessionManager not available");return}if(this.sessionManager=new window.SessionManager,this.sessionManager.initialize(),!window.OfflineStore){console.warn("TkrLogging: OfflineStore not available");return}if(!window.BatchSender){console.warn("TkrLogging: BatchSender not available");return}this.batchSender=new window.BatchSender({endpoint:this.config.endpoint,batchSize:this.config.batchSize,flushInterval:this.config.flushInterval,offlineMaxBytes:this.config.offlineMaxBytes}),this.tabId=this.batchSender.ownerId,this.config.crossTab&&this.setupTabCoordination(),this.config.adaptiveSampling&&this.setupSampling(),window.TraceContext&&(this.traceContext=new window.TraceContext({traceparent:this.config.traceparent,tracestate:this.config.tracestate})),this.interceptConsole(),this.config.captureBreadcrumbs&&this.setupBreadcrumbs(),this.config.captureErrors&&this.setupErrorCapture(),this.config.captureNetwork&&this.setupNetworkCapture(),this.config.captureWebVitals&&this.setupWebVitals(),this.enabled=!0,this.sendLogDirectly("info","TkrLogging client initialized",{config:{...this.config,endpoint:"[redacted]"},sessionId:this.sessionManager.getSessionId()})}catch(t){console.error("TkrLogging: Failed to initialize:",t)}}interceptConsole(){["log","info","warn","error","debug","trace"].forEach(t=>{typeof console[t]=="function"&&(this.originalConsole[t]=console[t],console[t]=(...n)=>{this.originalConsole[t].apply(console,n);const a=performance.now();if(this.enabled&&(!this.performanceStats.disabled||t==="error"))try{this.handleConsoleCall(t,n)}catch(h){}const o=performance.now();this.updatePerformanceStats(o-a)})})}handleConsoleCall(e,t){const n=d[e]||"INFO",a=this.sample(n,typeof t[0]=="string"?t[0]:Object.prototype.toString.call(t[0]));if(!a)return;const o=t.map(c=>{if(typeof c=="string")return c;if(c instanceof Error)return`${c.name}: ${c.message}
+${c.stack}`;try{return JSON.stringify(c,null,2)}catch(u){return String(c)}}).join(" "),h=this.getStackTrace(),l={level:n,message:o.slice(0,1e4),service:this.config.service,component:this.config.component,sessionId:this.sessionManager?this.sessionManager.getSessionId():null,metadata:{source:"console",method:e,argCount:t.length,stack:h,url:window.location.href,userAgent:navigator.userAgent,timestamp:Date.now(),trace:this.getTraceMetadata()}};this.enqueue(l,a)}enqueue(e,t){if(!this.batchSender)return;const n=t!==void 0?t:this.sample(e.level,e.message);if(!n)return;e.metadata&&(e.metadata.tabId=this.tabId,n>1&&(e.metadata.sampled=n));const a=this.redactor?this.redactor.redactEntry(e):e;if(this.tabCoordinator&&this.tabCoordinator.canForward()){this.tabCoordinator.forward({timestamp:Date.now(),entryId:this.batchSender.generateEntryId(),...a});return}this.batchSender.add(a)}sample(e,t){return this.sampler?this.sampler.sample(e,t):1}setupSampling(){if(!window.AdaptiveSampler){console.warn("TkrLogging: AdaptiveSampler not available, logging disables itself when over the performance threshold");return}this.sampler=new window.AdaptiveSampler({sampleRates:this.config.sampleRates,burst:this.config.rateLimitBurst,perSecond:this.config.rateLimitPerSecond,overheadThreshold:this.config.performanceThreshold})}setupTabCoordination(){if(!window.TabCoordinator){console.warn("TkrLogging: TabCoordinator not available, each tab uploads its own logs");return}const e=t=>t.forEach(n=>this.batchSender.add(n));this.tabCoordinator=new window.TabCoordinator({tabId:this.tabId,onEntries:e,onFallback:(t,n)=>{e(t),n&&this.batchSender.flushOnUnload()}}),this.tabCoordinator.start()||(this.tabCoordinator=null)}sendLogDirectly(e,t,n={}){if(!this.enabled||!this.batchSender)return;const a={level:e,message:t,service:this.config.service,component:this.config.component,sessionId:this.sessionManager?this.sessionManager.getSessionId():null,metadata:{source:"client",url:window.location.href,timestamp:Date.now(),trace:this.getTraceMetadata(),...n}};this.enqueue(a)}setupErrorCapture(){window.addEventListener("error",e=>{if(!this.enabled)return;const t={level:"error",message:`Uncaught Error: ${e.message}`,service:this.config.service,component:this.config.component,sessionId:this.sessionManager?this.sessionManager.getSessionId():null,metadata:{source:"global-error",filename:e.filename,lineno:e.lineno,colno:e.colno,stack:e.error?e.error.stack:null,url:window.location.href,timestamp:Date.now(),trace:this.getTraceMetadata(),breadcrumbs:this.getErrorBreadcrumbs()}};this.enqueue(t)}),window.addEventListener("unhandledrejection",e=>{if(!this.enabled)return;const t=e.reason;let n="Unhandled Promise Rejection",a=null;t instanceof Error?(n=`Unhandled Promise Rejection: ${t.message}`,a=t.stack):n=`Unhandled Promise Rejection: ${String(t)}`;const o={level:"error",message:n,service:this.config.service,component:this.config.component,sessionId:this.sessionManager?this.sessionManager.getSessionId():null,metadata:{source:"unhandled-rejection",reason:typeof t=="object"?JSON.stringify(t):String(t),stack:a,url:window.location.href,timestamp:Date.now(),trace:this.getTraceMetadata(),breadcrumbs:this.getErrorBreadcrumbs()}};this.enqueue(o)})}setupBreadcrumbs(){if(!window.BreadcrumbRecorder){console.warn("TkrLogging: BreadcrumbRecorder not available");return}this.breadcrumbs=new window.BreadcrumbRecorder({maxBreadcrumbs:this.config.maxBreadcrumbs,isActive:()=>this.enabled&&!this.performanceStats.disabled,onOverhead:e=>this.updatePerformanceStats(e)}),this.breadcrumbs.install()}getErrorBreadcrumbs(){return this.breadcrumbs?this.breadcrumbs.getBreadcrumbs(this.config.errorBreadcrumbs):void 0}addBreadcrumb(e,t={}){this.breadcrumbs&&this.breadcrumbs.add("custom",t,String(e).slice(0,200))}setupNetworkCapture(){if(!window.NetworkCapture){console.warn("TkrLogging: NetworkCapture not available");return}this.networkCapture=new window.NetworkCapture({excludeUrls:[this.config.endpoint,...this.config.networkExcludeUrls],redactQueryParams:this.config.networkRedactQueryParams,redactHeaders:this.config.networkRedactHeaders,traceOrigins:this.config.traceOrigins,traceContext:this.traceContext,isActive:()=>this.enabled&&!this.performanceStats.disabled,onOverhead:e=>this.updatePerformanceStats(e),onRequest:e=>this.handleNetworkRequest(e)}),this.networkCapture.install()}handleNetworkRequest(e){let t="info";e.error||e.status>=500?t="error":e.status>=400&&(t="warn");const n=e.error?`failed: ${e.error}`:`${e.status}`,a={level:t,message:`${e.method} ${e.url} ${n} (${Math.round(e.duration)}ms)`.slice(0,1e4),service:this.config.service,component:this.config.component,sessionId:this.sessionManager?this.sessionManager.getSessionId():null,metadata:{source:"network",url:window.location.href,timestamp:Date.now(),trace:e.spanId?{traceId:e.traceId,spanId:e.spanId,parentSpanId:e.parentSpanId}:this.getTraceMetadata(),request:e}};this.enqueue(a)}setupWebVitals(){if(!window.WebVitalsCapture){console.warn("TkrLogging: WebVitalsCapture not available");return}this.webVitals=new window.WebVitalsCapture({longTaskThreshold:this.config.longTaskThreshold,resourceThreshold:this.config.resourceTimingThreshold,excludeUrls:[this.config.endpoint,...this.config.networkExcludeUrls],isActive:()=>this.enabled&&!this.performanceStats.disabled,onOverhead:e=>this.updatePerformanceStats(e),onMetric:e=>this.handleWebVital(e)}),this.webVitals.install()}handleWebVital(e){const t=e.unit==="ms"?`${e.value}ms`:`${e.value}`,n=e.rating?` (${e.rating})`:"",a=e.name==="resource"?`Slow resource ${e.attribution.url}`:e.name==="long-task"?"Long task":`Web vital ${e.name}`,o={level:e.rating==="poor"?"warn":"info",message:`${a} ${t}${n} on ${e.route}`.slice(0,1e4),service:this.config.service,component:this.config.component,sessionId:this.sessionManager?this.sessionManager.getSessionId():null,metadata:{source:"web-vitals",url:window.location.href,timestamp:Date.now(),trace:this.getTraceMetadata(),metric:e}};this.enqueue(o)}getTraceMetadata(e){return this.traceContext?this.traceContext.toLogContext(e):void 0}startSpan(e){return this.traceContext?this.traceContext.startSpan(e):null}withSpan(e,t){return this.traceContext?this.traceContext.withSpan(e,t):t(null)}getTraceHeaders(){return this.traceContext?this.traceContext.getTraceHeaders():{}}getStackTrace(){try{throw new Error}catch(e){return e.stack.split(`
+`).slice(3).join(`
+`)}}updatePerformanceStats(e){if(this.performanceStats.calls++,this.performanceStats.totalTime+=e,this.performanceStats.avgTime=this.performanceStats.totalTime/this.performanceStats.calls,this.sampler){this.sampler.recordOverhead(e);return}!this.performanceStats.disabled&&this.performanceStats.avgTime>this.config.performanceThreshold&&(this.performanceStats.disabled=!0,console.warn(`TkrLogging: Performance threshold exceeded (${this.performanceStats.avgTime.toFixed(2)}ms avg), logging only errors until enable() is called`))}log(e,t,n={}){if(!this.enabled)return;const a={level:e.toUpperCase(),message:String(t).slice(0,1e4),service:this.config.service,component:this.config.component,sessionId:this.sessionManager?this.sessionManager.getSessionId():null,metadata:{source:"manual",url:window.location.href,timestamp:Date.now(),...n,trace:this.getTraceMetadata(n.trace)}};this.enqueue(a)}async flush(){this.tabCoordinator&&this.tabCoordinator.sendOutgoing(),this.batchSender&&await this.batchSender.flush(!0)}disable(){this.enabled=!1,this.sendLogDirectly("info","TkrLogging client disabled")}enable(){this.performanceStats.disabled&&(this.performanceStats={calls:0,totalTime:0,avgTime:0,disabled:!1}),this.enabled=!0,this.sendLogDirectly("info","TkrLogging client enabled")}getStats(){return{enabled:this.enabled,performance:this.performanceStats,session:this.sessionManager?this.sessionManager.getSessionMetadata():null,redaction:this.redactor?this.redactor.getStats():null,sampling:this.sampler?this.sampler.getStats():null,tabs:this.tabCoordinator?this.tabCoordinator.getStats():null,batch:this.batchSender?this.batchSender.getStats():null}}restore(){Object.keys(this.originalConsole).forEach(e=>{this.originalConsole[e]&&(console[e]=this.originalConsole[e])}),this.networkCapture&&this.networkCapture.uninstall(),this.webVitals&&this.webVitals.uninstall(),this.breadcrumbs&&this.breadcrumbs.uninstall(),this.tabCoordinator&&this.tabCoordinator.stop(),this.batchSender&&this.batchSender.destroy(),this.enabled=!1,this.sendLogDirectly("info","TkrLogging client restored original console")}}const i=new s;window.TkrLogging={init:i.init,log:i.log,flush:i.flush,disable:i.disable,enable:i.enable,startSpan:i.startSpan,withSpan:i.withSpan,getTraceHeaders:i.getTraceHeaders,addBreadcrumb:i.addBreadcrumb,getStats:()=>i.getStats(),restore:()=>i.restore(),_initialized:!0,_client:i},(window.location.hostname==="localhost"||window.location.hostname==="127.0.0.1"||window.location.search.includes("tkr_logging=true")||localStorage.getItem("tkr_logging_enabled")==="true")&&setTimeout(()=>{window.SessionManager&&window.OfflineStore&&window.BatchSender&&window.TkrLogging.init()},100)})();
@@ -0,0 +1,148 @@
+/**
+ * Unit tests for the TkrLogging client
+ * Runs the browser script in Node with stubbed window, navigator and fetch;
+ * modules the client finds missing on window are left out on purpose
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CLIENT_SOURCE = fs.readFileSync(path.join(__dirname, 'logging-client.js'), 'utf8');
+
+function createStorage() {
+  const items = new Map();
+  return {
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: key => items.delete(key)
+  };
+}
+
+/**
+ * Load a fresh copy of logging-client.js, which installs window.TkrLogging
+ * @param {object} modules - Browser modules to expose on window
+ * @returns {object} window.TkrLogging
+ */
+function loadClient(modules) {
+  globalThis.window = {
+    location: { href: 'http://example.com/page', hostname: 'example.com', search: '' },
+    addEventListener: () => {},
+    removeEventListener: () => {},
+    ...modules
+  };
+  globalThis.document = { visibilityState: 'visible', addEventListener: () => {} };
+  Object.defineProperty(globalThis, 'navigator', {
+    value: { onLine: true, userAgent: 'vitest' },
+    configurable: true,
+    writable: true
+  });
+  globalThis.sessionStorage = createStorage();
+  globalThis.localStorage = createStorage();
+  globalThis.fetch = vi.fn(async () => ({ ok: true, status: 200, statusText: 'OK' }));
+
+  new Function(CLIENT_SOURCE)();
+  return window.TkrLogging;
+}
+
+const CORE_MODULES = {
+  SessionManager: require('./session-manager'),
+  OfflineStore: require('./offline-store'),
+  BatchSender: require('./batch-sender'),
+  Redactor: require('./redactor')
+};
+
+describe('TkrLogging', () => {
+  let logging;
+  let client;
+
+  const queued = () => client.batchSender.queue.map(entry => entry.message);
+
+  beforeEach(() => {
+    ['info', 'warn', 'error'].forEach(method => vi.spyOn(console, method).mockImplementation(() => {}));
+  });
+
+  afterEach(() => {
+    logging.restore();
+    vi.restoreAllMocks();
+  });
+
+  describe('without redactor.js', () => {
+    const { Redactor, ...withoutRedactor } = CORE_MODULES;
+
+    beforeEach(() => {
+      logging = loadClient(withoutRedactor);
+    });
+
+    test('should not start, so nothing is sent unredacted', () => {
+      logging.init({ crossTab: false });
+
+      expect(logging._client.enabled).toBe(false);
+      expect(logging._client.batchSender).toBeNull();
+      expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('Redactor not available, not logging'));
+    });
+
+    test('should start when redaction is turned off', () => {
+      logging.init({ crossTab: false, redaction: { enabled: false } });
+
+      expect(logging._client.enabled).toBe(true);
+    });
+  });
+
+  describe('with sampler.js', () => {
+    beforeEach(() => {
+      vi.useFakeTimers();
+      logging = loadClient({ ...CORE_MODULES, AdaptiveSampler: require('./sampler') });
+      logging.init({ batchSize: 100, flushInterval: 60000, rateLimitBurst: 2, rateLimitPerSecond: 0, crossTab: false, captureBreadcrumbs: false });
+      client = logging._client;
+      client.batchSender.queue = [];
+    });
+
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    test('should back off instead of disabling itself, and keep every error', () => {
+      vi.advanceTimersByTime(1000);
+      client.updatePerformanceStats(500);
+
+      for (let i = 0; i < 5; i++) {
+        console.info('Polling');
+        console.error('Request failed');
+      }
+
+      expect(client.performanceStats.disabled).toBe(false);
+      expect(client.sampler.getStats()).toMatchObject({ factor: 0.5, backoffs: 1 });
+      expect(queued().filter(message => message === 'Request failed')).toHaveLength(5);
+      expect(queued().filter(message => message === 'Polling').length).toBeLessThanOrEqual(2);
+    });
+  });
+
+  describe('without sampler.js', () => {
+    beforeEach(() => {
+      logging = loadClient(CORE_MODULES);
+      logging.init({ batchSize: 100, flushInterval: 60000, performanceThreshold: 100, crossTab: false, captureBreadcrumbs: false });
+      client = logging._client;
+      client.batchSender.queue = [];
+    });
+
+    test('should log only errors once over the performance threshold', () => {
+      client.updatePerformanceStats(500);
+
+      console.info('dropped');
+      console.error('kept');
+
+      expect(client.performanceStats.disabled).toBe(true);
+      expect(queued()).toEqual(['kept']);
+    });
+
+    test('should start measuring afresh when enabled again', () => {
+      client.updatePerformanceStats(500);
+
+      logging.enable();
+      console.info('logged');
+
+      expect(client.performanceStats).toMatchObject({ disabled: false, calls: 1 });
+      expect(queued()).toEqual(['TkrLogging client enabled', 'logged']);
+    });
+  });
+});
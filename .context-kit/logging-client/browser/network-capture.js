@@ -0,0 +1,434 @@
+/**
+ * Network Capture for TKR Browser Logging Client
+ * Wraps fetch and XMLHttpRequest to record request activity, and propagates
+ * a W3C traceparent header so server-side logs can be correlated
+ */
+
+class NetworkCapture {
+  /**
+   * @param {object} config - Capture configuration
+   * @param {Array<string>} config.excludeUrls - URL prefixes never captured (e.g. the logging endpoint)
+   * @param {Array<string>} config.redactQueryParams - Query parameter names whose values are redacted
+   * @param {Array<string>} config.redactHeaders - Header names whose values are redacted
+   * @param {Array<string|RegExp>} config.traceOrigins - Cross-origin targets that may receive traceparent
+   * @param {function} config.onRequest - Called with a record for every completed request
+   * @param {TraceContext} config.traceContext - Trace context whose current span parents request spans
+   * @param {function} config.isActive - Returns false when capture should pass through untouched
+   * @param {function} config.onOverhead - Called with the synchronous overhead of each wrapper in ms
+   */
+  constructor(config = {}) {
+    this.excludeUrls = (config.excludeUrls || []).filter(Boolean);
+    this.redactQueryParams = (config.redactQueryParams || []).map(name => name.toLowerCase());
+    this.redactHeaders = (config.redactHeaders || []).map(name => name.toLowerCase());
+    this.traceOrigins = config.traceOrigins || [];
+    this.onRequest = config.onRequest || (() => {});
+    this.traceContext = config.traceContext || null;
+    this.traceId = this.generateHex(32); // Page-level trace, used without a traceContext
+    this.isActive = config.isActive || (() => true);
+    this.onOverhead = config.onOverhead || (() => {});
+
+    this.originalFetch = null;
+    this.originalXHR = null;
+    this.installed = false;
+  }
+
+  /**
+   * Wrap fetch and XMLHttpRequest
+   */
+  install() {
+    if (this.installed) {
+      return;
+    }
+
+    if (typeof window.fetch === 'function') {
+      this.wrapFetch();
+    }
+
+    if (typeof window.XMLHttpRequest === 'function') {
+      this.wrapXHR();
+    }
+
+    this.installed = true;
+  }
+
+  /**
+   * Restore the original fetch and XMLHttpRequest methods
+   */
+  uninstall() {
+    if (!this.installed) {
+      return;
+    }
+
+    if (this.originalFetch) {
+      window.fetch = this.originalFetch;
+    }
+
+    if (this.originalXHR) {
+      const proto = window.XMLHttpRequest.prototype;
+      proto.open = this.originalXHR.open;
+      proto.send = this.originalXHR.send;
+      proto.setRequestHeader = this.originalXHR.setRequestHeader;
+    }
+
+    this.installed = false;
+  }
+
+  /**
+   * Wrap window.fetch
+   */
+  wrapFetch() {
+    const capture = this;
+    const originalFetch = window.fetch;
+    this.originalFetch = originalFetch;
+
+    window.fetch = function(input, init) {
+      const overheadStart = performance.now();
+      const url = capture.getRequestUrl(input);
+
+      if (!capture.isActive() || capture.isExcluded(url)) {
+        return originalFetch.apply(this, arguments);
+      }
+
+      const request = typeof Request !== 'undefined' && input instanceof Request ? input : null;
+      const method = ((init && init.method) || (request && request.method) || 'GET').toUpperCase();
+      const headers = new Headers((init && init.headers) || (request && request.headers) || undefined);
+      const trace = capture.shouldPropagate(url) ? capture.createTraceContext() : null;
+      let args = arguments;
+
+      if (trace && !headers.has('traceparent')) {
+        headers.set('traceparent', trace.traceparent);
+        if (trace.tracestate && !headers.has('tracestate')) {
+          headers.set('tracestate', trace.tracestate);
+        }
+        args = [input, { ...init, headers }];
+      }
+
+      const record = {
+        type: 'fetch',
+        method,
+        url,
+        requestHeaders: capture.headersToObject(headers),
+        trace,
+        startTime: performance.now()
+      };
+
+      capture.onOverhead(performance.now() - overheadStart);
+
+      return originalFetch.apply(this, args).then(response => {
+        capture.complete(record, {
+          status: response.status,
+          statusText: response.statusText,
+          responseHeaders: capture.headersToObject(response.headers),
+          responseSize: capture.getResponseSize(response.headers.get('content-length'), url)
+        });
+        return response;
+      }, error => {
+        capture.complete(record, { error: error && error.message ? error.message : String(error) });
+        throw error;
+      });
+    };
+  }
+
+  /**
+   * Wrap XMLHttpRequest.prototype.open/send/setRequestHeader
+   */
+  wrapXHR() {
+    const capture = this;
+    const proto = window.XMLHttpRequest.prototype;
+    this.originalXHR = {
+      open: proto.open,
+      send: proto.send,
+      setRequestHeader: proto.setRequestHeader
+    };
+    const original = this.originalXHR;
+
+    proto.open = function(method, url) {
+      this.__tkrNetwork = {
+        type: 'xhr',
+        method: String(method || 'GET').toUpperCase(),
+        url: capture.resolveUrl(String(url)),
+        requestHeaders: {}
+      };
+      return original.open.apply(this, arguments);
+    };
+
+    proto.setRequestHeader = function(name, value) {
+      if (this.__tkrNetwork) {
+        this.__tkrNetwork.requestHeaders[String(name).toLowerCase()] = String(value);
+      }
+      return original.setRequestHeader.apply(this, arguments);
+    };
+
+    proto.send = function() {
+      const record = this.__tkrNetwork;
+      const overheadStart = performance.now();
+
+      if (!record || !capture.isActive() || capture.isExcluded(record.url)) {
+        return original.send.apply(this, arguments);
+      }
+
+      record.trace = capture.shouldPropagate(record.url) ? capture.createTraceContext() : null;
+      if (record.trace && !record.requestHeaders.traceparent) {
+        original.setRequestHeader.call(this, 'traceparent', record.trace.traceparent);
+        record.requestHeaders.traceparent = record.trace.traceparent;
+        if (record.trace.tracestate && !record.requestHeaders.tracestate) {
+          original.setRequestHeader.call(this, 'tracestate', record.trace.tracestate);
+          record.requestHeaders.tracestate = record.trace.tracestate;
+        }
+      }
+
+      record.startTime = performance.now();
+
+      this.addEventListener('loadend', () => {
+        const failed = this.status === 0;
+        capture.complete(record, failed ? { error: 'Network request failed' } : {
+          status: this.status,
+          statusText: this.statusText,
+          responseHeaders: capture.parseResponseHeaders(this.getAllResponseHeaders()),
+          responseSize: capture.getResponseSize(this.getResponseHeader('content-length'), record.url, this)
+        });
+      });
+
+      capture.onOverhead(performance.now() - overheadStart);
+      return original.send.apply(this, arguments);
+    };
+  }
+
+  /**
+   * Finish a request record and hand it to onRequest
+   * @param {object} record - In-flight request record
+   * @param {object} result - status/statusText/responseHeaders/responseSize or error
+   */
+  complete(record, result) {
+    const overheadStart = performance.now();
+
+    try {
+      this.onRequest({
+        type: record.type,
+        method: record.method,
+        url: this.redactUrl(record.url),
+        duration: Math.round((performance.now() - record.startTime) * 100) / 100,
+        requestHeaders: this.redactHeaderValues(record.requestHeaders),
+        responseHeaders: result.responseHeaders ? this.redactHeaderValues(result.responseHeaders) : undefined,
+        status: result.status,
+        statusText: result.statusText,
+        responseSize: result.responseSize,
+        error: result.error,
+        traceparent: record.trace ? record.trace.traceparent : undefined,
+        traceId: record.trace ? record.trace.traceId : undefined,
+        spanId: record.trace ? record.trace.spanId : undefined,
+        parentSpanId: record.trace ? record.trace.parentSpanId : undefined
+      });
+    } catch (error) {
+      // Never let logging break the application's request
+    }
+
+    this.onOverhead(performance.now() - overheadStart);
+  }
+
+  /**
+   * Get the absolute URL of a fetch input
+   * @param {string|Request|URL} input - fetch input
+   * @returns {string} Absolute URL
+   */
+  getRequestUrl(input) {
+    if (typeof Request !== 'undefined' && input instanceof Request) {
+      return input.url;
+    }
+    return this.resolveUrl(String(input));
+  }
+
+  /**
+   * Resolve a possibly relative URL against the page
+   * @param {string} url - URL
+   * @returns {string} Absolute URL
+   */
+  resolveUrl(url) {
+    try {
+      return new URL(url, window.location.href).href;
+    } catch (error) {
+      return url;
+    }
+  }
+
+  /**
+   * Check if a URL must not be captured (e.g. the logging endpoint itself)
+   * @param {string} url - Absolute URL
+   * @returns {boolean}
+   */
+  isExcluded(url) {
+    return this.excludeUrls.some(excluded => url.indexOf(excluded) === 0);
+  }
+
+  /**
+   * Check if a traceparent header may be added to a request.
+   * Only same-origin requests and configured origins get one, since a custom
+   * header turns other cross-origin requests into preflighted ones.
+   * @param {string} url - Absolute URL
+   * @returns {boolean}
+   */
+  shouldPropagate(url) {
+    try {
+      const origin = new URL(url).origin;
+      return origin === window.location.origin || this.traceOrigins.some(allowed =>
+        allowed instanceof RegExp ? allowed.test(url) : origin === allowed || url.indexOf(allowed) === 0
+      );
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Create a W3C trace context for an outgoing request.
+   * With a traceContext the request gets a child span of the current span,
+   * so server-side logs for it nest under the code that made the request.
+   * @returns {object} { traceId, spanId, parentSpanId, traceparent, tracestate }
+   */
+  createTraceContext() {
+    if (this.traceContext) {
+      const span = this.traceContext.startSpan('http');
+      const headers = this.traceContext.getTraceHeaders(span);
+      return {
+        traceId: span.traceId,
+        spanId: span.spanId,
+        parentSpanId: span.parentSpanId,
+        traceparent: headers.traceparent,
+        tracestate: headers.tracestate
+      };
+    }
+
+    const traceId = this.traceId;
+    const spanId = this.generateHex(16);
+    return {
+      traceId,
+      spanId,
+      traceparent: `00-${traceId}-${spanId}-01`
+    };
+  }
+
+  /**
+   * Generate a random lowercase hex string (never all zeros)
+   * @param {number} length - Number of hex characters
+   * @returns {string} Hex string
+   */
+  generateHex(length) {
+    const bytes = new Uint8Array(length / 2);
+    if (window.crypto && window.crypto.getRandomValues) {
+      window.crypto.getRandomValues(bytes);
+    } else {
+      for (let i = 0; i < bytes.length; i++) {
+        bytes[i] = Math.floor(Math.random() * 256);
+      }
+    }
+    bytes[bytes.length - 1] |= 1;
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  /**
+   * Replace the values of redacted query parameters
+   * @param {string} url - Absolute URL
+   * @returns {string} URL safe to log
+   */
+  redactUrl(url) {
+    if (this.redactQueryParams.length === 0) {
+      return url;
+    }
+
+    try {
+      const parsed = new URL(url);
+      let changed = false;
+      Array.from(parsed.searchParams.keys()).forEach(name => {
+        if (this.redactQueryParams.indexOf(name.toLowerCase()) !== -1) {
+          parsed.searchParams.set(name, '[REDACTED]');
+          changed = true;
+        }
+      });
+      return changed ? parsed.href : url;
+    } catch (error) {
+      return url;
+    }
+  }
+
+  /**
+   * Replace the values of redacted headers
+   * @param {object} headers - Header name/value map
+   * @returns {object} Headers safe to log
+   */
+  redactHeaderValues(headers) {
+    const result = {};
+    Object.keys(headers || {}).forEach(name => {
+      result[name] = this.redactHeaders.indexOf(name.toLowerCase()) !== -1 ? '[REDACTED]' : headers[name];
+    });
+    return result;
+  }
+
+  /**
+   * Convert a Headers instance to a plain object with lower-case names
+   * @param {Headers} headers - Headers
+   * @returns {object}
+   */
+  headersToObject(headers) {
+    const result = {};
+    if (headers && typeof headers.forEach === 'function') {
+      headers.forEach((value, name) => {
+        result[name.toLowerCase()] = value;
+      });
+    }
+    return result;
+  }
+
+  /**
+   * Parse XMLHttpRequest.getAllResponseHeaders() output
+   * @param {string} raw - Raw header block
+   * @returns {object}
+   */
+  parseResponseHeaders(raw) {
+    const result = {};
+    (raw || '').trim().split(/[\r\n]+/).forEach(line => {
+      const index = line.indexOf(':');
+      if (index > 0) {
+        result[line.slice(0, index).trim().toLowerCase()] = line.slice(index + 1).trim();
+      }
+    });
+    return result;
+  }
+
+  /**
+   * Determine the response size in bytes
+   * Uses Content-Length, then Resource Timing, then the XHR response text.
+   * @param {string|null} contentLength - Content-Length header value
+   * @param {string} url - Request URL
+   * @param {XMLHttpRequest} xhr - XHR instance, if any
+   * @returns {number|null} Size in bytes, or null if unknown
+   */
+  getResponseSize(contentLength, url, xhr) {
+    const length = parseInt(contentLength, 10);
+    if (!isNaN(length)) {
+      return length;
+    }
+
+    if (typeof performance.getEntriesByName === 'function') {
+      const entries = performance.getEntriesByName(url, 'resource');
+      const entry = entries[entries.length - 1];
+      if (entry && entry.encodedBodySize) {
+        return entry.encodedBodySize;
+      }
+    }
+
+    if (xhr && (xhr.responseType === '' || xhr.responseType === 'text') && typeof xhr.responseText === 'string') {
+      return xhr.responseText.length;
+    }
+
+    return null;
+  }
+}
+
+// Export for browser environments
+if (typeof window !== 'undefined') {
+  window.NetworkCapture = NetworkCapture;
+}
+
+// Export for Node.js environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = NetworkCapture;
+}
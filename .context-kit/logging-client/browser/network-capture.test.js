@@ -0,0 +1,170 @@
+/**
+ * Unit tests for NetworkCapture
+ * Runs the browser script in Node with a stubbed window, Node's fetch classes
+ * and a minimal XMLHttpRequest
+ */
+
+const NetworkCapture = require('./network-capture');
+
+const TRACEPARENT = /^00-[0-9a-f]{32}-[0-9a-f]{16}-01$/;
+
+/** XMLHttpRequest that records what is sent and completes when told to */
+class FakeXMLHttpRequest {
+  open(method, url) {
+    this.method = method;
+    this.url = url;
+    this.headers = {};
+    this.listeners = {};
+  }
+
+  setRequestHeader(name, value) {
+    this.headers[name] = value;
+  }
+
+  send() {
+    this.sent = true;
+  }
+
+  addEventListener(type, listener) {
+    this.listeners[type] = listener;
+  }
+
+  respond(status, headers = '') {
+    this.status = status;
+    this.statusText = status === 200 ? 'OK' : '';
+    this.responseType = '';
+    this.responseText = 'done';
+    this.getAllResponseHeaders = () => headers;
+    this.getResponseHeader = () => null;
+    this.listeners.loadend();
+  }
+}
+
+describe('NetworkCapture', () => {
+  let capture;
+  let fetchMock;
+  let onRequest;
+
+  beforeEach(() => {
+    fetchMock = vi.fn(async () => new Response('{"ok":true}', { status: 200, headers: { 'content-length': '11' } }));
+    globalThis.window = {
+      location: { href: 'http://app.test/page', origin: 'http://app.test' },
+      fetch: fetchMock,
+      XMLHttpRequest: FakeXMLHttpRequest,
+      crypto: globalThis.crypto
+    };
+    onRequest = vi.fn();
+
+    capture = new NetworkCapture({
+      excludeUrls: ['http://localhost:42003/api/logs'],
+      redactQueryParams: ['token'],
+      redactHeaders: ['x-api-key'],
+      traceOrigins: ['https://api.partner.test'],
+      onRequest
+    });
+    capture.install();
+  });
+
+  afterEach(() => {
+    capture.uninstall();
+  });
+
+  const sentHeaders = () => new Headers(fetchMock.mock.calls[0][1] && fetchMock.mock.calls[0][1].headers);
+
+  describe('fetch', () => {
+    test('should record a completed request with redacted query parameters and headers', async () => {
+      await window.fetch('/api/items?token=abc&page=2', { method: 'post', headers: { 'X-Api-Key': 'secret', Accept: 'application/json' } });
+
+      expect(onRequest).toHaveBeenCalledTimes(1);
+      const record = onRequest.mock.calls[0][0];
+      expect(record).toMatchObject({
+        type: 'fetch',
+        method: 'POST',
+        url: 'http://app.test/api/items?token=%5BREDACTED%5D&page=2',
+        status: 200,
+        responseSize: 11,
+        requestHeaders: { 'x-api-key': '[REDACTED]', accept: 'application/json' }
+      });
+      expect(record.duration).toEqual(expect.any(Number));
+    });
+
+    test('should add a traceparent to same-origin requests only', async () => {
+      await window.fetch('/api/items');
+      expect(sentHeaders().get('traceparent')).toMatch(TRACEPARENT);
+      expect(onRequest.mock.calls[0][0].traceparent).toBe(sentHeaders().get('traceparent'));
+
+      fetchMock.mockClear();
+      await window.fetch('https://cdn.other.test/lib.js');
+      expect(sentHeaders().has('traceparent')).toBe(false);
+      expect(onRequest.mock.calls[1][0].traceparent).toBeUndefined();
+    });
+
+    test('should add a traceparent to configured cross-origin targets', async () => {
+      await window.fetch('https://api.partner.test/v1/orders');
+
+      expect(sentHeaders().get('traceparent')).toMatch(TRACEPARENT);
+    });
+
+    test('should keep a traceparent the application set itself', async () => {
+      const traceparent = '00-0af7651916cd43dd8448eb211c80319c-b7ad6b7169203331-01';
+      await window.fetch('/api/items', { headers: { traceparent } });
+
+      expect(sentHeaders().get('traceparent')).toBe(traceparent);
+    });
+
+    test('should record failed requests and rethrow the error', async () => {
+      fetchMock.mockRejectedValueOnce(new TypeError('Failed to fetch'));
+
+      await expect(window.fetch('/api/items')).rejects.toThrow('Failed to fetch');
+      expect(onRequest.mock.calls[0][0]).toMatchObject({ url: 'http://app.test/api/items', error: 'Failed to fetch' });
+    });
+
+    test('should pass excluded URLs and inactive capture through untouched', async () => {
+      await window.fetch('http://localhost:42003/api/logs/batch', { method: 'POST' });
+      expect(fetchMock).toHaveBeenCalledWith('http://localhost:42003/api/logs/batch', { method: 'POST' });
+
+      capture.isActive = () => false;
+      await window.fetch('/api/items');
+      expect(fetchMock).toHaveBeenLastCalledWith('/api/items');
+
+      expect(onRequest).not.toHaveBeenCalled();
+    });
+
+    test('should restore the original fetch on uninstall', () => {
+      capture.uninstall();
+
+      expect(window.fetch).toBe(fetchMock);
+    });
+  });
+
+  describe('XMLHttpRequest', () => {
+    test('should record a completed request with a traceparent for same-origin requests', () => {
+      const xhr = new window.XMLHttpRequest();
+      xhr.open('get', '/api/items?token=abc');
+      xhr.setRequestHeader('X-Api-Key', 'secret');
+      xhr.send();
+      xhr.respond(200, 'Content-Type: application/json\r\nX-Request-Id: 42\r\n');
+
+      expect(xhr.headers.traceparent).toMatch(TRACEPARENT);
+      expect(onRequest.mock.calls[0][0]).toMatchObject({
+        type: 'xhr',
+        method: 'GET',
+        url: 'http://app.test/api/items?token=%5BREDACTED%5D',
+        status: 200,
+        responseSize: 4,
+        requestHeaders: { 'x-api-key': '[REDACTED]', traceparent: xhr.headers.traceparent },
+        responseHeaders: { 'content-type': 'application/json', 'x-request-id': '42' }
+      });
+    });
+
+    test('should not add a traceparent to other origins', () => {
+      const xhr = new window.XMLHttpRequest();
+      xhr.open('GET', 'https://cdn.other.test/data.json');
+      xhr.send();
+      xhr.respond(0);
+
+      expect(xhr.headers).toEqual({});
+      expect(onRequest.mock.calls[0][0]).toMatchObject({ error: 'Network request failed' });
+    });
+  });
+});
@@ -0,0 +1,560 @@
+/**
+ * Offline Store for TKR Browser Logging Client
+ * Durable, ordered outbox for log batches backed by IndexedDB, with a
+ * localStorage (or in-memory) fallback when IndexedDB is unavailable
+ */
+
+const DB_VERSION = 2;
+const BATCH_STORE = 'batches';
+const PENDING_STORE = 'pending';
+const LEGACY_QUEUE_KEY = 'tkr_logging_offline_queue';
+
+class OfflineStore {
+  constructor(config = {}) {
+    this.dbName = config.dbName || 'tkr_logging';
+    this.maxBytes = config.maxBytes || 5 * 1024 * 1024; // 5MB
+    this.storageKey = config.storageKey || 'tkr_logging_offline_store';
+
+    this.db = null;
+    this.backend = 'memory';
+    this.records = []; // Fallback storage when IndexedDB is unavailable
+    this.pending = {};
+    this.nextSeq = 1;
+    this.stats = {
+      batches: 0,
+      entries: 0,
+      bytes: 0,
+      evicted: 0,
+      deduplicated: 0
+    };
+
+    this.ready = this.open();
+  }
+
+  /**
+   * Open the IndexedDB database, falling back to localStorage/memory
+   * @returns {Promise<void>}
+   */
+  async open() {
+    try {
+      this.db = await this.openDatabase();
+      this.backend = 'indexeddb';
+      await this.refreshStats();
+    } catch (error) {
+      this.db = null;
+      this.loadFallback();
+    }
+
+    await this.migrateLegacyQueue();
+  }
+
+  /**
+   * Open (and upgrade if needed) the IndexedDB database
+   * @returns {Promise<IDBDatabase>}
+   */
+  openDatabase() {
+    return new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB not available'));
+        return;
+      }
+
+      const request = indexedDB.open(this.dbName, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(BATCH_STORE)) {
+          const batches = db.createObjectStore(BATCH_STORE, { keyPath: 'seq', autoIncrement: true });
+          batches.createIndex('entryIds', 'entryIds', { unique: false, multiEntry: true });
+        } else {
+          // Version 1 keyed entries by traceId
+          const batches = request.transaction.objectStore(BATCH_STORE);
+          if (batches.indexNames.contains('traceIds')) {
+            batches.deleteIndex('traceIds');
+          }
+          if (!batches.indexNames.contains('entryIds')) {
+            batches.createIndex('entryIds', 'entryIds', { unique: false, multiEntry: true });
+          }
+        }
+        if (!db.objectStoreNames.contains(PENDING_STORE)) {
+          db.createObjectStore(PENDING_STORE, { keyPath: 'ownerId' });
+        }
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => reject(new Error('IndexedDB open blocked'));
+    });
+  }
+
+  /**
+   * Run work inside a single IndexedDB transaction
+   * @param {string} storeName - Object store name
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {function} work - Receives (store, setResult); must only use request callbacks
+   * @returns {Promise<*>} Value passed to setResult, once the transaction commits
+   */
+  transaction(storeName, mode, work) {
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction(storeName, mode);
+      let result;
+
+      tx.oncomplete = () => resolve(result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+
+      work(tx.objectStore(storeName), value => { result = value; });
+    });
+  }
+
+  /**
+   * Add a batch to the end of the outbox.
+   * Entries whose entryId is already queued are dropped, and the oldest
+   * batches are evicted once the byte budget is exceeded. A batch larger than
+   * the whole budget is not stored, so the caller has to send it directly.
+   * @param {object} payload - Batch payload ({ logs, metadata })
+   * @returns {Promise<boolean>} True if anything was queued
+   */
+  async enqueue(payload) {
+    await this.ready;
+    return this.append(payload);
+  }
+
+  /**
+   * Append a batch without waiting for the store to open (used during open)
+   * @param {object} payload - Batch payload
+   * @returns {Promise<boolean>} True if anything was queued
+   */
+  async append(payload) {
+    if (this.db) {
+      try {
+        return await this.enqueueIndexedDB(payload);
+      } catch (error) {
+        console.warn('TkrLogging: Failed to persist offline batch:', error.message);
+        return false;
+      }
+    }
+
+    const queued = new Set();
+    this.records.forEach(record => (record.entryIds || []).forEach(id => queued.add(id)));
+    const record = this.createRecord(payload, queued);
+    if (!record || !this.fitsBudget(record)) {
+      return false;
+    }
+
+    record.seq = this.nextSeq++;
+    this.records.push(record);
+    this.evictFallback();
+    this.saveFallback();
+    return true;
+  }
+
+  /**
+   * IndexedDB implementation of enqueue
+   * @param {object} payload - Batch payload
+   * @returns {Promise<boolean>}
+   */
+  enqueueIndexedDB(payload) {
+    const entryIds = payload.logs.map(log => log.entryId).filter(Boolean);
+
+    return this.transaction(BATCH_STORE, 'readwrite', (store, setResult) => {
+      const queued = new Set();
+      let outstanding = entryIds.length;
+
+      const insert = () => {
+        const record = this.createRecord(payload, queued);
+        if (!record || !this.fitsBudget(record)) {
+          setResult(false);
+          return;
+        }
+
+        store.add(record).onsuccess = () => {
+          setResult(true);
+          this.evictIndexedDB(store);
+        };
+      };
+
+      if (outstanding === 0) {
+        insert();
+        return;
+      }
+
+      entryIds.forEach(entryId => {
+        const request = store.index('entryIds').count(entryId);
+        request.onsuccess = () => {
+          if (request.result > 0) {
+            queued.add(entryId);
+          }
+          if (--outstanding === 0) {
+            insert();
+          }
+        };
+      });
+    });
+  }
+
+  /**
+   * Build a stored record, dropping entries that are already queued
+   * @param {object} payload - Batch payload
+   * @param {Set<string>} queued - Entry IDs already in the outbox
+   * @returns {object|null} Record, or null if every entry was a duplicate
+   */
+  createRecord(payload, queued) {
+    const seen = new Set(queued);
+    const logs = payload.logs.filter(log => {
+      if (!log.entryId) {
+        return true;
+      }
+      if (seen.has(log.entryId)) {
+        return false;
+      }
+      seen.add(log.entryId);
+      return true;
+    });
+
+    this.stats.deduplicated += payload.logs.length - logs.length;
+
+    if (logs.length === 0) {
+      return null;
+    }
+
+    const stored = { ...payload, logs };
+    return {
+      payload: stored,
+      entryIds: logs.map(log => log.entryId).filter(Boolean),
+      entryCount: logs.length,
+      bytes: this.byteLength(JSON.stringify(stored)),
+      createdAt: Date.now()
+    };
+  }
+
+  /**
+   * Whether a new record can be stored at all. Eviction removes the oldest
+   * batches first, so a record larger than the budget would push out every
+   * queued batch and then itself.
+   * @param {object} record - Record built by createRecord
+   * @returns {boolean} True if the record fits the byte budget on its own
+   */
+  fitsBudget(record) {
+    if (record.bytes <= this.maxBytes) {
+      return true;
+    }
+
+    console.warn('TkrLogging: Batch is larger than the offline store budget, not storing it');
+    return false;
+  }
+
+  /**
+   * Evict oldest batches until the byte budget is met (IndexedDB)
+   * @param {IDBObjectStore} store - Store within an open readwrite transaction
+   */
+  evictIndexedDB(store) {
+    const summary = [];
+
+    store.openCursor().onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (cursor) {
+        summary.push({ seq: cursor.value.seq, bytes: cursor.value.bytes, entryCount: cursor.value.entryCount });
+        cursor.continue();
+        return;
+      }
+
+      let bytes = summary.reduce((sum, record) => sum + record.bytes, 0);
+      while (bytes > this.maxBytes && summary.length > 0) {
+        const oldest = summary.shift();
+        store.delete(oldest.seq);
+        bytes -= oldest.bytes;
+        this.stats.evicted += oldest.entryCount;
+      }
+
+      this.setCounts(summary);
+    };
+  }
+
+  /**
+   * Evict oldest batches until the byte budget is met (fallback)
+   */
+  evictFallback() {
+    let bytes = this.records.reduce((sum, record) => sum + record.bytes, 0);
+    while (bytes > this.maxBytes && this.records.length > 0) {
+      const oldest = this.records.shift();
+      bytes -= oldest.bytes;
+      this.stats.evicted += oldest.entryCount;
+    }
+
+    this.setCounts(this.records);
+  }
+
+  /**
+   * Get the oldest queued batch without removing it
+   * @returns {Promise<object|null>} Record ({ seq, payload, ... }) or null
+   */
+  async peek() {
+    await this.ready;
+
+    if (!this.db) {
+      return this.records[0] || null;
+    }
+
+    return this.transaction(BATCH_STORE, 'readonly', (store, setResult) => {
+      setResult(null);
+      store.openCursor().onsuccess = (event) => {
+        const cursor = event.target.result;
+        setResult(cursor ? cursor.value : null);
+      };
+    });
+  }
+
+  /**
+   * Remove a batch once it has been delivered
+   * @param {number} seq - Record sequence number
+   * @returns {Promise<void>}
+   */
+  async remove(seq) {
+    await this.ready;
+
+    if (!this.db) {
+      this.records = this.records.filter(record => record.seq !== seq);
+      this.setCounts(this.records);
+      this.saveFallback();
+      return;
+    }
+
+    await this.transaction(BATCH_STORE, 'readwrite', (store) => {
+      store.delete(seq);
+    });
+    await this.refreshStats();
+  }
+
+  /**
+   * Snapshot entries that are still waiting in memory, so a crash does not lose them
+   * @param {string} ownerId - ID of the writer (one per tab)
+   * @param {Array<object>} entries - Entries not yet batched
+   * @returns {Promise<void>}
+   */
+  async savePending(ownerId, entries) {
+    await this.ready;
+
+    const snapshot = { ownerId, entries, updatedAt: Date.now() };
+
+    if (!this.db) {
+      if (entries.length > 0) {
+        this.pending[ownerId] = snapshot;
+      } else {
+        delete this.pending[ownerId];
+      }
+      this.saveFallback();
+      return;
+    }
+
+    try {
+      await this.transaction(PENDING_STORE, 'readwrite', (store) => {
+        if (entries.length > 0) {
+          store.put(snapshot);
+        } else {
+          store.delete(ownerId);
+        }
+      });
+    } catch (error) {
+      console.warn('TkrLogging: Failed to save pending entries:', error.message);
+    }
+  }
+
+  /**
+   * Take over pending snapshots left behind by this owner or by dead writers
+   * @param {string} ownerId - ID of the current writer
+   * @param {number} staleAfter - Age in ms after which another owner's snapshot is considered abandoned
+   * @returns {Promise<Array<object>>} Recovered entries, oldest first
+   */
+  async claimPending(ownerId, staleAfter) {
+    await this.ready;
+
+    const now = Date.now();
+    const isClaimable = snapshot =>
+      snapshot.ownerId === ownerId || now - snapshot.updatedAt > staleAfter;
+
+    let snapshots;
+    if (!this.db) {
+      snapshots = Object.values(this.pending).filter(isClaimable);
+      snapshots.forEach(snapshot => delete this.pending[snapshot.ownerId]);
+      this.saveFallback();
+    } else {
+      snapshots = await this.transaction(PENDING_STORE, 'readwrite', (store, setResult) => {
+        const claimed = [];
+        setResult(claimed);
+        store.openCursor().onsuccess = (event) => {
+          const cursor = event.target.result;
+          if (!cursor) {
+            return;
+          }
+          if (isClaimable(cursor.value)) {
+            claimed.push(cursor.value);
+            cursor.delete();
+          }
+          cursor.continue();
+        };
+      });
+    }
+
+    return snapshots
+      .sort((a, b) => a.updatedAt - b.updatedAt)
+      .reduce((entries, snapshot) => entries.concat(snapshot.entries), []);
+  }
+
+  /**
+   * Remove every queued batch and pending snapshot
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    await this.ready;
+
+    this.records = [];
+    this.pending = {};
+    this.setCounts([]);
+
+    if (!this.db) {
+      this.saveFallback();
+      return;
+    }
+
+    await this.transaction(BATCH_STORE, 'readwrite', store => store.clear());
+    await this.transaction(PENDING_STORE, 'readwrite', store => store.clear());
+  }
+
+  /**
+   * Recalculate depth and size from the database
+   * @returns {Promise<void>}
+   */
+  async refreshStats() {
+    const summary = await this.transaction(BATCH_STORE, 'readonly', (store, setResult) => {
+      const records = [];
+      setResult(records);
+      store.openCursor().onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (cursor) {
+          records.push({ bytes: cursor.value.bytes, entryCount: cursor.value.entryCount });
+          cursor.continue();
+        }
+      };
+    });
+
+    this.setCounts(summary);
+  }
+
+  /**
+   * Update cached depth counters
+   * @param {Array<object>} records - Records with bytes and entryCount
+   */
+  setCounts(records) {
+    this.stats.batches = records.length;
+    this.stats.entries = records.reduce((sum, record) => sum + record.entryCount, 0);
+    this.stats.bytes = records.reduce((sum, record) => sum + record.bytes, 0);
+  }
+
+  /**
+   * Import batches saved by the old localStorage-only offline queue
+   * @returns {Promise<void>}
+   */
+  async migrateLegacyQueue() {
+    try {
+      const stored = localStorage.getItem(LEGACY_QUEUE_KEY);
+      if (!stored) {
+        return;
+      }
+
+      localStorage.removeItem(LEGACY_QUEUE_KEY);
+      const payloads = JSON.parse(stored);
+      for (const payload of payloads) {
+        if (payload && Array.isArray(payload.logs)) {
+          await this.append(payload);
+        }
+      }
+    } catch (error) {
+      console.warn('TkrLogging: Failed to migrate offline queue:', error.message);
+    }
+  }
+
+  /**
+   * Load fallback state from localStorage
+   */
+  loadFallback() {
+    try {
+      const stored = localStorage.getItem(this.storageKey);
+      this.backend = 'localstorage';
+      if (stored) {
+        const state = JSON.parse(stored);
+        this.records = state.records || [];
+        this.pending = state.pending || {};
+        this.nextSeq = this.records.reduce((max, record) => Math.max(max, record.seq), 0) + 1;
+      }
+    } catch (error) {
+      this.backend = 'memory';
+      this.records = [];
+      this.pending = {};
+    }
+
+    this.setCounts(this.records);
+  }
+
+  /**
+   * Save fallback state to localStorage
+   */
+  saveFallback() {
+    if (this.backend !== 'localstorage') {
+      return;
+    }
+
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify({
+        records: this.records,
+        pending: this.pending
+      }));
+    } catch (error) {
+      console.warn('TkrLogging: Failed to save offline queue:', error.message);
+    }
+  }
+
+  /**
+   * Size of a string in bytes once UTF-8 encoded
+   * @param {string} value - String to measure
+   * @returns {number} Byte length
+   */
+  byteLength(value) {
+    if (typeof TextEncoder !== 'undefined') {
+      return new TextEncoder().encode(value).length;
+    }
+    return value.length;
+  }
+
+  /**
+   * Get current statistics
+   * @returns {object} Statistics object
+   */
+  getStats() {
+    return {
+      backend: this.backend,
+      maxBytes: this.maxBytes,
+      ...this.stats
+    };
+  }
+
+  /**
+   * Close the database connection
+   */
+  close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+}
+
+// Export for browser environments
+if (typeof window !== 'undefined') {
+  window.OfflineStore = OfflineStore;
+}
+
+// Export for Node.js environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = OfflineStore;
+}
@@ -0,0 +1,271 @@
+/**
+ * Redactor for TKR Logging Clients
+ * Masks secrets and personal data in log entries before they are queued.
+ * Shared by the browser client and the Node.js clients (src/redaction.js),
+ * configured from the `redaction` section of config/defaults.json.
+ */
+
+// Mirrors the `redaction` section of config/defaults.json, for browsers that
+// can't read it
+const DEFAULT_REDACTION_CONFIG = {
+  enabled: true,
+  replacement: '[REDACTED]',
+  keys: [
+    'password', 'passwd', 'pwd', 'secret', 'token', 'apiKey', 'api_key',
+    'authorization', 'cookie', 'set-cookie', 'credentials', 'privateKey'
+  ],
+  paths: [],
+  patterns: [
+    { name: 'jwt', pattern: '\\beyJ[A-Za-z0-9_-]+\\.[A-Za-z0-9_-]+\\.[A-Za-z0-9_-]+' },
+    { name: 'bearer', pattern: '\\b(Bearer|Basic)\\s+[A-Za-z0-9._~+/=-]{8,}', flags: 'i', replacement: '$1 [REDACTED]' },
+    { name: 'cookie-header', pattern: '\\b(Cookie|Set-Cookie):\\s*[^\\r\\n]+', flags: 'i', replacement: '$1: [REDACTED]' },
+    { name: 'key-value', pattern: '\\b(password|passwd|pwd|secret|token|api[_-]?key|access[_-]?token|refresh[_-]?token|client[_-]?secret)([\'"]?\\s*[:=]\\s*[\'"]?)[^\\s\'"&,;]+', flags: 'i', replacement: '$1$2[REDACTED]' },
+    { name: 'url-credentials', pattern: '\\b([a-z][a-z0-9+.-]*://)[^/\\s:@]+:[^/\\s@]+@', flags: 'i', replacement: '$1[REDACTED]@' },
+    { name: 'aws-access-key', pattern: '\\b(AKIA|ASIA)[A-Z0-9]{16}\\b' },
+    { name: 'github-token', pattern: '\\bgh[pousr]_[A-Za-z0-9]{36,}\\b' },
+    { name: 'slack-token', pattern: '\\bxox[abprs]-[A-Za-z0-9-]{10,}' },
+    { name: 'api-key', pattern: '\\b(sk|pk|rk)[-_](live|test|proj|ant)[-_][A-Za-z0-9_-]{16,}' },
+    { name: 'email', pattern: '\\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\\.[A-Za-z]{2,}\\b' }
+  ]
+};
+
+const MAX_DEPTH = 10;
+
+class Redactor {
+  /**
+   * @param {object} config - Redaction configuration (merged over the defaults)
+   * @param {boolean} config.enabled - Set to false to pass entries through untouched
+   * @param {string} config.replacement - Value that replaces redacted data
+   * @param {Array<string>} config.keys - Object keys whose values are always redacted (case and separator insensitive, suffix match)
+   * @param {Array<string>} config.paths - Dot paths into the entry that are always redacted (`*` matches any part of a segment)
+   * @param {Array<object>} config.patterns - { name, pattern, flags?, replacement? } rules applied to every string
+   */
+  constructor(config = {}) {
+    this.config = { ...DEFAULT_REDACTION_CONFIG, ...config };
+    this.enabled = this.config.enabled !== false;
+    this.replacement = this.config.replacement;
+    this.keys = (this.config.keys || []).map(key => this.normalizeKey(key)).filter(Boolean);
+    this.paths = (this.config.paths || []).map(path => this.compilePath(path));
+    this.patterns = this.compilePatterns(this.config.patterns || []);
+
+    this.stats = {
+      entriesProcessed: 0,
+      entriesRedacted: 0,
+      redactions: 0,
+      byRule: {}
+    };
+  }
+
+  /**
+   * Redact a log entry. The entry is not modified; a redacted copy is returned.
+   * @param {object} entry - Log entry
+   * @returns {object} Redacted entry (the original if nothing matched)
+   */
+  redactEntry(entry) {
+    if (!this.enabled || !entry || typeof entry !== 'object') {
+      return entry;
+    }
+
+    this.stats.entriesProcessed++;
+    const before = this.stats.redactions;
+    const redacted = this.redactValue(entry, [], 0, []);
+
+    if (this.stats.redactions > before) {
+      this.stats.entriesRedacted++;
+      return redacted;
+    }
+    return entry;
+  }
+
+  /**
+   * Apply pattern rules to a single string
+   * @param {string} value - String to redact
+   * @returns {string} Redacted string
+   */
+  redactString(value) {
+    if (!this.enabled || typeof value !== 'string' || value.length === 0) {
+      return value;
+    }
+
+    let result = value;
+    for (let i = 0; i < this.patterns.length; i++) {
+      const rule = this.patterns[i];
+      rule.regex.lastIndex = 0;
+      result = result.replace(rule.regex, (...args) => {
+        this.count(rule.name);
+        // Expand $n references against this match's groups
+        return rule.replacement.replace(/\$(\d)/g, (ref, group) => args[Number(group)] || '');
+      });
+    }
+    return result;
+  }
+
+  /**
+   * Get redaction statistics
+   * @returns {object} { entriesProcessed, entriesRedacted, redactions, byRule }
+   */
+  getStats() {
+    return {
+      enabled: this.enabled,
+      ...this.stats,
+      byRule: { ...this.stats.byRule }
+    };
+  }
+
+  /**
+   * Reset redaction statistics
+   */
+  resetStats() {
+    this.stats = {
+      entriesProcessed: 0,
+      entriesRedacted: 0,
+      redactions: 0,
+      byRule: {}
+    };
+  }
+
+  /**
+   * Recursively redact a value
+   * @param {*} value - Value to redact
+   * @param {Array<string>} path - Path of the value within the entry
+   * @param {number} depth - Nesting depth
+   * @param {Array<object>} seen - Objects on the current path, to stop at cycles
+   * @returns {*} Redacted value
+   */
+  redactValue(value, path, depth, seen) {
+    if (typeof value === 'string') {
+      return this.redactString(value);
+    }
+    if (!value || typeof value !== 'object' || depth >= MAX_DEPTH || seen.indexOf(value) !== -1) {
+      return value;
+    }
+
+    seen.push(value);
+    const isArray = Array.isArray(value);
+    const result = isArray ? [] : {};
+
+    const keys = Object.keys(value);
+    for (let i = 0; i < keys.length; i++) {
+      const key = keys[i];
+      const child = value[key];
+      const childPath = path.concat(key);
+
+      if (child !== null && child !== undefined && child !== '' && child !== this.replacement) {
+        if (!isArray && this.matchesKey(key)) {
+          this.count('key');
+          result[key] = this.replacement;
+          continue;
+        }
+        if (this.matchesPath(childPath)) {
+          this.count('path');
+          result[key] = this.replacement;
+          continue;
+        }
+      }
+
+      result[key] = this.redactValue(child, childPath, depth + 1, seen);
+    }
+
+    seen.pop();
+    return result;
+  }
+
+  /**
+   * Check an object key against the key rules
+   * `DB_PASSWORD`, `x-api-key` and `accessToken` match `password`, `apiKey` and `token`
+   * @param {string} key - Object key
+   * @returns {boolean} True if the key's value must be redacted
+   */
+  matchesKey(key) {
+    const normalized = this.normalizeKey(key);
+    for (let i = 0; i < this.keys.length; i++) {
+      const rule = this.keys[i];
+      if (normalized.length >= rule.length && normalized.lastIndexOf(rule) === normalized.length - rule.length) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Check a path against the path rules
+   * @param {Array<string>} path - Path segments
+   * @returns {boolean} True if the value at path must be redacted
+   */
+  matchesPath(path) {
+    for (let i = 0; i < this.paths.length; i++) {
+      const rule = this.paths[i];
+      if (rule.length !== path.length) {
+        continue;
+      }
+
+      let matched = true;
+      for (let j = 0; j < rule.length && matched; j++) {
+        matched = rule[j].test(path[j]);
+      }
+      if (matched) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Lowercase a key and drop separators
+   */
+  normalizeKey(key) {
+    return String(key).toLowerCase().replace(/[^a-z0-9]/g, '');
+  }
+
+  /**
+   * Compile a dot path into one RegExp per segment
+   */
+  compilePath(path) {
+    return String(path).split('.').map(segment => {
+      const escaped = segment.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+      return new RegExp(`^${escaped}$`, 'i');
+    });
+  }
+
+  /**
+   * Compile pattern rules, skipping invalid ones
+   */
+  compilePatterns(patterns) {
+    const compiled = [];
+
+    patterns.forEach((rule, index) => {
+      try {
+        const flags = (rule.flags || '').replace(/g/g, '') + 'g';
+        compiled.push({
+          name: rule.name || `pattern-${index}`,
+          regex: new RegExp(rule.pattern, flags),
+          replacement: rule.replacement !== undefined ? rule.replacement : this.replacement
+        });
+      } catch (error) {
+        console.warn(`Redactor: Ignoring invalid pattern '${rule.name || index}': ${error.message}`);
+      }
+    });
+
+    return compiled;
+  }
+
+  /**
+   * Count a redaction
+   */
+  count(rule) {
+    this.stats.redactions++;
+    this.stats.byRule[rule] = (this.stats.byRule[rule] || 0) + 1;
+  }
+}
+
+Redactor.DEFAULT_CONFIG = DEFAULT_REDACTION_CONFIG;
+
+// Export for browser environments
+if (typeof window !== 'undefined') {
+  window.Redactor = Redactor;
+}
+
+// Export for Node.js environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Redactor;
+}
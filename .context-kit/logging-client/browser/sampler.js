@@ -0,0 +1,209 @@
+/**
+ * Adaptive Sampler for TKR Browser Logging Client
+ * Decides which entries are sent: per-level sampling rates, a token bucket per
+ * message fingerprint, and a back-off factor that lowers the rates while the
+ * client's overhead is above its threshold and raises them again once it drops.
+ *
+ * Kept entries report how many entries they stand for (themselves plus those
+ * dropped since), so the server can extrapolate true volumes. Errors and fatals
+ * are always kept.
+ */
+
+const ALWAYS_KEPT_LEVELS = ['error', 'fatal'];
+const MAX_FINGERPRINT_LENGTH = 200;
+
+class AdaptiveSampler {
+  /**
+   * @param {object} config - Sampler configuration
+   * @param {object} config.sampleRates - Base rate per level, 0-1 (levels not listed are kept)
+   * @param {number} config.burst - Token bucket size per fingerprint
+   * @param {number} config.perSecond - Tokens refilled per fingerprint per second
+   * @param {number} config.overheadThreshold - Average overhead in ms above which rates back off
+   * @param {number} config.minFactor - Lowest back-off factor
+   * @param {number} config.adjustInterval - Minimum time between back-off adjustments, in ms
+   * @param {number} config.maxFingerprints - Fingerprints tracked before the least recent is evicted
+   */
+  constructor(config = {}) {
+    this.sampleRates = config.sampleRates || {};
+    this.burst = config.burst || 20;
+    this.perSecond = config.perSecond !== undefined ? config.perSecond : 5;
+    this.overheadThreshold = config.overheadThreshold || 1;
+    this.minFactor = config.minFactor || 0.01;
+    this.adjustInterval = config.adjustInterval || 1000;
+    this.maxFingerprints = config.maxFingerprints || 500;
+
+    this.factor = 1;
+    this.overhead = 0; // Moving average, ms
+    this.lastAdjust = Date.now();
+    this.fingerprints = new Map(); // fingerprint -> { tokens, refilledAt, dropped }
+    this.levelCarry = {}; // Drops of evicted fingerprints, per level
+
+    this.stats = {
+      kept: 0,
+      sampledOut: 0,
+      rateLimited: 0,
+      backoffs: 0,
+      recoveries: 0
+    };
+  }
+
+  /**
+   * Decide whether to keep an entry
+   * @param {string} level - Entry level
+   * @param {string} message - Message, or the format string for console calls
+   * @returns {number} 0 to drop the entry, otherwise the number of entries it stands for
+   */
+  sample(level, message) {
+    const normalizedLevel = String(level).toLowerCase();
+    if (ALWAYS_KEPT_LEVELS.indexOf(normalizedLevel) !== -1) {
+      this.stats.kept++;
+      return 1 + this.takeLevelCarry(normalizedLevel);
+    }
+
+    const key = normalizedLevel + ':' + this.fingerprint(message);
+    const record = this.getRecord(key);
+
+    const rate = this.getRate(normalizedLevel);
+    if (rate < 1 && Math.random() >= rate) {
+      record.dropped++;
+      this.stats.sampledOut++;
+      return 0;
+    }
+
+    this.refill(record);
+    if (record.tokens < 1) {
+      record.dropped++;
+      this.stats.rateLimited++;
+      return 0;
+    }
+
+    record.tokens--;
+    const represented = 1 + record.dropped + this.takeLevelCarry(normalizedLevel);
+    record.dropped = 0;
+    this.stats.kept++;
+    return represented;
+  }
+
+  /**
+   * Effective sampling rate of a level
+   * @param {string} level - Lowercase level
+   * @returns {number} Rate, 0-1
+   */
+  getRate(level) {
+    const base = this.sampleRates[level] !== undefined ? this.sampleRates[level] : 1;
+    return Math.max(0, Math.min(1, base)) * this.factor;
+  }
+
+  /**
+   * Record the overhead of one logging operation and adjust the back-off factor:
+   * halved while the average is above the threshold, raised again once it is
+   * comfortably below
+   * @param {number} duration - Overhead in ms
+   */
+  recordOverhead(duration) {
+    this.overhead = this.overhead * 0.9 + duration * 0.1;
+
+    const now = Date.now();
+    if (now - this.lastAdjust < this.adjustInterval) {
+      return;
+    }
+    this.lastAdjust = now;
+
+    if (this.overhead > this.overheadThreshold && this.factor > this.minFactor) {
+      this.factor = Math.max(this.minFactor, this.factor / 2);
+      this.stats.backoffs++;
+    } else if (this.overhead < this.overheadThreshold / 2 && this.factor < 1) {
+      this.factor = Math.min(1, this.factor * 1.5);
+      this.stats.recoveries++;
+    }
+  }
+
+  /**
+   * Reduce a message to its fingerprint: numbers, hex IDs and UUIDs are
+   * replaced so messages that differ only in values share a bucket
+   * @param {string} message - Message
+   * @returns {string} Fingerprint
+   */
+  fingerprint(message) {
+    return String(message)
+      .slice(0, MAX_FINGERPRINT_LENGTH)
+      .replace(/[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/gi, '<uuid>')
+      .replace(/\b[0-9a-f]{12,}\b/gi, '<hex>')
+      .replace(/\d+(\.\d+)?/g, '<n>');
+  }
+
+  /**
+   * Get the bucket of a fingerprint, evicting the least recently used one when full
+   * @param {string} key - Level and fingerprint
+   * @returns {object} { tokens, refilledAt, dropped }
+   */
+  getRecord(key) {
+    let record = this.fingerprints.get(key);
+
+    if (record) {
+      // Re-insert to keep the Map in least-recently-used order
+      this.fingerprints.delete(key);
+    } else {
+      record = { tokens: this.burst, refilledAt: Date.now(), dropped: 0 };
+
+      if (this.fingerprints.size >= this.maxFingerprints) {
+        const [oldestKey, oldest] = this.fingerprints.entries().next().value;
+        this.fingerprints.delete(oldestKey);
+        // Keep its drops counted: the next kept entry of the level reports them
+        if (oldest.dropped > 0) {
+          const level = oldestKey.slice(0, oldestKey.indexOf(':'));
+          this.levelCarry[level] = (this.levelCarry[level] || 0) + oldest.dropped;
+        }
+      }
+    }
+
+    this.fingerprints.set(key, record);
+    return record;
+  }
+
+  /**
+   * Refill a token bucket for the time elapsed since its last refill
+   * @param {object} record - Bucket
+   */
+  refill(record) {
+    const now = Date.now();
+    record.tokens = Math.min(this.burst, record.tokens + (now - record.refilledAt) / 1000 * this.perSecond);
+    record.refilledAt = now;
+  }
+
+  /**
+   * Take the drops carried over from evicted fingerprints of a level
+   * @param {string} level - Lowercase level
+   * @returns {number} Dropped entries
+   */
+  takeLevelCarry(level) {
+    const carry = this.levelCarry[level] || 0;
+    if (carry > 0) {
+      delete this.levelCarry[level];
+    }
+    return carry;
+  }
+
+  /**
+   * Get sampling statistics
+   * @returns {object} { factor, overhead, fingerprints, kept, sampledOut, rateLimited, backoffs, recoveries }
+   */
+  getStats() {
+    return {
+      factor: this.factor,
+      overhead: this.overhead,
+      fingerprints: this.fingerprints.size,
+      ...this.stats
+    };
+  }
+}
+
+// Export for browser environments
+if (typeof window !== 'undefined') {
+  window.AdaptiveSampler = AdaptiveSampler;
+}
+
+// Export for Node.js environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AdaptiveSampler;
+}
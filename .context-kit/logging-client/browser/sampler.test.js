@@ -0,0 +1,125 @@
+/**
+ * Unit tests for AdaptiveSampler
+ * Time is faked, so token refills and back-off steps happen when the tests say
+ */
+
+const AdaptiveSampler = require('./sampler');
+
+describe('AdaptiveSampler', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    vi.useRealTimers();
+  });
+
+  const sampleMany = (sampler, count, level, message) =>
+    Array.from({ length: count }, (_, i) => sampler.sample(level, typeof message === 'function' ? message(i) : message));
+
+  describe('errors and fatals', () => {
+    test('should never be dropped, whatever the rates, limits and back-off', () => {
+      const sampler = new AdaptiveSampler({ sampleRates: { error: 0, fatal: 0 }, burst: 1, perSecond: 0, minFactor: 0.01 });
+      sampler.factor = 0.01;
+
+      expect(sampleMany(sampler, 100, 'error', 'Request failed')).toEqual(Array(100).fill(1));
+      expect(sampleMany(sampler, 100, 'FATAL', 'Out of memory')).toEqual(Array(100).fill(1));
+      expect(sampler.getStats()).toMatchObject({ kept: 200, sampledOut: 0, rateLimited: 0 });
+    });
+  });
+
+  describe('rate limiting', () => {
+    test('should keep a burst per fingerprint, then refill at the sustained rate', () => {
+      const sampler = new AdaptiveSampler({ burst: 3, perSecond: 1 });
+
+      expect(sampleMany(sampler, 5, 'info', 'Polling')).toEqual([1, 1, 1, 0, 0]);
+
+      vi.advanceTimersByTime(1000);
+      // The kept entry stands for itself and the two dropped since
+      expect(sampleMany(sampler, 2, 'info', 'Polling')).toEqual([3, 0]);
+      expect(sampler.getStats()).toMatchObject({ kept: 4, rateLimited: 3 });
+    });
+
+    test('should share a bucket between messages that differ only in numbers and IDs', () => {
+      const sampler = new AdaptiveSampler({ burst: 2, perSecond: 0 });
+
+      expect(sampleMany(sampler, 3, 'info', i => `Loaded user ${i} in ${i * 1.5}ms`)).toEqual([1, 1, 0]);
+      expect(sampleMany(sampler, 3, 'info', i => `Item 550e8400-e29b-41d4-a716-44665544000${i} saved`)).toEqual([1, 1, 0]);
+      expect(sampler.fingerprint('Commit 9fceb02d0ae598e95dc970b74767f19372d61af8 pushed')).toBe('Commit <hex> pushed');
+      // The same message at another level has its own bucket
+      expect(sampler.sample('warn', 'Loaded user 9 in 3ms')).toBe(1);
+    });
+
+    test('should evict the least recently used fingerprint and keep counting its drops', () => {
+      const sampler = new AdaptiveSampler({ burst: 1, perSecond: 0, maxFingerprints: 2 });
+      sampleMany(sampler, 3, 'info', 'first');
+      sampler.sample('info', 'second');
+
+      // 'first' is evicted with two drops, which the next kept info entry reports
+      expect(sampler.sample('info', 'third')).toBe(3);
+      expect(sampler.sample('info', 'fourth')).toBe(1);
+      expect(sampler.getStats().fingerprints).toBe(2);
+    });
+  });
+
+  describe('sampling rates', () => {
+    test('should drop levels by their base rate', () => {
+      const sampler = new AdaptiveSampler({ sampleRates: { debug: 0, trace: 0.5 } });
+      vi.spyOn(Math, 'random').mockReturnValueOnce(0.7).mockReturnValueOnce(0.2);
+
+      expect(sampleMany(sampler, 2, 'trace', 'step')).toEqual([0, 2]);
+      expect(sampleMany(sampler, 3, 'debug', 'tick')).toEqual([0, 0, 0]);
+      expect(sampler.getStats().sampledOut).toBe(4);
+    });
+
+    test('should keep levels without a rate', () => {
+      const sampler = new AdaptiveSampler({ sampleRates: { debug: 0 } });
+
+      expect(sampleMany(sampler, 3, 'warn', 'Slow render')).toEqual([1, 1, 1]);
+    });
+  });
+
+  describe('back-off', () => {
+    test('should halve the rates while overhead is over the threshold, down to the minimum', () => {
+      const sampler = new AdaptiveSampler({ overheadThreshold: 1, minFactor: 0.25 });
+
+      for (let second = 0; second < 4; second++) {
+        vi.advanceTimersByTime(1000);
+        sampler.recordOverhead(20);
+      }
+
+      expect(sampler.getStats()).toMatchObject({ factor: 0.25, backoffs: 2 });
+      expect(sampler.getRate('info')).toBe(0.25);
+      expect(sampler.sample('error', 'still kept')).toBe(1);
+    });
+
+    test('should adjust at most once per interval', () => {
+      const sampler = new AdaptiveSampler({ overheadThreshold: 1 });
+
+      vi.advanceTimersByTime(1000);
+      sampler.recordOverhead(50);
+      sampler.recordOverhead(50);
+
+      expect(sampler.factor).toBe(0.5);
+    });
+
+    test('should recover once overhead is below half the threshold', () => {
+      const sampler = new AdaptiveSampler({ overheadThreshold: 1 });
+      vi.advanceTimersByTime(1000);
+      sampler.recordOverhead(20);
+      expect(sampler.factor).toBe(0.5);
+
+      // Let the moving average decay
+      for (let i = 0; i < 50; i++) {
+        sampler.recordOverhead(0);
+      }
+      vi.advanceTimersByTime(1000);
+      sampler.recordOverhead(0);
+      vi.advanceTimersByTime(1000);
+      sampler.recordOverhead(0);
+
+      expect(sampler.getStats()).toMatchObject({ factor: 1, recoveries: 2 });
+    });
+  });
+});
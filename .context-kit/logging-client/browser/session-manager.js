@@ -8,6 +8,7 @@ class SessionManager {
     this.sessionId = null;
     this.storageKey = 'tkr_logging_session';
     this.sessionDuration = 24 * 60 * 60 * 1000; // 24 hours
+    this.storageListener = null;
   }
 
   /**
@@ -27,6 +28,8 @@ class SessionManager {
    * @returns {string} Session ID
    */
   initialize() {
+    this.watchSession();
+
     try {
       // Check for existing session in localStorage
       const stored = localStorage.getItem(this.storageKey);
@@ -51,6 +54,34 @@ class SessionManager {
     return this.sessionId;
   }
 
+  /**
+   * Follow session changes made by other tabs. Two tabs that find an expired
+   * session at the same time both create one; the last write wins and every
+   * tab adopts it, so they keep logging under one session ID.
+   */
+  watchSession() {
+    if (this.storageListener || typeof window === 'undefined') {
+      return;
+    }
+
+    this.storageListener = (event) => {
+      if (event.key !== this.storageKey || !event.newValue) {
+        return;
+      }
+
+      try {
+        const sessionData = JSON.parse(event.newValue);
+        if (sessionData.sessionId) {
+          this.sessionId = sessionData.sessionId;
+        }
+      } catch (error) {
+        // Ignore malformed session data
+      }
+    };
+
+    window.addEventListener('storage', this.storageListener);
+  }
+
   /**
    * Persist session to localStorage
    */
@@ -0,0 +1,499 @@
+/**
+ * Tab Coordinator for TKR Browser Logging Client
+ * Elects one leader among the open tabs of an origin. Only the leader uploads;
+ * follower tabs forward their entries to it over a BroadcastChannel, so several
+ * open tabs share one batch queue, one flush timer and one upload stream.
+ *
+ * Leadership is a Web Lock where supported: the browser grants it to the next
+ * waiting tab as soon as the leader's tab closes or crashes. Without Web Locks
+ * tabs elect a leader over the channel, taking over once its heartbeats stop.
+ */
+
+class TabCoordinator {
+  /**
+   * @param {object} config - Coordinator configuration
+   * @param {string} config.tabId - ID of this tab
+   * @param {string} config.channelName - BroadcastChannel name
+   * @param {string} config.lockName - Web Lock held by the leader
+   * @param {number} config.heartbeatInterval - How often the leader announces itself, in ms
+   * @param {number} config.leaderTimeout - Silence after which the leader is considered gone, in ms
+   * @param {number} config.ackTimeout - Time the leader has to accept forwarded entries, in ms
+   * @param {number} config.maxPending - Forwarded entries awaiting acknowledgement before the oldest are uploaded locally
+   * @param {function} config.onEntries - Leader: called with entries forwarded by another tab
+   * @param {function} config.onFallback - Called with forwarded entries no leader accepted, to upload locally
+   *   (the second argument is true when the page is going away, so they must be sent at once)
+   * @param {function} config.onRoleChange - Called with 'leader', 'follower' or 'pending'
+   */
+  constructor(config = {}) {
+    this.tabId = config.tabId || 'tab_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    this.channelName = config.channelName || 'tkr_logging';
+    this.lockName = config.lockName || 'tkr_logging_leader';
+    this.heartbeatInterval = config.heartbeatInterval || 1000;
+    this.leaderTimeout = config.leaderTimeout || 3000;
+    this.ackTimeout = config.ackTimeout || 5000;
+    this.maxPending = config.maxPending || 1000;
+    this.onEntries = config.onEntries || (() => {});
+    this.onFallback = config.onFallback || (() => {});
+    this.onRoleChange = config.onRoleChange || (() => {});
+
+    this.channel = null;
+    this.useLocks = false;
+    this.lockAbort = null;
+    this.releaseLock = null;
+    this.role = 'pending';
+    this.leaderId = null;
+    this.lastHeartbeat = 0;
+    this.electionTimer = null;
+    this.checkTimer = null;
+    this.sendTimer = null;
+    this.outgoing = [];
+    this.pending = new Map(); // entryId -> { entry, sentAt }
+    this.listeners = [];
+    this.started = false;
+
+    this.stats = {
+      forwarded: 0,
+      received: 0,
+      fallbacks: 0,
+      leaderChanges: 0
+    };
+  }
+
+  /**
+   * Start coordinating with other tabs
+   * @returns {boolean} False if BroadcastChannel is unsupported (the tab uploads on its own)
+   */
+  start() {
+    if (this.started) {
+      return true;
+    }
+    if (typeof BroadcastChannel === 'undefined') {
+      return false;
+    }
+
+    this.started = true;
+    this.listen(window, 'pagehide', () => this.disconnect());
+    this.listen(window, 'pageshow', (event) => {
+      // Restored from the back/forward cache
+      if (event.persisted) {
+        this.connect();
+      }
+    });
+
+    this.connect();
+    return true;
+  }
+
+  /**
+   * Stop coordinating, handing leadership to another tab
+   */
+  stop() {
+    if (!this.started) {
+      return;
+    }
+
+    this.disconnect();
+    this.listeners.forEach(({ target, type, handler }) => target.removeEventListener(type, handler));
+    this.listeners = [];
+    this.started = false;
+  }
+
+  /**
+   * Open the channel and join the election
+   */
+  connect() {
+    if (this.channel) {
+      return;
+    }
+
+    this.channel = new BroadcastChannel(this.channelName);
+    this.channel.onmessage = (event) => this.handleMessage(event.data);
+    this.useLocks = typeof navigator !== 'undefined' && !!navigator.locks;
+
+    if (this.useLocks) {
+      this.requestLock();
+    } else {
+      this.scheduleElection(this.leaderTimeout);
+    }
+
+    // Ask a current leader to announce itself
+    this.post({ type: 'hello' });
+    this.checkTimer = setInterval(() => this.check(), this.heartbeatInterval);
+  }
+
+  /**
+   * Leave the election and close the channel (page hidden for good or frozen in
+   * the back/forward cache). Entries still waiting to be forwarded are posted
+   * first, or uploaded locally when there is no leader to post them to; a
+   * leader resigns so followers fail over at once.
+   */
+  disconnect() {
+    if (!this.channel) {
+      return;
+    }
+
+    if (this.canForward()) {
+      this.sendOutgoing();
+    } else {
+      this.fallback(Array.from(this.pending.keys()), true);
+    }
+    if (this.role === 'leader') {
+      this.post({ type: 'resign' });
+    }
+
+    // The leader is still running and will accept what was posted; the
+    // acknowledgements just can't reach this tab any more
+    this.pending.clear();
+
+    if (this.releaseLock) {
+      this.releaseLock();
+      this.releaseLock = null;
+    }
+    if (this.lockAbort) {
+      this.lockAbort.abort();
+      this.lockAbort = null;
+    }
+
+    clearInterval(this.checkTimer);
+    clearTimeout(this.electionTimer);
+    clearTimeout(this.sendTimer);
+    this.checkTimer = null;
+    this.electionTimer = null;
+    this.sendTimer = null;
+
+    this.channel.close();
+    this.channel = null;
+    this.leaderId = null;
+    this.setRole('pending');
+  }
+
+  /**
+   * Wait for the leader lock; it is held until disconnect() or the tab closes
+   */
+  requestLock() {
+    const abort = typeof AbortController !== 'undefined' ? new AbortController() : null;
+    this.lockAbort = abort;
+
+    const options = abort ? { signal: abort.signal } : {};
+    navigator.locks.request(this.lockName, options, () => {
+      this.lockAbort = null;
+      this.becomeLeader();
+      return new Promise(resolve => {
+        this.releaseLock = resolve;
+      });
+    }).catch(() => {
+      // Aborted by disconnect()
+    });
+  }
+
+  /**
+   * Whether this tab uploads for all tabs
+   * @returns {boolean} True for the leader
+   */
+  isLeader() {
+    return this.role === 'leader';
+  }
+
+  /**
+   * Whether entries can be forwarded, i.e. another tab is the known leader
+   * @returns {boolean} True for a follower with a live leader
+   */
+  canForward() {
+    return this.role === 'follower' && this.leaderId !== null && this.channel !== null;
+  }
+
+  /**
+   * Forward an entry to the leader. Entries are posted together on the next
+   * tick and kept until the leader acknowledges them.
+   * @param {object} entry - Log entry with an entryId
+   */
+  forward(entry) {
+    this.pending.set(entry.entryId, { entry, sentAt: Date.now() });
+    this.outgoing.push(entry);
+    this.stats.forwarded++;
+
+    if (this.pending.size > this.maxPending) {
+      const oldest = this.pending.keys().next().value;
+      this.fallback([oldest]);
+    }
+
+    if (!this.sendTimer) {
+      this.sendTimer = setTimeout(() => this.sendOutgoing(), 0);
+    }
+  }
+
+  /**
+   * Post entries waiting to be forwarded now
+   */
+  sendOutgoing() {
+    clearTimeout(this.sendTimer);
+    this.sendTimer = null;
+
+    if (this.outgoing.length === 0) {
+      return;
+    }
+
+    const entries = this.outgoing;
+    this.outgoing = [];
+
+    if (this.canForward()) {
+      this.post({ type: 'entries', to: this.leaderId, entries });
+    }
+    // Otherwise the entries stay pending until a leader appears or they time out
+  }
+
+  /**
+   * Handle a message from another tab
+   * @param {object} message - Channel message
+   */
+  handleMessage(message) {
+    if (!message || message.from === this.tabId) {
+      return;
+    }
+
+    switch (message.type) {
+      case 'hello':
+        if (this.role === 'leader') {
+          this.announce();
+        }
+        break;
+
+      case 'leader':
+        if (this.role === 'leader') {
+          // Two leaders (only possible without Web Locks): the lower tab ID keeps it
+          if (message.from < this.tabId && !this.useLocks) {
+            this.followLeader(message.from);
+          } else {
+            this.announce();
+          }
+        } else {
+          this.followLeader(message.from);
+        }
+        break;
+
+      case 'resign':
+        if (message.from === this.leaderId) {
+          this.leaderLost();
+        }
+        break;
+
+      case 'claim':
+        if (this.role === 'leader') {
+          this.announce();
+        } else if (message.from < this.tabId && this.electionTimer) {
+          // Let the lower tab ID win, and take over only if it never announces itself
+          this.scheduleElection(this.leaderTimeout);
+        }
+        break;
+
+      case 'entries':
+        if (this.role === 'leader' && message.to === this.tabId && Array.isArray(message.entries)) {
+          this.stats.received += message.entries.length;
+          this.onEntries(message.entries, message.from);
+          this.post({ type: 'ack', to: message.from, ids: message.entries.map(entry => entry.entryId) });
+        }
+        break;
+
+      case 'ack':
+        if (message.to === this.tabId && Array.isArray(message.ids)) {
+          message.ids.forEach(id => this.pending.delete(id));
+        }
+        break;
+    }
+  }
+
+  /**
+   * Follow another tab as leader, re-sending anything it has not acknowledged
+   * @param {string} leaderId - Leader tab ID
+   */
+  followLeader(leaderId) {
+    clearTimeout(this.electionTimer);
+    this.electionTimer = null;
+    this.lastHeartbeat = Date.now();
+
+    if (this.leaderId === leaderId && this.role === 'follower') {
+      return;
+    }
+
+    this.leaderId = leaderId;
+    this.stats.leaderChanges++;
+    this.setRole('follower');
+
+    if (this.pending.size > 0) {
+      const now = Date.now();
+      const entries = [];
+      this.pending.forEach(record => {
+        record.sentAt = now;
+        entries.push(record.entry);
+      });
+      this.outgoing = entries;
+      this.sendOutgoing();
+    }
+  }
+
+  /**
+   * Take over as leader. Entries this tab forwarded without an acknowledgement
+   * are uploaded locally.
+   */
+  becomeLeader() {
+    clearTimeout(this.electionTimer);
+    this.electionTimer = null;
+
+    this.leaderId = this.tabId;
+    this.stats.leaderChanges++;
+    this.setRole('leader');
+    this.fallback(Array.from(this.pending.keys()));
+    this.announce();
+  }
+
+  /**
+   * The leader resigned or stopped sending heartbeats. Entries it has not
+   * acknowledged were never added to its queue, so they are uploaded locally.
+   */
+  leaderLost() {
+    this.leaderId = null;
+    this.setRole('pending');
+    this.fallback(Array.from(this.pending.keys()));
+
+    // With Web Locks the next waiting tab is granted the lock
+    if (!this.useLocks) {
+      this.scheduleElection(0);
+    }
+  }
+
+  /**
+   * Claim leadership after a delay unless a leader announces itself first
+   * (elections without Web Locks)
+   * @param {number} delay - Delay before claiming, in ms
+   */
+  scheduleElection(delay) {
+    clearTimeout(this.electionTimer);
+
+    this.electionTimer = setTimeout(() => {
+      this.post({ type: 'claim' });
+
+      // Give lower tab IDs one heartbeat to object
+      this.electionTimer = setTimeout(() => {
+        this.electionTimer = null;
+        if (this.role !== 'leader') {
+          this.becomeLeader();
+        }
+      }, this.heartbeatInterval);
+    }, delay);
+  }
+
+  /**
+   * Periodic check: leader heartbeat, leader liveness and acknowledgement timeouts
+   */
+  check() {
+    if (this.role === 'leader') {
+      this.announce();
+      return;
+    }
+
+    const now = Date.now();
+    if (this.leaderId && now - this.lastHeartbeat > this.leaderTimeout) {
+      this.leaderLost();
+      return;
+    }
+
+    const expired = [];
+    this.pending.forEach((record, id) => {
+      if (now - record.sentAt > this.ackTimeout) {
+        expired.push(id);
+      }
+    });
+    this.fallback(expired);
+  }
+
+  /**
+   * Hand pending entries back for local upload
+   * @param {Array<string>} ids - Entry IDs
+   * @param {boolean} leaving - Whether the page is going away
+   */
+  fallback(ids, leaving = false) {
+    if (ids.length === 0) {
+      return;
+    }
+
+    const entries = [];
+    ids.forEach(id => {
+      const record = this.pending.get(id);
+      if (record) {
+        entries.push(record.entry);
+        this.pending.delete(id);
+      }
+    });
+    this.outgoing = this.outgoing.filter(entry => this.pending.has(entry.entryId));
+
+    this.stats.fallbacks += entries.length;
+    this.onFallback(entries, leaving);
+  }
+
+  /**
+   * Announce this tab as leader (doubles as the heartbeat)
+   */
+  announce() {
+    this.post({ type: 'leader' });
+  }
+
+  /**
+   * Post a message to the other tabs
+   * @param {object} message - Message
+   */
+  post(message) {
+    if (!this.channel) {
+      return;
+    }
+
+    try {
+      this.channel.postMessage({ ...message, from: this.tabId });
+    } catch (error) {
+      // Entries that cannot be cloned stay pending and time out to a local upload
+    }
+  }
+
+  /**
+   * Update the role, notifying the client
+   * @param {string} role - 'leader', 'follower' or 'pending'
+   */
+  setRole(role) {
+    if (this.role !== role) {
+      this.role = role;
+      this.onRoleChange(role);
+    }
+  }
+
+  /**
+   * Add a window listener that stop() removes again
+   */
+  listen(target, type, handler) {
+    target.addEventListener(type, handler);
+    this.listeners.push({ target, type, handler });
+  }
+
+  /**
+   * Get coordination statistics
+   * @returns {object} { tabId, role, leaderId, election, pending, forwarded, received, fallbacks, leaderChanges }
+   */
+  getStats() {
+    return {
+      tabId: this.tabId,
+      role: this.role,
+      leaderId: this.leaderId,
+      election: this.useLocks ? 'web-locks' : 'heartbeat',
+      pending: this.pending.size,
+      ...this.stats
+    };
+  }
+}
+
+// Export for browser environments
+if (typeof window !== 'undefined') {
+  window.TabCoordinator = TabCoordinator;
+}
+
+// Export for Node.js environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TabCoordinator;
+}
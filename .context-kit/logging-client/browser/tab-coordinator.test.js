@@ -0,0 +1,175 @@
+/**
+ * Unit tests for TabCoordinator
+ * Runs the browser script in Node with an in-process BroadcastChannel and no
+ * Web Locks, so tabs elect their leader over the channel
+ */
+
+const channels = new Set();
+
+/**
+ * BroadcastChannel that delivers to the other open channels of the same name
+ * on the next timer tick, as browsers deliver on a later task
+ */
+class FakeBroadcastChannel {
+  constructor(name) {
+    this.name = name;
+    this.onmessage = null;
+    channels.add(this);
+  }
+
+  postMessage(data) {
+    const message = structuredClone(data);
+    channels.forEach(channel => {
+      if (channel !== this && channel.name === this.name) {
+        setTimeout(() => channels.has(channel) && channel.onmessage && channel.onmessage({ data: message }), 0);
+      }
+    });
+  }
+
+  close() {
+    channels.delete(this);
+  }
+}
+
+const TabCoordinator = require('./tab-coordinator');
+
+describe('TabCoordinator', () => {
+  const tabs = [];
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    globalThis.window = { addEventListener: () => {}, removeEventListener: () => {} };
+    globalThis.BroadcastChannel = FakeBroadcastChannel;
+    Object.defineProperty(globalThis, 'navigator', { value: {}, configurable: true, writable: true });
+  });
+
+  afterEach(() => {
+    tabs.splice(0).forEach(tab => tab.stop());
+    delete globalThis.BroadcastChannel;
+    vi.useRealTimers();
+  });
+
+  const startTab = (tabId) => {
+    const tab = new TabCoordinator({ tabId, onEntries: vi.fn(), onFallback: vi.fn() });
+    tab.start();
+    tabs.push(tab);
+    return tab;
+  };
+
+  /** Deliver the messages in flight, and their replies */
+  const settle = () => vi.advanceTimersByTime(10);
+
+  /** Start tab_a, let it win the election, then start tab_b as its follower */
+  const startLeaderAndFollower = () => {
+    const leader = startTab('tab_a');
+    vi.advanceTimersByTime(4000);
+    const follower = startTab('tab_b');
+    settle();
+    return { leader, follower };
+  };
+
+  const entry = (id) => ({ entryId: id, level: 'info', message: `entry ${id}` });
+
+  test('should elect the only tab after the election delay and make later tabs follow it', () => {
+    const { leader, follower } = startLeaderAndFollower();
+
+    expect(leader.isLeader()).toBe(true);
+    expect(follower.getStats()).toMatchObject({ role: 'follower', leaderId: 'tab_a', election: 'heartbeat' });
+    expect(follower.canForward()).toBe(true);
+  });
+
+  test('should return false without BroadcastChannel', () => {
+    delete globalThis.BroadcastChannel;
+
+    expect(new TabCoordinator().start()).toBe(false);
+  });
+
+  test('should hand forwarded entries to the leader and forget them once acknowledged', () => {
+    const { leader, follower } = startLeaderAndFollower();
+
+    follower.forward(entry('e1'));
+    follower.forward(entry('e2'));
+    expect(follower.getStats().pending).toBe(2);
+    settle();
+
+    expect(leader.onEntries).toHaveBeenCalledTimes(1);
+    expect(leader.onEntries).toHaveBeenCalledWith([entry('e1'), entry('e2')], 'tab_b');
+    expect(follower.getStats()).toMatchObject({ pending: 0, forwarded: 2, fallbacks: 0 });
+    expect(follower.onFallback).not.toHaveBeenCalled();
+  });
+
+  test('should upload entries locally that the leader does not acknowledge in time', () => {
+    const { leader, follower } = startLeaderAndFollower();
+    // The leader keeps sending heartbeats but never handles the entries
+    vi.spyOn(leader, 'handleMessage').mockImplementation(() => {});
+
+    follower.forward(entry('e1'));
+    vi.advanceTimersByTime(5000);
+    expect(follower.onFallback).not.toHaveBeenCalled();
+    vi.advanceTimersByTime(1000);
+
+    expect(follower.onFallback).toHaveBeenCalledWith([entry('e1')], false);
+    expect(follower.getStats()).toMatchObject({ role: 'follower', pending: 0, fallbacks: 1 });
+  });
+
+  test('should upload unacknowledged entries locally and take over when the leader resigns', () => {
+    const { leader, follower } = startLeaderAndFollower();
+    vi.spyOn(leader, 'handleMessage').mockImplementation(() => {});
+    follower.forward(entry('e1'));
+    settle();
+
+    leader.stop();
+    settle();
+
+    expect(follower.onFallback).toHaveBeenCalledWith([entry('e1')], false);
+    expect(follower.getStats().role).toBe('pending');
+
+    vi.advanceTimersByTime(1000);
+    expect(follower.isLeader()).toBe(true);
+  });
+
+  test('should take over once the leader stops sending heartbeats', () => {
+    const { leader, follower } = startLeaderAndFollower();
+    // Crashed: no resign message, no more heartbeats
+    clearInterval(leader.checkTimer);
+    vi.spyOn(leader, 'post').mockImplementation(() => {});
+
+    vi.advanceTimersByTime(4000);
+    expect(follower.getStats()).toMatchObject({ role: 'pending', leaderId: null });
+
+    vi.advanceTimersByTime(1000);
+    expect(follower.isLeader()).toBe(true);
+  });
+
+  test('should let the lower tab ID lead when two tabs claim at once', () => {
+    const second = startTab('tab_b');
+    const first = startTab('tab_a');
+    vi.advanceTimersByTime(6000);
+
+    expect(first.isLeader()).toBe(true);
+    expect(second.getStats()).toMatchObject({ role: 'follower', leaderId: 'tab_a' });
+  });
+
+  describe('disconnect', () => {
+    test('should post waiting entries to the leader', () => {
+      const { leader, follower } = startLeaderAndFollower();
+
+      follower.forward(entry('e1'));
+      follower.disconnect();
+      settle();
+
+      expect(leader.onEntries).toHaveBeenCalledWith([entry('e1')], 'tab_b');
+      expect(follower.onFallback).not.toHaveBeenCalled();
+    });
+
+    test('should upload waiting entries locally when no leader is known yet', () => {
+      const tab = startTab('tab_a');
+
+      tab.forward(entry('e1'));
+      tab.disconnect();
+
+      expect(tab.onFallback).toHaveBeenCalledWith([entry('e1')], true);
+      expect(tab.getStats().pending).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,238 @@
+/**
+ * Trace Context for TKR Browser Logging Client
+ * W3C traceparent/tracestate parsing and generation, and the current span
+ * that log entries and captured requests are attributed to
+ */
+
+const TRACEPARENT_PATTERN = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})(-.*)?$/;
+const INVALID_TRACE_ID = '00000000000000000000000000000000';
+const INVALID_SPAN_ID = '0000000000000000';
+const MAX_TRACESTATE_MEMBERS = 32;
+
+class TraceContext {
+  /**
+   * The page span continues a server-rendered trace when a traceparent is given
+   * (or present as <meta name="traceparent">), otherwise it starts a new trace.
+   * @param {object} config - Trace configuration
+   * @param {string} config.traceparent - Incoming traceparent header value
+   * @param {string} config.tracestate - Incoming tracestate header value
+   */
+  constructor(config = {}) {
+    const traceparent = config.traceparent || this.getMetaContent('traceparent');
+    const tracestate = config.tracestate || this.getMetaContent('tracestate');
+    const incoming = this.parseTraceparent(traceparent);
+
+    this.rootSpan = {
+      name: 'page',
+      traceId: incoming ? incoming.traceId : this.generateHex(32, INVALID_TRACE_ID),
+      spanId: this.generateHex(16, INVALID_SPAN_ID),
+      parentSpanId: incoming ? incoming.parentSpanId : null,
+      sampled: incoming ? incoming.sampled : true,
+      traceState: incoming ? this.formatTracestate(this.parseTracestate(tracestate)) || null : null,
+      startTime: Date.now()
+    };
+    this.currentSpan = this.rootSpan;
+  }
+
+  /**
+   * Get the span log entries are currently attributed to
+   * @returns {object} Current span
+   */
+  getCurrentSpan() {
+    return this.currentSpan;
+  }
+
+  /**
+   * Create a child span
+   * @param {string} name - Span name
+   * @param {object} parent - Parent span (defaults to the current span)
+   * @returns {object} { name, traceId, spanId, parentSpanId, sampled, traceState, startTime }
+   */
+  startSpan(name, parent = this.currentSpan) {
+    return {
+      name: name || 'span',
+      traceId: parent.traceId,
+      spanId: this.generateHex(16, INVALID_SPAN_ID),
+      parentSpanId: parent.spanId,
+      sampled: parent.sampled,
+      traceState: parent.traceState,
+      startTime: Date.now()
+    };
+  }
+
+  /**
+   * Run a function with a span as the current span.
+   * Browsers have no async context, so the span is only current for the
+   * synchronous part of fn - requests started there are still attributed to
+   * it, but later async logs should pass the span explicitly.
+   * @param {object|string} span - Span, or a name to start a child span with
+   * @param {function} fn - Function to run
+   * @returns {*} Result of fn
+   */
+  withSpan(span, fn) {
+    const previous = this.currentSpan;
+    this.currentSpan = typeof span === 'string' ? this.startSpan(span) : span;
+
+    try {
+      return fn(this.currentSpan);
+    } finally {
+      this.currentSpan = previous;
+    }
+  }
+
+  /**
+   * Get the trace fields recorded on log entries
+   * @param {object} span - Span (defaults to the current span)
+   * @returns {object} { traceId, spanId, parentSpanId, traceState }
+   */
+  toLogContext(span = this.currentSpan) {
+    return {
+      traceId: span.traceId,
+      spanId: span.spanId,
+      parentSpanId: span.parentSpanId || undefined,
+      traceState: span.traceState || undefined
+    };
+  }
+
+  /**
+   * Get headers that propagate a span to an outgoing request
+   * @param {object} span - Span (defaults to the current span)
+   * @returns {object} { traceparent, tracestate? }
+   */
+  getTraceHeaders(span = this.currentSpan) {
+    const headers = { traceparent: this.formatTraceparent(span) };
+    if (span.traceState) {
+      headers.tracestate = span.traceState;
+    }
+    return headers;
+  }
+
+  /**
+   * Parse a traceparent header
+   * @param {string} header - Header value
+   * @returns {object|null} { version, traceId, parentSpanId, sampled } or null if invalid
+   */
+  parseTraceparent(header) {
+    if (!header || typeof header !== 'string') {
+      return null;
+    }
+
+    const match = TRACEPARENT_PATTERN.exec(header.trim().toLowerCase());
+    if (!match) {
+      return null;
+    }
+
+    const version = match[1];
+    if (version === 'ff' || (version === '00' && match[5])) {
+      return null;
+    }
+    if (match[2] === INVALID_TRACE_ID || match[3] === INVALID_SPAN_ID) {
+      return null;
+    }
+
+    return {
+      version,
+      traceId: match[2],
+      parentSpanId: match[3],
+      sampled: (parseInt(match[4], 16) & 0x01) === 0x01
+    };
+  }
+
+  /**
+   * Format a traceparent header for a span
+   * @param {object} span - Span
+   * @returns {string} Header value
+   */
+  formatTraceparent(span) {
+    return `00-${span.traceId}-${span.spanId}-${span.sampled === false ? '00' : '01'}`;
+  }
+
+  /**
+   * Parse a tracestate header into [key, value] list members, dropping invalid ones
+   * @param {string} header - Header value
+   * @returns {Array<Array<string>>} List members
+   */
+  parseTracestate(header) {
+    if (!header || typeof header !== 'string') {
+      return [];
+    }
+
+    const members = [];
+    const seen = {};
+
+    header.split(',').forEach(member => {
+      const separator = member.indexOf('=');
+      if (separator <= 0 || members.length >= MAX_TRACESTATE_MEMBERS) {
+        return;
+      }
+
+      const key = member.slice(0, separator).trim();
+      const value = member.slice(separator + 1).trim();
+      if (key && value && !seen[key]) {
+        seen[key] = true;
+        members.push([key, value]);
+      }
+    });
+
+    return members;
+  }
+
+  /**
+   * Format tracestate list members as a header value
+   * @param {Array<Array<string>>} members - List members
+   * @returns {string} Header value
+   */
+  formatTracestate(members) {
+    return members
+      .slice(0, MAX_TRACESTATE_MEMBERS)
+      .map(member => `${member[0]}=${member[1]}`)
+      .join(',');
+  }
+
+  /**
+   * Read a <meta> tag rendered by the server
+   * @param {string} name - Meta name
+   * @returns {string|null} Content
+   */
+  getMetaContent(name) {
+    if (typeof document === 'undefined') {
+      return null;
+    }
+    const meta = document.querySelector(`meta[name="${name}"]`);
+    return meta ? meta.getAttribute('content') : null;
+  }
+
+  /**
+   * Generate a random lowercase hex ID
+   * @param {number} length - Number of hex characters
+   * @param {string} invalid - All-zero value that must not be returned
+   * @returns {string} Hex string
+   */
+  generateHex(length, invalid) {
+    const bytes = new Uint8Array(length / 2);
+    let hex;
+
+    do {
+      if (window.crypto && window.crypto.getRandomValues) {
+        window.crypto.getRandomValues(bytes);
+      } else {
+        for (let i = 0; i < bytes.length; i++) {
+          bytes[i] = Math.floor(Math.random() * 256);
+        }
+      }
+      hex = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    } while (hex === invalid);
+
+    return hex;
+  }
+}
+
+// Export for browser environments
+if (typeof window !== 'undefined') {
+  window.TraceContext = TraceContext;
+}
+
+// Export for Node.js environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TraceContext;
+}
@@ -0,0 +1,174 @@
+/**
+ * Unit tests for TraceContext
+ * Runs the browser script in Node with a stubbed window and document, and
+ * NetworkCapture for propagation to outgoing requests
+ */
+
+const TraceContext = require('./trace-context');
+const NetworkCapture = require('./network-capture');
+
+const TRACE_ID = '0af7651916cd43dd8448eb211c80319c';
+const PARENT_ID = 'b7ad6b7169203331';
+
+describe('TraceContext', () => {
+  let meta;
+
+  beforeEach(() => {
+    meta = {};
+    globalThis.window = {
+      location: { href: 'http://app.test/page', origin: 'http://app.test' },
+      crypto: globalThis.crypto
+    };
+    globalThis.document = {
+      querySelector: selector => {
+        const name = /name="(\w+)"/.exec(selector)[1];
+        return meta[name] ? { getAttribute: () => meta[name] } : null;
+      }
+    };
+  });
+
+  afterEach(() => {
+    delete globalThis.document;
+  });
+
+  describe('parseTraceparent', () => {
+    let trace;
+
+    beforeEach(() => {
+      trace = new TraceContext();
+    });
+
+    test('should parse a valid header', () => {
+      expect(trace.parseTraceparent(` 00-${TRACE_ID.toUpperCase()}-${PARENT_ID}-01 `)).toEqual({
+        version: '00',
+        traceId: TRACE_ID,
+        parentSpanId: PARENT_ID,
+        sampled: true
+      });
+      expect(trace.parseTraceparent(`00-${TRACE_ID}-${PARENT_ID}-00`).sampled).toBe(false);
+      // Later versions may append fields
+      expect(trace.parseTraceparent(`01-${TRACE_ID}-${PARENT_ID}-01-extra`)).toMatchObject({ version: '01' });
+    });
+
+    test.each([
+      ['missing', undefined],
+      ['malformed', 'not-a-traceparent'],
+      ['version ff', `ff-${TRACE_ID}-${PARENT_ID}-01`],
+      ['version 00 with extra fields', `00-${TRACE_ID}-${PARENT_ID}-01-extra`],
+      ['all-zero trace ID', `00-${'0'.repeat(32)}-${PARENT_ID}-01`],
+      ['all-zero parent ID', `00-${TRACE_ID}-${'0'.repeat(16)}-01`]
+    ])('should reject a %s header', (description, header) => {
+      expect(trace.parseTraceparent(header)).toBeNull();
+    });
+  });
+
+  test('should parse tracestate members, dropping invalid and repeated keys', () => {
+    const trace = new TraceContext();
+
+    expect(trace.parseTracestate('vendor=a, =b,other=c,vendor=d,empty=')).toEqual([['vendor', 'a'], ['other', 'c']]);
+    expect(trace.formatTracestate([['vendor', 'a'], ['other', 'c']])).toBe('vendor=a,other=c');
+  });
+
+  describe('page span', () => {
+    test('should continue the trace given in the configuration', () => {
+      const trace = new TraceContext({ traceparent: `00-${TRACE_ID}-${PARENT_ID}-01`, tracestate: 'vendor=a' });
+
+      expect(trace.getCurrentSpan()).toMatchObject({ name: 'page', traceId: TRACE_ID, parentSpanId: PARENT_ID, traceState: 'vendor=a' });
+      expect(trace.getCurrentSpan().spanId).toMatch(/^[0-9a-f]{16}$/);
+    });
+
+    test('should continue a trace rendered into <meta name="traceparent">', () => {
+      meta.traceparent = `00-${TRACE_ID}-${PARENT_ID}-00`;
+
+      expect(new TraceContext().getCurrentSpan()).toMatchObject({ traceId: TRACE_ID, parentSpanId: PARENT_ID, sampled: false });
+    });
+
+    test('should start a new sampled trace without an incoming one', () => {
+      const span = new TraceContext({ traceparent: 'invalid', tracestate: 'vendor=a' }).getCurrentSpan();
+
+      expect(span.traceId).toMatch(/^[0-9a-f]{32}$/);
+      expect(span).toMatchObject({ parentSpanId: null, sampled: true, traceState: null });
+    });
+  });
+
+  describe('spans', () => {
+    test('should start child spans of the current span', () => {
+      const trace = new TraceContext({ traceparent: `00-${TRACE_ID}-${PARENT_ID}-01` });
+      const root = trace.getCurrentSpan();
+
+      const child = trace.startSpan('checkout');
+
+      expect(child).toMatchObject({ name: 'checkout', traceId: TRACE_ID, parentSpanId: root.spanId, sampled: true });
+      expect(child.spanId).not.toBe(root.spanId);
+    });
+
+    test('should make a span current for the synchronous part of withSpan only', () => {
+      const trace = new TraceContext();
+      const root = trace.getCurrentSpan();
+
+      let load;
+      const nested = trace.withSpan('load', span => {
+        load = span;
+        expect(trace.getCurrentSpan()).toBe(span);
+        return trace.startSpan('fetch');
+      });
+      expect(trace.getCurrentSpan()).toBe(root);
+      expect(load.parentSpanId).toBe(root.spanId);
+      expect(nested.parentSpanId).toBe(load.spanId);
+
+      expect(() => trace.withSpan('fail', () => { throw new Error('boom'); })).toThrow('boom');
+      expect(trace.getCurrentSpan()).toBe(root);
+    });
+
+    test('should format log fields and headers for a span', () => {
+      const trace = new TraceContext({ traceparent: `00-${TRACE_ID}-${PARENT_ID}-00`, tracestate: 'vendor=a' });
+      const span = trace.getCurrentSpan();
+
+      expect(trace.toLogContext()).toEqual({ traceId: TRACE_ID, spanId: span.spanId, parentSpanId: PARENT_ID, traceState: 'vendor=a' });
+      expect(trace.getTraceHeaders()).toEqual({ traceparent: `00-${TRACE_ID}-${span.spanId}-00`, tracestate: 'vendor=a' });
+    });
+  });
+
+  describe('propagation through NetworkCapture', () => {
+    let fetchMock;
+    let capture;
+    let trace;
+    let onRequest;
+
+    beforeEach(() => {
+      fetchMock = vi.fn(async () => new Response('ok'));
+      window.fetch = fetchMock;
+      trace = new TraceContext({ traceparent: `00-${TRACE_ID}-${PARENT_ID}-01`, tracestate: 'vendor=a' });
+      onRequest = vi.fn();
+      capture = new NetworkCapture({ traceContext: trace, onRequest });
+      capture.install();
+    });
+
+    afterEach(() => {
+      capture.uninstall();
+    });
+
+    const sentHeaders = () => new Headers(fetchMock.mock.calls[0][1] && fetchMock.mock.calls[0][1].headers);
+
+    test('should send same-origin requests a child span of the current span', async () => {
+      let checkout;
+      await trace.withSpan('checkout', span => {
+        checkout = span;
+        return window.fetch('/api/orders');
+      });
+
+      const record = onRequest.mock.calls[0][0];
+      expect(sentHeaders().get('traceparent')).toBe(`00-${TRACE_ID}-${record.spanId}-01`);
+      expect(sentHeaders().get('tracestate')).toBe('vendor=a');
+      expect(record).toMatchObject({ traceId: TRACE_ID, parentSpanId: checkout.spanId });
+    });
+
+    test('should not send trace headers to other origins', async () => {
+      await window.fetch('https://cdn.other.test/lib.js');
+
+      expect(sentHeaders().has('traceparent')).toBe(false);
+      expect(sentHeaders().has('tracestate')).toBe(false);
+      expect(onRequest.mock.calls[0][0].spanId).toBeUndefined();
+    });
+  });
+});
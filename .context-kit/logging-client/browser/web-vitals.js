@@ -0,0 +1,547 @@
+/**
+ * Web Vitals Capture for TKR Browser Logging Client
+ * Records Core Web Vitals (LCP, CLS, INP), FCP, TTFB, long tasks and slow
+ * resource timings with PerformanceObserver, attributed to the current route
+ */
+
+// [good, poor] boundaries from https://web.dev/articles/vitals
+const VITAL_THRESHOLDS = {
+  LCP: [2500, 4000],
+  FCP: [1800, 3000],
+  CLS: [0.1, 0.25],
+  INP: [200, 500],
+  TTFB: [800, 1800]
+};
+
+class WebVitalsCapture {
+  /**
+   * @param {object} config - Capture configuration
+   * @param {function} config.onMetric - Called with every measured metric
+   * @param {function} config.getRoute - Returns the route metrics are grouped by (defaults to location.pathname)
+   * @param {number} config.longTaskThreshold - Minimum long task duration reported, in ms
+   * @param {number} config.resourceThreshold - Minimum resource duration reported, in ms (0 disables)
+   * @param {Array<string>} config.excludeUrls - Resource URL prefixes never reported (e.g. the logging endpoint)
+   * @param {function} config.isActive - Returns false when metrics should be dropped
+   * @param {function} config.onOverhead - Called with the synchronous overhead of each observer callback in ms
+   */
+  constructor(config = {}) {
+    this.onMetric = config.onMetric || (() => {});
+    this.getRoute = config.getRoute || (() => window.location.pathname);
+    this.longTaskThreshold = config.longTaskThreshold || 50;
+    this.resourceThreshold = config.resourceThreshold !== undefined ? config.resourceThreshold : 1000;
+    this.excludeUrls = (config.excludeUrls || []).filter(Boolean);
+    this.isActive = config.isActive || (() => true);
+    this.onOverhead = config.onOverhead || (() => {});
+
+    this.observers = [];
+    this.listeners = [];
+    this.originalHistory = null;
+    this.historyWrappers = null;
+    this.installed = false;
+
+    this.route = null;
+    this.initialRoute = null; // Route of the page load, which TTFB belongs to
+    this.navigationType = null;
+    this.lcp = null; // Largest contentful paint of the initial page load
+    this.lcpFinal = false;
+    this.resetRouteState();
+  }
+
+  /**
+   * Start observing. Does nothing in browsers without PerformanceObserver.
+   */
+  install() {
+    if (this.installed || typeof PerformanceObserver === 'undefined') {
+      return;
+    }
+
+    this.route = this.getRoute();
+    this.initialRoute = this.route;
+    this.navigationType = this.getNavigationType();
+
+    this.observe('paint', entries => this.handlePaint(entries));
+    this.observe('largest-contentful-paint', entries => this.handleLCP(entries));
+    this.observe('layout-shift', entries => this.handleLayoutShift(entries));
+    this.observe('event', entries => this.handleInteractions(entries), { durationThreshold: 40 });
+    this.observe('first-input', entries => this.handleInteractions(entries));
+    this.observe('longtask', entries => this.handleLongTasks(entries));
+    if (this.resourceThreshold > 0) {
+      this.observe('resource', entries => this.handleResources(entries));
+    }
+
+    if (document.readyState === 'complete') {
+      this.reportTTFB();
+    } else {
+      this.listen(window, 'load', () => setTimeout(() => this.reportTTFB(), 0));
+    }
+
+    // LCP stops updating after the first input
+    const finalizeLCP = () => this.finalizeLCP();
+    this.listen(window, 'keydown', finalizeLCP, { capture: true, once: true });
+    this.listen(window, 'pointerdown', finalizeLCP, { capture: true, once: true });
+
+    // Report accumulated values before the page can be discarded. Capture
+    // phase on window runs before BatchSender's unload flush on document.
+    this.listen(window, 'visibilitychange', () => {
+      if (document.visibilityState === 'hidden') {
+        this.reportPending();
+      }
+    }, { capture: true });
+    this.listen(window, 'pagehide', () => this.reportPending(), { capture: true });
+
+    this.wrapHistory();
+    this.installed = true;
+  }
+
+  /**
+   * Stop observing and restore history methods
+   */
+  uninstall() {
+    if (!this.installed) {
+      return;
+    }
+
+    this.observers.forEach(observer => observer.disconnect());
+    this.listeners.forEach(({ target, type, handler, options }) => {
+      target.removeEventListener(type, handler, options);
+    });
+
+    // Only restore if nothing else has wrapped history since
+    if (this.originalHistory) {
+      if (history.pushState === this.historyWrappers.pushState) {
+        history.pushState = this.originalHistory.pushState;
+      }
+      if (history.replaceState === this.historyWrappers.replaceState) {
+        history.replaceState = this.originalHistory.replaceState;
+      }
+    }
+
+    this.observers = [];
+    this.listeners = [];
+    this.originalHistory = null;
+    this.historyWrappers = null;
+    this.installed = false;
+  }
+
+  /**
+   * Observe a performance entry type if the browser supports it
+   * @param {string} type - Entry type
+   * @param {function} callback - Called with the observed entries
+   * @param {object} options - Extra observe() options
+   */
+  observe(type, callback, options = {}) {
+    const supported = PerformanceObserver.supportedEntryTypes || [];
+    if (supported.indexOf(type) === -1) {
+      return;
+    }
+
+    try {
+      const observer = new PerformanceObserver(list => {
+        const overheadStart = performance.now();
+        try {
+          callback(list.getEntries());
+        } catch (error) {
+          // Never let measurement break the page
+        }
+        this.onOverhead(performance.now() - overheadStart);
+      });
+      observer.observe({ type, buffered: true, ...options });
+      this.observers.push(observer);
+    } catch (error) {
+      // Entry type listed but not observable (e.g. options unsupported)
+    }
+  }
+
+  /**
+   * Add an event listener that uninstall() removes again
+   */
+  listen(target, type, handler, options) {
+    target.addEventListener(type, handler, options);
+    this.listeners.push({ target, type, handler, options });
+  }
+
+  /**
+   * Wrap history.pushState/replaceState to detect client-side route changes
+   */
+  wrapHistory() {
+    const capture = this;
+    const pushState = history.pushState;
+    const replaceState = history.replaceState;
+    this.originalHistory = { pushState, replaceState };
+
+    this.historyWrappers = {
+      pushState: function() {
+        const result = pushState.apply(this, arguments);
+        capture.checkRouteChange();
+        return result;
+      },
+      replaceState: function() {
+        const result = replaceState.apply(this, arguments);
+        capture.checkRouteChange();
+        return result;
+      }
+    };
+
+    history.pushState = this.historyWrappers.pushState;
+    history.replaceState = this.historyWrappers.replaceState;
+
+    this.listen(window, 'popstate', () => this.checkRouteChange());
+  }
+
+  /**
+   * Close the previous route's CLS/INP window when the route changes
+   */
+  checkRouteChange() {
+    const route = this.getRoute();
+    if (route === this.route) {
+      return;
+    }
+
+    this.finalizeLCP();
+    this.reportPending();
+    this.route = route;
+    this.navigationType = 'soft-navigation';
+    this.resetRouteState();
+  }
+
+  /**
+   * Reset the per-route accumulators for CLS and INP
+   */
+  resetRouteState() {
+    this.cls = { value: 0, sessionValue: 0, sessionEntries: [], largestSource: null };
+    this.interactions = new Map(); // interactionId -> { duration, target, type }
+    this.interactionCount = 0;
+    this.lastReported = {};
+  }
+
+  /**
+   * FCP from paint entries
+   */
+  handlePaint(entries) {
+    entries.forEach(entry => {
+      if (entry.name === 'first-contentful-paint' && this.navigationType !== 'soft-navigation') {
+        this.report('FCP', entry.startTime - this.getActivationStart());
+      }
+    });
+  }
+
+  /**
+   * LCP candidates - the last one before input or page hide is final
+   */
+  handleLCP(entries) {
+    if (this.lcpFinal) {
+      return;
+    }
+
+    const entry = entries[entries.length - 1];
+    if (entry) {
+      this.lcp = {
+        value: Math.max(entry.startTime - this.getActivationStart(), 0),
+        route: this.route,
+        attribution: {
+          element: this.describeElement(entry.element),
+          url: entry.url ? this.stripQuery(entry.url) : undefined,
+          size: entry.size
+        }
+      };
+    }
+  }
+
+  /**
+   * Report the LCP candidate and stop updating it
+   */
+  finalizeLCP() {
+    if (this.lcpFinal) {
+      return;
+    }
+    this.lcpFinal = true;
+
+    if (this.lcp) {
+      this.report('LCP', this.lcp.value, this.lcp.attribution, this.lcp.route);
+    }
+  }
+
+  /**
+   * CLS with session windows (gap < 1s, window < 5s), ignoring shifts right after input
+   */
+  handleLayoutShift(entries) {
+    entries.forEach(entry => {
+      if (entry.hadRecentInput) {
+        return;
+      }
+
+      const session = this.cls.sessionEntries;
+      const first = session[0];
+      const last = session[session.length - 1];
+
+      if (last && entry.startTime - last.startTime < 1000 && entry.startTime - first.startTime < 5000) {
+        this.cls.sessionValue += entry.value;
+        session.push(entry);
+      } else {
+        this.cls.sessionValue = entry.value;
+        this.cls.sessionEntries = [entry];
+      }
+
+      if (this.cls.sessionValue > this.cls.value) {
+        this.cls.value = this.cls.sessionValue;
+        this.cls.largestSource = this.getLargestShiftSource(this.cls.sessionEntries);
+      }
+    });
+  }
+
+  /**
+   * Track the slowest interactions for INP
+   */
+  handleInteractions(entries) {
+    entries.forEach(entry => {
+      if (!entry.interactionId) {
+        return;
+      }
+
+      const existing = this.interactions.get(entry.interactionId);
+      if (!existing) {
+        this.interactionCount++;
+      }
+      if (!existing || entry.duration > existing.duration) {
+        this.interactions.set(entry.interactionId, {
+          duration: entry.duration,
+          type: entry.name,
+          target: this.describeElement(entry.target)
+        });
+      }
+    });
+
+    // Keep only the slowest interactions needed for the 98th percentile
+    const keep = Math.floor(this.interactionCount / 50) + 10;
+    if (this.interactions.size > keep) {
+      const sorted = Array.from(this.interactions.entries()).sort((a, b) => b[1].duration - a[1].duration);
+      this.interactions = new Map(sorted.slice(0, keep));
+    }
+  }
+
+  /**
+   * Report long tasks over the threshold individually
+   */
+  handleLongTasks(entries) {
+    entries.forEach(entry => {
+      if (entry.duration < this.longTaskThreshold) {
+        return;
+      }
+
+      const attribution = entry.attribution && entry.attribution[0];
+      this.emit({
+        name: 'long-task',
+        value: Math.round(entry.duration),
+        unit: 'ms',
+        rating: null,
+        attribution: {
+          startTime: Math.round(entry.startTime),
+          containerType: attribution ? attribution.containerType : undefined,
+          containerName: attribution ? attribution.containerName || undefined : undefined,
+          containerSrc: attribution ? attribution.containerSrc || undefined : undefined
+        }
+      });
+    });
+  }
+
+  /**
+   * Report resources slower than the threshold individually
+   */
+  handleResources(entries) {
+    entries.forEach(entry => {
+      if (entry.duration < this.resourceThreshold) {
+        return;
+      }
+      if (this.excludeUrls.some(excluded => entry.name.indexOf(excluded) === 0)) {
+        return;
+      }
+
+      this.emit({
+        name: 'resource',
+        value: Math.round(entry.duration),
+        unit: 'ms',
+        rating: null,
+        attribution: {
+          url: this.stripQuery(entry.name),
+          initiatorType: entry.initiatorType,
+          transferSize: entry.transferSize,
+          decodedBodySize: entry.decodedBodySize,
+          renderBlocking: entry.renderBlockingStatus
+        }
+      });
+    });
+  }
+
+  /**
+   * TTFB from the navigation entry
+   */
+  reportTTFB() {
+    const navigation = performance.getEntriesByType && performance.getEntriesByType('navigation')[0];
+    if (!navigation || navigation.responseStart <= 0) {
+      return;
+    }
+
+    this.report('TTFB', Math.max(navigation.responseStart - this.getActivationStart(), 0), {
+      dns: Math.round(navigation.domainLookupEnd - navigation.domainLookupStart),
+      connect: Math.round(navigation.connectEnd - navigation.connectStart),
+      request: Math.round(navigation.responseStart - navigation.requestStart)
+    }, this.initialRoute);
+  }
+
+  /**
+   * Report CLS and INP for the current route (and LCP if not yet reported)
+   */
+  reportPending() {
+    this.finalizeLCP();
+
+    if (this.cls.sessionEntries.length > 0 || this.cls.value > 0) {
+      this.reportChanged('CLS', this.cls.value, { largestShiftTarget: this.cls.largestSource });
+    }
+
+    const inp = this.estimateINP();
+    if (inp) {
+      this.reportChanged('INP', inp.duration, {
+        interactionType: inp.type,
+        interactionTarget: inp.target,
+        interactionCount: this.interactionCount
+      });
+    }
+  }
+
+  /**
+   * Report a cumulative metric only if it changed since it was last reported
+   */
+  reportChanged(name, value, attribution) {
+    if (this.lastReported[name] === value) {
+      return;
+    }
+    this.lastReported[name] = value;
+    this.report(name, value, attribution);
+  }
+
+  /**
+   * INP: the worst interaction, ignoring one outlier per 50 interactions
+   * @returns {object|null} Interaction { duration, type, target }
+   */
+  estimateINP() {
+    if (this.interactions.size === 0) {
+      return null;
+    }
+
+    const sorted = Array.from(this.interactions.values()).sort((a, b) => b.duration - a.duration);
+    return sorted[Math.min(sorted.length - 1, Math.floor(this.interactionCount / 50))];
+  }
+
+  /**
+   * Report a web vital with its rating
+   */
+  report(name, value, attribution, route) {
+    const [good, poor] = VITAL_THRESHOLDS[name];
+    const rounded = name === 'CLS' ? Math.round(value * 1000) / 1000 : Math.round(value);
+
+    this.emit({
+      name,
+      value: rounded,
+      unit: name === 'CLS' ? 'score' : 'ms',
+      rating: rounded <= good ? 'good' : rounded <= poor ? 'needs-improvement' : 'poor',
+      attribution
+    }, route);
+  }
+
+  /**
+   * Hand a metric to onMetric with its route and navigation type
+   */
+  emit(metric, route) {
+    if (!this.isActive()) {
+      return;
+    }
+
+    try {
+      this.onMetric({
+        ...metric,
+        route: route || this.route,
+        navigationType: this.navigationType
+      });
+    } catch (error) {
+      // Never let logging break the page
+    }
+  }
+
+  /**
+   * Get the node that moved most within a CLS session window
+   */
+  getLargestShiftSource(entries) {
+    let largest = null;
+    entries.forEach(entry => {
+      (entry.sources || []).forEach(source => {
+        const area = source.currentRect ? source.currentRect.width * source.currentRect.height : 0;
+        if (source.node && (!largest || area > largest.area)) {
+          largest = { area, node: source.node };
+        }
+      });
+    });
+    return largest ? this.describeElement(largest.node) : undefined;
+  }
+
+  /**
+   * Navigation type of the page load (navigate, reload, back-forward, prerender)
+   */
+  getNavigationType() {
+    const navigation = performance.getEntriesByType && performance.getEntriesByType('navigation')[0];
+    if (document.prerendering || this.getActivationStart() > 0) {
+      return 'prerender';
+    }
+    return navigation ? navigation.type.replace(/_/g, '-') : 'navigate';
+  }
+
+  /**
+   * Time a prerendered page was activated (0 for normal loads)
+   */
+  getActivationStart() {
+    const navigation = performance.getEntriesByType && performance.getEntriesByType('navigation')[0];
+    return (navigation && navigation.activationStart) || 0;
+  }
+
+  /**
+   * Short CSS-like description of an element (tag#id.class), up to 3 levels
+   */
+  describeElement(element) {
+    if (!element || element.nodeType !== 1) {
+      return undefined;
+    }
+
+    const parts = [];
+    let node = element;
+    while (node && node.nodeType === 1 && parts.length < 3) {
+      let part = node.tagName.toLowerCase();
+      if (node.id) {
+        parts.unshift(`${part}#${node.id}`);
+        break;
+      }
+      const className = typeof node.className === 'string' ? node.className.trim().split(/\s+/)[0] : '';
+      if (className) {
+        part += `.${className}`;
+      }
+      parts.unshift(part);
+      node = node.parentElement;
+    }
+    return parts.join(' > ');
+  }
+
+  /**
+   * Drop the query string and hash, which may carry tokens
+   */
+  stripQuery(url) {
+    return String(url).split(/[?#]/)[0];
+  }
+}
+
+// Export for browser environments
+if (typeof window !== 'undefined') {
+  window.WebVitalsCapture = WebVitalsCapture;
+}
+
+// Export for Node.js environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = WebVitalsCapture;
+}
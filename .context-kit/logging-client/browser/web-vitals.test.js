@@ -0,0 +1,218 @@
+/**
+ * Unit tests for WebVitalsCapture
+ * Runs the browser script in Node with a stubbed window, document, history and
+ * a PerformanceObserver whose entries the tests deliver by hand
+ */
+
+const WebVitalsCapture = require('./web-vitals');
+
+const observers = new Map();
+
+/** PerformanceObserver that supports every entry type the capture observes */
+class FakePerformanceObserver {
+  constructor(callback) {
+    this.callback = callback;
+  }
+
+  observe({ type }) {
+    observers.set(type, this);
+  }
+
+  disconnect() {
+    observers.forEach((observer, type) => observer === this && observers.delete(type));
+  }
+}
+FakePerformanceObserver.supportedEntryTypes = ['paint', 'largest-contentful-paint', 'layout-shift', 'event', 'first-input', 'longtask', 'resource'];
+
+const RealPerformanceObserver = globalThis.PerformanceObserver;
+
+describe('WebVitalsCapture', () => {
+  let capture;
+  let onMetric;
+  let listeners;
+
+  const deliver = (type, entries) => observers.get(type).callback({ getEntries: () => entries });
+  const dispatch = (type) => (listeners[type] || []).forEach(handler => handler());
+  const metrics = () => onMetric.mock.calls.map(([metric]) => metric);
+  const element = (tagName, props = {}) => ({ nodeType: 1, tagName, id: '', className: '', parentElement: null, ...props });
+
+  beforeEach(() => {
+    observers.clear();
+    listeners = {};
+    globalThis.PerformanceObserver = FakePerformanceObserver;
+    globalThis.window = {
+      location: { pathname: '/' },
+      addEventListener: (type, handler) => (listeners[type] = listeners[type] || []).push(handler),
+      removeEventListener: (type, handler) => (listeners[type] = (listeners[type] || []).filter(h => h !== handler))
+    };
+    globalThis.document = { readyState: 'complete', visibilityState: 'visible' };
+    globalThis.history = {
+      pushState: (state, title, url) => { window.location.pathname = url; },
+      replaceState: () => {}
+    };
+    onMetric = vi.fn();
+
+    capture = new WebVitalsCapture({
+      onMetric,
+      longTaskThreshold: 100,
+      resourceThreshold: 500,
+      excludeUrls: ['http://localhost:42003/api/logs']
+    });
+    capture.install();
+  });
+
+  afterEach(() => {
+    capture.uninstall();
+    vi.restoreAllMocks();
+    globalThis.PerformanceObserver = RealPerformanceObserver;
+    delete globalThis.history;
+  });
+
+  test('should report FCP with its rating', () => {
+    deliver('paint', [{ name: 'first-paint', startTime: 900 }, { name: 'first-contentful-paint', startTime: 2100.4 }]);
+
+    expect(metrics()).toEqual([{
+      name: 'FCP',
+      value: 2100,
+      unit: 'ms',
+      rating: 'needs-improvement',
+      attribution: undefined,
+      route: '/',
+      navigationType: 'navigate'
+    }]);
+  });
+
+  test('should report the last LCP candidate once, on the first input', () => {
+    deliver('largest-contentful-paint', [{ startTime: 1200, size: 100, element: element('IMG', { id: 'hero' }), url: 'http://app.test/hero.jpg?sig=abc' }]);
+    deliver('largest-contentful-paint', [{ startTime: 4500, size: 900, element: element('H1', { className: 'title big' }) }]);
+    expect(onMetric).not.toHaveBeenCalled();
+
+    dispatch('pointerdown');
+    deliver('largest-contentful-paint', [{ startTime: 6000, size: 2000 }]);
+    dispatch('pagehide');
+
+    expect(metrics()).toEqual([expect.objectContaining({
+      name: 'LCP',
+      value: 4500,
+      rating: 'poor',
+      attribution: { element: 'h1.title', url: undefined, size: 900 }
+    })]);
+  });
+
+  test('should report CLS as the largest session window, ignoring shifts after input', () => {
+    deliver('layout-shift', [
+      { startTime: 0, value: 0.05 },
+      { startTime: 500, value: 0.05 },
+      { startTime: 700, value: 0.5, hadRecentInput: true },
+      { startTime: 3000, value: 0.12, sources: [{ node: element('DIV', { id: 'banner' }), currentRect: { width: 100, height: 50 } }] }
+    ]);
+
+    dispatch('pagehide');
+    dispatch('pagehide');
+
+    expect(metrics()).toEqual([expect.objectContaining({
+      name: 'CLS',
+      value: 0.12,
+      unit: 'score',
+      rating: 'needs-improvement',
+      attribution: { largestShiftTarget: 'div#banner' }
+    })]);
+  });
+
+  test('should report INP as the slowest interaction', () => {
+    deliver('event', [
+      { interactionId: 1, name: 'pointerup', duration: 80, target: element('BUTTON') },
+      { interactionId: 2, name: 'keydown', duration: 560, target: element('INPUT', { id: 'search' }) },
+      { interactionId: 2, name: 'keyup', duration: 40 },
+      { name: 'mousemove', duration: 900 }
+    ]);
+
+    dispatch('pagehide');
+
+    expect(metrics()).toEqual([expect.objectContaining({
+      name: 'INP',
+      value: 560,
+      rating: 'poor',
+      attribution: { interactionType: 'keydown', interactionTarget: 'input#search', interactionCount: 2 }
+    })]);
+  });
+
+  test('should close the route\'s CLS and INP window on a client-side navigation', () => {
+    deliver('layout-shift', [{ startTime: 0, value: 0.3 }]);
+
+    history.pushState({}, '', '/settings');
+    deliver('event', [{ interactionId: 1, name: 'click', duration: 120 }]);
+    dispatch('pagehide');
+
+    expect(metrics().map(({ name, value, route, navigationType }) => [name, value, route, navigationType])).toEqual([
+      ['CLS', 0.3, '/', 'navigate'],
+      ['INP', 120, '/settings', 'soft-navigation']
+    ]);
+  });
+
+  test('should report long tasks and slow resources over their thresholds', () => {
+    deliver('longtask', [
+      { startTime: 10, duration: 60 },
+      { startTime: 20, duration: 180.6, attribution: [{ containerType: 'iframe', containerSrc: 'https://ads.test/frame' }] }
+    ]);
+    deliver('resource', [
+      { name: 'http://app.test/app.js?v=3', duration: 1200, initiatorType: 'script', transferSize: 5000 },
+      { name: 'http://app.test/small.css', duration: 20, initiatorType: 'link' },
+      { name: 'http://localhost:42003/api/logs/batch', duration: 2000, initiatorType: 'fetch' }
+    ]);
+
+    expect(metrics()).toEqual([
+      expect.objectContaining({
+        name: 'long-task',
+        value: 181,
+        rating: null,
+        attribution: { startTime: 20, containerType: 'iframe', containerName: undefined, containerSrc: 'https://ads.test/frame' }
+      }),
+      expect.objectContaining({
+        name: 'resource',
+        value: 1200,
+        attribution: expect.objectContaining({ url: 'http://app.test/app.js', initiatorType: 'script', transferSize: 5000 })
+      })
+    ]);
+  });
+
+  test('should report TTFB from the navigation entry for the initial route', () => {
+    vi.spyOn(performance, 'getEntriesByType').mockReturnValue([{
+      type: 'reload',
+      responseStart: 950,
+      requestStart: 600,
+      domainLookupStart: 10,
+      domainLookupEnd: 40,
+      connectStart: 40,
+      connectEnd: 100
+    }]);
+
+    capture.reportTTFB();
+
+    expect(metrics()).toEqual([expect.objectContaining({
+      name: 'TTFB',
+      value: 950,
+      rating: 'needs-improvement',
+      attribution: { dns: 30, connect: 60, request: 350 },
+      route: '/'
+    })]);
+  });
+
+  test('should drop metrics while inactive', () => {
+    capture.isActive = () => false;
+
+    deliver('paint', [{ name: 'first-contentful-paint', startTime: 500 }]);
+
+    expect(onMetric).not.toHaveBeenCalled();
+  });
+
+  test('should stop observing and restore history on uninstall', () => {
+    const { pushState } = capture.originalHistory;
+
+    capture.uninstall();
+
+    expect(observers.size).toBe(0);
+    expect(history.pushState).toBe(pushState);
+    expect(listeners.pagehide).toEqual([]);
+  });
+});
@@ -107,6 +107,10 @@ class LoggingConfigLoader {
       'TKR_LOG_RETRY_DELAY': 'performance.retryDelay',
       'TKR_LOG_HTTP_TIMEOUT': 'performance.httpTimeout',
 
+      // Redaction
+      'TKR_LOG_REDACTION': 'redaction.enabled',
+      'TKR_LOG_REDACTION_REPLACEMENT': 'redaction.replacement',
+
       // Session
       'TKR_LOG_SESSION_TRACKING': 'session.tracking',
       'TKR_LOG_SESSION_ID': 'session.id', // Special case - runtime value
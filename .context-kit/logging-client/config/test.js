@@ -184,6 +184,37 @@ test('Configuration overrides', () => {
   console.log('   Override log level:', config.logLevels.default);
 });
 
+// Test 7: Redaction configuration validation
+test('Redaction configuration validation', () => {
+  const validator = new LoggingConfigValidator();
+  const config = load();
+
+  if (!config.redaction || !Array.isArray(config.redaction.patterns) || config.redaction.patterns.length === 0) {
+    throw new Error('Config should have default redaction patterns');
+  }
+
+  const invalidConfig = {
+    ...config,
+    redaction: {
+      ...config.redaction,
+      paths: ['metadata..email'],
+      patterns: [{ name: 'broken', pattern: '(unclosed' }]
+    }
+  };
+
+  if (validator.validate(invalidConfig)) {
+    throw new Error('Should have detected invalid redaction rules');
+  }
+
+  const errorPaths = validator.getErrors().map(error => error.path);
+  if (!errorPaths.some(path => path.includes('patterns'))) {
+    throw new Error('Should report the invalid pattern');
+  }
+
+  console.log('   Default patterns:', config.redaction.patterns.map(rule => rule.name).join(', '));
+  console.log('   Invalid redaction rules correctly rejected');
+});
+
 // Summary
 console.log('📊 Test Results:');
 console.log(`   ✅ Passed: ${passed}`);
@@ -158,6 +158,11 @@ class LoggingConfigValidator {
       this.validateFormat(config.format);
     }
 
+    // Validate redaction
+    if (config.redaction) {
+      this.validateRedaction(config.redaction);
+    }
+
     return this.errors.length === 0;
   }
 
@@ -434,6 +439,92 @@ class LoggingConfigValidator {
     }
   }
 
+  /**
+   * Validate redaction configuration
+   * @param {object} redaction - Redaction configuration
+   */
+  validateRedaction(redaction) {
+    if (typeof redaction !== 'object' || Array.isArray(redaction)) {
+      this.addError('redaction', 'Redaction must be an object', redaction);
+      return;
+    }
+
+    if (redaction.enabled !== undefined && typeof redaction.enabled !== 'boolean') {
+      this.addError('redaction.enabled', 'Must be a boolean value', redaction.enabled);
+    }
+
+    if (redaction.replacement !== undefined && typeof redaction.replacement !== 'string') {
+      this.addError('redaction.replacement', 'Replacement must be a string', redaction.replacement);
+    }
+
+    if (redaction.keys !== undefined) {
+      if (!Array.isArray(redaction.keys)) {
+        this.addError('redaction.keys', 'Keys must be an array', redaction.keys);
+      } else {
+        redaction.keys.forEach((key, index) => {
+          if (typeof key !== 'string' || key.length === 0) {
+            this.addError(`redaction.keys.${index}`, 'Key must be a non-empty string', key);
+          }
+        });
+      }
+    }
+
+    if (redaction.paths !== undefined) {
+      if (!Array.isArray(redaction.paths)) {
+        this.addError('redaction.paths', 'Paths must be an array', redaction.paths);
+      } else {
+        redaction.paths.forEach((keyPath, index) => {
+          if (typeof keyPath !== 'string' || !/^[^.\s]+(\.[^.\s]+)*$/.test(keyPath)) {
+            this.addError(`redaction.paths.${index}`, 'Path must be a dot-separated key path (e.g. metadata.user.email)', keyPath);
+          }
+        });
+      }
+    }
+
+    if (redaction.patterns !== undefined) {
+      if (!Array.isArray(redaction.patterns)) {
+        this.addError('redaction.patterns', 'Patterns must be an array', redaction.patterns);
+      } else {
+        redaction.patterns.forEach((rule, index) => this.validateRedactionPattern(rule, `redaction.patterns.${index}`));
+      }
+    }
+  }
+
+  /**
+   * Validate a single redaction pattern rule
+   * @param {object} rule - { name, pattern, flags?, replacement? }
+   * @param {string} rulePath - Configuration path of the rule
+   */
+  validateRedactionPattern(rule, rulePath) {
+    if (!rule || typeof rule !== 'object') {
+      this.addError(rulePath, 'Pattern rule must be an object', rule);
+      return;
+    }
+
+    if (typeof rule.name !== 'string' || rule.name.length === 0) {
+      this.addError(`${rulePath}.name`, 'Name must be a non-empty string', rule.name);
+    }
+
+    if (rule.flags !== undefined && (typeof rule.flags !== 'string' || !/^[gimsuy]*$/.test(rule.flags))) {
+      this.addError(`${rulePath}.flags`, 'Flags must only contain g, i, m, s, u or y', rule.flags);
+    }
+
+    if (rule.replacement !== undefined && typeof rule.replacement !== 'string') {
+      this.addError(`${rulePath}.replacement`, 'Replacement must be a string', rule.replacement);
+    }
+
+    if (typeof rule.pattern !== 'string' || rule.pattern.length === 0) {
+      this.addError(`${rulePath}.pattern`, 'Pattern must be a non-empty string', rule.pattern);
+      return;
+    }
+
+    try {
+      new RegExp(rule.pattern, typeof rule.flags === 'string' ? rule.flags : '');
+    } catch (error) {
+      this.addError(`${rulePath}.pattern`, `Invalid regular expression: ${error.message}`, rule.pattern);
+    }
+  }
+
   /**
    * Validate URL format
    * @param {string} url - URL to validate
@@ -12,6 +12,7 @@ const { BatchManager } = require('./batch-manager');
 const { MetadataEnricher } = require('./metadata-enricher');
 const { createEnhancedLogger } = require('./enhanced-logger');
 const { LogEnricher, EnrichmentStrategy } = require('./log-enrichment');
+const { getRedactor } = require('./redaction');
 
 class EnhancedTkrLogger {
   constructor(baseLogger, options = {}) {
@@ -23,6 +24,7 @@ class EnhancedTkrLogger {
     this.filterManager = this.createFilterManager();
     this.batchManager = this.createBatchManager();
     this.metadataEnricher = this.createMetadataEnricher();
+    this.redactor = getRedactor();
 
     // Initialize service name resolution components
     this.enhancedLogger = createEnhancedLogger(baseLogger, {
@@ -165,8 +167,8 @@ class EnhancedTkrLogger {
       }
     };
 
-    // Send through batch manager
-    this.batchManager.add(logData);
+    // Send through batch manager, with secrets and personal data masked
+    this.batchManager.add(this.redactor.redactEntry(logData));
     this.stats.logsBatched++;
 
     // Also log to console if enabled (for immediate feedback with enhanced display)
@@ -242,6 +244,7 @@ class EnhancedTkrLogger {
       enhanced: this.stats,
       filter: this.filterManager.getStats(),
       batch: this.batchManager.getStats(),
+      redaction: this.redactor.getStats(),
       process: this.processDetector.getProcessInfo(),
       serviceResolution: this.enhancedLogger ? this.enhancedLogger.getStats() : null,
       logEnrichment: this.logEnricher ? this.logEnricher.getStats() : null,
@@ -6,6 +6,8 @@
 
 const { getServiceNameResolver } = require('./service-name-resolver');
 const { getProcessDetector } = require('./process-detector');
+const { getTraceContextManager } = require('./trace-context');
+const { getRedactor } = require('./redaction');
 
 /**
  * Performance cache for service resolution to meet < 1ms requirement
@@ -79,12 +81,16 @@ class EnhancedLogger {
       cacheTtlMs: 60000,
       fallbackToBasic: true,
       performanceTracking: true,
+      enableTraceContext: true,
+      enableRedaction: true,
       ...options
     };
 
     // Initialize components
     this.serviceResolver = getServiceNameResolver();
     this.processDetector = getProcessDetector();
+    this.traceContext = getTraceContextManager();
+    this.redactor = getRedactor();
     this.cache = new ServiceResolutionCache(
       this.options.cacheSize,
       this.options.cacheTtlMs
@@ -251,6 +257,10 @@ class EnhancedLogger {
       // Resolve service information
       const serviceInfo = this.resolveServiceInfo();
 
+      // Current span, unless the caller supplied trace fields explicitly
+      const trace = metadata.trace ||
+        (this.options.enableTraceContext ? this.traceContext.toLogContext() : null);
+
       // Create enhanced log entry with all required fields
       const enhancedEntry = {
         id: this.generateLogId(),
@@ -262,6 +272,7 @@ class EnhancedLogger {
         message,
         metadata: {
           ...metadata,
+          ...(trace && { trace }),
           serviceResolution: {
             confidence: serviceInfo.confidence,
             source: serviceInfo.source
@@ -295,6 +306,34 @@ class EnhancedLogger {
     }
   }
 
+  /**
+   * Start a child span of the current span and run a function inside it.
+   * Logs written by fn - including in awaited callbacks - carry the span's IDs.
+   * @param {string} name - Span name
+   * @param {function} fn - Function to run
+   * @param {object} options - { parent, traceparent, tracestate }
+   */
+  withSpan(name, fn, options = {}) {
+    return this.traceContext.withSpan(name, fn, options);
+  }
+
+  /**
+   * Run an incoming request handler inside a span that continues the caller's trace
+   * @param {string} traceparent - Incoming traceparent header (may be missing)
+   * @param {string} tracestate - Incoming tracestate header (may be missing)
+   * @param {function} fn - Request handler
+   */
+  runWithTraceparent(traceparent, tracestate, fn) {
+    return this.traceContext.runWithTraceparent(traceparent, tracestate, fn);
+  }
+
+  /**
+   * Get traceparent/tracestate headers for an outgoing request
+   */
+  getTraceHeaders() {
+    return this.traceContext.getTraceHeaders();
+  }
+
   /**
    * Generate unique log ID
    */
@@ -353,8 +392,11 @@ class EnhancedLogger {
   /**
    * Delegate to base logger while maintaining compatibility
    */
-  delegateToBaseLogger(level, enhancedEntry) {
+  delegateToBaseLogger(level, entry) {
     try {
+      // Mask secrets and personal data before the entry leaves this process
+      const enhancedEntry = this.options.enableRedaction ? this.redactor.redactEntry(entry) : entry;
+
       if (this.baseLogger && typeof this.baseLogger[level] === 'function') {
         // Pass enhanced entry metadata to base logger
         this.baseLogger[level](
@@ -398,6 +440,7 @@ class EnhancedLogger {
           (this.stats.resolutionTime / this.stats.logsProcessed) : 0
       },
       cache: cacheStats,
+      redaction: this.redactor.getStats(),
       runtime: {
         uptime: runtime,
         logsPerSecond: runtime > 0 ? (this.stats.logsProcessed / (runtime / 1000)) : 0,
@@ -467,6 +510,10 @@ class EnhancedComponentLogger {
     this.parent.fatal(message, error, metadata, this.component);
   }
 
+  withSpan(name, fn, options = {}) {
+    return this.parent.withSpan(name, fn, options);
+  }
+
   child(subComponent) {
     const combinedComponent = `${this.component}/${subComponent}`;
     return new EnhancedComponentLogger(this.parent, combinedComponent);
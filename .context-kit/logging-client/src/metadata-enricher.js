@@ -4,6 +4,7 @@
  */
 
 const { getProcessDetector } = require('./process-detector');
+const { getTraceContextManager } = require('./trace-context');
 
 class MetadataEnricher {
   constructor(options = {}) {
@@ -471,6 +472,12 @@ class MetadataEnricher {
       return metadata.correlationId || metadata.corrId || metadata.correlation_id;
     }
 
+    // Correlate by the current W3C trace when running inside a span
+    const span = getTraceContextManager().getCurrentSpan();
+    if (span) {
+      return span.traceId;
+    }
+
     // Generate a simple correlation ID based on timestamp and random
     return `corr-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
   }
@@ -0,0 +1,42 @@
+/**
+ * Redaction for Enhanced Logging
+ * Node.js side of the shared redaction pipeline: one Redactor per process,
+ * configured from the `redaction` section of config/defaults.json (with
+ * TKR_LOG_REDACTION* environment overrides), so every logger in the process
+ * redacts the same way and reports one redaction count
+ */
+
+const Redactor = require('../browser/redactor');
+const { load } = require('../config/loader');
+
+/**
+ * Load the redaction configuration
+ * Falls back to the Redactor's built-in defaults if the configuration can't be loaded.
+ */
+function loadRedactionConfig() {
+  try {
+    return load().redaction || {};
+  } catch (error) {
+    console.warn('Error loading redaction configuration, using defaults:', error.message);
+    return {};
+  }
+}
+
+// Singleton instance, shared by every logger in the process
+let instance = null;
+
+/**
+ * Get the redactor singleton
+ */
+function getRedactor() {
+  if (!instance) {
+    instance = new Redactor(loadRedactionConfig());
+  }
+  return instance;
+}
+
+module.exports = {
+  Redactor,
+  getRedactor,
+  loadRedactionConfig
+};
@@ -0,0 +1,237 @@
+/**
+ * W3C Trace Context for Enhanced Logging
+ * Parses and generates traceparent/tracestate headers and keeps the current
+ * span in AsyncLocalStorage, so logs written anywhere inside a request share
+ * its trace ID and can be arranged into a span tree
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+
+const TRACEPARENT_PATTERN = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})(-.*)?$/;
+const INVALID_TRACE_ID = '0'.repeat(32);
+const INVALID_SPAN_ID = '0'.repeat(16);
+const MAX_TRACESTATE_MEMBERS = 32;
+
+/**
+ * Parse a traceparent header
+ * @returns {object|null} { version, traceId, parentSpanId, sampled } or null if invalid
+ */
+function parseTraceparent(header) {
+  if (!header || typeof header !== 'string') {
+    return null;
+  }
+
+  const match = TRACEPARENT_PATTERN.exec(header.trim().toLowerCase());
+  if (!match) {
+    return null;
+  }
+
+  const [, version, traceId, parentSpanId, flags, rest] = match;
+  if (version === 'ff' || (version === '00' && rest)) {
+    return null;
+  }
+  if (traceId === INVALID_TRACE_ID || parentSpanId === INVALID_SPAN_ID) {
+    return null;
+  }
+
+  return {
+    version,
+    traceId,
+    parentSpanId,
+    sampled: (parseInt(flags, 16) & 0x01) === 0x01
+  };
+}
+
+/**
+ * Format a traceparent header for a span
+ */
+function formatTraceparent(span) {
+  return `00-${span.traceId}-${span.spanId}-${span.sampled === false ? '00' : '01'}`;
+}
+
+/**
+ * Parse a tracestate header into [key, value] list members, dropping invalid ones
+ */
+function parseTracestate(header) {
+  if (!header || typeof header !== 'string') {
+    return [];
+  }
+
+  const members = [];
+  const seen = new Set();
+
+  for (const member of header.split(',')) {
+    const separator = member.indexOf('=');
+    if (separator <= 0) {
+      continue;
+    }
+
+    const key = member.slice(0, separator).trim();
+    const value = member.slice(separator + 1).trim();
+    if (!key || !value || seen.has(key)) {
+      continue;
+    }
+
+    seen.add(key);
+    members.push([key, value]);
+
+    if (members.length >= MAX_TRACESTATE_MEMBERS) {
+      break;
+    }
+  }
+
+  return members;
+}
+
+/**
+ * Format tracestate list members as a header value
+ */
+function formatTracestate(members) {
+  return members
+    .slice(0, MAX_TRACESTATE_MEMBERS)
+    .map(([key, value]) => `${key}=${value}`)
+    .join(',');
+}
+
+function randomHex(bytes, invalid) {
+  let id = crypto.randomBytes(bytes).toString('hex');
+  while (id === invalid) {
+    id = crypto.randomBytes(bytes).toString('hex');
+  }
+  return id;
+}
+
+function generateTraceId() {
+  return randomHex(16, INVALID_TRACE_ID);
+}
+
+function generateSpanId() {
+  return randomHex(8, INVALID_SPAN_ID);
+}
+
+/**
+ * Current-span tracking across async boundaries
+ */
+class TraceContextManager {
+  constructor() {
+    this.storage = new AsyncLocalStorage();
+  }
+
+  /**
+   * Get the span active in the current async context, if any
+   */
+  getCurrentSpan() {
+    return this.storage.getStore() || null;
+  }
+
+  /**
+   * Create a span
+   * The parent is, in order: an incoming traceparent header, options.parent,
+   * then the current span. Without any of them a new trace is started.
+   * @param {string} name - Span name
+   * @param {object} options - { parent, traceparent, tracestate }
+   */
+  startSpan(name, options = {}) {
+    const incoming = parseTraceparent(options.traceparent);
+    const parent = incoming ? null : (options.parent || this.getCurrentSpan());
+
+    let traceState = null;
+    if (incoming) {
+      traceState = formatTracestate(parseTracestate(options.tracestate)) || null;
+    } else if (parent) {
+      traceState = parent.traceState || null;
+    }
+
+    return {
+      name: name || 'span',
+      traceId: incoming ? incoming.traceId : (parent ? parent.traceId : generateTraceId()),
+      spanId: generateSpanId(),
+      parentSpanId: incoming ? incoming.parentSpanId : (parent ? parent.spanId : null),
+      sampled: incoming ? incoming.sampled : (parent ? parent.sampled !== false : true),
+      traceState,
+      startTime: Date.now()
+    };
+  }
+
+  /**
+   * Run a function with the given span as the current span
+   */
+  runWithSpan(span, fn) {
+    return this.storage.run(span, fn);
+  }
+
+  /**
+   * Start a child span of the current span and run a function inside it
+   */
+  withSpan(name, fn, options = {}) {
+    return this.runWithSpan(this.startSpan(name, options), fn);
+  }
+
+  /**
+   * Run a function for an incoming request, continuing the caller's trace
+   * @param {string} traceparent - Incoming traceparent header (may be missing)
+   * @param {string} tracestate - Incoming tracestate header (may be missing)
+   * @param {function} fn - Request handler
+   */
+  runWithTraceparent(traceparent, tracestate, fn) {
+    return this.withSpan('request', fn, { traceparent, tracestate });
+  }
+
+  /**
+   * Get headers that propagate the current span to an outgoing request
+   * @returns {object} { traceparent, tracestate } or an empty object outside a span
+   */
+  getTraceHeaders(span = this.getCurrentSpan()) {
+    if (!span) {
+      return {};
+    }
+
+    const headers = { traceparent: formatTraceparent(span) };
+    if (span.traceState) {
+      headers.tracestate = span.traceState;
+    }
+    return headers;
+  }
+
+  /**
+   * Get the trace fields recorded on log entries
+   * @returns {object|null} { traceId, spanId, parentSpanId, traceState } or null outside a span
+   */
+  toLogContext(span = this.getCurrentSpan()) {
+    if (!span) {
+      return null;
+    }
+
+    return {
+      traceId: span.traceId,
+      spanId: span.spanId,
+      parentSpanId: span.parentSpanId || undefined,
+      traceState: span.traceState || undefined
+    };
+  }
+}
+
+// Singleton instance, shared by every logger in the process
+let instance = null;
+
+/**
+ * Get the trace context manager singleton
+ */
+function getTraceContextManager() {
+  if (!instance) {
+    instance = new TraceContextManager();
+  }
+  return instance;
+}
+
+module.exports = {
+  TraceContextManager,
+  getTraceContextManager,
+  parseTraceparent,
+  formatTraceparent,
+  parseTracestate,
+  formatTracestate,
+  generateTraceId,
+  generateSpanId
+};
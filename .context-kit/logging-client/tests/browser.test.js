@@ -6,7 +6,10 @@
  * - Console interception with perfect passthrough
  * - Session management across page reloads
  * - Batch sending with retry logic
+ * - Durable offline queue with in-order replay
+ * - Cross-tab leader election and forwarding
  * - Performance monitoring and thresholds
+ * - Adaptive sampling and rate limiting
  * - Error capture (global errors, unhandled rejections)
  * - API compliance with interface specification
  * - Browser compatibility across environments
@@ -172,21 +175,54 @@ function startMockServer() {
 
 /**
  * Load logging components in browser
+ * @param {Page} target - Page to load them into (defaults to the shared page)
  */
-async function loadLoggingComponents() {
+async function loadLoggingComponents(target = page) {
   const browserClientPath = path.join(__dirname, '../../browser-client');
 
   // Load session manager
   const sessionManager = fs.readFileSync(path.join(browserClientPath, 'session-manager.js'), 'utf8');
-  await page.evaluate(sessionManager);
+  await target.evaluate(sessionManager);
+
+  // Load offline store
+  const offlineStore = fs.readFileSync(path.join(browserClientPath, 'offline-store.js'), 'utf8');
+  await target.evaluate(offlineStore);
 
   // Load batch sender
   const batchSender = fs.readFileSync(path.join(browserClientPath, 'batch-sender.js'), 'utf8');
-  await page.evaluate(batchSender);
+  await target.evaluate(batchSender);
+
+  // Load redactor
+  const redactor = fs.readFileSync(path.join(browserClientPath, 'redactor.js'), 'utf8');
+  await target.evaluate(redactor);
+
+  // Load trace context
+  const traceContext = fs.readFileSync(path.join(browserClientPath, 'trace-context.js'), 'utf8');
+  await target.evaluate(traceContext);
+
+  // Load network capture
+  const networkCapture = fs.readFileSync(path.join(browserClientPath, 'network-capture.js'), 'utf8');
+  await target.evaluate(networkCapture);
+
+  // Load web vitals capture
+  const webVitals = fs.readFileSync(path.join(browserClientPath, 'web-vitals.js'), 'utf8');
+  await target.evaluate(webVitals);
+
+  // Load breadcrumb recorder
+  const breadcrumbs = fs.readFileSync(path.join(browserClientPath, 'breadcrumbs.js'), 'utf8');
+  await target.evaluate(breadcrumbs);
+
+  // Load adaptive sampler
+  const sampler = fs.readFileSync(path.join(browserClientPath, 'sampler.js'), 'utf8');
+  await target.evaluate(sampler);
+
+  // Load tab coordinator
+  const tabCoordinator = fs.readFileSync(path.join(browserClientPath, 'tab-coordinator.js'), 'utf8');
+  await target.evaluate(tabCoordinator);
 
   // Load main client
   const loggingClient = fs.readFileSync(path.join(browserClientPath, 'logging-client.js'), 'utf8');
-  await page.evaluate(loggingClient);
+  await target.evaluate(loggingClient);
 }
 
 /**
@@ -397,6 +433,283 @@ async function testBatchSending() {
   assertTrue(receivedLogs.length > 0, 'Manual flush sends pending logs');
 }
 
+/**
+ * Test offline queueing and replay
+ */
+async function testOfflineQueue() {
+  console.log(`\n${colors.blue}Testing offline queue...${colors.reset}`);
+
+  receivedLogs = [];
+
+  await page.goto('data:text/html,<html><body></body></html>');
+  await loadLoggingComponents();
+
+  await page.evaluate((config) => {
+    window.TkrLogging.init(config);
+  }, TEST_CONFIG.logging);
+
+  // Queue batches while offline
+  await page.setOfflineMode(true);
+  await page.evaluate(() => {
+    for (let i = 0; i < 6; i++) {
+      window.TkrLogging.log('INFO', `Offline test ${i}`);
+    }
+  });
+
+  await new Promise(resolve => setTimeout(resolve, 500));
+
+  const offlineStats = await page.evaluate(() => window.TkrLogging.getStats().batch);
+  assertTrue(offlineStats.offlineQueueSize >= 2, 'Batches are queued while offline');
+  assertTrue(offlineStats.offline && offlineStats.offline.bytes > 0, 'Offline queue reports its size');
+
+  // Replay once back online
+  await page.setOfflineMode(false);
+  await new Promise(resolve => setTimeout(resolve, 1500));
+
+  const onlineStats = await page.evaluate(() => window.TkrLogging.getStats().batch);
+  assertEquals(0, onlineStats.offlineQueueSize, 'Offline queue is drained when back online');
+
+  const messages = receivedLogs.flatMap(batch => (batch.entries || batch.logs).map(log => log.message));
+  assertTrue(messages.indexOf('Offline test 0') < messages.indexOf('Offline test 5'),
+            'Offline batches are replayed in order');
+}
+
+/**
+ * Test W3C trace context on entries
+ */
+async function testTraceContext() {
+  console.log(`\n${colors.blue}Testing trace context...${colors.reset}`);
+
+  receivedLogs = [];
+
+  await page.goto('data:text/html,<html><head><meta name="traceparent" content="00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01"></head><body></body></html>');
+  await loadLoggingComponents();
+
+  const span = await page.evaluate((config) => {
+    window.TkrLogging.init(config);
+    window.TkrLogging.log('INFO', 'Page span test');
+
+    const child = window.TkrLogging.startSpan('child');
+    window.TkrLogging.withSpan(child, () => {
+      window.TkrLogging.log('INFO', 'Child span test');
+    });
+    return child;
+  }, TEST_CONFIG.logging);
+
+  await page.evaluate(() => window.TkrLogging.flush());
+  await new Promise(resolve => setTimeout(resolve, 500));
+
+  const entries = receivedLogs.flatMap(batch => batch.entries || batch.logs);
+  const pageEntry = entries.find(log => log.message === 'Page span test');
+  const childEntry = entries.find(log => log.message === 'Child span test');
+
+  assertTrue(pageEntry && pageEntry.metadata.trace, 'Entries carry trace context');
+  if (pageEntry && childEntry) {
+    assertEquals('4bf92f3577b34da6a3ce929d0e0e4736', pageEntry.metadata.trace.traceId, 'Page span continues the server trace');
+    assertEquals('00f067aa0ba902b7', pageEntry.metadata.trace.parentSpanId, 'Page span is parented to the server span');
+    assertEquals(span.spanId, childEntry.metadata.trace.spanId, 'withSpan attributes entries to the span');
+    assertEquals(pageEntry.metadata.trace.spanId, childEntry.metadata.trace.parentSpanId, 'Child span is parented to the page span');
+    assertTrue(pageEntry.id !== childEntry.id, 'Entry IDs stay unique within a trace');
+  }
+}
+
+/**
+ * Test secret and PII redaction
+ */
+async function testRedaction() {
+  console.log(`\n${colors.blue}Testing redaction...${colors.reset}`);
+
+  receivedLogs = [];
+
+  await page.goto('data:text/html,<html><body></body></html>');
+  await loadLoggingComponents();
+
+  const stats = await page.evaluate((config) => {
+    window.TkrLogging.init(config);
+    console.log('Login attempt', { user: 'ada@example.com', password: 'hunter2' });
+    window.TkrLogging.log('INFO', 'Calling API', {
+      headers: { Authorization: 'Bearer abcdefghijklmnop' },
+      apiKey: 'sk-live-abcdefghijklmnopqrstuvwx'
+    });
+    return window.TkrLogging.getStats().redaction;
+  }, TEST_CONFIG.logging);
+
+  await page.evaluate(() => window.TkrLogging.flush());
+  await new Promise(resolve => setTimeout(resolve, 500));
+
+  const entries = receivedLogs.flatMap(batch => batch.entries || batch.logs);
+  const consoleEntry = entries.find(log => log.message.startsWith('Login attempt'));
+  const manualEntry = entries.find(log => log.message === 'Calling API');
+  const payload = JSON.stringify(entries);
+
+  assertTrue(payload.indexOf('hunter2') === -1, 'Passwords in console arguments are redacted');
+  assertTrue(payload.indexOf('ada@example.com') === -1, 'Email addresses are redacted');
+  assertTrue(payload.indexOf('abcdefghijklmnop') === -1, 'Bearer tokens are redacted');
+  if (consoleEntry && manualEntry) {
+    assertTrue(consoleEntry.message.indexOf('[REDACTED]') !== -1, 'Redacted values are replaced with a marker');
+    assertEquals('[REDACTED]', manualEntry.metadata.apiKey, 'Sensitive metadata keys are redacted');
+  }
+  assertTrue(stats && stats.redactions >= 4, 'Redactions are counted in stats');
+
+  await page.evaluate(() => window.TkrLogging.restore());
+}
+
+/**
+ * Test Web Vitals capture
+ */
+async function testWebVitals() {
+  console.log(`\n${colors.blue}Testing Web Vitals capture...${colors.reset}`);
+
+  receivedLogs = [];
+
+  await page.goto('data:text/html,<html><body><h1>Vitals</h1></body></html>');
+  await loadLoggingComponents();
+
+  await page.evaluate((config) => {
+    window.TkrLogging.init({ ...config, captureWebVitals: true });
+
+    // Block the main thread long enough to be reported as a long task
+    setTimeout(() => {
+      const start = Date.now();
+      while (Date.now() - start < 120) { /* busy */ }
+    }, 0);
+  }, TEST_CONFIG.logging);
+
+  await new Promise(resolve => setTimeout(resolve, 500));
+
+  // Hiding the page reports the accumulated CLS/INP/LCP
+  await page.evaluate(() => {
+    window.dispatchEvent(new Event('pagehide'));
+    return window.TkrLogging.flush();
+  });
+  await new Promise(resolve => setTimeout(resolve, 500));
+
+  const entries = receivedLogs
+    .flatMap(batch => batch.entries || batch.logs)
+    .filter(log => log.metadata && log.metadata.source === 'web-vitals');
+  const names = entries.map(log => log.metadata.metric.name);
+  const fcp = entries.find(log => log.metadata.metric.name === 'FCP');
+
+  assertTrue(names.includes('FCP'), 'FCP is reported');
+  assertTrue(names.includes('long-task'), 'Long tasks are reported');
+  if (fcp) {
+    assertTrue(['good', 'needs-improvement', 'poor'].includes(fcp.metadata.metric.rating), 'Vitals carry a rating');
+    assertTrue(typeof fcp.metadata.metric.route === 'string', 'Vitals carry the route');
+  }
+
+  await page.evaluate(() => window.TkrLogging.restore());
+}
+
+/**
+ * Test breadcrumbs attached to error entries
+ */
+async function testBreadcrumbs() {
+  console.log(`\n${colors.blue}Testing breadcrumbs...${colors.reset}`);
+
+  receivedLogs = [];
+
+  await page.goto('data:text/html,<html><body><form id="login"><input name="email" type="email"><button type="button" class="btn-primary">Sign in</button></form></body></html>');
+  await loadLoggingComponents();
+
+  await page.evaluate((config) => {
+    window.TkrLogging.init(config);
+
+    // data: URLs can't use pushState, so navigate by hash
+    window.location.hash = '#/account';
+  }, TEST_CONFIG.logging);
+
+  await page.type('#login input', 'ada@example.com');
+  await page.click('#login button');
+  await page.evaluate(() => {
+    window.TkrLogging.addBreadcrumb('Submitted login form');
+    setTimeout(() => {
+      throw new Error('Test breadcrumb error');
+    }, 100);
+  });
+
+  await new Promise(resolve => setTimeout(resolve, 500));
+  await page.evaluate(() => window.TkrLogging.flush());
+  await new Promise(resolve => setTimeout(resolve, 500));
+
+  const entries = receivedLogs.flatMap(batch => batch.entries || batch.logs);
+  const errorEntry = entries.find(log => log.metadata && log.metadata.source === 'global-error');
+  const breadcrumbs = (errorEntry && errorEntry.metadata.breadcrumbs) || [];
+  const types = breadcrumbs.map(breadcrumb => breadcrumb.type);
+  const click = breadcrumbs.find(breadcrumb => breadcrumb.type === 'click');
+  const input = breadcrumbs.find(breadcrumb => breadcrumb.type === 'input');
+
+  assertTrue(breadcrumbs.length > 0, 'Error entries carry breadcrumbs');
+  assertTrue(types.includes('navigation'), 'Route changes are recorded');
+  assertTrue(types.includes('custom'), 'Custom breadcrumbs are recorded');
+  if (click) {
+    assertEquals('form#login > button.btn-primary', click.data.selector, 'Clicks are recorded with a selector path');
+  }
+  if (input) {
+    assertEquals('[MASKED]', input.data.value, 'Input values are masked');
+  }
+  assertTrue(JSON.stringify(entries).indexOf('ada@example.com') === -1, 'Input values are never sent');
+
+  await page.evaluate(() => window.TkrLogging.restore());
+}
+
+/**
+ * Test leader election and forwarding across tabs
+ */
+async function testCrossTabCoordination() {
+  console.log(`\n${colors.blue}Testing cross-tab coordination...${colors.reset}`);
+
+  receivedLogs = [];
+
+  // BroadcastChannel needs a shared origin, which data: URLs don't have
+  const url = `http://localhost:${TEST_CONFIG.server.port}/health`;
+  const secondTab = await browser.newPage();
+
+  try {
+    await page.goto(url);
+    await loadLoggingComponents();
+    await page.evaluate((config) => window.TkrLogging.init(config), TEST_CONFIG.logging);
+    await new Promise(resolve => setTimeout(resolve, 300));
+
+    await secondTab.goto(url);
+    await loadLoggingComponents(secondTab);
+    await secondTab.evaluate((config) => window.TkrLogging.init(config), TEST_CONFIG.logging);
+    await new Promise(resolve => setTimeout(resolve, 500));
+
+    const leader = await page.evaluate(() => window.TkrLogging.getStats().tabs);
+    const follower = await secondTab.evaluate(() => window.TkrLogging.getStats().tabs);
+
+    assertEquals('leader', leader && leader.role, 'First tab is elected leader');
+    assertEquals('follower', follower && follower.role, 'Second tab follows');
+    assertTrue(leader && follower && leader.tabId !== follower.tabId, 'Tabs have distinct IDs');
+
+    await secondTab.evaluate(() => console.log('Logged in follower tab'));
+    await new Promise(resolve => setTimeout(resolve, 300));
+    await page.evaluate(() => window.TkrLogging.flush());
+    await new Promise(resolve => setTimeout(resolve, 500));
+
+    const entries = receivedLogs.flatMap(batch => batch.entries || batch.logs);
+    const forwarded = entries.filter(log => log.message === 'Logged in follower tab');
+    const leaderStats = await page.evaluate(() => window.TkrLogging.getStats().tabs);
+
+    assertEquals(1, forwarded.length, 'Follower entries are uploaded once');
+    assertTrue(leaderStats.received > 0, 'Leader receives forwarded entries');
+    if (forwarded[0] && follower) {
+      assertEquals(follower.tabId, forwarded[0].metadata.tabId, 'Entries record the tab they were logged in');
+    }
+
+    // Closing the leader hands leadership over
+    await page.evaluate(() => window.TkrLogging.restore());
+    await new Promise(resolve => setTimeout(resolve, 500));
+
+    const failover = await secondTab.evaluate(() => window.TkrLogging.getStats().tabs);
+    assertEquals('leader', failover && failover.role, 'Follower takes over when the leader goes away');
+
+    await secondTab.evaluate(() => window.TkrLogging.restore());
+  } finally {
+    await secondTab.close();
+  }
+}
+
 /**
  * Test performance monitoring
  */
@@ -445,6 +758,56 @@ async function testPerformanceMonitoring() {
             'Performance statistics are tracked');
 }
 
+/**
+ * Test adaptive sampling and rate limiting
+ */
+async function testAdaptiveSampling() {
+  console.log(`\n${colors.blue}Testing adaptive sampling...${colors.reset}`);
+
+  receivedLogs = [];
+
+  await page.goto('data:text/html,<html><body></body></html>');
+  await loadLoggingComponents();
+
+  await page.evaluate(async (config) => {
+    window.TkrLogging.init({
+      ...config,
+      sampleRates: { debug: 0 },
+      rateLimitBurst: 2,
+      rateLimitPerSecond: 5
+    });
+
+    for (let i = 0; i < 10; i++) {
+      console.log(`Tick ${i}`);
+      console.debug(`Debug ${i}`);
+      console.error(`Failure ${i}`);
+    }
+
+    // Refill one token, then log once more
+    await new Promise(resolve => setTimeout(resolve, 250));
+    console.log('Tick 10');
+  }, TEST_CONFIG.logging);
+
+  await page.evaluate(() => window.TkrLogging.flush());
+  await new Promise(resolve => setTimeout(resolve, 500));
+
+  const entries = receivedLogs.flatMap(batch => batch.entries || batch.logs);
+  const ticks = entries.filter(log => log.message.startsWith('Tick'));
+  const lastTick = ticks.find(log => log.message === 'Tick 10');
+  const stats = await page.evaluate(() => window.TkrLogging.getStats());
+
+  assertEquals(3, ticks.length, 'Repeated messages are rate limited per fingerprint');
+  assertEquals(0, entries.filter(log => log.message.startsWith('Debug')).length, 'Levels are sampled at their configured rate');
+  assertEquals(10, entries.filter(log => log.message.startsWith('Failure')).length, 'Errors are never sampled');
+  if (lastTick) {
+    assertEquals(9, lastTick.metadata.sampled, 'Kept entries count the entries dropped before them');
+  }
+  assertTrue(stats.sampling && stats.sampling.rateLimited === 8, 'Rate limited entries are counted');
+  assertEquals(false, stats.performance.disabled, 'Logging is not disabled');
+
+  await page.evaluate(() => window.TkrLogging.restore());
+}
+
 /**
  * Test error capture functionality
  */
@@ -741,7 +1104,14 @@ async function main() {
     await testConsoleInterception();
     await testSessionManagement();
     await testBatchSending();
+    await testOfflineQueue();
+    await testTraceContext();
+    await testRedaction();
+    await testWebVitals();
+    await testBreadcrumbs();
+    await testCrossTabCoordination();
     await testPerformanceMonitoring();
+    await testAdaptiveSampling();
     await testErrorCapture();
     await testAPICompliance();
     await testEnableDisable();
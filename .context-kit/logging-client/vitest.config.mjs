@@ -0,0 +1,11 @@
+import { defineConfig } from 'vitest/config';
+
+export default defineConfig({
+  test: {
+    globals: true,
+    environment: 'node',
+    // tests/ holds the puppeteer and build-tool suites, run by tests/run-all-tests.js;
+    // the src/ suites for the Node service name resolver are run on their own
+    include: ['browser/**/*.test.js']
+  }
+});
@@ -84,7 +84,9 @@ export class ProjectKitMCPServer {
 
       console.log('Initializing core services...');
       // Initialize core services with database connection
-      this.knowledgeGraph = new KnowledgeGraph(this.dbConnection);
+      this.knowledgeGraph = new KnowledgeGraph(this.dbConnection, {
+        schemaValidation: process.env.TKR_SCHEMA_VALIDATION as core.SchemaValidationMode | undefined
+      });
 
       // Initialize LoggingService with MCP-optimized configuration
       this.loggingService = new LoggingService(this.dbConnection, {
@@ -4,7 +4,10 @@ import {
   Entity,
   Relation,
   SearchOptions,
-  SearchResult
+  SearchResult,
+  TypeUsage,
+  PropertyChange,
+  GraphNode
 } from '@tkr-context-kit/core';
 import { MCPServerConfig, ToolDefinition, ToolResponse } from '../types.js';
 
@@ -123,9 +126,155 @@ export function setupKnowledgeGraphTools(
         type: 'object',
         properties: {}
       }
+    },
+    {
+      name: 'index_source',
+      description: 'Index a TypeScript/React project into Module, Component, Page, Route and Hook entities with IMPORTS, RENDERS, ROUTES_TO and USES relations. Files whose hash is unchanged are skipped',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          root: { type: 'string', description: 'Project root (defaults to the server project root)' },
+          include: { type: 'array', items: { type: 'string' }, description: 'Directories to scan (default: ["src"])' },
+          exclude: { type: 'array', items: { type: 'string' }, description: 'Glob patterns of files to skip' },
+          force: { type: 'boolean', description: 'Re-index every file even if unchanged' }
+        }
+      }
+    },
+    {
+      name: 'register_entity_type',
+      description: 'Register or replace an entity type. Entities are validated against registered types on create and update (rejected in strict mode, logged in warn mode)',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          name: { type: 'string', description: 'Type name, e.g. Component' },
+          description: { type: 'string', description: 'What the type represents' },
+          requiredProperties: { type: 'array', items: { type: 'string' }, description: 'Properties entity data must have' },
+          optionalProperties: { type: 'array', items: { type: 'string' }, description: 'Other allowed properties; when given, unlisted properties are violations' },
+          schema: { type: 'object', description: 'JSON Schema for entity data' }
+        },
+        required: ['name']
+      }
+    },
+    {
+      name: 'register_relation_type',
+      description: 'Register or replace a relation type, with the entity types it may connect',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          name: { type: 'string', description: 'Relation type name, e.g. USES' },
+          description: { type: 'string', description: 'What the relation means' },
+          validSourceTypes: { type: 'array', items: { type: 'string' }, description: 'Allowed source entity types (empty allows any)' },
+          validTargetTypes: { type: 'array', items: { type: 'string' }, description: 'Allowed target entity types (empty allows any)' },
+          bidirectional: { type: 'boolean', description: 'Also allow the source and target types the other way round' },
+          propertiesSchema: { type: 'object', description: 'JSON Schema for relation properties' }
+        },
+        required: ['name']
+      }
+    },
+    {
+      name: 'list_types',
+      description: 'List registered entity and relation types, and types in use that are unregistered (with the registered type they likely duplicate)',
+      inputSchema: {
+        type: 'object',
+        properties: {}
+      }
+    },
+    {
+      name: 'entity_history',
+      description: 'Show how an entity changed over time: each revision with the properties and outgoing relations it added, changed or removed',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          id: { type: 'string', description: 'Entity ID' },
+          since: { type: 'string', description: 'Only revisions at or after this time (ISO date or milliseconds)' },
+          until: { type: 'string', description: 'Only revisions at or before this time (ISO date or milliseconds)' },
+          limit: { type: 'number', description: 'Only the most recent revisions (default: 20)' }
+        },
+        required: ['id']
+      }
+    },
+    {
+      name: 'entity_diff',
+      description: 'Compare two versions of an entity',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          id: { type: 'string', description: 'Entity ID' },
+          from: { type: 'number', description: 'Earlier version' },
+          to: { type: 'number', description: 'Later version (default: the current version)' }
+        },
+        required: ['id', 'from']
+      }
+    },
+    {
+      name: 'find_path',
+      description: 'Find how one entity reaches another: the shortest path, or all simple paths up to a length',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          from: { type: 'string', description: 'Start entity ID' },
+          to: { type: 'string', description: 'End entity ID' },
+          direction: { type: 'string', enum: ['outgoing', 'incoming', 'both'], description: 'Direction relations are followed in (default: outgoing)' },
+          relationTypes: { type: 'array', items: { type: 'string' }, description: 'Only follow these relation types' },
+          all: { type: 'boolean', description: 'List all simple paths, shortest first, instead of one shortest path' },
+          maxDepth: { type: 'number', description: 'Longest path in relations when listing all paths (default: 6)' },
+          limit: { type: 'number', description: 'Most paths to list (default: 20)' }
+        },
+        required: ['from', 'to']
+      }
+    },
+    {
+      name: 'find_cycles',
+      description: 'Find circular dependencies: groups of entities that reach each other through relations (strongly connected components), each with an example cycle',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          relationTypes: { type: 'array', items: { type: 'string' }, description: 'Relation types that count as dependencies (default: all)' },
+          entityTypes: { type: 'array', items: { type: 'string' }, description: 'Only consider these entity types' }
+        }
+      }
+    },
+    {
+      name: 'rank_entities',
+      description: 'Rank entities by centrality to find the most load-bearing ones: PageRank (depended on by much of the graph) or betweenness (on many shortest paths)',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          algorithm: { type: 'string', enum: ['pagerank', 'betweenness'], description: 'Ranking to compute (default: pagerank)' },
+          limit: { type: 'number', description: 'Number of entities to return (default: 20)' },
+          relationTypes: { type: 'array', items: { type: 'string' }, description: 'Only use these relation types' },
+          entityTypes: { type: 'array', items: { type: 'string' }, description: 'Only rank these entity types' },
+          samples: { type: 'number', description: 'Estimate betweenness from this many source entities, for large graphs' }
+        }
+      }
+    },
+    {
+      name: 'find_communities',
+      description: 'Group entities into communities of densely linked entities (label propagation) or into connected components',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          grouping: { type: 'string', enum: ['communities', 'components'], description: 'How to group entities (default: communities)' },
+          minSize: { type: 'number', description: 'Smallest group to list (default: 2)' },
+          relationTypes: { type: 'array', items: { type: 'string' }, description: 'Only use these relation types' },
+          entityTypes: { type: 'array', items: { type: 'string' }, description: 'Only group these entity types' }
+        }
+      }
     }
   ];
 
+  const time = (value: string | number | undefined): number | undefined =>
+    value === undefined ? undefined : /^\d+$/.test(String(value)) ? Number(value) : Date.parse(String(value));
+  const formatChange = (change: PropertyChange): string => {
+    const value = (v: any) => JSON.stringify(v);
+    switch (change.change) {
+      case 'added': return `  + ${change.key}: ${value(change.after)}`;
+      case 'removed': return `  - ${change.key}: ${value(change.before)}`;
+      default: return `  ~ ${change.key}: ${value(change.before)} -> ${value(change.after)}`;
+    }
+  };
+  const label = (node: GraphNode): string => `${node.name} [${node.type}]`;
+
   // Tool handlers - only essential CRUD operations
   toolHandlers.set('create_entity', async (args) => {
     const { type, name, data } = args;
@@ -248,5 +397,239 @@ export function setupKnowledgeGraphTools(
     }
   });
 
+  toolHandlers.set('index_source', async (args) => {
+    const { root = config.projectRoot, include, exclude, force = false } = args;
+    safeLogger.debug('Indexing project source', { root, include, force });
+
+    try {
+      const result = await kg.indexSource({ root, include, exclude, force });
+      safeLogger.info('Source indexing completed', { root, ...result });
+      return {
+        content: [{
+          type: 'text',
+          text: `Indexed ${result.indexed} of ${result.files} files in ${result.duration}ms (${result.unchanged} unchanged, ${result.removed} removed):
+- Entities: ${result.entities.created} created, ${result.entities.updated} updated, ${result.entities.deleted} deleted
+- Relations: ${result.relations.created} created, ${result.relations.deleted} deleted${result.failed.length ? `
+- Unreadable files: ${result.failed.join(', ')}` : ''}`
+        }]
+      };
+    } catch (error) {
+      safeLogger.error('Source indexing failed', { root, error: error.message });
+      throw error;
+    }
+  });
+
+  toolHandlers.set('register_entity_type', async (args) => {
+    const { name, description = '', requiredProperties = [], optionalProperties, schema } = args;
+    safeLogger.debug('Registering entity type', { name });
+
+    try {
+      const definition = kg.registerEntityType({ name, description, requiredProperties, optionalProperties, schema });
+      safeLogger.info('Entity type registered', { name: definition.name });
+      return {
+        content: [{
+          type: 'text',
+          text: `Entity type registered: ${definition.name}${definition.requiredProperties.length ? ` (requires ${definition.requiredProperties.join(', ')})` : ''}`
+        }]
+      };
+    } catch (error) {
+      safeLogger.error('Failed to register entity type', { name, error: error.message });
+      throw error;
+    }
+  });
+
+  toolHandlers.set('register_relation_type', async (args) => {
+    const { name, description = '', validSourceTypes = [], validTargetTypes = [], bidirectional = false, propertiesSchema } = args;
+    safeLogger.debug('Registering relation type', { name });
+
+    try {
+      const definition = kg.registerRelationType({
+        name,
+        description,
+        validSourceTypes,
+        validTargetTypes,
+        bidirectional,
+        propertiesSchema
+      });
+      safeLogger.info('Relation type registered', { name: definition.name });
+      return {
+        content: [{
+          type: 'text',
+          text: `Relation type registered: [${definition.validSourceTypes.join('|') || '*'}] --${definition.name}--> [${definition.validTargetTypes.join('|') || '*'}]${definition.bidirectional ? ' (bidirectional)' : ''}`
+        }]
+      };
+    } catch (error) {
+      safeLogger.error('Failed to register relation type', { name, error: error.message });
+      throw error;
+    }
+  });
+
+  toolHandlers.set('list_types', async () => {
+    safeLogger.debug('Listing registered types');
+
+    try {
+      const schema = kg.getSchema();
+      const usage = (types: TypeUsage[]) =>
+        types.map(t => `- ${t.name} (${t.count})${t.similarTo ? ` — likely duplicate of ${t.similarTo}` : ''}`).join('\n') || '- none';
+
+      return {
+        content: [{
+          type: 'text',
+          text: `Schema validation: ${schema.mode}
+
+Entity types (${schema.entityTypes.length}):
+${schema.entityTypes.map(t => `- ${t.name}${t.requiredProperties.length ? ` [requires ${t.requiredProperties.join(', ')}]` : ''}${t.description ? `: ${t.description}` : ''}`).join('\n') || '- none'}
+
+Relation types (${schema.relationTypes.length}):
+${schema.relationTypes.map(t => `- ${t.name}: ${t.validSourceTypes.join('|') || '*'} -> ${t.validTargetTypes.join('|') || '*'}${t.bidirectional ? ' (bidirectional)' : ''}`).join('\n') || '- none'}
+
+Unregistered entity types in use:
+${usage(schema.unregistered.entityTypes)}
+
+Unregistered relation types in use:
+${usage(schema.unregistered.relationTypes)}`
+        }]
+      };
+    } catch (error) {
+      safeLogger.error('Failed to list types', { error: error.message });
+      throw error;
+    }
+  });
+
+  toolHandlers.set('entity_history', async (args) => {
+    const { id, since, until, limit = 20 } = args;
+    safeLogger.debug('Reading entity history', { id, since, until, limit });
+
+    try {
+      const revisions = kg.getEntityHistory(id, { since: time(since), until: time(until), limit });
+      return {
+        content: [{
+          type: 'text',
+          text: revisions.length === 0
+            ? `No history for entity ${id}`
+            : `History of ${id} (${revisions.length} revisions):\n${revisions.map(revision =>
+              `v${revision.version} ${revision.observation_type} at ${new Date(revision.timestamp).toISOString()}${revision.changes.length ? `\n${revision.changes.map(formatChange).join('\n')}` : ''}`
+            ).join('\n')}`
+        }]
+      };
+    } catch (error) {
+      safeLogger.error('Failed to read entity history', { id, error: error.message });
+      throw error;
+    }
+  });
+
+  toolHandlers.set('entity_diff', async (args) => {
+    const { id, from } = args;
+    safeLogger.debug('Comparing entity versions', { id, from, to: args.to });
+
+    try {
+      const to = args.to ?? (await kg.getEntity(id))?.version;
+      const diff = to === undefined ? null : kg.diffEntityVersions(id, from, to);
+      return {
+        content: [{
+          type: 'text',
+          text: !diff
+            ? `No history for entity ${id}`
+            : `${id} v${diff.fromVersion} -> v${diff.toVersion}: ${diff.changes.length} changes${diff.changes.length ? `\n${diff.changes.map(formatChange).join('\n')}` : ''}`
+        }]
+      };
+    } catch (error) {
+      safeLogger.error('Failed to compare entity versions', { id, from, error: error.message });
+      throw error;
+    }
+  });
+
+  toolHandlers.set('find_path', async (args) => {
+    const { from, to, direction, relationTypes, all = false, maxDepth, limit = 20 } = args;
+    safeLogger.debug('Finding paths', { from, to, direction, relationTypes, all });
+
+    try {
+      const paths = all
+        ? kg.findPaths(from, to, { direction, relationTypes, maxDepth, limit })
+        : [kg.findShortestPath(from, to, { direction, relationTypes })].filter(path => path !== null);
+      return {
+        content: [{
+          type: 'text',
+          text: paths.length === 0
+            ? `No path from ${from} to ${to}`
+            : `${paths.length} path${paths.length === 1 ? '' : 's'} from ${from} to ${to}:\n${paths.map(path =>
+              `- (${path.relationIds.length}) ${path.nodes.map(label).join(' -> ')}`
+            ).join('\n')}`
+        }]
+      };
+    } catch (error) {
+      safeLogger.error('Failed to find paths', { from, to, error: error.message });
+      throw error;
+    }
+  });
+
+  toolHandlers.set('find_cycles', async (args) => {
+    const { relationTypes, entityTypes } = args;
+    safeLogger.debug('Finding cycles', { relationTypes, entityTypes });
+
+    try {
+      const components = kg.findStronglyConnectedComponents({ relationTypes, entityTypes });
+      return {
+        content: [{
+          type: 'text',
+          text: components.length === 0
+            ? 'No cycles found'
+            : `${components.length} groups of entities on cycles:\n${components.map(component =>
+              `- ${component.nodes.length} entities, e.g. ${[...component.cycle, component.cycle[0]].map(node => node.name).join(' -> ')}`
+            ).join('\n')}`
+        }]
+      };
+    } catch (error) {
+      safeLogger.error('Failed to find cycles', { error: error.message });
+      throw error;
+    }
+  });
+
+  toolHandlers.set('rank_entities', async (args) => {
+    const { algorithm = 'pagerank', limit = 20, relationTypes, entityTypes, samples } = args;
+    safeLogger.debug('Ranking entities', { algorithm, limit, relationTypes, entityTypes, samples });
+
+    try {
+      const ranked = kg.getCentrality({ algorithm, limit, relationTypes, entityTypes, samples });
+      return {
+        content: [{
+          type: 'text',
+          text: ranked.length === 0
+            ? 'No entities to rank'
+            : `Top ${ranked.length} entities by ${algorithm}:\n${ranked.map((node, index) =>
+              `${index + 1}. ${label(node)} ${node.score.toPrecision(3)}`
+            ).join('\n')}`
+        }]
+      };
+    } catch (error) {
+      safeLogger.error('Failed to rank entities', { algorithm, error: error.message });
+      throw error;
+    }
+  });
+
+  toolHandlers.set('find_communities', async (args) => {
+    const { grouping = 'communities', minSize = 2, relationTypes, entityTypes } = args;
+    safeLogger.debug('Grouping entities', { grouping, minSize, relationTypes, entityTypes });
+
+    try {
+      const options = { minSize, relationTypes, entityTypes };
+      const groups = grouping === 'components' ? kg.getConnectedComponents(options) : kg.detectCommunities(options);
+      const shown = groups.slice(0, 20);
+      return {
+        content: [{
+          type: 'text',
+          text: groups.length === 0
+            ? `No ${grouping} of ${minSize} or more entities`
+            : `${groups.length} ${grouping}${groups.length > shown.length ? ` (largest ${shown.length} shown)` : ''}:\n${shown.map((group, index) =>
+              `${index + 1}. ${group.length} entities: ${group.slice(0, 10).map(label).join(', ')}${group.length > 10 ? `, +${group.length - 10} more` : ''}`
+            ).join('\n')}`
+        }]
+      };
+    } catch (error) {
+      safeLogger.error('Failed to group entities', { grouping, error: error.message });
+      throw error;
+    }
+  });
+
   return tools;
-}
\ No newline at end of file
+}
@@ -60,10 +60,7 @@ function convertToLogFilters(filters: LogQueryFilters): LogFilter {
   if (filters.service) coreFilters.service = filters.service;
   if (filters.level) coreFilters.level = filters.level as LogLevel;
   if (filters.component) coreFilters.component = filters.component;
-  if (filters.traceId) {
-    if (!coreFilters.metadata) coreFilters.metadata = {};
-    coreFilters.metadata.traceId = filters.traceId;
-  }
+  if (filters.traceId) coreFilters.traceId = filters.traceId;
 
   // Handle time filters
   if (filters.timeWindow) {
@@ -86,8 +83,90 @@ function convertToLogFilters(filters: LogQueryFilters): LogFilter {
   return coreFilters;
 }
 
+// A span in a log_trace result, with the log entries recorded inside it
+interface TraceSpanNode {
+  spanId: string;
+  parentSpanId: string | null;
+  services: string[];
+  startTime: number;
+  endTime: number;
+  duration: number;
+  entries: Array<{
+    id: string;
+    timestamp: number;
+    offset: number;
+    level: string;
+    service: string;
+    message: string;
+  }>;
+  children: TraceSpanNode[];
+}
+
+// Helper function to group trace entries (sorted by timestamp) into a span tree
+function buildSpanTree(entries: any[]): { spans: TraceSpanNode[]; unattributed: any[] } {
+  const traceStart = entries.length > 0 ? entries[0].timestamp : 0;
+  const nodes = new Map<string, TraceSpanNode>();
+  const unattributed: any[] = [];
+
+  for (const entry of entries) {
+    const spanId = entry.trace?.spanId;
+    const summary = {
+      id: entry.id,
+      timestamp: entry.timestamp,
+      offset: entry.timestamp - traceStart,
+      level: entry.level,
+      service: entry.service,
+      message: entry.message
+    };
+
+    if (!spanId) {
+      unattributed.push(summary);
+      continue;
+    }
+
+    let node = nodes.get(spanId);
+    if (!node) {
+      node = {
+        spanId,
+        parentSpanId: entry.trace.parentSpanId || null,
+        services: [],
+        startTime: entry.timestamp,
+        endTime: entry.timestamp,
+        duration: 0,
+        entries: [],
+        children: []
+      };
+      nodes.set(spanId, node);
+    }
+
+    if (!node.parentSpanId && entry.trace.parentSpanId) {
+      node.parentSpanId = entry.trace.parentSpanId;
+    }
+    if (!node.services.includes(entry.service)) {
+      node.services.push(entry.service);
+    }
+    node.endTime = entry.timestamp;
+    node.duration = node.endTime - node.startTime;
+    node.entries.push(summary);
+  }
+
+  // Spans whose parent logged nothing (e.g. the browser page span) become roots
+  const spans: TraceSpanNode[] = [];
+  for (const node of nodes.values()) {
+    const parent = node.parentSpanId ? nodes.get(node.parentSpanId) : undefined;
+    if (parent && parent !== node) {
+      parent.children.push(node);
+    } else {
+      spans.push(node);
+    }
+  }
+
+  return { spans, unattributed };
+}
+
 // Tool schemas
 const logQuerySchema = z.object({
+  query: z.string().optional().describe('Log query, e.g. level>=warn meta.status>=500 | count by service, 5m'),
   level: z.enum(['DEBUG', 'INFO', 'WARN', 'ERROR', 'FATAL']).optional(),
   service: z.string().optional(),
   component: z.string().optional(),
@@ -102,7 +181,8 @@ const logSearchSchema = z.object({
   query: z.string().describe('Search query for full-text search'),
   service: z.string().optional(),
   level: z.enum(['DEBUG', 'INFO', 'WARN', 'ERROR', 'FATAL']).optional(),
-  limit: z.number().optional().default(50)
+  limit: z.number().optional().default(50),
+  offset: z.number().optional().default(0)
 });
 
 const logTraceSchema = z.object({
@@ -115,7 +195,8 @@ const serviceHealthSchema = z.object({
 });
 
 const errorTrendsSchema = z.object({
-  timeWindow: z.number().optional().default(86400).describe('Time window in seconds (default: 24 hours)')
+  timeWindow: z.number().optional().default(86400).describe('Time window in seconds (default: 24 hours)'),
+  service: z.string().optional().describe('Specific service to check (optional)')
 });
 
 const recentErrorsSchema = z.object({
@@ -123,7 +204,23 @@ const recentErrorsSchema = z.object({
 });
 
 const logCleanupSchema = z.object({
-  retentionDays: z.number().optional().default(7).describe('Number of days to retain logs')
+  retentionDays: z.number().positive().optional().describe('Override the default retention period (days) for this run'),
+  dryRun: z.boolean().optional().default(false).describe('Report what would be archived and deleted without changing anything'),
+  statsOnly: z.boolean().optional().default(false).describe('Only return cleanup and archive statistics')
+});
+
+const logRestoreSchema = z.object({
+  startTime: z.number().optional().describe('Start time (Unix timestamp in seconds)'),
+  endTime: z.number().optional().describe('End time (Unix timestamp in seconds)'),
+  service: z.string().optional().describe('Only restore entries from this service'),
+  level: z.string().optional().describe('Only restore entries of this level')
+});
+
+const logPatternsSchema = z.object({
+  timeWindow: z.number().optional().default(86400).describe('Time window in seconds (default: 24 hours)'),
+  service: z.string().optional().describe('Only count entries from this service'),
+  level: z.enum(['DEBUG', 'INFO', 'WARN', 'ERROR', 'FATAL']).optional().describe('Only count entries of this level'),
+  limit: z.number().optional().default(20).describe('Number of patterns to return')
 });
 
 /**
@@ -226,10 +323,16 @@ export function setupLoggingTools(
     // Query logs with filters
     {
       name: 'log_query',
-      description: 'Query logs with various filters (level, service, time range, etc.)',
+      description: 'Query logs with the log query language (field and metadata filters, aggregations such as count/avg/p95 by field and time bucket) or with simple filters (level, service, time range, etc.)',
       inputSchema: {
         type: 'object',
         properties: {
+          query: {
+            type: 'string',
+            description: 'Log query. Filters: service:vite-dev, level>=warn, meta.status>=500, message:"HMR", bare words for full-text, combined with AND/OR/NOT and parentheses. ' +
+              'Pipeline: | count, avg(meta.duration), p95(meta.duration) by service, 5m | sort -count | limit 20. ' +
+              'When set, only timeWindow and limit of the other arguments apply.'
+          },
           level: { 
             type: 'string', 
             enum: ['DEBUG', 'INFO', 'WARN', 'ERROR', 'FATAL'],
@@ -271,13 +374,13 @@ export function setupLoggingTools(
     // Search logs with full-text search
     {
       name: 'log_search',
-      description: 'Search logs using full-text search across message and data fields',
+      description: 'Search logs using full-text search across message, service, level and metadata, ranked by relevance with highlighted snippets',
       inputSchema: {
         type: 'object',
         properties: {
           query: { 
             type: 'string', 
-            description: 'Search query (supports AND, OR, NOT operators)' 
+            description: 'Search query: terms, "phrases", prefix* terms, AND/OR/NOT with parentheses, and field scopes service:, level:, message:, meta.key:' 
           },
           service: { 
             type: 'string', 
@@ -292,6 +395,11 @@ export function setupLoggingTools(
             type: 'number', 
             description: 'Maximum results to return',
             default: 50
+          },
+          offset: {
+            type: 'number',
+            description: 'Number of results to skip',
+            default: 0
           }
         },
         required: ['query']
@@ -301,7 +409,7 @@ export function setupLoggingTools(
     // Trace request flow
     {
       name: 'log_trace',
-      description: 'Trace a request flow across services using trace ID',
+      description: 'Trace a request flow across services using a W3C trace ID, returned as a tree of spans',
       inputSchema: {
         type: 'object',
         properties: {
@@ -337,7 +445,7 @@ export function setupLoggingTools(
     // Get error trends
     {
       name: 'error_trends',
-      description: 'Get error rate trends over time (hourly buckets)',
+      description: 'Get error rate trends over time (hourly buckets), with counts extrapolated from sampling',
       inputSchema: {
         type: 'object',
         properties: {
@@ -345,6 +453,10 @@ export function setupLoggingTools(
             type: 'number', 
             description: 'Time window in seconds (default: 86400 for 24 hours)',
             default: 86400
+          },
+          service: {
+            type: 'string',
+            description: 'Specific service to check (optional)'
           }
         }
       }
@@ -389,14 +501,80 @@ export function setupLoggingTools(
     // Clean up old logs
     {
       name: 'log_cleanup',
-      description: 'Remove old logs based on retention policy',
+      description: 'Apply the retention policy (archiving expired logs when configured) and report cleanup and archive statistics',
       inputSchema: {
         type: 'object',
         properties: {
           retentionDays: { 
             type: 'number', 
-            description: 'Number of days to retain logs (default: 7)',
-            default: 7
+            description: 'Override the default retention period (days) for this run'
+          },
+          dryRun: {
+            type: 'boolean',
+            description: 'Report what would be archived and deleted without changing anything',
+            default: false
+          },
+          statsOnly: {
+            type: 'boolean',
+            description: 'Only return cleanup and archive statistics',
+            default: false
+          }
+        }
+      }
+    },
+
+    // Restore archived logs
+    {
+      name: 'log_restore',
+      description: 'Re-import archived logs into the log store for a time range',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          startTime: {
+            type: 'number',
+            description: 'Start time (Unix timestamp in seconds)'
+          },
+          endTime: {
+            type: 'number',
+            description: 'End time (Unix timestamp in seconds)'
+          },
+          service: {
+            type: 'string',
+            description: 'Only restore entries from this service'
+          },
+          level: {
+            type: 'string',
+            description: 'Only restore entries of this level'
+          }
+        }
+      }
+    },
+
+    // Message templates by volume
+    {
+      name: 'log_patterns',
+      description: 'Group logs into message templates (e.g. "Fetched <*> entities") and rank them by volume, with hourly trends and the share of volume each accounts for',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          timeWindow: {
+            type: 'number',
+            description: 'Time window in seconds (default: 86400 for 24 hours)',
+            default: 86400
+          },
+          service: {
+            type: 'string',
+            description: 'Only count entries from this service'
+          },
+          level: {
+            type: 'string',
+            enum: ['DEBUG', 'INFO', 'WARN', 'ERROR', 'FATAL'],
+            description: 'Only count entries of this level'
+          },
+          limit: {
+            type: 'number',
+            description: 'Number of patterns to return',
+            default: 20
           }
         }
       }
@@ -408,6 +586,29 @@ export function setupLoggingTools(
     const params = logQuerySchema.parse(args);
     safeLogger.debug('Querying logs', { filters: params });
 
+    if (params.query) {
+      try {
+        const result = await logger.queryLogs(params.query, {
+          timeWindow: params.timeWindow ? params.timeWindow * 1000 : undefined,
+          limit: params.limit
+        });
+        const count = result.kind === 'entries' ? result.entries!.length : result.rows!.length;
+
+        safeLogger.info('Log query completed', { query: params.query, kind: result.kind, resultCount: count });
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify({ ...result, count }, null, 2)
+            }
+          ]
+        };
+      } catch (error) {
+        safeLogger.error('Log query failed', { query: params.query, error: error.message });
+        throw error;
+      }
+    }
+
     try {
       const coreFilters = convertToLogFilters(params);
       const logs = await logger.getLogs(coreFilters);
@@ -438,16 +639,14 @@ export function setupLoggingTools(
     try {
       // Convert to core search query
       const searchQuery: LogQuery = {
+        text: parsedParams.query,
         filters: {},
-        limit: parsedParams.limit || 50
+        limit: parsedParams.limit || 50,
+        offset: parsedParams.offset
       };
 
       if (parsedParams.service) searchQuery.filters!.service = parsedParams.service;
-      if (parsedParams.level) searchQuery.filters!.level = parsedParams.level as LogLevel;
-      if (parsedParams.query) {
-        // Use message filter for text search
-        searchQuery.filters!.message = parsedParams.query;
-      }
+      if (parsedParams.level) searchQuery.filters!.level = parsedParams.level.toLowerCase() as LogLevel;
 
       const results = await logger.searchLogs(searchQuery);
 
@@ -483,17 +682,12 @@ export function setupLoggingTools(
 
     try {
       const trace = await logger.searchLogs({
-        filters: { metadata: { traceId } },
+        filters: { traceId },
+        sort: [{ field: 'timestamp', direction: 'asc' }],
         limit: 1000
       });
 
-      // Calculate time deltas between log entries
-      const enhancedTrace = trace.map((entry: any, index: number) => ({
-        ...entry,
-        timeDelta: index > 0 ?
-          new Date(entry.timestamp).getTime() - new Date(trace[index - 1].timestamp).getTime()
-          : 0
-      }));
+      const { spans, unattributed } = buildSpanTree(trace);
 
       safeLogger.info('Request trace completed', { traceId, entryCount: trace.length });
       return {
@@ -502,11 +696,13 @@ export function setupLoggingTools(
             type: 'text',
             text: JSON.stringify({
               traceId,
-              entries: enhancedTrace,
-              count: enhancedTrace.length,
+              count: trace.length,
+              spanCount: new Set(trace.map((entry: any) => entry.trace?.spanId).filter(Boolean)).size,
               totalDuration: trace.length > 0 ?
-                new Date(trace[trace.length - 1].timestamp).getTime() - new Date(trace[0].timestamp).getTime()
-                : 0
+                trace[trace.length - 1].timestamp - trace[0].timestamp
+                : 0,
+              spans,
+              unattributed
             }, null, 2)
           }
         ]
@@ -540,24 +736,42 @@ export function setupLoggingTools(
   });
 
   toolHandlers.set('error_trends', async (args: any) => {
-    const { timeWindow } = errorTrendsSchema.parse(args);
-    safeLogger.debug('Getting error trends', { timeWindow });
+    const { timeWindow, service } = errorTrendsSchema.parse(args);
+    safeLogger.debug('Getting error trends', { timeWindow, service });
 
-    // For now, return a simplified response
-    safeLogger.warn('Error trends analysis not fully implemented with core module');
+    try {
+      const buckets = await logger.getErrorTrends(timeWindow * 1000, 60 * 60 * 1000, service);
 
-    return {
-      content: [
-        {
-          type: 'text',
-          text: JSON.stringify({
-            message: 'Error trends analysis is not yet fully implemented with the core module.',
-            timeWindow,
-            timestamp: Math.floor(Date.now() / 1000)
-          }, null, 2)
-        }
-      ]
-    };
+      const totals = buckets.reduce((sum, bucket) => ({
+        logs: sum.logs + bucket.logs,
+        errors: sum.errors + bucket.errors,
+        estimatedLogs: sum.estimatedLogs + bucket.estimatedLogs,
+        estimatedErrors: sum.estimatedErrors + bucket.estimatedErrors
+      }), { logs: 0, errors: 0, estimatedLogs: 0, estimatedErrors: 0 });
+
+      safeLogger.info('Error trends retrieved', { buckets: buckets.length, errors: totals.errors });
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              buckets,
+              totals: {
+                ...totals,
+                errorRate: totals.estimatedLogs > 0 ? (totals.estimatedErrors / totals.estimatedLogs) * 100 : 0
+              },
+              sampling: logger.getSamplingStats(),
+              timeWindow,
+              service,
+              timestamp: Math.floor(Date.now() / 1000)
+            }, null, 2)
+          }
+        ]
+      };
+    } catch (error) {
+      safeLogger.error('Failed to get error trends', { error: error.message });
+      throw error;
+    }
   });
 
   toolHandlers.set('get_recent_errors', async (args: any) => {
@@ -691,24 +905,91 @@ export function setupLoggingTools(
   });
 
   toolHandlers.set('log_cleanup', async (args: any) => {
-    const { retentionDays } = logCleanupSchema.parse(args);
-    safeLogger.debug('Log cleanup requested', { retentionDays });
+    const { retentionDays, dryRun, statsOnly } = logCleanupSchema.parse(args);
+    safeLogger.debug('Log cleanup requested', { retentionDays, dryRun, statsOnly });
 
-    // For now, return a message that cleanup is not implemented
-    safeLogger.warn('Log cleanup not yet implemented with core module');
+    try {
+      const run = statsOnly
+        ? null
+        : await logger.runCleanup({ dryRun, defaultPeriod: retentionDays });
 
-    return {
-      content: [
-        {
-          type: 'text',
-          text: JSON.stringify({
-            success: false,
-            retentionDays,
-            message: `Log cleanup is not yet implemented with the core module.`
-          }, null, 2)
-        }
-      ]
-    };
+      if (run) {
+        safeLogger.info('Log cleanup completed', { deleted: run.deleted, archived: run.archived, dryRun });
+      }
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              success: true,
+              run,
+              stats: logger.getCleanupStats()
+            }, null, 2)
+          }
+        ]
+      };
+    } catch (error) {
+      safeLogger.error('Log cleanup failed', { error: error.message });
+      throw error;
+    }
+  });
+
+  toolHandlers.set('log_restore', async (args: any) => {
+    const params = logRestoreSchema.parse(args);
+    safeLogger.debug('Restoring archived logs', params);
+
+    try {
+      const result = await logger.restoreArchivedLogs({
+        from: params.startTime ? params.startTime * 1000 : undefined,
+        to: params.endTime ? params.endTime * 1000 : undefined,
+        service: params.service,
+        level: params.level?.toLowerCase() as LogLevel | undefined
+      });
+
+      safeLogger.info('Archived logs restored', result);
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              ...result,
+              filters: params
+            }, null, 2)
+          }
+        ]
+      };
+    } catch (error) {
+      safeLogger.error('Failed to restore archived logs', { error: error.message });
+      throw error;
+    }
+  });
+
+  toolHandlers.set('log_patterns', async (args: any) => {
+    const { timeWindow, service, level, limit } = logPatternsSchema.parse(args);
+    safeLogger.debug('Getting log patterns', { timeWindow, service, level });
+
+    try {
+      const report = await logger.getLogPatterns({
+        timeWindow: timeWindow * 1000,
+        bucketSize: 60 * 60 * 1000,
+        service,
+        level: level?.toLowerCase() as LogLevel,
+        limit
+      });
+
+      safeLogger.info('Log patterns retrieved', { templates: report.templateCount });
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(report, null, 2)
+          }
+        ]
+      };
+    } catch (error) {
+      safeLogger.error('Failed to get log patterns', { error: error.message });
+      throw error;
+    }
   });
 
   return tools;